@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+
+const { env } = require("../src/config");
+const { defaultLimits } = require("../src/risk/riskLimits");
+const { MODES, runMonteCarlo, summaryRows } = require("../src/backtest/monteCarlo");
+const { toCsv } = require("../src/utils/csv");
+
+/**
+ * Monte Carlo robustness report for a bt_run result file.
+ *
+ *   npm run bt:montecarlo -- --in=bt_result_123.json --trials=2000 --seed=7
+ *
+ * Writes <out>.json (full report) and <out>.csv (mode × metric summary);
+ * --trialsCsv=<file> also dumps one row per trial.
+ */
+
+function getArg(name, def = null) {
+  const hit = process.argv.find((a) => a.startsWith(`${name}=`));
+  return hit ? hit.slice(name.length + 1) : def;
+}
+
+function n(v, d) {
+  if (v === null || v === undefined || v === "") return d;
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+}
+
+function main() {
+  const input = getArg("--in");
+  if (!input) throw new Error("Missing --in=<bt_result.json>");
+  const inPath = path.resolve(process.cwd(), input);
+  const run = JSON.parse(fs.readFileSync(inPath, "utf8"));
+  const trades = Array.isArray(run) ? run : run.trades || run.oosTrades || [];
+
+  const limits = defaultLimits();
+  const modes = String(getArg("--modes", MODES.join(",")))
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const report = runMonteCarlo(trades, {
+    trials: n(getArg("--trials"), 1000),
+    seed: n(getArg("--seed"), 42),
+    modes,
+    skipProb: n(getArg("--skipProb"), 0.1),
+    slipBpsMax: n(getArg("--slipBpsMax"), 5),
+    rInr: n(getArg("--rInr"), null),
+    dailyLossCapInr: n(getArg("--dailyLossCapInr"), limits.dailyLossCapInr ?? 0),
+    dailyDrawdownPauseR: n(getArg("--pauseR"), limits.dailyDrawdownPauseR ?? 0),
+    timezone: getArg("--timezone", env.CANDLE_TZ || "Asia/Kolkata"),
+  });
+
+  const { trialRows, ...summary } = report;
+  const out = {
+    generatedAt: new Date().toISOString(),
+    source: {
+      file: inPath,
+      runAt: run.runAt || null,
+      gitHash: run.gitHash || null,
+      token: run.token ?? null,
+      intervalMin: run.intervalMin ?? null,
+    },
+    ...summary,
+  };
+
+  const base = getArg("--out", inPath.replace(/\.json$/i, "") + ".montecarlo");
+  fs.writeFileSync(`${base}.json`, JSON.stringify(out, null, 2));
+  fs.writeFileSync(`${base}.csv`, toCsv(summaryRows(report)));
+  const trialsCsv = getArg("--trialsCsv");
+  if (trialsCsv) fs.writeFileSync(path.resolve(process.cwd(), trialsCsv), toCsv(trialRows));
+
+  console.log(`Monte Carlo complete: ${base}.json / ${base}.csv`);
+  for (const [mode, r] of Object.entries(report.results)) {
+    console.log(mode, {
+      finalPnlP5: r.finalPnl?.p5,
+      finalPnlP50: r.finalPnl?.p50,
+      maxDdP95: r.maxDrawdownInr?.p95,
+      probLoss: r.probLoss,
+      probDailyLossCap: r.probDailyLossCap,
+      probDailyPauseR: r.probDailyPauseR,
+    });
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("bt_montecarlo failed", err);
+  process.exit(1);
+}
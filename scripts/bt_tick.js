@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+/**
+ * Tick-level backtest: replays ticks through the live engine
+ * (tickerManager → pipeline → TradeManager) against a simulated Kite broker
+ * on virtual time.
+ *
+ *   npm run bt:tick -- --token=256265 --from=2025-01-06 --to=2025-01-10 --interval=1
+ *   npm run bt:tick -- --token=256265 --ticks=./ticks_2025-01-06.ndjson
+ *
+ * Without --ticks, candles from the source DB are expanded into intra-candle
+ * paths (see src/backtest/tickPaths.js). The engine writes its state (trades,
+ * order logs, risk) into a separate database whose name must end in "_bt"
+ * (default `${MONGO_DB}_bt`); --reset=true clears it first. Candles and
+ * instruments are read from the source DB (`MONGO_DB`, or --sourceDb).
+ */
+
+function getArg(name, def = null) {
+  const hit = process.argv.find((a) => a.startsWith(`${name}=`));
+  return hit ? hit.slice(name.length + 1) : def;
+}
+
+function n(v, d) {
+  if (v === null || v === undefined || v === "") return d;
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+}
+
+function toMs(v, fb = null) {
+  if (v === null || v === undefined || v === "") return fb;
+  const t = new Date(v).getTime();
+  return Number.isFinite(t) ? t : fb;
+}
+
+// Engine DB/universe must be in place before src/config is loaded.
+const sourceDb = getArg("--sourceDb", process.env.MONGO_DB);
+const engineDb = getArg("--db", `${sourceDb}_bt`);
+if (!/_bt$/.test(String(engineDb || "")) || engineDb === sourceDb) {
+  console.error(`bt_tick refuses to run: engine DB "${engineDb}" must end in "_bt" and differ from the source DB`);
+  process.exit(1);
+}
+const tokens = String(getArg("--token", ""))
+  .split(",")
+  .map((s) => Number(s.trim()))
+  .filter((x) => Number.isFinite(x) && x > 0);
+process.env.MONGO_DB = engineDb;
+process.env.SUBSCRIBE_TOKENS = tokens.join(",");
+process.env.SUBSCRIBE_SYMBOLS = "";
+process.env.TELEGRAM_ENABLED = "false";
+// The simulated broker already stands in for Kite.
+process.env.TRADING_MODE = "live";
+
+const { env } = require("../src/config");
+const { connectMongo, getClient, closeMongo } = require("../src/db");
+const { collectionName } = require("../src/market/candleStore");
+const { candleTickBatches } = require("../src/backtest/tickPaths");
+const { runTickBacktest } = require("../src/backtest/tickBacktest");
+const { gitHash, pickEnvSnapshot } = require("../src/backtest/runMeta");
+
+// Keeps the candle/instrument collections a reset must never touch.
+function isMarketDataCollection(name) {
+  const prefix = env.CANDLE_COLLECTION_PREFIX || "candles_";
+  return name.startsWith(prefix) || name === "instruments_cache";
+}
+
+// NDJSON: one tick or one { ts, ticks } batch per line, in time order.
+async function* ndjsonBatches(file) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let pending = null;
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    const row = JSON.parse(line);
+    if (Array.isArray(row.ticks)) {
+      if (pending) yield pending;
+      pending = null;
+      yield { ts: toMs(row.ts), ticks: row.ticks };
+      continue;
+    }
+    const ts = toMs(row.exchange_timestamp ?? row.last_trade_time ?? row.ts);
+    if (pending && pending.ts === ts) {
+      pending.ticks.push(row);
+    } else {
+      if (pending) yield pending;
+      pending = { ts, ticks: [row] };
+    }
+  }
+  if (pending) yield pending;
+}
+
+async function main() {
+  if (!tokens.length) throw new Error("Missing --token=<instrument_token[,token...]>");
+  const intervalMin = n(getArg("--interval"), 1);
+  const fromMs = toMs(getArg("--from"), null);
+  const toMsArg = toMs(getArg("--to"), null);
+  const ticksFile = getArg("--ticks");
+  const ticksPerLeg = Math.max(1, n(getArg("--ticksPerLeg"), 3));
+  const timezone = String(getArg("--timezone", env.CANDLE_TZ || "Asia/Kolkata"));
+  const reset = String(getArg("--reset", "true")) === "true";
+  const broker = {
+    seed: n(getArg("--seed"), 42),
+    latencyMs: Math.max(0, n(getArg("--latencyMs"), 150)),
+    startingCash: n(getArg("--startingCash"), 1_000_000),
+    tickSize: n(getArg("--tickSize"), 0.05),
+    timezone,
+    model: {
+      spreadBps: Math.max(0, n(getArg("--spreadBps"), 6)),
+      slippageBps: Math.max(0, n(getArg("--slippageBps"), 3)),
+      partialFillProbability: Math.max(0, n(getArg("--partialFillProbability"), 0)),
+      minPartialFillRatio: n(getArg("--minPartialFillRatio"), 0.35),
+    },
+  };
+  const out = getArg("--out", `bt_tick_${Date.now()}.json`);
+
+  await connectMongo();
+  const client = getClient();
+  const src = client.db(sourceDb);
+  const dst = client.db(engineDb);
+
+  if (reset) {
+    const cols = await dst.listCollections({}, { nameOnly: true }).toArray();
+    for (const c of cols) {
+      if (!isMarketDataCollection(c.name)) await dst.collection(c.name).drop().catch(() => {});
+    }
+  }
+
+  const instruments = await src
+    .collection("instruments_cache")
+    .find({ instrument_token: { $in: tokens } })
+    .toArray();
+
+  const marketData = {
+    historical: (token, iMin, from, to) =>
+      src
+        .collection(collectionName(iMin))
+        .find({ instrument_token: Number(token), ts: { $gte: from, $lte: to } })
+        .sort({ ts: 1 })
+        .toArray(),
+    instruments: (exchange) =>
+      src
+        .collection("instruments_cache")
+        .find(exchange ? { exchange: String(exchange).toUpperCase() } : {})
+        .toArray(),
+  };
+
+  let batches;
+  if (ticksFile) {
+    batches = ndjsonBatches(path.resolve(process.cwd(), ticksFile));
+  } else {
+    const q = { instrument_token: { $in: tokens } };
+    if (fromMs || toMsArg) {
+      q.ts = {};
+      if (fromMs) q.ts.$gte = new Date(fromMs);
+      if (toMsArg) q.ts.$lte = new Date(toMsArg);
+    }
+    const candles = await src.collection(collectionName(intervalMin)).find(q).sort({ ts: 1 }).toArray();
+    if (!candles.length) {
+      throw new Error(
+        `No candles found in ${sourceDb}.${collectionName(intervalMin)}. Backfill first: npm run bt:backfill`,
+      );
+    }
+    batches = candleTickBatches(candles, {
+      intervalMin,
+      ticksPerLeg,
+      tickSize: broker.tickSize,
+      spreadBps: broker.model.spreadBps,
+      timezone,
+    });
+  }
+
+  const runAt = new Date().toISOString();
+  const res = await runTickBacktest({
+    batches,
+    marketData,
+    instruments,
+    broker,
+    tailMs: Math.max(0, n(getArg("--tailMin"), 5)) * 60_000,
+    settleQuietMs: Math.max(1, n(getArg("--settleMs"), 25)),
+    onProgress: (s) => console.log(`[bt_tick] ${new Date(s.ts).toISOString()} batches=${s.batches}`),
+  });
+
+  const trades = await dst
+    .collection("trades")
+    .find({ createdAt: { $gte: res.startTs } })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  const result = {
+    runAt,
+    gitHash: gitHash(),
+    configSnapshot: pickEnvSnapshot(),
+    source: ticksFile ? { ticks: ticksFile } : { db: sourceDb, intervalMin, ticksPerLeg },
+    engineDb,
+    tokens,
+    range: { from: res.startTs, to: res.endTs },
+    broker: { ...broker, ...res.broker },
+    stats: res.stats,
+    trades: trades.map(({ _id, ...t }) => ({ _id: String(_id), ...t })),
+    fills: res.fills,
+    orders: res.orders,
+  };
+
+  const outPath = path.resolve(process.cwd(), out);
+  fs.writeFileSync(outPath, JSON.stringify(result, null, 2));
+  console.log(`Tick backtest complete: ${outPath}`);
+  console.log({
+    ticks: res.stats.ticks,
+    trades: trades.length,
+    orders: res.orders.length,
+    fills: res.fills.length,
+    openPositions: res.broker.positions.filter((p) => p.quantity !== 0).length,
+  });
+}
+
+main()
+  .then(() => closeMongo())
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("bt_tick failed", err);
+    process.exit(1);
+  });
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+
+const { env } = require("../src/config");
+const { connectMongo, getDb } = require("../src/db");
+const { collectionName } = require("../src/market/candleStore");
+const { hasStrategy, resolveStrategyParams } = require("../src/strategy/registry");
+const { seeded } = require("../src/backtest/executionRealism");
+const {
+  runCandleBacktest,
+  buildCalibrationFallback,
+} = require("../src/backtest/candleBacktest");
+const { gitHash, pickEnvSnapshot } = require("../src/backtest/runMeta");
+const {
+  OBJECTIVES,
+  expandGrid,
+  sampleRandom,
+  buildFolds,
+  runWalkForward,
+  experimentKey,
+  compareRuns,
+} = require("../src/backtest/walkForward");
+
+/**
+ * Walk-forward optimizer over Mongo candle history.
+ *
+ *   npm run bt:walkforward -- --token=256265 --interval=1 --from=2025-01-01 --to=2025-03-31 \
+ *     --space=./wf_space.json --search=grid --isDays=10 --oosDays=2 --objective=expectancyR
+ *
+ * Each candidate runs through the same candle loop as bt_run (fixed execution
+ * calibration, seeded RNG) so results are deterministic for a given git hash,
+ * env snapshot and spec. Runs are stored in `bt_walkforward_runs` and compared
+ * against the previous run with the same experiment key.
+ */
+
+const RUNS_COLLECTION = "bt_walkforward_runs";
+
+function getArg(name, def = null) {
+  const hit = process.argv.find((a) => a.startsWith(`${name}=`));
+  return hit ? hit.slice(name.length + 1) : def;
+}
+
+function n(v, d) {
+  if (v === null || v === undefined || v === "") return d;
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+}
+
+function toMs(v, fb = null) {
+  if (v === null || v === undefined || v === "") return fb;
+  const t = new Date(v).getTime();
+  return Number.isFinite(t) ? t : fb;
+}
+
+function readSpace(raw) {
+  if (!raw) throw new Error("Missing --space=<file.json | inline JSON>");
+  const text = raw.trim().startsWith("{")
+    ? raw
+    : fs.readFileSync(path.resolve(process.cwd(), raw), "utf8");
+  return JSON.parse(text);
+}
+
+// Drop candidates whose strategy params fail the plugin's zod schema.
+function validCandidates(candidates) {
+  const ok = [];
+  let invalid = 0;
+  for (const c of candidates) {
+    const bad = Object.entries(c.strategyParams).some(
+      ([id, params]) => !resolveStrategyParams(id, params).ok,
+    );
+    if (bad) invalid += 1;
+    else ok.push(c);
+  }
+  return { ok, invalid };
+}
+
+function compactTrade(t) {
+  return {
+    fold: t.fold,
+    strategyId: t.strategyId,
+    side: t.side,
+    qty: t.qty,
+    entryTs: t.entryTs,
+    exitTs: t.exitTs,
+    entryPrice: t.entryPrice,
+    exitPrice: t.exitPrice,
+    initialStopLoss: t.initialStopLoss,
+    exitReason: t.exitReason,
+    grossPnl: t.grossPnl,
+    estCostInr: t.estCostInr,
+    netPnl: t.netPnl,
+  };
+}
+
+async function main() {
+  const mode = String(getArg("--mode", "EQ")).toUpperCase();
+  const token = n(getArg("--token"), NaN);
+  const intervalMin = n(getArg("--interval"), 1);
+  const fromMs = toMs(getArg("--from"), null);
+  const toMsArg = toMs(getArg("--to"), null);
+  const limit = n(getArg("--limit"), 100000);
+  const warmup = Math.max(50, n(getArg("--warmup"), 80));
+  const qty = Math.max(1, n(getArg("--qty"), 1));
+  const rrTarget = Math.max(0.5, n(getArg("--rr"), n(env.RR_TARGET, 1.4)));
+  const slPct = Math.max(0.1, n(getArg("--slPct"), 0.7));
+  const slipBps = Math.max(0, n(getArg("--slippageBps"), 3));
+  const seed = n(getArg("--seed", "42"), 42);
+  const execRealism = String(getArg("--execRealism", "true")) === "true";
+  const eventBroker = String(getArg("--eventBroker", "true")) === "true";
+  const forceEodExit = String(getArg("--forceEodExit", "true")) === "true";
+  const timezone = String(getArg("--timezone", env.CANDLE_TZ || "Asia/Kolkata"));
+  const search = String(getArg("--search", "grid")).toLowerCase(); // grid|random
+  const samples = Math.max(1, n(getArg("--samples"), 30));
+  const maxCandidates = Math.max(1, n(getArg("--maxCandidates"), 500));
+  const isDays = Math.max(1, n(getArg("--isDays"), 10));
+  const oosDays = Math.max(1, n(getArg("--oosDays"), 2));
+  const stepDays = Math.max(1, n(getArg("--stepDays"), oosDays));
+  const anchored = String(getArg("--anchored", "false")) === "true";
+  const objective = String(getArg("--objective", "netPnl"));
+  const minTrades = Math.max(0, n(getArg("--minTrades"), 5));
+  const out = getArg("--out", `bt_walkforward_${Date.now()}.json`);
+
+  if (!Number.isFinite(token)) throw new Error("Missing --token=<instrument_token>");
+  if (!OBJECTIVES.includes(objective)) {
+    throw new Error(`--objective must be one of ${OBJECTIVES.join("|")}`);
+  }
+  if (mode === "OPT") {
+    throw new Error("Walk-forward runs on the underlying series (--mode=EQ|FUT); use bt:run for dynamic option contracts.");
+  }
+
+  const space = readSpace(getArg("--space"));
+  const strategyIds = Object.keys(space).filter((k) => k !== "env");
+  for (const id of strategyIds) {
+    if (!hasStrategy(id)) throw new Error(`Unknown strategy in --space: ${id}`);
+  }
+
+  const rawCandidates =
+    search === "random"
+      ? sampleRandom(space, samples, seeded(seed))
+      : expandGrid(space, { maxCandidates });
+  const { ok: candidates, invalid } = validCandidates(rawCandidates);
+  if (!candidates.length) throw new Error("No valid candidates (check parameter schemas)");
+
+  await connectMongo();
+  const db = getDb();
+
+  const q = { instrument_token: Number(token) };
+  if (fromMs || toMsArg) {
+    q.ts = {};
+    if (fromMs) q.ts.$gte = new Date(fromMs);
+    if (toMsArg) q.ts.$lte = new Date(toMsArg);
+  }
+  const candles = await db
+    .collection(collectionName(intervalMin))
+    .find(q)
+    .sort({ ts: 1 })
+    .limit(limit)
+    .toArray();
+  if (!candles.length) {
+    throw new Error(
+      `No candles found. token=${token} collection=${collectionName(intervalMin)}. Backfill first: npm run bt:backfill`,
+    );
+  }
+  const tokenInstrument = await db
+    .collection("instruments_cache")
+    .findOne({ instrument_token: Number(token) });
+
+  const folds = buildFolds({ candles, timezone, isDays, oosDays, stepDays, anchored });
+  if (!folds.length) {
+    throw new Error(
+      `Not enough session days for one fold (need ${isDays + oosDays}); widen --from/--to or shrink --isDays/--oosDays`,
+    );
+  }
+
+  const execCalibration = execRealism ? buildCalibrationFallback() : null;
+  const simulate = ({ candles: slice, warmup: w, candidate }) => {
+    const runEnv = { ...env, ...candidate.envOverrides };
+    return runCandleBacktest({
+      candles: slice,
+      token,
+      intervalMin,
+      mode,
+      env: runEnv,
+      warmup: w,
+      qty,
+      rrTarget: Math.max(0.5, n(candidate.envOverrides.RR_TARGET, rrTarget)),
+      slPct,
+      slipBps,
+      rng: seeded(seed),
+      execRealism,
+      eventBroker,
+      execCalibration,
+      forceEodExit,
+      timezone,
+      tokenInstrument,
+      strategyIds: strategyIds.length ? strategyIds : null,
+      strategyParams: candidate.strategyParams,
+    });
+  };
+
+  console.log(
+    `[bt_walkforward] ${candidates.length} candidates (${invalid} invalid skipped) x ${folds.length} folds, objective=${objective}`,
+  );
+  const result = runWalkForward({
+    candles,
+    folds,
+    candidates,
+    simulate,
+    objective,
+    minTrades,
+    warmup,
+    onProgress: ({ fold, folds: total }) =>
+      console.log(`[bt_walkforward] fold ${fold + 1}/${total} done`),
+  });
+
+  const spec = {
+    token,
+    intervalMin,
+    mode,
+    range: {
+      from: fromMs ? new Date(fromMs).toISOString() : null,
+      to: toMsArg ? new Date(toMsArg).toISOString() : null,
+    },
+    space,
+    search,
+    samples: search === "random" ? samples : null,
+    isDays,
+    oosDays,
+    stepDays,
+    anchored,
+    objective,
+    minTrades,
+    seed,
+    sim: { warmup, qty, rrTarget, slPct, slippageBps: slipBps, execRealism, eventBroker, forceEodExit, timezone },
+  };
+
+  const run = {
+    runAt: new Date().toISOString(),
+    experimentKey: experimentKey(spec),
+    ...spec,
+    loadedCandles: candles.length,
+    gitHash: gitHash(),
+    configSnapshot: pickEnvSnapshot(),
+    candidates: { evaluated: candidates.length, invalid },
+    folds: result.folds,
+    aggregate: result.aggregate,
+    oosTrades: result.oosTrades.map(compactTrade),
+  };
+
+  const col = db.collection(RUNS_COLLECTION);
+  const prev = await col.findOne(
+    { experimentKey: run.experimentKey },
+    { sort: { runAt: -1 }, projection: { runAt: 1, gitHash: 1, configSnapshot: 1, aggregate: 1 } },
+  );
+  run.comparison = compareRuns(prev, run);
+  await col.insertOne(run);
+
+  const outPath = path.resolve(process.cwd(), out);
+  fs.writeFileSync(outPath, JSON.stringify(run, null, 2));
+  console.log(`Walk-forward complete: ${outPath}`);
+  console.log({
+    experimentKey: run.experimentKey,
+    folds: run.aggregate.folds,
+    profitableOosFolds: run.aggregate.profitableOosFolds,
+    walkForwardEfficiency: run.aggregate.walkForwardEfficiency,
+    paramStability: run.aggregate.paramStability,
+    oos: run.aggregate.oos,
+  });
+  if (run.comparison) console.log("vs previous run", run.comparison);
+}
+
+main().catch((err) => {
+  console.error("bt_walkforward failed", err);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Local Kite Connect mock (REST + ticker websocket) for end-to-end runs.
+ *
+ *   npm run kite:mock
+ *   npm run kite:mock -- --port=4010 --scenario=./scenarios/partial_fills.json --play
+ *   npm run kite:mock -- --postback=http://127.0.0.1:4001/kite/postback --redirect=http://127.0.0.1:4001/kite/callback
+ *   npm run kite:mock -- --redirect=http://127.0.0.1:4001/kite-redirect --password=pw --totpSecret=JBSWY3DPEHPK3PXP
+ *
+ * Point the engine at it with the printed KITE_API_ROOT / KITE_TICKER_ROOT and
+ * use the printed access token (or log in through /connect/login when
+ * --redirect is set). --play starts the scenario timeline immediately;
+ * otherwise POST /__mock/play, /__mock/ticks, /__mock/drop, /__mock/expire
+ * drive it from outside. --password/--totpSecret put the web login stub in
+ * front of /connect/login (KITE_LOGIN_ROOT=<url> for the engine's auto-login).
+ */
+
+function getArg(name, def = null) {
+  const hit = process.argv.find((a) => a.startsWith(`${name}=`));
+  return hit ? hit.slice(name.length + 1) : def;
+}
+
+const { env } = require("../src/config");
+const { KiteMockServer } = require("../src/kite/mock/kiteMockServer");
+
+async function main() {
+  const scenarioFile = getArg("--scenario");
+  const scenario = scenarioFile ? JSON.parse(fs.readFileSync(path.resolve(scenarioFile), "utf8")) : {};
+
+  const server = new KiteMockServer({
+    apiKey: getArg("--apiKey", env.KITE_API_KEY),
+    apiSecret: getArg("--apiSecret", env.KITE_API_SECRET || null),
+    accessToken: getArg("--accessToken", "mock_access_token"),
+    scenario,
+    latencyMs: Number(getArg("--latencyMs", 50)),
+    orderUpdateDelayMs: Number(getArg("--orderUpdateDelayMs", 0)),
+    postbackUrl: getArg("--postback"),
+    redirectUrl: getArg("--redirect"),
+    userId: getArg("--userId", env.KITE_ALLOWED_USER_ID || "MK0001"),
+    login: getArg("--password") ? { password: getArg("--password"), totpSecret: getArg("--totpSecret", "") } : null,
+  });
+  const { url, wsUrl } = await server.start({
+    port: Number(getArg("--port", 4010)),
+    host: getArg("--host", "127.0.0.1"),
+  });
+
+  console.log(`KITE_API_ROOT=${url}`);
+  console.log(`KITE_TICKER_ROOT=${wsUrl}`);
+  console.log(`access_token=${server.accessToken}`);
+
+  if (process.argv.includes("--play")) {
+    server.play().then(() => console.log(`[kite-mock] scenario "${server.scenario.name}" timeline finished`));
+  }
+
+  const shutdown = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Stores a value in the encrypted secrets store (SECRETS_MASTER_KEY[_FILE] must be set).
+ *
+ *   echo -n 'my-password' | npm run secrets:put -- --name=kite.password
+ *   npm run secrets:put -- --name=kite.totp_secret --value=JBSWY3DPEHPK3PXP
+ *
+ * Prefer stdin over --value so the secret stays out of shell history.
+ * Kite auto-login reads kite.user_id, kite.password and kite.totp_secret.
+ */
+
+const { connectMongo, closeMongo } = require("../src/db");
+const { ensureSecretsIndexes, putSecret } = require("../src/security/secrets");
+
+function getArg(name, def = null) {
+  const hit = process.argv.find((a) => a.startsWith(`${name}=`));
+  return hit ? hit.slice(name.length + 1) : def;
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let buf = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", (d) => {
+      buf += d;
+    });
+    process.stdin.on("end", () => resolve(buf.replace(/\r?\n$/, "")));
+    process.stdin.on("error", reject);
+  });
+}
+
+async function main() {
+  const name = getArg("--name");
+  if (!name) {
+    console.error("Usage: node scripts/put_secret.js --name=<secret> [--value=<value>] (value from stdin otherwise)");
+    process.exit(1);
+  }
+  const value = getArg("--value") ?? (process.stdin.isTTY ? null : await readStdin());
+  if (!value) {
+    console.error("No value given (pipe it on stdin or pass --value=...)");
+    process.exit(1);
+  }
+
+  await connectMongo();
+  await ensureSecretsIndexes();
+  const meta = await putSecret(name, value, { actor: `script:${process.env.USER || "unknown"}` });
+  console.log(JSON.stringify(meta));
+  await closeMongo();
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exit(1);
+});
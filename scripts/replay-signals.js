@@ -21,6 +21,7 @@ const { env } = require("../src/config");
 const { connectMongo } = require("../src/db");
 const { getRecentCandles } = require("../src/market/candleStore");
 const { evaluateOnCandles } = require("../src/strategy/replayEngine");
+const { createRegimeTracker } = require("../src/strategy/regimeService");
 
 function getArg(name, def = null) {
   const hit = process.argv.find((a) => a.startsWith(name + "="));
@@ -73,6 +74,7 @@ async function main() {
   }
 
   const results = [];
+  const regimeTracker = createRegimeTracker();
   const start = Math.max(50, warmup);
 
   for (let i = start; i < candles.length; i += Math.max(1, step)) {
@@ -85,6 +87,7 @@ async function main() {
       instrument_token: token,
       now: last?.ts ? new Date(last.ts) : new Date(),
       recordTelemetry,
+      regimeTracker,
     });
 
     if (!sig) continue;
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Replay recorded ticks (TICK_RECORDER_ENABLED captures) for a date/token set.
+ *
+ *   npm run tick:replay -- --list
+ *   npm run tick:replay -- --date=2025-01-06 --token=256265,260105 --speed=10
+ *   npm run tick:replay -- --date=2025-01-06 --token=256265 --export=./ticks_2025-01-06.ndjson
+ *
+ * By default the ticks are fed through the live engine (tickerManager →
+ * pipeline → TradeManager) against the simulated broker, exactly like
+ * bt:tick, paced at --speed (1 = recorded pace, 10 = 10× faster, 0 = as fast
+ * as possible). Engine state goes to a database ending in "_bt" (default
+ * `${MONGO_DB}_bt`); captures, candles and instruments are read from the
+ * source DB (`MONGO_DB`, or --sourceDb). --export writes `{ ts, ticks }`
+ * NDJSON instead (readable by `bt:tick --ticks=...`).
+ */
+
+function getArg(name, def = null) {
+  const hit = process.argv.find((a) => a.startsWith(`${name}=`));
+  return hit ? hit.slice(name.length + 1) : def;
+}
+
+function n(v, d) {
+  if (v === null || v === undefined || v === "") return d;
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+}
+
+function toMs(v, fb = null) {
+  if (v === null || v === undefined || v === "") return fb;
+  const t = new Date(v).getTime();
+  return Number.isFinite(t) ? t : fb;
+}
+
+const listOnly = process.argv.includes("--list");
+const exportFile = getArg("--export");
+const engineRun = !listOnly && !exportFile;
+
+// Engine DB/universe must be in place before src/config is loaded.
+const sourceDb = getArg("--sourceDb", process.env.MONGO_DB);
+const engineDb = getArg("--db", `${sourceDb}_bt`);
+const tokens = String(getArg("--token", ""))
+  .split(",")
+  .map((s) => Number(s.trim()))
+  .filter((x) => Number.isFinite(x) && x > 0);
+if (engineRun) {
+  if (!/_bt$/.test(String(engineDb || "")) || engineDb === sourceDb) {
+    console.error(`tick_replay refuses to run: engine DB "${engineDb}" must end in "_bt" and differ from the source DB`);
+    process.exit(1);
+  }
+  process.env.MONGO_DB = engineDb;
+  process.env.SUBSCRIBE_TOKENS = tokens.join(",");
+  process.env.SUBSCRIBE_SYMBOLS = "";
+  process.env.TELEGRAM_ENABLED = "false";
+  // The simulated broker already stands in for Kite.
+  process.env.TRADING_MODE = "live";
+  // Never re-record a replay.
+  process.env.TICK_RECORDER_ENABLED = "false";
+}
+
+const { env } = require("../src/config");
+const { connectMongo, getClient, closeMongo } = require("../src/db");
+const { collectionName } = require("../src/market/candleStore");
+const { listDays, sinkKind } = require("../src/market/tickStore");
+const { readTickBatches, pacedBatches } = require("../src/market/tickReplay");
+const { runTickBacktest } = require("../src/backtest/tickBacktest");
+const { gitHash, pickEnvSnapshot } = require("../src/backtest/runMeta");
+
+function isMarketDataCollection(name) {
+  const prefix = env.CANDLE_COLLECTION_PREFIX || "candles_";
+  const tickPrefix = env.TICK_RECORDER_COLLECTION_PREFIX || "ticks_";
+  return name.startsWith(prefix) || name.startsWith(tickPrefix) || name === "instruments_cache";
+}
+
+async function main() {
+  const mongoSink = sinkKind() === "mongo";
+  if (mongoSink || engineRun) await connectMongo();
+  const src = mongoSink || engineRun ? getClient().db(sourceDb) : null;
+
+  const available = await listDays({ db: src });
+  if (listOnly) {
+    console.log({ sink: sinkKind(), days: available });
+    return;
+  }
+
+  const days = String(getArg("--date", ""))
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!days.length) throw new Error("Missing --date=YYYY-MM-DD[,YYYY-MM-DD...] (see --list)");
+  const missing = days.filter((d) => !available.includes(d));
+  if (missing.length) throw new Error(`No recorded ticks for ${missing.join(", ")} (${sinkKind()} sink)`);
+
+  const batches = readTickBatches({
+    days,
+    tokens: tokens.length ? tokens : null,
+    fromMs: toMs(getArg("--from"), null),
+    toMs: toMs(getArg("--to"), null),
+    db: src,
+  });
+
+  if (exportFile) {
+    const outPath = path.resolve(process.cwd(), exportFile);
+    const out = fs.createWriteStream(outPath);
+    let count = 0;
+    for await (const batch of batches) {
+      if (!out.write(JSON.stringify(batch) + "\n")) await new Promise((r) => out.once("drain", r));
+      count += batch.ticks.length;
+    }
+    await new Promise((r) => out.end(r));
+    console.log(`Exported ${count} ticks: ${outPath}`);
+    return;
+  }
+
+  if (!tokens.length) throw new Error("Missing --token=<instrument_token[,token...]>");
+  const speed = Math.max(0, n(getArg("--speed"), 1));
+  const timezone = String(getArg("--timezone", env.CANDLE_TZ || "Asia/Kolkata"));
+  const broker = {
+    seed: n(getArg("--seed"), 42),
+    latencyMs: Math.max(0, n(getArg("--latencyMs"), 150)),
+    startingCash: n(getArg("--startingCash"), 1_000_000),
+    tickSize: n(getArg("--tickSize"), 0.05),
+    timezone,
+    model: {
+      spreadBps: Math.max(0, n(getArg("--spreadBps"), 6)),
+      slippageBps: Math.max(0, n(getArg("--slippageBps"), 3)),
+    },
+  };
+  const out = getArg("--out", `tick_replay_${days.join("_")}_${Date.now()}.json`);
+
+  const dst = getClient().db(engineDb);
+  if (String(getArg("--reset", "true")) === "true") {
+    const cols = await dst.listCollections({}, { nameOnly: true }).toArray();
+    for (const c of cols) {
+      if (!isMarketDataCollection(c.name)) await dst.collection(c.name).drop().catch(() => {});
+    }
+  }
+
+  const instruments = await src
+    .collection("instruments_cache")
+    .find({ instrument_token: { $in: tokens } })
+    .toArray();
+  const marketData = {
+    historical: (token, iMin, from, to) =>
+      src
+        .collection(collectionName(iMin))
+        .find({ instrument_token: Number(token), ts: { $gte: from, $lte: to } })
+        .sort({ ts: 1 })
+        .toArray(),
+    instruments: (exchange) =>
+      src
+        .collection("instruments_cache")
+        .find(exchange ? { exchange: String(exchange).toUpperCase() } : {})
+        .toArray(),
+  };
+
+  const runAt = new Date().toISOString();
+  const res = await runTickBacktest({
+    batches: pacedBatches(batches, { speed, maxGapMs: Math.max(0, n(getArg("--maxGapMs"), 5000)) }),
+    marketData,
+    instruments,
+    broker,
+    tailMs: Math.max(0, n(getArg("--tailMin"), 5)) * 60_000,
+    settleQuietMs: Math.max(1, n(getArg("--settleMs"), 25)),
+    onProgress: (s) => console.log(`[tick_replay] ${new Date(s.ts).toISOString()} batches=${s.batches}`),
+  });
+
+  const trades = await dst
+    .collection("trades")
+    .find({ createdAt: { $gte: res.startTs } })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  const outPath = path.resolve(process.cwd(), out);
+  fs.writeFileSync(
+    outPath,
+    JSON.stringify(
+      {
+        runAt,
+        gitHash: gitHash(),
+        configSnapshot: pickEnvSnapshot(),
+        source: { recorded: days, sink: sinkKind(), db: sourceDb, speed },
+        engineDb,
+        tokens,
+        range: { from: res.startTs, to: res.endTs },
+        broker: { ...broker, ...res.broker },
+        stats: res.stats,
+        trades: trades.map(({ _id, ...t }) => ({ _id: String(_id), ...t })),
+        fills: res.fills,
+        orders: res.orders,
+      },
+      null,
+      2,
+    ),
+  );
+  console.log(`Tick replay complete: ${outPath}`);
+  console.log({ ticks: res.stats.ticks, trades: trades.length, fills: res.fills.length });
+}
+
+main()
+  .then(() => closeMongo())
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("tick_replay failed", err);
+    process.exit(1);
+  });
@@ -2,13 +2,36 @@ const { getDb } = require("../db");
 const { ObjectId } = require("mongodb");
 const { alert } = require("./alertService");
 const { reportFault } = require("../runtime/errorBus");
+const {
+  isSecretsConfigured,
+  isSealed,
+  openSecret,
+  registerSealedFields,
+  sealFieldUpdate,
+} = require("../security/secrets");
+const { maskUrl } = require("../security/redact");
 
 const CHANNELS = "notification_channels";
 const INCIDENTS = "notification_incidents";
 
+// Webhook URLs embed their own credentials: with the secrets store configured
+// the URL is sealed into `targetEnc` and `target` only keeps scheme + host.
+const TARGET_FIELD = { sealed: "targetEnc", plain: "target", masked: maskUrl };
+
+function publicChannel(doc) {
+  const { targetEnc, ...rest } = doc;
+  const target = rest.type === "webhook" && !targetEnc && rest.target ? maskUrl(rest.target) : rest.target;
+  return { ...rest, target, sealed: isSealed(targetEnc) };
+}
+
+function channelTarget(ch) {
+  return isSealed(ch.targetEnc) ? openSecret(ch.targetEnc) : ch.target;
+}
+
 async function listChannels() {
   const db = getDb();
-  return db.collection(CHANNELS).find({}).sort({ createdAt: -1 }).toArray();
+  const rows = await db.collection(CHANNELS).find({}).sort({ createdAt: -1 }).toArray();
+  return rows.map(publicChannel);
 }
 
 async function addChannel({ name, type, target, enabled = true }) {
@@ -21,8 +44,11 @@ async function addChannel({ name, type, target, enabled = true }) {
     createdAt: new Date(),
     updatedAt: new Date(),
   };
+  if (doc.type === "webhook" && target && isSecretsConfigured()) {
+    Object.assign(doc, sealFieldUpdate(TARGET_FIELD, String(target)).$set);
+  }
   const res = await db.collection(CHANNELS).insertOne(doc);
-  return { ...doc, _id: res.insertedId };
+  return publicChannel({ ...doc, _id: res.insertedId });
 }
 
 async function removeChannel(id) {
@@ -76,9 +102,9 @@ async function emitNotification({ type, message, severity, meta }) {
 
   const results = [];
   for (const ch of channels) {
-    if (ch.type === "webhook" && ch.target) {
+    if (ch.type === "webhook" && (ch.target || ch.targetEnc)) {
       try {
-        const resp = await fetch(String(ch.target), {
+        const resp = await fetch(String(channelTarget(ch)), {
           method: "POST",
           headers: { "Content-Type": "application/json" },
           body: JSON.stringify({ type, message, severity, meta }),
@@ -100,6 +126,12 @@ async function emitNotification({ type, message, severity, meta }) {
   return { ok: true, delivered: results };
 }
 
+registerSealedFields({
+  label: "notification_channels",
+  collection: () => getDb().collection(CHANNELS),
+  fields: [TARGET_FIELD],
+});
+
 module.exports = {
   listChannels,
   addChannel,
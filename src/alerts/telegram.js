@@ -1,9 +1,16 @@
 const https = require("https");
 const { env } = require("../config");
 const { logger } = require("../logger");
+const { isSecretsConfigured, resolveSecret } = require("../security/secrets");
 
+// The bot token comes from the secrets store (telegram.bot_token) when present,
+// else TELEGRAM_BOT_TOKEN.
 function isEnabled() {
-  return String(env.TELEGRAM_ENABLED) === "true" && !!env.TELEGRAM_BOT_TOKEN && !!env.TELEGRAM_CHAT_ID;
+  return (
+    String(env.TELEGRAM_ENABLED) === "true" &&
+    !!env.TELEGRAM_CHAT_ID &&
+    (!!env.TELEGRAM_BOT_TOKEN || isSecretsConfigured())
+  );
 }
 
 function postJson(hostname, path, bodyObj) {
@@ -34,7 +41,9 @@ function postJson(hostname, path, bodyObj) {
 
 async function sendTelegramMessage(text) {
   if (!isEnabled()) return { skipped: true };
-  const path = `/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`;
+  const botToken = await resolveSecret("telegram.bot_token", env.TELEGRAM_BOT_TOKEN || null);
+  if (!botToken) return { skipped: true };
+  const path = `/bot${botToken}/sendMessage`;
   const parseMode = String(env.TELEGRAM_PARSE_MODE || "HTML").toUpperCase();
   const payload = {
     chat_id: env.TELEGRAM_CHAT_ID,
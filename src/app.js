@@ -3,7 +3,6 @@ const {
   env,
   runtimeKnobsPath,
   getRuntimeKnobsSnapshot,
-  updateRuntimeKnobs,
 } = require("./config");
 const {
   getPipeline,
@@ -12,6 +11,19 @@ const {
   getSessionStatus,
 } = require("./kite/tickerManager");
 const { isHalted, getHaltInfo, resetHalt } = require("./runtime/halt");
+const {
+  getActiveConfigVersion,
+  applyKnobChange,
+  listConfigVersions,
+  getConfigVersion,
+  diffConfigVersions,
+  rollbackConfig,
+} = require("./runtime/configVersions");
+const {
+  loadConfigPresets,
+  describeConfigPresets,
+  getActiveConfigPreset,
+} = require("./runtime/configPresets");
 const {
   getTradingEnabled,
   getTradingEnabledSource,
@@ -32,6 +44,14 @@ const {
 } = require("./trading/orderService");
 const { getRiskLimits, setRiskLimits } = require("./risk/riskLimits");
 const { getStrategyKpis } = require("./telemetry/strategyKpi");
+const {
+  listStrategies,
+  hasStrategy,
+  resolveStrategyParams,
+} = require("./strategy/registry");
+const { paramProfiles } = require("./strategy/paramProfiles");
+const { ensembleWeights, resolveMode } = require("./strategy/ensemble");
+const { regimeService } = require("./strategy/regimeService");
 const { getExecutionQuality } = require("./execution/executionStats");
 const { buildEodReport } = require("./reports/eodReport");
 const { marketHealth } = require("./market/marketHealth");
@@ -44,6 +64,15 @@ const {
   emitNotification,
 } = require("./alerts/notificationCenter");
 const { buildRbac } = require("./security/rbac");
+const { createApiKey, listApiKeys, revokeApiKey } = require("./security/apiKeys");
+const { redactSecrets } = require("./security/redact");
+const {
+  listSecrets,
+  putSecret,
+  deleteSecret,
+  rotateSecrets,
+  describeSecretsStore,
+} = require("./security/secrets");
 const {
   describeRetention,
   ensureRetentionIndexes,
@@ -56,13 +85,19 @@ const { getRecentCandles } = require("./market/candleStore");
 const { getLatestLtp, getLatestLtps } = require("./market/ltpStream");
 const { getQuoteGuardStats } = require("./kite/quoteGuard");
 const { exchangeAndStoreKiteSession } = require("./kite/kiteLogin");
+const { runKiteAutoLogin, getKiteAutoLoginStatus } = require("./kite/kiteAutoLogin");
 const {
   normalizeActiveTrade,
   normalizeTradeRow,
 } = require("./trading/tradeNormalization");
 const { STATUS } = require("./trading/tradeStateMachine");
+const { getActiveTrades, getTradeTimeline } = require("./trading/tradeStore");
+const { getTradeDetail, searchTrades, buildTradeSearchFilter } = require("./trading/tradeService");
+const tradeJournal = require("./trading/tradeJournal");
+const analytics = require("./reports/portfolioAnalytics");
+const { toCsv } = require("./utils/csv");
 const { reportFault, snapshotFaults } = require("./runtime/errorBus");
-const { getEngineLifecycleStatus } = require("./runtime/engineLifecycle");
+const { getEngineLifecycleStatus, reevaluateConfigPresets } = require("./runtime/engineLifecycle");
 
 
 
@@ -95,36 +130,6 @@ function normalizeKnobPatch(input) {
   return patch;
 }
 
-function buildAdminAuth() {
-  const expected = env.ADMIN_API_KEY;
-
-  // In production, we REQUIRE a key to avoid exposing kill switch, status, trades, etc.
-  if (!expected && env.NODE_ENV === "production") {
-    return (req, res) =>
-      res
-        .status(503)
-        .json({ ok: false, error: "ADMIN_API_KEY not configured" });
-  }
-
-  // In dev, if key is not set, allow.
-  if (!expected) {
-    return (req, res, next) => next();
-  }
-
-  return (req, res, next) => {
-    const xKey = req.header("x-api-key");
-    const auth = req.header("authorization") || "";
-    const bearer = auth.toLowerCase().startsWith("bearer ")
-      ? auth.slice(7).trim()
-      : null;
-
-    const provided = xKey || bearer;
-
-    if (provided && provided === expected) return next();
-    return res.status(401).json({ ok: false, error: "unauthorized" });
-  };
-}
-
 function isNeedsLoginHalt(haltInfo) {
   const reason = String(haltInfo?.reason || "").toUpperCase();
   return reason === "KITE_TOKEN_MISSING" || reason === "KITE_SESSION_INIT_FAILED";
@@ -305,19 +310,14 @@ function buildApp() {
     }
   });
 
-  // Protect ALL /admin/* endpoints
-  app.use("/admin", buildAdminAuth());
+  // Protect ALL /admin/* endpoints: every request runs as a principal
+  // (shared ADMIN_API_KEY, a per-user API key, or anonymous in open dev mode).
   const rbac = buildRbac();
-  app.use("/admin", rbac.roleMiddleware);
+  app.use("/admin", rbac.authMiddleware);
   const requirePerm = rbac.requirePermission;
 
   function actorFromReq(req) {
-    return (
-      req.header("x-user") ||
-      req.header("x-user-id") ||
-      req.header("x-api-key") ||
-      null
-    );
+    return req.principal?.actor || null;
   }
 
   function getKiteClient() {
@@ -339,7 +339,7 @@ function buildApp() {
 
   // Optional: FE can exchange request_token (if your Kite redirect_url points to FE).
   // In production, this endpoint is protected by ADMIN_API_KEY (same as other /admin routes).
-  app.post("/admin/kite/session", requirePerm("admin"), async (req, res) => {
+  app.post("/admin/kite/session", requirePerm("session:write"), async (req, res) => {
     const requestToken = req.body?.request_token;
     if (!requestToken) {
       return res
@@ -352,20 +352,213 @@ function buildApp() {
         requestToken,
         source: "admin-kite-session",
       });
+      await recordAudit({
+        actor: actorFromReq(req),
+        action: "kite_session",
+        resource: "kite_session",
+        status: "ok",
+        meta: { user_id: session?.user_id || null },
+      });
       return res.json({
         ok: true,
         user_id: session?.user_id || null,
         api_key: session?.api_key || null,
       });
     } catch (e) {
+      await recordAudit({
+        actor: actorFromReq(req),
+        action: "kite_session",
+        resource: "kite_session",
+        status: "error",
+        meta: { error: e?.message || String(e) },
+      }).catch(() => null);
       return res
         .status(500)
         .json({ ok: false, error: e?.message || "Login failed" });
     }
   });
 
+  // Unattended login (user_id/password/TOTP from the secrets store). Normally run
+  // by engineLifecycle before warmup; this is the manual retry.
+  app.get("/admin/kite/auto-login", requirePerm("read"), (req, res) => {
+    res.json({ ok: true, ...getKiteAutoLoginStatus(), lifecycle: getEngineLifecycleStatus()?.autoLogin || null });
+  });
+
+  app.post("/admin/kite/auto-login", requirePerm("session:write"), async (req, res) => {
+    try {
+      const result = await runKiteAutoLogin({
+        source: "admin-auto-login",
+        attempts: req.body?.attempts,
+        retryDelayMs: req.body?.retryDelayMs,
+      });
+      await recordAudit({
+        actor: actorFromReq(req),
+        action: "kite_auto_login",
+        resource: "kite_session",
+        status: result.ok ? "ok" : "error",
+        meta: { attempts: result.attempts, user_id: result.user_id || null, error: result.error || null },
+      });
+      return res.status(result.ok ? 200 : 502).json(result);
+    } catch (e) {
+      return res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Encrypted secrets store. Values are write-only over HTTP: reads return metadata.
+  app.get("/admin/secrets", requirePerm("secrets:read"), async (req, res) => {
+    try {
+      const store = describeSecretsStore();
+      const rows = store.configured ? await listSecrets() : [];
+      res.json({ ok: true, ...store, rows });
+    } catch (e) {
+      res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.put("/admin/secrets/:name", requirePerm("secrets:write"), async (req, res) => {
+    const value = req.body?.value;
+    if (value === undefined || value === null || String(value) === "") {
+      return res.status(400).json({ ok: false, error: "Missing value" });
+    }
+    try {
+      const secret = await putSecret(req.params.name, value, { actor: actorFromReq(req) });
+      await recordAudit({
+        actor: actorFromReq(req),
+        action: "secret_put",
+        resource: "secrets",
+        status: "ok",
+        meta: { name: secret.name, version: secret.version, keyId: secret.keyId },
+      });
+      return res.json({ ok: true, secret });
+    } catch (e) {
+      const status = /invalid secret name|not configured|master key/.test(e?.message || "") ? 400 : 503;
+      return res.status(status).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.delete("/admin/secrets/:name", requirePerm("secrets:write"), async (req, res) => {
+    try {
+      const deleted = await deleteSecret(req.params.name);
+      if (!deleted) return res.status(404).json({ ok: false, error: "secret_not_found" });
+      await recordAudit({
+        actor: actorFromReq(req),
+        action: "secret_delete",
+        resource: "secrets",
+        status: "ok",
+        meta: { name: req.params.name },
+      });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.post("/admin/secrets/rotate", requirePerm("secrets:write"), async (req, res) => {
+    try {
+      const names = Array.isArray(req.body?.names) ? req.body.names : null;
+      const result = await rotateSecrets({
+        names,
+        sealPlaintext: req.body?.sealPlaintext !== false,
+        actor: actorFromReq(req),
+      });
+      await recordAudit({
+        actor: actorFromReq(req),
+        action: "secrets_rotate",
+        resource: "secrets",
+        status: result.ok ? "ok" : "error",
+        meta: {
+          keyId: result.keyId,
+          rotated: result.store.rotated,
+          embedded: result.embedded.map(({ label, rotated, sealed, failed }) => ({ label, rotated, sealed, failed: failed.length })),
+        },
+      });
+      return res.status(result.ok ? 200 : 500).json(result);
+    } catch (e) {
+      return res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Caller identity and per-user API keys (security/apiKeys.js). The plaintext
+  // key is only in the create response; Mongo keeps its hash.
+  app.get("/admin/auth/whoami", requirePerm("read"), (req, res) => {
+    res.json({ ok: true, principal: req.principal || null });
+  });
+
+  app.get("/admin/auth/keys", requirePerm("keys:manage"), async (req, res) => {
+    try {
+      const rows = await listApiKeys({
+        user: req.query.user ? String(req.query.user) : null,
+        includeRevoked: parseBoolInput(req.query.includeRevoked, false),
+      });
+      res.json({ ok: true, rows });
+    } catch (e) {
+      res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.post("/admin/auth/keys", requirePerm("keys:manage"), async (req, res) => {
+    const body = req.body || {};
+    try {
+      const { key, apiKey } = await createApiKey({
+        user: body.user,
+        name: body.name,
+        role: body.role,
+        permissions: body.permissions,
+        expiresAt: body.expiresAt,
+        ttlDays: body.ttlDays,
+        grantor: req.principal,
+      });
+      await recordAudit({
+        actor: actorFromReq(req),
+        action: "api_key_create",
+        resource: "api_keys",
+        status: "ok",
+        meta: {
+          keyId: apiKey.keyId,
+          user: apiKey.user,
+          role: apiKey.role,
+          permissions: apiKey.permissions,
+          expiresAt: apiKey.expiresAt,
+        },
+      });
+      return res.json({ ok: true, key, apiKey });
+    } catch (e) {
+      const status = e?.code === "API_KEY_INVALID" ? 400 : e?.code === "API_KEY_FORBIDDEN" ? 403 : 503;
+      if (status !== 503) {
+        await recordAudit({
+          actor: actorFromReq(req),
+          action: "api_key_create",
+          resource: "api_keys",
+          status: "error",
+          meta: { user: body.user || null, role: body.role || null, error: e.message },
+        }).catch(() => null);
+      }
+      return res.status(status).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.post("/admin/auth/keys/:keyId/revoke", requirePerm("keys:manage"), async (req, res) => {
+    try {
+      const apiKey = await revokeApiKey(req.params.keyId, {
+        actor: actorFromReq(req),
+        reason: req.body?.reason,
+      });
+      if (!apiKey) return res.status(404).json({ ok: false, error: "api_key_not_found" });
+      await recordAudit({
+        actor: actorFromReq(req),
+        action: "api_key_revoke",
+        resource: "api_keys",
+        status: "ok",
+        meta: { keyId: apiKey.keyId, user: apiKey.user, reason: apiKey.revokeReason },
+      });
+      return res.json({ ok: true, apiKey });
+    } catch (e) {
+      return res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
   app.get("/admin/config", requirePerm("read"), (req, res) => {
-    res.json({
+    res.json(redactSecrets({
       tradingEnabled: getTradingEnabled(),
       tradingEnabledSource: getTradingEnabledSource(),
       tradingEnabledEnv: env.TRADING_ENABLED,
@@ -384,7 +577,8 @@ function buildApp() {
       reconcileIntervalSec: env.RECONCILE_INTERVAL_SEC,
       runtimeKnobsFile: runtimeKnobsPath,
       runtimeKnobs: getRuntimeKnobsSnapshot(),
-    });
+      secrets: describeSecretsStore(),
+    }));
   });
 
   app.get("/admin/config/knobs", requirePerm("read"), (req, res) => {
@@ -395,30 +589,143 @@ function buildApp() {
     });
   });
 
-  app.post("/admin/config/knobs", requirePerm("admin"), async (req, res) => {
+  app.post("/admin/config/knobs", requirePerm("config:write"), async (req, res) => {
+    const { reason: bodyReason, ...body } = req.body || {};
+    const reason = bodyReason ?? req.query?.reason ?? req.header("x-change-reason") ?? null;
     try {
-      const patch = normalizeKnobPatch(req.body || {});
-      const updated = updateRuntimeKnobs(patch);
+      const patch = normalizeKnobPatch(body);
+      const out = await applyKnobChange({ patch, actor: actorFromReq(req), reason });
 
       await recordAudit({
         actor: actorFromReq(req),
         action: "runtime_knobs_update",
         resource: "config",
         status: "ok",
-        meta: { keys: Object.keys(patch) },
+        meta: { keys: out.diff.map((d) => d.key), version: out.version, reason },
       });
 
       return res.json({
         ok: true,
         file: runtimeKnobsPath,
-        knobs: updated,
-        applied: Object.keys(patch),
+        ...out,
       });
     } catch (e) {
+      if (e?.code === "CONFIG_INVALID") {
+        await recordAudit({
+          actor: actorFromReq(req),
+          action: "runtime_knobs_update",
+          resource: "config",
+          status: "error",
+          meta: { keys: Object.keys(body), reason, errors: e.errors },
+        }).catch(() => null);
+        return res.status(400).json({ ok: false, error: "config_invalid", errors: e.errors });
+      }
       return res.status(400).json({ ok: false, error: e?.message || String(e) });
     }
   });
 
+  app.get("/admin/config/versions", requirePerm("read"), async (req, res) => {
+    try {
+      const rows = await listConfigVersions({
+        limit: req.query?.limit,
+        before: req.query?.before ?? null,
+      });
+      return res.json({ ok: true, active: getActiveConfigVersion(), rows });
+    } catch (e) {
+      return res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.get("/admin/config/diff", requirePerm("read"), async (req, res) => {
+    try {
+      const out = await diffConfigVersions({
+        from: req.query?.from ?? null,
+        to: req.query?.to ?? "current",
+      });
+      return res.json({ ok: true, ...out });
+    } catch (e) {
+      if (e?.code === "CONFIG_VERSION_NOT_FOUND") {
+        return res.status(404).json({ ok: false, error: e.message });
+      }
+      return res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.get("/admin/config/versions/:version", requirePerm("read"), async (req, res) => {
+    try {
+      const doc = await getConfigVersion(req.params.version);
+      if (!doc) return res.status(404).json({ ok: false, error: "config_version_not_found" });
+      return res.json({ ok: true, active: getActiveConfigVersion(), version: doc });
+    } catch (e) {
+      return res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.post("/admin/config/rollback/:version", requirePerm("config:write"), async (req, res) => {
+    const version = Number(req.params.version);
+    const reason = req.body?.reason ?? req.query?.reason ?? null;
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ ok: false, error: "invalid_version" });
+    }
+    try {
+      const out = await rollbackConfig(version, { actor: actorFromReq(req), reason });
+      await recordAudit({
+        actor: actorFromReq(req),
+        action: "runtime_knobs_rollback",
+        resource: "config",
+        status: "ok",
+        meta: { rollbackOf: version, version: out.version, keys: out.diff.map((d) => d.key), reason },
+      });
+      return res.json({ ok: true, file: runtimeKnobsPath, rollbackOf: version, ...out });
+    } catch (e) {
+      const status =
+        e?.code === "CONFIG_VERSION_NOT_FOUND" ? 404 : e?.code === "CONFIG_INVALID" ? 400 : 503;
+      await recordAudit({
+        actor: actorFromReq(req),
+        action: "runtime_knobs_rollback",
+        resource: "config",
+        status: "error",
+        meta: { rollbackOf: version, reason, error: e?.message || String(e) },
+      }).catch(() => null);
+      return res.status(status).json({
+        ok: false,
+        error: e?.message || String(e),
+        ...(e?.errors ? { errors: e.errors } : {}),
+      });
+    }
+  });
+
+  app.get("/admin/config/presets", requirePerm("read"), (req, res) => {
+    return res.json({
+      ok: true,
+      ...describeConfigPresets(),
+      nextCheckAt: getEngineLifecycleStatus()?.configPreset?.nextCheckAt || null,
+    });
+  });
+
+  app.post("/admin/config/presets/reload", requirePerm("config:write"), async (req, res) => {
+    try {
+      const { presets, errors } = loadConfigPresets({ force: true });
+      const evaluation = await reevaluateConfigPresets("reload");
+      await recordAudit({
+        actor: actorFromReq(req),
+        action: "config_presets_reload",
+        resource: "config",
+        status: "ok",
+        meta: { presets: presets.map((p) => p.name), errors: errors.length },
+      });
+      return res.json({
+        ok: true,
+        presets: presets.map((p) => p.name),
+        errors,
+        active: getActiveConfigPreset(),
+        evaluation,
+      });
+    } catch (e) {
+      return res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
   app.get("/admin/trading", requirePerm("read"), (req, res) => {
     res.json({
       ok: true,
@@ -427,7 +734,7 @@ function buildApp() {
     });
   });
 
-  app.post("/admin/trading", requirePerm("trade"), async (req, res) => {
+  app.post("/admin/trading", requirePerm("trade:toggle"), async (req, res) => {
     const raw = req.query?.enabled ?? req.body?.enabled;
     if (typeof raw === "undefined") {
       return res.status(400).json({
@@ -586,6 +893,7 @@ function buildApp() {
       const state = s?.dailyRiskState ?? s?.dailyRisk?.state ?? "RUNNING";
       const activeTrade = normalizeActiveTrade(s?.activeTrade);
       const activeTradeId = s?.activeTradeId ?? null;
+      const activeTrades = (s?.activeTrades || []).map((t) => normalizeActiveTrade(t));
       const targetMode =
         activeTrade?.optTargetMode ||
         (activeTrade?.targetVirtual ? "VIRTUAL" : null) ||
@@ -631,7 +939,13 @@ function buildApp() {
         needsKiteLogin: !tokenPresent || needsLogin,
         engineMode: lifecycle?.mode || "LEGACY",
         nextTransitionAt: lifecycle?.nextTransitionAt || null,
+        autoLogin: lifecycle?.autoLogin || null,
+        configVersion: getActiveConfigVersion(),
+        configPreset: getActiveConfigPreset(),
         tradingEnabled: s?.tradingEnabled ?? sessionStatus?.tradingEnabled ?? getTradingEnabled(),
+        tradingMode: sessionStatus?.tradingMode || env.TRADING_MODE || "live",
+        paper: sessionStatus?.paper || null,
+        broker: sessionStatus?.broker || null,
         tickerConnected: !!sessionStatus?.tickerConnected,
         pipelineReady: !!pipeline && !!sessionStatus?.pipelineReady,
         killSwitch: s?.killSwitch ?? false,
@@ -658,6 +972,7 @@ function buildApp() {
         state,
         activeTradeId,
         activeTrade,
+        activeTrades,
         tradeTracking,
         systemHealth,
         faults: s?.faults || snapshotFaults(),
@@ -679,7 +994,7 @@ function buildApp() {
 
   app.post(
     "/admin/market/calendar/reload",
-    requirePerm("admin"),
+    requirePerm("config:write"),
     async (req, res) => {
       try {
         const meta = await reloadMarketCalendar();
@@ -709,7 +1024,7 @@ function buildApp() {
 
   app.post(
     "/admin/cost/calibration/reload",
-    requirePerm("admin"),
+    requirePerm("config:write"),
     async (req, res) => {
       try {
         const r = await costCalibrator.reloadFromDb();
@@ -837,7 +1152,7 @@ function buildApp() {
 
   app.post(
     "/admin/db/retention/ensure",
-    requirePerm("admin"),
+    requirePerm("db:write"),
     async (req, res) => {
       try {
         const out = await ensureRetentionIndexes({ log: true });
@@ -856,7 +1171,7 @@ function buildApp() {
   );
 
   // PATCH: DB purge (delete all docs except keep list)
-  app.post("/admin/db/purge", requirePerm("admin"), async (req, res) => {
+  app.post("/admin/db/purge", requirePerm("db:purge"), async (req, res) => {
     try {
       if (String(env.DB_PURGE_ENABLED || "false") !== "true") {
         return res.status(403).json({ ok: false, error: "purge_disabled" });
@@ -935,7 +1250,7 @@ function buildApp() {
     }
   });
 
-  app.post("/admin/kill", requirePerm("trade"), async (req, res) => {
+  app.post("/admin/kill", requirePerm("trade:kill"), async (req, res) => {
     const enabled = parseBoolInput(req.body?.enabled, false);
     try {
       const pipeline = getPipelineSafe();
@@ -959,7 +1274,7 @@ function buildApp() {
   });
 
   // Reset runtime HALT (does NOT disable kill-switch). Useful after fixing a bad session/API error.
-  app.post("/admin/halt/reset", requirePerm("admin"), async (req, res) => {
+  app.post("/admin/halt/reset", requirePerm("risk:write"), async (req, res) => {
     try {
       resetHalt();
       await recordAudit({
@@ -974,6 +1289,20 @@ function buildApp() {
     }
   });
 
+  app.get("/admin/trades", requirePerm("read"), async (req, res) => {
+    try {
+      buildTradeSearchFilter(req.query || {});
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e?.message || String(e) });
+    }
+    try {
+      const result = await searchTrades(req.query || {});
+      res.json({ ok: true, ...result });
+    } catch (e) {
+      res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
   app.get("/admin/trades/recent", requirePerm("read"), async (req, res) => {
     try {
       const limitRaw = Number(req.query.limit ?? 10);
@@ -988,13 +1317,59 @@ function buildApp() {
         .sort({ createdAt: -1 })
         .limit(limit)
         .toArray();
+      const actives = await getActiveTrades();
 
-      res.json({ ok: true, rows: rows.map((row) => normalizeTradeRow(row)) });
+      res.json({
+        ok: true,
+        rows: rows.map((row) => normalizeTradeRow(row)),
+        activeTrades: actives.map((row) => normalizeTradeRow(row)),
+      });
     } catch (e) {
       res.status(503).json({ ok: false, error: e.message });
     }
   });
 
+  app.get("/admin/trades/:tradeId/timeline", requirePerm("read"), async (req, res) => {
+    try {
+      const timeline = await getTradeTimeline(String(req.params.tradeId));
+      if (!timeline) return res.status(404).json({ ok: false, error: "trade_not_found" });
+      res.json({ ok: true, ...timeline });
+    } catch (e) {
+      res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Portfolio analytics: JSON by default, `?format=csv` downloads the rows.
+  function analyticsRoute(path, build, csvName) {
+    app.get(path, requirePerm("read"), async (req, res) => {
+      try {
+        analytics.validateAnalyticsQuery(req.query || {});
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e?.message || String(e) });
+      }
+      try {
+        const out = await build(req.query || {});
+        if (String(req.query.format || "").toLowerCase() === "csv") {
+          const rows = out.rows || [out.metrics];
+          res.setHeader(
+            "Content-Disposition",
+            `attachment; filename="${csvName(out)}_${out.range.from}_${out.range.to}.csv"`,
+          );
+          return res.type("text/csv").send(toCsv(rows));
+        }
+        res.json({ ok: true, ...out });
+      } catch (e) {
+        res.status(503).json({ ok: false, error: e?.message || String(e) });
+      }
+    });
+  }
+
+  analyticsRoute("/admin/analytics/summary", analytics.getAnalyticsSummary, () => "summary");
+  analyticsRoute("/admin/analytics/equity", analytics.getEquityCurve, () => "equity");
+  analyticsRoute("/admin/analytics/periods", analytics.getPeriodStats, (o) => `periods_${o.period}`);
+  analyticsRoute("/admin/analytics/breakdown", analytics.getBreakdown, (o) => `breakdown_${o.by}`);
+  analyticsRoute("/admin/analytics/trades", analytics.getAnalyticsTrades, () => "trades");
+
   app.get("/admin/reports/eod", requirePerm("read"), async (req, res) => {
     try {
       const report = await buildEodReport({ day: req.query.day });
@@ -1089,6 +1464,146 @@ function buildApp() {
     },
   );
 
+  // Registered after the fixed /admin/trades/* paths so they are not shadowed.
+  app.get("/admin/trades/:tradeId", requirePerm("read"), async (req, res) => {
+    try {
+      const wantBroker = ["1", "true"].includes(String(req.query.broker || ""));
+      const detail = await getTradeDetail({
+        tradeId: String(req.params.tradeId),
+        kite: wantBroker ? getKiteClient() : null,
+      });
+      if (!detail) return res.status(404).json({ ok: false, error: "trade_not_found" });
+      res.json({ ok: true, ...detail });
+    } catch (e) {
+      res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Trade journal (post-session review): tags, rating, notes, candle snapshot.
+  async function auditJournal(req, action, meta) {
+    await recordAudit({
+      actor: actorFromReq(req),
+      action,
+      resource: "trade_journal",
+      status: "ok",
+      meta: { tradeId: String(req.params.tradeId), ...(meta || {}) },
+    });
+  }
+
+  app.get("/admin/trades/:tradeId/journal", requirePerm("read"), async (req, res) => {
+    try {
+      const journal = await tradeJournal.getJournal(String(req.params.tradeId));
+      if (!journal) return res.status(404).json({ ok: false, error: "trade_not_found" });
+      res.json({ ok: true, journal });
+    } catch (e) {
+      res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.put("/admin/trades/:tradeId/journal", requirePerm("trade:journal"), async (req, res) => {
+    try {
+      const { tags, rating } = req.body || {};
+      const journal = await tradeJournal.setJournal(String(req.params.tradeId), { tags, rating });
+      if (!journal) return res.status(404).json({ ok: false, error: "trade_not_found" });
+      await auditJournal(req, "trade_journal_update", { tags: journal.tags, rating: journal.rating });
+      res.json({ ok: true, journal });
+    } catch (e) {
+      res.status(400).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.delete("/admin/trades/:tradeId/journal", requirePerm("trade:journal"), async (req, res) => {
+    try {
+      const deleted = await tradeJournal.deleteJournal(String(req.params.tradeId));
+      if (!deleted) return res.status(404).json({ ok: false, error: "journal_not_found" });
+      await auditJournal(req, "trade_journal_delete");
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.post("/admin/trades/:tradeId/journal/notes", requirePerm("trade:journal"), async (req, res) => {
+    try {
+      const note = await tradeJournal.addJournalNote(String(req.params.tradeId), {
+        text: req.body?.text,
+        author: actorFromReq(req),
+      });
+      if (!note) return res.status(404).json({ ok: false, error: "trade_not_found" });
+      await auditJournal(req, "trade_journal_note_add", { noteId: note.id });
+      res.json({ ok: true, note });
+    } catch (e) {
+      res.status(400).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.patch(
+    "/admin/trades/:tradeId/journal/notes/:noteId",
+    requirePerm("trade:journal"),
+    async (req, res) => {
+      try {
+        const note = await tradeJournal.updateJournalNote(
+          String(req.params.tradeId),
+          String(req.params.noteId),
+          { text: req.body?.text },
+        );
+        if (!note) return res.status(404).json({ ok: false, error: "note_not_found" });
+        await auditJournal(req, "trade_journal_note_update", { noteId: note.id });
+        res.json({ ok: true, note });
+      } catch (e) {
+        res.status(400).json({ ok: false, error: e?.message || String(e) });
+      }
+    },
+  );
+
+  app.delete(
+    "/admin/trades/:tradeId/journal/notes/:noteId",
+    requirePerm("trade:journal"),
+    async (req, res) => {
+      try {
+        const deleted = await tradeJournal.deleteJournalNote(
+          String(req.params.tradeId),
+          String(req.params.noteId),
+        );
+        if (!deleted) return res.status(404).json({ ok: false, error: "note_not_found" });
+        await auditJournal(req, "trade_journal_note_delete", { noteId: String(req.params.noteId) });
+        res.json({ ok: true });
+      } catch (e) {
+        res.status(503).json({ ok: false, error: e?.message || String(e) });
+      }
+    },
+  );
+
+  app.post("/admin/trades/:tradeId/journal/snapshot", requirePerm("trade:journal"), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const snapshot = await tradeJournal.captureJournalSnapshot(String(req.params.tradeId), {
+        intervalMin: body.intervalMin,
+        before: body.before,
+        after: body.after,
+      });
+      if (!snapshot) return res.status(404).json({ ok: false, error: "trade_not_found" });
+      await auditJournal(req, "trade_journal_snapshot", {
+        intervalMin: snapshot.intervalMin,
+        source: snapshot.source,
+        candles: snapshot.candles,
+      });
+      res.json({ ok: true, snapshot });
+    } catch (e) {
+      res.status(400).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.get("/admin/trades/:tradeId/journal/snapshot.svg", requirePerm("read"), async (req, res) => {
+    try {
+      const svg = await tradeJournal.getJournalSnapshotSvg(String(req.params.tradeId));
+      if (!svg) return res.status(404).json({ ok: false, error: "snapshot_not_available" });
+      res.type("image/svg+xml").send(svg);
+    } catch (e) {
+      res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
   // Account / equity service
   app.get("/admin/account/equity", requirePerm("read"), async (req, res) => {
     try {
@@ -1185,7 +1700,7 @@ function buildApp() {
     }
   });
 
-  app.post("/admin/risk/limits", requirePerm("admin"), async (req, res) => {
+  app.post("/admin/risk/limits", requirePerm("risk:write"), async (req, res) => {
     try {
       const limits = await setRiskLimits(req.body || {});
       const pipeline = getPipeline();
@@ -1214,6 +1729,147 @@ function buildApp() {
     }
   });
 
+  // Strategy plugins + parameter profiles
+  app.get("/admin/strategy/plugins", requirePerm("read"), (req, res) => {
+    try {
+      res.json({ ok: true, rows: listStrategies() });
+    } catch (e) {
+      res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.get("/admin/strategy/ensemble", requirePerm("read"), (req, res) => {
+    try {
+      res.json({
+        ok: true,
+        mode: resolveMode(env.ENSEMBLE_MODE),
+        weights: ensembleWeights.snapshot(),
+        stats: telemetry.snapshot()?.ensemble || null,
+      });
+    } catch (e) {
+      res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.get("/admin/strategy/profiles", requirePerm("read"), async (req, res) => {
+    try {
+      const rows = await paramProfiles.list({
+        strategyId: req.query.strategyId,
+        activeOnly: parseBoolInput(req.query.activeOnly, false),
+      });
+      res.json({ ok: true, rows, cache: paramProfiles.snapshot() });
+    } catch (e) {
+      res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.get(
+    "/admin/strategy/profiles/diff",
+    requirePerm("read"),
+    async (req, res) => {
+      try {
+        const { strategyId, a, b } = req.query;
+        if (!strategyId || !a || !b) {
+          return res.status(400).json({
+            ok: false,
+            error: "missing_params",
+            hint: "send strategyId, a=name[@version], b=name[@version]",
+          });
+        }
+        const diff = await paramProfiles.diff({ strategyId, a, b });
+        return res.json({ ok: true, strategyId, ...diff });
+      } catch (e) {
+        return res.status(404).json({ ok: false, error: e?.message || String(e) });
+      }
+    },
+  );
+
+  app.get(
+    "/admin/strategy/profiles/resolve",
+    requirePerm("read"),
+    (req, res) => {
+      const strategyId = String(req.query.strategyId || "");
+      if (!hasStrategy(strategyId)) {
+        return res.status(404).json({ ok: false, error: "unknown_strategy" });
+      }
+      const profile = paramProfiles.resolve({
+        strategyId,
+        instrument_token: req.query.token,
+        underlying: req.query.underlying,
+        intervalMin: req.query.intervalMin,
+        regime: req.query.regime,
+      });
+      const resolved = resolveStrategyParams(strategyId, profile?.params);
+      return res.json({
+        ok: resolved.ok,
+        strategyId,
+        profile,
+        params: resolved.params,
+        error: resolved.error || null,
+      });
+    },
+  );
+
+  app.post("/admin/strategy/profiles", requirePerm("strategy:write"), async (req, res) => {
+    try {
+      const body = req.body || {};
+      if (!hasStrategy(body.strategyId)) {
+        return res.status(400).json({ ok: false, error: "unknown_strategy" });
+      }
+      const profile = await paramProfiles.create(body, {
+        actor: actorFromReq(req),
+        validate: resolveStrategyParams,
+      });
+      await recordAudit({
+        actor: actorFromReq(req),
+        action: "strategy_profile_create",
+        resource: "strategy",
+        status: "ok",
+        meta: {
+          strategyId: profile.strategyId,
+          name: profile.name,
+          version: profile.version,
+          activated: !!profile.active,
+        },
+      });
+      return res.json({ ok: true, profile });
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.post(
+    "/admin/strategy/profiles/:strategyId/:name/activate",
+    requirePerm("strategy:write"),
+    async (req, res) => {
+      try {
+        const version = Number(req.body?.version ?? req.query?.version);
+        if (!Number.isFinite(version)) {
+          return res.status(400).json({ ok: false, error: "missing_version" });
+        }
+        const profile = await paramProfiles.activate({
+          strategyId: req.params.strategyId,
+          name: req.params.name,
+          version,
+        });
+        await recordAudit({
+          actor: actorFromReq(req),
+          action: "strategy_profile_activate",
+          resource: "strategy",
+          status: "ok",
+          meta: {
+            strategyId: profile.strategyId,
+            name: profile.name,
+            version: profile.version,
+          },
+        });
+        return res.json({ ok: true, profile });
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e?.message || String(e) });
+      }
+    },
+  );
+
   // Execution quality stats
   app.get("/admin/execution/quality", requirePerm("read"), async (req, res) => {
     try {
@@ -1239,6 +1895,27 @@ function buildApp() {
     }
   });
 
+  // Market regime (hysteresis state + today's timeline)
+  app.get("/admin/regime", requirePerm("read"), (req, res) => {
+    try {
+      res.json({ ok: true, ...regimeService.snapshot() });
+    } catch (e) {
+      res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  app.get("/admin/regime/timeline", requirePerm("read"), async (req, res) => {
+    try {
+      const rows = await regimeService.timeline({
+        underlying: req.query.underlying || null,
+        day: req.query.day || null,
+      });
+      res.json({ ok: true, count: rows.length, rows });
+    } catch (e) {
+      res.status(503).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
   // Market data health
   app.get("/admin/market/health", requirePerm("read"), (req, res) => {
     try {
@@ -1276,7 +1953,7 @@ function buildApp() {
     }
   });
 
-  app.post("/admin/alerts/channels", requirePerm("admin"), async (req, res) => {
+  app.post("/admin/alerts/channels", requirePerm("alerts:write"), async (req, res) => {
     try {
       const channel = await addChannel(req.body || {});
       await recordAudit({
@@ -1294,7 +1971,7 @@ function buildApp() {
 
   app.delete(
     "/admin/alerts/channels/:id",
-    requirePerm("admin"),
+    requirePerm("alerts:write"),
     async (req, res) => {
       try {
         await removeChannel(req.params.id);
@@ -1322,7 +1999,7 @@ function buildApp() {
     }
   });
 
-  app.post("/admin/alerts/test", requirePerm("admin"), async (req, res) => {
+  app.post("/admin/alerts/test", requirePerm("alerts:write"), async (req, res) => {
     try {
       const payload = {
         type: req.body?.type || "test",
@@ -1349,9 +2026,10 @@ function buildApp() {
     res.json({
       ok: true,
       enabled: rbac.enabled,
-      header: rbac.header,
       defaultRole: rbac.defaultRole,
       roles: rbac.roles,
+      permissions: rbac.permissions,
+      principal: req.principal || null,
     });
   });
 
@@ -1381,7 +2059,7 @@ function buildApp() {
     },
   );
 
-  app.post("/admin/telemetry/flush", requirePerm("admin"), async (req, res) => {
+  app.post("/admin/telemetry/flush", requirePerm("ops:write"), async (req, res) => {
     try {
       const out = await telemetry.flush();
       await recordAudit({
@@ -1436,7 +2114,7 @@ function buildApp() {
 
   app.post(
     "/admin/trade-telemetry/flush",
-    requirePerm("admin"),
+    requirePerm("ops:write"),
     async (req, res) => {
       try {
         const out = await tradeTelemetry.flush();
@@ -1492,7 +2170,7 @@ function buildApp() {
   // Force persistence flush (DB-persisted optimizer state)
   app.post(
     "/admin/optimizer/flush",
-    requirePerm("admin"),
+    requirePerm("strategy:write"),
     async (req, res) => {
       try {
         const out = await optimizer.flushState({ force: true });
@@ -1511,7 +2189,7 @@ function buildApp() {
 
   app.post(
     "/admin/optimizer/reload",
-    requirePerm("admin"),
+    requirePerm("strategy:write"),
     async (req, res) => {
       try {
         const out = await optimizer.reloadFromDb();
@@ -1528,7 +2206,7 @@ function buildApp() {
     },
   );
 
-  app.post("/admin/optimizer/reset", requirePerm("admin"), (req, res) => {
+  app.post("/admin/optimizer/reset", requirePerm("strategy:write"), (req, res) => {
     try {
       optimizer.reset();
       void recordAudit({
@@ -1,4 +1,5 @@
 const { getDb } = require("../db");
+const { redactSecrets } = require("../security/redact");
 
 const COLLECTION = "audit_logs";
 
@@ -15,7 +16,7 @@ async function recordAudit({ actor, action, resource, meta, status } = {}) {
     action: action || "UNKNOWN",
     resource: resource || null,
     status: status || "ok",
-    meta: meta || null,
+    meta: meta ? redactSecrets(meta) : null,
     createdAt: new Date(),
   };
 
@@ -31,7 +32,8 @@ async function listAuditLogs({ limit = 100 } = {}) {
     .sort({ createdAt: -1 })
     .limit(Math.max(1, Math.min(limit, 500)))
     .toArray();
-  return rows;
+  // Entries written before redaction existed are masked on the way out.
+  return rows.map(redactSecrets);
 }
 
 module.exports = { recordAudit, listAuditLogs };
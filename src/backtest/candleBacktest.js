@@ -0,0 +1,748 @@
+const { DateTime } = require("luxon");
+
+const config = require("../config");
+const { getSessionForDateTime } = require("../market/marketCalendar");
+const { evaluateOnCandles } = require("../strategy/replayEngine");
+const { createRegimeTracker } = require("../strategy/regimeService");
+const { computeDynamicExitPlan } = require("../trading/dynamicExitManager");
+const { estimateRoundTripCostInr } = require("../trading/costModel");
+const { buildTradePlan } = require("../trading/planBuilder");
+const { createBacktestClock } = require("./clock");
+const { applyExecutionRealism, seeded } = require("./executionRealism");
+const { simulateOrderLifecycle } = require("./eventBrokerSimulator");
+
+/**
+ * Candle-close backtest loop shared by scripts/bt_run.js and the walk-forward
+ * optimizer: replay signals (evaluateOnCandles) -> trade plan (buildTradePlan)
+ * -> dynamic exits (computeDynamicExitPlan) -> execution realism and costs
+ * (estimateRoundTripCostInr).
+ *
+ * `env` is passed through to the plan/exit/cost models so a run can override
+ * knobs (RR_TARGET, TRAIL_*, ...) without touching process env. Strategy
+ * parameters are overridden per strategy via `strategyParams`.
+ */
+
+function resolveExitPrice({
+  side,
+  candle,
+  stopLoss,
+  targetPrice,
+  conservative = true,
+}) {
+  const high = Number(candle?.high);
+  const low = Number(candle?.low);
+  const close = Number(candle?.close);
+
+  const hasStop = Number.isFinite(stopLoss);
+  const hasTarget = Number.isFinite(targetPrice);
+
+  if (side === "BUY") {
+    const stopHit = hasStop && Number.isFinite(low) && low <= stopLoss;
+    const targetHit = hasTarget && Number.isFinite(high) && high >= targetPrice;
+    if (stopHit && targetHit) {
+      return {
+        hit: true,
+        reason: conservative ? "STOPLOSS" : "TARGET",
+        price: conservative ? stopLoss : targetPrice,
+      };
+    }
+    if (stopHit) return { hit: true, reason: "STOPLOSS", price: stopLoss };
+    if (targetHit) return { hit: true, reason: "TARGET", price: targetPrice };
+  } else {
+    const stopHit = hasStop && Number.isFinite(high) && high >= stopLoss;
+    const targetHit = hasTarget && Number.isFinite(low) && low <= targetPrice;
+    if (stopHit && targetHit) {
+      return {
+        hit: true,
+        reason: conservative ? "STOPLOSS" : "TARGET",
+        price: conservative ? stopLoss : targetPrice,
+      };
+    }
+    if (stopHit) return { hit: true, reason: "STOPLOSS", price: stopLoss };
+    if (targetHit) return { hit: true, reason: "TARGET", price: targetPrice };
+  }
+
+  if (Number.isFinite(close)) return { hit: false, reason: null, price: close };
+  return { hit: false, reason: null, price: null };
+}
+
+function isTargetEnabledForMode(mode, env) {
+  if (String(mode).toUpperCase() === "OPT") {
+    return String(env.OPT_TP_ENABLED || "false") === "true";
+  }
+  return true;
+}
+
+function buildBacktestTradePlan({
+  mode,
+  env,
+  intervalMin,
+  replaySlice,
+  baseCandle,
+  pendingEntry,
+  optionProvider,
+  tradedCandle,
+}) {
+  const entryUnderlying = Number(baseCandle?.close);
+  const regimeMeta = pendingEntry?.sig?.regimeMeta || null;
+  const atr = Number(regimeMeta?.atr);
+  const close = Number(regimeMeta?.close);
+  const atrPctUnderlying =
+    Number.isFinite(atr) && Number.isFinite(close) && close > 0
+      ? (atr / close) * 100
+      : null;
+
+  const isOpt = String(mode).toUpperCase() === "OPT";
+  const optionMeta = isOpt
+    ? {
+        strategyStyle: pendingEntry?.sig?.strategyStyle || null,
+        optionType:
+          pendingEntry?.selectedContract?.snapshot?.optionType || null,
+        strike:
+          Number(pendingEntry?.selectedContract?.selected?.strike ?? 0) || null,
+        expiry: pendingEntry?.selectedContract?.selected?.expiry || null,
+        delta: Number(pendingEntry?.selectedContract?.selected?.greeks?.delta),
+        gamma: Number(pendingEntry?.selectedContract?.selected?.greeks?.gamma),
+      }
+    : null;
+
+  const premiumCandles =
+    isOpt && pendingEntry?.selectedContract?.selectedToken
+      ? optionProvider?.getCandlesUpToTs?.(
+          pendingEntry.selectedContract.selectedToken,
+          baseCandle.ts,
+        ) || null
+      : null;
+
+  const plan = buildTradePlan({
+    env,
+    candles: replaySlice,
+    premiumCandles,
+    intervalMin,
+    side: pendingEntry?.side,
+    signalStyle: pendingEntry?.sig?.strategyStyle,
+    entryUnderlying,
+    expectedMoveUnderlying: Number(regimeMeta?.expectedMovePerShare),
+    atrPeriod: Number(env.EXPECTED_MOVE_ATR_PERIOD ?? 14),
+    optionMeta,
+    entryPremium: isOpt ? Number(tradedCandle?.close) : null,
+    premiumTick: Number(
+      pendingEntry?.selectedContract?.selected?.instrument?.tick_size ?? 0.05,
+    ),
+    atrPctUnderlying,
+    nowTs: new Date(baseCandle.ts).getTime(),
+  });
+  return plan;
+}
+
+/**
+ * Run one backtest over `candles` (sorted by ts). The first `warmup` candles
+ * only seed indicators. Returns { trades, equityCurve, equity, maxDrawdownInr }.
+ */
+function runCandleBacktest({
+  candles,
+  token,
+  intervalMin,
+  mode = "EQ",
+  env = config.env,
+  warmup = 80,
+  qty = 1,
+  rrTarget = 1.4,
+  slPct = 0.7,
+  slipBps = 3,
+  seed = 42,
+  rng = seeded(seed),
+  execRealism = true,
+  eventBroker = true,
+  execCalibration = null,
+  partialFillProbability = 0.15,
+  minPartialFillRatio = 0.35,
+  forceEodExit = false,
+  timezone = config.env.CANDLE_TZ || "Asia/Kolkata",
+  optionProvider = null,
+  dynamicContracts = false,
+  optionType = "CE",
+  tokenInstrument = null,
+  strategyIds = null,
+  strategyParams = null,
+  regimeTracker = createRegimeTracker(),
+}) {
+  if (!Array.isArray(candles) || !candles.length) {
+    return { trades: [], equityCurve: [], equity: 0, maxDrawdownInr: 0 };
+  }
+  const clock = createBacktestClock(candles[0].ts);
+  const trades = [];
+  const equityCurve = [];
+  let openTrade = null;
+  let pendingEntry = null;
+  let pendingExit = null;
+  let equity = 0;
+  let peak = 0;
+  let maxDD = 0;
+
+  const replaySlice = [];
+  for (let i = 0; i < candles.length; i += 1) {
+    const candle = candles[i];
+    replaySlice.push(candle);
+    if (i < warmup) continue;
+    clock.set(candle.ts);
+    const nowMs = clock.nowMs();
+
+    if (pendingEntry && !openTrade && i >= pendingEntry.executeAtIdx) {
+      const baseCandle = candle;
+      const tradedCandle =
+        mode === "OPT" && pendingEntry.selectedContract?.selectedToken
+          ? optionProvider?.getCandleAtTs?.(
+              pendingEntry.selectedContract.selectedToken,
+              baseCandle.ts,
+            ) || null
+          : baseCandle;
+      const rawEntry = Number(tradedCandle?.close);
+      if (Number.isFinite(rawEntry) && rawEntry > 0) {
+        const entryExecModel = {
+          spreadBps: execCalibration?.avgSpreadBps ?? 0,
+          slippageBps: (execCalibration?.avgEntrySlipBps ?? 0) + slipBps,
+          partialFillProbability,
+          minPartialFillRatio,
+          eventBroker,
+          latencyBars: 0,
+          tickSize: Number(
+            pendingEntry.selectedContract?.selected?.instrument?.tick_size ??
+              0.05,
+          ),
+        };
+        const exec = execRealism
+          ? eventBroker
+            ? simulateOrderLifecycle({
+                side: pendingEntry.side,
+                intent: { type: "MARKET", price: rawEntry },
+                candle: tradedCandle || baseCandle,
+                qty: pendingEntry.qty,
+                nowTs: nowMs,
+                model: entryExecModel,
+                rand: rng,
+              })
+            : applyExecutionRealism({
+                side: pendingEntry.side,
+                intendedPrice: rawEntry,
+                candle: tradedCandle || baseCandle,
+                qty: pendingEntry.qty,
+                rand: rng,
+                model: entryExecModel,
+              })
+          : null;
+
+        const entryPrice = Number(exec?.avgFillPrice ?? rawEntry);
+        const filledQty = Number(exec?.filledQty ?? pendingEntry.qty);
+        if (filledQty > 0 && Number.isFinite(entryPrice) && entryPrice > 0) {
+          const fallbackRiskPts = Math.max(0.05, entryPrice * (slPct / 100));
+          const fallbackStopLoss =
+            pendingEntry.side === "BUY"
+              ? entryPrice - fallbackRiskPts
+              : entryPrice + fallbackRiskPts;
+          const fallbackTargetPrice =
+            pendingEntry.side === "BUY"
+              ? entryPrice + rrTarget * fallbackRiskPts
+              : entryPrice - rrTarget * fallbackRiskPts;
+          const plan = buildBacktestTradePlan({
+            mode,
+            env,
+            intervalMin,
+            replaySlice,
+            baseCandle,
+            pendingEntry,
+            optionProvider,
+            tradedCandle,
+          });
+          const stopLoss = Number.isFinite(Number(plan?.stopLoss))
+            ? Number(plan.stopLoss)
+            : fallbackStopLoss;
+          const targetEnabled = isTargetEnabledForMode(mode, env);
+          const targetPrice = targetEnabled
+            ? Number.isFinite(Number(plan?.targetPrice))
+              ? Number(plan.targetPrice)
+              : fallbackTargetPrice
+            : null;
+          const plannedRr = Number.isFinite(Number(plan?.rr))
+            ? Number(plan.rr)
+            : rrTarget;
+
+          openTrade = {
+            side: pendingEntry.side,
+            qty: filledQty,
+            initialQty: filledQty,
+            requestedQty: pendingEntry.qty,
+            entryTs: candle.ts,
+            entryPlacedAt: pendingEntry.signalTs,
+            entryFilledAt: candle.ts,
+            createdAt: candle.ts,
+            updatedAt: candle.ts,
+            entryIdx: i,
+            entryPrice,
+            lastLtp: entryPrice,
+            stopLoss,
+            initialStopLoss: stopLoss,
+            targetPrice,
+            rr: plannedRr,
+            planMeta: plan?.meta || null,
+            planOk: !!plan?.ok,
+            planFallbackReason: plan?.ok ? null : plan?.reason || null,
+            strategyId: pendingEntry.sig.strategyId,
+            confidence: Number(pendingEntry.sig.confidence ?? 0),
+            signalReason: pendingEntry.sig.reason || null,
+            multiTf: pendingEntry.sig.multiTf || null,
+            mode,
+            contractToken:
+              pendingEntry.selectedContract?.selectedToken || Number(token),
+            optionSnapshot: pendingEntry.selectedContract?.snapshot || null,
+            option_meta:
+              mode === "OPT"
+                ? {
+                    optType: optionType,
+                    strike:
+                      Number(
+                        pendingEntry.selectedContract?.selected?.strike ?? 0,
+                      ) || null,
+                    expiry:
+                      pendingEntry.selectedContract?.selected?.expiryISO ||
+                      null,
+                    underlyingToken: Number(token),
+                  }
+                : null,
+            executionModel: exec || null,
+            entryExecutionModel: exec || null,
+            instrument: instrumentFromContract({
+              fallbackToken: Number(token),
+              fallbackInstrument: tokenInstrument,
+              selected: pendingEntry.selectedContract?.selected,
+              mode,
+            }),
+            exitFills: [],
+            realizedGrossPnl: 0,
+            realizedCostInr: 0,
+            realizedNetPnl: 0,
+          };
+        }
+      }
+      pendingEntry = null;
+    }
+
+    if (openTrade) {
+      const underlyingCandle = candle;
+      const tradedCandle =
+        mode === "OPT" && openTrade?.contractToken
+          ? optionProvider?.getCandleAtTs?.(
+              openTrade.contractToken,
+              underlyingCandle.ts,
+            ) || null
+          : underlyingCandle;
+      const managedCandles =
+        mode === "OPT" && openTrade?.contractToken
+          ? upsertOptionManagedCandles({
+              optionProvider,
+              token: openTrade.contractToken,
+              ts: underlyingCandle.ts,
+              trade: openTrade,
+            })
+          : replaySlice;
+      const ltp = Number(tradedCandle?.close);
+      if (Number.isFinite(ltp) && ltp > 0) openTrade.lastLtp = ltp;
+
+      const plan = computeDynamicExitPlan({
+        trade: openTrade,
+        ltp: Number.isFinite(ltp) && ltp > 0 ? ltp : Number(openTrade.lastLtp),
+        candles: managedCandles,
+        nowTs: nowMs,
+        env,
+        underlyingLtp: Number(underlyingCandle.close),
+      });
+
+      if (plan?.tradePatch && Object.keys(plan.tradePatch).length)
+        Object.assign(openTrade, plan.tradePatch);
+      openTrade.updatedAt = new Date(nowMs);
+
+      if (Number.isFinite(Number(plan?.sl?.stopLoss)))
+        openTrade.stopLoss = Number(plan.sl.stopLoss);
+      if (Number.isFinite(Number(plan?.target?.targetPrice)))
+        openTrade.targetPrice = Number(plan.target.targetPrice);
+
+      const pricePathCandle =
+        tradedCandle ||
+        (Number.isFinite(Number(openTrade.lastLtp))
+          ? {
+              open: openTrade.lastLtp,
+              high: openTrade.lastLtp,
+              low: openTrade.lastLtp,
+              close: openTrade.lastLtp,
+              ts: underlyingCandle.ts,
+            }
+          : null);
+
+      const pathExit = resolveExitPrice({
+        side: openTrade.side,
+        candle: pricePathCandle,
+        stopLoss: openTrade.stopLoss,
+        targetPrice: isTargetEnabledForMode(mode, env)
+          ? openTrade.targetPrice
+          : null,
+        conservative: true,
+      });
+
+      if (!pendingExit) {
+        const forceExit = plan?.action?.exitNow;
+        const eodBoundary = forceEodExit
+          ? evaluateEodBoundary({ candles, idx: i, intervalMin, timezone })
+          : null;
+        if (pathExit.hit || forceExit || eodBoundary?.shouldExitNow) {
+          const basePx = forceExit
+            ? Number.isFinite(ltp) && ltp > 0
+              ? ltp
+              : Number(openTrade.lastLtp ?? underlyingCandle.close)
+            : pathExit.price;
+          const exitBasePx =
+            eodBoundary?.shouldExitNow && !pathExit.hit && !forceExit
+              ? Number.isFinite(ltp) && ltp > 0
+                ? ltp
+                : Number(openTrade.lastLtp ?? underlyingCandle.close)
+              : basePx;
+          const latencyBars = Math.max(
+            0,
+            Math.round(
+              (execCalibration?.avgFillLatencyMs || 0) /
+                (intervalMin * 60 * 1000),
+            ),
+          );
+          pendingExit = {
+            executeAtIdx: i + latencyBars,
+            basePx: exitBasePx,
+            reason: forceExit
+              ? String(plan?.action?.reason || "DYNAMIC_EXIT")
+              : eodBoundary?.shouldExitNow && !pathExit.hit
+                ? eodBoundary.reason
+                : pathExit.reason,
+            triggeredAt: underlyingCandle.ts,
+          };
+        }
+      }
+
+      if (pendingExit && i >= pendingExit.executeAtIdx) {
+        const execModel = {
+          spreadBps: execCalibration?.avgSpreadBps ?? 0,
+          slippageBps: (execCalibration?.avgEntrySlipBps ?? 0) + slipBps,
+          partialFillProbability,
+          minPartialFillRatio,
+          eventBroker,
+          latencyBars: 0,
+          tickSize: openTrade?.instrument?.tick_size || 0.05,
+        };
+        const exec = execRealism
+          ? eventBroker
+            ? simulateOrderLifecycle({
+                side: openTrade.side === "BUY" ? "SELL" : "BUY",
+                intent: { type: "MARKET", price: pendingExit.basePx },
+                candle: pricePathCandle || underlyingCandle,
+                qty: openTrade.qty,
+                nowTs: nowMs,
+                model: execModel,
+                rand: rng,
+              })
+            : applyExecutionRealism({
+                side: openTrade.side === "BUY" ? "SELL" : "BUY",
+                intendedPrice: pendingExit.basePx,
+                candle: pricePathCandle || underlyingCandle,
+                qty: openTrade.qty,
+                rand: rng,
+                model: execModel,
+              })
+          : null;
+
+        const exitPrice = Number(exec?.avgFillPrice ?? pendingExit.basePx);
+        const filledQty = Math.max(
+          0,
+          Math.min(
+            Number(openTrade.qty ?? 0),
+            Number(exec?.filledQty ?? openTrade.qty),
+          ),
+        );
+        if (filledQty > 0 && Number.isFinite(exitPrice)) {
+          const signed = openTrade.side === "BUY" ? 1 : -1;
+          const grossPnl =
+            (exitPrice - openTrade.entryPrice) * filledQty * signed;
+          const costs = estimateRoundTripCostInr({
+            entryPrice: (openTrade.entryPrice + exitPrice) / 2,
+            qty: filledQty,
+            spreadBps: 0,
+            env,
+            instrument: openTrade.instrument,
+          });
+          const netPnl = grossPnl - Number(costs.estCostInr ?? 0);
+
+          openTrade.qty -= filledQty;
+          openTrade.realizedGrossPnl =
+            Number(openTrade.realizedGrossPnl ?? 0) + grossPnl;
+          openTrade.realizedCostInr =
+            Number(openTrade.realizedCostInr ?? 0) +
+            Number(costs.estCostInr ?? 0);
+          openTrade.realizedNetPnl =
+            Number(openTrade.realizedNetPnl ?? 0) + netPnl;
+          openTrade.exitFills.push({
+            ts: underlyingCandle.ts,
+            qty: filledQty,
+            price: exitPrice,
+            reason: pendingExit.reason,
+            executionModel: exec || null,
+          });
+
+          equity += netPnl;
+          peak = Math.max(peak, equity);
+          maxDD = Math.min(maxDD, equity - peak);
+          equityCurve.push({
+            ts: underlyingCandle.ts,
+            equity,
+            drawdown: equity - peak,
+          });
+
+          if (openTrade.qty <= 0) {
+            const finalizedTrade = { ...openTrade };
+            delete finalizedTrade._managedCandles;
+            delete finalizedTrade._lastManagedTs;
+            trades.push({
+              ...finalizedTrade,
+              qty: Number(openTrade.initialQty ?? 0),
+              remainingQty: 0,
+              exitTs: underlyingCandle.ts,
+              exitReason: pendingExit.reason,
+              exitPrice,
+              grossPnl: Number(openTrade.realizedGrossPnl ?? 0),
+              estCostInr: Number(openTrade.realizedCostInr ?? 0),
+              netPnl: Number(openTrade.realizedNetPnl ?? 0),
+              executionModel: exec || null,
+              holdCandles: i - openTrade.entryIdx,
+            });
+            openTrade = null;
+          }
+        }
+        pendingExit = null;
+      }
+    }
+
+    if (!openTrade && !pendingEntry) {
+      const sig = evaluateOnCandles({
+        candles: replaySlice,
+        intervalMin,
+        instrument_token: token,
+        now: clock.nowDate(),
+        recordTelemetry: false,
+        regimeTracker,
+        strategyIds,
+        strategyParams,
+      });
+      if (!sig) continue;
+
+      const side = String(sig.side || "").toUpperCase();
+      if (side !== "BUY" && side !== "SELL") continue;
+
+      const baseCandle = candle;
+      const selectedContract =
+        mode === "OPT" && optionProvider?.ready
+          ? optionProvider.selectContract({
+              ts: baseCandle.ts,
+              underlyingPrice: Number(baseCandle.close),
+            })
+          : null;
+
+      if (
+        mode === "OPT" &&
+        dynamicContracts &&
+        !selectedContract?.selectedToken
+      )
+        continue;
+
+      const latencyBars = Math.max(
+        0,
+        Math.round(
+          (execCalibration?.avgFillLatencyMs || 0) / (intervalMin * 60 * 1000),
+        ),
+      );
+      pendingEntry = {
+        executeAtIdx: i + latencyBars,
+        signalTs: candle.ts,
+        side,
+        qty,
+        sig,
+        selectedContract,
+      };
+    }
+  }
+
+  if (openTrade && forceEodExit) {
+    const last = candles[candles.length - 1] || null;
+    const exitPrice = Number(
+      last?.close ?? openTrade.lastLtp ?? openTrade.entryPrice,
+    );
+    const filledQty = Number(openTrade.qty ?? 0);
+    if (filledQty > 0 && Number.isFinite(exitPrice) && exitPrice > 0) {
+      const signed = openTrade.side === "BUY" ? 1 : -1;
+      const grossPnl = (exitPrice - openTrade.entryPrice) * filledQty * signed;
+      const costs = estimateRoundTripCostInr({
+        entryPrice: (openTrade.entryPrice + exitPrice) / 2,
+        qty: filledQty,
+        spreadBps: 0,
+        env,
+        instrument: openTrade.instrument,
+      });
+      const netPnl = grossPnl - Number(costs.estCostInr ?? 0);
+
+      equity += netPnl;
+      peak = Math.max(peak, equity);
+      maxDD = Math.min(maxDD, equity - peak);
+      equityCurve.push({
+        ts: last?.ts || new Date(),
+        equity,
+        drawdown: equity - peak,
+      });
+
+      const finalizedTrade = { ...openTrade };
+      delete finalizedTrade._managedCandles;
+      delete finalizedTrade._lastManagedTs;
+      trades.push({
+        ...finalizedTrade,
+        qty: Number(openTrade.initialQty ?? openTrade.qty ?? 0),
+        remainingQty: 0,
+        exitTs: last?.ts || new Date(),
+        exitReason: "FORCE_EOD_END",
+        exitPrice,
+        grossPnl,
+        estCostInr: Number(costs.estCostInr ?? 0),
+        netPnl,
+        holdCandles: candles.length - 1 - Number(openTrade.entryIdx ?? 0),
+      });
+    }
+    openTrade = null;
+    pendingExit = null;
+  }
+
+  return { trades, equityCurve, equity, maxDrawdownInr: Math.abs(maxDD) };
+}
+
+function evaluateEodBoundary({ candles, idx, intervalMin, timezone }) {
+  const cur = candles[idx];
+  const next = candles[idx + 1] || null;
+  if (!cur) return { shouldExitNow: false, reason: null };
+  if (!next) return { shouldExitNow: true, reason: "FORCE_EOD_DATA_END" };
+
+  const curDt = DateTime.fromJSDate(new Date(cur.ts), { zone: timezone });
+  const nextDt = DateTime.fromJSDate(new Date(next.ts), { zone: timezone });
+  if (!curDt.isValid || !nextDt.isValid)
+    return { shouldExitNow: false, reason: null };
+
+  const curSession = getSessionForDateTime(
+    curDt.plus({ minutes: intervalMin }),
+  );
+  const curDay = curSession.dayKey;
+  const nextDay = getSessionForDateTime(
+    nextDt.plus({ minutes: intervalMin }),
+  ).dayKey;
+  if (curDay !== nextDay)
+    return { shouldExitNow: true, reason: "FORCE_EOD_SESSION_BOUNDARY" };
+
+  const diff = nextDt.toMillis() - curDt.toMillis();
+  if (diff > intervalMin * 60 * 1000)
+    return { shouldExitNow: true, reason: "FORCE_EOD_GAP_BOUNDARY" };
+
+  return { shouldExitNow: false, reason: null };
+}
+
+function upsertOptionManagedCandles({ optionProvider, token, ts, trade }) {
+  if (!trade || !Number.isFinite(Number(token))) return [];
+  if (!Array.isArray(trade._managedCandles)) {
+    trade._managedCandles = optionProvider?.getCandlesUpToTs?.(token, ts) || [];
+    const lastTs = trade._managedCandles.length
+      ? new Date(
+          trade._managedCandles[trade._managedCandles.length - 1].ts,
+        ).getTime()
+      : null;
+    trade._lastManagedTs = Number.isFinite(lastTs) ? lastTs : null;
+    return trade._managedCandles;
+  }
+
+  const next = optionProvider?.getCandleAtTs?.(token, ts) || null;
+  const nextTs = new Date(ts).getTime();
+  if (
+    next &&
+    Number.isFinite(nextTs) &&
+    (!Number.isFinite(trade._lastManagedTs) || nextTs > trade._lastManagedTs)
+  ) {
+    trade._managedCandles.push(next);
+    trade._lastManagedTs = nextTs;
+  }
+  return trade._managedCandles;
+}
+
+function instrumentFromContract({
+  fallbackToken,
+  fallbackInstrument,
+  selected,
+  mode,
+}) {
+  const selectedInstrument = selected?.instrument || null;
+  const inferredMode = String(mode || "").toUpperCase();
+  const token = Number(
+    selected?.token ?? fallbackInstrument?.instrument_token ?? fallbackToken,
+  );
+  const tick = Number(
+    selectedInstrument?.tick_size ?? fallbackInstrument?.tick_size ?? 0.05,
+  );
+  const lot = Number(
+    selectedInstrument?.lot_size ?? fallbackInstrument?.lot_size ?? 1,
+  );
+  const tradingsymbol =
+    String(
+      selectedInstrument?.tradingsymbol ||
+        fallbackInstrument?.tradingsymbol ||
+        "",
+    ).toUpperCase() || null;
+  const segmentRaw =
+    String(
+      selectedInstrument?.segment || fallbackInstrument?.segment || "",
+    ).toUpperCase() ||
+    (inferredMode === "OPT"
+      ? "NFO-OPT"
+      : inferredMode === "FUT"
+        ? "NFO-FUT"
+        : "NSE");
+  const instrumentType =
+    String(
+      selectedInstrument?.instrument_type ||
+        fallbackInstrument?.instrument_type ||
+        "",
+    ).toUpperCase() ||
+    (inferredMode === "OPT" ? "CE" : inferredMode === "FUT" ? "FUT" : "EQ");
+  return {
+    instrument_token: token,
+    tick_size: Number.isFinite(tick) && tick > 0 ? tick : 0.05,
+    lot_size: Number.isFinite(lot) && lot > 0 ? lot : 1,
+    tradingsymbol,
+    segment: segmentRaw,
+    instrument_type: instrumentType,
+  };
+}
+
+function buildCalibrationFallback() {
+  return {
+    sampleSize: 0,
+    avgEntrySlipBps: 0,
+    avgSpreadBps: 0,
+    avgFillRatio: 1,
+    avgFillLatencyMs: 0,
+    source: "fallback",
+  };
+}
+
+module.exports = {
+  runCandleBacktest,
+  buildCalibrationFallback,
+  resolveExitPrice,
+  evaluateEodBoundary,
+  instrumentFromContract,
+};
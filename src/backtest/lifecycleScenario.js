@@ -0,0 +1,434 @@
+const fs = require("fs");
+const path = require("path");
+const { z } = require("zod");
+const { env } = require("../config");
+const { logger } = require("../logger");
+const { createBacktestClock } = require("./clock");
+const { installVirtualTime, realYield, REAL_TIMERS } = require("./virtualTime");
+const { createSimKite } = require("./simKite");
+const { ALLOWED_TRANSITIONS, STATUS } = require("../trading/tradeStateMachine");
+
+/**
+ * Declarative trade-lifecycle scenarios.
+ *
+ * A scenario file (JSON) describes a timeline fed to a real TradeManager that
+ * runs on the simulated broker (backtest/simKite.js), virtual time
+ * (backtest/virtualTime.js) and an in-memory database, plus what must have
+ * happened by the end:
+ *
+ *   {
+ *     "name": "long hits stop-loss",
+ *     "start": "2025-01-06T10:00:00+05:30",
+ *     "env": { "RR_TARGET": 1.5 },
+ *     "instruments": [{ "instrument_token": 101, "exchange": "NSE", "tradingsymbol": "ABC", "tick_size": 0.05 }],
+ *     "timeline": [
+ *       { "at": "0s", "ticks": [{ "instrument_token": 101, "last_price": 100 }] },
+ *       { "at": "1s", "signal": { "instrument_token": 101, "side": "BUY", "strategyId": "breakout", "confidence": 90 } },
+ *       { "at": "5s", "ticks": [{ "instrument_token": 101, "last_price": 98 }] },
+ *       { "at": "6s", "orderUpdate": { "order": "entry", "status": "COMPLETE" } },
+ *       { "at": "8s", "positions": [{ "instrument_token": 101, "quantity": 0 }] },
+ *       { "at": "10m" }
+ *     ],
+ *     "expect": {
+ *       "transitions": ["ENTRY_PLACED", "ENTRY_FILLED", "SL_PLACED", "LIVE", "EXITED_SL", "CLOSED"],
+ *       "orders": [{ "transaction_type": "BUY" }, { "transaction_type": "SELL", "order_type": "SL-M" }],
+ *       "pnl": { "max": 0 }
+ *     }
+ *   }
+ *
+ * Timeline steps run at `at` (offset from `start`: "250ms", "5s", "2m" or a
+ * number of ms); the clock jumps there, firing every engine timer on the way.
+ * A step may carry:
+ *   ticks        market ticks (fed to the broker's matching and TradeManager.onTick)
+ *   signal       a strategy signal (TradeManager.queueSignal)
+ *   orderUpdate  a broker order update; `order: "entry"|"sl"|"target"|"panic"|<n>`
+ *                picks an order placed so far (role from its tag, or placement
+ *                index) and the rest of the object overrides its fields
+ *   positions    broker net positions snapshot served from then on (`null` restores
+ *                the simulated book), followed by a reconcile
+ *   reconcile    run the position-first and order reconciles
+ *
+ * Expected `transitions` (per trade; a list for the first trade or an object
+ * keyed by trade index) must itself be a walk through ALLOWED_TRANSITIONS and
+ * is compared with the statuses the trade actually went through. `orders` is
+ * matched field-by-field, in placement order, against the broker's orders
+ * (`role` is available besides the Kite fields); `pnl` bounds the trades'
+ * summed gross PnL (`{ "equals", "min", "max", "tolerance" }`, with
+ * `"basis": "net"` for PnL after estimated costs).
+ */
+
+const ORDER_ROLE = /^(entry|sl|target|panic|\d+)$/;
+// makeTag() keeps the order role in the tag's last character.
+const TAG_ROLES = { E: "entry", S: "sl", T: "target", P: "panic" };
+
+const statusEnum = z.enum(Object.keys(STATUS));
+const offset = z.union([z.number().nonnegative(), z.string().regex(/^\d+(\.\d+)?(ms|s|m|h)$/)]);
+
+const stepSchema = z
+  .object({
+    at: offset,
+    ticks: z.array(z.object({ instrument_token: z.number(), last_price: z.number().positive() }).passthrough()).optional(),
+    signal: z
+      .object({ instrument_token: z.number(), side: z.enum(["BUY", "SELL"]), strategyId: z.string() })
+      .passthrough()
+      .optional(),
+    orderUpdate: z
+      .object({ order: z.union([z.string().regex(ORDER_ROLE), z.number().int().nonnegative()]) })
+      .passthrough()
+      .optional(),
+    positions: z.array(z.object({ instrument_token: z.number(), quantity: z.number() }).passthrough()).nullable().optional(),
+    reconcile: z.boolean().optional(),
+  })
+  .strict();
+
+const transitionsSchema = z.union([z.array(statusEnum), z.record(z.string().regex(/^\d+$/), z.array(statusEnum))]);
+
+const scenarioSchema = z
+  .object({
+    name: z.string().min(1),
+    description: z.string().optional(),
+    start: z.string().refine((s) => Number.isFinite(Date.parse(s)), "start must be an ISO timestamp"),
+    env: z.record(z.union([z.string(), z.number(), z.boolean()])).optional(),
+    broker: z
+      .object({
+        latencyMs: z.number().nonnegative().optional(),
+        seed: z.number().optional(),
+        spreadBps: z.number().nonnegative().optional(),
+        slippageBps: z.number().nonnegative().optional(),
+        startingCash: z.number().positive().optional(),
+      })
+      .strict()
+      .optional(),
+    instruments: z.array(z.object({ instrument_token: z.number(), exchange: z.string(), tradingsymbol: z.string() }).passthrough()).min(1),
+    candles: z.record(z.array(z.object({ ts: z.string() }).passthrough())).optional(),
+    timeline: z.array(stepSchema).min(1),
+    expect: z
+      .object({
+        transitions: transitionsSchema.optional(),
+        trades: z.number().int().nonnegative().optional(),
+        orders: z.array(z.record(z.any())).optional(),
+        pnl: z
+          .object({
+            equals: z.number().optional(),
+            min: z.number().optional(),
+            max: z.number().optional(),
+            tolerance: z.number().nonnegative().optional(),
+            basis: z.enum(["gross", "net"]).optional(),
+          })
+          .strict()
+          .optional(),
+      })
+      .strict(),
+  })
+  .strict();
+
+function offsetMs(at) {
+  if (typeof at === "number") return at;
+  const m = String(at).match(/^(\d+(?:\.\d+)?)(ms|s|m|h)$/);
+  const unit = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 }[m[2]];
+  return Math.round(Number(m[1]) * unit);
+}
+
+// Every consecutive pair must be an allowed edge; the first status must be a fresh-trade status.
+function transitionPathErrors(statuses) {
+  const errors = [];
+  if (statuses.length && statuses[0] !== STATUS.ENTRY_PLACED) {
+    errors.push(`starts at ${statuses[0]} (trades are created ENTRY_PLACED)`);
+  }
+  for (let i = 1; i < statuses.length; i += 1) {
+    const from = statuses[i - 1];
+    const to = statuses[i];
+    if (!ALLOWED_TRANSITIONS[from]?.has(to)) errors.push(`${from} -> ${to} is not in ALLOWED_TRANSITIONS`);
+  }
+  return errors;
+}
+
+function expectedTransitions(expect) {
+  const t = expect?.transitions;
+  if (!t) return {};
+  return Array.isArray(t) ? { 0: t } : t;
+}
+
+/** Parses and validates a scenario object; throws with every problem listed. */
+function validateScenario(spec, { source = spec?.name || "scenario" } = {}) {
+  const parsed = scenarioSchema.safeParse(spec);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((i) => `${i.path.join(".") || "(root)"}: ${i.message}`);
+    throw new Error(`[scenario] ${source} is invalid:\n  ${issues.join("\n  ")}`);
+  }
+  const problems = [];
+  for (const [idx, statuses] of Object.entries(expectedTransitions(parsed.data.expect))) {
+    for (const e of transitionPathErrors(statuses)) problems.push(`expect.transitions[${idx}]: ${e}`);
+  }
+  let last = -1;
+  parsed.data.timeline.forEach((step, i) => {
+    const ms = offsetMs(step.at);
+    if (ms < last) problems.push(`timeline[${i}].at goes back in time`);
+    last = ms;
+  });
+  if (problems.length) throw new Error(`[scenario] ${source} is invalid:\n  ${problems.join("\n  ")}`);
+  return parsed.data;
+}
+
+function loadScenarioFile(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  return validateScenario(raw, { source: path.basename(file) });
+}
+
+function loadScenarioDir(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .map((f) => ({ file: f, scenario: loadScenarioFile(path.join(dir, f)) }));
+}
+
+function applyEnv(overrides = {}) {
+  const saved = {};
+  for (const [k, v] of Object.entries(overrides)) {
+    saved[k] = env[k];
+    env[k] = typeof v === "boolean" ? String(v) : v;
+  }
+  return () => {
+    for (const [k, v] of Object.entries(saved)) env[k] = v;
+  };
+}
+
+function orderRole(order) {
+  const tag = String(order?.tag || "");
+  return /^T[0-9a-f]+[A-Z]$/i.test(tag) ? TAG_ROLES[tag.at(-1)] || null : null;
+}
+
+// Latest order with that role, or the n-th order placed.
+function pickOrder(kite, ref) {
+  const orders = Array.from(kite.orders.values());
+  if (/^\d+$/.test(String(ref))) return orders[Number(ref)] || null;
+  return orders.filter((o) => orderRole(o) === ref).at(-1) || null;
+}
+
+function positionRow(kite, row) {
+  const inst = kite.instrumentsByToken.get(Number(row.instrument_token)) || {};
+  return {
+    tradingsymbol: inst.tradingsymbol,
+    exchange: inst.exchange,
+    product: "MIS",
+    average_price: 0,
+    last_price: Number(kite.market.get(Number(row.instrument_token))?.last_price ?? 0),
+    pnl: 0,
+    ...row,
+  };
+}
+
+/**
+ * Runs one validated scenario.
+ *
+ * @param {object} scenario output of validateScenario / loadScenarioFile
+ * @param {object} opts
+ * @param {import("./memoryDb").MemoryDb} opts.db the database the engine's getDb() returns
+ * @param {Function} [opts.createTradeManager] ({ kite, riskEngine }) => TradeManager
+ * @returns {Promise<{trades, transitions, orders, pnl, netPnl, statusErrors}>}
+ */
+async function runScenario(scenario, { db, createTradeManager, settleQuietMs = 25 } = {}) {
+  if (!db) throw new Error("[scenario] an in-memory db is required");
+  const restoreEnv = applyEnv({ TRADING_ENABLED: "true", ...(scenario.env || {}) });
+  const startMs = Date.parse(scenario.start);
+  const clock = createBacktestClock(startMs);
+  const vt = installVirtualTime({
+    clock,
+    onError: (err) => logger.warn({ e: err?.message || String(err) }, "[scenario] timer callback failed"),
+  });
+
+  const b = scenario.broker || {};
+  const { kite, ticker } = createSimKite({
+    clock,
+    latencyMs: b.latencyMs ?? 100,
+    seed: b.seed ?? 7,
+    startingCash: b.startingCash ?? 1_000_000,
+    model: { spreadBps: b.spreadBps ?? 0, slippageBps: b.slippageBps ?? 0 },
+    marketData: {
+      historical: async (token, intervalMin, from, to) =>
+        (scenario.candles?.[String(token)] || []).filter((c) => {
+          const t = Date.parse(c.ts);
+          return t >= from.getTime() && t <= to.getTime();
+        }),
+    },
+  });
+  kite.registerInstruments(scenario.instruments);
+  ticker.connected = true;
+
+  // Broker position snapshots replace the simulated book while set.
+  let positionsOverride = null;
+  const simPositions = kite.getPositions.bind(kite);
+  kite.getPositions = async () => {
+    if (!positionsOverride) return simPositions();
+    const net = positionsOverride.map((r) => positionRow(kite, r));
+    return { net, day: net.map((r) => ({ ...r })) };
+  };
+
+  // Status history per trade, straight from the trade writes.
+  const transitions = new Map(); // tradeId -> statuses
+  // tradeStore keeps the last blocked transition on the trade as statusTransitionError.
+  const statusErrors = new Map();
+  const unsubscribe = db.onWrite((name, doc) => {
+    if (name !== "trades" || !doc?.tradeId) return;
+    const seen = transitions.get(doc.tradeId) || [];
+    if (doc.status && seen.at(-1) !== doc.status) seen.push(doc.status);
+    transitions.set(doc.tradeId, seen);
+    const err = doc.statusTransitionError;
+    if (err) statusErrors.set(`${doc.tradeId}|${new Date(err.ts).getTime()}`, { tradeId: doc.tradeId, ...err });
+  });
+
+  const { RiskEngine } = require("../risk/riskEngine");
+  const { TradeManager } = require("../trading/tradeManager");
+  const riskEngine = new RiskEngine({ clock });
+  const tm = (createTradeManager || ((deps) => new TradeManager(deps)))({ kite, riskEngine });
+  ticker.on("order_update", (o) => tm.queueOrderUpdate(o));
+
+  const signature = () =>
+    `${tm._opStats?.started ?? 0}|${tm._opStats?.finished ?? 0}|${Object.values(kite.calls).reduce((a, c) => a + c, 0)}|${kite.seq}|${vt.pending()}`;
+  const idle = () => Number(tm._opQueueDepth ?? 0) === 0 && kite.inFlight === 0;
+  async function settle() {
+    let last = signature();
+    let quietSince = REAL_TIMERS.Date.now();
+    let idleSpins = 0;
+    for (;;) {
+      await realYield();
+      if (idle()) {
+        if (++idleSpins >= 2) return;
+        continue;
+      }
+      idleSpins = 0;
+      const sig = signature();
+      if (sig !== last) {
+        last = sig;
+        quietSince = REAL_TIMERS.Date.now();
+      } else if (REAL_TIMERS.Date.now() - quietSince >= settleQuietMs) {
+        return;
+      }
+    }
+  }
+  // Await engine work that may sleep on virtual timers by stepping the clock.
+  async function drive(work, stepMs = 250, maxVirtualMs = 60_000) {
+    let done = false;
+    const p = Promise.resolve(work).finally(() => {
+      done = true;
+    });
+    for (let waited = 0; !done && waited < maxVirtualMs; waited += stepMs) {
+      await settle();
+      if (!done) await vt.advanceTo(clock.nowMs() + stepMs, { settle });
+    }
+    return done ? p : null;
+  }
+
+  try {
+    await drive(tm.init());
+    for (const step of scenario.timeline) {
+      const at = startMs + offsetMs(step.at);
+      if (at > clock.nowMs()) await vt.advanceTo(at, { settle });
+
+      if (step.ticks) {
+        kite.onMarketTicks(step.ticks);
+        for (const t of step.ticks) tm.onTick({ ...t, exchange_timestamp: new Date(clock.nowMs()) });
+        await settle();
+      }
+      if (step.signal) {
+        await drive(tm.queueSignal({ candleTs: clock.nowMs(), ...step.signal }));
+      }
+      if (step.orderUpdate) {
+        const { order: ref, ...fields } = step.orderUpdate;
+        const base = pickOrder(kite, ref);
+        if (!base) throw new Error(`[scenario] ${scenario.name}: no "${ref}" order to update at ${step.at}`);
+        await drive(tm.queueOrderUpdate({ ...kite._snapshot(base), ...fields }));
+      }
+      if (step.positions !== undefined) {
+        positionsOverride = step.positions;
+      }
+      if (step.positions !== undefined || step.reconcile) {
+        await drive(tm.queuePositionFirstReconcile("scenario"));
+        await drive(tm.queueReconcile([], "scenario"));
+      }
+    }
+    await settle();
+
+    const trades = await db.collection("trades").find({}).sort({ createdAt: 1 }).toArray();
+    const sum = (field) => trades.reduce((acc, t) => acc + Number(t[field] ?? 0), 0);
+    return {
+      trades,
+      transitions: trades.map((t) => transitions.get(t.tradeId) || []),
+      orders: Array.from(kite.orders.values()).map((o) => ({ ...o, role: orderRole(o) })),
+      pnl: sum("pnlGrossInr"),
+      netPnl: sum("pnlNetAfterEstCostsInr"),
+      statusErrors: Array.from(statusErrors.values()),
+    };
+  } finally {
+    unsubscribe();
+    await drive(
+      Promise.resolve()
+        .then(() => tm.shutdown?.())
+        .catch((e) => logger.warn({ e: e?.message || String(e) }, "[scenario] shutdown failed")),
+    );
+    vt.uninstall();
+    restoreEnv();
+  }
+}
+
+/** Compares a run with the scenario's `expect`; returns a list of mismatch messages. */
+function checkScenario(scenario, result) {
+  const failures = [];
+  const exp = scenario.expect || {};
+
+  for (const e of result.statusErrors) {
+    failures.push(`trade ${e.tradeId}: engine attempted blocked transition ${e.from} -> ${e.to}`);
+  }
+  result.transitions.forEach((statuses, i) => {
+    for (const e of transitionPathErrors(statuses).filter((x) => !x.startsWith("starts at"))) {
+      failures.push(`trade #${i} went ${e}`);
+    }
+  });
+
+  if (exp.trades !== undefined && result.trades.length !== exp.trades) {
+    failures.push(`expected ${exp.trades} trade(s), got ${result.trades.length}`);
+  }
+  for (const [idx, statuses] of Object.entries(expectedTransitions(exp))) {
+    const actual = result.transitions[Number(idx)];
+    if (!actual) {
+      failures.push(`trade #${idx} never opened (expected ${statuses.join(" -> ")})`);
+    } else if (actual.join(",") !== statuses.join(",")) {
+      failures.push(`trade #${idx} transitions\n    expected: ${statuses.join(" -> ")}\n    actual:   ${actual.join(" -> ")}`);
+    }
+  }
+
+  if (exp.orders) {
+    if (result.orders.length !== exp.orders.length) {
+      failures.push(`expected ${exp.orders.length} order(s), got ${result.orders.length}`);
+    }
+    exp.orders.forEach((want, i) => {
+      const got = result.orders[i];
+      if (!got) return;
+      for (const [k, v] of Object.entries(want)) {
+        if (String(got[k]) !== String(v)) failures.push(`order #${i}.${k}: expected ${v}, got ${got[k]}`);
+      }
+    });
+  }
+
+  if (exp.pnl) {
+    const { equals, min, max, tolerance = 0.01, basis = "gross" } = exp.pnl;
+    const pnl = basis === "net" ? result.netPnl : result.pnl;
+    if (equals !== undefined && Math.abs(pnl - equals) > tolerance) {
+      failures.push(`${basis} pnl: expected ${equals} (±${tolerance}), got ${pnl}`);
+    }
+    if (min !== undefined && pnl < min - tolerance) failures.push(`${basis} pnl: expected >= ${min}, got ${pnl}`);
+    if (max !== undefined && pnl > max + tolerance) failures.push(`${basis} pnl: expected <= ${max}, got ${pnl}`);
+  }
+  return failures;
+}
+
+module.exports = {
+  validateScenario,
+  loadScenarioFile,
+  loadScenarioDir,
+  runScenario,
+  checkScenario,
+  transitionPathErrors,
+  offsetMs,
+};
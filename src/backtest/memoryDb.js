@@ -0,0 +1,411 @@
+const crypto = require("crypto");
+
+/**
+ * In-memory stand-in for the MongoDB driver surface the engine stores use
+ * (collection find/findOne/insert/update/delete/count, cursors with
+ * sort/skip/limit/project, $match/$sort/$skip/$limit aggregations).
+ *
+ * Used by the trade-lifecycle scenario runner so a real TradeManager can run
+ * without a mongod. Documents are deep-copied in and out like the driver
+ * does; writes notify `db.onWrite(listener)` subscribers with
+ * `(collectionName, doc)` after the change, which is how the runner records
+ * status transitions without polling.
+ */
+
+function clone(v) {
+  if (v instanceof Date) return new Date(v.getTime());
+  if (Array.isArray(v)) return v.map(clone);
+  if (v && typeof v === "object") {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = clone(x);
+    return out;
+  }
+  return v;
+}
+
+function getPath(doc, path) {
+  let cur = doc;
+  for (const part of String(path).split(".")) {
+    if (cur === null || cur === undefined) return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+function setPath(doc, path, value) {
+  const parts = String(path).split(".");
+  let cur = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (!cur[part] || typeof cur[part] !== "object") cur[part] = {};
+    cur = cur[part];
+  }
+  cur[parts.at(-1)] = value;
+}
+
+function unsetPath(doc, path) {
+  const parts = String(path).split(".");
+  const parent = parts.length > 1 ? getPath(doc, parts.slice(0, -1).join(".")) : doc;
+  if (parent && typeof parent === "object") delete parent[parts.at(-1)];
+}
+
+function comparable(v) {
+  return v instanceof Date ? v.getTime() : v;
+}
+
+function equals(a, b) {
+  if (a instanceof Date || b instanceof Date) return comparable(a) === comparable(b);
+  if (Array.isArray(a) && !Array.isArray(b)) return a.some((x) => equals(x, b));
+  if (a && b && typeof a === "object" && typeof b === "object") return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+}
+
+function isOperatorObject(v) {
+  return v && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date) && Object.keys(v).some((k) => k.startsWith("$"));
+}
+
+function matchValue(actual, cond) {
+  if (!isOperatorObject(cond)) return cond === null ? actual === null || actual === undefined : equals(actual, cond);
+  return Object.entries(cond).every(([op, arg]) => {
+    const a = comparable(actual);
+    const b = comparable(arg);
+    switch (op) {
+      case "$eq":
+        return equals(actual, arg);
+      case "$ne":
+        return !equals(actual, arg);
+      case "$in":
+        return (arg || []).some((x) => equals(actual, x));
+      case "$nin":
+        return !(arg || []).some((x) => equals(actual, x));
+      case "$gt":
+        return a !== undefined && a !== null && a > b;
+      case "$gte":
+        return a !== undefined && a !== null && a >= b;
+      case "$lt":
+        return a !== undefined && a !== null && a < b;
+      case "$lte":
+        return a !== undefined && a !== null && a <= b;
+      case "$exists":
+        return (actual !== undefined) === Boolean(arg);
+      case "$regex":
+        return typeof actual === "string" && new RegExp(arg, cond.$options || "").test(actual);
+      case "$options":
+        return true;
+      default:
+        throw new Error(`[memoryDb] unsupported query operator ${op}`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter || {}).every(([key, cond]) => {
+    if (key === "$or") return cond.some((f) => matches(doc, f));
+    if (key === "$and") return cond.every((f) => matches(doc, f));
+    if (key === "$nor") return !cond.some((f) => matches(doc, f));
+    return matchValue(getPath(doc, key), cond);
+  });
+}
+
+function sortDocs(docs, spec = {}) {
+  const keys = Object.entries(spec);
+  return [...docs].sort((x, y) => {
+    for (const [k, dir] of keys) {
+      const a = comparable(getPath(x, k));
+      const b = comparable(getPath(y, k));
+      if (a === b) continue;
+      if (a === undefined || a === null) return -dir;
+      if (b === undefined || b === null) return dir;
+      return a < b ? -dir : dir;
+    }
+    return 0;
+  });
+}
+
+function project(doc, spec) {
+  if (!spec || !Object.keys(spec).length) return doc;
+  const include = Object.entries(spec).filter(([k, v]) => v && k !== "_id");
+  if (!include.length) {
+    const out = clone(doc);
+    for (const [k, v] of Object.entries(spec)) if (!v) unsetPath(out, k);
+    return out;
+  }
+  const out = spec._id === 0 ? {} : { _id: doc._id };
+  for (const [k] of include) {
+    const v = getPath(doc, k);
+    if (v !== undefined) setPath(out, k, clone(v));
+  }
+  return out;
+}
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  if (!isOperatorObject(update)) return { ...clone(update), _id: doc._id };
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields || {})) {
+      switch (op) {
+        case "$set":
+          setPath(doc, path, clone(value));
+          break;
+        case "$setOnInsert":
+          if (inserting) setPath(doc, path, clone(value));
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, Number(getPath(doc, path) || 0) + Number(value));
+          break;
+        case "$max": {
+          const cur = getPath(doc, path);
+          if (cur === undefined || comparable(value) > comparable(cur)) setPath(doc, path, clone(value));
+          break;
+        }
+        case "$min": {
+          const cur = getPath(doc, path);
+          if (cur === undefined || comparable(value) < comparable(cur)) setPath(doc, path, clone(value));
+          break;
+        }
+        case "$push":
+        case "$addToSet": {
+          const arr = Array.isArray(getPath(doc, path)) ? getPath(doc, path) : [];
+          const items = value && typeof value === "object" && "$each" in value ? value.$each : [value];
+          for (const item of items) {
+            if (op === "$addToSet" && arr.some((x) => equals(x, item))) continue;
+            arr.push(clone(item));
+          }
+          const slice = value && typeof value === "object" ? value.$slice : undefined;
+          const next = slice === undefined ? arr : slice < 0 ? arr.slice(slice) : arr.slice(0, slice);
+          setPath(doc, path, next);
+          break;
+        }
+        default:
+          throw new Error(`[memoryDb] unsupported update operator ${op}`);
+      }
+    }
+  }
+  return doc;
+}
+
+// Equality fields of a filter seed an upserted document.
+function seedFromFilter(filter) {
+  const doc = {};
+  for (const [k, v] of Object.entries(filter || {})) {
+    if (!k.startsWith("$") && !isOperatorObject(v)) setPath(doc, k, clone(v));
+  }
+  return doc;
+}
+
+class MemoryCursor {
+  constructor(load) {
+    this._load = load;
+    this._sort = null;
+    this._skip = 0;
+    this._limit = 0;
+    this._projection = null;
+  }
+
+  sort(spec) {
+    this._sort = spec;
+    return this;
+  }
+
+  skip(k) {
+    this._skip = Math.max(0, Number(k) || 0);
+    return this;
+  }
+
+  limit(k) {
+    this._limit = Math.max(0, Number(k) || 0);
+    return this;
+  }
+
+  project(spec) {
+    this._projection = spec;
+    return this;
+  }
+
+  async toArray() {
+    let docs = this._load();
+    if (this._sort) docs = sortDocs(docs, this._sort);
+    docs = docs.slice(this._skip, this._limit ? this._skip + this._limit : undefined);
+    return docs.map((d) => project(clone(d), this._projection));
+  }
+
+  async next() {
+    return (await this.toArray())[0] ?? null;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (const d of await this.toArray()) yield d;
+  }
+}
+
+// Aggregation expressions: "$field" references, { $ifNull: [a, b, ...] } and literals.
+function evalExpr(doc, expr) {
+  if (typeof expr === "string" && expr.startsWith("$")) return getPath(doc, expr.slice(1));
+  if (expr && typeof expr === "object" && Array.isArray(expr.$ifNull)) {
+    for (const e of expr.$ifNull) {
+      const v = evalExpr(doc, e);
+      if (v !== undefined && v !== null) return v;
+    }
+    return null;
+  }
+  return expr;
+}
+
+class MemoryCollection {
+  constructor(name, db) {
+    this.collectionName = name;
+    this.db = db;
+    this.docs = [];
+  }
+
+  _written(doc) {
+    this.db._notify(this.collectionName, doc);
+  }
+
+  async createIndex() {
+    return "memory_index";
+  }
+
+  async indexes() {
+    return [];
+  }
+
+  async drop() {
+    this.docs = [];
+    return true;
+  }
+
+  find(filter = {}, options = {}) {
+    const cursor = new MemoryCursor(() => this.docs.filter((d) => matches(d, filter)));
+    if (options.sort) cursor.sort(options.sort);
+    if (options.limit) cursor.limit(options.limit);
+    if (options.projection) cursor.project(options.projection);
+    return cursor;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const rows = await this.find(filter, options).limit(1).toArray();
+    return rows[0] || null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.docs.filter((d) => matches(d, filter)).length;
+  }
+
+  async insertOne(doc) {
+    const row = clone(doc);
+    if (row._id === undefined) row._id = crypto.randomUUID();
+    this.docs.push(row);
+    this._written(row);
+    return { acknowledged: true, insertedId: row._id };
+  }
+
+  async insertMany(docs) {
+    const ids = [];
+    for (const d of docs || []) ids.push((await this.insertOne(d)).insertedId);
+    return { acknowledged: true, insertedCount: ids.length, insertedIds: ids };
+  }
+
+  async _update(filter, update, { upsert = false, many = false } = {}) {
+    const hits = this.docs.filter((d) => matches(d, filter));
+    const targets = many ? hits : hits.slice(0, 1);
+    for (const d of targets) {
+      const next = applyUpdate(d, update);
+      if (next !== d) this.docs[this.docs.indexOf(d)] = next;
+      this._written(next);
+    }
+    if (!targets.length && upsert) {
+      const row = applyUpdate({ ...seedFromFilter(filter), _id: crypto.randomUUID() }, update, { inserting: true });
+      this.docs.push(row);
+      this._written(row);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: row._id, doc: row };
+    }
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount: targets.length, upsertedCount: 0, doc: targets[0] };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const { doc, ...res } = await this._update(filter, update, options);
+    return res;
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const { doc, ...res } = await this._update(filter, update, { ...options, many: true });
+    return res;
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    const { doc, ...res } = await this._update(filter, replacement, options);
+    return res;
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const before = await this.findOne(filter);
+    const { doc } = await this._update(filter, update, options);
+    const after = options.returnDocument === "after" || options.returnOriginal === false;
+    const value = after ? (doc ? clone(doc) : null) : before;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async deleteOne(filter = {}) {
+    const i = this.docs.findIndex((d) => matches(d, filter));
+    if (i >= 0) this.docs.splice(i, 1);
+    return { acknowledged: true, deletedCount: i >= 0 ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter((d) => !matches(d, filter));
+    return { acknowledged: true, deletedCount: before - this.docs.length };
+  }
+
+  aggregate(pipeline = []) {
+    return new MemoryCursor(() => {
+      let docs = this.docs;
+      for (const stage of pipeline) {
+        const [op, arg] = Object.entries(stage)[0] || [];
+        if (op === "$match") docs = docs.filter((d) => matches(d, arg));
+        else if (op === "$addFields") {
+          docs = docs.map((d) => ({ ...d, ...Object.fromEntries(Object.entries(arg).map(([k, e]) => [k, evalExpr(d, e)])) }));
+        }
+        else if (op === "$sort") docs = sortDocs(docs, arg);
+        else if (op === "$skip") docs = docs.slice(Number(arg) || 0);
+        else if (op === "$limit") docs = docs.slice(0, Number(arg) || 0);
+        else throw new Error(`[memoryDb] unsupported aggregation stage ${op}`);
+      }
+      return docs;
+    });
+  }
+}
+
+class MemoryDb {
+  constructor(name = "memory") {
+    this.databaseName = name;
+    this.collections = new Map();
+    this.listeners = new Set();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(name, this));
+    return this.collections.get(name);
+  }
+
+  listCollections() {
+    return { toArray: async () => Array.from(this.collections.keys()).map((name) => ({ name })) };
+  }
+
+  onWrite(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  _notify(name, doc) {
+    for (const fn of this.listeners) fn(name, clone(doc));
+  }
+
+  reset() {
+    this.collections.clear();
+  }
+}
+
+module.exports = { MemoryDb, MemoryCollection, matches };
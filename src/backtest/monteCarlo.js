@@ -0,0 +1,275 @@
+const { DateTime } = require("luxon");
+const { seeded } = require("./executionRealism");
+
+/**
+ * Monte Carlo robustness trials over a backtest trade list (bt_run output).
+ *
+ * Modes:
+ * - bootstrap : draw N trades with replacement
+ * - reshuffle : random permutation (same final PnL; path risk only)
+ * - skip      : drop each trade with probability `skipProb` (missed fills/signals)
+ * - slippage  : add adverse slippage U(0, slipBpsMax) bps per leg to every trade
+ *
+ * Every mode keeps the session structure of the original list (trades per
+ * day slot), so daily rails can be checked: a trial "hits" the daily loss cap
+ * when a day's cumulative net PnL reaches -dailyLossCapInr, and the pause rail
+ * when it reaches -dailyDrawdownPauseR × rInr (same day R as the live engine).
+ *
+ * All randomness comes from executionRealism.seeded(seed); same seed and
+ * trade list => same report.
+ */
+
+const MODES = ["bootstrap", "reshuffle", "skip", "slippage"];
+const METRICS = ["finalPnl", "maxDrawdownInr", "longestLosingStreak"];
+
+function num(x, d = null) {
+  const v = Number(x);
+  return Number.isFinite(v) ? v : d;
+}
+
+function round(x, dp = 2) {
+  return Number.isFinite(x) ? Number(x.toFixed(dp)) : null;
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function distribution(values) {
+  const v = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mean = v.reduce((a, b) => a + b, 0) / v.length;
+  const sd = Math.sqrt(v.reduce((a, b) => a + (b - mean) ** 2, 0) / v.length);
+  return {
+    mean: round(mean),
+    sd: round(sd),
+    min: round(v[0]),
+    p5: round(quantile(v, 0.05)),
+    p25: round(quantile(v, 0.25)),
+    p50: round(quantile(v, 0.5)),
+    p75: round(quantile(v, 0.75)),
+    p95: round(quantile(v, 0.95)),
+    max: round(v[v.length - 1]),
+  };
+}
+
+function tradeRiskInr(t) {
+  const risk =
+    Math.abs(num(t.entryPrice, NaN) - num(t.initialStopLoss ?? t.stopLoss, NaN)) *
+    num(t.qty ?? t.initialQty, 0);
+  return risk > 0 ? risk : null;
+}
+
+// Median per-trade risk: the "1R" used to convert day PnL into R.
+function medianRiskInr(trades) {
+  const risks = trades.map(tradeRiskInr).filter((x) => x !== null).sort((a, b) => a - b);
+  return risks.length ? quantile(risks, 0.5) : null;
+}
+
+/**
+ * Path stats for one ordered sequence of { pnl, day } rows.
+ */
+function pathStats(rows, { dailyLossCapInr = 0, pauseRInr = 0 } = {}) {
+  let equity = 0;
+  let peak = 0;
+  let maxDD = 0;
+  let streak = 0;
+  let longest = 0;
+  let day = null;
+  let dayPnl = 0;
+  let lossCapDays = 0;
+  let pauseDays = 0;
+  let hitCap = false;
+  let hitPause = false;
+
+  for (const r of rows) {
+    if (r.day !== day) {
+      day = r.day;
+      dayPnl = 0;
+      hitCap = false;
+      hitPause = false;
+    }
+    equity += r.pnl;
+    dayPnl += r.pnl;
+    peak = Math.max(peak, equity);
+    maxDD = Math.min(maxDD, equity - peak);
+    if (r.pnl <= 0) {
+      streak += 1;
+      longest = Math.max(longest, streak);
+    } else {
+      streak = 0;
+    }
+    if (!hitCap && dailyLossCapInr > 0 && dayPnl <= -dailyLossCapInr) {
+      hitCap = true;
+      lossCapDays += 1;
+    }
+    if (!hitPause && pauseRInr > 0 && dayPnl <= -pauseRInr) {
+      hitPause = true;
+      pauseDays += 1;
+    }
+  }
+  return {
+    finalPnl: equity,
+    maxDrawdownInr: Math.abs(maxDD),
+    longestLosingStreak: longest,
+    lossCapDays,
+    pauseDays,
+  };
+}
+
+function shuffle(arr, rng) {
+  const a = arr.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+function slippageCost(t, bps) {
+  const entry = num(t.entryPrice, 0);
+  const exit = num(t.exitPrice, entry);
+  const qty = num(t.qty ?? t.initialQty, 0);
+  return ((entry + exit) * qty * bps) / 10000;
+}
+
+function trialRows(mode, base, rng, { skipProb, slipBpsMax }) {
+  const slots = base.map((b) => b.day);
+  switch (mode) {
+    case "bootstrap":
+      return slots.map((day) => ({ day, pnl: base[Math.floor(rng() * base.length)].pnl }));
+    case "reshuffle":
+      return shuffle(base, rng).map((b, i) => ({ day: slots[i], pnl: b.pnl }));
+    case "skip":
+      return base.filter(() => rng() >= skipProb);
+    case "slippage":
+      return base.map((b) => ({
+        day: b.day,
+        pnl: b.pnl - slippageCost(b.trade, rng() * slipBpsMax),
+      }));
+    default:
+      throw new Error(`[monteCarlo] unknown mode ${mode}`);
+  }
+}
+
+/**
+ * Run the trials. Options:
+ *   { trials=1000, seed=42, modes=MODES, skipProb=0.1, slipBpsMax=5,
+ *     dailyLossCapInr=0, dailyDrawdownPauseR=0, rInr=median trade risk, timezone }
+ */
+function runMonteCarlo(trades, opts = {}) {
+  const trials = Math.max(1, Math.floor(num(opts.trials, 1000)));
+  const seed = num(opts.seed, 42);
+  const modes = (opts.modes || MODES).map((m) => String(m).toLowerCase());
+  const skipProb = Math.min(0.99, Math.max(0, num(opts.skipProb, 0.1)));
+  const slipBpsMax = Math.max(0, num(opts.slipBpsMax, 5));
+  const timezone = opts.timezone || "Asia/Kolkata";
+  for (const m of modes) {
+    if (!MODES.includes(m)) throw new Error(`[monteCarlo] unknown mode ${m} (${MODES.join("|")})`);
+  }
+
+  const list = (trades || [])
+    .filter((t) => Number.isFinite(Number(t?.netPnl)))
+    .sort(
+      (a, b) =>
+        new Date(a.exitTs || a.entryTs || 0).getTime() -
+        new Date(b.exitTs || b.entryTs || 0).getTime(),
+    );
+  const base = list.map((t) => ({
+    trade: t,
+    pnl: Number(t.netPnl),
+    day: DateTime.fromJSDate(new Date(t.exitTs || t.entryTs || 0), { zone: timezone }).toFormat(
+      "yyyy-LL-dd",
+    ),
+  }));
+
+  const rInr = num(opts.rInr, 0) > 0 ? Number(opts.rInr) : medianRiskInr(list);
+  const dailyLossCapInr = Math.max(0, num(opts.dailyLossCapInr, 0));
+  const dailyDrawdownPauseR = Math.max(0, num(opts.dailyDrawdownPauseR, 0));
+  const rails = {
+    dailyLossCapInr,
+    dailyDrawdownPauseR,
+    rInr: round(rInr),
+    pauseRInr: rInr > 0 && dailyDrawdownPauseR > 0 ? round(dailyDrawdownPauseR * rInr) : 0,
+  };
+
+  const config = { trials, seed, modes, skipProb, slipBpsMax, timezone };
+  if (!base.length) {
+    return { config, rails, trades: 0, days: 0, baseline: null, results: {}, trialRows: [] };
+  }
+
+  const baseline = pathStats(base, rails);
+  const rng = seeded(seed);
+  const results = {};
+  const rows = [];
+  for (const mode of modes) {
+    const samples = [];
+    for (let i = 0; i < trials; i++) {
+      const stats = pathStats(trialRows(mode, base, rng, { skipProb, slipBpsMax }), rails);
+      samples.push(stats);
+      rows.push({ mode, trial: i, ...roundStats(stats) });
+    }
+    const n = samples.length;
+    results[mode] = {
+      finalPnl: distribution(samples.map((s) => s.finalPnl)),
+      maxDrawdownInr: distribution(samples.map((s) => s.maxDrawdownInr)),
+      longestLosingStreak: distribution(samples.map((s) => s.longestLosingStreak)),
+      probLoss: round(samples.filter((s) => s.finalPnl < 0).length / n, 4),
+      probDailyLossCap: dailyLossCapInr > 0 ? round(samples.filter((s) => s.lossCapDays > 0).length / n, 4) : null,
+      probDailyPauseR: rails.pauseRInr > 0 ? round(samples.filter((s) => s.pauseDays > 0).length / n, 4) : null,
+      avgLossCapDays: round(samples.reduce((a, s) => a + s.lossCapDays, 0) / n, 4),
+      avgPauseDays: round(samples.reduce((a, s) => a + s.pauseDays, 0) / n, 4),
+    };
+  }
+
+  return {
+    config,
+    rails,
+    trades: base.length,
+    days: new Set(base.map((b) => b.day)).size,
+    baseline: roundStats(baseline),
+    results,
+    trialRows: rows,
+  };
+}
+
+function roundStats(s) {
+  return {
+    finalPnl: round(s.finalPnl),
+    maxDrawdownInr: round(s.maxDrawdownInr),
+    longestLosingStreak: s.longestLosingStreak,
+    lossCapDays: s.lossCapDays,
+    pauseDays: s.pauseDays,
+  };
+}
+
+// Flat rows (mode × metric) for the CSV summary.
+function summaryRows(report) {
+  const out = [];
+  for (const [mode, r] of Object.entries(report?.results || {})) {
+    for (const metric of METRICS) {
+      out.push({
+        mode,
+        metric,
+        baseline: report.baseline?.[metric] ?? null,
+        ...(r[metric] || {}),
+        probLoss: r.probLoss,
+        probDailyLossCap: r.probDailyLossCap,
+        probDailyPauseR: r.probDailyPauseR,
+      });
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  MODES,
+  runMonteCarlo,
+  summaryRows,
+  pathStats,
+  distribution,
+};
@@ -0,0 +1,44 @@
+const { execSync } = require("child_process");
+
+// Env knobs that change backtest results (stored with every run).
+function pickEnvSnapshot() {
+  const prefixes = [
+    "STRATEGY_",
+    "STRATEGIES",
+    "ENSEMBLE_",
+    "SELECTOR_",
+    "REGIME_",
+    "MULTI_TF_",
+    "RR_",
+    "RISK_",
+    "DYN_",
+    "OPT_",
+    "COST_",
+    "CANDLE_",
+    "FNO_",
+    "MIN_GREEN_",
+    "TIME_STOP_",
+    "BE_",
+    "TRAIL_",
+  ];
+  const out = {};
+  for (const [k, v] of Object.entries(process.env)) {
+    if (
+      prefixes.some((p) => k.startsWith(p)) ||
+      ["NODE_ENV", "ALLOW_SYNTHETIC_SIGNALS"].includes(k)
+    ) {
+      out[k] = v;
+    }
+  }
+  return out;
+}
+
+function gitHash() {
+  try {
+    return execSync("git rev-parse HEAD", { encoding: "utf8" }).trim();
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { pickEnvSnapshot, gitHash };
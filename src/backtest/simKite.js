@@ -0,0 +1,894 @@
+const { EventEmitter } = require("events");
+const { DateTime } = require("luxon");
+const { simulateOrderLifecycle } = require("./eventBrokerSimulator");
+const { seeded } = require("./executionRealism");
+
+/**
+ * Simulated Kite REST client + websocket ticker for the tick-level backtester.
+ *
+ * Orders are matched against the replayed ticks:
+ * - MARKET / SL-M (once triggered) fill through
+ *   eventBrokerSimulator.simulateOrderLifecycle() at the current LTP, clamped
+ *   to the running 1m range (spread, slippage, optional partial fills);
+ * - LIMIT / SL (once triggered) fill at the limit price when the LTP touches it.
+ *
+ * Order updates are delivered on the ticker's "order_update" event
+ * `latencyMs` after the exchange-side change, using timers created here (so
+ * they run on virtual time when virtualTime is installed). REST reads
+ * (getOrders/getOrderHistory/getPositions) see the exchange state
+ * immediately, like the real API can race ahead of the websocket.
+ *
+ * GTT triggers (single and two-leg/OCO) are kept in the same book: every tick
+ * of their instrument is checked against the trigger values and a crossing
+ * places the leg's LIMIT order, leaving the trigger "triggered".
+ */
+
+const EMITTED = new Set(["OPEN", "TRIGGER PENDING", "UPDATE", "COMPLETE", "CANCELLED", "REJECTED"]);
+const TERMINAL = new Set(["COMPLETE", "CANCELLED", "REJECTED"]);
+const ORDER_ID_BASE = 250000000000000;
+const GTT_ID_BASE = 100000;
+const GTT_TYPES = new Set(["single", "two-leg"]);
+
+function n(v, d = null) {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+}
+
+function roundToTick(px, tick) {
+  return Number((Math.round(px / tick) * tick).toFixed(6));
+}
+
+function onTick(px, tick) {
+  return Math.abs(px / tick - Math.round(px / tick)) < 1e-6;
+}
+
+function intervalMinFromKite(interval) {
+  const s = String(interval || "minute").toLowerCase();
+  if (s === "minute") return 1;
+  if (s === "day") return 1440;
+  const m = s.match(/^(\d+)minute$/);
+  return m ? Number(m[1]) : 1;
+}
+
+class SimTicker extends EventEmitter {
+  constructor() {
+    super();
+    this.modeFull = "full";
+    this.modeQuote = "quote";
+    this.modeLTP = "ltp";
+    this.connected = false;
+    this.subscribed = new Set();
+    this.modes = new Map();
+    this.ready = Promise.resolve();
+  }
+
+  autoReconnect() {}
+
+  // Resolves (via `ready`) once every "connect" listener has finished.
+  connect() {
+    this.connected = true;
+    this.ready = Promise.all(this.listeners("connect").map((fn) => fn()));
+    return this.ready;
+  }
+
+  disconnect() {
+    if (!this.connected) return;
+    this.connected = false;
+    this.emit("close");
+  }
+
+  subscribe(tokens) {
+    for (const t of tokens || []) this.subscribed.add(Number(t));
+  }
+
+  unsubscribe(tokens) {
+    for (const t of tokens || []) this.subscribed.delete(Number(t));
+  }
+
+  setMode(mode, tokens) {
+    for (const t of tokens || []) this.modes.set(Number(t), mode);
+  }
+
+  // Delivers only subscribed tokens, shaped by the subscription mode.
+  pushTicks(ticks) {
+    if (!this.connected) return 0;
+    const out = [];
+    for (const t of ticks || []) {
+      const token = Number(t?.instrument_token);
+      if (!this.subscribed.has(token)) continue;
+      const mode = this.modes.get(token) || this.modeQuote;
+      if (mode === this.modeLTP) {
+        out.push({ tradable: t.tradable, mode, instrument_token: token, last_price: t.last_price });
+      } else if (mode === this.modeQuote) {
+        const { depth, ...rest } = t;
+        out.push({ ...rest, mode });
+      } else {
+        out.push({ ...t, mode });
+      }
+    }
+    if (out.length) this.emit("ticks", out);
+    return out.length;
+  }
+
+  pushOrderUpdate(order) {
+    if (this.connected) this.emit("order_update", order);
+  }
+}
+
+class SimKiteClient {
+  /**
+   * @param {object} opts
+   * @param {{nowMs: Function}} opts.clock
+   * @param {SimTicker} opts.ticker
+   * @param {{historical?: Function, instruments?: Function}} [opts.marketData]
+   *   historical(token, intervalMin, fromDate, toDate) -> candles
+   *   instruments(exchange) -> instrument rows
+   * @param {object} [opts.model] simulateOrderLifecycle model (spreadBps, slippageBps, partialFillProbability, ...)
+   */
+  constructor({
+    clock,
+    ticker,
+    marketData = {},
+    model = {},
+    seed = 42,
+    latencyMs = 150,
+    startingCash = 1_000_000,
+    leverage = { MIS: 5, NRML: 1, CNC: 1 },
+    tickSize = 0.05,
+    timezone = "Asia/Kolkata",
+    orderIdBase = ORDER_ID_BASE,
+    placedBy = "BACKTEST",
+  } = {}) {
+    if (!clock) throw new Error("[simKite] clock is required");
+    this.clock = clock;
+    this.ticker = ticker || new SimTicker();
+    this.marketData = marketData;
+    this.model = { partialFillProbability: 0, ...model, tickSize };
+    this.rand = seeded(seed);
+    this.latencyMs = Math.max(0, n(latencyMs, 150));
+    this.startingCash = n(startingCash, 1_000_000);
+    this.leverage = leverage;
+    this.tickSize = tickSize;
+    this.timezone = timezone;
+    this.orderIdBase = n(orderIdBase, ORDER_ID_BASE);
+    this.placedBy = placedBy;
+
+    this.market = new Map(); // token -> { last_price, depth, ohlc, volume, ts, bar }
+    this.instrumentsByKey = new Map(); // "NSE:SBIN" -> row
+    this.instrumentsByToken = new Map();
+    this.loadedExchanges = new Set();
+    this.orders = new Map();
+    this.history = new Map();
+    this.positions = new Map(); // `${token}|${product}` -> position
+    this.fills = [];
+    this.gtts = new Map(); // trigger id -> Kite-shaped GTT
+    this.gttSeq = 0;
+    this.seq = 0;
+    this.inFlight = 0;
+    this.calls = {};
+  }
+
+  setAccessToken() {}
+
+  registerInstruments(rows) {
+    for (const r of rows || []) {
+      const token = n(r?.instrument_token);
+      if (!token || !r.tradingsymbol) continue;
+      const row = { ...r, instrument_token: token };
+      this.instrumentsByKey.set(`${String(r.exchange).toUpperCase()}:${r.tradingsymbol}`, row);
+      this.instrumentsByToken.set(token, row);
+    }
+  }
+
+  // ---- market data (driven by the backtest loop) ----
+
+  onMarketTicks(ticks) {
+    const now = this.clock.nowMs();
+    const minute = Math.floor(now / 60_000);
+    const touched = new Set();
+    for (const t of ticks || []) {
+      const token = n(t?.instrument_token);
+      const px = n(t?.last_price);
+      if (!token || !(px > 0)) continue;
+      const prev = this.market.get(token);
+      const bar =
+        prev?.bar?.minute === minute
+          ? { minute, high: Math.max(prev.bar.high, px), low: Math.min(prev.bar.low, px) }
+          : { minute, high: px, low: px };
+      this.market.set(token, {
+        last_price: px,
+        depth: t.depth || prev?.depth || null,
+        ohlc: t.ohlc || prev?.ohlc || null,
+        volume: n(t.volume_traded, prev?.volume ?? 0),
+        ts: now,
+        bar,
+      });
+      touched.add(token);
+    }
+    for (const o of this.orders.values()) {
+      if (touched.has(o.instrument_token)) this._match(o);
+    }
+    for (const g of this.gtts.values()) {
+      if (g.status === "active" && touched.has(g.condition.instrument_token)) this._checkGtt(g);
+    }
+  }
+
+  // ---- REST surface ----
+
+  async placeOrder(variety, params = {}) {
+    return this._call("placeOrder", async () => {
+      const p = params || {};
+      const inst = await this._resolve(p.exchange, p.tradingsymbol);
+      if (!inst) throw new Error(`InputException: invalid tradingsymbol ${p.exchange}:${p.tradingsymbol}`);
+      const qty = Math.floor(n(p.quantity, 0));
+      if (qty <= 0) throw new Error("InputException: invalid quantity");
+
+      const orderType = String(p.order_type || "MARKET").toUpperCase();
+      const order = {
+        order_id: String(this.orderIdBase + ++this.seq),
+        exchange_order_id: null,
+        parent_order_id: null,
+        placed_by: this.placedBy,
+        variety: String(variety || "regular"),
+        status: "OPEN PENDING",
+        status_message: null,
+        status_message_raw: null,
+        order_timestamp: this._kiteTs(),
+        exchange_update_timestamp: null,
+        exchange_timestamp: null,
+        exchange: String(p.exchange || inst.exchange).toUpperCase(),
+        tradingsymbol: String(p.tradingsymbol),
+        instrument_token: inst.instrument_token,
+        order_type: orderType,
+        transaction_type: String(p.transaction_type || "").toUpperCase(),
+        validity: String(p.validity || "DAY"),
+        product: String(p.product || "MIS").toUpperCase(),
+        quantity: qty,
+        disclosed_quantity: 0,
+        price: n(p.price, 0),
+        trigger_price: n(p.trigger_price, 0),
+        average_price: 0,
+        filled_quantity: 0,
+        pending_quantity: qty,
+        cancelled_quantity: 0,
+        market_protection: p.market_protection ?? 0,
+        tag: p.tag || null,
+        tags: p.tag ? [p.tag] : [],
+        guid: `${String(this.placedBy).toLowerCase()}-${this.seq}`,
+      };
+      const bad = this._validate(order, inst);
+      if (bad) throw new Error(`InputException: ${bad}`);
+      this.orders.set(order.order_id, order);
+      this._record(order);
+
+      setTimeout(() => this._acknowledge(order.order_id), this.latencyMs);
+      return { order_id: order.order_id };
+    });
+  }
+
+  async modifyOrder(variety, orderId, params = {}) {
+    return this._call("modifyOrder", async () => {
+      const o = this.orders.get(String(orderId));
+      if (!o) throw new Error(`InputException: order ${orderId} not found`);
+      if (TERMINAL.has(o.status)) {
+        throw new Error(`Order cannot be modified as it is ${o.status.toLowerCase()}`);
+      }
+      if (params.order_type) o.order_type = String(params.order_type).toUpperCase();
+      if (params.price !== undefined) o.price = n(params.price, o.price);
+      if (params.trigger_price !== undefined) o.trigger_price = n(params.trigger_price, o.trigger_price);
+      if (params.quantity !== undefined) {
+        const qty = Math.floor(n(params.quantity, o.quantity));
+        o.quantity = Math.max(o.filled_quantity, qty);
+        o.pending_quantity = o.quantity - o.filled_quantity;
+      }
+      const bad = this._validate(o, this.instrumentsByToken.get(o.instrument_token));
+      if (bad) throw new Error(`InputException: ${bad}`);
+      o.status = o.status === "TRIGGER PENDING" && !this._isStop(o) ? "OPEN" : o.status;
+      this._change(o, o.status === "OPEN PENDING" ? null : o.status);
+      this._match(o);
+      return { order_id: o.order_id };
+    });
+  }
+
+  async cancelOrder(variety, orderId) {
+    return this._call("cancelOrder", async () => {
+      const o = this.orders.get(String(orderId));
+      if (!o) throw new Error(`InputException: order ${orderId} not found`);
+      if (TERMINAL.has(o.status)) {
+        throw new Error(`Order cannot be cancelled as it is ${o.status.toLowerCase()}`);
+      }
+      o.cancelled_quantity = o.pending_quantity;
+      o.pending_quantity = 0;
+      o.status = "CANCELLED";
+      o.status_message = "Cancelled by user";
+      this._change(o);
+      return { order_id: o.order_id };
+    });
+  }
+
+  async getOrders() {
+    return this._call("getOrders", async () =>
+      Array.from(this.orders.values()).map((o) => this._snapshot(o)),
+    );
+  }
+
+  async getOrderHistory(orderId) {
+    return this._call("getOrderHistory", async () => {
+      const h = this.history.get(String(orderId));
+      if (!h) throw new Error(`InputException: order ${orderId} not found`);
+      return h.map((x) => ({ ...x }));
+    });
+  }
+
+  async getTrades() {
+    return this._call("getTrades", async () => this.fills.map((f) => ({ ...f })));
+  }
+
+  async getPositions() {
+    return this._call("getPositions", async () => {
+      const net = Array.from(this.positions.values()).map((p) => this._positionRow(p));
+      return { net, day: net.map((r) => ({ ...r })) };
+    });
+  }
+
+  async convertPosition(params = {}) {
+    return this._call("convertPosition", async () => {
+      const inst = await this._resolve(params.exchange, params.tradingsymbol);
+      if (!inst) throw new Error("InputException: invalid tradingsymbol");
+      const from = this.positions.get(`${inst.instrument_token}|${String(params.old_product).toUpperCase()}`);
+      if (!from) throw new Error("InputException: no position to convert");
+      from.product = String(params.new_product).toUpperCase();
+      this.positions.delete(`${inst.instrument_token}|${String(params.old_product).toUpperCase()}`);
+      this.positions.set(`${inst.instrument_token}|${from.product}`, from);
+      return true;
+    });
+  }
+
+  // ---- GTT ----
+
+  async getGTTs() {
+    return this._call("getGTTs", async () => Array.from(this.gtts.values()).map((g) => this._gttSnapshot(g)));
+  }
+
+  async getGTT(triggerId) {
+    return this._call("getGTT", async () => this._gttSnapshot(this._gttOrThrow(triggerId)));
+  }
+
+  /** SDK-shaped params: { trigger_type, exchange, tradingsymbol, trigger_values, last_price, orders }. */
+  async placeGTT(params = {}) {
+    return this._call("placeGTT", async () => {
+      const spec = await this._gttSpec(params);
+      const id = GTT_ID_BASE + ++this.gttSeq;
+      const now = this._kiteTs();
+      const expires = DateTime.fromMillis(this.clock.nowMs(), { zone: this.timezone }).plus({ years: 1 });
+      this.gtts.set(id, {
+        id,
+        user_id: this.placedBy,
+        parent_trigger: null,
+        type: spec.type,
+        created_at: now,
+        updated_at: now,
+        expires_at: expires.toFormat("yyyy-LL-dd HH:mm:ss"),
+        status: "active",
+        condition: spec.condition,
+        orders: spec.orders,
+        meta: null,
+      });
+      return { trigger_id: id };
+    });
+  }
+
+  async modifyGTT(triggerId, params = {}) {
+    return this._call("modifyGTT", async () => {
+      const g = this._gttOrThrow(triggerId);
+      if (g.status !== "active") throw new Error(`InputException: GTT is ${g.status}`);
+      const spec = await this._gttSpec(params);
+      Object.assign(g, { type: spec.type, condition: spec.condition, orders: spec.orders, updated_at: this._kiteTs() });
+      return { trigger_id: g.id };
+    });
+  }
+
+  async deleteGTT(triggerId) {
+    return this._call("deleteGTT", async () => {
+      const g = this._gttOrThrow(triggerId);
+      if (g.status !== "active") throw new Error(`InputException: GTT is ${g.status}`);
+      g.status = "deleted";
+      g.updated_at = this._kiteTs();
+      return { trigger_id: g.id };
+    });
+  }
+
+  async getMargins() {
+    return this._call("getMargins", async () => {
+      const { realised, unrealised, debits, net } = this._marginSummary();
+      return {
+        equity: {
+          enabled: true,
+          net,
+          available: {
+            adhoc_margin: 0,
+            cash: this.startingCash + realised,
+            opening_balance: this.startingCash,
+            live_balance: net,
+            collateral: 0,
+            intraday_payin: 0,
+          },
+          utilised: {
+            debits,
+            exposure: 0,
+            m2m_realised: realised,
+            m2m_unrealised: unrealised,
+            option_premium: 0,
+            span: debits,
+          },
+        },
+      };
+    });
+  }
+
+  async orderMargins(reqs = []) {
+    return this._call("orderMargins", async () =>
+      (reqs || []).map((r) => {
+        const inst = this.instrumentsByKey.get(`${String(r.exchange).toUpperCase()}:${r.tradingsymbol}`);
+        const px = n(r.price, 0) > 0 ? n(r.price) : n(this.market.get(inst?.instrument_token)?.last_price, 0);
+        const lev = n(this.leverage?.[String(r.product || "MIS").toUpperCase()], 1) || 1;
+        const total = (px * n(r.quantity, 0)) / lev;
+        return {
+          type: "equity",
+          tradingsymbol: r.tradingsymbol,
+          exchange: r.exchange,
+          span: 0,
+          exposure: 0,
+          var: total,
+          total,
+          charges: { total: 0 },
+        };
+      }),
+    );
+  }
+
+  async getQuote(keys) {
+    return this._call("getQuote", async () => {
+      const out = {};
+      for (const key of [].concat(keys || [])) {
+        const token = this._tokenForKey(key);
+        const m = this.market.get(token);
+        if (!m) continue;
+        out[key] = {
+          instrument_token: token,
+          timestamp: new Date(m.ts),
+          last_price: m.last_price,
+          volume: m.volume,
+          ohlc: m.ohlc,
+          depth: m.depth || this._syntheticDepth(m.last_price),
+        };
+      }
+      return out;
+    });
+  }
+
+  async getLTP(keys) {
+    return this._call("getLTP", async () => {
+      const out = {};
+      for (const key of [].concat(keys || [])) {
+        const token = this._tokenForKey(key);
+        const m = this.market.get(token);
+        if (m) out[key] = { instrument_token: token, last_price: m.last_price };
+      }
+      return out;
+    });
+  }
+
+  async getInstruments(exchange) {
+    return this._call("getInstruments", async () => {
+      const rows =
+        typeof this.marketData.instruments === "function"
+          ? await this.marketData.instruments(exchange)
+          : Array.from(this.instrumentsByToken.values()).filter(
+              (r) => !exchange || String(r.exchange).toUpperCase() === String(exchange).toUpperCase(),
+            );
+      this.registerInstruments(rows);
+      if (exchange) this.loadedExchanges.add(String(exchange).toUpperCase());
+      return rows || [];
+    });
+  }
+
+  // Only bars that have fully closed by the virtual now are returned.
+  async getHistoricalData(token, interval, from, to) {
+    return this._call("getHistoricalData", async () => {
+      if (typeof this.marketData.historical !== "function") return [];
+      const intervalMin = intervalMinFromKite(interval);
+      const cutoff = Math.min(new Date(to).getTime(), this.clock.nowMs()) - intervalMin * 60_000;
+      const rows = await this.marketData.historical(
+        Number(token),
+        intervalMin,
+        new Date(from),
+        new Date(cutoff),
+      );
+      return (rows || [])
+        .filter((c) => new Date(c.ts ?? c.date).getTime() <= cutoff)
+        .map((c) => ({
+          date: new Date(c.ts ?? c.date),
+          open: Number(c.open),
+          high: Number(c.high),
+          low: Number(c.low),
+          close: Number(c.close),
+          volume: Number(c.volume ?? 0),
+        }));
+    });
+  }
+
+  // ---- reporting ----
+
+  snapshot() {
+    return {
+      orders: this.orders.size,
+      fills: this.fills.length,
+      gtts: this.gtts.size,
+      calls: { ...this.calls },
+      positions: Array.from(this.positions.values()).map((p) => this._positionRow(p)),
+    };
+  }
+
+  // ---- internals ----
+
+  async _call(name, fn) {
+    this.calls[name] = (this.calls[name] || 0) + 1;
+    this.inFlight += 1;
+    try {
+      return await fn();
+    } finally {
+      this.inFlight -= 1;
+    }
+  }
+
+  async _resolve(exchange, tradingsymbol) {
+    const ex = String(exchange || "").toUpperCase();
+    const key = `${ex}:${tradingsymbol}`;
+    if (!this.instrumentsByKey.has(key) && ex && !this.loadedExchanges.has(ex)) {
+      if (typeof this.marketData.instruments === "function") {
+        this.registerInstruments(await this.marketData.instruments(ex));
+      }
+      this.loadedExchanges.add(ex);
+    }
+    return this.instrumentsByKey.get(key) || null;
+  }
+
+  _tokenForKey(key) {
+    const s = String(key);
+    if (/^\d+$/.test(s)) return Number(s);
+    return this.instrumentsByKey.get(s)?.instrument_token ?? null;
+  }
+
+  _kiteTs(ms = this.clock.nowMs()) {
+    return DateTime.fromMillis(ms, { zone: this.timezone }).toFormat("yyyy-LL-dd HH:mm:ss");
+  }
+
+  _snapshot(o) {
+    return { ...o, tags: [...(o.tags || [])] };
+  }
+
+  _record(o) {
+    if (!this.history.has(o.order_id)) this.history.set(o.order_id, []);
+    this.history.get(o.order_id).push(this._snapshot(o));
+  }
+
+  // Record the exchange-side change now; deliver the websocket update after latency.
+  _change(o, emitStatus = o.status) {
+    o.exchange_update_timestamp = this._kiteTs();
+    o.exchange_timestamp = o.exchange_timestamp || o.exchange_update_timestamp;
+    this._record(o);
+    if (!emitStatus || !EMITTED.has(emitStatus)) return;
+    const payload = { ...this._snapshot(o), status: emitStatus };
+    setTimeout(() => this.ticker.pushOrderUpdate(payload), this.latencyMs);
+  }
+
+  // Margin leverage for a position (or the part an order adds); `long` is its side after the fill.
+  _leverageFor(token, product, long) {
+    return n(this.leverage?.[product], 1) || 1;
+  }
+
+  _marginSummary() {
+    let realised = 0;
+    let unrealised = 0;
+    let debits = 0;
+    for (const p of this.positions.values()) {
+      const row = this._positionRow(p);
+      realised += row.realised;
+      unrealised += row.unrealised;
+      const lev = this._leverageFor(p.instrument_token, p.product, row.quantity > 0);
+      debits += (Math.abs(row.quantity) * row.last_price) / lev;
+    }
+    return { realised, unrealised, debits, net: this.startingCash + realised + unrealised - debits };
+  }
+
+  // Instrument tick size when known (instruments_cache rows carry it), else the client default.
+  _tickSizeFor(token) {
+    return n(this.instrumentsByToken.get(token)?.tick_size, 0) || this.tickSize;
+  }
+
+  _isStop(o) {
+    return o.order_type === "SL" || o.order_type === "SL-M";
+  }
+
+  _tickError(o) {
+    const tick = this._tickSizeFor(o.instrument_token);
+    if (o.order_type !== "MARKET" && o.order_type !== "SL-M" && !onTick(o.price, tick)) {
+      return "Price is not a multiple of tick size";
+    }
+    if (this._isStop(o) && !onTick(o.trigger_price, tick)) {
+      return "Trigger price is not a multiple of tick size";
+    }
+    return null;
+  }
+
+  // Order-entry checks (placement and modification); returns an error message or null.
+  _validate(o) {
+    return this._tickError(o);
+  }
+
+  _reject(o, message) {
+    o.status = "REJECTED";
+    o.status_message = message;
+    o.status_message_raw = message;
+    o.cancelled_quantity = o.pending_quantity;
+    o.pending_quantity = 0;
+    o.exchange_update_timestamp = this._kiteTs();
+    this._record(o);
+    this.ticker.pushOrderUpdate(this._snapshot(o));
+  }
+
+  // Exchange acknowledgement (after placement latency).
+  _acknowledge(orderId) {
+    const o = this.orders.get(orderId);
+    if (!o || o.status !== "OPEN PENDING") return;
+    if (!this.market.get(o.instrument_token)) {
+      return this._reject(o, "No market data for instrument");
+    }
+    if (this._isStop(o)) {
+      const m = this.market.get(o.instrument_token);
+      const crossed =
+        o.transaction_type === "BUY" ? m.last_price >= o.trigger_price : m.last_price <= o.trigger_price;
+      if (crossed) {
+        return this._reject(o, "Trigger price was already crossed");
+      }
+    }
+    o.exchange_order_id = `X${o.order_id}`;
+    o.status = this._isStop(o) ? "TRIGGER PENDING" : "OPEN";
+    o.exchange_update_timestamp = this._kiteTs();
+    o.exchange_timestamp = o.exchange_update_timestamp;
+    this._record(o);
+    this.ticker.pushOrderUpdate(this._snapshot(o));
+    this._match(o);
+  }
+
+  _match(o) {
+    if (o.status !== "OPEN" && o.status !== "TRIGGER PENDING") return;
+    const m = this.market.get(o.instrument_token);
+    if (!m) return;
+    const px = m.last_price;
+    const buy = o.transaction_type === "BUY";
+
+    if (o.status === "TRIGGER PENDING") {
+      const triggered = buy ? px >= o.trigger_price : px <= o.trigger_price;
+      if (!triggered) return;
+      if (o.order_type === "SL") {
+        o.status = "OPEN";
+        this._change(o);
+      }
+    }
+
+    if (o.order_type === "LIMIT" || o.order_type === "SL") {
+      const touched = buy ? px <= o.price : px >= o.price;
+      if (touched) this._fill(o, o.pending_quantity, o.price);
+      return;
+    }
+
+    // MARKET, or SL-M past its trigger.
+    const sim = simulateOrderLifecycle({
+      side: o.transaction_type,
+      intent: { type: o.order_type, price: px },
+      candle: { high: m.bar.high, low: m.bar.low, close: px },
+      qty: o.pending_quantity,
+      nowTs: this.clock.nowMs(),
+      model: this.model,
+      rand: this.rand,
+    });
+    if (sim.status === "REJECTED") return this._reject(o, sim.rejectReason);
+    this._fill(o, sim.filledQty, roundToTick(sim.avgFillPrice, this._tickSizeFor(o.instrument_token)));
+    if (o.pending_quantity > 0) {
+      // Unfilled remainder of a market order is cancelled by the exchange (IOC-like).
+      o.cancelled_quantity = o.pending_quantity;
+      o.pending_quantity = 0;
+      o.status = "CANCELLED";
+      o.status_message = "Remaining quantity cancelled (backtest partial fill)";
+      this._change(o);
+    }
+  }
+
+  _fill(o, qty, price) {
+    const q = Math.min(o.pending_quantity, Math.max(0, Math.floor(qty)));
+    if (q <= 0) return;
+    const prevFilled = o.filled_quantity;
+    o.average_price = (o.average_price * prevFilled + price * q) / (prevFilled + q);
+    o.filled_quantity = prevFilled + q;
+    o.pending_quantity -= q;
+    o.status = o.pending_quantity > 0 ? "OPEN" : "COMPLETE";
+    this.fills.push({
+      trade_id: String(this.fills.length + 1),
+      order_id: o.order_id,
+      exchange: o.exchange,
+      tradingsymbol: o.tradingsymbol,
+      instrument_token: o.instrument_token,
+      product: o.product,
+      transaction_type: o.transaction_type,
+      quantity: q,
+      average_price: price,
+      fill_timestamp: this._kiteTs(),
+      ts: new Date(this.clock.nowMs()),
+      tag: o.tag,
+    });
+    this._applyPosition(o, q, price);
+    this._change(o, o.status === "COMPLETE" ? "COMPLETE" : "UPDATE");
+  }
+
+  _applyPosition(o, qty, price) {
+    const key = `${o.instrument_token}|${o.product}`;
+    const p = this.positions.get(key) || {
+      tradingsymbol: o.tradingsymbol,
+      exchange: o.exchange,
+      instrument_token: o.instrument_token,
+      product: o.product,
+      buyQty: 0,
+      buyValue: 0,
+      sellQty: 0,
+      sellValue: 0,
+    };
+    if (o.transaction_type === "BUY") {
+      p.buyQty += qty;
+      p.buyValue += qty * price;
+    } else {
+      p.sellQty += qty;
+      p.sellValue += qty * price;
+    }
+    this.positions.set(key, p);
+  }
+
+  _positionRow(p) {
+    const ltp = n(this.market.get(p.instrument_token)?.last_price, 0);
+    const quantity = p.buyQty - p.sellQty;
+    const buyAvg = p.buyQty ? p.buyValue / p.buyQty : 0;
+    const sellAvg = p.sellQty ? p.sellValue / p.sellQty : 0;
+    const closed = Math.min(p.buyQty, p.sellQty);
+    const realised = closed * (sellAvg - buyAvg);
+    const pnl = p.sellValue - p.buyValue + quantity * ltp;
+    return {
+      tradingsymbol: p.tradingsymbol,
+      exchange: p.exchange,
+      instrument_token: p.instrument_token,
+      product: p.product,
+      quantity,
+      overnight_quantity: 0,
+      multiplier: 1,
+      average_price: quantity > 0 ? buyAvg : quantity < 0 ? sellAvg : 0,
+      last_price: ltp,
+      value: p.sellValue - p.buyValue,
+      pnl,
+      m2m: pnl,
+      realised,
+      unrealised: pnl - realised,
+      buy_quantity: p.buyQty,
+      buy_price: buyAvg,
+      buy_value: p.buyValue,
+      sell_quantity: p.sellQty,
+      sell_price: sellAvg,
+      sell_value: p.sellValue,
+      day_buy_quantity: p.buyQty,
+      day_sell_quantity: p.sellQty,
+    };
+  }
+
+  _gttOrThrow(triggerId) {
+    const g = this.gtts.get(Number(triggerId));
+    if (!g) throw new Error(`InputException: GTT ${triggerId} not found`);
+    return g;
+  }
+
+  _gttSnapshot(g) {
+    return {
+      ...g,
+      condition: { ...g.condition, trigger_values: [...g.condition.trigger_values] },
+      orders: g.orders.map((o) => ({ ...o })),
+    };
+  }
+
+  // Validates like the GTT API does; returns { type, condition, orders }.
+  async _gttSpec(params) {
+    const type = String(params.trigger_type || params.type || "");
+    if (!GTT_TYPES.has(type)) throw new Error("InputException: invalid trigger type");
+    const inst = await this._resolve(params.exchange, params.tradingsymbol);
+    if (!inst) throw new Error(`InputException: invalid tradingsymbol ${params.exchange}:${params.tradingsymbol}`);
+    const values = (params.trigger_values || []).map((v) => n(v, 0));
+    const legs = params.orders || [];
+    const want = type === "two-leg" ? 2 : 1;
+    if (values.length !== want || legs.length !== want || values.some((v) => !(v > 0))) {
+      throw new Error(`InputException: ${type} GTT needs ${want} trigger value(s) and order(s)`);
+    }
+    const ltp = n(params.last_price, n(this.market.get(inst.instrument_token)?.last_price, 0));
+    if (type === "two-leg" && !(values[0] < ltp && ltp < values[1])) {
+      throw new Error("InputException: Trigger values must be on either side of the last price");
+    }
+    if (type === "single" && values[0] === ltp) {
+      throw new Error("InputException: Trigger value cannot be the last price");
+    }
+    const tick = this._tickSizeFor(inst.instrument_token);
+    const orders = legs.map((o) => {
+      const leg = {
+        exchange: inst.exchange,
+        tradingsymbol: inst.tradingsymbol,
+        product: String(o.product || "CNC").toUpperCase(),
+        order_type: String(o.order_type || "LIMIT").toUpperCase(),
+        transaction_type: String(o.transaction_type || "").toUpperCase(),
+        quantity: Math.floor(n(o.quantity, 0)),
+        price: n(o.price, 0),
+        result: null,
+      };
+      if (leg.order_type !== "LIMIT") throw new Error("InputException: GTT orders must be LIMIT");
+      if (leg.quantity <= 0 || !(leg.price > 0)) throw new Error("InputException: invalid GTT order quantity or price");
+      if (!onTick(leg.price, tick)) throw new Error("InputException: Price is not a multiple of tick size");
+      return leg;
+    });
+    return {
+      type,
+      condition: {
+        exchange: inst.exchange,
+        tradingsymbol: inst.tradingsymbol,
+        instrument_token: inst.instrument_token,
+        trigger_values: values,
+        last_price: ltp,
+      },
+      orders,
+    };
+  }
+
+  // Two-leg: at/below the lower value fires leg 0, at/above the upper fires leg 1.
+  // Single: fires when the LTP reaches the value from the side it was placed on.
+  _checkGtt(g) {
+    const px = this.market.get(g.condition.instrument_token)?.last_price;
+    const [lo, hi] = g.condition.trigger_values;
+    let leg = -1;
+    if (g.type === "two-leg") leg = px <= lo ? 0 : px >= hi ? 1 : -1;
+    else leg = (g.condition.last_price < lo ? px >= lo : px <= lo) ? 0 : -1;
+    if (leg < 0) return;
+
+    g.status = "triggered";
+    g.updated_at = this._kiteTs();
+    const o = g.orders[leg];
+    const result = { triggered_at: px, timestamp: g.updated_at, order_result: null };
+    o.result = result;
+    const { result: _r, ...params } = o;
+    this.placeOrder("regular", { ...params, validity: "DAY", tag: `gtt${g.id}` })
+      .then((r) => {
+        result.order_result = { order_id: r.order_id, status: "success", rejection_reason: "" };
+      })
+      .catch((e) => {
+        result.order_result = { order_id: "", status: "failed", rejection_reason: e.message };
+      });
+  }
+
+  _syntheticDepth(px) {
+    const half = Math.max(this.tickSize, roundToTick((px * n(this.model.spreadBps, 6)) / 20000, this.tickSize));
+    return {
+      buy: [{ price: roundToTick(px - half, this.tickSize), quantity: 1, orders: 1 }],
+      sell: [{ price: roundToTick(px + half, this.tickSize), quantity: 1, orders: 1 }],
+    };
+  }
+}
+
+function createSimKite(opts = {}) {
+  const ticker = opts.ticker || new SimTicker();
+  const kite = new SimKiteClient({ ...opts, ticker });
+  return { kite, ticker };
+}
+
+module.exports = { SimKiteClient, SimTicker, createSimKite, intervalMinFromKite, roundToTick };
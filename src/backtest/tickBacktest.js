@@ -0,0 +1,179 @@
+const { logger } = require("../logger");
+const { createBacktestClock } = require("./clock");
+const { installVirtualTime, realYield, REAL_TIMERS } = require("./virtualTime");
+const { createSimKite } = require("./simKite");
+
+/**
+ * Tick-level, event-driven backtest of the live engine.
+ *
+ * Ticks are pushed through the real tickerManager → pipeline → TradeManager
+ * path; only the broker edge is simulated (simKite). Virtual time is
+ * installed for the whole run, so Date.now()/new Date() and every engine
+ * timer (watchdogs, finalizer, time stops, reconcile loops, order-update
+ * latency) follow the replayed clock.
+ *
+ * Between events the loop "settles": it yields to the real event loop until
+ * the tick drain, TradeManager op queue and simulated REST calls are idle, or
+ * until nothing has changed for `settleQuietMs` real milliseconds (an op is
+ * waiting on a virtual timer, which only the next clock advance can fire).
+ */
+
+function tradeManagerOf(tickerManager) {
+  try {
+    return tickerManager.getPipeline().trader || null;
+  } catch {
+    return null;
+  }
+}
+
+async function firstOf(iterator) {
+  const r = await iterator.next();
+  return r.done ? null : r.value;
+}
+
+/**
+ * @param {object} opts
+ * @param {Iterable|AsyncIterable<{ts:number, ticks:object[]}>} opts.batches tick batches in time order
+ * @param {object} [opts.marketData] simKite market data provider (historical, instruments)
+ * @param {object[]} [opts.instruments] instrument rows to pre-register with the sim broker
+ * @param {object} [opts.broker] simKite options (model, seed, latencyMs, startingCash, tickSize, timezone)
+ * @param {number} [opts.preRollMs=60000] clock start before the first tick (connect + backfill happen here)
+ * @param {number} [opts.tailMs=300000] virtual time run after the last tick (exits, timers)
+ * @param {number} [opts.settleQuietMs=25]
+ * @param {object} [opts.tickerManager] defaults to src/kite/tickerManager
+ * @param {Function} [opts.isVirtualCaller] which files get virtual timers (default: src/)
+ */
+async function runTickBacktest({
+  batches,
+  marketData = {},
+  instruments = [],
+  broker = {},
+  preRollMs = 60_000,
+  tailMs = 300_000,
+  settleQuietMs = 25,
+  tickerManager = require("../kite/tickerManager"),
+  isVirtualCaller,
+  onProgress,
+} = {}) {
+  const iterator = batches?.[Symbol.asyncIterator]
+    ? batches[Symbol.asyncIterator]()
+    : batches?.[Symbol.iterator]?.();
+  if (!iterator) throw new Error("[tickBacktest] batches must be iterable");
+
+  const first = await firstOf(iterator);
+  if (!first) throw new Error("[tickBacktest] no ticks to replay");
+
+  const clock = createBacktestClock(Number(first.ts) - Math.max(0, preRollMs));
+  const vt = installVirtualTime({
+    clock,
+    isVirtualCaller,
+    onError: (err) => logger.warn({ e: err?.message || String(err) }, "[bt-tick] timer callback failed"),
+  });
+  const { kite, ticker } = createSimKite({ ...broker, clock, marketData });
+  kite.registerInstruments(instruments);
+
+  function signature() {
+    const tm = tradeManagerOf(tickerManager);
+    const calls = Object.values(kite.calls).reduce((a, b) => a + b, 0);
+    return `${tm?._opStats?.started ?? 0}|${tm?._opStats?.finished ?? 0}|${calls}|${kite.seq}|${vt.pending()}`;
+  }
+
+  function idle() {
+    const tm = tradeManagerOf(tickerManager);
+    return (
+      tickerManager.isTickDrainIdle() &&
+      Number(tm?._opQueueDepth ?? 0) === 0 &&
+      kite.inFlight === 0
+    );
+  }
+
+  async function settle() {
+    let last = signature();
+    let quietSince = REAL_TIMERS.Date.now();
+    let idleSpins = 0;
+    for (;;) {
+      await realYield();
+      if (idle()) {
+        if (++idleSpins >= 2) return;
+        continue;
+      }
+      idleSpins = 0;
+      const sig = signature();
+      if (sig !== last) {
+        last = sig;
+        quietSince = REAL_TIMERS.Date.now();
+      } else if (REAL_TIMERS.Date.now() - quietSince >= settleQuietMs) {
+        return;
+      }
+    }
+  }
+
+  // Await engine work that may sleep on virtual timers by stepping the clock 1s at a time.
+  async function drive(work, label, maxVirtualMs = 120_000) {
+    let done = false;
+    const p = Promise.resolve(work).finally(() => {
+      done = true;
+    });
+    for (let waited = 0; !done && waited < maxVirtualMs; waited += 1000) {
+      await settle();
+      if (!done) await vt.advanceTo(clock.nowMs() + 1000, { settle });
+    }
+    if (done) return p;
+    logger.warn({ label, maxVirtualMs }, "[bt-tick] still pending; continuing");
+    return null;
+  }
+
+  const stats = { batches: 0, ticks: 0, deliveredTicks: 0, timersFired: 0 };
+  const startedAt = clock.nowMs();
+  let lastTs = Number(first.ts);
+
+  tickerManager.setClientFactories({
+    createKiteConnect: () => kite,
+    createTicker: () => ticker,
+  });
+
+  try {
+    await drive(tickerManager.setSession(`backtest-${startedAt}`), "setSession");
+    await drive(ticker.ready, "connect");
+
+    const replay = async (batch) => {
+      const ts = Number(batch.ts);
+      if (!Number.isFinite(ts)) return;
+      // Late batches (clock already past them during connect) are delivered at "now".
+      if (ts > clock.nowMs()) stats.timersFired += await vt.advanceTo(ts, { settle });
+      kite.onMarketTicks(batch.ticks);
+      stats.deliveredTicks += ticker.pushTicks(batch.ticks);
+      stats.batches += 1;
+      stats.ticks += (batch.ticks || []).length;
+      lastTs = Math.max(lastTs, ts);
+      await settle();
+      if (typeof onProgress === "function" && stats.batches % 5000 === 0) onProgress({ ...stats, ts });
+    };
+
+    await replay(first);
+    for (let r = await iterator.next(); !r.done; r = await iterator.next()) {
+      await replay(r.value);
+    }
+    stats.timersFired += await vt.advanceTo(lastTs + Math.max(0, tailMs), { settle });
+
+    return {
+      startTs: new Date(startedAt),
+      endTs: new Date(clock.nowMs()),
+      stats,
+      broker: kite.snapshot(),
+      fills: kite.fills.map((f) => ({ ...f })),
+      orders: Array.from(kite.orders.values()).map((o) => ({ ...o })),
+    };
+  } finally {
+    await drive(
+      Promise.resolve()
+        .then(() => tickerManager.shutdownAll("backtest_done"))
+        .catch((e) => logger.warn({ e: e?.message || String(e) }, "[bt-tick] shutdown failed")),
+      "shutdown",
+    );
+    tickerManager.setClientFactories(null);
+    vt.uninstall();
+  }
+}
+
+module.exports = { runTickBacktest };
@@ -0,0 +1,140 @@
+const { DateTime } = require("luxon");
+
+/**
+ * Kite-shaped tick streams for the tick-level backtester.
+ *
+ * Candles without recorded ticks are expanded into an intra-candle path:
+ * bullish bars walk O → L → H → C, bearish bars O → H → L → C (the
+ * conservative ordering bt_run's resolveExitPrice() also assumes: the adverse
+ * extreme is visited first). Each leg gets `ticksPerLeg` evenly spaced ticks
+ * inside the bar, so the bar's last tick lands one second before it closes.
+ */
+
+function n(v, d = null) {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+}
+
+function roundToTick(px, tick) {
+  return Number((Math.round(px / tick) * tick).toFixed(6));
+}
+
+function depthFor(price, spreadBps, tick, qty) {
+  const half = Math.max(tick, roundToTick((price * spreadBps) / 20000, tick));
+  const bid = roundToTick(Math.max(tick, price - half), tick);
+  const ask = roundToTick(price + half, tick);
+  const q = Math.max(1, Math.round(qty || 1));
+  return {
+    buy: [{ price: bid, quantity: q, orders: 1 }],
+    sell: [{ price: ask, quantity: q, orders: 1 }],
+  };
+}
+
+/**
+ * Price/time points for one candle: [{ ts(ms), price }].
+ */
+function candlePath(candle, { intervalMin = 1, ticksPerLeg = 3, tickSize = 0.05 } = {}) {
+  const open = n(candle.open);
+  const high = n(candle.high, open);
+  const low = n(candle.low, open);
+  const close = n(candle.close, open);
+  const startMs = new Date(candle.ts).getTime();
+  const legs = close >= open ? [open, low, high, close] : [open, high, low, close];
+  const steps = Math.max(1, Math.floor(ticksPerLeg));
+
+  const prices = [legs[0]];
+  for (let l = 1; l < legs.length; l++) {
+    const from = legs[l - 1];
+    const to = legs[l];
+    for (let s = 1; s <= steps; s++) prices.push(from + ((to - from) * s) / steps);
+  }
+
+  const spanMs = Math.max(1, intervalMin * 60_000 - 1000);
+  const last = prices.length - 1;
+  return prices.map((p, i) => ({
+    ts: startMs + Math.round((spanMs * i) / last),
+    price: roundToTick(p, tickSize),
+  }));
+}
+
+/**
+ * Generator of tick batches [{ ts, ticks }] for candles of one or more
+ * instruments (each candle carries instrument_token). Batches are grouped by
+ * timestamp so multi-instrument runs arrive the way the websocket delivers
+ * them: one array per frame.
+ */
+function* candleTickBatches(
+  candles,
+  { intervalMin = 1, ticksPerLeg = 3, tickSize = 0.05, spreadBps = 6, timezone = "Asia/Kolkata" } = {},
+) {
+  const sorted = (candles || [])
+    .filter((c) => n(c?.open) !== null && c?.ts)
+    .slice()
+    .sort(
+      (a, b) =>
+        new Date(a.ts).getTime() - new Date(b.ts).getTime() ||
+        Number(a.instrument_token) - Number(b.instrument_token),
+    );
+
+  const day = new Map(); // token -> { key, open, high, low, volume, prevClose }
+
+  let i = 0;
+  while (i < sorted.length) {
+    const barTs = new Date(sorted[i].ts).getTime();
+    const group = [];
+    while (i < sorted.length && new Date(sorted[i].ts).getTime() === barTs) group.push(sorted[i++]);
+
+    const byTs = new Map();
+    for (const c of group) {
+      const token = Number(c.instrument_token);
+      const dayKey = DateTime.fromMillis(barTs, { zone: timezone }).toFormat("yyyy-LL-dd");
+      let d = day.get(token);
+      if (!d || d.key !== dayKey) {
+        d = {
+          key: dayKey,
+          open: n(c.open),
+          high: n(c.open),
+          low: n(c.open),
+          volume: 0,
+          prevClose: d ? d.lastClose : n(c.open),
+          lastClose: n(c.open),
+        };
+        day.set(token, d);
+      }
+
+      const path = candlePath(c, { intervalMin, ticksPerLeg, tickSize });
+      const vol = Math.max(0, Math.round(n(c.volume, 0)));
+      const perTick = Math.floor(vol / path.length);
+      path.forEach((pt, k) => {
+        const ltq = k === path.length - 1 ? vol - perTick * (path.length - 1) : perTick;
+        d.volume += ltq;
+        d.high = Math.max(d.high, pt.price);
+        d.low = Math.min(d.low, pt.price);
+        d.lastClose = pt.price;
+        const at = new Date(pt.ts);
+        const tick = {
+          tradable: true,
+          mode: "full",
+          instrument_token: token,
+          last_price: pt.price,
+          last_traded_quantity: ltq,
+          average_traded_price: pt.price,
+          volume_traded: d.volume,
+          ohlc: { open: d.open, high: d.high, low: d.low, close: d.prevClose },
+          change: d.prevClose ? ((pt.price - d.prevClose) / d.prevClose) * 100 : 0,
+          last_trade_time: at,
+          exchange_timestamp: at,
+          depth: depthFor(pt.price, spreadBps, tickSize, Math.max(1, perTick)),
+        };
+        if (!byTs.has(pt.ts)) byTs.set(pt.ts, []);
+        byTs.get(pt.ts).push(tick);
+      });
+    }
+
+    for (const ts of Array.from(byTs.keys()).sort((a, b) => a - b)) {
+      yield { ts, ticks: byTs.get(ts) };
+    }
+  }
+}
+
+module.exports = { candlePath, candleTickBatches, depthFor };
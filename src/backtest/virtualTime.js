@@ -0,0 +1,244 @@
+const path = require("path");
+
+/**
+ * Virtual time for in-process backtests.
+ *
+ * installVirtualTime({ clock }) swaps the global Date for one that reads
+ * clock.nowMs(), and routes setTimeout/setInterval created by engine code
+ * (files under src/ by default) to a scheduler that only fires when the
+ * backtest driver advances the clock. Timers created elsewhere (Mongo driver,
+ * pino, jest) keep real timers, so I/O timeouts and heartbeats are unaffected.
+ *
+ * setImmediate, process.nextTick and process.hrtime stay real.
+ */
+
+const REAL = {
+  Date: global.Date,
+  setTimeout: global.setTimeout,
+  clearTimeout: global.clearTimeout,
+  setInterval: global.setInterval,
+  clearInterval: global.clearInterval,
+  setImmediate: global.setImmediate,
+};
+
+const SRC_ROOT = path.resolve(__dirname, "..");
+const MAX_FIRES_PER_ADVANCE = 1_000_000;
+
+let active = null;
+
+// File name of whoever called `fn` (V8 structured stack).
+function callerFile(fn) {
+  const origPrepare = Error.prepareStackTrace;
+  const origLimit = Error.stackTraceLimit;
+  try {
+    Error.stackTraceLimit = 1;
+    Error.prepareStackTrace = (_, frames) => frames;
+    const holder = {};
+    Error.captureStackTrace(holder, fn);
+    const frame = holder.stack?.[0];
+    return (frame && frame.getFileName()) || "";
+  } finally {
+    Error.prepareStackTrace = origPrepare;
+    Error.stackTraceLimit = origLimit;
+  }
+}
+
+function realYield() {
+  return new Promise((resolve) => REAL.setImmediate(resolve));
+}
+
+class VirtualTimer {
+  constructor(id) {
+    this.id = id;
+    this._ref = true;
+  }
+
+  ref() {
+    this._ref = true;
+    return this;
+  }
+
+  unref() {
+    this._ref = false;
+    return this;
+  }
+
+  hasRef() {
+    return this._ref;
+  }
+
+  refresh() {
+    active?.refresh(this.id);
+    return this;
+  }
+
+  [Symbol.toPrimitive]() {
+    return this.id;
+  }
+}
+
+function installVirtualTime({ clock, isVirtualCaller, onError } = {}) {
+  if (!clock || typeof clock.nowMs !== "function") {
+    throw new Error("[virtualTime] clock with nowMs() is required");
+  }
+  if (active) throw new Error("[virtualTime] already installed");
+
+  const isVirtual =
+    typeof isVirtualCaller === "function"
+      ? isVirtualCaller
+      : (file) => file.startsWith(SRC_ROOT) && !file.includes(`${path.sep}node_modules${path.sep}`);
+
+  const timers = new Map(); // id -> { timer, due, seq, everyMs, delayMs, fn, args }
+  let nextId = 1;
+  let seq = 0;
+
+  function schedule(fn, delay, args, repeat) {
+    const ms = Math.max(1, Math.floor(Number(delay) || 0));
+    const id = nextId++;
+    const timer = new VirtualTimer(id);
+    timers.set(id, {
+      timer,
+      due: clock.nowMs() + ms,
+      seq: seq++,
+      everyMs: repeat ? ms : null,
+      delayMs: ms,
+      fn,
+      args,
+    });
+    return timer;
+  }
+
+  function idOf(handle) {
+    if (handle instanceof VirtualTimer) return handle.id;
+    if (typeof handle === "number" && timers.has(handle)) return handle;
+    return null;
+  }
+
+  function vSetTimeout(fn, delay, ...args) {
+    if (typeof fn !== "function" || !isVirtual(callerFile(vSetTimeout))) {
+      return REAL.setTimeout(fn, delay, ...args);
+    }
+    return schedule(fn, delay, args, false);
+  }
+
+  function vSetInterval(fn, delay, ...args) {
+    if (typeof fn !== "function" || !isVirtual(callerFile(vSetInterval))) {
+      return REAL.setInterval(fn, delay, ...args);
+    }
+    return schedule(fn, delay, args, true);
+  }
+
+  function vClearTimeout(handle) {
+    const id = idOf(handle);
+    if (id !== null) timers.delete(id);
+    else REAL.clearTimeout(handle);
+  }
+
+  function vClearInterval(handle) {
+    const id = idOf(handle);
+    if (id !== null) timers.delete(id);
+    else REAL.clearInterval(handle);
+  }
+
+  class VirtualDate extends REAL.Date {
+    constructor(...args) {
+      if (args.length) super(...args);
+      else super(clock.nowMs());
+    }
+
+    static now() {
+      return clock.nowMs();
+    }
+
+    // Dates created before install (or by REAL.Date) still pass `instanceof Date`.
+    static [Symbol.hasInstance](x) {
+      return x instanceof REAL.Date;
+    }
+  }
+
+  function nextDue() {
+    let best = null;
+    for (const t of timers.values()) {
+      if (!best || t.due < best.due || (t.due === best.due && t.seq < best.seq)) best = t;
+    }
+    return best;
+  }
+
+  const controller = {
+    clock,
+
+    pending() {
+      return timers.size;
+    },
+
+    nextDueMs() {
+      return nextDue()?.due ?? null;
+    },
+
+    refresh(id) {
+      const t = timers.get(id);
+      if (!t) return;
+      t.due = clock.nowMs() + t.delayMs;
+      t.seq = seq++;
+    },
+
+    /**
+     * Fire every virtual timer due at or before `targetMs` in (due, creation)
+     * order, moving the clock to each timer's due time first. `settle` is
+     * awaited after each callback so async work it starts can finish before
+     * the next timer fires.
+     */
+    async advanceTo(targetMs, { settle } = {}) {
+      const target = Number(targetMs);
+      if (!Number.isFinite(target)) throw new Error("[virtualTime] advanceTo needs a finite ms");
+      let fired = 0;
+      for (;;) {
+        const t = nextDue();
+        if (!t || t.due > target) break;
+        if (++fired > MAX_FIRES_PER_ADVANCE) {
+          throw new Error("[virtualTime] timer storm: too many fires in one advance");
+        }
+        if (t.due > clock.nowMs()) clock.set(t.due);
+        if (t.everyMs !== null) {
+          t.due += t.everyMs;
+          t.seq = seq++;
+        } else {
+          timers.delete(t.timer.id);
+        }
+        try {
+          t.fn(...t.args);
+        } catch (err) {
+          if (typeof onError === "function") onError(err);
+        }
+        await (typeof settle === "function" ? settle() : realYield());
+      }
+      if (target > clock.nowMs()) clock.set(target);
+      return fired;
+    },
+
+    uninstall() {
+      if (active !== controller) return;
+      global.Date = REAL.Date;
+      global.setTimeout = REAL.setTimeout;
+      global.clearTimeout = REAL.clearTimeout;
+      global.setInterval = REAL.setInterval;
+      global.clearInterval = REAL.clearInterval;
+      timers.clear();
+      active = null;
+    },
+  };
+
+  global.Date = VirtualDate;
+  global.setTimeout = vSetTimeout;
+  global.clearTimeout = vClearTimeout;
+  global.setInterval = vSetInterval;
+  global.clearInterval = vClearInterval;
+  active = controller;
+  return controller;
+}
+
+function getVirtualTime() {
+  return active;
+}
+
+module.exports = { installVirtualTime, getVirtualTime, realYield, REAL_TIMERS: REAL };
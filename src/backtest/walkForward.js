@@ -0,0 +1,419 @@
+const crypto = require("crypto");
+const { DateTime } = require("luxon");
+
+/**
+ * Walk-forward parameter optimization (pure; the candle loop is injected).
+ *
+ * Search space (JSON), per strategy plus optional plan/exit env knobs:
+ *   {
+ *     "breakout": { "lookback": [10, 20, 30], "volMult": { "min": 1, "max": 2, "step": 0.25 } },
+ *     "env": { "RR_TARGET": [1.2, 1.5] }
+ *   }
+ * Grid search needs a `step` for ranges; random search samples lists uniformly
+ * and ranges uniformly (snapped to `step` when given).
+ *
+ * Folds are built on session days: each fold optimizes on `isDays` and
+ * evaluates the in-sample winner on the following `oosDays`; the window then
+ * moves by `stepDays` (rolling) or keeps its start (anchored).
+ */
+
+const ENV_SCOPE = "env";
+const OBJECTIVES = ["netPnl", "expectancyR", "calmar", "profitFactor"];
+
+function num(x, d = null) {
+  const v = Number(x);
+  return Number.isFinite(v) ? v : d;
+}
+
+function round(x, dp = 2) {
+  return Number.isFinite(x) ? Number(x.toFixed(dp)) : null;
+}
+
+function normalizeSpace(space) {
+  if (!space || typeof space !== "object" || Array.isArray(space)) {
+    throw new Error("[walkForward] space must be an object keyed by strategy id");
+  }
+  const dims = [];
+  for (const [scope, params] of Object.entries(space)) {
+    if (!params || typeof params !== "object" || Array.isArray(params)) {
+      throw new Error(`[walkForward] space.${scope} must be an object of parameters`);
+    }
+    for (const [key, def] of Object.entries(params)) {
+      if (Array.isArray(def)) {
+        if (!def.length) throw new Error(`[walkForward] ${scope}.${key} has no values`);
+        dims.push({ scope, key, values: def.slice() });
+        continue;
+      }
+      const min = num(def?.min);
+      const max = num(def?.max);
+      if (min === null || max === null || max < min) {
+        throw new Error(`[walkForward] ${scope}.${key} needs a value list or { min, max[, step] }`);
+      }
+      const step = num(def?.step);
+      dims.push({ scope, key, min, max, step: step > 0 ? step : null });
+    }
+  }
+  if (!dims.length) throw new Error("[walkForward] space has no parameters");
+  return dims;
+}
+
+function rangeValues({ scope, key, min, max, step }) {
+  if (!step) throw new Error(`[walkForward] grid search needs a step for ${scope}.${key}`);
+  const out = [];
+  const count = Math.floor((max - min) / step + 1e-9);
+  for (let i = 0; i <= count; i++) out.push(round(min + i * step, 8));
+  return out;
+}
+
+function toCandidate(assignments) {
+  const strategyParams = {};
+  const envOverrides = {};
+  for (const { scope, key, value } of assignments) {
+    if (scope === ENV_SCOPE) {
+      envOverrides[key] = value;
+    } else {
+      strategyParams[scope] = strategyParams[scope] || {};
+      strategyParams[scope][key] = value;
+    }
+  }
+  return { strategyParams, envOverrides };
+}
+
+function sortKeys(obj) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return obj;
+  const out = {};
+  for (const k of Object.keys(obj).sort()) out[k] = sortKeys(obj[k]);
+  return out;
+}
+
+// Stable identity for a candidate (used for dedupe and selection frequency).
+function candidateKey(c) {
+  return JSON.stringify(sortKeys({ s: c.strategyParams || {}, e: c.envOverrides || {} }));
+}
+
+function expandGrid(space, { maxCandidates = 500 } = {}) {
+  const dims = normalizeSpace(space);
+  const axes = dims.map((d) => (d.values ? d.values : rangeValues(d)));
+  const total = axes.reduce((a, v) => a * v.length, 1);
+  if (total > maxCandidates) {
+    throw new Error(
+      `[walkForward] grid has ${total} combinations (> ${maxCandidates}); narrow it or use random search`,
+    );
+  }
+  const out = [];
+  const idx = new Array(dims.length).fill(0);
+  for (let c = 0; c < total; c++) {
+    out.push(toCandidate(dims.map((d, i) => ({ ...d, value: axes[i][idx[i]] }))));
+    for (let i = dims.length - 1; i >= 0; i--) {
+      idx[i] += 1;
+      if (idx[i] < axes[i].length) break;
+      idx[i] = 0;
+    }
+  }
+  return out;
+}
+
+function sampleRandom(space, count, rng) {
+  const dims = normalizeSpace(space);
+  const want = Math.max(1, Math.floor(num(count, 1)));
+  const out = [];
+  const seen = new Set();
+  // Small discrete spaces cannot yield `want` distinct candidates; stop trying.
+  for (let attempt = 0; out.length < want && attempt < want * 20; attempt++) {
+    const c = toCandidate(
+      dims.map((d) => {
+        if (d.values) return { ...d, value: d.values[Math.floor(rng() * d.values.length)] };
+        let v = d.min + rng() * (d.max - d.min);
+        if (d.step) v = d.min + Math.round((v - d.min) / d.step) * d.step;
+        return { ...d, value: round(Math.min(d.max, v), 8) };
+      }),
+    );
+    const key = candidateKey(c);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(c);
+  }
+  return out;
+}
+
+function sessionDay(ts, timezone) {
+  return DateTime.fromJSDate(new Date(ts), { zone: timezone }).toFormat("yyyy-LL-dd");
+}
+
+/**
+ * Split sorted candles into walk-forward folds by session day.
+ * Index ranges are inclusive; warmup candles are taken before `fromIdx` when run.
+ */
+function buildFolds({
+  candles,
+  timezone = "Asia/Kolkata",
+  isDays,
+  oosDays,
+  stepDays = oosDays,
+  anchored = false,
+}) {
+  const is = Math.max(1, Math.floor(num(isDays, 0)));
+  const oos = Math.max(1, Math.floor(num(oosDays, 0)));
+  const step = Math.max(1, Math.floor(num(stepDays, oos)));
+
+  const days = [];
+  for (let i = 0; i < (candles || []).length; i++) {
+    const day = sessionDay(candles[i].ts, timezone);
+    const last = days[days.length - 1];
+    if (last && last.day === day) last.toIdx = i;
+    else days.push({ day, fromIdx: i, toIdx: i });
+  }
+
+  const folds = [];
+  for (let start = 0; start + is + oos <= days.length; start += step) {
+    const isFrom = anchored ? 0 : start;
+    const isTo = start + is - 1;
+    const oosTo = isTo + oos;
+    folds.push({
+      index: folds.length,
+      is: {
+        fromIdx: days[isFrom].fromIdx,
+        toIdx: days[isTo].toIdx,
+        fromDay: days[isFrom].day,
+        toDay: days[isTo].day,
+        days: isTo - isFrom + 1,
+      },
+      oos: {
+        fromIdx: days[isTo + 1].fromIdx,
+        toIdx: days[oosTo].toIdx,
+        fromDay: days[isTo + 1].day,
+        toDay: days[oosTo].day,
+        days: oos,
+      },
+    });
+  }
+  return folds;
+}
+
+function tradeR(t) {
+  const risk =
+    Math.abs(num(t.entryPrice, NaN) - num(t.initialStopLoss ?? t.stopLoss, NaN)) *
+    num(t.qty ?? t.initialQty, 0);
+  return risk > 0 ? num(t.netPnl, 0) / risk : null;
+}
+
+/**
+ * Net-of-cost metrics for a trade list (trades carry netPnl/estCostInr from
+ * the backtest loop). Drawdown is measured on the closed-trade equity curve.
+ */
+function tradeMetrics(trades) {
+  const list = (trades || []).slice().sort(
+    (a, b) => new Date(a.exitTs || 0).getTime() - new Date(b.exitTs || 0).getTime(),
+  );
+  let equity = 0;
+  let peak = 0;
+  let maxDD = 0;
+  let wins = 0;
+  let grossWin = 0;
+  let grossLoss = 0;
+  let costInr = 0;
+  const rs = [];
+  for (const t of list) {
+    const pnl = num(t.netPnl, 0);
+    equity += pnl;
+    peak = Math.max(peak, equity);
+    maxDD = Math.min(maxDD, equity - peak);
+    costInr += num(t.estCostInr, 0);
+    if (pnl > 0) {
+      wins += 1;
+      grossWin += pnl;
+    } else {
+      grossLoss += -pnl;
+    }
+    const r = tradeR(t);
+    if (r !== null) rs.push(r);
+  }
+  const count = list.length;
+  const maxDrawdownInr = Math.abs(maxDD);
+  return {
+    trades: count,
+    wins,
+    winRate: count ? round((wins / count) * 100) : 0,
+    netPnl: round(equity),
+    costInr: round(costInr),
+    avgNetPerTrade: count ? round(equity / count) : 0,
+    expectancyR: rs.length ? round(rs.reduce((a, b) => a + b, 0) / rs.length, 4) : null,
+    maxDrawdownInr: round(maxDrawdownInr),
+    profitFactor: grossLoss > 0 ? round(grossWin / grossLoss, 4) : grossWin > 0 ? null : 0,
+    calmar: maxDrawdownInr > 0 ? round(equity / maxDrawdownInr, 4) : null,
+  };
+}
+
+function objectiveScore(metrics, objective = "netPnl", { minTrades = 1 } = {}) {
+  if (!metrics || metrics.trades < Math.max(0, num(minTrades, 1))) return -Infinity;
+  switch (objective) {
+    case "expectancyR":
+      return num(metrics.expectancyR, -Infinity);
+    case "calmar":
+      // No drawdown: rank by raw PnL above every finite ratio.
+      return metrics.calmar === null ? (metrics.netPnl > 0 ? 1e9 + metrics.netPnl : 0) : metrics.calmar;
+    case "profitFactor":
+      return metrics.profitFactor === null ? 1e9 : metrics.profitFactor;
+    default:
+      return num(metrics.netPnl, -Infinity);
+  }
+}
+
+function segment(candles, { fromIdx, toIdx }, warmup) {
+  const start = Math.max(0, fromIdx - warmup);
+  return candles.slice(start, toIdx + 1);
+}
+
+/**
+ * Run the walk-forward loop.
+ *   simulate({ candles, warmup, candidate, fold, phase }) -> { trades }
+ * Returns { folds: [...], aggregate }.
+ */
+function runWalkForward({
+  candles,
+  folds,
+  candidates,
+  simulate,
+  objective = "netPnl",
+  minTrades = 1,
+  warmup = 80,
+  topN = 5,
+  onProgress = null,
+}) {
+  if (!OBJECTIVES.includes(objective)) {
+    throw new Error(`[walkForward] unknown objective ${objective} (${OBJECTIVES.join("|")})`);
+  }
+  if (!candidates?.length) throw new Error("[walkForward] no candidates to evaluate");
+
+  const foldResults = [];
+  const oosTrades = [];
+  for (const fold of folds) {
+    const isCandles = segment(candles, fold.is, warmup);
+    const ranked = [];
+    for (const candidate of candidates) {
+      const { trades } = simulate({ candles: isCandles, warmup, candidate, fold, phase: "IS" });
+      const metrics = tradeMetrics(trades);
+      ranked.push({ candidate, metrics, score: objectiveScore(metrics, objective, { minTrades }) });
+    }
+    // Stable: ties keep candidate order so runs are reproducible.
+    ranked.sort((a, b) => b.score - a.score);
+    const best = ranked[0];
+
+    let oos = null;
+    if (Number.isFinite(best.score)) {
+      const { trades } = simulate({
+        candles: segment(candles, fold.oos, warmup),
+        warmup,
+        candidate: best.candidate,
+        fold,
+        phase: "OOS",
+      });
+      oos = { metrics: tradeMetrics(trades), trades };
+      for (const t of trades) oosTrades.push({ ...t, fold: fold.index });
+    }
+
+    foldResults.push({
+      index: fold.index,
+      is: { ...fold.is, metrics: best.metrics, score: round(best.score, 4) },
+      oos: { ...fold.oos, metrics: oos?.metrics || null, skipped: !oos },
+      selected: Number.isFinite(best.score) ? best.candidate : null,
+      selectedKey: Number.isFinite(best.score) ? candidateKey(best.candidate) : null,
+      leaderboard: ranked.slice(0, topN).map((r) => ({
+        candidate: r.candidate,
+        score: round(r.score, 4),
+        metrics: r.metrics,
+      })),
+    });
+    onProgress?.({ fold: fold.index, folds: folds.length, selected: foldResults.at(-1).selected });
+  }
+
+  return { folds: foldResults, aggregate: aggregateFolds(foldResults, oosTrades), oosTrades };
+}
+
+function aggregateFolds(foldResults, oosTrades) {
+  const evaluated = foldResults.filter((f) => f.oos.metrics);
+  const isNet = evaluated.reduce((a, f) => a + num(f.is.metrics?.netPnl, 0), 0);
+  const isDays = evaluated.reduce((a, f) => a + f.is.days, 0);
+  const oosNet = evaluated.reduce((a, f) => a + num(f.oos.metrics.netPnl, 0), 0);
+  const oosDays = evaluated.reduce((a, f) => a + f.oos.days, 0);
+
+  const selections = new Map();
+  for (const f of foldResults) {
+    if (!f.selectedKey) continue;
+    const row = selections.get(f.selectedKey) || { candidate: f.selected, folds: 0 };
+    row.folds += 1;
+    selections.set(f.selectedKey, row);
+  }
+  const selectionFrequency = Array.from(selections.values()).sort((a, b) => b.folds - a.folds);
+
+  return {
+    folds: foldResults.length,
+    evaluatedFolds: evaluated.length,
+    profitableOosFolds: evaluated.filter((f) => f.oos.metrics.netPnl > 0).length,
+    oos: tradeMetrics(oosTrades),
+    // OOS vs IS PnL per day; ~1 means the in-sample edge carried over.
+    walkForwardEfficiency:
+      isNet > 0 && isDays > 0 && oosDays > 0
+        ? round(oosNet / oosDays / (isNet / isDays), 4)
+        : null,
+    selectionFrequency,
+    // Share of folds that picked the most frequent candidate.
+    paramStability: evaluated.length
+      ? round((selectionFrequency[0]?.folds || 0) / foldResults.length, 4)
+      : null,
+  };
+}
+
+// Identity of the experiment (inputs, not results): same key => comparable runs.
+function experimentKey(spec) {
+  return crypto.createHash("sha1").update(JSON.stringify(sortKeys(spec))).digest("hex");
+}
+
+/**
+ * Metric deltas vs a previous run of the same experiment, plus which
+ * snapshot env keys changed in between.
+ */
+function compareRuns(prev, cur) {
+  if (!prev) return null;
+  const delta = (k) => {
+    const a = num(prev.aggregate?.oos?.[k]);
+    const b = num(cur.aggregate?.oos?.[k]);
+    return a === null || b === null ? null : round(b - a, 4);
+  };
+  const prevEnv = prev.configSnapshot || {};
+  const curEnv = cur.configSnapshot || {};
+  const changedEnv = Array.from(new Set([...Object.keys(prevEnv), ...Object.keys(curEnv)]))
+    .filter((k) => prevEnv[k] !== curEnv[k])
+    .sort();
+  return {
+    prevRunAt: prev.runAt || null,
+    prevGitHash: prev.gitHash || null,
+    gitChanged: (prev.gitHash || null) !== (cur.gitHash || null),
+    changedEnv,
+    oosDelta: {
+      netPnl: delta("netPnl"),
+      expectancyR: delta("expectancyR"),
+      maxDrawdownInr: delta("maxDrawdownInr"),
+      trades: delta("trades"),
+    },
+    walkForwardEfficiencyDelta:
+      num(prev.aggregate?.walkForwardEfficiency) === null ||
+      num(cur.aggregate?.walkForwardEfficiency) === null
+        ? null
+        : round(cur.aggregate.walkForwardEfficiency - prev.aggregate.walkForwardEfficiency, 4),
+  };
+}
+
+module.exports = {
+  OBJECTIVES,
+  normalizeSpace,
+  expandGrid,
+  sampleRandom,
+  candidateKey,
+  buildFolds,
+  tradeMetrics,
+  objectiveScore,
+  runWalkForward,
+  experimentKey,
+  compareRuns,
+};
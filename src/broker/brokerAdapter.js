@@ -0,0 +1,175 @@
+/**
+ * Broker adapter contract.
+ *
+ * The engine talks to its broker through one object with the Kite REST method
+ * names and response shapes (they are the engine's canonical broker API: order
+ * params, order/position rows and quote maps are Kite-shaped everywhere), plus
+ * a streaming handle for ticks and order updates:
+ *
+ *   adapter.name            "kite" | "sim" | ...
+ *   adapter.capabilities    { orders, positions, margins, basketMargins, gtt, quotes,
+ *                             instruments, historical, streaming }
+ *   adapter.placeOrder(...) etc., see BROKER_METHODS (optional ones may be absent;
+ *                           callers keep their `typeof fn === "function"` checks)
+ *   adapter.createStream()  -> BrokerStream
+ *
+ * A BrokerStream emits STREAM_EVENTS and takes STREAM_MODES as plain strings, so
+ * nothing outside an adapter depends on KiteTicker's mode constants.
+ */
+
+const BROKER_METHODS = Object.freeze({
+  orders: ["placeOrder", "modifyOrder", "cancelOrder", "getOrders", "getOrderHistory"],
+  positions: ["getPositions"],
+  margins: ["getMargins", "orderMargins"],
+  quotes: ["getQuote", "getLTP"],
+  instruments: ["getInstruments"],
+  historical: ["getHistoricalData"],
+});
+
+// Used when present: basket margins, trade book, MIS→NRML conversion, holdings, GTT triggers.
+const GTT_METHODS = Object.freeze(["getGTTs", "placeGTT", "modifyGTT", "deleteGTT"]);
+const OPTIONAL_METHODS = Object.freeze([
+  "orderBasketMargins",
+  "getTrades",
+  "convertPosition",
+  "getHoldings",
+  ...GTT_METHODS,
+]);
+
+const REQUIRED_GROUPS = Object.freeze(["orders", "positions", "quotes", "instruments"]);
+
+const STREAM_EVENTS = Object.freeze([
+  "connect",
+  "ticks",
+  "order_update",
+  "error",
+  "reconnect",
+  "close",
+  "disconnect",
+]);
+
+const STREAM_MODES = Object.freeze(["ltp", "quote", "full"]);
+
+const ALL_METHODS = [...Object.values(BROKER_METHODS).flat(), ...OPTIONAL_METHODS];
+
+/**
+ * Ticker-backed stream. Works for KiteTicker and the simulated ticker, which
+ * share the event names and expose their mode constants as modeLTP/modeQuote/modeFull.
+ */
+class TickerStream {
+  constructor(ticker) {
+    if (!ticker || typeof ticker.on !== "function") {
+      throw new Error("[broker] stream needs a ticker with on()");
+    }
+    this.ticker = ticker;
+  }
+
+  on(event, fn) {
+    this.ticker.on(event, fn);
+    return this;
+  }
+
+  // Drops every listener of `event` (session re-wiring).
+  off(event) {
+    if (typeof this.ticker.removeAllListeners === "function") this.ticker.removeAllListeners(event);
+    else if (typeof this.ticker.off === "function") this.ticker.off(event);
+    return this;
+  }
+
+  connect() {
+    return this.ticker.connect();
+  }
+
+  disconnect() {
+    return this.ticker.disconnect();
+  }
+
+  subscribe(tokens) {
+    return this.ticker.subscribe(tokens);
+  }
+
+  unsubscribe(tokens) {
+    if (typeof this.ticker.unsubscribe === "function") return this.ticker.unsubscribe(tokens);
+    return undefined;
+  }
+
+  setMode(mode, tokens) {
+    const m = String(mode || "").toLowerCase();
+    const native = { ltp: this.ticker.modeLTP, quote: this.ticker.modeQuote, full: this.ticker.modeFull }[m];
+    if (!native) throw new Error(`[broker] unknown stream mode: ${mode}`);
+    return this.ticker.setMode(native, tokens);
+  }
+}
+
+class BrokerAdapter {
+  /**
+   * @param {object} opts
+   * @param {string} opts.name
+   * @param {object} opts.client Kite-shaped REST client (methods are bound onto the adapter)
+   * @param {() => object} [opts.createStream] returns a BrokerStream
+   */
+  constructor({ name, client, createStream = null }) {
+    if (!name) throw new Error("[broker] adapter name is required");
+    if (!client) throw new Error(`[broker] adapter "${name}" has no client`);
+    this.name = String(name);
+    this.client = client;
+    this._createStream = createStream;
+    for (const m of ALL_METHODS) {
+      if (typeof client[m] === "function") this[m] = client[m].bind(client);
+    }
+    this.capabilities = describeCapabilities(this);
+  }
+
+  createStream() {
+    if (typeof this._createStream !== "function") {
+      throw new Error(`[broker] adapter "${this.name}" does not support streaming`);
+    }
+    return this._createStream();
+  }
+}
+
+function describeCapabilities(adapter) {
+  const has = (m) => typeof adapter?.[m] === "function";
+  const caps = {};
+  for (const [group, methods] of Object.entries(BROKER_METHODS)) {
+    caps[group] = methods.every(has);
+  }
+  caps.basketMargins = has("orderBasketMargins");
+  caps.gtt = GTT_METHODS.every(has);
+  caps.streaming = typeof adapter?._createStream === "function" || has("createStream");
+  return caps;
+}
+
+/** Missing required methods of `adapter` (empty when it satisfies the contract). */
+function missingBrokerMethods(adapter) {
+  const missing = [];
+  for (const group of REQUIRED_GROUPS) {
+    for (const m of BROKER_METHODS[group]) {
+      if (typeof adapter?.[m] !== "function") missing.push(m);
+    }
+  }
+  if (typeof adapter?.getMargins !== "function") missing.push("getMargins");
+  if (typeof adapter?.createStream !== "function") missing.push("createStream");
+  return missing;
+}
+
+function assertBrokerAdapter(adapter) {
+  const missing = missingBrokerMethods(adapter);
+  if (missing.length) {
+    throw new Error(`[broker] adapter "${adapter?.name || "unknown"}" is missing: ${missing.join(", ")}`);
+  }
+  return adapter;
+}
+
+module.exports = {
+  BROKER_METHODS,
+  OPTIONAL_METHODS,
+  GTT_METHODS,
+  STREAM_EVENTS,
+  STREAM_MODES,
+  BrokerAdapter,
+  TickerStream,
+  describeCapabilities,
+  missingBrokerMethods,
+  assertBrokerAdapter,
+};
@@ -0,0 +1,43 @@
+const { env } = require("../config");
+const { logger } = require("../logger");
+const { assertBrokerAdapter } = require("./brokerAdapter");
+const { createKiteAdapter } = require("./kiteAdapter");
+const { createSimAdapter } = require("./simAdapter");
+
+/**
+ * Broker adapter registry. BROKER_ADAPTER picks the factory used for every
+ * session; a second broker registers its factory here and needs no engine edits.
+ *
+ * A factory receives `{ apiKey, accessToken, cfg }` and returns an object
+ * satisfying brokerAdapter.js (checked on creation).
+ */
+
+const factories = new Map([
+  ["kite", createKiteAdapter],
+  ["sim", createSimAdapter],
+]);
+
+function registerBrokerAdapter(name, factory, { replace = false } = {}) {
+  const key = String(name || "").trim().toLowerCase();
+  if (!key) throw new Error("[broker] adapter name is required");
+  if (typeof factory !== "function") throw new Error(`[broker] adapter "${key}" factory must be a function`);
+  if (factories.has(key) && !replace) throw new Error(`[broker] adapter "${key}" already registered`);
+  factories.set(key, factory);
+}
+
+function listBrokerAdapters() {
+  return Array.from(factories.keys());
+}
+
+function createBrokerAdapter({ name = env.BROKER_ADAPTER, cfg = env, ...opts } = {}) {
+  const key = String(name || "kite").trim().toLowerCase();
+  const factory = factories.get(key);
+  if (!factory) {
+    throw new Error(`[broker] unknown BROKER_ADAPTER "${key}" (known: ${listBrokerAdapters().join(", ")})`);
+  }
+  const adapter = assertBrokerAdapter(factory({ ...opts, cfg }));
+  logger.info({ adapter: adapter.name, capabilities: adapter.capabilities }, "[broker] adapter ready");
+  return adapter;
+}
+
+module.exports = { registerBrokerAdapter, listBrokerAdapters, createBrokerAdapter };
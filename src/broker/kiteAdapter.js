@@ -0,0 +1,16 @@
+const { createKiteConnect, createTicker } = require("../kite/kiteClients");
+const { BrokerAdapter, TickerStream } = require("./brokerAdapter");
+
+/**
+ * Zerodha Kite adapter: the retry-wrapped KiteConnect client for REST and a
+ * KiteTicker (auto-reconnect on) per stream.
+ */
+function createKiteAdapter({ apiKey, accessToken }) {
+  return new BrokerAdapter({
+    name: "kite",
+    client: createKiteConnect({ apiKey, accessToken }),
+    createStream: () => new TickerStream(createTicker({ apiKey, accessToken })),
+  });
+}
+
+module.exports = { createKiteAdapter };
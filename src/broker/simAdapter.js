@@ -0,0 +1,79 @@
+const { env } = require("../config");
+const { getDb } = require("../db");
+const { COLLECTION: INSTRUMENTS_COLLECTION } = require("../instruments/instrumentRepo");
+const { collectionName } = require("../market/candleStore");
+const { SimKiteClient, SimTicker } = require("../backtest/simKite");
+const { parseLeverage } = require("../strategy/paperBroker");
+const { BrokerAdapter, TickerStream } = require("./brokerAdapter");
+
+/**
+ * In-process simulated broker (BROKER_ADAPTER=sim).
+ *
+ * The simulated exchange from backtest/simKite.js on wall-clock time (or a
+ * given clock). There is no external feed: whoever drives the engine
+ * (integration tests, scenario runners) calls `adapter.pushTicks(ticks)`,
+ * which matches resting orders first and then delivers the ticks to the
+ * stream subscribers, order updates included.
+ *
+ * Instruments and historical candles default to the engine database
+ * (instruments_cache, candle collections); pass `marketData` to override.
+ * Fill model and account settings reuse the PAPER_* keys.
+ */
+
+function n(v, d = null) {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+}
+
+function dbMarketData() {
+  return {
+    instruments: (exchange) =>
+      getDb()
+        .collection(INSTRUMENTS_COLLECTION)
+        .find(exchange ? { exchange: String(exchange).toUpperCase() } : {})
+        .toArray(),
+    historical: (token, intervalMin, from, to) =>
+      getDb()
+        .collection(collectionName(intervalMin))
+        .find({ instrument_token: Number(token), ts: { $gte: from, $lte: to } })
+        .sort({ ts: 1 })
+        .toArray(),
+  };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {SimKiteClient} [opts.kite] existing simulated exchange (its ticker is used for the stream)
+ * @param {{nowMs: Function}} [opts.clock] defaults to Date.now
+ * @param {object[]} [opts.instruments] rows registered up front
+ * @param {{historical?: Function, instruments?: Function}} [opts.marketData]
+ */
+function createSimAdapter({ kite = null, clock = null, instruments = [], marketData = null, seed = null, cfg = env } = {}) {
+  const ticker = kite?.ticker || new SimTicker();
+  const exchange =
+    kite ||
+    new SimKiteClient({
+      clock: clock || { nowMs: () => Date.now() },
+      ticker,
+      marketData: marketData || dbMarketData(),
+      model: { spreadBps: Math.max(0, n(cfg.PAPER_SPREAD_BPS, 6)), slippageBps: Math.max(0, n(cfg.PAPER_SLIPPAGE_BPS, 2)) },
+      seed: n(seed, 42),
+      latencyMs: Math.max(0, n(cfg.PAPER_LATENCY_MS, 150)),
+      startingCash: n(cfg.PAPER_STARTING_CASH, 1_000_000),
+      leverage: { MIS: 5, NRML: 1, CNC: 1, MTF: 1, ...parseLeverage(cfg.PAPER_LEVERAGE) },
+      timezone: cfg.CANDLE_TZ || "Asia/Kolkata",
+      placedBy: "SIM",
+    });
+  exchange.registerInstruments(instruments);
+
+  const stream = new TickerStream(ticker);
+  const adapter = new BrokerAdapter({ name: "sim", client: exchange, createStream: () => stream });
+  adapter.exchange = exchange;
+  adapter.pushTicks = (ticks) => {
+    exchange.onMarketTicks(ticks);
+    return ticker.pushTicks(ticks);
+  };
+  return adapter;
+}
+
+module.exports = { createSimAdapter };
@@ -100,8 +100,18 @@ const schema = z.object({
   LOG_LEVEL: z.string().optional(),
   ADMIN_API_KEY: z.string().optional(),
   RBAC_ENABLED: z.string().default("false"),
-  RBAC_HEADER: z.string().default("x-role"),
+  // Applies only to unauthenticated dev requests (no ADMIN_API_KEY); API keys carry their own role.
   RBAC_DEFAULT_ROLE: z.string().default("viewer"),
+  // Per-user admin API keys (security/apiKeys.js). 0 = keys never expire unless expiresAt is given.
+  API_KEYS_COLLECTION: z.string().default("api_keys"),
+  API_KEYS_DEFAULT_TTL_DAYS: z.coerce.number().default(90),
+  // Encrypted secrets store (security/secrets.js). Master key: 32 bytes as hex/base64,
+  // inline or in a file; it is never written to Mongo.
+  SECRETS_MASTER_KEY: z.string().optional(),
+  SECRETS_MASTER_KEY_FILE: z.string().optional(),
+  // Old master keys (comma-separated) still accepted for reading until POST /admin/secrets/rotate re-seals.
+  SECRETS_PREVIOUS_MASTER_KEYS: z.string().optional(),
+  SECRETS_COLLECTION: z.string().default("secrets"),
 
   // CORS
   CORS_ORIGIN: z.string().optional(),
@@ -139,6 +149,13 @@ const schema = z.object({
     .default("telemetry_trades_daily"),
   TELEMETRY_TRADES_RING_SIZE: z.coerce.number().default(300),
 
+  // Portfolio analytics (/admin/analytics/*): daily rollups cached in Mongo
+  ANALYTICS_ROLLUP_COLLECTION: z.string().default("analytics_daily_rollups"),
+  ANALYTICS_DEFAULT_RANGE_DAYS: z.coerce.number().default(30),
+  ANALYTICS_MAX_RANGE_DAYS: z.coerce.number().default(1100),
+  ANALYTICS_ANNUALIZATION_DAYS: z.coerce.number().default(252),
+  ANALYTICS_STARTING_EQUITY_INR: z.coerce.number().default(0), // 0 = curve starts at 0, no % figures
+
   // Fee-multiple scoring (grossPnl / estimatedCosts) persisted on closed trades
   FEE_MULTIPLE_ENABLED: z.string().default("true"),
 
@@ -213,6 +230,17 @@ const schema = z.object({
   KITE_HTTP_TIMEOUT_MS: z.coerce.number().default(15000),
   KITE_RETRY_ATTEMPTS: z.coerce.number().default(4),
   KITE_RETRY_BASE_DELAY_MS: z.coerce.number().default(300),
+  // Kite endpoint overrides (e.g. the local mock server: npm run kite:mock).
+  // Unset = the SDK defaults (api.kite.trade / ws.kite.trade).
+  KITE_API_ROOT: z.string().optional(),
+  KITE_TICKER_ROOT: z.string().optional(),
+  // Unattended login (kite/kiteAutoLogin.js): user_id/password/TOTP seed from the
+  // secrets store; scheduled KITE_AUTOLOGIN_LEAD_MIN before ENGINE_WARMUP_HHMM.
+  KITE_AUTOLOGIN_ENABLED: z.string().default("false"),
+  KITE_LOGIN_ROOT: z.string().default("https://kite.zerodha.com"),
+  KITE_AUTOLOGIN_LEAD_MIN: z.coerce.number().default(15),
+  KITE_AUTOLOGIN_RETRY_ATTEMPTS: z.coerce.number().default(3),
+  KITE_AUTOLOGIN_RETRY_DELAY_MS: z.coerce.number().default(30000),
 
   // PATCH-7: Quote guard (throttle + chunk + backoff + circuit breaker)
   QUOTE_GUARD_ENABLED: z.string().default("true"),
@@ -380,6 +408,23 @@ const schema = z.object({
   OPT_EXPECTED_HOLD_MIN: z.coerce.number().default(10),
   OPT_IV_THETA_EDGE_MULT: z.coerce.number().default(1.2),
 
+  // Multi-leg structures: SINGLE (off) | SPREAD | STRADDLE | STRANGLE | IRON_FLY | AUTO
+  // AUTO: directional signals trade debit spreads, neutral signals OPT_STRUCTURE_NEUTRAL.
+  OPT_STRUCTURE: z.string().default("SINGLE"),
+  OPT_STRUCTURE_NEUTRAL: z.string().default("IRON_FLY"),
+  OPT_SPREAD_WIDTH_STEPS: z.coerce.number().default(2),
+  OPT_STRANGLE_WIDTH_STEPS: z.coerce.number().default(2),
+  OPT_IRON_FLY_WING_STEPS: z.coerce.number().default(4),
+  OPT_STRUCTURE_MAX_LOTS: z.coerce.number().default(1),
+  // Stop / target as % of the structure's max loss / max profit
+  OPT_STRUCTURE_SL_PCT: z.coerce.number().default(50),
+  OPT_STRUCTURE_TARGET_PCT: z.coerce.number().default(60),
+  // Target for unbounded-profit structures (long straddle/strangle) in multiples of the stop
+  OPT_STRUCTURE_TARGET_R: z.coerce.number().default(1.5),
+  OPT_STRUCTURE_LEG_FILL_TIMEOUT_MS: z.coerce.number().default(5000),
+  OPT_STRUCTURE_LEG_POLL_MS: z.coerce.number().default(250),
+  OPT_STRUCTURE_RECONCILE_GRACE_MS: z.coerce.number().default(5000),
+
   // Stops for long options (premium-based)
   OPT_STOP_MODE: z.string().default("PCT"),
   // Option SL mode: PREMIUM_PCT (default) or UNDERLYING_ATR (delta/gamma aware)
@@ -487,6 +532,9 @@ const schema = z.object({
   ENGINE_COOLDOWN_POLL_SEC: z.coerce.number().default(10),
   MARKET_HOLIDAYS: z.string().optional(),
   ENGINE_TEST_NOW_ISO: z.string().optional(),
+  // Scheduled config presets (knob overlays per weekday / expiry day / window), applied by the lifecycle scheduler
+  CONFIG_PRESETS_ENABLED: z.string().default("false"),
+  CONFIG_PRESETS_FILE: z.string().default("config/config_presets.json"),
 
   // Market holiday calendar (optional) — blocks trading on holidays / weekends and supports special sessions.
   HOLIDAY_CALENDAR_ENABLED: z.string().default("false"),
@@ -508,6 +556,22 @@ const schema = z.object({
   // Ensure TTL indexes at startup (recommended)
   RETENTION_ENSURE_ON_START: z.string().default("true"),
 
+  // Raw tick recorder (market/tickRecorder.js). Captures ticks for replay
+  // (npm run tick:replay) into day-partitioned, gzip-compressed chunks.
+  TICK_RECORDER_ENABLED: z.string().default("false"),
+  // mongo: collections `${TICK_RECORDER_COLLECTION_PREFIX}YYYYMMDD`; file: TICK_RECORDER_DIR/YYYY-MM-DD/<token>.ndjson.gz
+  TICK_RECORDER_SINK: z.string().default("mongo"),
+  TICK_RECORDER_DIR: z.string().default("./data/ticks"),
+  TICK_RECORDER_COLLECTION_PREFIX: z.string().default("ticks_"),
+  // Comma-separated instrument tokens to record (empty = everything subscribed)
+  TICK_RECORDER_TOKENS: z.string().default(""),
+  // Subscribe underlyings in full mode while recording (depth/OI/exchange timestamps)
+  TICK_RECORDER_FULL_MODE: z.string().default("true"),
+  TICK_RECORDER_FLUSH_MS: z.coerce.number().default(2000),
+  TICK_RECORDER_MAX_BUFFER: z.coerce.number().default(200000),
+  // Whole days older than this are dropped by market/retention.js (0 = keep forever)
+  TICK_RECORDER_RETENTION_DAYS: z.coerce.number().default(7),
+
   // Admin DB purge (dangerous; deletes all docs except keep list)
   DB_PURGE_ENABLED: z.string().default("false"),
   // Comma-separated collections to keep when purging (e.g., "audit_logs,broker_tokens")
@@ -571,6 +635,22 @@ const schema = z.object({
   ALLOW_SYNTHETIC_SIGNALS: z.string().default("false"),
 
   TRADING_ENABLED: z.string().default("false"),
+  // Broker behind orders, positions, quotes and the tick stream (src/broker):
+  // kite (default) or sim (in-process simulated exchange fed via adapter.pushTicks).
+  BROKER_ADAPTER: z.string().default("kite"),
+  // live: orders go to Kite. paper: orders are matched locally against the live
+  // feed (strategy/paperBroker.js); market data, instruments and history still come from the broker adapter.
+  TRADING_MODE: z.enum(["live", "paper"]).default("live"),
+  PAPER_STARTING_CASH: z.coerce.number().default(1000000),
+  // Simulated exchange round-trip for acks/updates
+  PAPER_LATENCY_MS: z.coerce.number().default(150),
+  // Applied to MARKET/SL-M fills against the book; spread is only used when no depth is streamed
+  PAPER_SLIPPAGE_BPS: z.coerce.number().default(2),
+  PAPER_SPREAD_BPS: z.coerce.number().default(6),
+  // Intraday leverage per product (margin = notional / leverage). Option buys always need full premium.
+  PAPER_LEVERAGE: z.string().default("MIS:5,NRML:1,CNC:1"),
+  // Exchange freeze quantity fallback when the instrument row has none (0 = no check)
+  FNO_FREEZE_QTY: z.coerce.number().default(0),
   DEFAULT_EXCHANGE: z.string().default("NSE"),
   DEFAULT_PRODUCT: z.string().default("MIS"),
   DEFAULT_ORDER_VARIETY: z.string().default("regular"),
@@ -712,6 +792,7 @@ const schema = z.object({
   TRAIL_ATR_K_RANGE: z.coerce.number().default(1.0),
   TRAIL_ATR_K_TREND: z.coerce.number().default(1.4),
   TRAIL_ATR_K_OPEN: z.coerce.number().default(1.6),
+  TRAIL_ATR_K_VOLATILE: z.coerce.number().default(1.8),
   BE_BUFFER_TICKS: z.coerce.number().default(1),
   TRIGGER_BUFFER_TICKS: z.coerce.number().default(1),
   TRAIL_GAP_PREMIUM_POINTS: z.coerce.number().default(8),
@@ -773,6 +854,8 @@ const schema = z.object({
   LOT_RISK_CAP_EPS_PCT: z.coerce.number().default(0.02),
   MAX_TRADES_PER_DAY: z.coerce.number().default(6),
   MAX_OPEN_POSITIONS: z.coerce.number().default(1),
+  // Concurrent trades allowed on one underlying (0 = no per-underlying cap)
+  MAX_POSITIONS_PER_UNDERLYING: z.coerce.number().default(1),
   SYMBOL_COOLDOWN_SECONDS: z.coerce.number().default(180),
   SYMBOL_COOLDOWN_AFTER_SL_SEC: z.coerce.number().default(300),
   SYMBOL_COOLDOWN_AFTER_TIME_STOP_SEC: z.coerce.number().default(180),
@@ -821,6 +904,14 @@ const schema = z.object({
   EOD_MIS_TO_NRML_ENABLED: boolFromEnv.default(true),
   EOD_MIS_TO_NRML_AT: z.string().default("15:18"), // HH:mm in CANDLE_TZ (must be < FORCE_FLATTEN_AT)
   EOD_CARRY_ALLOWED: boolFromEnv.default(false),
+
+  // Broker-side GTT two-leg (OCO) protection mirroring each position's SL + target.
+  // CARRY = only positions converted to NRML/CNC (DAY SL orders do not survive the session);
+  // ALL = every live position.
+  GTT_PROTECTION_ENABLED: boolFromEnv.default(false),
+  GTT_PROTECTION_SCOPE: z.enum(["CARRY", "ALL"]).default("CARRY"),
+  GTT_BACKSTOP_BPS: z.coerce.number().default(20), // GTT triggers this far beyond the engine's SL / target
+  GTT_SL_LIMIT_BUFFER_BPS: z.coerce.number().default(50), // GTT legs are LIMIT: SL leg limit beyond its trigger
   RECONCILE_BROKER_SQOFF_MATCH_WINDOW_SEC: z.coerce.number().default(300),
 
   // Additional no-trade windows: comma-separated "HH:mm-HH:mm" ranges
@@ -902,11 +993,32 @@ const schema = z.object({
       "ema_pullback,vwap_reclaim,orb,bb_squeeze,breakout,volume_spike,fakeout,rsi_fade,wick_reversal",
     ),
   SIGNAL_INTERVALS: z.string().default("1"),
+  // Extra strategy plugin directories (comma-separated, relative to cwd)
+  STRATEGY_PLUGIN_DIRS: z.string().optional(),
+  // Per-instrument/interval/regime strategy parameter profiles (Mongo)
+  STRATEGY_PROFILES_ENABLED: z.string().default("false"),
+  STRATEGY_PROFILES_COLLECTION: z.string().default("strategy_param_profiles"),
+  STRATEGY_PROFILES_REFRESH_SEC: z.coerce.number().default(60),
+
+  // Multi-strategy ensemble (MAX_CONFIDENCE | WEIGHTED_VOTE | UNANIMOUS_FAMILY | VETO_OPPOSING)
+  ENSEMBLE_MODE: z.string().default("MAX_CONFIDENCE"),
+  // Strategy weights: NONE | KPI (strategyKpi sharpe) | OPTIMIZER (rolling feeMultiple)
+  ENSEMBLE_WEIGHT_SOURCE: z.string().default("NONE"),
+  ENSEMBLE_WEIGHT_MIN: z.coerce.number().default(0.25),
+  ENSEMBLE_WEIGHT_MAX: z.coerce.number().default(2),
+  ENSEMBLE_WEIGHT_MIN_SAMPLES: z.coerce.number().default(20),
+  ENSEMBLE_KPI_LIMIT: z.coerce.number().default(500),
+  ENSEMBLE_KPI_REFRESH_SEC: z.coerce.number().default(300),
+  // WEIGHTED_VOTE: winning side must lead by this fraction of the total vote
+  ENSEMBLE_MIN_MARGIN: z.coerce.number().default(0.2),
+  // VETO_OPPOSING: opposing-family confidence that vetoes the best signal
+  ENSEMBLE_VETO_MIN_CONF: z.coerce.number().default(60),
 
   STRATEGY_SELECTOR_ENABLED: z.string().default("false"),
   STRATEGIES_TREND: z.string().optional(),
   STRATEGIES_RANGE: z.string().optional(),
   STRATEGIES_OPEN: z.string().optional(),
+  STRATEGIES_VOLATILE: z.string().optional(),
   STRATEGIES_ALWAYS: z.string().optional(),
 
   SELECTOR_OPEN_WINDOW_MIN: z.coerce.number().default(20),
@@ -919,6 +1031,31 @@ const schema = z.object({
   SELECTOR_RANGE_DIFF_ATR_MAX: z.coerce.number().default(0.25),
   SELECTOR_VWAP_LOOKBACK: z.coerce.number().default(120),
 
+  // Regime service (hysteresis + dwell, VOLATILE/expansion, daily timeline)
+  REGIME_SERVICE_ENABLED: z.string().default("false"),
+  REGIME_TIMELINE_COLLECTION: z.string().default("regime_timeline"),
+  REGIME_CONFIRM_BARS: z.coerce.number().default(2),
+  REGIME_MIN_DWELL_MIN: z.coerce.number().default(5),
+  // TREND is entered at SELECTOR_TREND_DIFF_ATR and held until diff drops below this
+  REGIME_TREND_EXIT_DIFF_ATR: z.coerce.number().default(0.4),
+  // Only read while REGIME_SERVICE_ENABLED=true
+  REGIME_VOLATILE_ENABLED: z.string().default("true"),
+  REGIME_ATR_PCTL_LOOKBACK: z.coerce.number().default(120),
+  REGIME_VOL_ENTER_PCTL: z.coerce.number().default(90),
+  REGIME_VOL_EXIT_PCTL: z.coerce.number().default(75),
+  REGIME_VOL_MIN_ATR_RATIO: z.coerce.number().default(1.3), // entry: ATR / median ATR
+  REGIME_VOL_EXIT_ATR_RATIO: z.coerce.number().default(1.1),
+  // India VIX (NSE:INDIA VIX token; 0 = off). Needs the token in the ticker subscription.
+  REGIME_VIX_TOKEN: z.coerce.number().default(0),
+  REGIME_VIX_HIGH: z.coerce.number().default(22),
+  REGIME_VIX_EXIT: z.coerce.number().default(20),
+  REGIME_VIX_MAX_AGE_SEC: z.coerce.number().default(300),
+  // ATM option IV (points) from optionChainCache
+  REGIME_USE_OPTION_IV: z.string().default("false"),
+  REGIME_IV_HIGH_PTS: z.coerce.number().default(25),
+  REGIME_IV_EXIT_PTS: z.coerce.number().default(22),
+  REGIME_IV_MAX_AGE_SEC: z.coerce.number().default(300),
+
   // Strategy tuning (optional)
   PULLBACK_VOL_LOOKBACK: z.coerce.number().default(20),
   PULLBACK_VOL_MULT: z.coerce.number().default(1.1),
@@ -991,6 +1128,9 @@ const schema = z.object({
   MULTI_TF_ENABLED: z.string().default("true"),
   MULTI_TF_MODE: z.string().default("TREND_ONLY"), // ALL | TREND_ONLY | OFF
   MULTI_TF_INTERVAL_MIN: z.coerce.number().default(5),
+  // Confirmation intervals (CSV). Empty = MULTI_TF_INTERVAL_MIN + CANDLE_INTERVALS above the signal interval
+  MULTI_TF_INTERVALS: z.string().default(""),
+  MULTI_TF_REQUIRE: z.string().default("FIRST"), // FIRST (first interval with data decides) | ALL
   MULTI_TF_EMA_FAST: z.coerce.number().default(9),
   MULTI_TF_EMA_SLOW: z.coerce.number().default(21),
 
@@ -1417,6 +1557,10 @@ function validateProfileCombos() {
 
 validateProfileCombos();
 
+// Env credentials are masked in logs/audit wherever their values appear
+// (the logger is created before dotenv runs, so register them here).
+require("./security/redact").registerEnvSecrets(env);
+
 (function logConfigFingerprint() {
   const crypto = require("crypto");
   const safeConfig = {
@@ -1595,6 +1739,110 @@ function updateRuntimeKnobs(patch = {}) {
   return next;
 }
 
+/**
+ * Sets knobs on the live config only (process.env + env), leaving the knobs
+ * file alone: temporary overlays such as config presets. Returns the values
+ * it replaced; passing them back in restores them (undefined unsets).
+ */
+function setLiveKnobs(values = {}) {
+  const previous = {};
+  for (const [key, value] of Object.entries(values || {})) {
+    if (!Object.prototype.hasOwnProperty.call(env, key)) continue;
+    previous[key] = env[key];
+    if (value === undefined) {
+      delete process.env[key];
+      env[key] = undefined;
+      continue;
+    }
+    process.env[key] = normalizeKnobValue(value);
+    env[key] = coerceLikeCurrentEnv(key, value);
+  }
+  return previous;
+}
+
+// Cross-field rules a knob change must keep (same ones enforced at startup,
+// but never auto-fixed here: a bad patch is rejected instead).
+function checkKnobCrossFields(cfg) {
+  const errors = [];
+  const minutes = (key) => {
+    try {
+      return parseHHmm(cfg[key], key);
+    } catch (err) {
+      errors.push({ key, message: err.message });
+      return null;
+    }
+  };
+
+  const stopEntryMin = minutes("STOP_NEW_ENTRIES_AFTER");
+  const flattenMin = minutes("FORCE_FLATTEN_AT");
+  if (stopEntryMin !== null && flattenMin !== null && stopEntryMin >= flattenMin) {
+    errors.push({
+      key: "STOP_NEW_ENTRIES_AFTER",
+      message: `STOP_NEW_ENTRIES_AFTER (${cfg.STOP_NEW_ENTRIES_AFTER}) must be earlier than FORCE_FLATTEN_AT (${cfg.FORCE_FLATTEN_AT})`,
+    });
+  }
+  if (cfg.EOD_MIS_TO_NRML_ENABLED !== false && flattenMin !== null) {
+    const convertMin = minutes("EOD_MIS_TO_NRML_AT");
+    if (convertMin !== null && convertMin >= flattenMin) {
+      errors.push({
+        key: "EOD_MIS_TO_NRML_AT",
+        message: `EOD_MIS_TO_NRML_AT (${cfg.EOD_MIS_TO_NRML_AT}) must be earlier than FORCE_FLATTEN_AT (${cfg.FORCE_FLATTEN_AT})`,
+      });
+    }
+  }
+  const openMin = minutes("MARKET_OPEN");
+  const closeMin = minutes("MARKET_CLOSE");
+  if (openMin !== null && closeMin !== null && openMin >= closeMin) {
+    errors.push({ key: "MARKET_OPEN", message: "MARKET_OPEN must be earlier than MARKET_CLOSE" });
+  }
+
+  const deltaMin = Number(cfg.OPT_DELTA_BAND_MIN ?? 0);
+  const deltaMax = Number(cfg.OPT_DELTA_BAND_MAX ?? 1);
+  if (deltaMin < 0 || deltaMax > 1 || deltaMin >= deltaMax) {
+    errors.push({
+      key: "OPT_DELTA_BAND_MIN",
+      message: "Expected 0 <= OPT_DELTA_BAND_MIN < OPT_DELTA_BAND_MAX <= 1",
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validates the config a knob patch would produce, without applying it:
+ * the zod schema over the patched environment, then the cross-field rules.
+ * Keys unknown to the schema are reported in `ignored` (updateRuntimeKnobs
+ * skips them); `null` removes a knob from the file and leaves env as is.
+ */
+function validateRuntimeKnobs(patch = {}) {
+  const incoming = patch && typeof patch === "object" ? patch : {};
+  const raw = { ...process.env };
+  const keys = [];
+  const ignored = [];
+  for (const [key, value] of Object.entries(incoming)) {
+    if (!Object.prototype.hasOwnProperty.call(env, key)) {
+      ignored.push(key);
+      continue;
+    }
+    if (value === null) continue;
+    raw[key] = normalizeKnobValue(value);
+    keys.push(key);
+  }
+
+  const parsed = schema.safeParse(raw);
+  if (!parsed.success) {
+    const errors = parsed.error.issues.map((issue) => ({
+      key: issue.path.join("."),
+      message: issue.message,
+    }));
+    return { ok: false, errors, ignored };
+  }
+
+  const candidate = { ...env };
+  for (const key of keys) candidate[key] = parsed.data[key];
+  const errors = checkKnobCrossFields(candidate);
+  return { ok: errors.length === 0, errors, ignored };
+}
+
 module.exports = {
   env,
   subscribeTokens,
@@ -1602,4 +1850,6 @@ module.exports = {
   runtimeKnobsPath,
   getRuntimeKnobsSnapshot,
   updateRuntimeKnobs,
+  validateRuntimeKnobs,
+  setLiveKnobs,
 };
@@ -54,6 +54,11 @@ function isExpiryAllowed({ expiryISO, env, nowMs, minDaysToExpiry, avoidExpiryDa
   return { ok: true, reason: "OK", dte };
 }
 
+/** True when one of `expiries` is today (CANDLE_TZ): the contract expires this session. */
+function isExpiryDay({ expiries, env, nowMs = Date.now() }) {
+  return (expiries || []).some((e) => daysToExpiry(e, env, nowMs) === 0);
+}
+
 function pickBestExpiryISO({ expiries, env, nowMs }) {
   const list = Array.from(
     new Set((expiries || []).map((x) => String(x).slice(0, 10))),
@@ -103,5 +108,6 @@ module.exports = {
   hhmmToMinutes,
   daysToExpiry,
   isExpiryAllowed,
+  isExpiryDay,
   pickBestExpiryISO,
 };
@@ -75,6 +75,22 @@ function getLastFnoUniverse() {
   return lastUniverse;
 }
 
+// Reverse lookup: underlying name for a universe token (future or strike ref).
+function underlyingForToken(token) {
+  const tok = Number(token);
+  if (!Number.isFinite(tok)) return null;
+  const contracts = lastUniverse?.universe?.contracts || {};
+  for (const [underlying, c] of Object.entries(contracts)) {
+    if (
+      Number(c?.instrument_token) === tok ||
+      Number(c?.strike_ref_token) === tok
+    ) {
+      return String(underlying).trim().toUpperCase();
+    }
+  }
+  return null;
+}
+
 function bestRowByNearestExpiry(rows, nowMs = Date.now()) {
   const today = parseDate(todayYMD(nowMs));
   let best = null;
@@ -303,4 +319,5 @@ async function buildFnoUniverse({ kite, nowMs = Date.now() }) {
 module.exports = {
   buildFnoUniverse,
   getLastFnoUniverse,
+  underlyingForToken,
 };
@@ -1554,4 +1554,15 @@ module.exports = {
   chainRootFromSpot,
   buildOptionSubscriptionCandidates,
   pickOptionContractForSignal,
+  // Shared with the multi-leg structure planner.
+  expiryISOInTz,
+  roundToStep,
+  strikeStepFallback,
+  detectStrikeStepFromRows,
+  resolveUnderlyingFromUniverse,
+  resolveLotSizeFromMaster,
+  getPremiumBandForUnderlying,
+  parseWeights,
+  scoreCandidate,
+  liquidityGateScoreRow,
 };
@@ -0,0 +1,485 @@
+const { env } = require("../config");
+const { logger } = require("../logger");
+const {
+  getInstrumentsDump,
+  parseCsvList,
+  uniq,
+} = require("../instruments/instrumentRepo");
+const { pickBestExpiryISO, isExpiryAllowed } = require("./expiryPolicy");
+const { getOptionChainSnapshot } = require("./optionChainCache");
+const {
+  chainRootFromSpot,
+  expiryISOInTz,
+  roundToStep,
+  strikeStepFallback,
+  detectStrikeStepFromRows,
+  resolveUnderlyingFromUniverse,
+  resolveLotSizeFromMaster,
+  getPremiumBandForUnderlying,
+  parseWeights,
+  scoreCandidate,
+  liquidityGateScoreRow,
+} = require("./optionsRouter");
+
+/**
+ * Multi-leg option structure planner (OPT_STRUCTURE != SINGLE).
+ *
+ * Turns an underlying signal into a defined-risk structure instead of a single
+ * long CE/PE:
+ * - BULL_CALL_SPREAD / BEAR_PUT_SPREAD for directional signals (long leg picked
+ *   like the single-contract router, short leg OPT_SPREAD_WIDTH_STEPS further OTM);
+ * - LONG_STRADDLE / LONG_STRANGLE / IRON_FLY for neutral signals.
+ *
+ * Legs come from the option-chain snapshot and go through the same spread,
+ * liquidity-gate, premium-band and delta-band checks and candidate scoring as
+ * pickOptionContractForSignal(). Payoff maths is per unit of one lot.
+ */
+
+const STRUCTURE_KINDS = Object.freeze({
+  BULL_CALL_SPREAD: "BULL_CALL_SPREAD",
+  BEAR_PUT_SPREAD: "BEAR_PUT_SPREAD",
+  LONG_STRADDLE: "LONG_STRADDLE",
+  LONG_STRANGLE: "LONG_STRANGLE",
+  IRON_FLY: "IRON_FLY",
+});
+
+const NEUTRAL_MODES = {
+  STRADDLE: STRUCTURE_KINDS.LONG_STRADDLE,
+  STRANGLE: STRUCTURE_KINDS.LONG_STRANGLE,
+  IRON_FLY: STRUCTURE_KINDS.IRON_FLY,
+};
+
+/**
+ * OPT_STRUCTURE: SINGLE (default) | SPREAD | STRADDLE | STRANGLE | IRON_FLY | AUTO.
+ * AUTO trades directional signals as debit spreads and neutral ones
+ * (`bias: "NEUTRAL"`) as OPT_STRUCTURE_NEUTRAL. Returns null for single-leg routing.
+ */
+function resolveStructureKind({ side, bias, cfg = env } = {}) {
+  const mode = String(cfg.OPT_STRUCTURE || "SINGLE").trim().toUpperCase();
+  if (!mode || mode === "SINGLE") return null;
+
+  const dir = String(side || "").toUpperCase();
+  const neutral = String(bias || "").toUpperCase() === "NEUTRAL" || dir === "NEUTRAL";
+  const spreadFor = () =>
+    dir === "BUY"
+      ? STRUCTURE_KINDS.BULL_CALL_SPREAD
+      : dir === "SELL"
+        ? STRUCTURE_KINDS.BEAR_PUT_SPREAD
+        : null;
+
+  if (mode === "SPREAD") return neutral ? null : spreadFor();
+  if (NEUTRAL_MODES[mode]) return NEUTRAL_MODES[mode];
+  if (mode === "AUTO") {
+    if (!neutral) return spreadFor();
+    const kind = String(cfg.OPT_STRUCTURE_NEUTRAL || "IRON_FLY").trim().toUpperCase();
+    return NEUTRAL_MODES[kind] || STRUCTURE_KINDS.IRON_FLY;
+  }
+  logger.warn({ mode }, "[structure] unknown OPT_STRUCTURE; using single-leg routing");
+  return null;
+}
+
+function finiteOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const x = Number(v);
+  return Number.isFinite(x) ? x : null;
+}
+
+function legSign(leg) {
+  return String(leg?.side || "").toUpperCase() === "SELL" ? -1 : 1;
+}
+
+function intrinsic(leg, spot) {
+  const k = Number(leg.strike);
+  return String(leg.optType).toUpperCase() === "CE"
+    ? Math.max(0, spot - k)
+    : Math.max(0, k - spot);
+}
+
+/**
+ * Expiry payoff of the legs per unit.
+ * `netPremium` > 0 is a debit; maxProfit is null when upside is unbounded,
+ * maxLoss is null when the structure does not have defined risk.
+ */
+function structureEconomics(legs) {
+  const list = legs || [];
+  const netPremium = list.reduce((a, l) => a + legSign(l) * Number(l.ltp || 0), 0);
+  const strikes = Array.from(new Set(list.map((l) => Number(l.strike)))).sort((a, b) => a - b);
+  const pnlAt = (spot) =>
+    list.reduce((a, l) => a + legSign(l) * intrinsic(l, spot), 0) - netPremium;
+
+  // Payoff is piecewise linear: extremes sit on a strike, at zero or in the upside tail.
+  const points = [0, ...strikes];
+  const pnls = points.map(pnlAt);
+  const slopeUp = list.reduce(
+    (a, l) => a + (String(l.optType).toUpperCase() === "CE" ? legSign(l) : 0),
+    0,
+  );
+
+  const worst = Math.min(...pnls);
+  const best = Math.max(...pnls);
+  return {
+    netPremium,
+    maxLoss: slopeUp < 0 ? null : Math.max(0, -worst),
+    maxProfit: slopeUp > 0 ? null : Math.max(0, best),
+  };
+}
+
+function structureGates(underlying, cfg = env) {
+  const maxBps = Number(cfg.OPT_MAX_SPREAD_BPS ?? 35);
+  const band = getPremiumBandForUnderlying(underlying);
+  return {
+    maxBps,
+    liqGateEnabled: Boolean(cfg.OPT_LIQ_GATE_ENABLED ?? true),
+    liqGateMinScore: Number(cfg.OPT_LIQ_GATE_MIN_SCORE ?? 45),
+    liqGateMaxSpreadBps: Number(cfg.OPT_LIQ_GATE_MAX_SPREAD_BPS ?? maxBps),
+    minDepth: Number(cfg.OPT_MIN_DEPTH_QTY ?? 0),
+    minPrem: band.minPrem,
+    maxPrem: band.maxPrem,
+    enforcePremBand: band.enforce,
+    deltaBandEnforce: Boolean(cfg.OPT_DELTA_BAND_ENFORCE ?? true),
+    deltaMin: Number(cfg.OPT_DELTA_BAND_MIN ?? 0.35),
+    deltaMax: Number(cfg.OPT_DELTA_BAND_MAX ?? 0.65),
+    deltaTarget: Number(cfg.OPT_DELTA_TARGET ?? 0.5),
+    greeksRequired: Boolean(cfg.OPT_GREEKS_REQUIRED ?? cfg.GREEKS_REQUIRED ?? false),
+    ivNeutralPts: Number(cfg.OPT_IV_NEUTRAL_PTS ?? 20),
+    weights: parseWeights(cfg.OPT_PICK_SCORE_WEIGHTS),
+  };
+}
+
+// Spread + liquidity gates apply to every leg (each one has to be entered and exited).
+function isLiquidLeg(row, gates) {
+  const ltp = Number(row?.ltp);
+  if (!(ltp > 0)) return false;
+  const bps = Number(row?.spread_bps);
+  if (!(Number.isFinite(bps) && bps <= gates.maxBps)) return false;
+  const depth = Number(row?.depth_qty_top ?? 0);
+  if (gates.minDepth > 0 ? depth < gates.minDepth : !(depth > 0)) return false;
+  if (!gates.liqGateEnabled) return true;
+  const liqScore = liquidityGateScoreRow({ row, spreadCapBps: gates.liqGateMaxSpreadBps });
+  return liqScore >= gates.liqGateMinScore && bps <= gates.liqGateMaxSpreadBps;
+}
+
+function legScore(row, { targetStrike, step, deltaTarget, gates }) {
+  const delta = finiteOrNull(row?.delta);
+  return scoreCandidate({
+    bps: Number(row.spread_bps),
+    spreadBpsChange: Number(row.spread_bps_change),
+    distSteps: step > 0 ? Math.abs(Number(row.strike) - targetStrike) / step : 0,
+    depthQty: row.depth_qty_top,
+    volume: row.volume,
+    oi: row.oi,
+    deltaAbs: delta === null ? null : Math.abs(delta),
+    deltaTarget,
+    gamma: finiteOrNull(row.gamma),
+    ivPts: finiteOrNull(row.iv_pts),
+    ivNeutralPts: gates.ivNeutralPts,
+    thetaPerDay: Number(row.theta_per_day),
+    weights: gates.weights,
+  });
+}
+
+/**
+ * Best-scoring liquid row within `maxShiftSteps` of `targetStrike`.
+ * `anchor` legs also honour the premium and delta bands; `beyond` keeps the
+ * leg strictly above ("up") or below ("down") a reference strike.
+ */
+function pickLegRow(rows, { targetStrike, step, gates, anchor = false, beyond = null, maxShiftSteps = 1 }) {
+  let best = null;
+  for (const row of rows || []) {
+    const strike = Number(row?.strike);
+    if (!Number.isFinite(strike)) continue;
+    if (Math.abs(strike - targetStrike) > maxShiftSteps * step + 1e-9) continue;
+    if (beyond && (beyond.dir === "up" ? strike <= beyond.strike : strike >= beyond.strike)) continue;
+    if (!isLiquidLeg(row, gates)) continue;
+
+    let deltaTarget = null;
+    if (anchor) {
+      const ltp = Number(row.ltp);
+      if (gates.enforcePremBand && (ltp < gates.minPrem || ltp > gates.maxPrem)) continue;
+      const delta = finiteOrNull(row.delta);
+      if (delta !== null) {
+        const abs = Math.abs(delta);
+        if (gates.deltaBandEnforce && (abs < gates.deltaMin || abs > gates.deltaMax)) continue;
+      } else if (gates.greeksRequired) {
+        continue;
+      }
+      deltaTarget = gates.deltaTarget;
+    }
+
+    const score = legScore(row, { targetStrike, step, deltaTarget, gates });
+    if (!best || score < best.score) best = { row, score };
+  }
+  return best;
+}
+
+// Same-strike CE+PE pair (straddle / iron fly body) with the lowest combined score.
+function pickPairRows({ ceRows, peRows, atm, step, gates, anchor, scanSteps }) {
+  let best = null;
+  for (let i = -scanSteps; i <= scanSteps; i += 1) {
+    const strike = atm + i * step;
+    const opts = { targetStrike: strike, step, gates, anchor, maxShiftSteps: 0 };
+    const ce = pickLegRow(ceRows, opts);
+    const pe = pickLegRow(peRows, opts);
+    if (!ce || !pe) continue;
+    // Distance to ATM still matters for the body.
+    const score = ce.score + pe.score + Math.abs(i) * 10 * Number(gates.weights?.dist ?? 0.2);
+    if (!best || score < best.score) best = { ce: ce.row, pe: pe.row, score };
+  }
+  return best;
+}
+
+function toLeg(row, { side, role, underlying, expiry }) {
+  const num = finiteOrNull;
+  return {
+    role,
+    side,
+    optType: String(row.instrument_type || row.optType || "").toUpperCase(),
+    underlying,
+    expiry,
+    strike: Number(row.strike),
+    instrument_token: Number(row.instrument_token),
+    tradingsymbol: row.tradingsymbol,
+    exchange: String(row.exchange || "NFO").toUpperCase(),
+    tick_size: num(row.tick_size) || 0.05,
+    lot_size: num(row.lot_size),
+    ltp: Number(row.ltp),
+    bps: num(row.spread_bps),
+    delta: num(row.delta),
+    health_score: num(row.health_score),
+    depth_qty_top: num(row.depth_qty_top),
+  };
+}
+
+/**
+ * Pick legs for `kind` from snapshot rows (pure; no broker calls).
+ * Long legs are role LONG (or WING when they only cap a short leg's risk),
+ * short legs are role SHORT.
+ */
+function buildStructureLegs({ kind, ceRows, peRows, atm, step, underlying, expiry, cfg = env }) {
+  const gates = structureGates(underlying, cfg);
+  const scanSteps = Math.max(0, Number(cfg.OPT_ATM_SCAN_STEPS ?? 1));
+  const widthSteps = Math.max(1, Number(cfg.OPT_SPREAD_WIDTH_STEPS ?? 2));
+  const leg = (row, side, role) => toLeg(row, { side, role, underlying, expiry });
+  const fail = (reason, meta) => ({ ok: false, reason, meta: meta || null });
+
+  if (kind === STRUCTURE_KINDS.BULL_CALL_SPREAD || kind === STRUCTURE_KINDS.BEAR_PUT_SPREAD) {
+    const isCall = kind === STRUCTURE_KINDS.BULL_CALL_SPREAD;
+    const rows = isCall ? ceRows : peRows;
+    const long = pickLegRow(rows, {
+      targetStrike: atm,
+      step,
+      gates,
+      anchor: true,
+      maxShiftSteps: scanSteps,
+    });
+    if (!long) return fail("NO_LONG_LEG");
+    const longStrike = Number(long.row.strike);
+    const short = pickLegRow(rows, {
+      targetStrike: longStrike + (isCall ? 1 : -1) * widthSteps * step,
+      step,
+      gates,
+      beyond: { dir: isCall ? "up" : "down", strike: longStrike },
+    });
+    if (!short) return fail("NO_SHORT_LEG", { longStrike });
+    return { ok: true, legs: [leg(long.row, "BUY", "LONG"), leg(short.row, "SELL", "SHORT")] };
+  }
+
+  if (kind === STRUCTURE_KINDS.LONG_STRADDLE) {
+    const pair = pickPairRows({ ceRows, peRows, atm, step, gates, anchor: true, scanSteps });
+    if (!pair) return fail("NO_STRADDLE_PAIR");
+    return { ok: true, legs: [leg(pair.ce, "BUY", "LONG"), leg(pair.pe, "BUY", "LONG")] };
+  }
+
+  if (kind === STRUCTURE_KINDS.LONG_STRANGLE) {
+    const wing = Math.max(1, Number(cfg.OPT_STRANGLE_WIDTH_STEPS ?? 2));
+    const ce = pickLegRow(ceRows, {
+      targetStrike: atm + wing * step,
+      step,
+      gates,
+      beyond: { dir: "up", strike: atm },
+    });
+    const pe = pickLegRow(peRows, {
+      targetStrike: atm - wing * step,
+      step,
+      gates,
+      beyond: { dir: "down", strike: atm },
+    });
+    if (!ce || !pe) return fail("NO_STRANGLE_LEGS", { ce: !!ce, pe: !!pe });
+    return { ok: true, legs: [leg(ce.row, "BUY", "LONG"), leg(pe.row, "BUY", "LONG")] };
+  }
+
+  if (kind === STRUCTURE_KINDS.IRON_FLY) {
+    const wing = Math.max(1, Number(cfg.OPT_IRON_FLY_WING_STEPS ?? 4));
+    const body = pickPairRows({ ceRows, peRows, atm, step, gates, anchor: false, scanSteps });
+    if (!body) return fail("NO_IRON_FLY_BODY");
+    const k = Number(body.ce.strike);
+    const ceWing = pickLegRow(ceRows, {
+      targetStrike: k + wing * step,
+      step,
+      gates,
+      beyond: { dir: "up", strike: k },
+    });
+    const peWing = pickLegRow(peRows, {
+      targetStrike: k - wing * step,
+      step,
+      gates,
+      beyond: { dir: "down", strike: k },
+    });
+    if (!ceWing || !peWing) return fail("NO_IRON_FLY_WINGS", { body: k });
+    return {
+      ok: true,
+      legs: [
+        leg(ceWing.row, "BUY", "WING"),
+        leg(peWing.row, "BUY", "WING"),
+        leg(body.ce, "SELL", "SHORT"),
+        leg(body.pe, "SELL", "SHORT"),
+      ],
+    };
+  }
+
+  return fail("UNKNOWN_STRUCTURE", { kind });
+}
+
+async function loadOptionRows({ kite, underlying, exchanges }) {
+  const rows = [];
+  for (const ex of exchanges) {
+    const dump = await getInstrumentsDump(kite, ex);
+    for (const r of dump || []) {
+      if (chainRootFromSpot(r.name) !== underlying) continue;
+      const it = String(r.instrument_type || "").toUpperCase();
+      if (it !== "CE" && it !== "PE") continue;
+      rows.push({ ...r, exchange: r.exchange || ex });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Plan a structure for an underlying signal: expiry per the expiry policy,
+ * legs from fresh chain snapshots (CE and PE), payoff and lot size.
+ * The LONG (or first) leg is returned as `anchor`, shaped like a single-contract pick.
+ */
+async function planOptionStructure({
+  kite,
+  universe,
+  underlyingToken,
+  underlyingTradingsymbol,
+  kind,
+  underlyingLtp,
+  nowMs = Date.now(),
+}) {
+  const u = resolveUnderlyingFromUniverse({
+    universe,
+    token: underlyingToken,
+    tradingsymbol: underlyingTradingsymbol,
+  });
+  const underlying = chainRootFromSpot(u);
+  if (!underlying) return { ok: false, reason: "UNDERLYING_NOT_RESOLVED", kind };
+  if (!(Number(underlyingLtp) > 0)) return { ok: false, reason: "NO_UNDERLYING_LTP", kind, underlying };
+
+  const exchanges = uniq(parseCsvList(env.FNO_EXCHANGES || "NFO,BFO"));
+  const optionRows = await loadOptionRows({ kite, underlying, exchanges });
+  if (!optionRows.length) return { ok: false, reason: "NO_OPTION_ROWS", kind, underlying };
+
+  const expiries = Array.from(
+    new Set(optionRows.map((r) => expiryISOInTz(r.expiry)).filter(Boolean)),
+  ).sort();
+  const allowed = expiries.filter((e) => !!isExpiryAllowed({ expiryISO: e, env, nowMs })?.ok);
+  const expiryISO = pickBestExpiryISO({ expiries: allowed, env, nowMs })?.expiryISO || null;
+  if (!expiryISO) return { ok: false, reason: "NO_VALID_EXPIRY", kind, underlying };
+
+  const slice = optionRows.filter((r) => expiryISOInTz(r.expiry) === expiryISO);
+  const step = detectStrikeStepFromRows(slice, strikeStepFallback(underlying));
+  const atm = roundToStep(Number(underlyingLtp), step);
+
+  // Scan wide enough to reach spread shorts and iron fly wings.
+  const reach =
+    Math.max(
+      Number(env.OPT_ATM_SCAN_STEPS ?? 1),
+      Number(env.OPT_SPREAD_WIDTH_STEPS ?? 2),
+      Number(env.OPT_STRANGLE_WIDTH_STEPS ?? 2),
+      Number(env.OPT_IRON_FLY_WING_STEPS ?? 4),
+    ) + 2;
+  const near = slice.filter((r) => Math.abs(Number(r.strike) - atm) <= reach * step);
+  const ttlMs = Number(env.OPT_CHAIN_TTL_MS ?? 1500);
+  const snapshotRows = async (optType) => {
+    const candidates = near.filter((r) => String(r.instrument_type).toUpperCase() === optType);
+    if (!candidates.length) return [];
+    const chain = await getOptionChainSnapshot({
+      kite,
+      env,
+      underlying,
+      optType,
+      expiryISO,
+      exchanges,
+      candidates,
+      ttlMs,
+      underlyingLtp,
+      nowMs,
+    });
+    // Snapshot rows do not carry the option type.
+    return (chain?.snapshot?.rows || []).map((r) => ({ ...r, instrument_type: optType }));
+  };
+  const ceRows = await snapshotRows("CE");
+  const peRows = await snapshotRows("PE");
+
+  const built = buildStructureLegs({
+    kind,
+    ceRows,
+    peRows,
+    atm,
+    step,
+    underlying,
+    expiry: expiryISO,
+  });
+  if (!built.ok) {
+    logger.warn({ kind, underlying, expiry: expiryISO, atm, reason: built.reason, meta: built.meta }, "[structure] no legs");
+    return { ...built, kind, underlying, expiry: expiryISO, atm, step };
+  }
+
+  const lotSize = resolveLotSizeFromMaster({
+    row: slice.find((r) => Number(r.instrument_token) === built.legs[0].instrument_token),
+    universe,
+  });
+  const legs = built.legs.map((l) => ({ ...l, lot_size: l.lot_size || lotSize }));
+  const econ = structureEconomics(legs);
+  if (!(econ.maxLoss > 0)) {
+    return { ok: false, reason: "UNDEFINED_RISK", kind, underlying, expiry: expiryISO, legs, ...econ };
+  }
+
+  const anchorLeg = legs.find((l) => l.role === "LONG") || legs[0];
+  const plan = {
+    ok: true,
+    kind,
+    underlying,
+    expiry: expiryISO,
+    atm,
+    step,
+    lot_size: lotSize,
+    legs,
+    ...econ,
+    anchor: { ...anchorLeg, lot_size: lotSize, structure: kind },
+  };
+  logger.info(
+    {
+      kind,
+      underlying,
+      expiry: expiryISO,
+      atm,
+      legs: legs.map((l) => `${l.side} ${l.strike}${l.optType} @${l.ltp}`),
+      netPremium: econ.netPremium,
+      maxLoss: econ.maxLoss,
+      maxProfit: econ.maxProfit,
+    },
+    "[structure] planned",
+  );
+  return plan;
+}
+
+module.exports = {
+  STRUCTURE_KINDS,
+  resolveStructureKind,
+  structureEconomics,
+  buildStructureLegs,
+  planOptionStructure,
+};
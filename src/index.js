@@ -12,9 +12,20 @@ const { watchLatestToken } = require("./tokenWatcher");
 const { setSession, shutdownAll, startSession, stopSession, setTradingEnabled, getSessionStatus, getOpenPositionsSummary, forceFlatten } = require("./kite/tickerManager");
 const { createEngineLifecycle } = require("./runtime/engineLifecycle");
 const { notifyLifecycle } = require("./runtime/lifecycleNotify");
+const { runKiteAutoLogin } = require("./kite/kiteAutoLogin");
+const { isSecretsConfigured, ensureSecretsIndexes } = require("./security/secrets");
+const { ensureConfigVersionIndexes, initConfigVersions } = require("./runtime/configVersions");
+const { ensureApiKeyIndexes } = require("./security/apiKeys");
+const { isConfigPresetsEnabled } = require("./runtime/configPresets");
+const { getCachedOptionExpiries, parseCsvList } = require("./instruments/instrumentRepo");
 const { telemetry } = require("./telemetry/signalTelemetry");
 const { tradeTelemetry } = require("./telemetry/tradeTelemetry");
 const { optimizer } = require("./optimizer/adaptiveOptimizer");
+const { tickRecorder } = require("./market/tickRecorder");
+const { loadStrategyPlugins } = require("./strategy/registry");
+const { paramProfiles } = require("./strategy/paramProfiles");
+const { ensembleWeights } = require("./strategy/ensemble");
+const { regimeService } = require("./strategy/regimeService");
 const http = require("http");
 const { attachSocketServer } = require("./socket/socketServer");
 const { reportFault } = require("./runtime/errorBus");
@@ -98,8 +109,41 @@ async function main() {
     }
   } catch (err) { reportFault({ code: "INDEX_CATCH", err, message: "[src/index.js] caught and continued" }); }
 
+  if (isSecretsConfigured()) {
+    try {
+      await ensureSecretsIndexes();
+    } catch (err) { reportFault({ code: "INDEX_CATCH", err, message: "[src/index.js] caught and continued" }); }
+  } else {
+    logger.warn("[secrets] SECRETS_MASTER_KEY not set: session tokens and webhook URLs are stored in plaintext");
+  }
+
+  try {
+    await ensureApiKeyIndexes();
+  } catch (err) { reportFault({ code: "INDEX_CATCH", err, message: "[src/index.js] caught and continued" }); }
+
+  // Runtime knob history: trades are stamped with the active version.
+  try {
+    await ensureConfigVersionIndexes();
+    await initConfigVersions();
+  } catch (err) { reportFault({ code: "CONFIG_VERSION_INIT", err, message: "[src/index.js] config versions unavailable" }); }
+
+  // Strategy plugins are discovered once at boot (built-ins + STRATEGY_PLUGIN_DIRS)
+  const strategies = loadStrategyPlugins();
+  logger.info(
+    { strategies: strategies.map((s) => s.id) },
+    "[strategy] plugins registered",
+  );
+
+  try {
+    await paramProfiles.start();
+    await ensembleWeights.start();
+    await regimeService.start();
+  } catch (err) { reportFault({ code: "INDEX_CATCH", err, message: "[src/index.js] caught and continued" }); }
+
   telemetry.start();
   tradeTelemetry.start();
+  // Raw tick capture for replay (TICK_RECORDER_ENABLED)
+  tickRecorder.start();
   // Adaptive optimizer (auto-block weak strategy×symbol×bucket + dynamic RR)
   try {
     await optimizer.start();
@@ -112,10 +156,14 @@ async function main() {
     getSessionStatus,
     getOpenPositionsSummary,
     forceFlatten,
+    autoLogin: (reason) => runKiteAutoLogin({ source: `lifecycle_${reason}` }),
+    getExpiries: () => getCachedOptionExpiries(parseCsvList(env.FNO_UNDERLYINGS || "")),
   });
   const lifecycleEnabled = String(env.ENGINE_LIFECYCLE_ENABLED || "false") === "true";
+  const autoLoginEnabled = String(env.KITE_AUTOLOGIN_ENABLED || "false") === "true";
 
-  if (lifecycleEnabled) {
+  // start() also arms the auto-login and config preset timers, which work without the state machine.
+  if (lifecycleEnabled || autoLoginEnabled || isConfigPresetsEnabled()) {
     await lifecycle.start();
   }
 
@@ -129,9 +177,14 @@ async function main() {
       );
       alert("error", "🔐 Kite access token missing — please login to Kite", {
         reason,
-        hint: "Login via your token generator/scanner app or insert/update a doc with access_token in TOKENS_COLLECTION",
+        hint: autoLoginEnabled
+          ? "Auto-login is enabled and will retry; otherwise login via /kite-redirect or POST /admin/kite/auto-login"
+          : "Login via your token generator/scanner app or insert/update a doc with access_token in TOKENS_COLLECTION",
       }).catch((err) => { reportFault({ code: "INDEX_ASYNC", err, message: "[src/index.js] async task failed" }); });
       await notifyLifecycle("TOKEN_MISSING", { reason, updatedAt });
+      if (autoLoginEnabled) {
+        lifecycle.requestAutoLogin("token_missing").catch((err) => { reportFault({ code: "INDEX_ASYNC", err, message: "[src/index.js] async task failed" }); });
+      }
       if (lifecycleEnabled) {
         await lifecycle.setToken(null);
       }
@@ -208,6 +261,10 @@ async function main() {
       await shutdownAll(`signal_${signal}`);
     } catch (err) { reportFault({ code: "INDEX_CATCH", err, message: "[src/index.js] caught and continued" }); }
 
+    try {
+      await tickRecorder.stop();
+    } catch (err) { reportFault({ code: "INDEX_CATCH", err, message: "[src/index.js] caught and continued" }); }
+
     try {
       if (io) io.close();
     } catch (err) { reportFault({ code: "INDEX_CATCH", err, message: "[src/index.js] caught and continued" }); }
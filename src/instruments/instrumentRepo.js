@@ -1,3 +1,4 @@
+const { DateTime } = require("luxon");
 const { env } = require("../config");
 const { normalizeTickSize } = require("../utils/tickSize");
 const { logger } = require("../logger");
@@ -320,6 +321,30 @@ async function resolveSubscribeTokens(
   return Array.from(out);
 }
 
+/**
+ * Option expiry dates (YYYY-MM-DD in CANDLE_TZ) of `names` (all underlyings
+ * when empty) from the dumps already in memory; never downloads, so this is
+ * empty until a session has fetched a dump.
+ */
+function getCachedOptionExpiries(names = []) {
+  const wanted = new Set(names.map((n) => String(n).toUpperCase()));
+  const tz = env.CANDLE_TZ || "Asia/Kolkata";
+  const out = new Set();
+  for (const { rows } of dumpCache.values()) {
+    for (const r of rows || []) {
+      const it = String(r.instrument_type || "").toUpperCase();
+      if (it !== "CE" && it !== "PE") continue;
+      if (wanted.size && !wanted.has(String(r.name || "").toUpperCase())) continue;
+      const dt =
+        r.expiry instanceof Date
+          ? DateTime.fromJSDate(r.expiry, { zone: tz })
+          : DateTime.fromISO(String(r.expiry || "").slice(0, 10), { zone: tz });
+      if (dt.isValid) out.add(dt.toFormat("yyyy-LL-dd"));
+    }
+  }
+  return Array.from(out).sort();
+}
+
 module.exports = {
   upsertInstrument,
   getInstrumentByToken,
@@ -330,6 +355,7 @@ module.exports = {
   resolveSubscribeTokens,
   parseSymbol,
   getInstrumentsDump,
+  getCachedOptionExpiries,
   parseCsvList,
   uniq,
   COLLECTION,
@@ -0,0 +1,221 @@
+// src/kite/kiteAutoLogin.js
+// Unattended Kite login: user_id/password + TOTP -> request_token -> access_token.
+//
+// Flow (same requests the Kite web login makes):
+//  - GET  {KITE_LOGIN_ROOT}/connect/login?api_key=...&v=3   (session cookie, login page)
+//  - POST {KITE_LOGIN_ROOT}/api/login   user_id, password    -> request_id
+//  - POST {KITE_LOGIN_ROOT}/api/twofa   request_id, TOTP     -> enctoken cookie
+//  - GET  the connect URL again; its redirect chain ends at the app's redirect_url
+//    with ?request_token=..., which is captured (never followed) and handed to
+//    exchangeAndStoreKiteSession().
+//
+// Credentials live in the encrypted secrets store (kite.user_id, kite.password,
+// kite.totp_secret). When every attempt fails an alert carries the manual
+// login URL so someone can still complete the browser flow (/kite-redirect).
+
+const { env } = require("../config");
+const { logger } = require("../logger");
+const { alert } = require("../alerts/alertService");
+const { reportFault } = require("../runtime/errorBus");
+const { getSecret } = require("../security/secrets");
+const { totp } = require("../security/totp");
+const { exchangeAndStoreKiteSession } = require("./kiteLogin");
+
+const SECRET_NAMES = {
+  userId: "kite.user_id",
+  password: "kite.password",
+  totpSecret: "kite.totp_secret",
+};
+const MAX_REDIRECTS = 10;
+
+let _running = null;
+let _last = null;
+
+// ---- HTTP plumbing (manual redirects + a tiny cookie jar) ----
+
+function loginRoot() {
+  return String(env.KITE_LOGIN_ROOT || "https://kite.zerodha.com").replace(/\/+$/, "");
+}
+
+/** Where a human completes the login by hand (lands on /kite-redirect). */
+function kiteLoginUrl() {
+  return `${loginRoot()}/connect/login?api_key=${encodeURIComponent(env.KITE_API_KEY)}&v=3`;
+}
+
+class CookieJar {
+  constructor() {
+    this.cookies = new Map();
+  }
+
+  absorb(res) {
+    const list = typeof res.headers.getSetCookie === "function" ? res.headers.getSetCookie() : [];
+    for (const line of list) {
+      const [pair] = String(line).split(";");
+      const i = pair.indexOf("=");
+      if (i > 0) this.cookies.set(pair.slice(0, i).trim(), pair.slice(i + 1).trim());
+    }
+  }
+
+  header() {
+    return Array.from(this.cookies, ([k, v]) => `${k}=${v}`).join("; ");
+  }
+}
+
+async function request(jar, url, { method = "GET", form = null } = {}) {
+  const headers = { "X-Kite-Version": "3" };
+  const cookie = jar.header();
+  if (cookie) headers.Cookie = cookie;
+  if (form) headers["Content-Type"] = "application/x-www-form-urlencoded";
+  const res = await fetch(url, {
+    method,
+    headers,
+    body: form ? new URLSearchParams(form).toString() : undefined,
+    redirect: "manual",
+    signal: AbortSignal.timeout(Number(env.KITE_HTTP_TIMEOUT_MS || 15000)),
+  });
+  jar.absorb(res);
+  return res;
+}
+
+async function postJson(jar, path, form) {
+  const res = await request(jar, `${loginRoot()}${path}`, { method: "POST", form });
+  let body = null;
+  try {
+    body = await res.json();
+  } catch {
+    body = null;
+  }
+  if (!res.ok || body?.status !== "success") {
+    throw new Error(`${path} failed (${res.status}): ${body?.message || "unexpected response"}`);
+  }
+  return body.data || {};
+}
+
+/** Follows redirects until one carries request_token; otherwise returns the last URL. */
+async function followConnect(jar, startUrl) {
+  let url = startUrl;
+  for (let hop = 0; hop < MAX_REDIRECTS; hop += 1) {
+    const res = await request(jar, url);
+    const location = res.headers.get("location");
+    if (res.status < 300 || res.status >= 400 || !location) {
+      await res.arrayBuffer().catch(() => null);
+      if (res.status >= 400) throw new Error(`connect/login failed (${res.status})`);
+      return { url, requestToken: null };
+    }
+    const next = new URL(location, url);
+    const requestToken = next.searchParams.get("request_token");
+    if (requestToken) return { url, requestToken };
+    url = next.toString();
+  }
+  throw new Error("connect/login: too many redirects");
+}
+
+async function loadKiteCredentials() {
+  const [userId, password, totpSecret] = await Promise.all([
+    getSecret(SECRET_NAMES.userId),
+    getSecret(SECRET_NAMES.password),
+    getSecret(SECRET_NAMES.totpSecret),
+  ]);
+  const creds = { userId: userId || env.KITE_ALLOWED_USER_ID || null, password, totpSecret };
+  const missing = Object.keys(creds).filter((k) => !creds[k]);
+  if (missing.length) {
+    throw new Error(`kite auto-login credentials missing: ${missing.map((k) => SECRET_NAMES[k]).join(", ")}`);
+  }
+  return creds;
+}
+
+/** One pass of the web login; resolves to the request_token. */
+async function fetchRequestToken(creds, { timeMs = Date.now() } = {}) {
+  const jar = new CookieJar();
+  const first = await followConnect(jar, kiteLoginUrl());
+  if (first.requestToken) return first.requestToken; // still logged in from an earlier run
+
+  const login = await postJson(jar, "/api/login", { user_id: creds.userId, password: creds.password });
+  if (!login.request_id) throw new Error("/api/login returned no request_id");
+  await postJson(jar, "/api/twofa", {
+    user_id: login.user_id || creds.userId,
+    request_id: login.request_id,
+    twofa_value: totp(creds.totpSecret, { timeMs }),
+    twofa_type: "totp",
+  });
+
+  const done = await followConnect(jar, first.url);
+  if (!done.requestToken) throw new Error("login completed but no request_token was issued (check the app redirect_url)");
+  return done.requestToken;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Logs in and stores the session, retrying with a linear backoff (the default
+ * delay outlasts a TOTP window so a rejected code is not replayed). Never
+ * throws: resolves { ok, attempts, user_id | error, loginUrl }.
+ */
+async function runKiteAutoLogin({ source = "auto-login", attempts, retryDelayMs } = {}) {
+  if (_running) return _running;
+  const maxAttempts = Math.max(1, Number(attempts ?? env.KITE_AUTOLOGIN_RETRY_ATTEMPTS ?? 3));
+  const delayMs = Math.max(0, Number(retryDelayMs ?? env.KITE_AUTOLOGIN_RETRY_DELAY_MS ?? 30000));
+
+  _running = (async () => {
+    const startedAt = new Date();
+    let error = null;
+    let tries = 0;
+    let creds = null;
+    try {
+      creds = await loadKiteCredentials();
+    } catch (e) {
+      error = e?.message || String(e);
+    }
+
+    while (creds && tries < maxAttempts) {
+      tries += 1;
+      try {
+        const requestToken = await fetchRequestToken(creds);
+        const session = await exchangeAndStoreKiteSession({ requestToken, source });
+        _last = { ok: true, source, attempts: tries, user_id: session?.user_id || null, startedAt, finishedAt: new Date() };
+        logger.info({ source, attempts: tries, user_id: _last.user_id }, "[kite-autologin] session refreshed");
+        return _last;
+      } catch (e) {
+        error = e?.message || String(e);
+        logger.warn({ source, attempt: tries, maxAttempts, e: error }, "[kite-autologin] attempt failed");
+        if (tries < maxAttempts) await sleep(delayMs * tries);
+      }
+    }
+
+    _last = { ok: false, source, attempts: tries, error, loginUrl: kiteLoginUrl(), startedAt, finishedAt: new Date() };
+    logger.error({ source, attempts: tries, e: error }, "[kite-autologin] failed (manual login needed)");
+    alert("error", "🔐 Kite auto-login failed — please login to Kite manually", {
+      source,
+      attempts: tries,
+      error,
+      loginUrl: _last.loginUrl,
+      hint: "Open loginUrl in a browser (lands on /kite-redirect) or POST /admin/kite/session with a request_token",
+    }).catch((err) => { reportFault({ code: "KITE_AUTOLOGIN_ASYNC", err, message: "[kite-autologin] alert failed" }); });
+    return _last;
+  })();
+
+  try {
+    return await _running;
+  } finally {
+    _running = null;
+  }
+}
+
+function getKiteAutoLoginStatus() {
+  return {
+    enabled: String(env.KITE_AUTOLOGIN_ENABLED || "false") === "true",
+    running: !!_running,
+    loginRoot: loginRoot(),
+    last: _last,
+  };
+}
+
+module.exports = {
+  SECRET_NAMES,
+  kiteLoginUrl,
+  fetchRequestToken,
+  runKiteAutoLogin,
+  getKiteAutoLoginStatus,
+};
@@ -91,14 +91,19 @@ function wrapKiteConnect(kc) {
     "getInstruments",
     "getLTP",
     "getQuote",
+    // GTT: placeGTT is single-attempt like placeOrder (a retried create can duplicate the trigger).
+    "placeGTT",
+    "modifyGTT",
+    "deleteGTT",
+    "getGTTs",
   ];
 
   for (const m of methods) {
     if (typeof kc[m] !== "function") continue;
     const orig = kc[m].bind(kc);
 
-    // placeOrder: single attempt only (no retry)
-    if (m === "placeOrder") {
+    // placeOrder / placeGTT: single attempt only (no retry)
+    if (m === "placeOrder" || m === "placeGTT") {
       kc[m] = (...args) => withRetry(() => orig(...args), { name: m, attempts: 1 });
       continue;
     }
@@ -122,6 +127,7 @@ function wrapKiteConnect(kc) {
 function createKiteConnect({ apiKey, accessToken }) {
   const kc = new KiteConnect({
     api_key: apiKey,
+    root: env.KITE_API_ROOT || undefined,
     timeout: Number(env.KITE_HTTP_TIMEOUT_MS || 15000),
   });
   kc.setAccessToken(accessToken);
@@ -129,7 +135,11 @@ function createKiteConnect({ apiKey, accessToken }) {
 }
 
 function createTicker({ apiKey, accessToken }) {
-  const t = new KiteTicker({ api_key: apiKey, access_token: accessToken });
+  const t = new KiteTicker({
+    api_key: apiKey,
+    access_token: accessToken,
+    root: env.KITE_TICKER_ROOT || undefined,
+  });
   try {
     // enable auto-reconnect (delay=5s, retries=50)
     t.autoReconnect(true, 5, 50);
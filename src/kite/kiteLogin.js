@@ -5,6 +5,7 @@
 //  - Kite redirects to your redirect_url with ?request_token=...
 //  - Backend exchanges request_token -> access_token using api_secret
 //  - Persist into TOKENS_COLLECTION as { type: "kite_session", ...session }
+//    (access/refresh/enc tokens sealed as `<field>_enc` when the secrets store is configured)
 //  - Best-effort: apply session immediately to tickerManager (no need to wait for poll)
 //
 // IMPORTANT: api_secret must never be exposed to the frontend.
@@ -14,6 +15,8 @@ const { env } = require("../config");
 const { getDb } = require("../db");
 const { logger } = require("../logger");
 const { setSession } = require("./tickerManager");
+const { isSecretsConfigured, sealSecret, resolveSecret } = require("../security/secrets");
+const { SESSION_SECRET_FIELDS } = require("../tokenStore");
 
 function _now() {
   return new Date();
@@ -24,15 +27,23 @@ async function persistKiteSession({ session, requestToken }) {
   const col = db.collection(env.TOKENS_COLLECTION);
 
   const filter = { type: "kite_session" };
-  const update = {
-    $set: {
-      ...session,
-      request_token: requestToken,
-      type: "kite_session",
-      updatedAt: _now(),
-    },
-    $setOnInsert: { createdAt: _now() },
+  const $set = {
+    ...session,
+    request_token: requestToken,
+    type: "kite_session",
+    updatedAt: _now(),
   };
+  const $unset = {};
+  if (isSecretsConfigured()) {
+    for (const field of SESSION_SECRET_FIELDS) {
+      if (!session?.[field]) continue;
+      $set[`${field}_enc`] = sealSecret(session[field]);
+      delete $set[field];
+      $unset[field] = "";
+    }
+  }
+  const update = { $set, $setOnInsert: { createdAt: _now() } };
+  if (Object.keys($unset).length) update.$unset = $unset;
 
   await col.updateOne(filter, update, { upsert: true });
 }
@@ -41,14 +52,14 @@ async function exchangeAndStoreKiteSession({ requestToken, source = "unknown" }
   const rt = String(requestToken || "").trim();
   if (!rt) throw new Error("Missing request_token");
 
-  const secret = env.KITE_API_SECRET;
+  const secret = await resolveSecret("kite.api_secret", env.KITE_API_SECRET || null);
   if (!secret) {
     throw new Error(
-      "KITE_API_SECRET not configured (required to exchange request_token -> access_token)",
+      "KITE_API_SECRET not configured (secret kite.api_secret or env; required to exchange request_token -> access_token)",
     );
   }
 
-  const kc = new KiteConnect({ api_key: env.KITE_API_KEY });
+  const kc = new KiteConnect({ api_key: env.KITE_API_KEY, root: env.KITE_API_ROOT || undefined });
   const session = await kc.generateSession(rt, secret);
 
   // Optional safety: prevent overwriting token with a different Kite user.
@@ -88,4 +99,4 @@ async function exchangeAndStoreKiteSession({ requestToken, source = "unknown" }
   return session;
 }
 
-module.exports = { exchangeAndStoreKiteSession };
+module.exports = { exchangeAndStoreKiteSession, persistKiteSession };
@@ -0,0 +1,701 @@
+const http = require("http");
+const crypto = require("crypto");
+const express = require("express");
+const WebSocket = require("ws");
+const { DateTime } = require("luxon");
+const { logger } = require("../../logger");
+const { SimKiteClient } = require("../../backtest/simKite");
+const { toCsv } = require("../../utils/csv");
+const { Scenario, kiteError } = require("./scenario");
+const { encodeTicks, HEARTBEAT } = require("./tickCodec");
+const { totp } = require("../../security/totp");
+
+/**
+ * Local Kite Connect mock: REST API + binary ticker websocket on one port.
+ *
+ * The real `kiteconnect` SDK (and therefore kiteClients / tickerManager)
+ * talks to it unchanged once KITE_API_ROOT / KITE_TICKER_ROOT point here.
+ * The exchange behind it is the backtester's SimKiteClient on wall-clock
+ * time, so orders rest, trigger and fill against the ticks pushed in via
+ * `pushTicks()` (or a scenario timeline), and order updates go out both as
+ * websocket text messages and as postbacks.
+ *
+ * Scenario rules (see scenario.js) inject the failure modes the engine has to
+ * survive: Kite error responses (429s, 5xx, token errors), slow responses,
+ * exchange rejections, partial fills, late order updates and refused or
+ * dropped sockets.
+ *
+ * With `login` set, /connect/login also stubs the Kite web login the
+ * auto-login drives: a session cookie, POST /api/login (password), POST
+ * /api/twofa (TOTP) and only then the redirect carrying the request_token.
+ *
+ * Control endpoints for out-of-process use live under /__mock (no auth).
+ */
+
+const TZ = "Asia/Kolkata";
+const STREAM_MODES = new Set(["ltp", "quote", "full"]);
+const INSTRUMENT_COLUMNS = [
+  "instrument_token",
+  "exchange_token",
+  "tradingsymbol",
+  "name",
+  "last_price",
+  "expiry",
+  "strike",
+  "tick_size",
+  "lot_size",
+  "instrument_type",
+  "segment",
+  "exchange",
+];
+
+function n(v, d = null) {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+}
+
+function sleep(ms) {
+  return new Promise((res) => setTimeout(res, ms));
+}
+
+function randomToken() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(s).digest("hex");
+}
+
+// SimKiteClient throws "InputException: ..." style errors; map them onto Kite's error envelope.
+function errorFromException(e) {
+  const msg = String(e?.message || e);
+  const typed = msg.match(/^(\w+Exception):\s*(.*)$/);
+  if (typed) return kiteError(typed[1] === "InputException" ? 400 : 500, { error_type: typed[1], message: typed[2] });
+  if (/cannot be (modified|cancelled)/.test(msg)) return kiteError(400, { message: msg });
+  return kiteError(500, { message: msg });
+}
+
+/** SimKiteClient plus per-order scenario directives (reject / partialQty / updateDelayMs). */
+class MockExchange extends SimKiteClient {
+  constructor(opts) {
+    super(opts);
+    this.directives = new Map(); // order_id -> directive
+  }
+
+  _acknowledge(orderId) {
+    const d = this.directives.get(orderId);
+    const o = this.orders.get(orderId);
+    if (d?.reject && o?.status === "OPEN PENDING") return this._reject(o, String(d.reject));
+    return super._acknowledge(orderId);
+  }
+
+  // First fill is capped at partialQty: limit orders keep resting, market orders cancel the rest.
+  _fill(o, qty, price) {
+    const d = this.directives.get(o.order_id);
+    if (n(d?.partialQty, 0) > 0) {
+      const cap = n(d.partialQty);
+      d.partialQty = 0;
+      return super._fill(o, Math.min(qty, cap), price);
+    }
+    return super._fill(o, qty, price);
+  }
+}
+
+class KiteMockServer {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.apiKey]
+   * @param {string} [opts.apiSecret] enables checksum checks on /session/token and signs postbacks
+   * @param {string} [opts.accessToken] accepted from the start (no login needed)
+   * @param {object|Scenario} [opts.scenario]
+   * @param {{historical?: Function, instruments?: Function}} [opts.marketData] defaults to the scenario data
+   * @param {number} [opts.latencyMs] exchange acknowledgement / update latency
+   * @param {number} [opts.orderUpdateDelayMs] extra delay on every order update
+   * @param {number} [opts.heartbeatMs] ticker heartbeat (the SDK drops the socket after 5s of silence)
+   * @param {string} [opts.postbackUrl] POST target for order updates
+   * @param {string} [opts.redirectUrl] where /connect/login sends the request_token
+   * @param {{password: string, totpSecret: string}} [opts.login] require the web login (user_id is `userId`)
+   */
+  constructor({
+    apiKey = "mock_api_key",
+    apiSecret = null,
+    accessToken = "mock_access_token",
+    userId = "MK0001",
+    scenario = {},
+    marketData = null,
+    latencyMs = 50,
+    orderUpdateDelayMs = 0,
+    heartbeatMs = 1000,
+    postbackUrl = null,
+    redirectUrl = null,
+    login = null,
+    startingCash = 1_000_000,
+    timezone = TZ,
+  } = {}) {
+    this.apiKey = String(apiKey);
+    this.apiSecret = apiSecret ? String(apiSecret) : null;
+    this.accessToken = String(accessToken);
+    this.userId = String(userId);
+    this.orderUpdateDelayMs = Math.max(0, n(orderUpdateDelayMs, 0));
+    this.heartbeatMs = Math.max(100, n(heartbeatMs, 1000));
+    this.postbackUrl = postbackUrl || null;
+    this.redirectUrl = redirectUrl || null;
+    this.login = login ? { password: String(login.password), totpSecret: String(login.totpSecret) } : null;
+    this.timezone = timezone;
+
+    this.accessTokens = new Set([this.accessToken]);
+    this.requestTokens = new Set();
+    this.loginRequests = new Map(); // request_id -> user_id (password ok, awaiting TOTP)
+    this.enctokens = new Set();
+    this.clients = new Set(); // { ws, modes: Map<token, mode> }
+    this.lastTicks = new Map();
+    this.timers = new Set();
+    this.calls = {};
+    this.postbacks = { sent: 0, failed: 0 };
+    this.server = null;
+    this.url = null;
+    this.wsUrl = null;
+
+    this.scenario = scenario instanceof Scenario ? scenario : new Scenario(scenario);
+    this.exchange = new MockExchange({
+      clock: { nowMs: () => Date.now() },
+      ticker: { pushOrderUpdate: (order) => this._orderUpdate(order) },
+      marketData: marketData || {
+        historical: (...args) => this.scenario.historical(...args),
+      },
+      latencyMs,
+      startingCash,
+      timezone,
+      placedBy: this.userId,
+    });
+    this.exchange.registerInstruments(this.scenario.instruments);
+
+    this.app = this._buildApp();
+    this.wss = new WebSocket.Server({ noServer: true });
+  }
+
+  // ---- lifecycle ----
+
+  start({ port = 0, host = "127.0.0.1" } = {}) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer(this.app);
+      this.server.on("upgrade", (req, socket, head) => this._onUpgrade(req, socket, head));
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        const addr = this.server.address();
+        this.url = `http://${host}:${addr.port}`;
+        this.wsUrl = `ws://${host}:${addr.port}/`;
+        this.heartbeat = setInterval(() => this._heartbeat(), this.heartbeatMs);
+        logger.info({ url: this.url, scenario: this.scenario.name }, "[kite-mock] listening");
+        resolve({ url: this.url, wsUrl: this.wsUrl });
+      });
+    });
+  }
+
+  async stop() {
+    clearInterval(this.heartbeat);
+    for (const t of this.timers) clearTimeout(t);
+    this.timers.clear();
+    for (const c of this.clients) c.ws.terminate();
+    this.clients.clear();
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    await new Promise((resolve) => this.wss.close(() => server.close(() => resolve())));
+  }
+
+  // ---- scenario driving ----
+
+  loadScenario(spec) {
+    this.scenario = spec instanceof Scenario ? spec : new Scenario(spec);
+    this.exchange.registerInstruments(this.scenario.instruments);
+    return this.scenario.summary();
+  }
+
+  // Runs the timeline from now; resolves after the last step.
+  play(timeline = this.scenario.timeline) {
+    const steps = [...(timeline || [])].sort((a, b) => n(a.atMs, 0) - n(b.atMs, 0));
+    if (!steps.length) return Promise.resolve();
+    return new Promise((resolve) => {
+      steps.forEach((step, i) => {
+        const timer = setTimeout(() => {
+          this.timers.delete(timer);
+          this._runStep(step);
+          if (i === steps.length - 1) resolve();
+        }, Math.max(0, n(step.atMs, 0)));
+        this.timers.add(timer);
+      });
+    });
+  }
+
+  /** Feeds the exchange (order matching) and every subscribed socket. Returns packets sent. */
+  pushTicks(ticks) {
+    const list = (ticks || []).filter((t) => n(t?.instrument_token) && n(t?.last_price, 0) > 0);
+    for (const t of list) this.lastTicks.set(n(t.instrument_token), t);
+    this.exchange.onMarketTicks(list);
+    let sent = 0;
+    for (const c of this.clients) sent += this._sendTicks(c, list);
+    return sent;
+  }
+
+  /** Abnormal close (1006) on every ticker socket, like a network drop. */
+  dropSockets() {
+    const count = this.clients.size;
+    for (const c of this.clients) c.ws.terminate();
+    this.clients.clear();
+    return count;
+  }
+
+  /** Invalidates every access token: REST answers TokenException, sockets are refused. */
+  expireSession() {
+    this.accessTokens.clear();
+    this.enctokens.clear();
+  }
+
+  issueRequestToken() {
+    const token = randomToken();
+    this.requestTokens.add(token);
+    return token;
+  }
+
+  state() {
+    return {
+      url: this.url,
+      scenario: this.scenario.summary(),
+      sockets: this.clients.size,
+      calls: { ...this.calls },
+      postbacks: { ...this.postbacks },
+      exchange: this.exchange.snapshot(),
+    };
+  }
+
+  // ---- internals: REST ----
+
+  _buildApp() {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.json({ limit: "1mb" }));
+
+    const ex = this.exchange;
+    const route = (method, path, name, handler, { auth = true } = {}) => {
+      app[method](path, async (req, res) => {
+        this.calls[name] = (this.calls[name] || 0) + 1;
+        const body = req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : {};
+        const params = { ...req.query, ...body, ...req.params };
+        try {
+          if (auth && !this._authorized(req.get("authorization"))) return this._send(res, kiteError(403));
+          const rule = this.scenario.take(name, params);
+          if (rule?.delayMs) await sleep(rule.delayMs);
+          if (rule?.http) return this._send(res, rule.http);
+          const data = await handler(params, req, res, rule);
+          if (!res.headersSent) res.json({ status: "success", data });
+        } catch (e) {
+          if (!res.headersSent) this._send(res, errorFromException(e));
+        }
+      });
+    };
+
+    // -- login / session --
+    route(
+      "get",
+      "/connect/login",
+      "connect.login",
+      (p, req, res) => {
+        if (p.api_key !== this.apiKey) throw new Error("InputException: Invalid `api_key`.");
+        if (this.login && !this.enctokens.has(this._cookie(req, "enctoken"))) {
+          if (p.sess_id) return void res.type("html").send("<html><body>Kite mock login</body></html>");
+          const sessId = randomToken();
+          res.cookie("kf_session", sessId, { httpOnly: true });
+          return void res.redirect(302, `/connect/login?api_key=${encodeURIComponent(p.api_key)}&sess_id=${sessId}`);
+        }
+        const requestToken = this.issueRequestToken();
+        if (!this.redirectUrl) return { request_token: requestToken };
+        const sep = this.redirectUrl.includes("?") ? "&" : "?";
+        res.redirect(302, `${this.redirectUrl}${sep}action=login&type=login&status=success&request_token=${requestToken}`);
+      },
+      { auth: false },
+    );
+    route(
+      "post",
+      "/session/token",
+      "api.token",
+      (p, req, res) => {
+        const valid =
+          p.api_key === this.apiKey &&
+          this.requestTokens.has(p.request_token) &&
+          (!this.apiSecret || p.checksum === sha256(`${this.apiKey}${p.request_token}${this.apiSecret}`));
+        if (!valid) return this._send(res, kiteError(403, { message: "Token is invalid or has expired." }));
+        this.requestTokens.delete(p.request_token);
+        const accessToken = randomToken();
+        this.accessTokens.add(accessToken);
+        return {
+          ...this._profile(),
+          api_key: this.apiKey,
+          access_token: accessToken,
+          public_token: randomToken(),
+          refresh_token: "",
+          enctoken: "",
+          login_time: this._ts(Date.now()),
+        };
+      },
+      { auth: false },
+    );
+    route(
+      "post",
+      "/api/login",
+      "web.login",
+      (p) => {
+        if (!this.login || p.user_id !== this.userId || p.password !== this.login.password) {
+          throw new Error("InputException: Invalid `user_id` or `password`.");
+        }
+        const requestId = randomToken();
+        this.loginRequests.set(requestId, p.user_id);
+        return { user_id: p.user_id, request_id: requestId, twofa_type: "totp", twofa_types: ["totp"] };
+      },
+      { auth: false },
+    );
+    route(
+      "post",
+      "/api/twofa",
+      "web.twofa",
+      (p, req, res) => {
+        const userId = this.loginRequests.get(p.request_id);
+        if (!userId || userId !== p.user_id) throw new Error("InputException: Invalid request_id.");
+        // Accept the previous window too, like Kite does for clock drift.
+        const now = Date.now();
+        const codes = [now, now - 30_000].map((timeMs) => totp(this.login.totpSecret, { timeMs }));
+        if (!codes.includes(String(p.twofa_value))) throw new Error("InputException: Invalid TOTP.");
+        this.loginRequests.delete(p.request_id);
+        const enctoken = randomToken();
+        this.enctokens.add(enctoken);
+        res.cookie("enctoken", enctoken, { httpOnly: true });
+        return {};
+      },
+      { auth: false },
+    );
+    route(
+      "delete",
+      "/session/token",
+      "api.token.invalidate",
+      (p) => {
+        this.accessTokens.delete(p.access_token);
+        return true;
+      },
+      { auth: false },
+    );
+    route("get", "/user/profile", "user.profile", () => this._profile());
+    route("get", "/user/margins", "user.margins", async () => this._margins());
+    route("get", "/user/margins/:segment", "user.margins.segment", async (p) => (await this._margins())[p.segment] || null);
+
+    // -- orders --
+    route("get", "/orders", "orders", () => ex.getOrders());
+    route("get", "/trades", "trades", async () => (await ex.getTrades()).map(({ ts, ...f }) => f));
+    route("get", "/orders/:order_id", "order.info", (p) => ex.getOrderHistory(p.order_id));
+    route("get", "/orders/:order_id/trades", "order.trades", async (p) =>
+      (await ex.getTrades()).filter((f) => f.order_id === String(p.order_id)).map(({ ts, ...f }) => f),
+    );
+    route("post", "/orders/:variety", "order.place", async (p, req, res, rule) => {
+      const { variety, ...params } = p;
+      const out = await ex.placeOrder(variety, params);
+      if (rule?.order) ex.directives.set(out.order_id, { ...rule.order });
+      return out;
+    });
+    route("put", "/orders/:variety/:order_id", "order.modify", (p) => {
+      const { variety, order_id: orderId, ...params } = p;
+      return ex.modifyOrder(variety, orderId, params);
+    });
+    route("delete", "/orders/:variety/:order_id", "order.cancel", (p) => ex.cancelOrder(p.variety, p.order_id));
+
+    // -- GTT (condition/orders arrive as JSON strings in the form body) --
+    const gttParams = (p) => {
+      const condition = typeof p.condition === "string" ? JSON.parse(p.condition) : p.condition || {};
+      const orders = typeof p.orders === "string" ? JSON.parse(p.orders) : p.orders || [];
+      return { trigger_type: p.type, ...condition, orders };
+    };
+    route("get", "/gtt/triggers", "gtt.triggers", () => ex.getGTTs());
+    route("get", "/gtt/triggers/:trigger_id", "gtt.trigger_info", (p) => ex.getGTT(p.trigger_id));
+    route("post", "/gtt/triggers", "gtt.place", (p) => ex.placeGTT(gttParams(p)));
+    route("put", "/gtt/triggers/:trigger_id", "gtt.modify", (p) => ex.modifyGTT(p.trigger_id, gttParams(p)));
+    route("delete", "/gtt/triggers/:trigger_id", "gtt.delete", (p) => ex.deleteGTT(p.trigger_id));
+
+    // -- margins --
+    route("post", "/margins/orders", "order.margins", (p, req) => ex.orderMargins(req.body));
+    route("post", "/margins/basket", "order.margins.basket", async (p, req) => {
+      const orders = await ex.orderMargins(req.body);
+      const total = orders.reduce((s, o) => s + n(o.total, 0), 0);
+      return { initial: { type: "equity", total }, final: { type: "equity", total }, orders };
+    });
+
+    // -- portfolio --
+    route("get", "/portfolio/positions", "portfolio.positions", () => ex.getPositions());
+    route("put", "/portfolio/positions", "portfolio.positions.convert", (p) => ex.convertPosition(p));
+    route("get", "/portfolio/holdings", "portfolio.holdings", () => []);
+
+    // -- market data --
+    route("get", "/instruments/historical/:instrument_token/:interval", "market.historical", async (p) => {
+      const candles = await ex.getHistoricalData(p.instrument_token, p.interval, this._parseTs(p.from), this._parseTs(p.to));
+      return {
+        candles: candles.map((c) => [this._isoTs(c.date), c.open, c.high, c.low, c.close, c.volume]),
+      };
+    });
+    route("get", "/instruments", "market.instruments.all", async (p, req, res) =>
+      this._sendCsv(res, await ex.getInstruments()),
+    );
+    route("get", "/instruments/:exchange", "market.instruments", async (p, req, res) =>
+      this._sendCsv(res, await ex.getInstruments(p.exchange)),
+    );
+    route("get", "/quote", "market.quote", async (p) => this._quotes(p.i, "full"));
+    route("get", "/quote/ohlc", "market.quote.ohlc", async (p) => this._quotes(p.i, "ohlc"));
+    route("get", "/quote/ltp", "market.quote.ltp", (p) => ex.getLTP(p.i));
+
+    // -- control surface --
+    app.get("/__mock/state", (req, res) => res.json({ ok: true, ...this.state() }));
+    app.post("/__mock/ticks", (req, res) => res.json({ ok: true, sent: this.pushTicks(req.body?.ticks || req.body) }));
+    app.post("/__mock/drop", (req, res) => res.json({ ok: true, dropped: this.dropSockets() }));
+    app.post("/__mock/expire", (req, res) => {
+      this.expireSession();
+      res.json({ ok: true });
+    });
+    app.post("/__mock/scenario", (req, res) => {
+      try {
+        res.json({ ok: true, scenario: this.loadScenario(req.body || {}) });
+      } catch (e) {
+        res.status(400).json({ ok: false, error: e.message });
+      }
+    });
+    app.post("/__mock/play", (req, res) => {
+      this.play();
+      res.json({ ok: true, steps: this.scenario.timeline.length });
+    });
+
+    app.use((req, res) => this._send(res, kiteError(404, { error_type: "GeneralException", message: "Route not found" })));
+    return app;
+  }
+
+  _cookie(req, name) {
+    for (const part of String(req.get("cookie") || "").split(";")) {
+      const i = part.indexOf("=");
+      if (i > 0 && part.slice(0, i).trim() === name) return part.slice(i + 1).trim();
+    }
+    return null;
+  }
+
+  _authorized(header) {
+    const m = String(header || "").match(/^token\s+([^:]+):(.+)$/);
+    return !!m && m[1] === this.apiKey && this.accessTokens.has(m[2]);
+  }
+
+  _send(res, { status, body }) {
+    res.status(status).json(body);
+  }
+
+  // The SDK only parses instrument dumps whose content-type is exactly "text/csv"
+  // (res.set would append a charset).
+  _sendCsv(res, rows) {
+    const out = (rows || []).map((r) => ({
+      instrument_token: r.instrument_token,
+      exchange_token: r.exchange_token ?? Math.floor(n(r.instrument_token, 0) / 256),
+      tradingsymbol: r.tradingsymbol,
+      name: r.name ?? "",
+      last_price: r.last_price ?? 0,
+      expiry: r.expiry ? DateTime.fromJSDate(new Date(r.expiry), { zone: this.timezone }).toFormat("yyyy-LL-dd") : "",
+      strike: r.strike ?? 0,
+      tick_size: r.tick_size ?? 0.05,
+      lot_size: r.lot_size ?? 1,
+      instrument_type: r.instrument_type ?? "EQ",
+      segment: r.segment ?? r.exchange,
+      exchange: r.exchange,
+    }));
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "text/csv");
+    res.end(toCsv(out, INSTRUMENT_COLUMNS).replace(/\n$/, ""));
+  }
+
+  _profile() {
+    return {
+      user_id: this.userId,
+      user_name: "Mock User",
+      user_shortname: "Mock",
+      user_type: "individual",
+      email: "mock@example.com",
+      broker: "ZERODHA",
+      exchanges: ["NSE", "BSE", "NFO", "BFO", "CDS", "MCX"],
+      products: ["CNC", "NRML", "MIS", "MTF"],
+      order_types: ["MARKET", "LIMIT", "SL", "SL-M"],
+      avatar_url: null,
+      meta: { demat_consent: "physical" },
+    };
+  }
+
+  async _margins() {
+    const m = await this.exchange.getMargins();
+    return { ...m, commodity: { enabled: false, net: 0, available: {}, utilised: {} } };
+  }
+
+  async _quotes(keys, kind) {
+    const quotes = await this.exchange.getQuote(keys);
+    const out = {};
+    for (const [key, q] of Object.entries(quotes)) {
+      const ltp = q.last_price;
+      const ohlc = q.ohlc || { open: ltp, high: ltp, low: ltp, close: ltp };
+      if (kind === "ohlc") {
+        out[key] = { instrument_token: q.instrument_token, last_price: ltp, ohlc };
+        continue;
+      }
+      out[key] = {
+        instrument_token: q.instrument_token,
+        timestamp: this._ts(q.timestamp),
+        last_trade_time: this._ts(q.timestamp),
+        last_price: ltp,
+        last_quantity: 0,
+        buy_quantity: 0,
+        sell_quantity: 0,
+        volume: n(q.volume, 0),
+        average_price: ltp,
+        oi: 0,
+        oi_day_high: 0,
+        oi_day_low: 0,
+        net_change: ohlc.close ? ltp - ohlc.close : 0,
+        lower_circuit_limit: 0,
+        upper_circuit_limit: 0,
+        ohlc,
+        depth: q.depth,
+      };
+    }
+    return out;
+  }
+
+  _ts(v) {
+    return DateTime.fromMillis(new Date(v).getTime(), { zone: this.timezone }).toFormat("yyyy-LL-dd HH:mm:ss");
+  }
+
+  // Kite reads from/to ("yyyy-mm-dd[ hh:mm:ss]") in exchange time.
+  _parseTs(v) {
+    const dt = DateTime.fromSQL(String(v || ""), { zone: this.timezone });
+    return dt.isValid ? dt.toJSDate() : new Date(v);
+  }
+
+  _isoTs(v) {
+    return DateTime.fromMillis(new Date(v).getTime(), { zone: this.timezone }).toFormat("yyyy-LL-dd'T'HH:mm:ssZZZ");
+  }
+
+  // ---- internals: ticker websocket ----
+
+  _onUpgrade(req, socket, head) {
+    const refuse = (status) => {
+      socket.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || "Error"}\r\nConnection: close\r\n\r\n`);
+      socket.destroy();
+    };
+    this.calls["ws.connect"] = (this.calls["ws.connect"] || 0) + 1;
+    const q = new URL(req.url, "http://localhost").searchParams;
+    const params = { api_key: q.get("api_key"), access_token: q.get("access_token") };
+    if (params.api_key !== this.apiKey || !this.accessTokens.has(params.access_token)) return refuse(403);
+    const rule = this.scenario.take("ws.connect", params);
+    if (rule?.http) return refuse(rule.http.status);
+    this.wss.handleUpgrade(req, socket, head, (ws) => this._onSocket(ws));
+  }
+
+  _onSocket(ws) {
+    const client = { ws, modes: new Map() };
+    this.clients.add(client);
+    ws.on("message", (raw) => this._onClientMessage(client, raw));
+    ws.on("close", () => this.clients.delete(client));
+    ws.on("error", (e) => logger.warn({ e: e?.message || String(e) }, "[kite-mock] socket error"));
+  }
+
+  // Client messages: {"a":"subscribe"|"unsubscribe","v":[tokens]} and {"a":"mode","v":[mode,[tokens]]}.
+  _onClientMessage(client, raw) {
+    let msg = null;
+    try {
+      msg = JSON.parse(String(raw));
+    } catch {
+      return;
+    }
+    const action = msg?.a;
+    if (action === "subscribe") {
+      const fresh = [];
+      for (const t of [].concat(msg.v || []).map(Number)) {
+        if (client.modes.has(t)) continue;
+        client.modes.set(t, "quote");
+        if (this.lastTicks.has(t)) fresh.push(this.lastTicks.get(t));
+      }
+      // Kite answers a subscription with the latest tick it has.
+      this._sendTicks(client, fresh);
+    } else if (action === "unsubscribe") {
+      for (const t of [].concat(msg.v || [])) client.modes.delete(Number(t));
+    } else if (action === "mode") {
+      const [mode, tokens] = Array.isArray(msg.v) ? msg.v : [];
+      if (!STREAM_MODES.has(mode)) {
+        client.ws.send(JSON.stringify({ type: "error", data: `Invalid mode: ${mode}` }));
+        return;
+      }
+      for (const t of [].concat(tokens || []).map(Number)) {
+        if (client.modes.has(t)) client.modes.set(t, mode);
+      }
+    }
+  }
+
+  _sendTicks(client, ticks) {
+    const items = [];
+    for (const tick of ticks || []) {
+      const mode = client.modes.get(n(tick.instrument_token));
+      if (mode) items.push({ tick, mode });
+    }
+    if (items.length && client.ws.readyState === WebSocket.OPEN) client.ws.send(encodeTicks(items));
+    return items.length;
+  }
+
+  _heartbeat() {
+    for (const c of this.clients) {
+      if (c.ws.readyState === WebSocket.OPEN) c.ws.send(HEARTBEAT);
+    }
+  }
+
+  // Exchange order update -> websocket text message (+ postback), after any scenario delay.
+  _orderUpdate(order) {
+    const delay = n(this.exchange.directives.get(order.order_id)?.updateDelayMs, this.orderUpdateDelayMs);
+    const deliver = () => {
+      const text = JSON.stringify({ type: "order", data: order });
+      for (const c of this.clients) {
+        if (c.ws.readyState === WebSocket.OPEN) c.ws.send(text);
+      }
+      if (this.postbackUrl) this._postback(order);
+    };
+    if (!(delay > 0)) return deliver();
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      deliver();
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  async _postback(order) {
+    const payload = {
+      ...order,
+      user_id: this.userId,
+      unfilled_quantity: order.pending_quantity,
+      checksum: sha256(`${order.order_id}${order.order_timestamp}${this.apiSecret || ""}`),
+    };
+    try {
+      const res = await fetch(this.postbackUrl, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      this.postbacks.sent += 1;
+    } catch (e) {
+      this.postbacks.failed += 1;
+      logger.warn({ url: this.postbackUrl, orderId: order.order_id, e: e?.message || String(e) }, "[kite-mock] postback failed");
+    }
+  }
+
+  _runStep(step) {
+    if (Array.isArray(step.ticks)) this.pushTicks(step.ticks);
+    if (step.rule) this.scenario.addRule(step.rule);
+    if (step.dropSockets) this.dropSockets();
+    if (step.expireSession) this.expireSession();
+  }
+}
+
+module.exports = { KiteMockServer, MockExchange };
@@ -0,0 +1,132 @@
+/**
+ * Scripted scenarios for the Kite mock server.
+ *
+ * A scenario is plain JSON so it can live next to a test or be passed to
+ * `npm run kite:mock -- --scenario=file.json`:
+ *
+ *   {
+ *     "name": "entry-rejected-after-429",
+ *     "instruments": [{ "instrument_token": 779521, "exchange": "NSE", "tradingsymbol": "SBIN", ... }],
+ *     "candles": { "779521": [{ "ts": "2025-01-06T03:45:00Z", "open": 1, "high": 1, "low": 1, "close": 1, "volume": 0 }] },
+ *     "rules": [
+ *       { "route": "order.place", "times": 1, "http": { "status": 429 } },
+ *       { "route": "order.place", "match": { "transaction_type": "BUY" }, "order": { "reject": "Insufficient funds" } },
+ *       { "route": "order.place", "order": { "partialQty": 5, "updateDelayMs": 1500 } },
+ *       { "route": "ws.connect", "times": 2, "http": { "status": 503 } }
+ *     ],
+ *     "timeline": [
+ *       { "atMs": 0, "ticks": [{ "instrument_token": 779521, "last_price": 801.5 }] },
+ *       { "atMs": 2000, "dropSockets": true },
+ *       { "atMs": 4000, "expireSession": true }
+ *     ]
+ *   }
+ *
+ * Rules are checked in order against every request; the first rule whose
+ * `route` (the kiteconnect SDK route names, plus "ws.connect") and `match`
+ * fields agree wins and its `times` budget (default unlimited) is spent.
+ * A rule can delay the response (`delayMs`), answer with a Kite error
+ * (`http`), or shape how the exchange treats the placed order (`order`).
+ */
+
+const ERROR_TYPES = {
+  400: "InputException",
+  403: "TokenException",
+  429: "NetworkException",
+  500: "GeneralException",
+  502: "NetworkException",
+  503: "NetworkException",
+  504: "NetworkException",
+};
+
+const DEFAULT_MESSAGES = {
+  403: "Incorrect `api_key` or `access_token`.",
+  429: "Too many requests",
+  502: "Bad Gateway",
+  503: "Service Unavailable",
+  504: "Gateway Timeout",
+};
+
+function n(v, d = null) {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+}
+
+function kiteError(status, { error_type = null, message = null } = {}) {
+  const code = n(status, 500);
+  return {
+    status: code,
+    body: {
+      status: "error",
+      message: message || DEFAULT_MESSAGES[code] || "Internal server error",
+      error_type: error_type || ERROR_TYPES[code] || "GeneralException",
+      data: null,
+    },
+  };
+}
+
+function normalizeRule(r, i) {
+  if (!r || typeof r !== "object" || !r.route) {
+    throw new Error(`[kite-mock] scenario rule #${i} needs a route`);
+  }
+  return {
+    route: String(r.route),
+    match: r.match && typeof r.match === "object" ? r.match : {},
+    times: r.times === undefined || r.times === null ? Infinity : Math.max(0, Math.floor(n(r.times, 0))),
+    delayMs: Math.max(0, n(r.delayMs, 0)),
+    http: r.http ? kiteError(r.http.status, r.http) : null,
+    order: r.order && typeof r.order === "object" ? { ...r.order } : null,
+    hits: 0,
+  };
+}
+
+function matches(rule, route, params) {
+  if (rule.route !== route || rule.hits >= rule.times) return false;
+  for (const [k, v] of Object.entries(rule.match)) {
+    if (String(params?.[k] ?? "") !== String(v)) return false;
+  }
+  return true;
+}
+
+class Scenario {
+  constructor(spec = {}) {
+    this.name = spec.name || "default";
+    this.instruments = Array.isArray(spec.instruments) ? spec.instruments : [];
+    this.candles = spec.candles && typeof spec.candles === "object" ? spec.candles : {};
+    this.rules = (spec.rules || []).map(normalizeRule);
+    this.timeline = (spec.timeline || [])
+      .map((step) => ({ ...step, atMs: Math.max(0, n(step.atMs, 0)) }))
+      .sort((a, b) => a.atMs - b.atMs);
+  }
+
+  addRule(rule) {
+    this.rules.push(normalizeRule(rule, this.rules.length));
+  }
+
+  // First matching rule with budget left (its hit is counted), else null.
+  take(route, params) {
+    const rule = this.rules.find((r) => matches(r, route, params));
+    if (!rule) return null;
+    rule.hits += 1;
+    return rule;
+  }
+
+  // Candles for the SimKiteClient marketData.historical hook.
+  historical(token, intervalMin, from, to) {
+    const fromMs = new Date(from).getTime();
+    const toMs = new Date(to).getTime();
+    return (this.candles[String(token)] || []).filter((c) => {
+      const t = new Date(c.ts ?? c.date).getTime();
+      return t >= fromMs && t <= toMs;
+    });
+  }
+
+  summary() {
+    return {
+      name: this.name,
+      rules: this.rules.map((r) => ({ route: r.route, match: r.match, hits: r.hits, times: r.times })),
+      timelineSteps: this.timeline.length,
+    };
+  }
+}
+
+module.exports = { Scenario, kiteError };
@@ -0,0 +1,111 @@
+/**
+ * Kite ticker binary protocol encoder (the inverse of the SDK's parseBinary).
+ *
+ * A binary frame is `[int16 packet count]` followed by `[int16 length][packet]`
+ * per instrument, all big-endian. Packet layout depends on the mode and on
+ * whether the token is an index (segment = token & 0xff):
+ *
+ *   ltp    8 bytes   token, last price
+ *   quote  44 bytes  (indices: 28) + traded qty/avg/volume, buy/sell qty, ohlc
+ *   full   184 bytes (indices: 32) + last trade time, OI, exchange ts, 5+5 depth
+ *
+ * Prices are integers scaled by the segment divisor (paise for most segments).
+ */
+
+const SEGMENT_INDICES = 9;
+const SEGMENT_NSE_CD = 3;
+const SEGMENT_BSE_CD = 6;
+
+const HEARTBEAT = Buffer.alloc(1);
+
+function n(v, d = 0) {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+}
+
+function divisorFor(token) {
+  const segment = token & 0xff;
+  if (segment === SEGMENT_NSE_CD) return 10_000_000;
+  if (segment === SEGMENT_BSE_CD) return 10_000;
+  return 100;
+}
+
+function epochSec(v) {
+  if (v === null || v === undefined || v === "") return 0;
+  const ms = v instanceof Date ? v.getTime() : typeof v === "number" ? v : new Date(v).getTime();
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : 0;
+}
+
+function packetSize(token, mode) {
+  if (mode === "ltp") return 8;
+  const index = (token & 0xff) === SEGMENT_INDICES;
+  if (mode === "full") return index ? 32 : 184;
+  return index ? 28 : 44;
+}
+
+function encodePacket(tick, mode) {
+  const token = n(tick.instrument_token);
+  const div = divisorFor(token);
+  const px = (v) => Math.round(n(v) * div);
+  const ltp = n(tick.last_price);
+  const ohlc = tick.ohlc || {};
+  const buf = Buffer.alloc(packetSize(token, mode));
+
+  buf.writeUInt32BE(token >>> 0, 0);
+  buf.writeInt32BE(px(ltp), 4);
+  if (mode === "ltp") return buf;
+
+  if ((token & 0xff) === SEGMENT_INDICES) {
+    buf.writeInt32BE(px(ohlc.high ?? ltp), 8);
+    buf.writeInt32BE(px(ohlc.low ?? ltp), 12);
+    buf.writeInt32BE(px(ohlc.open ?? ltp), 16);
+    buf.writeInt32BE(px(ohlc.close ?? ltp), 20);
+    buf.writeInt32BE(px(ltp - n(ohlc.close, ltp)), 24);
+    if (mode === "full") buf.writeInt32BE(epochSec(tick.exchange_timestamp), 28);
+    return buf;
+  }
+
+  buf.writeInt32BE(n(tick.last_traded_quantity), 8);
+  buf.writeInt32BE(px(tick.average_traded_price ?? ltp), 12);
+  buf.writeInt32BE(n(tick.volume_traded), 16);
+  buf.writeInt32BE(n(tick.total_buy_quantity), 20);
+  buf.writeInt32BE(n(tick.total_sell_quantity), 24);
+  buf.writeInt32BE(px(ohlc.open ?? ltp), 28);
+  buf.writeInt32BE(px(ohlc.high ?? ltp), 32);
+  buf.writeInt32BE(px(ohlc.low ?? ltp), 36);
+  buf.writeInt32BE(px(ohlc.close ?? ltp), 40);
+  if (mode !== "full") return buf;
+
+  buf.writeInt32BE(epochSec(tick.last_trade_time), 44);
+  buf.writeInt32BE(n(tick.oi), 48);
+  buf.writeInt32BE(n(tick.oi_day_high), 52);
+  buf.writeInt32BE(n(tick.oi_day_low), 56);
+  buf.writeInt32BE(epochSec(tick.exchange_timestamp), 60);
+  const side = (rows) => [...(rows || []).slice(0, 5), ...Array(5).fill(null)].slice(0, 5);
+  [...side(tick.depth?.buy), ...side(tick.depth?.sell)].forEach((lvl, i) => {
+    const at = 64 + i * 12;
+    buf.writeInt32BE(n(lvl?.quantity), at);
+    buf.writeInt32BE(px(lvl?.price), at + 4);
+    buf.writeInt16BE(n(lvl?.orders), at + 8);
+  });
+  return buf;
+}
+
+/**
+ * @param {{tick: object, mode: "ltp"|"quote"|"full"}[]} items
+ * @returns {Buffer} one binary frame carrying every packet
+ */
+function encodeTicks(items) {
+  const packets = (items || []).map(({ tick, mode }) => encodePacket(tick, mode));
+  const head = Buffer.alloc(2);
+  head.writeInt16BE(packets.length, 0);
+  const parts = [head];
+  for (const p of packets) {
+    const len = Buffer.alloc(2);
+    len.writeInt16BE(p.length, 0);
+    parts.push(len, p);
+  }
+  return Buffer.concat(parts);
+}
+
+module.exports = { encodeTicks, encodePacket, packetSize, HEARTBEAT };
@@ -12,14 +12,18 @@ const {
   setTradingEnabled,
   getTradingEnabled,
 } = require("../runtime/tradingEnabled");
-const { createTicker, createKiteConnect } = require("./kiteClients");
+const { createBrokerAdapter } = require("../broker");
+const { BrokerAdapter, TickerStream } = require("../broker/brokerAdapter");
 const { buildPipeline } = require("../pipeline");
 const { updateFromTicks } = require("../market/ltpStream");
+const { tickRecorder } = require("../market/tickRecorder");
+const { createPaperBroker, isPaperMode } = require("../strategy/paperBroker");
 const { MarketGate } = require("../market/marketGate");
 const { isMarketOpenNow } = require("../market/isMarketOpenNow");
 const intervalRegistry = require("../utils/intervalRegistry");
 const crypto = require("crypto");
 
+// Broker adapter for the session (REST surface) and its tick/order-update stream.
 let kite = null;
 let ticker = null;
 
@@ -31,6 +35,10 @@ let lastDisconnect = null;
 // Tick batching (prevents overlapping async handlers)
 let tickQueue = [];
 let draining = false;
+// Session broker factory (BROKER_ADAPTER by default); the tick backtester swaps in a simulated one.
+let brokerFactory = null;
+// TRADING_MODE=paper: orders go to this local broker instead of Kite.
+let paperBroker = null;
 
 let reconcileTimer = null;
 let ocoReconcileTimer = null;
@@ -98,6 +106,10 @@ function _modeStrSafe(v, def = "full") {
   return "full";
 }
 
+function _underlyingMode() {
+  return _modeStrSafe(env.TICK_MODE_UNDERLYING, "quote");
+}
+
 function _shouldControlTrading() {
   if (_bool(env.ENGINE_LIFECYCLE_ENABLED, false)) return false;
   return _bool(env.MARKET_GATE_CONTROL_TRADING, true);
@@ -246,31 +258,28 @@ function stopMarketGate() {
   marketGate = null;
 }
 
-function _modeConst(modeStr) {
-  const m = _modeStrSafe(modeStr, "full");
-  if (!ticker) return null;
-  if (m === "ltp") return ticker.modeLTP;
-  if (m === "quote") return ticker.modeQuote;
-  return ticker.modeFull;
-}
-
 function _applyMode(tokens, modeStr) {
   if (!ticker) return;
   const arr = (tokens || [])
     .map((x) => Number(x))
     .filter((n) => Number.isFinite(n) && n > 0);
   if (!arr.length) return;
-  const mode = _modeConst(modeStr);
-  if (!mode) return;
-  try {
-    ticker.setMode(mode, arr);
-  } catch (err) { reportFault({ code: "KITE_TICKERMANAGER_CATCH", err, message: "[src/kite/tickerManager.js] caught and continued" }); }
   const m = _modeStrSafe(modeStr, "full");
-  for (const t of arr) tokenModeByToken.set(Number(t), m);
+  // The tick recorder needs depth/OI/exchange timestamps: only the tokens it
+  // records are lifted to full mode, the rest keep the configured mode.
+  const lifted = m === "full" ? [] : arr.filter((t) => tickRecorder.wantsFullMode(t));
+  const rest = lifted.length ? arr.filter((t) => !lifted.includes(t)) : arr;
+  for (const [mode, list] of [[m, rest], ["full", lifted]]) {
+    if (!list.length) continue;
+    try {
+      ticker.setMode(mode, list);
+    } catch (err) { reportFault({ code: "KITE_TICKERMANAGER_CATCH", err, message: "[src/kite/tickerManager.js] caught and continued" }); }
+    for (const t of list) tokenModeByToken.set(Number(t), mode);
+  }
 }
 
 function _applyModesFromCache(tokens) {
-  const underlyingMode = _modeStrSafe(env.TICK_MODE_UNDERLYING, "quote");
+  const underlyingMode = _underlyingMode();
   const full = [];
   const quote = [];
   const ltp = [];
@@ -401,7 +410,7 @@ async function _subscribeTokens(tokens, opts = {}) {
   ticker.subscribe(toAdd);
   lastSubscribeTs = new Date().toISOString();
 
-  const underlyingMode = _modeStrSafe(env.TICK_MODE_UNDERLYING, "quote");
+  const underlyingMode = _underlyingMode();
   const tradeMode = _modeStrSafe(env.TICK_MODE_TRADE, "full");
   const optionMode = _modeStrSafe(env.TICK_MODE_OPTIONS, tradeMode);
 
@@ -595,6 +604,7 @@ async function teardownActiveSession(reason = "session_refresh") {
 
   ticker = null;
   kite = null;
+  paperBroker = null;
   tickerConnected = false;
   currentToken = null;
   subscribedTokens = new Set();
@@ -618,8 +628,14 @@ async function setSession(accessToken) {
 
   await teardownActiveSession("session_refresh");
 
-  kite = createKiteConnect({ apiKey: env.KITE_API_KEY, accessToken });
-  ticker = createTicker({ apiKey: env.KITE_API_KEY, accessToken });
+  const broker = (brokerFactory || createBrokerAdapter)({ apiKey: env.KITE_API_KEY, accessToken });
+  kite = broker;
+  ticker = broker.createStream();
+  if (isPaperMode()) {
+    paperBroker = createPaperBroker({ live: kite, onOrderUpdate: handleOrderUpdate });
+    kite = paperBroker;
+    logger.warn("[kite] TRADING_MODE=paper: orders are simulated locally against the live feed");
+  }
   const gate = startMarketGate();
   pipeline = buildPipeline({
     kite,
@@ -673,6 +689,9 @@ async function getSessionStatus() {
     tickerConnected,
     pipelineReady: !!pipeline,
     tradingEnabled: getTradingEnabled(),
+    tradingMode: paperBroker ? "paper" : "live",
+    broker: kite ? (paperBroker ? `paper:${paperBroker.live?.name || "unknown"}` : kite.name || null) : null,
+    paper: paperBroker ? paperBroker.snapshot() : null,
     hasSession: !!currentToken,
     lastTickAt: lastTickAt || null,
     lastDisconnect,
@@ -745,18 +764,53 @@ async function forceFlatten(reason = "ENGINE_FORCE_FLATTEN") {
   }
 }
 
+// Live ticker order updates and paper broker updates share this path.
+function handleOrderUpdate(order) {
+  const orderId = String(order?.order_id || order?.orderId || "");
+  const status = String(order?.status || "").toUpperCase();
+  const exTs = String(
+    order?.exchange_update_timestamp ||
+      order?.exchange_timestamp ||
+      order?.order_timestamp ||
+      "",
+  );
+  const dedupeKey = `${orderId}|${status}|${exTs}`;
+  const now = Date.now();
+  const dedupeTtlMs = 2500;
+
+  for (const [k, ts] of recentOrderUpdateKeys.entries()) {
+    if (now - Number(ts ?? 0) > dedupeTtlMs) recentOrderUpdateKeys.delete(k);
+  }
+  if (orderId && status && exTs && recentOrderUpdateKeys.has(dedupeKey)) {
+    logger.info({ order_id: orderId, status, exTs }, "[ticker] duplicate order_update ignored");
+    return;
+  }
+  if (orderId && status && exTs) recentOrderUpdateKeys.set(dedupeKey, now);
+
+  logger.info(
+    {
+      order_id: order.order_id,
+      status: order.status,
+      status_message: order.status_message,
+      status_message_raw: order.status_message_raw,
+    },
+    "[ticker] order_update",
+  );
+
+  if (!pipeline?.onOrderUpdate) {
+    logger.warn("[ticker] order_update ignored (pipeline not ready)");
+    return;
+  }
+
+  pipeline.onOrderUpdate(order).catch((e) => {
+    logger.error({ e: e.message }, "[order_update] handler failed");
+  });
+}
+
 function wireEvents() {
   if (!ticker) return;
   const resetEvents = ["connect", "ticks", "order_update", "error", "reconnect", "close", "disconnect"];
-  for (const eventName of resetEvents) {
-    if (typeof ticker.removeAllListeners === "function") {
-      ticker.removeAllListeners(eventName);
-      continue;
-    }
-    if (typeof ticker.off === "function") {
-      ticker.off(eventName);
-    }
-  }
+  for (const eventName of resetEvents) ticker.off(eventName);
 
   ticker.on("connect", async () => {
     wsConnectCount += 1;
@@ -824,7 +878,7 @@ function wireEvents() {
       if (allTokens.length) {
         ticker.subscribe(allTokens);
         // Reduce WS load: underlying universe in quote (or LTP) mode, traded instruments in full.
-        _applyMode(allTokens, _modeStrSafe(env.TICK_MODE_UNDERLYING, "quote"));
+        _applyMode(allTokens, _underlyingMode());
         _applyMode(posTokens || [], _modeStrSafe(env.TICK_MODE_TRADE, "full"));
         subscribedTokens = new Set(allTokens);
         lastSubscribeTs = new Date().toISOString();
@@ -888,6 +942,9 @@ function wireEvents() {
       }
 
       updateFromTicks(ticks || []);
+      tickRecorder.onTicks(ticks || []);
+      // Paper fills happen on the tick, before strategies see it (like a resting order at the exchange).
+      if (paperBroker) paperBroker.onMarketTicks(ticks || []);
 
       tickQueue.push(ticks || []);
 
@@ -909,45 +966,12 @@ function wireEvents() {
   });
 
   ticker.on("order_update", (order) => {
-    const orderId = String(order?.order_id || order?.orderId || "");
-    const status = String(order?.status || "").toUpperCase();
-    const exTs = String(
-      order?.exchange_update_timestamp ||
-        order?.exchange_timestamp ||
-        order?.order_timestamp ||
-        "",
-    );
-    const dedupeKey = `${orderId}|${status}|${exTs}`;
-    const now = Date.now();
-    const dedupeTtlMs = 2500;
-
-    for (const [k, ts] of recentOrderUpdateKeys.entries()) {
-      if (now - Number(ts ?? 0) > dedupeTtlMs) recentOrderUpdateKeys.delete(k);
-    }
-    if (orderId && status && exTs && recentOrderUpdateKeys.has(dedupeKey)) {
-      logger.info({ order_id: orderId, status, exTs }, "[ticker] duplicate order_update ignored");
-      return;
-    }
-    if (orderId && status && exTs) recentOrderUpdateKeys.set(dedupeKey, now);
-
-    logger.info(
-      {
-        order_id: order.order_id,
-        status: order.status,
-        status_message: order.status_message,
-        status_message_raw: order.status_message_raw,
-      },
-      "[ticker] order_update",
-    );
-
-    if (!pipeline?.onOrderUpdate) {
-      logger.warn("[ticker] order_update ignored (pipeline not ready)");
+    if (paperBroker) {
+      // Real account activity is not part of the paper book.
+      logger.info({ order_id: order?.order_id, status: order?.status }, "[ticker] order_update ignored (paper mode)");
       return;
     }
-
-    pipeline.onOrderUpdate(order).catch((e) => {
-      logger.error({ e: e.message }, "[order_update] handler failed");
-    });
+    handleOrderUpdate(order);
   });
 
   ticker.on("error", (err) => {
@@ -1005,6 +1029,28 @@ function wireEvents() {
   });
 }
 
+/** Session broker factory override ({ apiKey, accessToken }) => adapter; null restores BROKER_ADAPTER. */
+function setBrokerFactory(factory = null) {
+  brokerFactory = typeof factory === "function" ? factory : null;
+}
+
+// Raw Kite-shaped client + ticker factories (tick backtester), wrapped as an adapter.
+function setClientFactories(factories = null) {
+  if (!factories) return setBrokerFactory(null);
+  return setBrokerFactory((opts) => {
+    const stream = new TickerStream(factories.createTicker(opts));
+    return new BrokerAdapter({
+      name: "custom",
+      client: factories.createKiteConnect(opts),
+      createStream: () => stream,
+    });
+  });
+}
+
+function isTickDrainIdle() {
+  return !draining && tickQueue.length === 0;
+}
+
 function getPipeline() {
   if (!pipeline) throw new Error("Pipeline not ready yet");
   return pipeline;
@@ -1034,6 +1080,11 @@ function __setSubscribedTokensForTests(tokens = []) {
   subscribedTokens = new Set((tokens || []).map((t) => Number(t)).filter((n) => Number.isFinite(n) && n > 0));
 }
 
+function __setTickerForTests(t) {
+  ticker = t;
+  tokenModeByToken.clear();
+}
+
 module.exports = {
   setSession,
   startSession,
@@ -1046,10 +1097,15 @@ module.exports = {
   forceFlatten,
   getPipeline,
   getTickerStatus,
+  setClientFactories,
+  setBrokerFactory,
+  isTickDrainIdle,
   getSubscribedTokens,
   ensureActivePositionSubscriptions,
   shutdownAll,
   __resetSubscriptionStateForTests,
   __dedupeNewTokensForTests: _dedupeNewTokens,
   __setSubscribedTokensForTests,
+  __setTickerForTests,
+  __applyModeForTests: _applyMode,
 };
@@ -1,4 +1,5 @@
 const pino = require("pino");
+const { redactSecrets } = require("./security/redact");
 
 const logTimezone = process.env.LOG_TZ || "Asia/Kolkata";
 const prettyLogs = process.env.LOG_PRETTY !== "false";
@@ -25,6 +26,12 @@ function istTimestamp() {
 const logger = pino({
   level: process.env.LOG_LEVEL || "info",
   timestamp: istTimestamp,
+  hooks: {
+    // Credentials are masked (by key name and by known value) before pino serializes.
+    logMethod(args, method) {
+      return method.apply(this, args.map(redactSecrets));
+    }
+  },
   transport: prettyLogs
     ? {
       target: "pino-pretty",
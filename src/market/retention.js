@@ -6,6 +6,7 @@ const {
   ttlDaysForInterval,
   collectionName,
 } = require("./candleStore");
+const tickStore = require("./tickStore");
 
 function _parseIntervalFromCollection(name) {
   const prefix = env.CANDLE_COLLECTION_PREFIX || "candles_";
@@ -72,6 +73,13 @@ async function describeRetention() {
     });
   }
 
+  let tickDays = [];
+  try {
+    tickDays = await tickStore.listDays();
+  } catch {
+    tickDays = [];
+  }
+
   return {
     ok: true,
     config: {
@@ -81,6 +89,12 @@ async function describeRetention() {
       prefix: env.CANDLE_COLLECTION_PREFIX || "candles_",
     },
     collections: details,
+    ticks: {
+      enabled: String(env.TICK_RECORDER_ENABLED || "false") === "true",
+      sink: tickStore.sinkKind(),
+      retentionDays: Number(env.TICK_RECORDER_RETENTION_DAYS ?? 7),
+      days: tickDays,
+    },
   };
 }
 
@@ -129,8 +143,22 @@ async function ensureRetentionIndexes(opts = {}) {
   return { ok: true, enabled: true, ensured };
 }
 
+/**
+ * Raw tick captures are day-partitioned (see tickStore), so retention drops
+ * whole days instead of relying on TTL indexes.
+ */
+async function pruneTickCaptures(opts = {}) {
+  const retentionDays = Number(opts.retentionDays ?? env.TICK_RECORDER_RETENTION_DAYS ?? 7);
+  const dropped = await tickStore.pruneDays({ retentionDays, nowMs: opts.nowMs });
+  if (dropped.length) {
+    logger.info({ dropped, retentionDays, sink: tickStore.sinkKind() }, "[retention] pruned tick captures");
+  }
+  return { ok: true, retentionDays, dropped };
+}
+
 module.exports = {
   listCandleCollections,
   describeRetention,
   ensureRetentionIndexes,
+  pruneTickCaptures,
 };
@@ -0,0 +1,178 @@
+const { env } = require("../config");
+const { logger } = require("../logger");
+const { reportFault } = require("../runtime/errorBus");
+const { tickTsMs, dayKeyFor, writeChunk, ensureDayIndexes, sinkKind } = require("./tickStore");
+const { pruneTickCaptures } = require("./retention");
+
+function _bool(v, def = false) {
+  if (v === undefined || v === null) return def;
+  return String(v).toLowerCase() === "true";
+}
+
+function _num(v, def) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : def;
+}
+
+function _tokenFilter(raw) {
+  const list = String(raw || "")
+    .split(",")
+    .map((s) => Number(s.trim()))
+    .filter((n) => Number.isFinite(n) && n > 0);
+  return list.length ? new Set(list) : null;
+}
+
+/**
+ * Optional raw tick capture (TICK_RECORDER_ENABLED). Ticks are buffered off
+ * the hot path and flushed as compressed day/token chunks via tickStore;
+ * each stored tick carries `recv_ts` (engine receive time, ms) next to the
+ * exchange timestamps so feed lag can be reconstructed during replay.
+ */
+class TickRecorder {
+  constructor() {
+    this.enabled = false;
+    this.flushMs = 2000;
+    this.maxBuffer = 200000;
+    this.tokens = null;
+
+    this._timer = null;
+    this._pruneTimer = null;
+    this._serial = Promise.resolve();
+    this._buf = new Map(); // `${day}|${token}` -> ticks
+    this._indexedDays = new Set();
+    this.totalBuffered = 0;
+    this.recorded = 0;
+    this.dropped = 0;
+    this.bytesWritten = 0;
+    this.lastFlushAt = null;
+    this.lastError = null;
+    this._lastDropLogAt = 0;
+  }
+
+  // Whether the ticker should subscribe `token` in full mode (depth/OI) because it is
+  // recorded. With TICK_RECORDER_TOKENS set only those tokens qualify.
+  wantsFullMode(token) {
+    if (!_bool(env.TICK_RECORDER_ENABLED, false) || !_bool(env.TICK_RECORDER_FULL_MODE, true)) {
+      return false;
+    }
+    const filter = this.enabled ? this.tokens : _tokenFilter(env.TICK_RECORDER_TOKENS);
+    return !filter || filter.has(Number(token));
+  }
+
+  start() {
+    this.enabled = _bool(env.TICK_RECORDER_ENABLED, false);
+    if (!this.enabled || this._timer) return;
+    this.flushMs = Math.max(250, _num(env.TICK_RECORDER_FLUSH_MS, 2000));
+    this.maxBuffer = _num(env.TICK_RECORDER_MAX_BUFFER, 200000);
+    this.tokens = _tokenFilter(env.TICK_RECORDER_TOKENS);
+
+    this._timer = setInterval(() => {
+      this.flush().catch((err) => { reportFault({ code: "MARKET_TICKRECORDER_ASYNC", err, message: "[src/market/tickRecorder.js] async task failed" }); });
+    }, this.flushMs);
+    this._timer.unref?.();
+
+    const prune = () =>
+      pruneTickCaptures().catch((err) => { reportFault({ code: "MARKET_TICKRECORDER_ASYNC", err, message: "[src/market/tickRecorder.js] async task failed" }); });
+    void prune();
+    this._pruneTimer = setInterval(prune, 60 * 60 * 1000);
+    this._pruneTimer.unref?.();
+
+    logger.info(
+      { sink: sinkKind(), flushMs: this.flushMs, tokens: this.tokens ? Array.from(this.tokens) : "subscribed" },
+      "[tick-recorder] started",
+    );
+  }
+
+  async stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    if (this._pruneTimer) {
+      clearInterval(this._pruneTimer);
+      this._pruneTimer = null;
+    }
+    await this.flush().catch((err) => { reportFault({ code: "MARKET_TICKRECORDER_ASYNC", err, message: "[src/market/tickRecorder.js] async task failed" }); });
+  }
+
+  onTicks(ticks) {
+    if (!this.enabled || !Array.isArray(ticks) || !ticks.length) return;
+    const recvTs = Date.now();
+    for (const t of ticks) {
+      const token = Number(t?.instrument_token);
+      if (!Number.isFinite(token) || token <= 0) continue;
+      if (this.tokens && !this.tokens.has(token)) continue;
+
+      if (Number.isFinite(this.maxBuffer) && this.maxBuffer > 0 && this.totalBuffered >= this.maxBuffer) {
+        this.dropped += 1;
+        if (recvTs - this._lastDropLogAt > 5000) {
+          this._lastDropLogAt = recvTs;
+          logger.warn(
+            { dropped: this.dropped, totalBuffered: this.totalBuffered },
+            "[tick-recorder] buffer full; dropping ticks",
+          );
+        }
+        continue;
+      }
+
+      const day = dayKeyFor(tickTsMs(t) ?? recvTs);
+      const key = `${day}|${token}`;
+      const arr = this._buf.get(key) || [];
+      arr.push({ ...t, recv_ts: recvTs });
+      this._buf.set(key, arr);
+      this.totalBuffered += 1;
+    }
+  }
+
+  async flush() {
+    if (!this.totalBuffered) return;
+
+    this._serial = this._serial.then(async () => {
+      const batches = Array.from(this._buf.entries());
+      this._buf = new Map();
+      for (const [key, ticks] of batches) {
+        const [day, token] = key.split("|");
+        try {
+          if (!this._indexedDays.has(day)) {
+            await ensureDayIndexes(day);
+            this._indexedDays.add(day);
+          }
+          this.bytesWritten += await writeChunk({ day, token: Number(token), ticks });
+          this.totalBuffered -= ticks.length;
+          this.recorded += ticks.length;
+          this.lastFlushAt = new Date();
+        } catch (e) {
+          // Put back and retry on the next flush.
+          const pending = this._buf.get(key) || [];
+          this._buf.set(key, ticks.concat(pending));
+          this.lastError = e?.message || String(e);
+          logger.warn(
+            { day, token: Number(token), count: ticks.length, e: this.lastError },
+            "[tick-recorder] flush failed (will retry)",
+          );
+        }
+      }
+    });
+
+    await this._serial;
+  }
+
+  snapshot() {
+    return {
+      enabled: this.enabled,
+      sink: sinkKind(),
+      flushMs: this.flushMs,
+      tokens: this.tokens ? Array.from(this.tokens) : null,
+      buffered: this.totalBuffered,
+      recorded: this.recorded,
+      dropped: this.dropped,
+      bytesWritten: this.bytesWritten,
+      lastFlushAt: this.lastFlushAt,
+      lastError: this.lastError,
+    };
+  }
+}
+
+const tickRecorder = new TickRecorder();
+
+module.exports = { TickRecorder, tickRecorder };
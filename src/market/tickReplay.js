@@ -0,0 +1,106 @@
+const { tickTsMs, readDay } = require("./tickStore");
+const { REAL_TIMERS } = require("../backtest/virtualTime");
+
+/**
+ * Replay of recorded ticks (see tickRecorder / tickStore).
+ *
+ * Per-token captures are merged back into time-ordered `{ ts, ticks }`
+ * batches (one batch per exchange timestamp, the shape KiteTicker emits and
+ * runTickBacktest consumes) and optionally paced in real time.
+ */
+
+/**
+ * K-way merge of per-token tick arrays into time-ordered batches.
+ * @param {Map<number, object[]>} byToken
+ */
+function* mergeTickBatches(byToken) {
+  const heads = [];
+  for (const [token, ticks] of byToken || []) {
+    if (ticks?.length) heads.push({ token: Number(token), ticks, i: 0 });
+  }
+  heads.sort((a, b) => a.token - b.token);
+
+  for (;;) {
+    let ts = null;
+    for (const h of heads) {
+      if (h.i >= h.ticks.length) continue;
+      const t = tickTsMs(h.ticks[h.i]);
+      if (t !== null && (ts === null || t < ts)) ts = t;
+    }
+    if (ts === null) return;
+
+    const batch = [];
+    for (const h of heads) {
+      // Ticks without any timestamp ride along with the batch they were captured next to.
+      while (h.i < h.ticks.length) {
+        const t = tickTsMs(h.ticks[h.i]);
+        if (t !== null && t !== ts) break;
+        batch.push(h.ticks[h.i]);
+        h.i += 1;
+      }
+    }
+    yield { ts, ticks: batch };
+  }
+}
+
+/**
+ * Recorded ticks for the given days/tokens as time-ordered batches.
+ * @param {object} opts
+ * @param {string[]} opts.days YYYY-MM-DD
+ * @param {number[]} [opts.tokens] all recorded tokens when empty
+ * @param {number} [opts.fromMs]
+ * @param {number} [opts.toMs]
+ * @param {object} [opts.db] Mongo Db to read from (defaults to getDb())
+ */
+async function* readTickBatches({ days, tokens = null, fromMs = null, toMs = null, db = null } = {}) {
+  for (const day of days || []) {
+    const byToken = await readDay(day, { tokens, db });
+    for (const batch of mergeTickBatches(byToken)) {
+      if (fromMs !== null && batch.ts < fromMs) continue;
+      if (toMs !== null && batch.ts > toMs) return;
+      yield batch;
+    }
+  }
+}
+
+function realSleep(ms) {
+  return new Promise((resolve) => REAL_TIMERS.setTimeout(resolve, ms));
+}
+
+/**
+ * Paces batches by their recorded spacing: speed 1 = real time, N = N× faster,
+ * 0 = as fast as the consumer pulls. Gaps (lunch, overnight) are capped at
+ * `maxGapMs` of wall time. Uses real timers so it also works under virtual time.
+ */
+async function* pacedBatches(batches, { speed = 1, maxGapMs = 5000, sleep = realSleep } = {}) {
+  const k = Number(speed);
+  let prevTs = null;
+  let prevWall = null;
+  for await (const batch of batches) {
+    if (k > 0 && prevTs !== null) {
+      const want = Math.min(Math.max(0, batch.ts - prevTs) / k, maxGapMs);
+      const elapsed = REAL_TIMERS.Date.now() - prevWall;
+      if (want > elapsed) await sleep(want - elapsed);
+    }
+    prevTs = batch.ts;
+    prevWall = REAL_TIMERS.Date.now();
+    yield batch;
+  }
+}
+
+/**
+ * Feed batches to `onBatch(ticks, batch)` (e.g. pipeline.onTicks) at `speed`.
+ */
+async function replayTicks({ batches, onBatch, speed = 1, maxGapMs = 5000, sleep } = {}) {
+  const stats = { batches: 0, ticks: 0, firstTs: null, lastTs: null };
+  for await (const batch of pacedBatches(batches, { speed, maxGapMs, sleep })) {
+    await onBatch(batch.ticks, batch);
+    stats.batches += 1;
+    stats.ticks += batch.ticks.length;
+    if (stats.firstTs === null) stats.firstTs = batch.ts;
+    stats.lastTs = batch.ts;
+  }
+  return stats;
+}
+
+module.exports = { mergeTickBatches, readTickBatches, pacedBatches, replayTicks };
@@ -0,0 +1,190 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { DateTime } = require("luxon");
+const { env } = require("../config");
+const { getDb } = require("../db");
+
+/**
+ * Raw tick capture storage (written by tickRecorder, read by tickReplay).
+ *
+ * Ticks are partitioned by exchange day (CANDLE_TZ) and stored as
+ * gzip-compressed NDJSON chunks, one chunk per token per recorder flush:
+ * - mongo: collection `${TICK_RECORDER_COLLECTION_PREFIX}YYYYMMDD`, docs
+ *   { instrument_token, from, to, count, codec, data: Binary }
+ * - file:  `${TICK_RECORDER_DIR}/YYYY-MM-DD/<token>.ndjson.gz`, one gzip
+ *   member appended per flush (concatenated members gunzip as one stream)
+ */
+
+const CODEC = "gzip-ndjson";
+const DATE_FIELDS = ["exchange_timestamp", "last_trade_time", "timestamp"];
+
+function sinkKind(cfg = env) {
+  return String(cfg.TICK_RECORDER_SINK || "mongo").toLowerCase() === "file" ? "file" : "mongo";
+}
+
+// Exchange time when the tick carries one (full mode), else the recorder's receive time.
+function tickTsMs(t) {
+  const raw = t?.exchange_timestamp ?? t?.last_trade_time ?? t?.timestamp ?? t?.recv_ts ?? null;
+  const ms = raw instanceof Date ? raw.getTime() : raw ? new Date(raw).getTime() : NaN;
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function dayKeyFor(ms, tz = env.CANDLE_TZ || "Asia/Kolkata") {
+  return DateTime.fromMillis(ms, { zone: tz }).toFormat("yyyy-LL-dd");
+}
+
+function collectionForDay(day, cfg = env) {
+  const prefix = cfg.TICK_RECORDER_COLLECTION_PREFIX || "ticks_";
+  return `${prefix}${String(day).replace(/-/g, "")}`;
+}
+
+function dayFromCollection(name, cfg = env) {
+  const prefix = cfg.TICK_RECORDER_COLLECTION_PREFIX || "ticks_";
+  if (!String(name).startsWith(prefix)) return null;
+  const m = String(name).slice(prefix.length).match(/^(\d{4})(\d{2})(\d{2})$/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function tickDir(cfg = env) {
+  return path.resolve(process.cwd(), cfg.TICK_RECORDER_DIR || "./data/ticks");
+}
+
+function encodeTicks(ticks) {
+  const text = ticks.map((t) => JSON.stringify(t)).join("\n") + "\n";
+  return zlib.gzipSync(Buffer.from(text, "utf8"));
+}
+
+function reviveTick(t) {
+  for (const f of DATE_FIELDS) {
+    if (t[f] !== undefined && t[f] !== null && !(t[f] instanceof Date)) t[f] = new Date(t[f]);
+  }
+  return t;
+}
+
+function decodeTicks(buf) {
+  const text = zlib.gunzipSync(Buffer.from(buf)).toString("utf8");
+  const out = [];
+  for (const line of text.split("\n")) {
+    if (line.trim()) out.push(reviveTick(JSON.parse(line)));
+  }
+  return out;
+}
+
+/**
+ * Persist one token's ticks for one day as a compressed chunk.
+ */
+async function writeChunk({ day, token, ticks, cfg = env }) {
+  if (!ticks?.length) return 0;
+  const data = encodeTicks(ticks);
+  if (sinkKind(cfg) === "file") {
+    const dir = path.join(tickDir(cfg), day);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.appendFile(path.join(dir, `${token}.ndjson.gz`), data);
+    return data.length;
+  }
+  const col = getDb().collection(collectionForDay(day, cfg));
+  await col.insertOne({
+    instrument_token: Number(token),
+    from: new Date(tickTsMs(ticks[0]) ?? Date.now()),
+    to: new Date(tickTsMs(ticks[ticks.length - 1]) ?? Date.now()),
+    count: ticks.length,
+    codec: CODEC,
+    data,
+    createdAt: new Date(),
+  });
+  return data.length;
+}
+
+async function ensureDayIndexes(day, cfg = env) {
+  if (sinkKind(cfg) === "file") return;
+  await getDb().collection(collectionForDay(day, cfg)).createIndex({ instrument_token: 1, from: 1 });
+}
+
+/**
+ * All ticks recorded for `day`, per token, in capture order.
+ * @returns {Promise<Map<number, object[]>>}
+ */
+async function readDay(day, { tokens = null, db = null, cfg = env } = {}) {
+  const want = tokens?.length ? new Set(tokens.map(Number)) : null;
+  const out = new Map();
+  if (sinkKind(cfg) === "file") {
+    const dir = path.join(tickDir(cfg), day);
+    let files = [];
+    try {
+      files = await fs.promises.readdir(dir);
+    } catch {
+      return out;
+    }
+    for (const f of files.sort()) {
+      const m = f.match(/^(\d+)\.ndjson\.gz$/);
+      if (!m || (want && !want.has(Number(m[1])))) continue;
+      out.set(Number(m[1]), decodeTicks(await fs.promises.readFile(path.join(dir, f))));
+    }
+    return out;
+  }
+  const q = want ? { instrument_token: { $in: Array.from(want) } } : {};
+  const cursor = (db || getDb())
+    .collection(collectionForDay(day, cfg))
+    .find(q)
+    .sort({ instrument_token: 1, from: 1, _id: 1 });
+  for await (const doc of cursor) {
+    const token = Number(doc.instrument_token);
+    if (!out.has(token)) out.set(token, []);
+    const arr = out.get(token);
+    for (const t of decodeTicks(doc.data.buffer ?? doc.data)) arr.push(t);
+  }
+  return out;
+}
+
+async function listDays({ db = null, cfg = env } = {}) {
+  if (sinkKind(cfg) === "file") {
+    try {
+      const dirs = await fs.promises.readdir(tickDir(cfg));
+      return dirs.filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d)).sort();
+    } catch {
+      return [];
+    }
+  }
+  const cols = await (db || getDb()).listCollections({}, { nameOnly: true }).toArray();
+  return cols
+    .map((c) => dayFromCollection(c.name, cfg))
+    .filter(Boolean)
+    .sort();
+}
+
+/**
+ * Drop captured days older than `retentionDays` (by day partition).
+ */
+async function pruneDays({ retentionDays, nowMs = Date.now(), cfg = env } = {}) {
+  const keep = Number(retentionDays);
+  if (!Number.isFinite(keep) || keep <= 0) return [];
+  const cutoff = dayKeyFor(nowMs - keep * 86_400_000, cfg.CANDLE_TZ || "Asia/Kolkata");
+  const dropped = [];
+  for (const day of await listDays({ cfg })) {
+    if (day >= cutoff) continue;
+    if (sinkKind(cfg) === "file") {
+      await fs.promises.rm(path.join(tickDir(cfg), day), { recursive: true, force: true });
+    } else {
+      await getDb().collection(collectionForDay(day, cfg)).drop().catch(() => false);
+    }
+    dropped.push(day);
+  }
+  return dropped;
+}
+
+module.exports = {
+  CODEC,
+  sinkKind,
+  tickTsMs,
+  dayKeyFor,
+  collectionForDay,
+  dayFromCollection,
+  encodeTicks,
+  decodeTicks,
+  writeChunk,
+  ensureDayIndexes,
+  readDay,
+  listDays,
+  pruneDays,
+};
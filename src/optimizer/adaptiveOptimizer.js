@@ -638,6 +638,20 @@ class AdaptiveOptimizer {
     };
   }
 
+  /**
+   * Rolling strategy×bucket window (avg feeMultiple) for the bucket containing nowTs.
+   * Used by the signal ensemble to weight strategies by recent performance.
+   */
+  strategyWindow({ strategyId, nowTs } = {}) {
+    const bucket = this._bucket(Number(nowTs) || Date.now());
+    const w = this._windows.get(this._strategyKey({ strategyId, bucket }));
+    return {
+      bucket,
+      feeMultipleMin: this._feeMultipleMin,
+      ...(w ? w.snapshot() : { n: 0, avg: null, last: null }),
+    };
+  }
+
   snapshot() {
     const windows = {};
     const blocked = {};
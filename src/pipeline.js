@@ -358,6 +358,7 @@ function buildPipeline({ kite, tickerCtrl, marketGate, tradeManagerFactory } = {
         instrument_token: c.instrument_token,
         intervalMin: c.interval_min,
         candles: cached.length >= minCandles ? cached : null,
+        candleCache,
       });
 
       if (signal) {
@@ -454,6 +455,7 @@ function buildPipeline({ kite, tickerCtrl, marketGate, tradeManagerFactory } = {
           intervalMin,
           liveCandle: live,
           candles: cached.length ? cached : null,
+          candleCache,
         });
 
         if (signal) {
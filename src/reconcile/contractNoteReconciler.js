@@ -250,6 +250,28 @@ async function reconcileChargesFromFiles({ files = [], label = null } = {}) {
     perSegAgg[segKey].trades += 1;
   }
 
+  // Per-trade actual charges, shown against the estimate in the trade detail view.
+  const reconciledAt = new Date();
+  for (const c of comparisons) {
+    // eslint-disable-next-line no-await-in-loop
+    await db.collection(TRADES).updateOne(
+      { tradeId: c.tradeId },
+      {
+        $set: {
+          contractNote: {
+            actualChargesInr: c.actualChargesInr,
+            baseEstimatedInr: c.baseEstimatedInr,
+            ratio: c.ratio,
+            segKey: c.segKey,
+            orderIds: c.orderIds,
+            label: label || null,
+            reconciledAt,
+          },
+        },
+      },
+    );
+  }
+
   const ratiosBySegment = {};
   for (const [seg, a] of Object.entries(perSegAgg)) {
     if (a.baseSum > 0) ratiosBySegment[seg] = a.actualSum / a.baseSum;
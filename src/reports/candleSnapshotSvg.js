@@ -0,0 +1,137 @@
+const { DateTime } = require("luxon");
+
+/**
+ * Renders a static candlestick chart as a standalone SVG string (no browser,
+ * no chart library) for trade journal snapshots.
+ *
+ * - candles: [{ ts, open, high, low, close }] oldest first;
+ * - levels: horizontal lines [{ price, label, color, dashed }];
+ * - markers: vertical lines at a time [{ ts, label, color }], drawn on the
+ *   candle whose bar contains `ts`.
+ */
+
+const COLORS = {
+  up: "#26a69a",
+  down: "#ef5350",
+  grid: "#e0e0e0",
+  axis: "#616161",
+  bg: "#ffffff",
+};
+
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function fmt(n) {
+  return Number(n).toFixed(2);
+}
+
+function tsMs(v) {
+  const ms = v instanceof Date ? v.getTime() : new Date(v).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function renderCandleSnapshotSvg({
+  candles = [],
+  levels = [],
+  markers = [],
+  title = "",
+  intervalMin = 1,
+  tz = "Asia/Kolkata",
+  width = 960,
+  height = 440,
+} = {}) {
+  const rows = candles.filter((c) => [c.open, c.high, c.low, c.close].every((x) => Number.isFinite(Number(x))));
+  const lines = levels.filter((l) => Number.isFinite(Number(l?.price)) && Number(l.price) > 0);
+
+  const pad = { top: 32, right: 96, bottom: 28, left: 56 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+
+  const prices = [...rows.flatMap((c) => [Number(c.high), Number(c.low)]), ...lines.map((l) => Number(l.price))];
+  let lo = prices.length ? Math.min(...prices) : 0;
+  let hi = prices.length ? Math.max(...prices) : 1;
+  if (hi - lo < 1e-9) {
+    hi += 0.5;
+    lo -= 0.5;
+  }
+  const margin = (hi - lo) * 0.04;
+  lo -= margin;
+  hi += margin;
+
+  const y = (p) => pad.top + ((hi - Number(p)) / (hi - lo)) * plotH;
+  const slot = plotW / Math.max(1, rows.length);
+  const x = (i) => pad.left + slot * i + slot / 2;
+  const bodyW = Math.max(1, slot * 0.6);
+
+  const out = [];
+  out.push(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="monospace" font-size="11">`,
+  );
+  out.push(`<rect width="${width}" height="${height}" fill="${COLORS.bg}"/>`);
+  if (title) out.push(`<text x="${pad.left}" y="18" font-size="13" fill="${COLORS.axis}">${esc(title)}</text>`);
+
+  // Price grid.
+  for (let i = 0; i <= 5; i += 1) {
+    const p = lo + ((hi - lo) * i) / 5;
+    const yy = fmt(y(p));
+    out.push(`<line x1="${pad.left}" x2="${pad.left + plotW}" y1="${yy}" y2="${yy}" stroke="${COLORS.grid}"/>`);
+    out.push(`<text x="${pad.left - 6}" y="${yy}" text-anchor="end" dominant-baseline="middle" fill="${COLORS.axis}">${fmt(p)}</text>`);
+  }
+
+  // Time axis: about eight labels whatever the window length.
+  const every = Math.max(1, Math.ceil(rows.length / 8));
+  rows.forEach((c, i) => {
+    if (i % every) return;
+    const ms = tsMs(c.ts);
+    if (ms === null) return;
+    const label = DateTime.fromMillis(ms, { zone: tz }).toFormat("HH:mm");
+    out.push(`<text x="${fmt(x(i))}" y="${height - 10}" text-anchor="middle" fill="${COLORS.axis}">${label}</text>`);
+  });
+
+  rows.forEach((c, i) => {
+    const up = Number(c.close) >= Number(c.open);
+    const color = up ? COLORS.up : COLORS.down;
+    const top = y(Math.max(Number(c.open), Number(c.close)));
+    const bottom = y(Math.min(Number(c.open), Number(c.close)));
+    out.push(
+      `<line x1="${fmt(x(i))}" x2="${fmt(x(i))}" y1="${fmt(y(c.high))}" y2="${fmt(y(c.low))}" stroke="${color}"/>`,
+      `<rect x="${fmt(x(i) - bodyW / 2)}" y="${fmt(top)}" width="${fmt(bodyW)}" height="${fmt(Math.max(1, bottom - top))}" fill="${color}"/>`,
+    );
+  });
+
+  for (const l of lines) {
+    const yy = fmt(y(l.price));
+    const color = l.color || COLORS.axis;
+    const dash = l.dashed === false ? "" : ` stroke-dasharray="6 4"`;
+    out.push(`<line x1="${pad.left}" x2="${pad.left + plotW}" y1="${yy}" y2="${yy}" stroke="${color}"${dash}/>`);
+    out.push(
+      `<text x="${pad.left + plotW + 4}" y="${yy}" dominant-baseline="middle" fill="${color}">${esc(l.label)} ${fmt(l.price)}</text>`,
+    );
+  }
+
+  const barMs = Math.max(1, Number(intervalMin) || 1) * 60_000;
+  for (const m of markers) {
+    const ms = tsMs(m?.ts);
+    if (ms === null) continue;
+    const i = rows.findIndex((c) => {
+      const start = tsMs(c.ts);
+      return start !== null && ms >= start && ms < start + barMs;
+    });
+    if (i < 0) continue;
+    const color = m.color || COLORS.axis;
+    out.push(
+      `<line x1="${fmt(x(i))}" x2="${fmt(x(i))}" y1="${pad.top}" y2="${pad.top + plotH}" stroke="${color}" stroke-dasharray="2 3"/>`,
+      `<text x="${fmt(x(i) + 3)}" y="${pad.top + 10}" fill="${color}">${esc(m.label)}</text>`,
+    );
+  }
+
+  out.push("</svg>");
+  return out.join("\n");
+}
+
+module.exports = { renderCandleSnapshotSvg };
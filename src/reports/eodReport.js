@@ -2,6 +2,7 @@ const { getDb } = require("../db");
 const { DateTime } = require("luxon");
 const { env } = require("../config");
 const { normalizeTradeRow } = require("../trading/tradeNormalization");
+const { getJournalsByTradeIds } = require("../trading/tradeJournal");
 
 const TRADES = "trades";
 
@@ -26,6 +27,12 @@ function pnlForTrade(t) {
   const gross = Number(t?.pnlGrossInr);
   if (Number.isFinite(gross)) return gross;
 
+  // Multi-leg structures book their PnL on the structure, not pnlGrossInr.
+  const structurePnl = t?.structure?.pnlInr;
+  if (structurePnl !== null && structurePnl !== undefined && Number.isFinite(Number(structurePnl))) {
+    return Number(structurePnl);
+  }
+
   const entry = Number(t?.entryPrice ?? 0);
   const exit = Number(t?.exitPrice ?? 0);
   const qty = Number(t?.qty ?? 0);
@@ -114,8 +121,11 @@ async function buildEodReport({ day } = {}) {
 
   const trades = rows.map((row) => normalizeTradeRow(row));
 
+  const journals = await getJournalsByTradeIds(trades.map((t) => t.tradeId));
+
   const clusters = new Map();
   const anomalyMap = new Map();
+  const journalTagMap = new Map();
   let wins = 0;
   let losses = 0;
   let neutral = 0;
@@ -151,6 +161,19 @@ async function buildEodReport({ day } = {}) {
       if (bucket.tradeIds.length < 50) bucket.tradeIds.push(t.tradeId);
       anomalyMap.set(tag, bucket);
     }
+
+    // Our own review tags, with the outcome split so recurring annotations
+    // ("late entry", "news") can be tied to wins or losses.
+    for (const tag of journals.get(t.tradeId)?.tags || []) {
+      const bucket =
+        journalTagMap.get(tag) || { tag, count: 0, wins: 0, losses: 0, totalPnlInr: 0, tradeIds: [] };
+      bucket.count += 1;
+      if (Number(pnl) > 0) bucket.wins += 1;
+      else if (Number(pnl) < 0) bucket.losses += 1;
+      bucket.totalPnlInr += Number.isFinite(pnl) ? pnl : 0;
+      if (bucket.tradeIds.length < 50) bucket.tradeIds.push(t.tradeId);
+      journalTagMap.set(tag, bucket);
+    }
   }
 
   return {
@@ -170,7 +193,13 @@ async function buildEodReport({ day } = {}) {
     anomalyTags: Array.from(anomalyMap.values()).sort(
       (a, b) => b.count - a.count,
     ),
+    journal: {
+      journaledTrades: trades.filter((t) => journals.has(t.tradeId)).length,
+      tags: Array.from(journalTagMap.values()).sort(
+        (a, b) => b.count - a.count,
+      ),
+    },
   };
 }
 
-module.exports = { buildEodReport };
+module.exports = { buildEodReport, pnlForTrade };
@@ -0,0 +1,478 @@
+const { DateTime } = require("luxon");
+const { env } = require("../config");
+const { getDb } = require("../db");
+const { TERMINAL } = require("../trading/tradeStateMachine");
+const { getSessionForDateTime } = require("../market/marketCalendar");
+const { timeBucket } = require("../telemetry/signalTelemetry");
+const { pnlForTrade } = require("./eodReport");
+
+/**
+ * Portfolio analytics over arbitrary day ranges (CANDLE_TZ trading days).
+ *
+ * Closed trades are reduced to compact rows (net PnL after actual charges,
+ * R multiple, breakdown keys) and cached per day in `analytics_daily_rollups`.
+ * A cached day is reused while its source trades are unchanged: same count
+ * and no trade updated (or contract-note reconciled) after the rollup.
+ *
+ * Metrics come from two series:
+ * - per trade: win rate, profit factor, expectancy (INR and R), streaks;
+ * - per trading day (days without trades count as 0): equity curve,
+ *   drawdown, time under water, Sharpe / Sortino / Calmar (annualized with
+ *   ANALYTICS_ANNUALIZATION_DAYS).
+ *
+ * Charges use the contract note when reconciled, else the engine estimate.
+ */
+
+const CLOSED_STATUSES = Array.from(TERMINAL);
+const DIMENSIONS = {
+  strategy: (r) => r.strategyId,
+  underlying: (r) => r.underlying,
+  regime: (r) => r.regime,
+  timeBucket: (r) => r.timeBucket,
+  weekday: (r) => r.weekday,
+};
+const PERIODS = ["day", "week", "month"];
+
+function rollupCollection() {
+  return env.ANALYTICS_ROLLUP_COLLECTION || "analytics_daily_rollups";
+}
+
+function tz() {
+  return env.CANDLE_TZ || "Asia/Kolkata";
+}
+
+function n(v) {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : null;
+}
+
+function round(v, dp = 2) {
+  if (v === null || v === undefined || !Number.isFinite(v)) return null;
+  const f = 10 ** dp;
+  return Math.round(v * f) / f;
+}
+
+function sum(list) {
+  return list.reduce((a, b) => a + b, 0);
+}
+
+async function ensureAnalyticsIndexes() {
+  await getDb().collection(rollupCollection()).createIndex({ day: 1 }, { unique: true });
+}
+
+function parseDay(day, label) {
+  const dt = /^\d{4}-\d{2}-\d{2}$/.test(String(day)) ? DateTime.fromISO(String(day), { zone: tz() }) : null;
+  if (!dt?.isValid) throw new Error(`invalid ${label} (expected YYYY-MM-DD)`);
+  return dt.startOf("day");
+}
+
+/** Resolves `from` / `to` (inclusive days); defaults to the last ANALYTICS_DEFAULT_RANGE_DAYS. */
+function parseRange({ from, to } = {}) {
+  const today = DateTime.now().setZone(tz()).startOf("day");
+  const end = to ? parseDay(to, "to") : today;
+  const span = Math.max(1, Number(env.ANALYTICS_DEFAULT_RANGE_DAYS ?? 30));
+  const start = from ? parseDay(from, "from") : end.minus({ days: span - 1 });
+  if (start > end) throw new Error("from is after to");
+  const maxDays = Math.max(1, Number(env.ANALYTICS_MAX_RANGE_DAYS ?? 1100));
+  if (end.diff(start, "days").days + 1 > maxDays) throw new Error(`range longer than ${maxDays} days`);
+
+  const days = [];
+  for (let d = start; d <= end; d = d.plus({ days: 1 })) days.push(d);
+  return {
+    from: start.toFormat("yyyy-LL-dd"),
+    to: end.toFormat("yyyy-LL-dd"),
+    start: start.toJSDate(),
+    end: end.plus({ days: 1 }).toJSDate(),
+    days,
+  };
+}
+
+function dayKeyOf(ts) {
+  return DateTime.fromJSDate(new Date(ts), { zone: tz() }).toFormat("yyyy-LL-dd");
+}
+
+// A trade belongs to the day it closed; older docs without closedAt use updatedAt.
+function closedRangeFilter(start, end) {
+  return {
+    status: { $in: CLOSED_STATUSES },
+    $or: [{ closedAt: { $gte: start, $lt: end } }, { closedAt: null, updatedAt: { $gte: start, $lt: end } }],
+  };
+}
+
+function tradeVersion(t) {
+  const a = t.updatedAt ? new Date(t.updatedAt).getTime() : 0;
+  const b = t.contractNote?.reconciledAt ? new Date(t.contractNote.reconciledAt).getTime() : 0;
+  return Math.max(a, b);
+}
+
+function compactTrade(t) {
+  const gross = pnlForTrade(t);
+  if (gross === null) return null; // never filled
+
+  const actual = n(t.contractNote?.actualChargesInr);
+  const estimate = n(t.estCostsInr) ?? n(t.estChargesInr);
+  const chargesInr = actual ?? estimate ?? 0;
+  const chargesSource = actual !== null ? "contract_note" : estimate !== null ? "estimate" : "none";
+  const pnlNetInr = gross - chargesInr;
+  const riskInr = n(t.initialRiskInr) ?? n(t.riskInr);
+  const closedAt = t.closedAt || t.updatedAt;
+  const enteredAt = t.entryAt || t.createdAt || closedAt;
+
+  return {
+    tradeId: t.tradeId,
+    day: dayKeyOf(closedAt),
+    closedAt: new Date(closedAt),
+    entryAt: enteredAt ? new Date(enteredAt) : null,
+    strategyId: t.strategyId || "UNKNOWN",
+    underlying: String(
+      t.signalSnapshot?.underlying ||
+        t.option_meta?.underlying ||
+        t.instrument?.name ||
+        t.instrument?.tradingsymbol ||
+        "UNKNOWN",
+    ).toUpperCase(),
+    regime: String(t.marketContextAtEntry?.regimeTag || t.signalSnapshot?.regime || "UNKNOWN").toUpperCase(),
+    timeBucket: timeBucket(new Date(enteredAt).getTime()),
+    weekday: DateTime.fromJSDate(new Date(enteredAt), { zone: tz() }).toFormat("ccc"),
+    side: t.side || null,
+    qty: n(t.qty),
+    status: t.status,
+    exitReason: t.exitReason || null,
+    pnlGrossInr: round(gross),
+    chargesInr: round(chargesInr),
+    chargesSource,
+    pnlNetInr: round(pnlNetInr),
+    riskInr: riskInr && riskInr > 0 ? round(riskInr) : null,
+    r: riskInr && riskInr > 0 ? round(pnlNetInr / riskInr, 3) : null,
+  };
+}
+
+function buildRollup(day, sourceTrades) {
+  const rows = sourceTrades
+    .map(compactTrade)
+    .filter(Boolean)
+    .sort((a, b) => a.closedAt - b.closedAt);
+  const pnls = rows.map((r) => r.pnlNetInr);
+  return {
+    day,
+    trades: rows,
+    tradeCount: rows.length,
+    pnlGrossInr: round(sum(rows.map((r) => r.pnlGrossInr))),
+    chargesInr: round(sum(rows.map((r) => r.chargesInr))),
+    pnlNetInr: round(sum(pnls)),
+    wins: pnls.filter((p) => p > 0).length,
+    losses: pnls.filter((p) => p < 0).length,
+    sourceCount: sourceTrades.length,
+    sourceVersion: sourceTrades.reduce((m, t) => Math.max(m, tradeVersion(t)), 0),
+    computedAt: new Date(),
+  };
+}
+
+/**
+ * Daily rollups for the range, recomputing only days whose source trades
+ * changed (or every day with `refresh`). Returns rollups in day order.
+ */
+async function getDailyRollups(range, { refresh = false } = {}) {
+  const db = getDb();
+  const col = db.collection(rollupCollection());
+  const dayKeys = range.days.map((d) => d.toFormat("yyyy-LL-dd"));
+
+  const [cachedRows, stampRows] = await Promise.all([
+    refresh ? [] : col.find({ day: { $gte: range.from, $lte: range.to } }).project({ trades: 0 }).toArray(),
+    db
+      .collection("trades")
+      .find(closedRangeFilter(range.start, range.end))
+      .project({ closedAt: 1, updatedAt: 1, "contractNote.reconciledAt": 1 })
+      .toArray(),
+  ]);
+
+  const stamps = new Map();
+  for (const t of stampRows) {
+    const day = dayKeyOf(t.closedAt || t.updatedAt);
+    const s = stamps.get(day) || { count: 0, version: 0 };
+    s.count += 1;
+    s.version = Math.max(s.version, tradeVersion(t));
+    stamps.set(day, s);
+  }
+  const cached = new Map(cachedRows.map((r) => [r.day, r]));
+  const stale = dayKeys.filter((day) => {
+    const c = cached.get(day);
+    const s = stamps.get(day) || { count: 0, version: 0 };
+    return !c || c.sourceCount !== s.count || Number(c.sourceVersion || 0) < s.version;
+  });
+
+  if (stale.length) {
+    const first = parseDay(stale[0], "day");
+    const last = parseDay(stale.at(-1), "day").plus({ days: 1 });
+    const source = await db
+      .collection("trades")
+      .find(closedRangeFilter(first.toJSDate(), last.toJSDate()))
+      .project({ statusJournal: 0, decisionTrail: 0, exitAdjustments: 0, regimeMeta: 0 })
+      .toArray();
+    const byDay = new Map();
+    for (const t of source) {
+      const day = dayKeyOf(t.closedAt || t.updatedAt);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(t);
+    }
+    for (const day of stale) {
+      const rollup = buildRollup(day, byDay.get(day) || []);
+      // eslint-disable-next-line no-await-in-loop
+      await col.replaceOne({ day }, rollup, { upsert: true });
+    }
+  }
+
+  const rows = await col
+    .find({ day: { $gte: range.from, $lte: range.to } })
+    .sort({ day: 1 })
+    .toArray();
+  return { rows, recomputed: stale.length };
+}
+
+function streaks(pnls) {
+  let maxWin = 0;
+  let maxLoss = 0;
+  let cur = 0; // >0 wins in a row, <0 losses in a row
+  for (const p of pnls) {
+    if (p > 0) cur = cur > 0 ? cur + 1 : 1;
+    else if (p < 0) cur = cur < 0 ? cur - 1 : -1;
+    else cur = 0;
+    maxWin = Math.max(maxWin, cur);
+    maxLoss = Math.max(maxLoss, -cur);
+  }
+  return {
+    maxWinStreak: maxWin,
+    maxLossStreak: maxLoss,
+    currentStreakType: cur > 0 ? "WIN" : cur < 0 ? "LOSS" : null,
+    currentStreakLength: Math.abs(cur),
+  };
+}
+
+/** Daily equity points; drawdown is measured from the running peak (starting equity included). */
+function equityCurve(daily, startingEquityInr = 0) {
+  const base = Number(startingEquityInr) || 0;
+  let equity = base;
+  let peak = base;
+  return daily.map((d) => {
+    equity += d.pnlNetInr;
+    peak = Math.max(peak, equity);
+    const drawdownInr = peak - equity;
+    return {
+      day: d.day,
+      trades: d.trades,
+      pnlNetInr: round(d.pnlNetInr),
+      equityInr: round(equity),
+      peakInr: round(peak),
+      drawdownInr: round(drawdownInr),
+      drawdownPct: base > 0 && peak > 0 ? round((drawdownInr / peak) * 100, 3) : null,
+      underwater: drawdownInr > 1e-9,
+    };
+  });
+}
+
+function underwaterStats(curve) {
+  let longest = 0;
+  let run = 0;
+  let maxDd = 0;
+  let maxDdDay = null;
+  for (const p of curve) {
+    run = p.underwater ? run + 1 : 0;
+    longest = Math.max(longest, run);
+    if (p.drawdownInr > maxDd) {
+      maxDd = p.drawdownInr;
+      maxDdDay = p.day;
+    }
+  }
+  const last = curve.at(-1);
+  const pcts = curve.map((p) => p.drawdownPct).filter((p) => p !== null);
+  return {
+    maxDrawdownInr: round(maxDd),
+    maxDrawdownDay: maxDdDay,
+    maxDrawdownPct: pcts.length ? Math.max(...pcts) : null,
+    currentDrawdownInr: last ? last.drawdownInr : 0,
+    currentDrawdownPct: last ? last.drawdownPct : null,
+    longestUnderwaterDays: longest,
+    currentUnderwaterDays: run,
+    underwaterDaysPct: curve.length ? round((curve.filter((p) => p.underwater).length / curve.length) * 100, 1) : null,
+  };
+}
+
+function dailyRatios(dailyPnls, maxDrawdownInr) {
+  const k = Math.max(1, Number(env.ANALYTICS_ANNUALIZATION_DAYS ?? 252));
+  if (dailyPnls.length < 2) return { sharpe: null, sortino: null, calmar: null, annualizedPnlInr: null };
+  const mean = sum(dailyPnls) / dailyPnls.length;
+  const std = Math.sqrt(sum(dailyPnls.map((x) => (x - mean) ** 2)) / (dailyPnls.length - 1));
+  const downside = Math.sqrt(sum(dailyPnls.map((x) => Math.min(0, x) ** 2)) / dailyPnls.length);
+  const annualizedPnlInr = mean * k;
+  return {
+    sharpe: std > 0 ? round((mean / std) * Math.sqrt(k), 3) : null,
+    sortino: downside > 0 ? round((mean / downside) * Math.sqrt(k), 3) : null,
+    calmar: maxDrawdownInr > 0 ? round(annualizedPnlInr / maxDrawdownInr, 3) : null,
+    annualizedPnlInr: round(annualizedPnlInr),
+  };
+}
+
+// Trading days of the range plus any other day that has trades (special sessions, test data).
+function seriesDays(range, trades) {
+  const withTrades = new Set(trades.map((t) => t.day));
+  return range.days
+    .filter((d) => withTrades.has(d.toFormat("yyyy-LL-dd")) || getSessionForDateTime(d.set({ hour: 12 })).allowTradingDay)
+    .map((d) => d.toFormat("yyyy-LL-dd"));
+}
+
+function dailySeries(days, trades) {
+  const byDay = new Map(days.map((day) => [day, { day, trades: 0, pnlNetInr: 0 }]));
+  for (const t of trades) {
+    const d = byDay.get(t.day);
+    if (!d) continue;
+    d.trades += 1;
+    d.pnlNetInr += t.pnlNetInr;
+  }
+  return Array.from(byDay.values());
+}
+
+/** All metrics for a set of compact trades over the given series days. */
+function computeMetrics(trades, days, { startingEquityInr = 0 } = {}) {
+  const pnls = trades.map((t) => t.pnlNetInr);
+  const wins = pnls.filter((p) => p > 0);
+  const losses = pnls.filter((p) => p < 0);
+  const rs = trades.map((t) => t.r).filter((r) => r !== null);
+  const daily = dailySeries(days, trades);
+  const curve = equityCurve(daily, startingEquityInr);
+  const uw = underwaterStats(curve);
+
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    flat: trades.length - wins.length - losses.length,
+    winRate: trades.length ? round(wins.length / trades.length, 4) : null,
+    pnlGrossInr: round(sum(trades.map((t) => t.pnlGrossInr))),
+    chargesInr: round(sum(trades.map((t) => t.chargesInr))),
+    pnlNetInr: round(sum(pnls)),
+    avgWinInr: wins.length ? round(sum(wins) / wins.length) : null,
+    avgLossInr: losses.length ? round(sum(losses) / losses.length) : null,
+    profitFactor: losses.length ? round(sum(wins) / Math.abs(sum(losses)), 3) : null,
+    expectancyInr: trades.length ? round(sum(pnls) / trades.length) : null,
+    expectancyR: rs.length ? round(sum(rs) / rs.length, 3) : null,
+    tradesWithR: rs.length,
+    ...streaks(pnls),
+    days: daily.length,
+    activeDays: daily.filter((d) => d.trades > 0).length,
+    ...uw,
+    ...dailyRatios(
+      daily.map((d) => d.pnlNetInr),
+      uw.maxDrawdownInr,
+    ),
+    chargesFromContractNotes: trades.filter((t) => t.chargesSource === "contract_note").length,
+  };
+}
+
+async function loadAnalytics(query = {}) {
+  const range = parseRange(query);
+  const refresh = ["1", "true"].includes(String(query.refresh ?? ""));
+  const { rows, recomputed } = await getDailyRollups(range, { refresh });
+  const trades = rows.flatMap((r) => r.trades || []);
+  const days = seriesDays(range, trades);
+  const startingEquityInr = Number(query.startingEquityInr ?? env.ANALYTICS_STARTING_EQUITY_INR ?? 0) || 0;
+  return {
+    range: { from: range.from, to: range.to, tz: tz() },
+    cache: { days: rows.length, recomputed },
+    trades,
+    days,
+    startingEquityInr,
+  };
+}
+
+function dimensionFn(by) {
+  const fn = DIMENSIONS[String(by || "")];
+  if (!fn) throw new Error(`invalid by (expected ${Object.keys(DIMENSIONS).join("|")})`);
+  return fn;
+}
+
+function periodKey(day, period) {
+  const dt = DateTime.fromISO(day, { zone: tz() });
+  if (period === "week") return dt.toFormat("kkkk-'W'WW");
+  if (period === "month") return dt.toFormat("yyyy-LL");
+  return day;
+}
+
+/** Validates query params shared by the endpoints without touching the DB. */
+function validateAnalyticsQuery(query = {}) {
+  parseRange(query);
+  if (query.by !== undefined) dimensionFn(query.by);
+  if (query.period !== undefined && !PERIODS.includes(String(query.period))) {
+    throw new Error(`invalid period (expected ${PERIODS.join("|")})`);
+  }
+}
+
+async function getAnalyticsSummary(query = {}) {
+  const a = await loadAnalytics(query);
+  const metrics = computeMetrics(a.trades, a.days, { startingEquityInr: a.startingEquityInr });
+  const breakdowns = {};
+  for (const by of Object.keys(DIMENSIONS)) breakdowns[by] = breakdownRows(a, by);
+  return { range: a.range, cache: a.cache, startingEquityInr: a.startingEquityInr, metrics, breakdowns };
+}
+
+async function getEquityCurve(query = {}) {
+  const a = await loadAnalytics(query);
+  return { range: a.range, cache: a.cache, rows: equityCurve(dailySeries(a.days, a.trades), a.startingEquityInr) };
+}
+
+function breakdownRows(a, by) {
+  const fn = dimensionFn(by);
+  const groups = new Map();
+  for (const t of a.trades) {
+    const key = String(fn(t) ?? "UNKNOWN");
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  }
+  return Array.from(groups.entries())
+    .map(([key, list]) => ({ [by]: key, ...computeMetrics(list, a.days) }))
+    .sort((x, y) => y.pnlNetInr - x.pnlNetInr);
+}
+
+async function getBreakdown(query = {}) {
+  const by = String(query.by || "strategy");
+  dimensionFn(by);
+  const a = await loadAnalytics(query);
+  return { range: a.range, cache: a.cache, by, rows: breakdownRows(a, by) };
+}
+
+async function getPeriodStats(query = {}) {
+  const period = String(query.period || "day");
+  if (!PERIODS.includes(period)) throw new Error(`invalid period (expected ${PERIODS.join("|")})`);
+  const a = await loadAnalytics(query);
+  const daysByPeriod = new Map();
+  for (const day of a.days) {
+    const k = periodKey(day, period);
+    if (!daysByPeriod.has(k)) daysByPeriod.set(k, []);
+    daysByPeriod.get(k).push(day);
+  }
+  const rows = Array.from(daysByPeriod.entries()).map(([key, days]) => {
+    const set = new Set(days);
+    return { period: key, from: days[0], to: days.at(-1), ...computeMetrics(a.trades.filter((t) => set.has(t.day)), days) };
+  });
+  return { range: a.range, cache: a.cache, period, rows };
+}
+
+async function getAnalyticsTrades(query = {}) {
+  const a = await loadAnalytics(query);
+  return { range: a.range, cache: a.cache, rows: a.trades };
+}
+
+module.exports = {
+  DIMENSIONS,
+  PERIODS,
+  ensureAnalyticsIndexes,
+  parseRange,
+  validateAnalyticsQuery,
+  computeMetrics,
+  equityCurve,
+  getDailyRollups,
+  getAnalyticsSummary,
+  getEquityCurve,
+  getBreakdown,
+  getPeriodStats,
+  getAnalyticsTrades,
+};
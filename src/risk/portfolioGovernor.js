@@ -204,6 +204,15 @@ class PortfolioGovernor {
       return this._deny("max_trades", { maxTrades, baseRInr, openRiskInr });
     }
 
+    // Callers that track trades without a registered risk (riskInr 0) pass their own count.
+    const openTrades = Number.isFinite(Number(ctx.openTrades))
+      ? Number(ctx.openTrades)
+      : Object.keys(this.state.openTradeRiskInrById).length;
+    const maxOpenPositions = Math.max(0, Math.floor(toNum(this.env.MAX_OPEN_POSITIONS, 0)));
+    if (maxOpenPositions > 0 && openTrades >= maxOpenPositions) {
+      return this._deny("max_open_positions", { maxOpenPositions, openTrades, baseRInr, openRiskInr });
+    }
+
     const maxOpenRiskR = toNum(this.env.MAX_OPEN_RISK_R, 0);
     const openRiskR = baseRInr > 0 ? openRiskInr / baseRInr : 0;
     if (maxOpenRiskR > 0 && openRiskR > maxOpenRiskR) {
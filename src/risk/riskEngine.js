@@ -197,6 +197,18 @@ class RiskEngine {
       this.openPositions.size >= maxOpenTrades
     )
       return { ok: false, reason: "max_open_positions" };
+    const underlying = String(ctx?.underlying || "").trim().toUpperCase();
+    const maxPerUnderlying = Number(
+      (this.limits?.maxOpenTradesPerUnderlying ?? env.MAX_POSITIONS_PER_UNDERLYING) ?? 1,
+    );
+    if (underlying && Number.isFinite(maxPerUnderlying) && maxPerUnderlying > 0) {
+      let onUnderlying = 0;
+      for (const pos of this.openPositions.values()) {
+        if (String(pos?.underlying || "").toUpperCase() === underlying) onUnderlying += 1;
+      }
+      if (onUnderlying >= maxPerUnderlying)
+        return { ok: false, reason: "max_positions_underlying" };
+    }
     if (this.openPositions.has(token))
       return { ok: false, reason: "already_in_position" };
     if (!ctx?.ignoreCooldown) {
@@ -9,6 +9,7 @@ function defaultLimits() {
   const ddThrottleR = Number(env.DAILY_DD_THROTTLE_R ?? 2.0);
   const ddPauseR = Number(env.DAILY_DD_PAUSE_R ?? 3.0);
   const maxOpenTrades = Number(env.MAX_OPEN_POSITIONS ?? 1);
+  const maxOpenTradesPerUnderlying = Number(env.MAX_POSITIONS_PER_UNDERLYING ?? 1);
   const maxTradesPerDay = Number(env.MAX_TRADES_PER_DAY ?? 0);
   return {
     dailyLossCapInr: Number.isFinite(dailyLossCap) ? dailyLossCap : null,
@@ -16,6 +17,9 @@ function defaultLimits() {
     dailyDrawdownPauseR: Number.isFinite(ddPauseR) ? ddPauseR : null,
     maxDrawdownInr: Number(env.RISK_MAX_DRAWDOWN_INR ?? dailyLossCap * 2 ?? 0),
     maxOpenTrades: Number.isFinite(maxOpenTrades) ? maxOpenTrades : null,
+    maxOpenTradesPerUnderlying: Number.isFinite(maxOpenTradesPerUnderlying)
+      ? maxOpenTradesPerUnderlying
+      : null,
     maxTradesPerDay: Number.isFinite(maxTradesPerDay)
       ? maxTradesPerDay
       : null,
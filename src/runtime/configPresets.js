@@ -0,0 +1,308 @@
+const fs = require("fs");
+const path = require("path");
+const { env, validateRuntimeKnobs, setLiveKnobs } = require("../config");
+const { logger } = require("../logger");
+const { isExpiryDay } = require("../fno/expiryPolicy");
+const { getSessionForDateTime } = require("../market/marketCalendar");
+const { recordAudit } = require("../audit/auditLog");
+const { notifyLifecycle } = require("./lifecycleNotify");
+const { reportFault } = require("./errorBus");
+
+/**
+ * Scheduled config presets: named knob overlays from CONFIG_PRESETS_FILE,
+ * each active while its schedule matches.
+ *
+ *   { "presets": [{
+ *       "name": "expiry_afternoon",
+ *       "priority": 10,
+ *       "knobs": { "MAX_TRADES_PER_DAY": 4 },
+ *       "when": { "weekdays": ["THU"], "from": "13:00", "to": "15:30", "expiryDay": true, "specialSession": false }
+ *   }] }
+ *
+ * Every `when` field is optional. `from`/`to` is a same-day [from, to)
+ * window in MARKET_TZ; `expiryDay` uses expiryPolicy against the known
+ * option expiries; `specialSession` matches days listed in the market
+ * calendar's special_sessions. When several presets match, the highest
+ * priority (then file order) wins; at most one is active.
+ *
+ * An overlay only touches the live config (never runtime_knobs.json) and is
+ * validated like a knob change before it is applied. Reverting restores the
+ * values it replaced, except keys changed by hand in the meantime.
+ */
+
+const WEEKDAYS = { MON: 1, TUE: 2, WED: 3, THU: 4, FRI: 5, SAT: 6, SUN: 7 };
+const HISTORY_MAX = 20;
+
+let _cache = null; // { file, presets, errors, loadedAt }
+let _active = null; // { name, knobs, applied, previous, appliedAt, reason }
+const _history = [];
+
+function tz() {
+  return String(env.MARKET_TZ || "Asia/Kolkata");
+}
+
+function isConfigPresetsEnabled() {
+  return String(env.CONFIG_PRESETS_ENABLED || "false").toLowerCase() === "true";
+}
+
+function presetsFile() {
+  const p = String(env.CONFIG_PRESETS_FILE || "config/config_presets.json");
+  return path.isAbsolute(p) ? p : path.join(process.cwd(), p);
+}
+
+function hhmmToMin(value, label) {
+  const m = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || "").trim());
+  if (!m) throw new Error(`${label} must be HH:mm`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function optionalBool(value, label) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "boolean") throw new Error(`${label} must be true or false`);
+  return value;
+}
+
+function normalizePreset(raw, index) {
+  if (!raw || typeof raw !== "object") throw new Error(`preset #${index + 1} must be an object`);
+  const name = String(raw.name || "").trim();
+  if (!/^[a-zA-Z0-9_.-]{1,60}$/.test(name)) throw new Error(`preset #${index + 1}: invalid name`);
+  if (!raw.knobs || typeof raw.knobs !== "object" || Array.isArray(raw.knobs) || !Object.keys(raw.knobs).length) {
+    throw new Error(`${name}: knobs must be a non-empty object`);
+  }
+
+  const when = raw.when || {};
+  let weekdays = null;
+  if (when.weekdays !== undefined) {
+    if (!Array.isArray(when.weekdays) || !when.weekdays.length) throw new Error(`${name}: weekdays must be a list`);
+    weekdays = new Set(
+      when.weekdays.map((d) => {
+        const n = WEEKDAYS[String(d).slice(0, 3).toUpperCase()] ?? Number(d);
+        if (!Number.isInteger(n) || n < 1 || n > 7) throw new Error(`${name}: invalid weekday ${d}`);
+        return n;
+      }),
+    );
+  }
+  const from = when.from !== undefined ? hhmmToMin(when.from, `${name}: from`) : null;
+  const to = when.to !== undefined ? hhmmToMin(when.to, `${name}: to`) : null;
+  if (from !== null && to !== null && to <= from) throw new Error(`${name}: to must be after from`);
+
+  return {
+    name,
+    description: raw.description ? String(raw.description) : null,
+    priority: Number.isFinite(Number(raw.priority)) ? Number(raw.priority) : 0,
+    order: index,
+    knobs: { ...raw.knobs },
+    when: {
+      weekdays,
+      from,
+      to,
+      expiryDay: optionalBool(when.expiryDay, `${name}: expiryDay`),
+      specialSession: optionalBool(when.specialSession, `${name}: specialSession`),
+    },
+    raw,
+  };
+}
+
+/**
+ * Reads and validates the presets file (cached; `force` re-reads). Broken
+ * entries are skipped and listed in `errors`; so are presets whose knobs
+ * fail config validation against the current config.
+ */
+function loadConfigPresets({ force = false } = {}) {
+  if (_cache && !force) return _cache;
+  const file = presetsFile();
+  const presets = [];
+  const errors = [];
+  let list = [];
+  try {
+    if (fs.existsSync(file)) {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+      list = Array.isArray(parsed) ? parsed : parsed?.presets || [];
+    }
+  } catch (err) {
+    errors.push({ preset: null, message: `unreadable presets file: ${err?.message || err}` });
+  }
+
+  const seen = new Set();
+  list.forEach((raw, i) => {
+    try {
+      const p = normalizePreset(raw, i);
+      if (seen.has(p.name)) throw new Error(`${p.name}: duplicate name`);
+      seen.add(p.name);
+      const check = validateRuntimeKnobs(p.knobs);
+      if (!check.ok) throw new Error(`${p.name}: ${check.errors.map((e) => `${e.key}: ${e.message}`).join("; ")}`);
+      if (check.ignored.length) throw new Error(`${p.name}: unknown knobs ${check.ignored.join(", ")}`);
+      presets.push(p);
+    } catch (err) {
+      errors.push({ preset: raw?.name || null, message: err?.message || String(err) });
+    }
+  });
+
+  if (errors.length) logger.warn({ file, errors }, "[config-presets] invalid presets skipped");
+  _cache = { file, presets, errors, loadedAt: new Date().toISOString() };
+  return _cache;
+}
+
+/** Day facts a schedule is matched against. */
+function presetContext(dt, { expiries = [] } = {}) {
+  const now = dt.setZone(tz());
+  let special = null;
+  try {
+    special = getSessionForDateTime(now).specialSession;
+  } catch {
+    special = null;
+  }
+  return {
+    weekday: now.weekday,
+    minutes: now.hour * 60 + now.minute,
+    expiryDay: isExpiryDay({ expiries, env, nowMs: now.toMillis() }),
+    specialSession: special ? special.name : null,
+  };
+}
+
+function matchesPreset(preset, ctx) {
+  const w = preset.when;
+  if (w.weekdays && !w.weekdays.has(ctx.weekday)) return false;
+  if (w.from !== null && ctx.minutes < w.from) return false;
+  if (w.to !== null && ctx.minutes >= w.to) return false;
+  if (w.expiryDay !== null && w.expiryDay !== ctx.expiryDay) return false;
+  if (w.specialSession !== null && w.specialSession !== !!ctx.specialSession) return false;
+  return true;
+}
+
+/** The preset that should be active at `dt` (null when none matches). */
+function selectConfigPreset(dt, opts = {}) {
+  const ctx = presetContext(dt, opts);
+  const matching = loadConfigPresets().presets.filter((p) => matchesPreset(p, ctx));
+  matching.sort((a, b) => b.priority - a.priority || a.order - b.order);
+  return matching[0] || null;
+}
+
+/** Next instant a schedule can start or stop matching: a window edge, else midnight. */
+function getNextPresetBoundary(dt) {
+  const now = dt.setZone(tz());
+  const { presets } = loadConfigPresets();
+  if (!presets.length) return null;
+  let next = now.plus({ days: 1 }).startOf("day");
+  for (const p of presets) {
+    for (const min of [p.when.from, p.when.to]) {
+      if (min === null) continue;
+      const at = now.startOf("day").plus({ minutes: min });
+      if (at > now && at < next) next = at;
+    }
+  }
+  return next;
+}
+
+function pushHistory(entry) {
+  _history.unshift(entry);
+  if (_history.length > HISTORY_MAX) _history.length = HISTORY_MAX;
+}
+
+async function logSwitch(event, entry) {
+  logger.info(entry, `[config-presets] ${event === "CONFIG_PRESET_APPLIED" ? "applied" : "reverted"} ${entry.preset}`);
+  pushHistory({ event, ...entry });
+  await notifyLifecycle(event, entry);
+  try {
+    await recordAudit({
+      actor: "scheduler",
+      action: event === "CONFIG_PRESET_APPLIED" ? "config_preset_apply" : "config_preset_revert",
+      resource: "config",
+      status: "ok",
+      meta: entry,
+    });
+  } catch (err) {
+    reportFault({ code: "CONFIG_PRESET_AUDIT", err, message: "[config-presets] audit failed" });
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+async function revertConfigPreset(reason = "schedule_ended") {
+  if (!_active) return null;
+  const active = _active;
+  _active = null;
+  const restore = {};
+  const kept = [];
+  for (const [key, value] of Object.entries(active.previous)) {
+    // A key changed by hand while the overlay was live keeps the new value.
+    if (sameValue(env[key], active.applied[key])) restore[key] = value;
+    else kept.push(key);
+  }
+  setLiveKnobs(restore);
+  const entry = { preset: active.name, reason, keys: Object.keys(restore), kept, at: new Date().toISOString() };
+  await logSwitch("CONFIG_PRESET_REVERTED", entry);
+  return entry;
+}
+
+async function activateConfigPreset(preset, reason = "schedule") {
+  if (_active?.name === preset.name) return null;
+  await revertConfigPreset(`switch_to_${preset.name}`);
+
+  const check = validateRuntimeKnobs(preset.knobs);
+  if (!check.ok) {
+    logger.error({ preset: preset.name, errors: check.errors }, "[config-presets] preset rejected");
+    await notifyLifecycle("CONFIG_PRESET_INVALID", { preset: preset.name, errors: check.errors });
+    return { preset: preset.name, ok: false, errors: check.errors };
+  }
+
+  const previous = setLiveKnobs(preset.knobs);
+  const applied = {};
+  for (const key of Object.keys(previous)) applied[key] = env[key];
+  _active = { name: preset.name, knobs: preset.knobs, applied, previous, appliedAt: new Date().toISOString(), reason };
+  const entry = {
+    preset: preset.name,
+    reason,
+    keys: Object.keys(previous),
+    diff: Object.keys(previous).map((key) => ({ key, from: previous[key] ?? null, to: applied[key] })),
+    at: _active.appliedAt,
+  };
+  await logSwitch("CONFIG_PRESET_APPLIED", entry);
+  return { ...entry, ok: true };
+}
+
+/**
+ * Brings the active preset in line with the schedule at `dt`. Resolves to
+ * { changed, active } where `active` is the preset name or null.
+ */
+async function applyScheduledConfigPreset(dt, { expiries = [], reason = "schedule" } = {}) {
+  const want = selectConfigPreset(dt, { expiries });
+  if ((want?.name || null) === (_active?.name || null)) {
+    return { changed: false, active: _active?.name || null };
+  }
+  if (want) await activateConfigPreset(want, reason);
+  else await revertConfigPreset(reason);
+  return { changed: true, active: _active?.name || null };
+}
+
+/** Summary for /admin/status and the socket status stream. */
+function getActiveConfigPreset() {
+  if (!_active) return null;
+  return { name: _active.name, appliedAt: _active.appliedAt, reason: _active.reason, knobs: _active.knobs };
+}
+
+function describeConfigPresets() {
+  const c = loadConfigPresets();
+  return {
+    enabled: isConfigPresetsEnabled(),
+    file: c.file,
+    loadedAt: c.loadedAt,
+    presets: c.presets.map((p) => p.raw),
+    errors: c.errors,
+    active: getActiveConfigPreset(),
+    history: _history.slice(),
+  };
+}
+
+module.exports = {
+  isConfigPresetsEnabled,
+  loadConfigPresets,
+  selectConfigPreset,
+  getNextPresetBoundary,
+  applyScheduledConfigPreset,
+  revertConfigPreset,
+  getActiveConfigPreset,
+  describeConfigPresets,
+};
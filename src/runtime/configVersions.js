@@ -0,0 +1,237 @@
+const {
+  getRuntimeKnobsSnapshot,
+  updateRuntimeKnobs,
+  validateRuntimeKnobs,
+} = require("../config");
+const { getDb } = require("../db");
+const { logger } = require("../logger");
+const { reportFault } = require("./errorBus");
+
+/**
+ * Versioned history of the runtime knob set (config/runtime_knobs.json).
+ *
+ * Every applied change is validated first (zod schema + cross-field rules,
+ * see validateRuntimeKnobs) and then recorded as a full snapshot in
+ * `config_versions`:
+ *
+ *   { version, knobs, diff: [{ key, from, to }], actor, reason, source, rollbackOf, createdAt }
+ *
+ * `source` is "api" (POST /admin/config/knobs), "rollback" or "file" (the
+ * knobs file differed from the last version at boot, e.g. a hand edit).
+ * The active version is stamped onto every new trade as `configVersion`.
+ */
+
+const COLLECTION = "config_versions";
+
+let _active = null; // { version, createdAt }
+let _chain = Promise.resolve();
+
+// Version numbers come from "latest + 1": changes are applied one at a time.
+function serialize(fn) {
+  const run = _chain.then(fn, fn);
+  _chain = run.catch(() => {});
+  return run;
+}
+
+function collection() {
+  return getDb().collection(COLLECTION);
+}
+
+function configInvalidError(errors) {
+  const e = new Error(
+    `invalid config: ${errors.map((x) => `${x.key}: ${x.message}`).join("; ")}`,
+  );
+  e.code = "CONFIG_INVALID";
+  e.errors = errors;
+  return e;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/** Per-key changes from knob set `a` to `b` (missing keys are null). */
+function diffKnobs(a = {}, b = {}) {
+  const keys = Array.from(new Set([...Object.keys(a || {}), ...Object.keys(b || {})])).sort();
+  return keys
+    .filter((key) => !sameValue(a?.[key], b?.[key]))
+    .map((key) => ({ key, from: a?.[key] ?? null, to: b?.[key] ?? null }));
+}
+
+function publicVersion(doc, { withKnobs = false } = {}) {
+  if (!doc) return null;
+  const { _id, knobs, ...rest } = doc;
+  return withKnobs ? { ...rest, knobs } : rest;
+}
+
+async function ensureConfigVersionIndexes() {
+  await collection().createIndex({ version: 1 }, { unique: true });
+  await collection().createIndex({ createdAt: -1 });
+}
+
+async function latestVersion() {
+  return collection().find({}).sort({ version: -1 }).limit(1).next();
+}
+
+async function insertVersion({ knobs, diff, actor, reason, source, rollbackOf = null }) {
+  const latest = await latestVersion();
+  const doc = {
+    version: (latest?.version || 0) + 1,
+    knobs,
+    diff,
+    actor: actor || null,
+    reason: reason ? String(reason).slice(0, 500) : null,
+    source,
+    rollbackOf,
+    createdAt: new Date(),
+  };
+  await collection().insertOne(doc);
+  _active = { version: doc.version, createdAt: doc.createdAt };
+  return doc;
+}
+
+/**
+ * Loads the active version at boot. When the knobs file no longer matches
+ * the latest snapshot (first run, hand edit) it is recorded as a new version.
+ */
+async function initConfigVersions() {
+  return serialize(async () => {
+    const knobs = getRuntimeKnobsSnapshot();
+    const latest = await latestVersion();
+    const diff = diffKnobs(latest?.knobs || {}, knobs);
+    if (latest && !diff.length) {
+      _active = { version: latest.version, createdAt: latest.createdAt };
+      return publicVersion(latest);
+    }
+    const doc = await insertVersion({
+      knobs,
+      diff,
+      actor: "system",
+      reason: latest ? "knobs file changed outside the API" : "initial snapshot",
+      source: "file",
+    });
+    logger.info({ version: doc.version, changed: diff.length }, "[config] knobs snapshot recorded");
+    return publicVersion(doc);
+  });
+}
+
+function getActiveConfigVersion() {
+  return _active?.version ?? null;
+}
+
+/**
+ * Validates and applies a knob patch, then records the resulting snapshot.
+ * Throws CONFIG_INVALID (with `errors`) before touching anything when the
+ * patch is rejected. A patch that changes nothing records no version.
+ */
+async function applyKnobChange({ patch = {}, actor = null, reason = null, source = "api", rollbackOf = null } = {}) {
+  return serialize(async () => {
+    const check = validateRuntimeKnobs(patch);
+    if (!check.ok) throw configInvalidError(check.errors);
+
+    const before = getRuntimeKnobsSnapshot();
+    const knobs = updateRuntimeKnobs(patch);
+    const diff = diffKnobs(before, knobs);
+    const out = {
+      knobs,
+      applied: Object.keys(patch).filter((k) => !check.ignored.includes(k)),
+      ignored: check.ignored,
+      diff,
+      version: getActiveConfigVersion(),
+    };
+    if (!diff.length) return out;
+
+    try {
+      const doc = await insertVersion({ knobs, diff, actor, reason, source, rollbackOf });
+      out.version = doc.version;
+      logger.info(
+        { version: doc.version, actor, source, keys: diff.map((d) => d.key) },
+        "[config] knobs changed",
+      );
+    } catch (err) {
+      // The change is live either way; only its history entry is missing.
+      out.version = null;
+      out.versionError = err?.message || String(err);
+      reportFault({ code: "CONFIG_VERSION_RECORD", err, message: "[config] knob change applied but not versioned" });
+    }
+    return out;
+  });
+}
+
+async function listConfigVersions({ limit = 50, before = null } = {}) {
+  const filter = Number.isFinite(Number(before)) && before !== null ? { version: { $lt: Number(before) } } : {};
+  const rows = await collection()
+    .find(filter)
+    .sort({ version: -1 })
+    .limit(Math.max(1, Math.min(Number(limit) || 50, 500)))
+    .toArray();
+  return rows.map((r) => publicVersion(r));
+}
+
+async function getConfigVersion(version) {
+  const doc = await collection().findOne({ version: Number(version) });
+  return publicVersion(doc, { withKnobs: true });
+}
+
+/**
+ * Diff between two versions. `to` defaults to the current knobs file
+ * ("current"), `from` to the version before `to` (or the active one).
+ */
+async function diffConfigVersions({ from = null, to = "current" } = {}) {
+  const load = async (v) => {
+    if (v === "current") return { version: "current", knobs: getRuntimeKnobsSnapshot() };
+    const doc = await collection().findOne({ version: Number(v) });
+    if (!doc) {
+      const e = new Error(`config version ${v} not found`);
+      e.code = "CONFIG_VERSION_NOT_FOUND";
+      throw e;
+    }
+    return doc;
+  };
+  const target = await load(to ?? "current");
+  let fromRef = from;
+  if (fromRef === null || fromRef === undefined || fromRef === "") {
+    fromRef = target.version === "current" ? getActiveConfigVersion() : target.version - 1;
+  }
+  const base = fromRef ? await load(fromRef) : { version: null, knobs: {} };
+  return { from: base.version, to: target.version, diff: diffKnobs(base.knobs, target.knobs) };
+}
+
+/**
+ * Makes the knob file equal to `version` again (as a new version, so the
+ * rollback itself can be rolled back). Knobs absent from the target are
+ * removed from the file; like any removal they keep their live value until
+ * restart.
+ */
+async function rollbackConfig(version, { actor = null, reason = null } = {}) {
+  const target = await collection().findOne({ version: Number(version) });
+  if (!target) {
+    const e = new Error(`config version ${version} not found`);
+    e.code = "CONFIG_VERSION_NOT_FOUND";
+    throw e;
+  }
+  const current = getRuntimeKnobsSnapshot();
+  const patch = { ...target.knobs };
+  for (const key of Object.keys(current)) {
+    if (!Object.prototype.hasOwnProperty.call(patch, key)) patch[key] = null;
+  }
+  return applyKnobChange({
+    patch,
+    actor,
+    reason: reason || `rollback to v${target.version}`,
+    source: "rollback",
+    rollbackOf: target.version,
+  });
+}
+
+module.exports = {
+  diffKnobs,
+  ensureConfigVersionIndexes,
+  initConfigVersions,
+  getActiveConfigVersion,
+  applyKnobChange,
+  listConfigVersions,
+  getConfigVersion,
+  diffConfigVersions,
+  rollbackConfig,
+};
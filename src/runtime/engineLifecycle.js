@@ -2,6 +2,12 @@ const { DateTime } = require("luxon");
 const { env } = require("../config");
 const { logger } = require("../logger");
 const { notifyLifecycle } = require("./lifecycleNotify");
+const {
+  isConfigPresetsEnabled,
+  getNextPresetBoundary,
+  applyScheduledConfigPreset,
+  getActiveConfigPreset,
+} = require("./configPresets");
 
 let _instance = null;
 
@@ -50,6 +56,9 @@ function makeLifecycle(ops = {}) {
     nearGuardSec: numEnv(env.ENGINE_NEAR_EVENT_GUARD_SEC, 5),
     holidays: parseHolidaySet(env.MARKET_HOLIDAYS),
     testNowIso: String(env.ENGINE_TEST_NOW_ISO || "").trim(),
+    autoLoginEnabled: boolEnv(env.KITE_AUTOLOGIN_ENABLED, false),
+    autoLoginLeadMin: numEnv(env.KITE_AUTOLOGIN_LEAD_MIN, 15),
+    presetsEnabled: isConfigPresetsEnabled(),
   };
 
   let state = "IDLE";
@@ -61,6 +70,11 @@ function makeLifecycle(ops = {}) {
   let cooldownTimer = null;
   let forceFlattenStartedAt = 0;
   let forceFlattenDeadlineHit = false;
+  let autoLoginTimer = null;
+  let autoLoginAt = null;
+  let lastAutoLogin = null;
+  let presetTimer = null;
+  let presetCheckAt = null;
 
   const nowIst = () => {
     if (cfg.testNowIso) {
@@ -251,6 +265,7 @@ function makeLifecycle(ops = {}) {
         const warmupReason = normalizeWarmupReason(reason);
         await ops.setTradingEnabled?.(false, warmupReason);
         await notifyLifecycle("WARMUP_START", { reason: warmupReason });
+        await evaluatePresets("warmup");
       }
     } else if (target === "LIVE") {
       const ok = await maybeStartSession(reason);
@@ -262,6 +277,8 @@ function makeLifecycle(ops = {}) {
         await notifyLifecycle("IDLE_ENTER", { reason: "live_start_failed" });
       } else {
         state = "LIVE";
+        // The session has loaded option expiries by now (expiry-day presets).
+        await evaluatePresets("live");
         await ops.setTradingEnabled?.(true, "live");
         await notifyLifecycle("LIVE_START", { reason });
       }
@@ -318,6 +335,86 @@ function makeLifecycle(ops = {}) {
     wakeTimer.unref?.();
   }
 
+  // Auto-login runs on its own timer so a slow or failing login never holds up
+  // the state machine; the new token reaches setToken() via tokenWatcher.
+  function getNextAutoLoginAt(dt = nowIst()) {
+    const lead = { minutes: Math.max(0, cfg.autoLoginLeadMin) };
+    if (isMarketDay(dt)) {
+      const at = computeTodaySchedule(dt).warmupAt.minus(lead);
+      if (dt < at) return at;
+    }
+    return nextMarketDayStart(dt).minus(lead);
+  }
+
+  function scheduleAutoLogin() {
+    autoLoginTimer = clearTimer(autoLoginTimer);
+    if (!cfg.autoLoginEnabled || typeof ops.autoLogin !== "function") return;
+    const now = nowIst();
+    autoLoginAt = getNextAutoLoginAt(now);
+    const ms = Math.max(250, autoLoginAt.toMillis() - now.toMillis());
+    autoLoginTimer = setTimeout(() => {
+      void runAutoLogin("scheduled");
+    }, ms);
+    autoLoginTimer.unref?.();
+  }
+
+  async function runAutoLogin(reason = "scheduled") {
+    const day = nowIst().toFormat("yyyy-LL-dd");
+    let res = null;
+    try {
+      res = await ops.autoLogin?.(reason);
+    } catch (e) {
+      res = { ok: false, error: e?.message || String(e) };
+    }
+    lastAutoLogin = { day, ok: !!res?.ok, at: nowIst().toISO(), reason, error: res?.ok ? null : res?.error || "unknown" };
+    await notifyLifecycle(res?.ok ? "AUTO_LOGIN_OK" : "AUTO_LOGIN_FAILED", {
+      reason,
+      attempts: res?.attempts ?? null,
+      error: lastAutoLogin.error,
+    });
+    scheduleAutoLogin();
+    return res;
+  }
+
+  // Token went missing outside the scheduled slot (late start, revoked token):
+  // log in now on a market day before close, unless a run already failed today
+  // (that run alerted with the manual fallback).
+  async function requestAutoLogin(reason = "token_missing") {
+    if (!cfg.autoLoginEnabled || typeof ops.autoLogin !== "function") return { ok: false, skipped: "disabled" };
+    const now = nowIst();
+    if (!isMarketDay(now) || now >= computeTodaySchedule(now).closeAt) return { ok: false, skipped: "outside_session" };
+    if (lastAutoLogin?.day === now.toFormat("yyyy-LL-dd") && !lastAutoLogin.ok) {
+      return { ok: false, skipped: "failed_today" };
+    }
+    return runAutoLogin(reason);
+  }
+
+  // Config presets run on their own timer too: it wakes at the next window
+  // edge (or midnight) and swaps the overlay when the matching preset changes.
+  async function evaluatePresets(reason = "scheduled") {
+    if (!cfg.presetsEnabled) return null;
+    const now = nowIst();
+    let res = null;
+    try {
+      res = await applyScheduledConfigPreset(now, { expiries: ops.getExpiries?.() || [], reason });
+    } catch (e) {
+      logger.warn({ e: e?.message || String(e), reason }, "[lifecycle] config preset evaluation failed");
+    }
+    schedulePresets(now);
+    return res;
+  }
+
+  function schedulePresets(now = nowIst()) {
+    presetTimer = clearTimer(presetTimer);
+    presetCheckAt = cfg.presetsEnabled ? getNextPresetBoundary(now) : null;
+    if (!presetCheckAt) return;
+    const ms = Math.max(250, presetCheckAt.toMillis() - now.toMillis());
+    presetTimer = setTimeout(() => {
+      void evaluatePresets("scheduled");
+    }, ms);
+    presetTimer.unref?.();
+  }
+
   function startIdleGuard() {
     if (idleGuardTimer) return;
     idleGuardTimer = setInterval(() => {
@@ -330,6 +427,8 @@ function makeLifecycle(ops = {}) {
 
   function stop() {
     wakeTimer = clearTimer(wakeTimer);
+    autoLoginTimer = clearTimer(autoLoginTimer);
+    presetTimer = clearTimer(presetTimer);
     cooldownTimer = clearTimer(cooldownTimer);
     if (idleGuardTimer) {
       clearInterval(idleGuardTimer);
@@ -338,6 +437,8 @@ function makeLifecycle(ops = {}) {
   }
 
   async function start() {
+    scheduleAutoLogin();
+    await evaluatePresets("startup");
     if (!cfg.enabled) return;
     startIdleGuard();
     await applyDesiredStateNow({ reason: "startup" });
@@ -391,6 +492,16 @@ function makeLifecycle(ops = {}) {
       nextTransitionAt: nextTransitionAt ? nextTransitionAt.toISO() : null,
       nowIst: nowIst().toISO(),
       schedule: computeTodaySchedule(nowIst()),
+      autoLogin: {
+        enabled: cfg.autoLoginEnabled,
+        nextAt: cfg.autoLoginEnabled && autoLoginAt ? autoLoginAt.toISO() : null,
+        last: lastAutoLogin,
+      },
+      configPreset: {
+        enabled: cfg.presetsEnabled,
+        active: getActiveConfigPreset(),
+        nextCheckAt: presetCheckAt ? presetCheckAt.toISO() : null,
+      },
     };
   }
 
@@ -402,6 +513,10 @@ function makeLifecycle(ops = {}) {
     isMarketDay,
     computeTodaySchedule,
     getNextTransition,
+    getNextAutoLoginAt,
+    runAutoLogin,
+    requestAutoLogin,
+    evaluatePresets,
   };
 }
 
@@ -414,4 +529,9 @@ function getEngineLifecycleStatus() {
   return _instance?.status?.() || { enabled: false, mode: "LEGACY", tokenPresent: false, nextTransitionAt: null };
 }
 
-module.exports = { createEngineLifecycle, getEngineLifecycleStatus };
+/** Re-matches config presets now (after a presets file reload). */
+async function reevaluateConfigPresets(reason = "manual") {
+  return _instance?.evaluatePresets?.(reason) ?? null;
+}
+
+module.exports = { createEngineLifecycle, getEngineLifecycleStatus, reevaluateConfigPresets };
@@ -19,7 +19,7 @@ function toIstNow() {
 
 function pickLevel(event, payload = {}) {
   if (event === "TOKEN_MISSING") return "warn";
-  if (["WARMUP_START_FAILED", "LIVE_START_FAILED", "COOLDOWN_SESSION_START_FAILED", "FLAT_CHECK_ERROR_HOLDING"].includes(event)) return "warn";
+  if (["WARMUP_START_FAILED", "LIVE_START_FAILED", "COOLDOWN_SESSION_START_FAILED", "FLAT_CHECK_ERROR_HOLDING", "AUTO_LOGIN_FAILED", "CONFIG_PRESET_INVALID"].includes(event)) return "warn";
   if (event === "FORCE_FLATTEN_RESULT") return payload?.ok ? "info" : "warn";
   return "info";
 }
@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const { env } = require("../config");
+const { getDb } = require("../db");
+const { logger } = require("../logger");
+const {
+  normalizePermissions,
+  roleExists,
+  effectivePermissions,
+  hasPermission,
+} = require("./permissions");
+
+/**
+ * Per-user API keys for /admin/* and the admin socket (API_KEYS_COLLECTION).
+ *
+ * A key is `ksk_<keyId>_<secret>` and is shown once, when created. Mongo only
+ * keeps the SHA-256 of the secret, looked up by `keyId`:
+ *
+ *   { keyId, user, name, role, permissions, hash, expiresAt, revokedAt, revokedBy,
+ *     revokeReason, createdBy, createdAt, lastUsedAt }
+ *
+ * The key's scope is its role's permissions plus `permissions` (see
+ * security/permissions.js), resolved on every request so a revocation or
+ * expiry takes effect immediately.
+ */
+
+const KEY_RE = /^ksk_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+const USER_RE = /^[a-zA-Z0-9_.@-]{1,64}$/;
+const LAST_USED_EVERY_MS = 60_000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function collection() {
+  return getDb().collection(String(env.API_KEYS_COLLECTION || "api_keys"));
+}
+
+function keyError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+function hashSecret(keyId, secret) {
+  return crypto.createHash("sha256").update(`${keyId}.${secret}`).digest("hex");
+}
+
+function keyStatus(doc, now = Date.now()) {
+  if (doc.revokedAt) return "revoked";
+  if (doc.expiresAt && new Date(doc.expiresAt).getTime() <= now) return "expired";
+  return "active";
+}
+
+function publicKey(doc) {
+  if (!doc) return null;
+  const { _id, hash, ...rest } = doc;
+  return { ...rest, status: keyStatus(doc) };
+}
+
+async function ensureApiKeyIndexes() {
+  await collection().createIndex({ keyId: 1 }, { unique: true });
+  await collection().createIndex({ user: 1, createdAt: -1 });
+}
+
+function resolveExpiry({ expiresAt, ttlDays }) {
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== "") {
+    const at = new Date(expiresAt);
+    if (!Number.isFinite(at.getTime())) throw keyError("API_KEY_INVALID", "invalid expiresAt");
+    if (at.getTime() <= Date.now()) throw keyError("API_KEY_INVALID", "expiresAt must be in the future");
+    return at;
+  }
+  const days = ttlDays !== undefined && ttlDays !== null && ttlDays !== "" ? Number(ttlDays) : Number(env.API_KEYS_DEFAULT_TTL_DAYS ?? 90);
+  if (!Number.isFinite(days) || days < 0) throw keyError("API_KEY_INVALID", "ttlDays must be >= 0");
+  return days > 0 ? new Date(Date.now() + days * DAY_MS) : null;
+}
+
+/**
+ * Creates a key and returns `{ key, apiKey }`; `key` is the plaintext and is
+ * not stored. `grantor` is the creating principal: a key can only carry
+ * permissions its creator holds (API_KEY_FORBIDDEN otherwise).
+ */
+async function createApiKey({ user, name = null, role = "viewer", permissions = [], expiresAt, ttlDays, grantor = null } = {}) {
+  const u = String(user || "").trim();
+  if (!USER_RE.test(u)) throw keyError("API_KEY_INVALID", "user must be 1-64 chars of [a-zA-Z0-9_.@-]");
+  const r = String(role || "viewer").trim().toLowerCase();
+  if (!roleExists(r)) throw keyError("API_KEY_INVALID", `unknown role ${role}`);
+  let extra;
+  try {
+    extra = normalizePermissions(permissions);
+  } catch (err) {
+    throw keyError("API_KEY_INVALID", err.message);
+  }
+
+  if (grantor) {
+    const missing = effectivePermissions(r, extra).filter((p) => !hasPermission(grantor.permissions, p));
+    if (missing.length) {
+      throw keyError("API_KEY_FORBIDDEN", `cannot grant permissions you do not hold: ${missing.join(", ")}`);
+    }
+  }
+
+  const keyId = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const doc = {
+    keyId,
+    user: u,
+    name: name ? String(name).slice(0, 120) : null,
+    role: r,
+    permissions: extra,
+    hash: hashSecret(keyId, secret),
+    expiresAt: resolveExpiry({ expiresAt, ttlDays }),
+    revokedAt: null,
+    revokedBy: null,
+    revokeReason: null,
+    createdBy: grantor?.actor || null,
+    createdAt: new Date(),
+    lastUsedAt: null,
+  };
+  await collection().insertOne(doc);
+  logger.info({ keyId, user: u, role: r, permissions: extra }, "[api-keys] key created");
+  return { key: `ksk_${keyId}_${secret}`, apiKey: publicKey(doc) };
+}
+
+async function listApiKeys({ user = null, includeRevoked = false } = {}) {
+  const filter = {};
+  if (user) filter.user = String(user);
+  if (!includeRevoked) filter.revokedAt = null;
+  const rows = await collection().find(filter).sort({ createdAt: -1 }).limit(500).toArray();
+  return rows.map(publicKey);
+}
+
+async function getApiKey(keyId) {
+  return publicKey(await collection().findOne({ keyId: String(keyId) }));
+}
+
+/** Revokes a key (idempotent). Null when the key does not exist. */
+async function revokeApiKey(keyId, { actor = null, reason = null } = {}) {
+  const doc = await collection().findOne({ keyId: String(keyId) });
+  if (!doc) return null;
+  if (doc.revokedAt) return publicKey(doc);
+  const update = {
+    revokedAt: new Date(),
+    revokedBy: actor || null,
+    revokeReason: reason ? String(reason).slice(0, 500) : null,
+  };
+  await collection().updateOne({ keyId: doc.keyId }, { $set: update });
+  logger.info({ keyId: doc.keyId, user: doc.user, actor }, "[api-keys] key revoked");
+  return publicKey({ ...doc, ...update });
+}
+
+/**
+ * Resolves a presented key to `{ principal }`, or `{ reason }` when it is
+ * malformed, unknown, revoked or expired.
+ */
+async function authenticateApiKey(raw) {
+  const m = KEY_RE.exec(String(raw || "").trim());
+  if (!m) return { reason: "malformed" };
+  const [, keyId, secret] = m;
+  const doc = await collection().findOne({ keyId });
+  if (!doc) return { reason: "unknown_key" };
+
+  const expected = Buffer.from(String(doc.hash || ""), "hex");
+  const actual = Buffer.from(hashSecret(keyId, secret), "hex");
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { reason: "unknown_key" };
+  }
+  const status = keyStatus(doc);
+  if (status !== "active") return { reason: status, keyId };
+
+  const now = Date.now();
+  if (!doc.lastUsedAt || now - new Date(doc.lastUsedAt).getTime() > LAST_USED_EVERY_MS) {
+    collection()
+      .updateOne({ keyId }, { $set: { lastUsedAt: new Date(now) } })
+      .catch((err) => logger.warn({ keyId, err: err?.message || String(err) }, "[api-keys] lastUsedAt update failed"));
+  }
+
+  return {
+    principal: {
+      actor: doc.user,
+      user: doc.user,
+      keyId,
+      role: doc.role,
+      permissions: effectivePermissions(doc.role, doc.permissions),
+      via: "api_key",
+      expiresAt: doc.expiresAt || null,
+    },
+  };
+}
+
+module.exports = {
+  ensureApiKeyIndexes,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+};
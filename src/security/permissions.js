@@ -0,0 +1,90 @@
+/**
+ * Permission catalog and built-in roles for /admin/* and the admin socket.
+ *
+ * Permissions are `area:action` strings. A grant may be an exact permission,
+ * an area wildcard (`trade:*`) or `*` (everything). The legacy names from the
+ * old three-role RBAC still work as grants: `admin` means `*` and `trade`
+ * means `trade:*`.
+ */
+
+const PERMISSIONS = {
+  read: "GET endpoints and the socket streams",
+  "trade:toggle": "enable/disable trading (POST /admin/trading)",
+  "trade:kill": "kill switch (POST /admin/kill)",
+  "trade:journal": "trade journal tags, notes and snapshots",
+  "config:write": "runtime knobs, rollback, presets, calendar and cost calibration reloads",
+  "risk:write": "risk limits and halt reset",
+  "strategy:write": "strategy parameter profiles and the optimizer",
+  "session:write": "Kite session exchange and auto-login",
+  "alerts:write": "alert channels and test alerts",
+  "ops:write": "telemetry flushes",
+  "db:write": "index/retention maintenance",
+  "db:purge": "POST /admin/db/purge",
+  "secrets:read": "secrets store metadata",
+  "secrets:write": "secrets store writes and master key rotation",
+  "keys:manage": "create, list and revoke API keys",
+};
+
+const ROLES = {
+  viewer: ["read"],
+  trader: ["read", "trade:*"],
+  operator: [
+    "read",
+    "trade:*",
+    "config:write",
+    "risk:write",
+    "strategy:write",
+    "session:write",
+    "alerts:write",
+    "ops:write",
+    "db:write",
+  ],
+  admin: ["*"],
+};
+
+const LEGACY_GRANTS = { admin: "*", trade: "trade:*" };
+
+function isKnownGrant(grant) {
+  if (grant === "*" || LEGACY_GRANTS[grant] || PERMISSIONS[grant]) return true;
+  const m = /^([a-z]+):\*$/.exec(grant);
+  return !!m && Object.keys(PERMISSIONS).some((p) => p.startsWith(`${m[1]}:`));
+}
+
+/** Trimmed, de-duplicated grants with legacy names mapped; throws on unknown ones. */
+function normalizePermissions(list) {
+  const out = [];
+  for (const raw of Array.isArray(list) ? list : String(list || "").split(",")) {
+    const grant = String(raw || "").trim();
+    if (!grant) continue;
+    if (!isKnownGrant(grant)) throw new Error(`unknown permission ${grant}`);
+    const mapped = LEGACY_GRANTS[grant] || grant;
+    if (!out.includes(mapped)) out.push(mapped);
+  }
+  return out;
+}
+
+function roleExists(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, String(role || ""));
+}
+
+/** Role grants plus any extra grants (e.g. the permissions stored on an API key). */
+function effectivePermissions(role, extra = []) {
+  const base = roleExists(role) ? ROLES[role] : [];
+  return normalizePermissions([...base, ...(extra || [])]);
+}
+
+function hasPermission(grants, permission) {
+  const list = grants || [];
+  if (list.includes("*") || list.includes("admin") || list.includes(permission)) return true;
+  const area = String(permission).split(":")[0];
+  return list.includes(`${area}:*`) || (area === "trade" && list.includes("trade"));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  normalizePermissions,
+  roleExists,
+  effectivePermissions,
+  hasPermission,
+};
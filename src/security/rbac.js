@@ -1,58 +1,118 @@
+const crypto = require("crypto");
 const { env } = require("../config");
+const { logger } = require("../logger");
+const { authenticateApiKey } = require("./apiKeys");
+const { PERMISSIONS, ROLES, effectivePermissions, hasPermission } = require("./permissions");
+
+/**
+ * Caller identity for /admin/* and the admin socket.
+ *
+ * A presented key (x-api-key, or Authorization: Bearer) is either the shared
+ * ADMIN_API_KEY (break-glass principal `admin-key` with every permission) or
+ * a per-user key from security/apiKeys.js, scoped to its role + permissions.
+ * Without a key the request is rejected, except in development with no
+ * ADMIN_API_KEY set: then it runs as `anonymous` (named by `x-user` if sent)
+ * with every permission, or RBAC_DEFAULT_ROLE when RBAC_ENABLED=true.
+ */
+
+function presentedKey(headers = {}) {
+  const auth = String(headers.authorization || "");
+  const bearer = auth.toLowerCase().startsWith("bearer ") ? auth.slice(7).trim() : null;
+  return headers["x-api-key"] || bearer || null;
+}
+
+function safeEqual(a, b) {
+  const x = crypto.createHash("sha256").update(String(a)).digest();
+  const y = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(x, y);
+}
 
 function buildRbac() {
   const enabled = String(env.RBAC_ENABLED || "false").toLowerCase() === "true";
-  const header = String(env.RBAC_HEADER || "x-role").toLowerCase();
   const defaultRole = String(env.RBAC_DEFAULT_ROLE || "viewer").toLowerCase();
 
-  const roles = {
-    viewer: ["read"],
-    trader: ["read", "trade"],
-    admin: ["read", "trade", "admin"],
-  };
-
-  function resolveRole(raw) {
-    const role = String(raw || "").toLowerCase();
-    if (role && roles[role]) return role;
-    return defaultRole in roles ? defaultRole : "viewer";
+  function openPrincipal(headers = {}) {
+    const role = enabled ? (ROLES[defaultRole] ? defaultRole : "viewer") : "admin";
+    const named = String(headers["x-user"] || headers["x-user-id"] || "").trim().slice(0, 64);
+    return {
+      actor: named || "anonymous",
+      user: named || null,
+      keyId: null,
+      role,
+      permissions: effectivePermissions(role),
+      via: "open",
+    };
   }
 
-  function roleMiddleware(req, _res, next) {
-    if (!enabled) return next();
-    const hdrKey = Object.keys(req.headers).find(
-      (k) => k.toLowerCase() === header,
-    );
-    const rawRole = hdrKey ? req.headers[hdrKey] : undefined;
-    const role = resolveRole(rawRole);
-    req.rbac = { role, permissions: roles[role] || [] };
-    if (!rawRole) {
-      req.rbac.missingRoleHeader = true;
+  /**
+   * Resolves request/handshake headers (and an explicit key, e.g. socket
+   * `auth.apiKey`) to `{ principal }` or `{ status, error, reason }`.
+   */
+  async function resolvePrincipal(headers = {}, explicitKey = null) {
+    const shared = env.ADMIN_API_KEY;
+    const provided = explicitKey || presentedKey(headers);
+
+    if (provided) {
+      if (shared && safeEqual(provided, shared)) {
+        return {
+          principal: {
+            actor: "admin-key",
+            user: null,
+            keyId: null,
+            role: "admin",
+            permissions: ["*"],
+            via: "shared_key",
+          },
+        };
+      }
+      const out = await authenticateApiKey(provided);
+      if (out.principal) return out;
+      return { status: 401, error: "unauthorized", reason: out.reason, keyId: out.keyId || null };
     }
-    return next();
+
+    if (!shared && env.NODE_ENV !== "production") return { principal: openPrincipal(headers) };
+    return { status: 401, error: "unauthorized", reason: "missing_key" };
+  }
+
+  function authMiddleware(req, res, next) {
+    resolvePrincipal(req.headers)
+      .then((out) => {
+        if (!out.principal) {
+          logger.warn(
+            { path: req.originalUrl, reason: out.reason, keyId: out.keyId },
+            "[rbac] admin request rejected",
+          );
+          return res.status(out.status).json({ ok: false, error: out.error });
+        }
+        req.principal = out.principal;
+        req.rbac = { role: out.principal.role, permissions: out.principal.permissions };
+        return next();
+      })
+      .catch((e) => res.status(503).json({ ok: false, error: e?.message || String(e) }));
   }
 
   function requirePermission(permission) {
+    if (!PERMISSIONS[permission]) throw new Error(`[rbac] unknown permission ${permission}`);
     return (req, res, next) => {
-      if (!enabled) return next();
-      const perms = req.rbac?.permissions || [];
-      if (perms.includes("admin") || perms.includes(permission)) return next();
+      if (hasPermission(req.principal?.permissions, permission)) return next();
       return res.status(403).json({
         ok: false,
         error: "forbidden",
         permission,
-        role: req.rbac?.role || null,
+        role: req.principal?.role || null,
       });
     };
   }
 
   return {
     enabled,
-    header,
     defaultRole,
-    roles,
-    roleMiddleware,
+    roles: ROLES,
+    permissions: PERMISSIONS,
+    resolvePrincipal,
+    authMiddleware,
     requirePermission,
   };
 }
 
-module.exports = { buildRbac };
+module.exports = { buildRbac, presentedKey };
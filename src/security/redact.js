@@ -0,0 +1,129 @@
+/**
+ * Secret redaction for logs, audit entries and admin responses.
+ *
+ * Two passes over a value (objects walked up to MAX_DEPTH):
+ *  - string fields whose key names a credential (password, *_secret,
+ *    access_token, enctoken, bot token, webhook URL, ...) are replaced;
+ *  - any string containing a registered secret value (env credentials, values
+ *    read from the secrets store) has that value masked, wherever it appears
+ *    (error messages, URLs, log lines).
+ *
+ * Dependency-free so the logger can use it.
+ */
+
+const CENSOR = "[REDACTED]";
+const MAX_DEPTH = 8;
+const MIN_VALUE_LEN = 6;
+
+const SECRET_KEYS = new Set([
+  "password",
+  "passwd",
+  "totpsecret",
+  "twofavalue",
+  "accesstoken",
+  "refreshtoken",
+  "enctoken",
+  "bottoken",
+  "apisecret",
+  "authorization",
+  "cookie",
+  "setcookie",
+  "masterkey",
+  "adminapikey",
+  "xapikey",
+  "webhookurl",
+]);
+
+const ENV_SECRETS = [
+  "KITE_API_SECRET",
+  "TELEGRAM_BOT_TOKEN",
+  "ADMIN_API_KEY",
+  "SECRETS_MASTER_KEY",
+  "SECRETS_PREVIOUS_MASTER_KEYS",
+];
+
+const knownValues = new Set();
+let valuePattern = null;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Masks `value` wherever it shows up from now on. */
+function registerSecretValue(value) {
+  const s = String(value ?? "").trim();
+  if (s.length < MIN_VALUE_LEN || knownValues.has(s)) return;
+  knownValues.add(s);
+  // Longest first so a secret containing another is masked whole.
+  const list = Array.from(knownValues).sort((a, b) => b.length - a.length);
+  valuePattern = new RegExp(list.map(escapeRegExp).join("|"), "g");
+}
+
+function registerEnvSecrets(source = process.env) {
+  for (const k of ENV_SECRETS) {
+    for (const v of String(source?.[k] ?? "").split(",")) registerSecretValue(v);
+  }
+}
+
+function isSecretKey(key) {
+  const k = String(key).toLowerCase().replace(/[-_]/g, "");
+  return SECRET_KEYS.has(k) || k.endsWith("secret") || k.endsWith("password");
+}
+
+function redactString(s) {
+  if (!valuePattern || typeof s !== "string") return s;
+  valuePattern.lastIndex = 0;
+  return valuePattern.test(s) ? s.replace(valuePattern, CENSOR) : s;
+}
+
+function walk(value, depth, seen) {
+  if (typeof value === "string") return redactString(value);
+  if (!value || typeof value !== "object" || depth > MAX_DEPTH) return value;
+  if (value instanceof Date || Buffer.isBuffer(value) || seen.has(value)) return value;
+  // ObjectId & co: leave non-plain objects with their own serialization alone.
+  if (value._bsontype) return value;
+
+  if (value instanceof Error) {
+    const message = redactString(value.message);
+    if (message === value.message) return value;
+    const copy = new Error(message);
+    copy.name = value.name;
+    copy.stack = redactString(value.stack);
+    if (value.code !== undefined) copy.code = value.code;
+    return copy;
+  }
+
+  seen.add(value);
+  if (Array.isArray(value)) return value.map((v) => walk(v, depth + 1, seen));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = typeof v === "string" && v && isSecretKey(k) ? CENSOR : walk(v, depth + 1, seen);
+  }
+  return out;
+}
+
+/** Returns a redacted copy (the input is never mutated). */
+function redactSecrets(value) {
+  return walk(value, 0, new WeakSet());
+}
+
+/** https://hooks.example.com/services/T0/B0/xyz -> https://hooks.example.com/… */
+function maskUrl(url) {
+  try {
+    const u = new URL(String(url));
+    return `${u.protocol}//${u.host}/…`;
+  } catch {
+    return CENSOR;
+  }
+}
+
+registerEnvSecrets();
+
+module.exports = {
+  CENSOR,
+  registerSecretValue,
+  registerEnvSecrets,
+  isSecretKey,
+  redactSecrets,
+  maskUrl,
+};
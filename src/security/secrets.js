@@ -0,0 +1,306 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { env } = require("../config");
+const { getDb } = require("../db");
+const { registerSecretValue } = require("./redact");
+
+/**
+ * Encrypted secrets store (one document per secret in SECRETS_COLLECTION).
+ *
+ * Envelope encryption: every value is sealed with its own random AES-256-GCM
+ * data key, and only that data key is sealed with the master key. The master
+ * key (32 bytes, hex or base64) comes from SECRETS_MASTER_KEY or the file at
+ * SECRETS_MASTER_KEY_FILE and never reaches Mongo; `keyId` (a fingerprint of
+ * it) records which master key wrapped each envelope.
+ *
+ *   { name, keyId, dek: { iv, tag, data }, iv, tag, data, version, updatedBy, createdAt, updatedAt }
+ *
+ * The same envelope is embedded in other documents for credentials that live
+ * next to their data (session tokens, webhook URLs); those modules register
+ * the fields with `registerSealedFields()` so `rotateSecrets()` re-seals them
+ * too. Master key rotation: set the new SECRETS_MASTER_KEY, list the old one
+ * in SECRETS_PREVIOUS_MASTER_KEYS, rotate, then drop the old key.
+ */
+
+const ALGO = "aes-256-gcm";
+const CACHE_TTL_MS = 60_000;
+
+let _cachedKeys = null; // { raw, current, byId: Map<keyId, key> }
+const _valueCache = new Map(); // name -> { value, at }
+const _sealedFields = [];
+
+function parseMasterKey(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+  const key = /^[0-9a-fA-F]{64}$/.test(s) ? Buffer.from(s, "hex") : Buffer.from(s, "base64");
+  if (key.length !== 32) throw new Error("secrets master key must be 32 bytes (64 hex chars or base64)");
+  return key;
+}
+
+function readMasterKeySource() {
+  if (env.SECRETS_MASTER_KEY) return String(env.SECRETS_MASTER_KEY);
+  if (env.SECRETS_MASTER_KEY_FILE) return fs.readFileSync(String(env.SECRETS_MASTER_KEY_FILE), "utf8");
+  return "";
+}
+
+function keyIdOf(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+}
+
+function loadKeyring() {
+  const raw = `${readMasterKeySource()}|${env.SECRETS_PREVIOUS_MASTER_KEYS || ""}`;
+  if (_cachedKeys && _cachedKeys.raw === raw) return _cachedKeys;
+  const current = parseMasterKey(readMasterKeySource());
+  if (!current) throw new Error("secrets store not configured (set SECRETS_MASTER_KEY or SECRETS_MASTER_KEY_FILE)");
+  const byId = new Map([[keyIdOf(current), current]]);
+  for (const s of String(env.SECRETS_PREVIOUS_MASTER_KEYS || "").split(",")) {
+    const key = parseMasterKey(s);
+    if (key) byId.set(keyIdOf(key), key);
+  }
+  _cachedKeys = { raw, current, byId };
+  return _cachedKeys;
+}
+
+/** The current master key Buffer; throws when none is configured. */
+function loadMasterKey() {
+  return loadKeyring().current;
+}
+
+function isSecretsConfigured() {
+  try {
+    loadKeyring();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGO, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+function open(key, box) {
+  const decipher = crypto.createDecipheriv(ALGO, key, Buffer.from(box.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(box.tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(box.data, "base64")), decipher.final()]);
+}
+
+/** Encrypts `value` under a fresh data key wrapped by `masterKey`. */
+function sealSecret(value, masterKey = loadMasterKey()) {
+  const dataKey = crypto.randomBytes(32);
+  const body = seal(dataKey, Buffer.from(String(value), "utf8"));
+  return { keyId: keyIdOf(masterKey), dek: seal(masterKey, dataKey), ...body };
+}
+
+/** Decrypts an envelope with the master key it names (current or previous). */
+function openSecret(doc, masterKey = null) {
+  let key = masterKey;
+  if (!key) {
+    const ring = loadKeyring();
+    key = doc.keyId ? ring.byId.get(doc.keyId) : ring.current;
+    if (!key) throw new Error(`secret ${doc.name || "(embedded)"} was sealed with an unknown master key (${doc.keyId})`);
+  } else if (doc.keyId && doc.keyId !== keyIdOf(key)) {
+    throw new Error(`secret ${doc.name} was sealed with another master key (${doc.keyId})`);
+  }
+  const value = open(open(key, doc.dek), doc).toString("utf8");
+  registerSecretValue(value);
+  return value;
+}
+
+function isSealed(v) {
+  return !!v && typeof v === "object" && !!v.dek && typeof v.data === "string";
+}
+
+function normalizeName(name) {
+  const s = String(name || "").trim();
+  if (!/^[a-zA-Z0-9_.:-]{1,100}$/.test(s)) throw new Error("invalid secret name");
+  return s;
+}
+
+function collection() {
+  return getDb().collection(env.SECRETS_COLLECTION || "secrets");
+}
+
+function publicMeta(doc) {
+  const { name, keyId, version, updatedBy, createdAt, updatedAt } = doc;
+  return { name, keyId, version, updatedBy: updatedBy || null, createdAt, updatedAt };
+}
+
+async function ensureSecretsIndexes() {
+  await collection().createIndex({ name: 1 }, { unique: true });
+}
+
+/** Decrypted value, or null when the secret is not stored. */
+async function getSecret(name) {
+  const doc = await collection().findOne({ name: normalizeName(name) });
+  return doc ? openSecret(doc) : null;
+}
+
+/**
+ * Store value (cached for a minute), else `fallback` — typically the legacy
+ * env variable — when the store is unconfigured, unreachable or lacks it.
+ */
+async function resolveSecret(name, fallback = null) {
+  const hit = _valueCache.get(name);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.value ?? fallback;
+  let value = null;
+  if (isSecretsConfigured()) {
+    try {
+      value = await getSecret(name);
+    } catch {
+      value = null;
+    }
+  }
+  _valueCache.set(name, { value, at: Date.now() });
+  return value ?? fallback;
+}
+
+/** Stores (or replaces) a secret; returns its metadata, never the value. */
+async function putSecret(name, value, { actor = null } = {}) {
+  const key = normalizeName(name);
+  if (value === undefined || value === null || String(value) === "") throw new Error("empty secret value");
+  const now = new Date();
+  const doc = await collection().findOneAndUpdate(
+    { name: key },
+    {
+      $set: { ...sealSecret(value), updatedBy: actor || null, updatedAt: now },
+      $inc: { version: 1 },
+      $setOnInsert: { createdAt: now },
+    },
+    { upsert: true, returnDocument: "after" },
+  );
+  _valueCache.delete(key);
+  registerSecretValue(value);
+  return publicMeta(doc);
+}
+
+async function deleteSecret(name) {
+  const key = normalizeName(name);
+  _valueCache.delete(key);
+  const res = await collection().deleteOne({ name: key });
+  return res.deletedCount > 0;
+}
+
+async function listSecrets() {
+  const rows = await collection().find({}).sort({ name: 1 }).toArray();
+  return rows.map(publicMeta);
+}
+
+/**
+ * Declares envelope fields embedded in another collection.
+ *   { label, collection: () => Collection, filter?, fields: [{ sealed, plain?, masked? }] }
+ * `plain` names the legacy plaintext field that rotation seals into `sealed`;
+ * `masked(value)` is what stays in `plain` afterwards (unset when omitted).
+ * `filter` limits rotation to the documents this engine owns in a shared
+ * collection.
+ */
+function registerSealedFields(spec) {
+  if (!spec?.label || typeof spec.collection !== "function" || !Array.isArray(spec.fields)) {
+    throw new Error("registerSealedFields needs { label, collection(), fields[] }");
+  }
+  const i = _sealedFields.findIndex((s) => s.label === spec.label);
+  if (i >= 0) _sealedFields.splice(i, 1);
+  _sealedFields.push(spec);
+}
+
+/** $set/$unset that seals `value` into `field.sealed` (and masks/unsets the plaintext). */
+function sealFieldUpdate(field, value) {
+  const update = { $set: { [field.sealed]: sealSecret(value) } };
+  if (field.plain) {
+    if (field.masked) update.$set[field.plain] = field.masked(value);
+    else update.$unset = { [field.plain]: "" };
+  }
+  return update;
+}
+
+async function rotateSealedFields(spec, { sealPlaintext }) {
+  const out = { label: spec.label, rotated: 0, sealed: 0, failed: [] };
+  let col;
+  try {
+    col = spec.collection();
+  } catch (e) {
+    out.failed.push({ error: e?.message || String(e) });
+    return out;
+  }
+  const docs = await col.find(spec.filter || {}).toArray();
+  for (const doc of docs) {
+    for (const field of spec.fields) {
+      try {
+        if (isSealed(doc[field.sealed])) {
+          await col.updateOne({ _id: doc._id }, { $set: { [field.sealed]: sealSecret(openSecret(doc[field.sealed])) } });
+          out.rotated += 1;
+        } else if (sealPlaintext && field.plain && typeof doc[field.plain] === "string" && doc[field.plain]) {
+          await col.updateOne({ _id: doc._id }, sealFieldUpdate(field, doc[field.plain]));
+          out.sealed += 1;
+        }
+      } catch (e) {
+        out.failed.push({ id: String(doc._id), field: field.sealed, error: e?.message || String(e) });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Re-seals every secret and registered envelope under a fresh data key and
+ * the current master key (old keys from SECRETS_PREVIOUS_MASTER_KEYS are
+ * used to open). With `sealPlaintext`, legacy plaintext fields get sealed too.
+ */
+async function rotateSecrets({ names = null, sealPlaintext = true, actor = null } = {}) {
+  const keyId = keyIdOf(loadMasterKey());
+  const filter = Array.isArray(names) && names.length ? { name: { $in: names.map(normalizeName) } } : {};
+  const docs = await collection().find(filter).toArray();
+  const store = { label: "secrets", rotated: 0, failed: [] };
+  for (const doc of docs) {
+    try {
+      const value = openSecret(doc);
+      await collection().updateOne(
+        { name: doc.name },
+        { $set: { ...sealSecret(value), rotatedAt: new Date(), updatedBy: actor || doc.updatedBy || null } },
+      );
+      store.rotated += 1;
+    } catch (e) {
+      store.failed.push({ name: doc.name, error: e?.message || String(e) });
+    }
+  }
+  _valueCache.clear();
+
+  const embedded = [];
+  if (!filter.name) {
+    for (const spec of _sealedFields) embedded.push(await rotateSealedFields(spec, { sealPlaintext }));
+  }
+  const failed = store.failed.length + embedded.reduce((s, e) => s + e.failed.length, 0);
+  return { ok: failed === 0, keyId, store, embedded };
+}
+
+function describeSecretsStore() {
+  const configured = isSecretsConfigured();
+  return {
+    configured,
+    keyId: configured ? keyIdOf(loadMasterKey()) : null,
+    previousKeys: configured ? loadKeyring().byId.size - 1 : 0,
+    collection: env.SECRETS_COLLECTION || "secrets",
+    sealedFields: _sealedFields.map((s) => ({ label: s.label, fields: s.fields.map((f) => f.sealed) })),
+  };
+}
+
+module.exports = {
+  loadMasterKey,
+  isSecretsConfigured,
+  sealSecret,
+  openSecret,
+  isSealed,
+  ensureSecretsIndexes,
+  getSecret,
+  resolveSecret,
+  putSecret,
+  deleteSecret,
+  listSecrets,
+  registerSealedFields,
+  sealFieldUpdate,
+  rotateSecrets,
+  describeSecretsStore,
+};
@@ -8,7 +8,10 @@ const {
 } = require("../kite/tickerManager");
 const { isHalted, getHaltInfo } = require("../runtime/halt");
 const { getTradingEnabled } = require("../runtime/tradingEnabled");
+const { getActiveConfigVersion } = require("../runtime/configVersions");
+const { getActiveConfigPreset } = require("../runtime/configPresets");
 const { getDb } = require("../db");
+const { getActiveTrades, tradeTransitions } = require("../trading/tradeStore");
 const { telemetry } = require("../telemetry/signalTelemetry");
 const { tradeTelemetry } = require("../telemetry/tradeTelemetry");
 const { optimizer } = require("../optimizer/adaptiveOptimizer");
@@ -20,7 +23,10 @@ const { getRiskLimits } = require("../risk/riskLimits");
 const { getStrategyKpis } = require("../telemetry/strategyKpi");
 const { getExecutionQuality } = require("../execution/executionStats");
 const { marketHealth } = require("../market/marketHealth");
-const { listAuditLogs } = require("../audit/auditLog");
+const { regimeService } = require("../strategy/regimeService");
+const { listAuditLogs, recordAudit } = require("../audit/auditLog");
+const { buildRbac } = require("../security/rbac");
+const { hasPermission } = require("../security/permissions");
 const { listChannels, listIncidents } = require("../alerts/notificationCenter");
 const { getMarketCalendarMeta } = require("../market/marketCalendar");
 const { getLastFnoUniverse } = require("../fno/fnoUniverse");
@@ -33,6 +39,8 @@ const {
   normalizeTradeRow,
 } = require("../trading/tradeNormalization");
 
+const TRADE_TRANSITIONS_ROOM = "trades:transition";
+
 function parseCorsAllowList() {
   const raw = String(env.CORS_ORIGIN || "*").trim();
   return raw
@@ -61,29 +69,36 @@ function corsOriginFn(origin, cb) {
   }
 }
 
-function assertAdminKey(socket) {
-  const expected = env.ADMIN_API_KEY;
-
-  // In production, require a key.
-  if (!expected && env.NODE_ENV === "production") {
-    const err = new Error("ADMIN_API_KEY not configured");
-    err.data = { code: "ADMIN_API_KEY_MISSING" };
-    throw err;
+/**
+ * Resolves the handshake (auth.apiKey, x-api-key or a Bearer header) to a
+ * principal with `read` permission, the same way /admin/* does, and audits
+ * the outcome. The principal is kept on `socket.data.principal`.
+ */
+async function assertAdminKey(socket, rbac) {
+  const handshake = socket?.handshake || {};
+  const out = await rbac.resolvePrincipal(handshake.headers || {}, handshake.auth?.apiKey || null);
+  const meta = { sid: socket?.id || null, address: handshake.address || null };
+
+  let err = null;
+  if (!out.principal) {
+    err = new Error("unauthorized");
+    err.data = { code: "UNAUTHORIZED" };
+  } else if (!hasPermission(out.principal.permissions, "read")) {
+    err = new Error("forbidden");
+    err.data = { code: "FORBIDDEN", permission: "read" };
   }
 
-  // In dev, if key is not set, allow.
-  if (!expected) return;
-
-  const provided =
-    socket?.handshake?.auth?.apiKey ||
-    socket?.handshake?.headers?.["x-api-key"] ||
-    null;
-
-  if (provided && provided === expected) return;
-
-  const err = new Error("unauthorized");
-  err.data = { code: "UNAUTHORIZED" };
-  throw err;
+  await recordAudit({
+    actor: out.principal?.actor || null,
+    action: "socket_connect",
+    resource: "socket",
+    status: err ? "error" : "ok",
+    meta: err ? { ...meta, error: err.message, reason: out.reason || null, keyId: out.keyId || null } : meta,
+  }).catch(() => null);
+
+  if (err) throw err;
+  socket.data.principal = out.principal;
+  return out.principal;
 }
 
 async function buildStatusSnapshot() {
@@ -115,6 +130,7 @@ async function buildStatusSnapshot() {
   const state = status?.dailyRiskState ?? status?.dailyRisk?.state ?? "RUNNING";
   const activeTrade = normalizeActiveTrade(status?.activeTrade);
   const activeTradeId = status?.activeTradeId ?? null;
+  const activeTrades = (status?.activeTrades || []).map((t) => normalizeActiveTrade(t));
   const targetMode =
     activeTrade?.optTargetMode ||
     (activeTrade?.targetVirtual ? "VIRTUAL" : null) ||
@@ -154,6 +170,8 @@ async function buildStatusSnapshot() {
     ...status,
     tradingEnabled: status?.tradingEnabled ?? getTradingEnabled(),
     killSwitch: status?.killSwitch ?? false,
+    configVersion: getActiveConfigVersion(),
+    configPreset: getActiveConfigPreset(),
     halted,
     haltInfo: getHaltInfo(),
     ticker: normalizedTicker,
@@ -164,6 +182,7 @@ async function buildStatusSnapshot() {
     state,
     activeTradeId,
     activeTrade,
+    activeTrades,
     tradeTracking,
     systemHealth,
   };
@@ -351,23 +370,32 @@ function attachSocketServer(httpServer) {
     transports: ["websocket", "polling"],
   });
 
+  const rbac = buildRbac();
   io.use((socket, next) => {
-    try {
-      assertAdminKey(socket);
-      return next();
-    } catch (e) {
-      return next(e);
-    }
+    assertAdminKey(socket, rbac)
+      .then(() => next())
+      .catch((e) => next(e));
   });
 
+  // One transition listener per server, fanned out through a room; a listener
+  // per connection would grow with the number of clients.
+  const broadcastTradeTransition = (row) => {
+    io.to(TRADE_TRANSITIONS_ROOM).emit("trades:transition", { ok: true, ...row });
+  };
+  tradeTransitions.on("transition", broadcastTradeTransition);
+  httpServer.once("close", () => tradeTransitions.off("transition", broadcastTradeTransition));
+
   io.on("connection", (socket) => {
     const sid = socket.id;
+    socket.join(TRADE_TRANSITIONS_ROOM);
 
     socket.emit("server:hello", {
       ok: true,
       sid,
       now: new Date().toISOString(),
       env: env.NODE_ENV,
+      actor: socket.data.principal?.actor || null,
+      role: socket.data.principal?.role || null,
     });
 
     const timers = new Map();
@@ -437,7 +465,13 @@ function attachSocketServer(httpServer) {
         .sort({ createdAt: -1 })
         .limit(safeLimit)
         .toArray();
-      return { ok: true, rows: rows.map((row) => normalizeTradeRow(row)), limit: safeLimit };
+      const actives = await getActiveTrades();
+      return {
+        ok: true,
+        rows: rows.map((row) => normalizeTradeRow(row)),
+        activeTrades: actives.map((row) => normalizeTradeRow(row)),
+        limit: safeLimit,
+      };
     };
 
     const sendTradesSnapshot = async (limit = 50) => {
@@ -467,6 +501,15 @@ function attachSocketServer(httpServer) {
 
     // trades: keep a per-socket tail cursor
     let tradesCursorMs = 0;
+    let activeTradeIdsKey = "";
+
+    const getActiveTradeIds = () => {
+      try {
+        return Array.from(getPipeline()?.trader?.activeTrades?.keys?.() || []);
+      } catch {
+        return [];
+      }
+    };
 
     const pollTradesDelta = async () => {
       const since = tradesCursorMs;
@@ -485,9 +528,17 @@ function attachSocketServer(httpServer) {
           last.updatedAt || last.createdAt || Date.now(),
         ).getTime();
         if (Number.isFinite(lastMs) && lastMs > tradesCursorMs) tradesCursorMs = lastMs;
+      }
+
+      // Open/close of any concurrent trade also changes the active set.
+      const activeTradeIds = getActiveTradeIds();
+      const idsKey = activeTradeIds.join(",");
+      if (rows.length || idsKey !== activeTradeIdsKey) {
+        activeTradeIdsKey = idsKey;
         socket.emit("trades:delta", {
           ok: true,
           rows: rows.map((row) => normalizeTradeRow(row)),
+          activeTradeIds,
         });
       }
     };
@@ -610,6 +661,14 @@ function attachSocketServer(httpServer) {
       emitIfChanged("market:health", "market:health", { ok: true, ...data });
     };
 
+    const sendRegimeSnapshot = async () => {
+      emitIfChanged("regime", "regime", { ok: true, ...regimeService.snapshot() });
+    };
+
+    const handleRegimeChange = (row) => {
+      socket.emit("regime:change", { ok: true, ...row });
+    };
+
     const sendAuditLogsSnapshot = async () => {
       const rows = await listAuditLogs({ limit: 100 });
       emitIfChanged("audit:logs", "audit:logs", { ok: true, rows });
@@ -691,6 +750,7 @@ function attachSocketServer(httpServer) {
       sendStrategyKpisSnapshot().catch((err) => { reportFault({ code: "SOCKET_SOCKETSERVER_ASYNC", err, message: "[src/socket/socketServer.js] async task failed" }); });
       sendExecutionQualitySnapshot().catch((err) => { reportFault({ code: "SOCKET_SOCKETSERVER_ASYNC", err, message: "[src/socket/socketServer.js] async task failed" }); });
       sendMarketHealthSnapshot().catch((err) => { reportFault({ code: "SOCKET_SOCKETSERVER_ASYNC", err, message: "[src/socket/socketServer.js] async task failed" }); });
+      sendRegimeSnapshot().catch((err) => { reportFault({ code: "SOCKET_SOCKETSERVER_ASYNC", err, message: "[src/socket/socketServer.js] async task failed" }); });
       sendAuditLogsSnapshot().catch((err) => { reportFault({ code: "SOCKET_SOCKETSERVER_ASYNC", err, message: "[src/socket/socketServer.js] async task failed" }); });
       sendAlertsChannelsSnapshot().catch((err) => { reportFault({ code: "SOCKET_SOCKETSERVER_ASYNC", err, message: "[src/socket/socketServer.js] async task failed" }); });
       sendAlertsIncidentsSnapshot().catch((err) => { reportFault({ code: "SOCKET_SOCKETSERVER_ASYNC", err, message: "[src/socket/socketServer.js] async task failed" }); });
@@ -730,6 +790,8 @@ function attachSocketServer(httpServer) {
       sendExecutionQualitySnapshot,
     );
     startTimer("market:health", defaultSnapshotIntervalMs, sendMarketHealthSnapshot);
+    startTimer("regime", defaultSnapshotIntervalMs, sendRegimeSnapshot);
+    regimeService.on("change", handleRegimeChange);
     startTimer("audit:logs", defaultSnapshotIntervalMs, sendAuditLogsSnapshot);
     startTimer(
       "alerts:channels",
@@ -985,10 +1047,11 @@ function attachSocketServer(httpServer) {
       chartSubs.clear();
       ltpSubs.clear();
       ltpStream.off("tick", handleLtpTick);
+      regimeService.off("change", handleRegimeChange);
       logger.info({ sid }, "[socket] disconnect");
     });
 
-    logger.info({ sid }, "[socket] connected");
+    logger.info({ sid, actor: socket.data.principal?.actor || null }, "[socket] connected");
   });
 
   logger.info({ path: env.SOCKET_PATH || "/socket.io" }, "[socket] attached");
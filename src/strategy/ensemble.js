@@ -0,0 +1,275 @@
+const { env } = require("../config");
+const { logger } = require("../logger");
+const { reportFault } = require("../runtime/errorBus");
+const { optimizer } = require("../optimizer/adaptiveOptimizer");
+const { getStrategyKpis } = require("../telemetry/strategyKpi");
+
+/**
+ * Multi-strategy signal ensemble.
+ *
+ * Modes (ENSEMBLE_MODE):
+ * - MAX_CONFIDENCE   : highest confidence wins (legacy behaviour; tie -> STRATEGIES order)
+ * - WEIGHTED_VOTE    : per-side sum of weight×confidence; the winning side must lead
+ *                      by ENSEMBLE_MIN_MARGIN of the total vote
+ * - UNANIMOUS_FAMILY : families whose members disagree abstain; best of the rest wins
+ * - VETO_OPPOSING    : best signal is vetoed if another family signals the opposite
+ *                      side with confidence >= ENSEMBLE_VETO_MIN_CONF
+ *
+ * Weights (ENSEMBLE_WEIGHT_SOURCE): NONE | KPI (strategyKpi sharpe) | OPTIMIZER
+ * (rolling feeMultiple window for the current time bucket).
+ */
+
+const MODES = ["MAX_CONFIDENCE", "WEIGHTED_VOTE", "UNANIMOUS_FAMILY", "VETO_OPPOSING"];
+
+function n(x, d = NaN) {
+  const v = Number(x);
+  return Number.isFinite(v) ? v : d;
+}
+
+function clamp(x, lo, hi) {
+  return Math.max(lo, Math.min(hi, x));
+}
+
+function resolveMode(raw) {
+  const m = String(raw || "MAX_CONFIDENCE").trim().toUpperCase();
+  return MODES.includes(m) ? m : "MAX_CONFIDENCE";
+}
+
+function opposite(side) {
+  return String(side).toUpperCase() === "BUY" ? "SELL" : "BUY";
+}
+
+class EnsembleWeights {
+  constructor() {
+    this._kpi = new Map(); // strategyId -> { sharpe, trades }
+    this._kpiAt = null;
+    this._timer = null;
+  }
+
+  get source() {
+    return String(env.ENSEMBLE_WEIGHT_SOURCE || "NONE").trim().toUpperCase();
+  }
+
+  async start() {
+    if (this.source !== "KPI") return { ok: true, source: this.source };
+    const out = await this.refreshKpi();
+    const sec = n(env.ENSEMBLE_KPI_REFRESH_SEC, 300);
+    if (!this._timer && sec > 0) {
+      this._timer = setInterval(() => {
+        this.refreshKpi().catch((err) => { reportFault({ code: "STRATEGY_ENSEMBLE_ASYNC", err, message: "[src/strategy/ensemble.js] kpi refresh failed" }); });
+      }, sec * 1000);
+      this._timer.unref?.();
+    }
+    return out;
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  async refreshKpi() {
+    try {
+      const data = await getStrategyKpis({ limit: n(env.ENSEMBLE_KPI_LIMIT, 500) });
+      this.setKpi(data?.strategies || []);
+      return { ok: true, source: "KPI", count: this._kpi.size };
+    } catch (e) {
+      logger.warn({ err: e?.message || String(e) }, "[ensemble] kpi refresh failed");
+      return { ok: false, source: "KPI", error: e?.message || String(e) };
+    }
+  }
+
+  setKpi(rows) {
+    this._kpi.clear();
+    for (const r of rows || []) {
+      if (!r?.strategyId) continue;
+      this._kpi.set(String(r.strategyId), {
+        sharpe: n(r.sharpe, null),
+        trades: n(r.trades, 0),
+      });
+    }
+    this._kpiAt = new Date();
+  }
+
+  weightFor(strategyId, { nowTs = Date.now(), source = this.source } = {}) {
+    const lo = n(env.ENSEMBLE_WEIGHT_MIN, 0.25);
+    const hi = n(env.ENSEMBLE_WEIGHT_MAX, 2);
+    const minSamples = n(env.ENSEMBLE_WEIGHT_MIN_SAMPLES, 20);
+
+    if (source === "KPI") {
+      const k = this._kpi.get(String(strategyId));
+      if (!k || k.trades < minSamples || !Number.isFinite(k.sharpe)) return 1;
+      return clamp(1 + k.sharpe, lo, hi);
+    }
+
+    if (source === "OPTIMIZER") {
+      const w = optimizer.strategyWindow({ strategyId, nowTs });
+      const thr = n(w.feeMultipleMin, 0);
+      if (w.n < minSamples || !Number.isFinite(w.avg) || thr <= 0) return 1;
+      return clamp(w.avg / thr, lo, hi);
+    }
+
+    return 1;
+  }
+
+  snapshot() {
+    const kpi = {};
+    for (const [k, v] of this._kpi.entries()) kpi[k] = v;
+    return { source: this.source, kpiAt: this._kpiAt, kpi };
+  }
+}
+
+const ensembleWeights = new EnsembleWeights();
+
+/**
+ * Combine candidate signals (already in STRATEGIES order) into one decision.
+ *
+ * Returns:
+ *   { signal|null, mode, outcome, reason, conflictScore, contributors, opposing, suppressed }
+ * where `suppressed` lists candidates on the opposite side of the emitted signal.
+ */
+function combineSignals(signals, { mode, weightFor, nowTs = Date.now() } = {}) {
+  const m = resolveMode(mode ?? env.ENSEMBLE_MODE);
+  const getWeight =
+    typeof weightFor === "function"
+      ? weightFor
+      : (id) => ensembleWeights.weightFor(id, { nowTs });
+
+  const rows = (signals || [])
+    .filter((s) => s && (s.side === "BUY" || s.side === "SELL"))
+    .map((s, idx) => {
+      const weight = n(getWeight(s.strategyId), 1);
+      const confidence = n(s.confidence, 0);
+      return { s, idx, weight, confidence, vote: weight * confidence };
+    });
+
+  const empty = {
+    signal: null,
+    mode: m,
+    outcome: "NO_CANDIDATES",
+    reason: null,
+    conflictScore: 0,
+    contributors: [],
+    opposing: [],
+    suppressed: [],
+  };
+  if (!rows.length) return empty;
+
+  const sideVote = { BUY: 0, SELL: 0 };
+  for (const r of rows) sideVote[r.s.side] += r.vote;
+  const total = sideVote.BUY + sideVote.SELL;
+  const conflictScore =
+    total > 0 ? (2 * Math.min(sideVote.BUY, sideVote.SELL)) / total : 0;
+
+  const byConfidence = (list) =>
+    list.slice().sort((a, b) => b.confidence - a.confidence || a.idx - b.idx);
+
+  const summarize = (r) => ({
+    strategyId: r.s.strategyId,
+    strategyFamily: r.s.strategyFamily || null,
+    side: r.s.side,
+    confidence: r.confidence,
+    weight: Number(r.weight.toFixed(4)),
+  });
+
+  const finish = (winner, { outcome = "SELECTED", reason = null, confidence } = {}) => {
+    const base = { mode: m, conflictScore: Number(conflictScore.toFixed(4)) };
+    if (!winner) {
+      return {
+        ...base,
+        signal: null,
+        outcome,
+        reason,
+        contributors: [],
+        opposing: byConfidence(rows).map(summarize),
+        suppressed: [],
+      };
+    }
+    const side = winner.s.side;
+    const same = rows.filter((r) => r.s.side === side);
+    const opp = rows.filter((r) => r.s.side !== side);
+    const contributors = byConfidence(same).map(summarize);
+    const opposing = byConfidence(opp).map(summarize);
+    const ensemble = {
+      mode: m,
+      conflictScore: base.conflictScore,
+      contributors: contributors.map((c) => c.strategyId),
+      opposing: opposing.map((c) => c.strategyId),
+      votes: { BUY: Number(sideVote.BUY.toFixed(2)), SELL: Number(sideVote.SELL.toFixed(2)) },
+      weightSource: typeof weightFor === "function" ? "CUSTOM" : ensembleWeights.source,
+    };
+    return {
+      ...base,
+      signal: {
+        ...winner.s,
+        confidence: Number.isFinite(confidence) ? confidence : winner.s.confidence,
+        ensemble,
+      },
+      outcome,
+      reason,
+      contributors,
+      opposing,
+      suppressed: opposing,
+    };
+  };
+
+  if (m === "WEIGHTED_VOTE") {
+    const minMargin = n(env.ENSEMBLE_MIN_MARGIN, 0.2);
+    if (total <= 0) return finish(null, { outcome: "NO_CONSENSUS", reason: "zero_vote" });
+    const side = sideVote.BUY >= sideVote.SELL ? "BUY" : "SELL";
+    const margin = (sideVote[side] - sideVote[opposite(side)]) / total;
+    if (margin < minMargin) {
+      return finish(null, {
+        outcome: "NO_CONSENSUS",
+        reason: `vote margin ${margin.toFixed(2)} < ${minMargin}`,
+      });
+    }
+    const same = rows.filter((r) => r.s.side === side);
+    const wsum = same.reduce((a, r) => a + r.weight, 0);
+    const confidence =
+      wsum > 0
+        ? Number((same.reduce((a, r) => a + r.vote, 0) / wsum).toFixed(2))
+        : undefined;
+    return finish(byConfidence(same)[0], { confidence });
+  }
+
+  if (m === "UNANIMOUS_FAMILY") {
+    const sidesByFamily = new Map();
+    for (const r of rows) {
+      const fam = r.s.strategyFamily || r.s.strategyId;
+      const set = sidesByFamily.get(fam) || new Set();
+      set.add(r.s.side);
+      sidesByFamily.set(fam, set);
+    }
+    const eligible = rows.filter(
+      (r) => sidesByFamily.get(r.s.strategyFamily || r.s.strategyId).size === 1,
+    );
+    if (!eligible.length) {
+      return finish(null, { outcome: "NO_CONSENSUS", reason: "all families split" });
+    }
+    return finish(byConfidence(eligible)[0]);
+  }
+
+  const best = byConfidence(rows)[0];
+
+  if (m === "VETO_OPPOSING") {
+    const vetoMin = n(env.ENSEMBLE_VETO_MIN_CONF, 60);
+    const veto = byConfidence(rows).find(
+      (r) =>
+        r.s.side !== best.s.side &&
+        (r.s.strategyFamily || r.s.strategyId) !==
+          (best.s.strategyFamily || best.s.strategyId) &&
+        r.confidence >= vetoMin,
+    );
+    if (veto) {
+      return finish(null, {
+        outcome: "VETOED",
+        reason: `${veto.s.strategyId} ${veto.s.side} (${veto.confidence}) vetoes ${best.s.strategyId} ${best.s.side}`,
+      });
+    }
+  }
+
+  return finish(best);
+}
+
+module.exports = { combineSignals, ensembleWeights, MODES, resolveMode };
@@ -0,0 +1,281 @@
+const { env } = require("../config");
+const { getRecentCandles } = require("../market/candleStore");
+const { reportFault } = require("../runtime/errorBus");
+
+/**
+ * Multi-timeframe confirmation stage.
+ *
+ * Checks a signal against the EMA trend of one or more higher timeframes and
+ * returns a confirm/veto decision. Shared by live evaluation (candles pulled
+ * from the pipeline CandleCache, falling back to candleStore), signal replay
+ * and bt_run (higher timeframes resampled from the signal-interval series so
+ * there is no lookahead).
+ *
+ * Confirmation intervals: MULTI_TF_INTERVALS (explicit list) or
+ * MULTI_TF_INTERVAL_MIN followed by every CANDLE_INTERVALS entry above the
+ * signal interval. MULTI_TF_REQUIRE=FIRST lets the first interval with enough
+ * data decide (legacy behaviour); ALL requires every interval with data to agree.
+ *
+ * Decision: { ok, decision: CONFIRM|VETO|SKIP, reason, reasons, meta }
+ * where meta keeps the legacy shape (usedIntervalMin, emaFast, emaSlow, trend,
+ * strengthBps, ...) plus per-interval `frames`.
+ */
+
+function parseIntervals(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => Number(s.trim()))
+    .filter((n) => Number.isFinite(n) && n > 0);
+}
+
+function isEnabled() {
+  return (
+    String(env.REGIME_FILTERS_ENABLED) === "true" &&
+    String(env.MULTI_TF_ENABLED || "true") === "true" &&
+    String(env.MULTI_TF_MODE || "TREND_ONLY").toUpperCase() !== "OFF"
+  );
+}
+
+function emaParams() {
+  const fastLen = Number(env.MULTI_TF_EMA_FAST ?? 9);
+  const slowLen = Number(env.MULTI_TF_EMA_SLOW ?? 21);
+  return {
+    fastLen,
+    slowLen,
+    minCandles: Math.max(slowLen + 10, 40),
+    limit: Math.max(80, Number(env.MTF_LOOKBACK_LIMIT ?? 200)),
+  };
+}
+
+function confirmationIntervals(intervalMin) {
+  const sigIv = Number(intervalMin);
+  const explicit = parseIntervals(env.MULTI_TF_INTERVALS);
+  if (explicit.length) return Array.from(new Set(explicit));
+
+  const base = Number(env.MULTI_TF_INTERVAL_MIN ?? 5);
+  const higher = parseIntervals(env.CANDLE_INTERVALS || "1,3")
+    .filter((iv) => !Number.isFinite(sigIv) || iv > sigIv)
+    .sort((a, b) => a - b);
+  const out = [];
+  if (Number.isFinite(base) && base > 0) out.push(base);
+  for (const iv of higher) if (!out.includes(iv)) out.push(iv);
+  return out;
+}
+
+function emaLast(values, period) {
+  const p = Math.max(1, Number(period ?? 1));
+  if (values.length < p) return NaN;
+  const k = 2 / (p + 1);
+  let ema = values.slice(0, p).reduce((a, b) => a + b, 0) / p;
+  for (let i = p; i < values.length; i++) {
+    ema = values[i] * k + ema * (1 - k);
+  }
+  return ema;
+}
+
+function trendFromCandles(candles, intervalMin, { fastLen, slowLen, minCandles }) {
+  if (!Array.isArray(candles) || candles.length < minCandles) return null;
+  const closes = candles
+    .map((c) => Number(c.close))
+    .filter((x) => Number.isFinite(x));
+  if (closes.length < Math.max(slowLen + 5, 30)) return null;
+
+  const emaFast = emaLast(closes, fastLen);
+  const emaSlow = emaLast(closes, slowLen);
+  const lastClose = closes[closes.length - 1];
+
+  let trend = "FLAT";
+  if (Number.isFinite(emaFast) && Number.isFinite(emaSlow)) {
+    if (emaFast > emaSlow) trend = "UP";
+    else if (emaFast < emaSlow) trend = "DOWN";
+  }
+  const diff =
+    Number.isFinite(emaFast) && Number.isFinite(emaSlow)
+      ? Math.abs(emaFast - emaSlow)
+      : null;
+  const strengthBps =
+    Number.isFinite(diff) && Number.isFinite(lastClose) && lastClose > 0
+      ? (diff / lastClose) * 10000
+      : null;
+
+  return {
+    usedIntervalMin: intervalMin,
+    emaFastLen: fastLen,
+    emaSlowLen: slowLen,
+    emaFast,
+    emaSlow,
+    lastClose,
+    trend,
+    strengthBps,
+  };
+}
+
+function shouldConfirmStyle(style) {
+  const mode = String(env.MULTI_TF_MODE || "TREND_ONLY").toUpperCase();
+  if (mode === "ALL") return true;
+  return mode === "TREND_ONLY" && String(style || "").toUpperCase() !== "RANGE";
+}
+
+/**
+ * Pure decision over already-loaded frames ([{ intervalMin, candles }] in
+ * priority order).
+ */
+function decideMultiTf({ side, style, frames }) {
+  if (!isEnabled()) {
+    return { ok: true, decision: "SKIP", reason: "multi_tf_disabled", reasons: [], meta: null };
+  }
+
+  const params = emaParams();
+  const requireAll = String(env.MULTI_TF_REQUIRE || "FIRST").toUpperCase() === "ALL";
+  const trends = [];
+  for (const f of frames || []) {
+    const t = trendFromCandles(f.candles, Number(f.intervalMin), params);
+    if (!t) continue;
+    trends.push(t);
+    if (!requireAll) break;
+  }
+  if (!trends.length) {
+    return { ok: true, decision: "SKIP", reason: "multi_tf_no_data", reasons: [], meta: null };
+  }
+
+  const primary = trends[0];
+  const meta = {
+    ...primary,
+    frames: trends.map((t) => ({
+      intervalMin: t.usedIntervalMin,
+      trend: t.trend,
+      strengthBps: t.strengthBps,
+    })),
+  };
+
+  const s = String(side || "").toUpperCase();
+  if (shouldConfirmStyle(style)) {
+    const reasons = [];
+    for (const t of trends) {
+      if (!Number.isFinite(t.emaFast) || !Number.isFinite(t.emaSlow)) continue;
+      const trendOk = s === "BUY" ? t.emaFast > t.emaSlow : t.emaFast < t.emaSlow;
+      if (!trendOk) reasons.push(`${t.usedIntervalMin}m trend ${t.trend} vs ${s}`);
+    }
+    if (reasons.length) {
+      return { ok: false, decision: "VETO", reason: "MULTI_TF_TREND_MISMATCH", reasons, meta };
+    }
+    return { ok: true, decision: "CONFIRM", reason: null, reasons: [], meta };
+  }
+
+  // Optional mean-reversion safety: avoid fading into strong higher-TF trend
+  if (
+    String(style || "").toUpperCase() === "RANGE" &&
+    String(env.RANGE_AVOID_TREND || "false") === "true"
+  ) {
+    const strength = primary.strengthBps;
+    const maxBps = Number(env.RANGE_MAX_TREND_STRENGTH_BPS ?? 40);
+    if (Number.isFinite(strength) && Number.isFinite(maxBps) && strength > maxBps) {
+      return {
+        ok: false,
+        decision: "VETO",
+        reason: `RANGE_STRONG_TREND (${Math.round(strength)}bps > ${Math.round(maxBps)}bps)`,
+        reasons: [`${primary.usedIntervalMin}m strength ${Math.round(strength)}bps`],
+        meta,
+      };
+    }
+  }
+
+  return { ok: true, decision: "SKIP", reason: "multi_tf_not_required", reasons: [], meta };
+}
+
+/**
+ * Aggregate `fromMin` candles into `toMin` buckets (IST session-aligned for
+ * the usual 3/5/15m multiples). The trailing bucket is dropped unless complete.
+ */
+function resampleCandles(candles, fromMin, toMin) {
+  const from = Number(fromMin);
+  const to = Number(toMin);
+  if (!Array.isArray(candles) || !candles.length) return [];
+  if (!(from > 0) || !(to > 0) || to % from !== 0) return [];
+  if (to === from) return candles.slice();
+
+  const bucketMs = to * 60_000;
+  const out = [];
+  let cur = null;
+  let lastTs = null;
+  for (const c of candles) {
+    const ts = new Date(c?.ts).getTime();
+    if (!Number.isFinite(ts)) continue;
+    const start = Math.floor(ts / bucketMs) * bucketMs;
+    if (!cur || cur._start !== start) {
+      if (cur) out.push(cur);
+      cur = {
+        _start: start,
+        instrument_token: c.instrument_token,
+        interval_min: to,
+        ts: new Date(start),
+        open: Number(c.open),
+        high: Number(c.high),
+        low: Number(c.low),
+        close: Number(c.close),
+        volume: Number(c.volume ?? 0),
+      };
+    } else {
+      cur.high = Math.max(cur.high, Number(c.high));
+      cur.low = Math.min(cur.low, Number(c.low));
+      cur.close = Number(c.close);
+      cur.volume += Number(c.volume ?? 0);
+    }
+    lastTs = ts;
+  }
+  if (cur && lastTs + from * 60_000 >= cur._start + bucketMs) out.push(cur);
+  return out.map(({ _start, ...c }) => c);
+}
+
+/**
+ * Replay/backtest flavour: resample the signal-interval series (sync).
+ * Only confirmation intervals that are multiples of the signal interval apply.
+ */
+function confirmMultiTfFromCandles({ candles, intervalMin, side, style }) {
+  if (!isEnabled()) return decideMultiTf({ side, style, frames: [] });
+  const sigIv = Number(intervalMin);
+  const { minCandles } = emaParams();
+  const frames = confirmationIntervals(sigIv)
+    .filter((iv) => iv >= sigIv && iv % sigIv === 0)
+    .map((iv) => {
+      // Only the tail is needed; keeps per-bar cost flat in long backtests.
+      const ratio = iv / sigIv;
+      const tail = (candles || []).slice(-(minCandles + 2) * ratio);
+      return { intervalMin: iv, candles: resampleCandles(tail, sigIv, iv) };
+    });
+  return decideMultiTf({ side, style, frames });
+}
+
+/**
+ * Live flavour: CandleCache first (if provided), then candleStore.
+ */
+async function confirmMultiTf({ token, intervalMin, side, style, candleCache = null }) {
+  if (!isEnabled()) return decideMultiTf({ side, style, frames: [] });
+  const { limit, minCandles } = emaParams();
+  const requireAll = String(env.MULTI_TF_REQUIRE || "FIRST").toUpperCase() === "ALL";
+
+  const frames = [];
+  for (const iv of confirmationIntervals(intervalMin)) {
+    let cs = candleCache ? candleCache.getCandles(token, iv, limit) : [];
+    if (!cs || cs.length < minCandles) {
+      try {
+        cs = await getRecentCandles(token, iv, limit);
+      } catch (err) {
+        reportFault({ code: "STRATEGY_MULTITFSTAGE_CATCH", err, message: "[src/strategy/multiTfStage.js] caught and continued" });
+        cs = null;
+      }
+    }
+    if (!cs || cs.length < minCandles) continue;
+    frames.push({ intervalMin: iv, candles: cs });
+    if (!requireAll) break;
+  }
+  return decideMultiTf({ side, style, frames });
+}
+
+module.exports = {
+  confirmationIntervals,
+  decideMultiTf,
+  resampleCandles,
+  confirmMultiTf,
+  confirmMultiTfFromCandles,
+};
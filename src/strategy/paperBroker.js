@@ -1,38 +1,289 @@
-class PaperBroker {
-  constructor({ slippageBps = 5, partialFillPct = 0.6 } = {}) {
-    this.orders = new Map();
-    this.positions = new Map();
-    this.slippageBps = Number(slippageBps);
-    this.partialFillPct = Number(partialFillPct);
-  }
-
-  placeOrder(order) {
-    const id = `PB-${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
-    this.orders.set(id, { ...order, order_id: id, status: "OPEN", filled_quantity: 0 });
-    return { order_id: id };
-  }
-
-  onTick({ tradingsymbol, price }) {
-    for (const [id, o] of this.orders.entries()) {
-      if (o.tradingsymbol !== tradingsymbol || o.status !== "OPEN") continue;
-      const qty = Number(o.quantity ?? 0);
-      if (qty <= 0) continue;
-      const fillQty = Math.max(1, Math.floor(qty * this.partialFillPct));
-      const bps = this.slippageBps / 10000;
-      const fillPx =
-        String(o.transaction_type || "BUY").toUpperCase() === "BUY"
-          ? Number(price) * (1 + bps)
-          : Number(price) * (1 - bps);
-      o.filled_quantity = Math.min(qty, Number(o.filled_quantity ?? 0) + fillQty);
-      o.average_price = fillPx;
-      o.status = o.filled_quantity >= qty ? "COMPLETE" : "PARTIAL";
-      this.orders.set(id, o);
+const { env } = require("../config");
+const { logger } = require("../logger");
+const { SimKiteClient, roundToTick } = require("../backtest/simKite");
+const { getInstrumentBySymbol, ensureInstrumentBySymbol } = require("../instruments/instrumentRepo");
+
+/**
+ * Paper trading broker (TRADING_MODE=paper).
+ *
+ * Implements the KiteConnect surface TradeManager uses on top of the
+ * simulated exchange in backtest/simKite.js, but on wall-clock time and the
+ * live feed:
+ * - orders rest locally and are matched on every tick of their instrument;
+ *   when the tick carries depth (full mode) MARKET/SL-M orders walk the book
+ *   and marketable LIMIT/SL orders take levels up to their price; resting
+ *   limits fill when the LTP trades through them. Without depth, fills fall
+ *   back to the LTP spread/slippage model;
+ * - SL / SL-M orders wait in TRIGGER PENDING until the LTP crosses the trigger;
+ * - entry checks mirror Kite: instrument tick size, lot multiples and freeze
+ *   quantity for F&O, product/segment combinations and available margin;
+ * - order updates are delivered through `onOrderUpdate`, i.e. the same
+ *   handler the live ticker's "order_update" event uses.
+ *
+ * Quotes, LTP, instruments, historical data and order margin estimates are
+ * read from the live client. Paper orders and positions live in memory only.
+ */
+
+const PRODUCTS = new Set(["MIS", "NRML", "CNC", "MTF"]);
+const DERIVATIVE_EXCHANGES = new Set(["NFO", "BFO", "MCX", "CDS", "BCD"]);
+
+function n(v, d = null) {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+}
+
+function parseLeverage(raw) {
+  const out = {};
+  for (const part of String(raw || "").split(",")) {
+    const [k, v] = part.split(":").map((s) => s.trim());
+    if (k && Number(v) > 0) out[k.toUpperCase()] = Number(v);
+  }
+  return out;
+}
+
+function cloneDepth(depth) {
+  const side = (arr) =>
+    (Array.isArray(arr) ? arr : [])
+      .map((l) => ({ price: n(l?.price, 0), quantity: Math.max(0, Math.floor(n(l?.quantity, 0))) }))
+      .filter((l) => l.price > 0 && l.quantity > 0);
+  return { buy: side(depth?.buy), sell: side(depth?.sell) };
+}
+
+function isPaperMode(cfg = env) {
+  return String(cfg.TRADING_MODE || "live").toLowerCase() === "paper";
+}
+
+class PaperBroker extends SimKiteClient {
+  /**
+   * @param {object} opts
+   * @param {object} [opts.live] session broker adapter used for market data reads
+   * @param {Function} opts.onOrderUpdate receives Kite-shaped order updates
+   */
+  constructor({
+    live = null,
+    onOrderUpdate,
+    startingCash = 1_000_000,
+    latencyMs = 150,
+    slippageBps = 2,
+    spreadBps = 6,
+    leverage = { MIS: 5, NRML: 1, CNC: 1 },
+    freezeQty = 0,
+    timezone = "Asia/Kolkata",
+  } = {}) {
+    super({
+      clock: { nowMs: () => Date.now() },
+      ticker: { pushOrderUpdate: (order) => this._emit(order) },
+      model: { spreadBps, slippageBps },
+      seed: Date.now() % 2_147_483_647,
+      latencyMs,
+      startingCash,
+      leverage,
+      timezone,
+      // Kite-like 16-digit ids that stay unique across restarts.
+      orderIdBase: Date.now() * 1000,
+      placedBy: "PAPER",
+    });
+    this.live = live;
+    this.onOrderUpdate = typeof onOrderUpdate === "function" ? onOrderUpdate : () => {};
+    this.slippageBps = Math.max(0, n(slippageBps, 0));
+    this.freezeQty = Math.max(0, n(freezeQty, 0));
+    this._books = new Map(); // token -> depth left on the current tick
+    this._resting = new Set(); // limit order ids that reached the book unfilled
+  }
+
+  onMarketTicks(ticks) {
+    for (const t of ticks || []) {
+      const token = n(t?.instrument_token);
+      if (!token) continue;
+      if (t.depth) this._books.set(token, cloneDepth(t.depth));
+      else this._books.delete(token);
+    }
+    super.onMarketTicks(ticks);
+  }
+
+  // ---- live market data ----
+
+  async getQuote(keys) {
+    if (!this.live?.getQuote) return super.getQuote(keys);
+    return this.live.getQuote(keys);
+  }
+
+  async getLTP(keys) {
+    if (!this.live?.getLTP) return super.getLTP(keys);
+    return this.live.getLTP(keys);
+  }
+
+  async getInstruments(exchange) {
+    if (!this.live?.getInstruments) return super.getInstruments(exchange);
+    return this.live.getInstruments(exchange);
+  }
+
+  async getHistoricalData(...args) {
+    if (!this.live?.getHistoricalData) return super.getHistoricalData(...args);
+    return this.live.getHistoricalData(...args);
+  }
+
+  async orderMargins(reqs) {
+    if (!this.live?.orderMargins) return super.orderMargins(reqs);
+    return this.live.orderMargins(reqs);
+  }
+
+  snapshot() {
+    const { net, realised, unrealised, debits } = this._marginSummary();
+    const orders = Array.from(this.orders.values());
+    return {
+      ...super.snapshot(),
+      open: orders.filter((o) => ["OPEN", "OPEN PENDING", "TRIGGER PENDING"].includes(o.status)).length,
+      margins: { net, realised, unrealised, utilised: debits },
+    };
+  }
+
+  // ---- internals ----
+
+  _emit(order) {
+    try {
+      this.onOrderUpdate(order);
+    } catch (e) {
+      logger.warn({ order_id: order?.order_id, e: e?.message || String(e) }, "[paper] order_update handler failed");
+    }
+  }
+
+  async _resolve(exchange, tradingsymbol) {
+    const ex = String(exchange || "").toUpperCase();
+    const key = `${ex}:${tradingsymbol}`;
+    if (this.instrumentsByKey.has(key)) return this.instrumentsByKey.get(key);
+    let row = await getInstrumentBySymbol({ tradingsymbol, exchange: ex }).catch(() => null);
+    if (!row && this.live) row = await ensureInstrumentBySymbol(this.live, key).catch(() => null);
+    if (row) this.registerInstruments([row]);
+    return this.instrumentsByKey.get(key) || null;
+  }
+
+  _validate(o, inst) {
+    const bad = super._validate(o, inst);
+    if (bad) return bad;
+    if (!PRODUCTS.has(o.product)) return `Invalid product type ${o.product}`;
+    const derivative = DERIVATIVE_EXCHANGES.has(o.exchange);
+    if (derivative && (o.product === "CNC" || o.product === "MTF")) {
+      return `Product type ${o.product} is not allowed for ${o.exchange} instruments`;
     }
+    if (!derivative && o.product === "NRML") return "Product type NRML is only allowed for F&O instruments";
+    if (derivative) {
+      const lot = n(inst?.lot_size, 1) || 1;
+      if (lot > 1 && o.quantity % lot !== 0) return `Quantity should be a multiple of lot size ${lot}`;
+      const freeze = n(inst?.freeze_qty, 0) || this.freezeQty;
+      if (freeze > 0 && o.quantity > freeze) return `Quantity exceeds the freeze limit of ${freeze}`;
+    }
+    return null;
   }
 
-  getOrders() {
-    return Array.from(this.orders.values());
+  // Margin needed for the part of the order that adds exposure.
+  _marginError(o) {
+    const pos = this.positions.get(`${o.instrument_token}|${o.product}`);
+    const held = pos ? pos.buyQty - pos.sellQty : 0;
+    const signed = o.transaction_type === "BUY" ? o.quantity : -o.quantity;
+    const adds = Math.max(0, Math.abs(held + signed) - Math.abs(held));
+    if (!adds) return null;
+
+    const m = this.market.get(o.instrument_token);
+    const px = o.order_type === "LIMIT" || o.order_type === "SL" ? o.price : n(m?.last_price, 0);
+    const lev = this._leverageFor(o.instrument_token, o.product, held + signed > 0);
+    const required = (adds * px) / lev;
+    const available = this._marginSummary().net;
+    if (required <= available) return null;
+    return `Insufficient funds. Required margin is ${required.toFixed(2)} but available margin is ${available.toFixed(2)}.`;
   }
+
+  // Long options are paid in full (the premium) whatever the product's leverage,
+  // both in the pre-trade check and in the utilised margin afterwards.
+  _leverageFor(token, product, long) {
+    const inst = this.instrumentsByToken.get(token);
+    if (long && /^(CE|PE)$/.test(String(inst?.instrument_type || ""))) return 1;
+    return super._leverageFor(token, product, long);
+  }
+
+  // Seed market state from a live quote for instruments that have not ticked yet.
+  async _seedQuote(o) {
+    if (!this.live?.getQuote) return;
+    const key = `${o.exchange}:${o.tradingsymbol}`;
+    const q = (await this.live.getQuote([key]))?.[key];
+    if (!(n(q?.last_price, 0) > 0)) return;
+    this.onMarketTicks([
+      {
+        instrument_token: o.instrument_token,
+        last_price: q.last_price,
+        depth: q.depth,
+        ohlc: q.ohlc,
+        volume_traded: q.volume,
+      },
+    ]);
+  }
+
+  _acknowledge(orderId) {
+    const o = this.orders.get(orderId);
+    if (!o || o.status !== "OPEN PENDING") return;
+    const proceed = () => {
+      if (o.status !== "OPEN PENDING") return;
+      const err = this.market.get(o.instrument_token) ? this._marginError(o) : null;
+      if (err) return this._reject(o, err);
+      super._acknowledge(orderId);
+    };
+    if (this.market.get(o.instrument_token)) return proceed();
+    this._seedQuote(o).then(proceed, (e) => {
+      logger.warn({ order_id: orderId, e: e?.message || String(e) }, "[paper] quote seed failed");
+      proceed();
+    });
+  }
+
+  _match(o) {
+    if (o.status !== "OPEN" && o.status !== "TRIGGER PENDING") return;
+    const book = this._books.get(o.instrument_token);
+    if (!book) return super._match(o);
+
+    const px = this.market.get(o.instrument_token).last_price;
+    const buy = o.transaction_type === "BUY";
+    if (o.status === "TRIGGER PENDING") {
+      const triggered = buy ? px >= o.trigger_price : px <= o.trigger_price;
+      if (!triggered) return;
+      o.status = "OPEN";
+      if (o.order_type === "SL") this._change(o);
+    }
+
+    const limit = o.order_type === "LIMIT" || o.order_type === "SL" ? o.price : null;
+    const tick = this._tickSizeFor(o.instrument_token);
+    const slip = (p) => roundToTick(p * (1 + ((buy ? 1 : -1) * this.slippageBps) / 10_000), tick);
+    for (const level of buy ? book.sell : book.buy) {
+      if (o.pending_quantity <= 0) break;
+      if (level.quantity <= 0) continue;
+      if (limit !== null && (buy ? level.price > limit : level.price < limit)) break;
+      const q = Math.min(level.quantity, o.pending_quantity);
+      level.quantity -= q;
+      // Marketable on arrival: price improvement. Already resting: the book crossed our own price.
+      const fillPx = limit === null ? slip(level.price) : this._resting.has(o.order_id) ? limit : level.price;
+      this._fill(o, q, fillPx);
+    }
+
+    // Queue position of a resting limit is unknown; a trade through the price fills it.
+    if (limit !== null && o.pending_quantity > 0 && (buy ? px < limit : px > limit)) {
+      this._fill(o, o.pending_quantity, limit);
+    }
+    if (limit !== null && o.pending_quantity > 0) this._resting.add(o.order_id);
+    else this._resting.delete(o.order_id);
+    // MARKET remainder beyond the visible book keeps matching on the next ticks.
+  }
+}
+
+function createPaperBroker({ live, onOrderUpdate, cfg = env } = {}) {
+  return new PaperBroker({
+    live,
+    onOrderUpdate,
+    startingCash: n(cfg.PAPER_STARTING_CASH, 1_000_000),
+    latencyMs: Math.max(0, n(cfg.PAPER_LATENCY_MS, 150)),
+    slippageBps: Math.max(0, n(cfg.PAPER_SLIPPAGE_BPS, 2)),
+    spreadBps: Math.max(0, n(cfg.PAPER_SPREAD_BPS, 6)),
+    leverage: { MIS: 5, NRML: 1, CNC: 1, MTF: 1, ...parseLeverage(cfg.PAPER_LEVERAGE) },
+    freezeQty: n(cfg.FNO_FREEZE_QTY, 0),
+    timezone: cfg.CANDLE_TZ || "Asia/Kolkata",
+  });
 }
 
-module.exports = { PaperBroker };
+module.exports = { PaperBroker, createPaperBroker, isPaperMode, parseLeverage };
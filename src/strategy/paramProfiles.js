@@ -0,0 +1,339 @@
+const { env } = require("../config");
+const { getDb } = require("../db");
+const { logger } = require("../logger");
+const { reportFault } = require("../runtime/errorBus");
+const { underlyingForToken } = require("../fno/fnoUniverse");
+
+/**
+ * Strategy parameter profiles (Mongo-backed, versioned).
+ *
+ * One document per (strategyId, name, version):
+ *   {
+ *     strategyId: "breakout",
+ *     name: "nifty_1m",
+ *     version: 3,
+ *     match: { underlying: "NIFTY", token: null, intervalMin: 1, regime: null },
+ *     inherits: "default",   // parent profile name (same strategy); null = root
+ *     params: { lookback: 15 },
+ *     active: true,
+ *   }
+ *
+ * Resolution picks the most specific active profile whose non-null match
+ * fields all equal the call context (token > underlying > interval > regime),
+ * then layers plugin defaults <- parent chain <- profile params.
+ * A profile named "default" with an empty match is the per-strategy root.
+ */
+
+const DEFAULT_PROFILE = "default";
+const MAX_INHERIT_DEPTH = 8;
+const MATCH_WEIGHTS = { token: 8, underlying: 4, intervalMin: 2, regime: 1 };
+
+function collectionName() {
+  return env.STRATEGY_PROFILES_COLLECTION || "strategy_param_profiles";
+}
+
+function up(s) {
+  return String(s || "").trim().toUpperCase();
+}
+
+function normalizeMatch(match) {
+  const m = match || {};
+  const token = Number(m.token);
+  const intervalMin = Number(m.intervalMin);
+  return {
+    underlying: m.underlying ? up(m.underlying) : null,
+    token: Number.isFinite(token) && token > 0 ? token : null,
+    intervalMin:
+      Number.isFinite(intervalMin) && intervalMin > 0 ? intervalMin : null,
+    regime: m.regime ? up(m.regime) : null,
+  };
+}
+
+function matchScore(match, ctx) {
+  let score = 0;
+  for (const [field, weight] of Object.entries(MATCH_WEIGHTS)) {
+    const want = match[field];
+    if (want == null) continue;
+    if (ctx[field] == null || ctx[field] !== want) return -1;
+    score += weight;
+  }
+  return score;
+}
+
+function profileKey(p) {
+  return p ? `${p.name}@${p.version}` : null;
+}
+
+function diffObjects(a = {}, b = {}) {
+  const out = {};
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  for (const k of Array.from(keys).sort()) {
+    const from = a?.[k];
+    const to = b?.[k];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      out[k] = { from: from ?? null, to: to ?? null };
+    }
+  }
+  return out;
+}
+
+class ParamProfileStore {
+  constructor() {
+    this._active = new Map(); // strategyId -> [profile]
+    this._timer = null;
+    this._loadedAt = null;
+  }
+
+  get enabled() {
+    return String(env.STRATEGY_PROFILES_ENABLED || "false") === "true";
+  }
+
+  async start() {
+    if (!this.enabled) return { ok: true, enabled: false };
+    const out = await this.reload();
+    const sec = Number(env.STRATEGY_PROFILES_REFRESH_SEC ?? 60);
+    if (!this._timer && Number.isFinite(sec) && sec > 0) {
+      this._timer = setInterval(() => {
+        this.reload().catch((err) => { reportFault({ code: "STRATEGY_PROFILES_ASYNC", err, message: "[src/strategy/paramProfiles.js] refresh failed" }); });
+      }, sec * 1000);
+      this._timer.unref?.();
+    }
+    return out;
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  async reload() {
+    try {
+      const rows = await getDb()
+        .collection(collectionName())
+        .find({ active: true })
+        .toArray();
+      this._setActive(rows);
+      this._loadedAt = new Date();
+      logger.info({ count: rows.length }, "[strategyProfiles] active profiles loaded");
+      return { ok: true, enabled: this.enabled, count: rows.length };
+    } catch (e) {
+      logger.warn({ err: e?.message || String(e) }, "[strategyProfiles] reload failed");
+      return { ok: false, enabled: this.enabled, error: e?.message || String(e) };
+    }
+  }
+
+  _setActive(rows) {
+    const next = new Map();
+    for (const r of rows || []) {
+      const sid = String(r?.strategyId || "");
+      if (!sid || !r?.name) continue;
+      const list = next.get(sid) || [];
+      list.push({ ...r, match: normalizeMatch(r.match) });
+      next.set(sid, list);
+    }
+    this._active = next;
+  }
+
+  _findActive(strategyId, name) {
+    return (this._active.get(strategyId) || []).find((p) => p.name === name) || null;
+  }
+
+  _chainParams(profile, lookup) {
+    const chain = [];
+    const seen = new Set();
+    let cur = profile;
+    while (cur && chain.length < MAX_INHERIT_DEPTH && !seen.has(cur.name)) {
+      seen.add(cur.name);
+      chain.unshift(cur);
+      const parentName =
+        cur.inherits === undefined
+          ? cur.name === DEFAULT_PROFILE
+            ? null
+            : DEFAULT_PROFILE
+          : cur.inherits;
+      cur = parentName ? lookup(parentName) : null;
+    }
+    const params = Object.assign({}, ...chain.map((p) => p.params || {}));
+    return { params, chain: chain.map(profileKey) };
+  }
+
+  /**
+   * Resolve the active profile for one strategy evaluation (synchronous; cache-backed).
+   * Returns null when profiles are disabled or nothing matches.
+   */
+  resolve({ strategyId, instrument_token, underlying, intervalMin, regime } = {}) {
+    if (!this.enabled) return null;
+    const sid = String(strategyId || "");
+    const candidates = this._active.get(sid);
+    if (!candidates?.length) return null;
+
+    const tok = Number(instrument_token);
+    const ctx = {
+      token: Number.isFinite(tok) ? tok : null,
+      underlying: underlying ? up(underlying) : underlyingForToken(tok),
+      intervalMin: Number.isFinite(Number(intervalMin)) ? Number(intervalMin) : null,
+      regime: regime ? up(regime) : null,
+    };
+
+    let best = null;
+    let bestScore = -1;
+    for (const p of candidates) {
+      const score = matchScore(p.match, ctx);
+      if (score < 0) continue;
+      const newer =
+        best && new Date(p.activatedAt || 0) > new Date(best.activatedAt || 0);
+      if (score > bestScore || (score === bestScore && newer)) {
+        best = p;
+        bestScore = score;
+      }
+    }
+    if (!best) return null;
+
+    const { params, chain } = this._chainParams(best, (name) =>
+      this._findActive(sid, name),
+    );
+    return {
+      id: best.name,
+      version: best.version,
+      strategyId: sid,
+      params,
+      chain,
+    };
+  }
+
+  async list({ strategyId, activeOnly = false } = {}) {
+    const q = {};
+    if (strategyId) q.strategyId = String(strategyId);
+    if (activeOnly) q.active = true;
+    return getDb()
+      .collection(collectionName())
+      .find(q)
+      .sort({ strategyId: 1, name: 1, version: -1 })
+      .limit(1000)
+      .toArray();
+  }
+
+  async get({ strategyId, name, version = null }) {
+    const q = { strategyId: String(strategyId || ""), name: String(name || "") };
+    if (version == null) q.active = true;
+    else q.version = Number(version);
+    return getDb().collection(collectionName()).findOne(q);
+  }
+
+  /**
+   * Create a new version of a profile. `validate(strategyId, params)` must
+   * return { ok, error } for the fully-inherited parameter set.
+   */
+  async create(
+    { strategyId, name, match, inherits, params, note, activate = false },
+    { actor = null, validate = null } = {},
+  ) {
+    const sid = String(strategyId || "").trim();
+    const pname = String(name || "").trim();
+    if (!sid) throw new Error("strategyId required");
+    if (!/^[A-Za-z0-9_.-]{1,64}$/.test(pname)) throw new Error("invalid profile name");
+    if (params != null && (typeof params !== "object" || Array.isArray(params))) {
+      throw new Error("params must be an object");
+    }
+
+    const col = getDb().collection(collectionName());
+    const parentName =
+      inherits === undefined ? (pname === DEFAULT_PROFILE ? null : DEFAULT_PROFILE) : inherits || null;
+    const doc = {
+      strategyId: sid,
+      name: pname,
+      match: pname === DEFAULT_PROFILE ? normalizeMatch(null) : normalizeMatch(match),
+      inherits: parentName,
+      params: params || {},
+      note: note ? String(note).slice(0, 500) : null,
+      createdBy: actor,
+      createdAt: new Date(),
+      active: false,
+      activatedAt: null,
+    };
+
+    if (typeof validate === "function") {
+      const parents = await col.find({ strategyId: sid, active: true }).toArray();
+      const byName = new Map(parents.map((p) => [p.name, p]));
+      const { params: merged } = this._chainParams(doc, (n) =>
+        n === pname ? null : byName.get(n) || null,
+      );
+      const check = validate(sid, merged);
+      if (!check?.ok) throw new Error(`invalid params: ${check?.error || "unknown"}`);
+    }
+
+    const last = await col
+      .find({ strategyId: sid, name: pname })
+      .sort({ version: -1 })
+      .limit(1)
+      .toArray();
+    doc.version = Number(last[0]?.version || 0) + 1;
+
+    await col.insertOne(doc);
+    if (activate) return this.activate({ strategyId: sid, name: pname, version: doc.version });
+    return doc;
+  }
+
+  async activate({ strategyId, name, version }) {
+    const col = getDb().collection(collectionName());
+    const sid = String(strategyId || "");
+    const pname = String(name || "");
+    const v = Number(version);
+    const target = await col.findOne({ strategyId: sid, name: pname, version: v });
+    if (!target) throw new Error("profile version not found");
+
+    await col.updateMany(
+      { strategyId: sid, name: pname, version: { $ne: v } },
+      { $set: { active: false } },
+    );
+    const activatedAt = new Date();
+    await col.updateOne(
+      { strategyId: sid, name: pname, version: v },
+      { $set: { active: true, activatedAt } },
+    );
+    await this.reload();
+    return { ...target, active: true, activatedAt };
+  }
+
+  async diff({ strategyId, a, b }) {
+    const parse = (ref) => {
+      const [name, version] = String(ref || "").split("@");
+      return { name, version: version ? Number(version) : null };
+    };
+    const left = await this.get({ strategyId, ...parse(a) });
+    const right = await this.get({ strategyId, ...parse(b) });
+    if (!left || !right) throw new Error("profile not found");
+    return {
+      a: profileKey(left),
+      b: profileKey(right),
+      params: diffObjects(left.params, right.params),
+      match: diffObjects(left.match, right.match),
+      inherits:
+        left.inherits === right.inherits
+          ? null
+          : { from: left.inherits ?? null, to: right.inherits ?? null },
+    };
+  }
+
+  snapshot() {
+    const out = {};
+    for (const [sid, list] of this._active.entries()) {
+      out[sid] = list.map((p) => ({
+        id: p.name,
+        version: p.version,
+        match: p.match,
+        inherits: p.inherits ?? null,
+      }));
+    }
+    return { enabled: this.enabled, loadedAt: this._loadedAt, active: out };
+  }
+}
+
+const paramProfiles = new ParamProfileStore();
+
+module.exports = {
+  paramProfiles,
+  ParamProfileStore,
+  DEFAULT_PROFILE,
+  diffObjects,
+};
@@ -0,0 +1,25 @@
+const { z } = require("zod");
+const { bollingerSqueezeStrategy } = require("../bollingerSqueezeStrategy");
+
+module.exports = {
+  id: "bb_squeeze",
+  style: "TREND",
+  family: "BREAKOUT",
+  params: z.object({
+    period: z.coerce.number().int().positive(),
+    std: z.coerce.number().positive(),
+    squeezePct: z.coerce.number().positive(),
+    volLookback: z.coerce.number().int().positive(),
+    volMult: z.coerce.number().nonnegative(),
+  }),
+  defaults: (env) => ({
+    period: env.BB_PERIOD ?? 20,
+    std: env.BB_STDDEV ?? env.BB_STD ?? 2,
+    squeezePct: env.SQUEEZE_PCT ?? env.BB_SQUEEZE_PCT ?? 0.012,
+    volLookback: 20,
+    volMult: env.SQUEEZE_VOL_MULT ?? env.BB_SQUEEZE_VOL_MULT ?? 1.1,
+  }),
+  minCandles: (p) => p.period + 5,
+  evaluate: (candles, params) =>
+    bollingerSqueezeStrategy({ candles, ...params }),
+};
@@ -0,0 +1,20 @@
+const { z } = require("zod");
+const { breakoutStrategy } = require("../breakoutStrategy");
+
+module.exports = {
+  id: "breakout",
+  style: "TREND",
+  family: "BREAKOUT",
+  params: z.object({
+    lookback: z.coerce.number().int().positive(),
+    volMult: z.coerce.number().nonnegative(),
+    volLookback: z.coerce.number().int().positive(),
+  }),
+  defaults: (env) => ({
+    lookback: env.BREAKOUT_LOOKBACK ?? 20,
+    volMult: env.BREAKOUT_VOL_MULT ?? 1.2,
+    volLookback: 20,
+  }),
+  minCandles: (p) => p.lookback + 5,
+  evaluate: (candles, params) => breakoutStrategy({ candles, ...params }),
+};
@@ -0,0 +1,18 @@
+const { z } = require("zod");
+const { emaCrossStrategy } = require("../emaCrossStrategy");
+
+module.exports = {
+  id: "ema_cross",
+  style: "TREND",
+  family: "TREND",
+  params: z.object({
+    fast: z.coerce.number().int().positive(),
+    slow: z.coerce.number().int().positive(),
+  }),
+  defaults: (env) => ({
+    fast: env.EMA_FAST ?? 9,
+    slow: env.EMA_SLOW ?? 21,
+  }),
+  minCandles: (p) => Math.max(p.fast, p.slow) + 2,
+  evaluate: (candles, params) => emaCrossStrategy({ candles, ...params }),
+};
@@ -0,0 +1,22 @@
+const { z } = require("zod");
+const { emaPullbackStrategy } = require("../emaPullbackStrategy");
+
+module.exports = {
+  id: "ema_pullback",
+  style: "TREND",
+  family: "TREND",
+  params: z.object({
+    fast: z.coerce.number().int().positive(),
+    slow: z.coerce.number().int().positive(),
+    volLookback: z.coerce.number().int().positive(),
+    volMult: z.coerce.number().nonnegative(),
+  }),
+  defaults: (env) => ({
+    fast: env.EMA_FAST ?? 9,
+    slow: env.EMA_SLOW ?? 21,
+    volLookback: env.PULLBACK_VOL_LOOKBACK ?? 20,
+    volMult: env.PULLBACK_VOL_MULT ?? 1.1,
+  }),
+  minCandles: (p) => Math.max(p.fast, p.slow) + 5,
+  evaluate: (candles, params) => emaPullbackStrategy({ candles, ...params }),
+};
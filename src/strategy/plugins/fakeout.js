@@ -0,0 +1,20 @@
+const { z } = require("zod");
+const { fakeoutStrategy } = require("../fakeoutStrategy");
+
+module.exports = {
+  id: "fakeout",
+  style: "RANGE",
+  family: "MEAN_REVERSION",
+  params: z.object({
+    lookback: z.coerce.number().int().positive(),
+    volLookback: z.coerce.number().int().positive(),
+    volMult: z.coerce.number().nonnegative(),
+  }),
+  defaults: (env) => ({
+    lookback: env.FAKEOUT_LOOKBACK ?? 20,
+    volLookback: 20,
+    volMult: env.FAKEOUT_VOL_MULT ?? 1.0,
+  }),
+  minCandles: (p) => p.lookback + 5,
+  evaluate: (candles, params) => fakeoutStrategy({ candles, ...params }),
+};
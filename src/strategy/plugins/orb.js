@@ -0,0 +1,25 @@
+const { z } = require("zod");
+const { orbStrategy } = require("../orbStrategy");
+
+module.exports = {
+  id: "orb",
+  style: "OPEN",
+  family: "OPEN",
+  params: z.object({
+    orbMinutes: z.coerce.number().positive(),
+    volLookback: z.coerce.number().int().positive(),
+    volMult: z.coerce.number().nonnegative(),
+  }),
+  defaults: (env) => ({
+    orbMinutes: env.ORB_MINUTES ?? 15,
+    volLookback: 20,
+    volMult: env.ORB_VOL_MULT ?? 1.2,
+  }),
+  minCandles: 40,
+  evaluate: (candles, params, ctx) =>
+    orbStrategy({
+      candles,
+      intervalMin: Number(ctx.intervalMin ?? 1),
+      ...params,
+    }),
+};
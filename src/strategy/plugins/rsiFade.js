@@ -0,0 +1,20 @@
+const { z } = require("zod");
+const { rsiFadeStrategy } = require("../rsiFadeStrategy");
+
+module.exports = {
+  id: "rsi_fade",
+  style: "RANGE",
+  family: "MEAN_REVERSION",
+  params: z.object({
+    period: z.coerce.number().int().positive(),
+    ob: z.coerce.number().min(0).max(100),
+    os: z.coerce.number().min(0).max(100),
+  }),
+  defaults: (env) => ({
+    period: env.RSI_PERIOD ?? 14,
+    ob: env.RSI_OVERBOUGHT ?? env.RSI_OB ?? 70,
+    os: env.RSI_OVERSOLD ?? env.RSI_OS ?? 30,
+  }),
+  minCandles: (p) => p.period + 10,
+  evaluate: (candles, params) => rsiFadeStrategy({ candles, ...params }),
+};
@@ -0,0 +1,22 @@
+const { z } = require("zod");
+const { volumeSpikeStrategy } = require("../volumeSpikeStrategy");
+
+module.exports = {
+  id: "volume_spike",
+  style: "TREND",
+  family: "MOMENTUM",
+  // Skipped automatically when the feed has no volume (e.g. index spot).
+  requiresVolume: true,
+  params: z.object({
+    volLookback: z.coerce.number().int().positive(),
+    volMult: z.coerce.number().nonnegative(),
+    bodyFrac: z.coerce.number().min(0).max(1),
+  }),
+  defaults: (env) => ({
+    volLookback: env.VOL_SPIKE_LOOKBACK ?? 20,
+    volMult: env.MOM_VOL_MULT ?? 1.6,
+    bodyFrac: env.MOM_BODY_FRAC ?? 0.6,
+  }),
+  minCandles: (p) => p.volLookback + 5,
+  evaluate: (candles, params) => volumeSpikeStrategy({ candles, ...params }),
+};
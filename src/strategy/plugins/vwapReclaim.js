@@ -0,0 +1,24 @@
+const { z } = require("zod");
+const { vwapReclaimStrategy } = require("../vwapReclaimStrategy");
+
+module.exports = {
+  id: "vwap_reclaim",
+  style: "TREND",
+  family: "VWAP",
+  params: z.object({
+    lookback: z.coerce.number().int().positive(),
+    volLookback: z.coerce.number().int().positive(),
+    volMult: z.coerce.number().nonnegative(),
+    fast: z.coerce.number().int().positive(),
+    slow: z.coerce.number().int().positive(),
+  }),
+  defaults: (env) => ({
+    lookback: env.VWAP_LOOKBACK ?? 120,
+    volLookback: 20,
+    volMult: env.VWAP_VOL_MULT ?? 1.0,
+    fast: env.EMA_FAST ?? 9,
+    slow: env.EMA_SLOW ?? 21,
+  }),
+  minCandles: (p) => Math.max(p.slow, p.lookback) + 5,
+  evaluate: (candles, params) => vwapReclaimStrategy({ candles, ...params }),
+};
@@ -0,0 +1,18 @@
+const { z } = require("zod");
+const { wickReversalStrategy } = require("../wickReversalStrategy");
+
+module.exports = {
+  id: "wick_reversal",
+  style: "RANGE",
+  family: "MEAN_REVERSION",
+  params: z.object({
+    lookback: z.coerce.number().int().positive(),
+    minWickFrac: z.coerce.number().min(0).max(1),
+  }),
+  defaults: (env) => ({
+    lookback: env.WICK_LOOKBACK ?? 20,
+    minWickFrac: env.WICK_MIN_WICK_FRAC ?? 0.6,
+  }),
+  minCandles: (p) => p.lookback + 5,
+  evaluate: (candles, params) => wickReversalStrategy({ candles, ...params }),
+};
@@ -0,0 +1,518 @@
+const { EventEmitter } = require("events");
+const { DateTime } = require("luxon");
+const { env } = require("../config");
+const { getDb } = require("../db");
+const { logger } = require("../logger");
+const { reportFault } = require("../runtime/errorBus");
+const { emaSeries } = require("./ema");
+const { maxHigh, minLow, rollingVWAP } = require("./utils");
+const { getMinCandlesForRegime } = require("./minCandles");
+const { getLatestLtp } = require("../market/ltpStream");
+const { getLastChain } = require("../fno/optionChainCache");
+const { underlyingForToken } = require("../fno/fnoUniverse");
+const { dayKey } = require("../telemetry/signalTelemetry");
+
+/**
+ * Market regime classifier + per-underlying regime service.
+ *
+ * Regimes: OPEN | TREND | RANGE | VOLATILE (volatility expansion) | UNKNOWN
+ *
+ * classifyRegime() is the stateless statistical classifier (EMA diff in ATR,
+ * range %, ATR percentile, optional India VIX / ATM option IV). Given the
+ * previous regime it applies hysteresis bands: TREND is entered at
+ * SELECTOR_TREND_DIFF_ATR but only left below REGIME_TREND_EXIT_DIFF_ATR,
+ * VOLATILE is entered at REGIME_VOL_ENTER_PCTL and left below REGIME_VOL_EXIT_PCTL.
+ *
+ * RegimeTracker adds confirmation (REGIME_CONFIRM_BARS distinct candles) and a
+ * minimum dwell time (REGIME_MIN_DWELL_MIN) before switching, so the selector
+ * buckets do not thrash. OPEN is time-driven and switches immediately.
+ *
+ * regimeService (singleton) keeps one tracker per underlying+interval for live
+ * evaluation, records the day's transitions (Mongo: REGIME_TIMELINE_COLLECTION)
+ * and emits "change" for the socket channel. Replay/backtests create their own
+ * tracker so they follow the same state machine without touching live state.
+ */
+
+const REGIMES = ["OPEN", "TREND", "RANGE", "VOLATILE", "UNKNOWN"];
+
+function num(x, d) {
+  const v = Number(x);
+  return Number.isFinite(v) ? v : d;
+}
+
+function trueRanges(candles) {
+  const out = [];
+  for (let i = 1; i < candles.length; i++) {
+    const c = candles[i];
+    const prevClose = Number(candles[i - 1]?.close);
+    const tr = Math.max(
+      Number(c.high) - Number(c.low),
+      Math.abs(Number(c.high) - prevClose),
+      Math.abs(Number(c.low) - prevClose),
+    );
+    out.push(Number.isFinite(tr) ? tr : 0);
+  }
+  return out;
+}
+
+// Rolling mean ATR series (last value == utils.atr on the same candles).
+function atrSeries(candles, period) {
+  const trs = trueRanges(candles);
+  if (trs.length < period) return [];
+  const out = [];
+  let sum = 0;
+  for (let i = 0; i < trs.length; i++) {
+    sum += trs[i];
+    if (i >= period) sum -= trs[i - period];
+    if (i >= period - 1) out.push(sum / period);
+  }
+  return out;
+}
+
+// Mid-rank percentile (ties count half) so a flat ATR reads ~50, not 100.
+function midRankPctl(values, x) {
+  if (!values.length) return null;
+  let below = 0;
+  let equal = 0;
+  for (const v of values) {
+    if (v < x) below += 1;
+    else if (v === x) equal += 1;
+  }
+  return ((below + equal / 2) / values.length) * 100;
+}
+
+function regimeFeatures({ candles, env: e = env, now = new Date() }) {
+  const tz = e.CANDLE_TZ || "Asia/Kolkata";
+  const dt = DateTime.fromJSDate(now, { zone: tz });
+  const open = DateTime.fromFormat(e.MARKET_OPEN || "09:15", "HH:mm", {
+    zone: tz,
+  }).set({ year: dt.year, month: dt.month, day: dt.day });
+  const minsFromOpen = open.isValid ? dt.diff(open, "minutes").minutes : 9999;
+  const openWinMin = num(e.SELECTOR_OPEN_WINDOW_MIN, 20);
+
+  const fast = num(e.SELECTOR_FAST_EMA, 9);
+  const slow = num(e.SELECTOR_SLOW_EMA, 21);
+  const lookback = num(e.SELECTOR_RANGE_LOOKBACK, 30);
+  const atrPeriod = num(e.SELECTOR_ATR_PERIOD, 14);
+
+  const closes = (candles || []).map((c) => Number(c.close)).filter(Number.isFinite);
+  if (closes.length < slow + 5) {
+    return { ok: false, reason: "BAD_CLOSES", minsFromOpen };
+  }
+
+  const ef = emaSeries(closes, fast);
+  const es = emaSeries(closes, slow);
+  const cur = closes[closes.length - 1];
+  const emaDiff = Math.abs((ef[ef.length - 1] || 0) - (es[es.length - 1] || 0));
+
+  const atrs = atrSeries(candles, atrPeriod);
+  const atrVal = atrs.length ? atrs[atrs.length - 1] || cur * 0.001 : cur * 0.001;
+  const diffInAtr = atrVal > 0 ? emaDiff / atrVal : 0;
+
+  const pctlLookback = num(e.REGIME_ATR_PCTL_LOOKBACK, 120);
+  const hist = atrs.slice(-pctlLookback - 1, -1);
+  const enoughHist = hist.length >= Math.min(30, pctlLookback) && atrs.length;
+  const atrPctl = enoughHist ? midRankPctl(hist, atrs[atrs.length - 1]) : null;
+  const median = enoughHist ? hist.slice().sort((a, b) => a - b)[Math.floor(hist.length / 2)] : null;
+  const atrRatio = median > 0 ? atrs[atrs.length - 1] / median : null;
+
+  const hi = maxHigh(candles, lookback);
+  const lo = minLow(candles, lookback);
+  const rangePct = cur > 0 ? (hi - lo) / cur : 0;
+  const vwap = rollingVWAP(candles, num(e.SELECTOR_VWAP_LOOKBACK, 120));
+  const vwapDist = cur > 0 ? Math.abs(cur - vwap) / cur : 0;
+
+  return {
+    ok: true,
+    minsFromOpen,
+    inOpenWindow: minsFromOpen >= 0 && minsFromOpen <= openWinMin,
+    diffInAtr,
+    rangePct,
+    vwapDist,
+    atr: atrVal,
+    atrPctl,
+    atrRatio,
+  };
+}
+
+function volatileCheck({ atrPctl, atrRatio, vix, ivPts }, prev, e) {
+  const sticky = prev === "VOLATILE";
+  const pctlThr = sticky
+    ? num(e.REGIME_VOL_EXIT_PCTL, 75)
+    : num(e.REGIME_VOL_ENTER_PCTL, 90);
+  const vixThr = sticky ? num(e.REGIME_VIX_EXIT, 20) : num(e.REGIME_VIX_HIGH, 22);
+  const ivThr = sticky ? num(e.REGIME_IV_EXIT_PTS, 22) : num(e.REGIME_IV_HIGH_PTS, 25);
+
+  const reasons = [];
+  // ATR must also sit well above its median (a high percentile of a quiet
+  // series is not an expansion); the ratio has its own exit band.
+  const ratioThr = sticky
+    ? num(e.REGIME_VOL_EXIT_ATR_RATIO, 1.1)
+    : num(e.REGIME_VOL_MIN_ATR_RATIO, 1.3);
+  const ratioOk = !(atrRatio < ratioThr);
+  if (Number.isFinite(atrPctl) && pctlThr > 0 && atrPctl >= pctlThr && ratioOk) {
+    reasons.push("ATR_EXPANSION");
+  }
+  if (Number.isFinite(vix) && vixThr > 0 && vix >= vixThr) reasons.push("HIGH_VIX");
+  if (Number.isFinite(ivPts) && ivThr > 0 && ivPts >= ivThr) reasons.push("HIGH_IV");
+  return reasons;
+}
+
+/**
+ * Stateless classification. `prev` enables the hysteresis bands.
+ * Returns { regime, reason, meta }.
+ */
+function classifyRegime({
+  candles,
+  env: e = env,
+  now = new Date(),
+  prev = null,
+  vix = null,
+  ivPts = null,
+}) {
+  const minCandles = getMinCandlesForRegime(e);
+  if (!candles || candles.length < minCandles) {
+    return { regime: "UNKNOWN", reason: "INSUFFICIENT_CANDLES", meta: { reason: "INSUFFICIENT_CANDLES" } };
+  }
+
+  const f = regimeFeatures({ candles, env: e, now });
+  if (f.inOpenWindow) {
+    return { regime: "OPEN", reason: "OPEN_WINDOW", meta: { minsFromOpen: f.minsFromOpen } };
+  }
+  if (!f.ok) return { regime: "UNKNOWN", reason: f.reason, meta: { reason: f.reason } };
+
+  const meta = {
+    diffInAtr: f.diffInAtr,
+    rangePct: f.rangePct,
+    vwapDist: f.vwapDist,
+    minsFromOpen: f.minsFromOpen,
+    atr: f.atr,
+    atrPctl: f.atrPctl,
+    atrRatio: f.atrRatio,
+    vix: Number.isFinite(vix) ? vix : null,
+    ivPts: Number.isFinite(ivPts) ? ivPts : null,
+  };
+
+  // VOLATILE belongs to the opt-in service: with it off, the per-candle call
+  // keeps the OPEN/TREND/RANGE split the style gates were tuned on.
+  const volatileOn =
+    String(e.REGIME_SERVICE_ENABLED || "false") === "true" &&
+    String(e.REGIME_VOLATILE_ENABLED || "true") === "true";
+  if (volatileOn) {
+    const volReasons = volatileCheck(
+      { atrPctl: f.atrPctl, atrRatio: f.atrRatio, vix, ivPts },
+      prev,
+      e,
+    );
+    if (volReasons.length) {
+      return { regime: "VOLATILE", reason: volReasons.join("+"), meta: { ...meta, volReasons } };
+    }
+  }
+
+  const trendDiffAtr = num(e.SELECTOR_TREND_DIFF_ATR, 0.6);
+  const trendExitDiffAtr = num(e.REGIME_TREND_EXIT_DIFF_ATR, trendDiffAtr);
+  const rangePctMax = num(e.SELECTOR_RANGE_PCT_MAX, 0.012);
+  const rangeDiffAtrMax = num(e.SELECTOR_RANGE_DIFF_ATR_MAX, 0.25);
+
+  const trendThr = prev === "TREND" ? Math.min(trendDiffAtr, trendExitDiffAtr) : trendDiffAtr;
+  if (f.diffInAtr >= trendThr) {
+    return { regime: "TREND", reason: "EMA_DIFF_ATR", meta };
+  }
+  if (f.rangePct <= rangePctMax && f.diffInAtr <= rangeDiffAtrMax) {
+    return { regime: "RANGE", reason: "TIGHT_RANGE", meta };
+  }
+  // Between the bands: keep the previous TREND/RANGE call when there is one.
+  if (prev === "TREND" || prev === "RANGE") {
+    return { regime: prev, reason: "HYSTERESIS_HOLD", meta };
+  }
+  return {
+    regime: f.diffInAtr > 0.35 ? "TREND" : "RANGE",
+    reason: "FALLBACK",
+    meta,
+  };
+}
+
+class RegimeTracker {
+  constructor({ env: e = env } = {}) {
+    this._env = e;
+    this._states = new Map(); // key -> state
+  }
+
+  get(key) {
+    return this._states.get(String(key)) || null;
+  }
+
+  keys() {
+    return Array.from(this._states.keys());
+  }
+
+  restore(key, { regime, since }) {
+    this._states.set(String(key), {
+      regime,
+      since: since ? new Date(since) : new Date(),
+      reason: "RESTORED",
+      meta: null,
+      raw: regime,
+      pending: null,
+      lastTs: null,
+      dayKey: dayKey(since ? new Date(since) : new Date()),
+    });
+  }
+
+  /**
+   * Feed one evaluation. Repeated calls for the same candle ts only refresh
+   * the raw reading; confirmation counts distinct candles.
+   * Returns { state, changed, from }.
+   */
+  update(key, { candles, now = new Date(), vix = null, ivPts = null }) {
+    const e = this._env;
+    const k = String(key);
+    const dk = dayKey(now);
+    let st = this._states.get(k);
+    if (st && st.dayKey !== dk) st = null; // new session: start fresh
+
+    const last = candles?.[candles.length - 1];
+    const candleTs = last?.ts ? new Date(last.ts).getTime() : now.getTime();
+    const det = classifyRegime({ candles, env: e, now, prev: st?.regime || null, vix, ivPts });
+
+    if (!st) {
+      st = {
+        regime: det.regime,
+        since: now,
+        reason: det.reason,
+        meta: det.meta,
+        raw: det.regime,
+        pending: null,
+        lastTs: candleTs,
+        dayKey: dk,
+      };
+      this._states.set(k, st);
+      return { state: st, changed: true, from: null };
+    }
+
+    const sameCandle = st.lastTs === candleTs;
+    st.raw = det.regime;
+    st.lastTs = candleTs;
+
+    if (det.regime === st.regime) {
+      st.pending = null;
+      st.reason = det.reason;
+      st.meta = det.meta;
+      return { state: st, changed: false, from: null };
+    }
+
+    const immediate =
+      det.regime === "OPEN" || st.regime === "OPEN" || st.regime === "UNKNOWN";
+    if (!immediate) {
+      if (!sameCandle) {
+        st.pending =
+          st.pending?.regime === det.regime
+            ? { regime: det.regime, count: st.pending.count + 1 }
+            : { regime: det.regime, count: 1 };
+      } else if (!st.pending || st.pending.regime !== det.regime) {
+        st.pending = { regime: det.regime, count: 1 };
+      }
+      const confirmBars = Math.max(1, num(e.REGIME_CONFIRM_BARS, 2));
+      const dwellMs = Math.max(0, num(e.REGIME_MIN_DWELL_MIN, 5)) * 60_000;
+      const dwelled = now.getTime() - new Date(st.since).getTime() >= dwellMs;
+      if (st.pending.count < confirmBars || !dwelled) {
+        return { state: st, changed: false, from: null };
+      }
+    }
+
+    const from = st.regime;
+    st.regime = det.regime;
+    st.since = now;
+    st.reason = det.reason;
+    st.meta = det.meta;
+    st.pending = null;
+    return { state: st, changed: true, from };
+  }
+}
+
+function createRegimeTracker(opts) {
+  return new RegimeTracker(opts);
+}
+
+function timelineCollection() {
+  return env.REGIME_TIMELINE_COLLECTION || "regime_timeline";
+}
+
+class RegimeService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(100);
+    this._tracker = new RegimeTracker();
+    this._timeline = []; // today's transitions (all keys)
+    this._dayKey = dayKey();
+  }
+
+  get enabled() {
+    return String(env.REGIME_SERVICE_ENABLED || "false") === "true";
+  }
+
+  keyFor(token, intervalMin) {
+    const u = underlyingForToken(token) || String(Number(token));
+    return `${u}:${Number(intervalMin) || 1}`;
+  }
+
+  async start() {
+    if (!this.enabled) return { ok: true, enabled: false };
+    try {
+      const rows = await getDb()
+        .collection(timelineCollection())
+        .find({ dayKey: dayKey() })
+        .sort({ ts: 1 })
+        .limit(5000)
+        .toArray();
+      this._timeline = rows.map(({ _id, ...r }) => r);
+      const lastByKey = new Map();
+      for (const r of this._timeline) lastByKey.set(r.key, r);
+      for (const [key, r] of lastByKey.entries()) {
+        this._tracker.restore(key, { regime: r.to, since: r.ts });
+      }
+      return { ok: true, enabled: true, restored: lastByKey.size };
+    } catch (e) {
+      logger.warn({ err: e?.message || String(e) }, "[regime] timeline restore failed");
+      return { ok: false, enabled: true, error: e?.message || String(e) };
+    }
+  }
+
+  vixNow() {
+    const tok = Number(env.REGIME_VIX_TOKEN ?? 0);
+    if (!(tok > 0)) return null;
+    const row = getLatestLtp(tok);
+    const maxAgeMs = num(env.REGIME_VIX_MAX_AGE_SEC, 300) * 1000;
+    if (!row || Date.now() - new Date(row.updatedAt).getTime() > maxAgeMs) return null;
+    return Number.isFinite(row.ltp) ? row.ltp : null;
+  }
+
+  // ATM implied volatility (points) from the latest cached CE chain.
+  ivNow(underlying) {
+    if (String(env.REGIME_USE_OPTION_IV || "false") !== "true" || !underlying) return null;
+    const chain = getLastChain({ underlying, optType: "CE" });
+    const maxAgeMs = num(env.REGIME_IV_MAX_AGE_SEC, 300) * 1000;
+    if (!chain?.rows?.length || Date.now() - Number(chain.ts || 0) > maxAgeMs) return null;
+    const S = Number(chain.meta?.underlyingLtp);
+    if (!Number.isFinite(S)) return null;
+    let best = null;
+    for (const r of chain.rows) {
+      if (!Number.isFinite(Number(r?.iv_pts))) continue;
+      if (!best || Math.abs(r.strike - S) < Math.abs(best.strike - S)) best = r;
+    }
+    return best ? Number(best.iv_pts) : null;
+  }
+
+  /**
+   * Live update for one underlying/interval. Returns the (hysteresis) regime
+   * in the selector's shape: { regime, reason, meta, since, raw }.
+   */
+  update({ instrument_token, intervalMin, candles, now = new Date() }) {
+    const key = this.keyFor(instrument_token, intervalMin);
+    const underlying = key.split(":")[0];
+    const { state, changed, from } = this._tracker.update(key, {
+      candles,
+      now,
+      vix: this.vixNow(),
+      ivPts: this.ivNow(underlying),
+    });
+    if (changed && this.enabled) this._recordTransition({ key, from, state });
+    return {
+      regime: state.regime,
+      reason: state.reason,
+      since: state.since,
+      raw: state.raw,
+      meta: { ...(state.meta || {}), key, since: state.since, raw: state.raw },
+    };
+  }
+
+  current(instrument_token, intervalMin) {
+    if (!this.enabled) return null;
+    const st = this._tracker.get(this.keyFor(instrument_token, intervalMin));
+    if (!st || st.dayKey !== dayKey()) return null;
+    return { regime: st.regime, reason: st.reason, since: st.since, meta: st.meta };
+  }
+
+  _recordTransition({ key, from, state }) {
+    const dk = dayKey(state.since);
+    if (dk !== this._dayKey) {
+      this._timeline = [];
+      this._dayKey = dk;
+    }
+    const [underlying, iv] = key.split(":");
+    const row = {
+      dayKey: dk,
+      key,
+      underlying,
+      intervalMin: Number(iv),
+      ts: state.since,
+      from,
+      to: state.regime,
+      reason: state.reason,
+      meta: state.meta || null,
+    };
+    this._timeline.push(row);
+    if (this._timeline.length > 5000) this._timeline.splice(0, this._timeline.length - 5000);
+    this.emit("change", row);
+
+    try {
+      getDb()
+        .collection(timelineCollection())
+        .insertOne({ ...row })
+        .catch((err) => { reportFault({ code: "STRATEGY_REGIMESERVICE_ASYNC", err, message: "[src/strategy/regimeService.js] timeline insert failed" }); });
+    } catch (err) {
+      // DB not connected (scripts/tests): keep the in-memory timeline only.
+    }
+  }
+
+  async timeline({ underlying = null, day = null } = {}) {
+    const dk = day || dayKey();
+    const u = underlying ? String(underlying).toUpperCase() : null;
+    if (dk === this._dayKey) {
+      return this._timeline.filter((r) => !u || r.underlying === u);
+    }
+    const q = { dayKey: dk };
+    if (u) q.underlying = u;
+    const rows = await getDb()
+      .collection(timelineCollection())
+      .find(q)
+      .sort({ ts: 1 })
+      .limit(5000)
+      .toArray();
+    return rows.map(({ _id, ...r }) => r);
+  }
+
+  snapshot() {
+    const current = {};
+    const today = dayKey();
+    for (const key of this._tracker.keys()) {
+      const st = this._tracker.get(key);
+      if (!st || st.dayKey !== today) continue;
+      current[key] = {
+        regime: st.regime,
+        since: st.since,
+        reason: st.reason,
+        raw: st.raw,
+        pending: st.pending,
+      };
+    }
+    return {
+      enabled: this.enabled,
+      dayKey: today,
+      vix: this.vixNow(),
+      current,
+      transitions: this._timeline.length,
+    };
+  }
+}
+
+const regimeService = new RegimeService();
+
+module.exports = {
+  REGIMES,
+  regimeFeatures,
+  classifyRegime,
+  createRegimeTracker,
+  RegimeTracker,
+  regimeService,
+};
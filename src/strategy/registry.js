@@ -1,189 +1,307 @@
+const fs = require("fs");
+const path = require("path");
+const { z } = require("zod");
 const { env } = require("../config");
-const { emaCrossStrategy } = require("./emaCrossStrategy");
-const { emaPullbackStrategy } = require("./emaPullbackStrategy");
-const { breakoutStrategy } = require("./breakoutStrategy");
-const { vwapReclaimStrategy } = require("./vwapReclaimStrategy");
-const { orbStrategy } = require("./orbStrategy");
-const { bollingerSqueezeStrategy } = require("./bollingerSqueezeStrategy");
-const { rsiFadeStrategy } = require("./rsiFadeStrategy");
-const { volumeSpikeStrategy } = require("./volumeSpikeStrategy");
-const { fakeoutStrategy } = require("./fakeoutStrategy");
-const { wickReversalStrategy } = require("./wickReversalStrategy");
+const { logger } = require("../logger");
+const { reportFault, reportWindowedFault } = require("../runtime/errorBus");
+const { paramProfiles } = require("./paramProfiles");
 
 /**
- * Strategy metadata (used for strategy-aware filters & telemetry).
- * - style: TREND | RANGE | OPEN
- * - family: high-level grouping for tuning/metrics
+ * Strategy plugin registry.
+ *
+ * A strategy plugin is a CommonJS module exporting (or an array of):
+ *   {
+ *     id: "my_strategy",            // unique, lowercase snake_case
+ *     style: "TREND|RANGE|OPEN",    // used by regime gates / selector buckets
+ *     family: "BREAKOUT",           // high-level grouping for tuning/metrics
+ *     params: z.object({...}),      // zod schema for the parameter set
+ *     defaults: (env) => ({...}),   // raw defaults (usually env knobs)
+ *     minCandles: 30 | (params) => n,
+ *     requiresVolume: false,        // skip when the feed has no volume
+ *     evaluate: (candles, params, ctx) => ({ side, confidence, reason }) | null,
+ *   }
+ *
+ * Built-in strategies live in ./plugins. Extra directories can be listed in
+ * STRATEGY_PLUGIN_DIRS (comma-separated, relative to cwd) and are discovered
+ * at boot, so live, replay and bt_run pick them up without core edits.
  */
-const STRATEGY_META = {
-  ema_cross: { style: "TREND", family: "TREND" },
-  ema_pullback: { style: "TREND", family: "TREND" },
-  breakout: { style: "TREND", family: "BREAKOUT" },
-  vwap_reclaim: { style: "TREND", family: "VWAP" },
-  orb: { style: "OPEN", family: "OPEN" },
-  bb_squeeze: { style: "TREND", family: "BREAKOUT" },
-  volume_spike: { style: "TREND", family: "MOMENTUM" },
-  fakeout: { style: "RANGE", family: "MEAN_REVERSION" },
-  rsi_fade: { style: "RANGE", family: "MEAN_REVERSION" },
-  wick_reversal: { style: "RANGE", family: "MEAN_REVERSION" },
-};
 
-function getStrategyMeta(strategyId) {
-  return (
-    STRATEGY_META[String(strategyId || "")] || {
-      style: "UNKNOWN",
-      family: "UNKNOWN",
+const BUILTIN_PLUGIN_DIR = path.join(__dirname, "plugins");
+const STYLES = ["TREND", "RANGE", "OPEN"];
+
+const isFn = (v) => typeof v === "function";
+
+const pluginSchema = z.object({
+  id: z.string().regex(/^[a-z0-9_]+$/, "id must be lowercase snake_case"),
+  style: z.enum(STYLES),
+  family: z.string().min(1),
+  params: z.custom((v) => v instanceof z.ZodType, "params must be a zod schema").optional(),
+  defaults: z.custom(isFn, "defaults must be a function").optional(),
+  minCandles: z
+    .union([z.number().int().nonnegative(), z.custom(isFn)])
+    .default(0),
+  requiresVolume: z.boolean().default(false),
+  evaluate: z.custom(isFn, "evaluate must be a function"),
+});
+
+const plugins = new Map();
+let loaded = false;
+
+function registerStrategy(def, { source = null, replace = false } = {}) {
+  ensureLoaded();
+  const parsed = pluginSchema.safeParse(def || {});
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new Error(
+      `[strategy] invalid plugin${source ? ` (${source})` : ""}: ${issue.path.join(".") || "root"} ${issue.message}`,
+    );
+  }
+  const plugin = { ...parsed.data, source };
+  if (plugins.has(plugin.id) && !replace) {
+    throw new Error(
+      `[strategy] duplicate strategy id "${plugin.id}" (${source || "inline"} vs ${plugins.get(plugin.id).source || "inline"})`,
+    );
+  }
+  plugins.set(plugin.id, plugin);
+  return plugin;
+}
+
+function unregisterStrategy(strategyId) {
+  ensureLoaded();
+  return plugins.delete(String(strategyId || ""));
+}
+
+function pluginDirs() {
+  const extra = String(env.STRATEGY_PLUGIN_DIRS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((dir) => path.resolve(process.cwd(), dir));
+  return [BUILTIN_PLUGIN_DIR, ...extra];
+}
+
+function loadDir(dir, { builtin }) {
+  let files = [];
+  try {
+    files = fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".js") && !f.startsWith("_"))
+      .sort();
+  } catch (err) {
+    if (builtin) throw err;
+    reportFault({
+      code: "STRATEGY_PLUGIN_DIR",
+      err,
+      message: "[strategy] plugin dir not readable",
+      meta: { dir },
+    });
+    return [];
+  }
+
+  const ids = [];
+  for (const file of files) {
+    const full = path.join(dir, file);
+    try {
+      // eslint-disable-next-line global-require, import/no-dynamic-require
+      const exported = require(full);
+      const defs = Array.isArray(exported) ? exported : [exported];
+      for (const def of defs) ids.push(registerStrategy(def, { source: full }).id);
+    } catch (err) {
+      // Built-ins must always load; a broken external plugin is skipped.
+      if (builtin) throw err;
+      reportFault({
+        code: "STRATEGY_PLUGIN_LOAD",
+        err,
+        message: "[strategy] plugin failed to load (skipped)",
+        meta: { file: full },
+      });
+    }
+  }
+  return ids;
+}
+
+function loadStrategyPlugins({ dirs = pluginDirs(), force = false } = {}) {
+  if (loaded && !force) return listStrategies();
+  if (force) plugins.clear();
+  loaded = true;
+
+  for (const dir of dirs) {
+    const ids = loadDir(dir, { builtin: dir === BUILTIN_PLUGIN_DIR });
+    if (dir !== BUILTIN_PLUGIN_DIR) {
+      logger.info({ dir, ids }, "[strategy] external plugins loaded");
     }
-  );
+  }
+  return listStrategies();
+}
+
+function ensureLoaded() {
+  if (!loaded) loadStrategyPlugins();
+}
+
+function getStrategy(strategyId) {
+  ensureLoaded();
+  return plugins.get(String(strategyId || "").trim()) || null;
+}
+
+function hasStrategy(strategyId) {
+  return !!getStrategy(strategyId);
+}
+
+function listStrategies() {
+  ensureLoaded();
+  return Array.from(plugins.values()).map((p) => ({
+    id: p.id,
+    style: p.style,
+    family: p.family,
+    requiresVolume: p.requiresVolume,
+    params: p.params?.shape ? Object.keys(p.params.shape) : [],
+    source: p.source,
+  }));
 }
 
-function attachMeta(strategyId, res) {
+function getStrategyMeta(strategyId) {
+  const plugin = getStrategy(strategyId);
+  if (!plugin) return { style: "UNKNOWN", family: "UNKNOWN" };
+  return { style: plugin.style, family: plugin.family };
+}
+
+/**
+ * Resolve a plugin's parameter set: plugin defaults (env knobs) overlaid with
+ * `overrides`, validated/coerced by the plugin's zod schema.
+ */
+function resolveStrategyParams(strategyId, overrides = null) {
+  const plugin = getStrategy(strategyId);
+  if (!plugin) return { ok: false, error: "unknown_strategy", params: null };
+
+  const raw = {
+    ...(plugin.defaults ? plugin.defaults(env) : {}),
+    ...(overrides || {}),
+  };
+  if (!plugin.params) return { ok: true, params: raw };
+
+  const parsed = plugin.params.safeParse(raw);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    return {
+      ok: false,
+      error: `${issue.path.join(".")}: ${issue.message}`,
+      params: null,
+    };
+  }
+  return { ok: true, params: parsed.data };
+}
+
+function requiredCandles(strategyId, params) {
+  const plugin = getStrategy(strategyId);
+  if (!plugin) return 0;
+  const n = isFn(plugin.minCandles)
+    ? Number(plugin.minCandles(params || {}))
+    : Number(plugin.minCandles);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function attachMeta(plugin, res, profile) {
   if (!res) return null;
-  const meta = getStrategyMeta(strategyId);
   return {
     ...res,
-    strategyId,
-    strategyStyle: meta.style,
-    strategyFamily: meta.family,
+    strategyId: plugin.id,
+    strategyStyle: plugin.style,
+    strategyFamily: plugin.family,
+    paramProfile: profile ? { id: profile.id, version: profile.version } : null,
   };
 }
 
 function enabledStrategyIds() {
-  return String(env.STRATEGIES || "ema_cross")
+  const ids = String(env.STRATEGIES || "ema_cross")
     .split(",")
     .map((s) => s.trim())
     .filter(Boolean);
+
+  return ids.filter((id) => {
+    if (hasStrategy(id)) return true;
+    reportWindowedFault({
+      windowKey: `strategy_unknown:${id}`,
+      windowMs: 10 * 60_000,
+      code: "STRATEGY_UNKNOWN",
+      message: "[strategy] STRATEGIES lists an unregistered strategy (ignored)",
+      meta: { strategyId: id },
+    });
+    return false;
+  });
 }
 
+/**
+ * Run one registered strategy on a candle series.
+ * ctx: { intervalMin, instrument_token, underlying, regime, disableVolumeStrategies,
+ *        params, useProfiles } (+ anything the plugin reads)
+ *
+ * Parameters layer as: plugin defaults <- matching param profile <- ctx.params.
+ * Pass useProfiles=false to evaluate with explicit params only (e.g. optimizers).
+ */
 function runStrategy(strategyId, candles, ctx = {}) {
-  const id = String(strategyId || "").trim();
-  const fast = Number(env.EMA_FAST ?? 9);
-  const slow = Number(env.EMA_SLOW ?? 21);
-
-  switch (id) {
-    case "ema_cross": {
-      return attachMeta(
-        "ema_cross",
-        emaCrossStrategy({
-          candles,
-          fast,
-          slow,
-        }),
-      );
-    }
-    case "ema_pullback": {
-      return attachMeta(
-        "ema_pullback",
-        emaPullbackStrategy({
-          candles,
-          fast,
-          slow,
-          pullbackBars: Number(env.PULLBACK_BARS ?? 5),
-        }),
-      );
-    }
-    case "breakout": {
-      return attachMeta(
-        "breakout",
-        breakoutStrategy({
-          candles,
-          lookback: Number(env.BREAKOUT_LOOKBACK ?? 20),
-          volMult: Number(env.BREAKOUT_VOL_MULT ?? 1.2),
-          volLookback: 20,
-        }),
-      );
-    }
-    case "vwap_reclaim": {
-      return attachMeta(
-        "vwap_reclaim",
-        vwapReclaimStrategy({
-          candles,
-          lookback: Number(env.VWAP_LOOKBACK ?? 120),
-          volLookback: 20,
-          volMult: Number(env.VWAP_VOL_MULT ?? 1.0),
-          fast,
-          slow,
-        }),
-      );
-    }
-    case "orb": {
-      return attachMeta(
-        "orb",
-        orbStrategy({
-          candles,
-          intervalMin: Number(ctx.intervalMin ?? 1),
-          orbMinutes: Number(env.ORB_MINUTES ?? 15),
-          volLookback: 20,
-          volMult: Number(env.ORB_VOL_MULT ?? 1.2),
-        }),
-      );
-    }
-    case "bb_squeeze": {
-      return attachMeta(
-        "bb_squeeze",
-        bollingerSqueezeStrategy({
-          candles,
-          period: Number(env.BB_PERIOD ?? 20),
-          stdDev: Number(env.BB_STDDEV ?? env.BB_STD ?? 2),
-          squeezePct: Number(env.SQUEEZE_PCT ?? env.BB_SQUEEZE_PCT ?? 0.012),
-          volLookback: 20,
-          volMult: Number(
-            env.SQUEEZE_VOL_MULT ?? env.BB_SQUEEZE_VOL_MULT ?? 1.1,
-          ),
-        }),
-      );
-    }
-    case "rsi_fade": {
-      return attachMeta(
-        "rsi_fade",
-        rsiFadeStrategy({
-          candles,
-          period: Number(env.RSI_PERIOD ?? 14),
-          overbought: Number(env.RSI_OVERBOUGHT ?? env.RSI_OB ?? 70),
-          oversold: Number(env.RSI_OVERSOLD ?? env.RSI_OS ?? 30),
-        }),
-      );
-    }
-    case "volume_spike": {
-      if (ctx.disableVolumeStrategies) return null;
-      return attachMeta(
-        "volume_spike",
-        volumeSpikeStrategy({
-          candles,
-          lookback: Number(env.VOL_SPIKE_LOOKBACK ?? 20),
-          mult: Number(env.VOL_SPIKE_MULT ?? 2),
-        }),
-      );
-    }
-    case "fakeout": {
-      return attachMeta(
-        "fakeout",
-        fakeoutStrategy({
-          candles,
-          lookback: Number(env.FAKEOUT_LOOKBACK ?? 20),
-          wickFrac: Number(env.FAKEOUT_WICK_FRAC ?? 0.6),
-          minRangeFrac: Number(env.FAKEOUT_MIN_RANGE_FRAC ?? 0.004),
-        }),
-      );
-    }
-    case "wick_reversal": {
-      return attachMeta(
-        "wick_reversal",
-        wickReversalStrategy({
-          candles,
-          lookback: Number(env.WICK_LOOKBACK ?? 20),
-          minWickFrac: Number(env.WICK_MIN_WICK_FRAC ?? 0.6),
-        }),
-      );
-    }
-    default:
-      return null;
+  const plugin = getStrategy(strategyId);
+  if (!plugin) return null;
+  if (plugin.requiresVolume && ctx.disableVolumeStrategies) return null;
+
+  const profile =
+    ctx.useProfiles === false
+      ? null
+      : paramProfiles.resolve({
+          strategyId: plugin.id,
+          instrument_token: ctx.instrument_token,
+          underlying: ctx.underlying,
+          intervalMin: ctx.intervalMin,
+          regime: ctx.regime,
+        });
+  const overrides =
+    profile || ctx.params ? { ...(profile?.params || {}), ...(ctx.params || {}) } : null;
+
+  const resolved = resolveStrategyParams(plugin.id, overrides);
+  if (!resolved.ok) {
+    reportWindowedFault({
+      windowKey: `strategy_params:${plugin.id}:${profile?.id || "-"}`,
+      windowMs: 10 * 60_000,
+      code: "STRATEGY_PARAMS_INVALID",
+      message: "[strategy] invalid parameters (strategy skipped)",
+      meta: {
+        strategyId: plugin.id,
+        profile: profile ? `${profile.id}@${profile.version}` : null,
+        error: resolved.error,
+      },
+    });
+    return null;
+  }
+
+  if (!Array.isArray(candles)) return null;
+  if (candles.length < requiredCandles(plugin.id, resolved.params)) return null;
+
+  let res = null;
+  try {
+    res = plugin.evaluate(candles, resolved.params, { ...ctx, env });
+  } catch (err) {
+    reportWindowedFault({
+      windowKey: `strategy_eval:${plugin.id}`,
+      windowMs: 60_000,
+      code: "STRATEGY_EVAL_FAILED",
+      err,
+      message: "[strategy] evaluate() threw (strategy skipped)",
+      meta: { strategyId: plugin.id },
+    });
+    return null;
   }
+  return attachMeta(plugin, res, profile);
 }
 
 module.exports = {
+  registerStrategy,
+  unregisterStrategy,
+  loadStrategyPlugins,
+  getStrategy,
+  hasStrategy,
+  listStrategies,
+  resolveStrategyParams,
+  requiredCandles,
   enabledStrategyIds,
   runStrategy,
   getStrategyMeta,
-  STRATEGY_META,
 };
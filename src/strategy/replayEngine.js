@@ -1,6 +1,8 @@
 const { env } = require("../config");
 const { enabledStrategyIds, runStrategy } = require("./registry");
 const { pickStrategies } = require("./selector");
+const { combineSignals } = require("./ensemble");
+const { confirmMultiTfFromCandles } = require("./multiTfStage");
 const { telemetry } = require("../telemetry/signalTelemetry");
 
 function enabledIntervals() {
@@ -14,6 +16,8 @@ function enabledIntervals() {
  * Replay-friendly version of evaluateOnCandleClose:
  * - Uses provided candles array (does NOT hit Mongo)
  * - Optional telemetry recording (disabled by default to avoid polluting production metrics)
+ * - Optimizers may restrict the run to `strategyIds` and pass per-strategy
+ *   parameter overrides as `strategyParams` ({ [strategyId]: params })
  */
 function evaluateOnCandles({
   candles,
@@ -21,6 +25,9 @@ function evaluateOnCandles({
   instrument_token = null,
   now = new Date(),
   recordTelemetry = false,
+  regimeTracker = null,
+  strategyIds = null,
+  strategyParams = null,
 }) {
   const allow = enabledIntervals();
   if (!allow.includes(Number(intervalMin))) return null;
@@ -29,18 +36,32 @@ function evaluateOnCandles({
 
   const last = candles[candles.length - 1];
 
-  let ids = enabledStrategyIds();
+  let ids = strategyIds?.length ? strategyIds.slice() : enabledStrategyIds();
   if (!ids.length) return null;
 
-  let sel = null;
+  // Sequential replays pass a RegimeTracker so regimes follow the live
+  // hysteresis/dwell state machine; single-shot calls classify statelessly.
+  const regime = regimeTracker
+    ? regimeTracker.update(`${instrument_token ?? "replay"}:${intervalMin}`, {
+        candles,
+        now: new Date(now),
+      }).state
+    : null;
+
+  let sel = regime;
   if (String(env.STRATEGY_SELECTOR_ENABLED || "false") === "true") {
-    sel = pickStrategies({ candles, env, now });
-    if (sel?.strategyIds?.length) ids = sel.strategyIds;
+    sel = pickStrategies({ candles, env, now, regime });
+    if (sel?.strategyIds?.length && !strategyIds?.length) ids = sel.strategyIds;
   }
 
   const signals = [];
   for (const id of ids) {
-    const res = runStrategy(id, candles, { intervalMin });
+    const res = runStrategy(id, candles, {
+      intervalMin,
+      instrument_token,
+      regime: sel?.regime || null,
+      params: strategyParams?.[id] || undefined,
+    });
     if (res) {
       signals.push(res);
 
@@ -53,6 +74,7 @@ function evaluateOnCandles({
           instrument_token:
             instrument_token == null ? null : Number(instrument_token),
           intervalMin: Number(intervalMin),
+          paramProfile: res.paramProfile,
           ts: last?.ts,
         });
       }
@@ -60,9 +82,10 @@ function evaluateOnCandles({
   }
   if (!signals.length) return null;
 
-  // Pick the highest-confidence signal (tie-breaker: earliest in STRATEGIES list)
-  signals.sort((a, b) => Number(b.confidence ?? 0) - Number(a.confidence ?? 0));
-  const best = signals[0];
+  const ens = combineSignals(signals, { nowTs: new Date(now).getTime() });
+  if (recordTelemetry) telemetry.recordEnsemble(ens);
+  if (!ens.signal) return null;
+  const best = ens.signal;
 
   // Reject synthetic candles if requested
   if (String(env.ALLOW_SYNTHETIC_SIGNALS || "false") !== "true") {
@@ -70,6 +93,32 @@ function evaluateOnCandles({
     if (last?.synthetic) return null;
   }
 
+  // Higher-timeframe confirmation (resampled from this series; no lookahead)
+  const mtf = confirmMultiTfFromCandles({
+    candles,
+    intervalMin,
+    side: best.side,
+    style: best.strategyStyle,
+  });
+  if (!mtf.ok) {
+    if (recordTelemetry) {
+      telemetry.recordDecision({
+        signal: {
+          strategyId: best.strategyId,
+          strategyStyle: best.strategyStyle,
+          side: best.side,
+          intervalMin: Number(intervalMin),
+        },
+        token: instrument_token == null ? null : Number(instrument_token),
+        outcome: "BLOCKED",
+        stage: "multi_tf",
+        reason: mtf.reason,
+        meta: { reasons: mtf.reasons, multiTf: mtf.meta, replay: true },
+      });
+    }
+    return null;
+  }
+
   if (recordTelemetry) {
     telemetry.recordDecision({
       signal: {
@@ -85,6 +134,8 @@ function evaluateOnCandles({
       meta: {
         confidence: Number(best.confidence ?? 0),
         regime: sel?.regime || null,
+        paramProfile: best.paramProfile || null,
+        ensemble: best.ensemble || null,
         replay: true,
       },
     });
@@ -99,6 +150,9 @@ function evaluateOnCandles({
     intervalMin: Number(intervalMin),
     regime: sel?.regime || null,
     regimeMeta: sel?.meta || null,
+    paramProfile: best.paramProfile || null,
+    ensemble: best.ensemble || null,
+    multiTf: { decision: mtf.decision, reason: mtf.reason, meta: mtf.meta },
     side: best.side,
     reason: best.reason,
     candle: last
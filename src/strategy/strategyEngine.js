@@ -2,6 +2,9 @@ const { env } = require("../config");
 const { getRecentCandles } = require("../market/candleStore");
 const { enabledStrategyIds, runStrategy } = require("./registry");
 const { pickStrategies } = require("./selector");
+const { regimeService } = require("./regimeService");
+const { combineSignals } = require("./ensemble");
+const { confirmMultiTf } = require("./multiTfStage");
 const { getMinCandlesForSignal } = require("./minCandles");
 const { telemetry } = require("../telemetry/signalTelemetry");
 
@@ -27,10 +30,41 @@ function mergeCandlesByTs(primary, secondary) {
     .map((entry) => entry[1]);
 }
 
+/**
+ * Higher-timeframe confirmation stage: vetoes the signal or stamps `multiTf`
+ * (the decision TradeManager's regime filters reuse instead of re-fetching).
+ */
+async function applyMultiTfStage(signal, { candleCache = null } = {}) {
+  if (!signal) return null;
+  const mtf = await confirmMultiTf({
+    token: signal.instrument_token,
+    intervalMin: signal.intervalMin,
+    side: signal.side,
+    style: signal.strategyStyle,
+    candleCache,
+  });
+  if (!mtf.ok) {
+    telemetry.recordDecision({
+      signal,
+      token: signal.instrument_token,
+      outcome: "BLOCKED",
+      stage: "multi_tf",
+      reason: mtf.reason,
+      meta: { reasons: mtf.reasons, multiTf: mtf.meta },
+    });
+    return null;
+  }
+  return {
+    ...signal,
+    multiTf: { decision: mtf.decision, reason: mtf.reason, meta: mtf.meta },
+  };
+}
+
 async function evaluateOnCandleClose({
   instrument_token,
   intervalMin,
   candles,
+  candleCache = null,
 }) {
   const allow = enabledIntervals();
   if (!allow.includes(Number(intervalMin))) return null;
@@ -49,13 +83,14 @@ async function evaluateOnCandleClose({
   if (!series || series.length < minCandles) return null;
 
   const last = series[series.length - 1];
-  return evaluateFromCandles({
+  const signal = evaluateFromCandles({
     candles: series,
     last,
     instrument_token,
     intervalMin,
     stage: "close",
   });
+  return applyMultiTfStage(signal, { candleCache });
 }
 
 async function evaluateOnCandleTick({
@@ -63,6 +98,7 @@ async function evaluateOnCandleTick({
   intervalMin,
   liveCandle,
   candles,
+  candleCache = null,
 }) {
   const allow = enabledIntervals();
   if (!allow.includes(Number(intervalMin))) return null;
@@ -93,13 +129,14 @@ async function evaluateOnCandleTick({
     merged.push(live);
   }
 
-  return evaluateFromCandles({
+  const signal = evaluateFromCandles({
     candles: merged,
     last: live,
     instrument_token,
     intervalMin,
     stage: "tick",
   });
+  return applyMultiTfStage(signal, { candleCache });
 }
 
 function evaluateFromCandles({
@@ -112,9 +149,14 @@ function evaluateFromCandles({
   let ids = enabledStrategyIds();
   if (!ids.length) return null;
 
-  let sel = null;
+  const now = new Date();
+  const regime = regimeService.enabled
+    ? regimeService.update({ instrument_token, intervalMin, candles, now })
+    : null;
+
+  let sel = regime;
   if (String(env.STRATEGY_SELECTOR_ENABLED || "false") === "true") {
-    sel = pickStrategies({ candles, env, now: new Date() });
+    sel = pickStrategies({ candles, env, now, regime });
     if (sel?.strategyIds?.length) ids = sel.strategyIds;
   }
 
@@ -127,6 +169,8 @@ function evaluateFromCandles({
   for (const id of ids) {
     const res = runStrategy(id, candles, {
       intervalMin,
+      instrument_token,
+      regime: sel?.regime || null,
       disableVolumeStrategies: isVolumeUnavailable,
     });
     if (res) {
@@ -140,6 +184,7 @@ function evaluateFromCandles({
         confidence: res.confidence,
         instrument_token: Number(instrument_token),
         intervalMin: Number(intervalMin),
+        paramProfile: res.paramProfile,
         ts: last?.ts,
         stage,
       });
@@ -147,9 +192,32 @@ function evaluateFromCandles({
   }
   if (!signals.length) return null;
 
-  // Pick the highest-confidence signal (tie-breaker: earliest in STRATEGIES list)
-  signals.sort((a, b) => Number(b.confidence ?? 0) - Number(a.confidence ?? 0));
-  const best = signals[0];
+  // Ensemble: combine agreeing/disagreeing candidates (ENSEMBLE_MODE; default = max confidence)
+  const ens = combineSignals(signals, { nowTs: Date.now() });
+  telemetry.recordEnsemble(ens);
+  if (!ens.signal) {
+    const top = signals.find((s) => s.strategyId === ens.opposing[0]?.strategyId);
+    telemetry.recordDecision({
+      signal: {
+        strategyId: top?.strategyId,
+        strategyStyle: top?.strategyStyle,
+        side: top?.side,
+        intervalMin: Number(intervalMin),
+      },
+      token: Number(instrument_token),
+      outcome: "BLOCKED",
+      stage: "ensemble",
+      reason: ens.outcome,
+      meta: {
+        mode: ens.mode,
+        detail: ens.reason,
+        conflictScore: ens.conflictScore,
+        candidates: ens.opposing,
+      },
+    });
+    return null;
+  }
+  const best = ens.signal;
 
   // Reject synthetic candles if requested
   if (String(env.ALLOW_SYNTHETIC_SIGNALS || "false") !== "true") {
@@ -172,6 +240,8 @@ function evaluateFromCandles({
     meta: {
       confidence: Number(best.confidence ?? 0),
       regime: sel?.regime || null,
+      paramProfile: best.paramProfile || null,
+      ensemble: best.ensemble || null,
     },
   });
 
@@ -184,6 +254,8 @@ function evaluateFromCandles({
     intervalMin: Number(intervalMin),
     regime: sel?.regime || null,
     regimeMeta: sel?.meta || null,
+    paramProfile: best.paramProfile || null,
+    ensemble: best.ensemble || null,
     side: best.side,
     reason: best.reason,
     candle: {
@@ -202,4 +274,4 @@ function evaluateFromCandles({
   };
 }
 
-module.exports = { evaluateOnCandleClose, evaluateOnCandleTick };
+module.exports = { evaluateOnCandleClose, evaluateOnCandleTick, applyMultiTfStage };
@@ -114,10 +114,19 @@ class SignalTelemetry {
       updatedAt: new Date(),
       candidatesTotal: 0,
       candidatesByStrategy: {}, // strategyId -> count
+      candidatesByProfile: {}, // "strategyId|profile@version" -> count
       decisionsTotal: 0,
       outcomes: {}, // outcome -> count
       blockedTotal: 0,
       blockedByStage: {}, // stage -> count
+
+      // Ensemble outcomes (agreement/disagreement between strategies)
+      ensembleTotal: 0,
+      ensembleByOutcome: {}, // "mode|outcome" -> count
+      ensembleConflicted: 0, // evaluations with any opposing candidate
+      ensembleOpposingSuppressed: 0, // signal emitted while an opposing one was dropped
+      ensembleSuppressedByStrategy: {}, // strategyId -> times its opposing signal was dropped
+      ensembleConflictScoreSum: 0,
       blockedByReason: {}, // "stage|reason" -> count
       blockedByStrategy: {}, // strategyId -> count
       blockedByStrategyReason: {}, // strategyId -> { "stage|reason": count }
@@ -165,6 +174,39 @@ class SignalTelemetry {
 
     const sid = safeKey(signal?.strategyId || "UNKNOWN", 80);
     inc(this._state.candidatesByStrategy, sid, 1);
+
+    if (signal?.paramProfile?.id) {
+      const pk = safeKey(
+        `${sid}|${signal.paramProfile.id}@${signal.paramProfile.version ?? "-"}`,
+        140,
+      );
+      inc(this._state.candidatesByProfile, pk, 1);
+    }
+  }
+
+  recordEnsemble({ mode, outcome, conflictScore, opposing, suppressed }) {
+    if (!this._enabled) return;
+    this._rotateIfNeeded(new Date());
+
+    const st = this._state;
+    st.updatedAt = new Date();
+    st.ensembleTotal += 1;
+    inc(
+      st.ensembleByOutcome,
+      safeKey(`${mode || "UNKNOWN"}|${outcome || "UNKNOWN"}`, 60),
+      1,
+    );
+    const cs = Number(conflictScore);
+    if (Number.isFinite(cs)) st.ensembleConflictScoreSum += cs;
+    if ((opposing || []).length && Number.isFinite(cs) && cs > 0) {
+      st.ensembleConflicted += 1;
+    }
+    if ((suppressed || []).length) {
+      st.ensembleOpposingSuppressed += 1;
+      for (const s of suppressed) {
+        inc(st.ensembleSuppressedByStrategy, safeKey(s?.strategyId || "UNKNOWN", 80), 1);
+      }
+    }
   }
 
   recordDecision({ signal, token, outcome, stage, reason, meta }) {
@@ -225,6 +267,7 @@ class SignalTelemetry {
       timeBucket: bucket,
       side: signal?.side || null,
       intervalMin: signal?.intervalMin || signal?.candle?.interval_min || null,
+      paramProfile: signal?.paramProfile || meta?.paramProfile || null,
       outcome: out,
       stage: stg,
       reason: rsn || null,
@@ -300,6 +343,7 @@ class SignalTelemetry {
       updatedAt: s.updatedAt,
       candidatesTotal: s.candidatesTotal,
       candidatesByStrategy: s.candidatesByStrategy,
+      candidatesByProfile: s.candidatesByProfile,
       decisionsTotal: s.decisionsTotal,
       outcomes: s.outcomes,
       blockedTotal: s.blockedTotal,
@@ -307,6 +351,16 @@ class SignalTelemetry {
       blockedByReason: s.blockedByReason,
       blockedByStrategy: s.blockedByStrategy,
       blockedByStrategyReason: s.blockedByStrategyReason,
+      ensemble: {
+        total: s.ensembleTotal,
+        byOutcome: s.ensembleByOutcome,
+        conflicted: s.ensembleConflicted,
+        opposingSuppressed: s.ensembleOpposingSuppressed,
+        suppressedByStrategy: s.ensembleSuppressedByStrategy,
+        avgConflictScore: s.ensembleTotal
+          ? s.ensembleConflictScoreSum / s.ensembleTotal
+          : null,
+      },
       lastDecisions: s.lastDecisions.slice(-50), // keep response small
     };
   }
@@ -362,4 +416,4 @@ class SignalTelemetry {
 
 const telemetry = new SignalTelemetry();
 
-module.exports = { telemetry, dayKey };
+module.exports = { telemetry, dayKey, timeBucket };
@@ -1,6 +1,11 @@
 // src/tokenStore.js
 const { env } = require("./config");
 const { getDb, getClient } = require("./db");
+const { isSealed, openSecret, registerSealedFields } = require("./security/secrets");
+
+// Session credentials kiteLogin seals (as `<field>_enc`) when the secrets store
+// is configured; docs written by external token apps may still carry plaintext.
+const SESSION_SECRET_FIELDS = ["access_token", "refresh_token", "enctoken"];
 
 // Optional override: read token documents from a different Mongo DB than env.MONGO_DB.
 // Useful when you write backtest candles to a dedicated DB (e.g. scanner_app_bt)
@@ -55,7 +60,25 @@ async function readLatestTokenDoc() {
     };
   }
 
+  let sealedToken = null;
+  if (isSealed(doc.access_token_enc)) {
+    try {
+      sealedToken = openSecret(doc.access_token_enc);
+    } catch (e) {
+      return {
+        doc,
+        accessToken: null,
+        reason: "TOKEN_DECRYPT_FAILED",
+        error: e?.message || String(e),
+        filter,
+        collection: env.TOKENS_COLLECTION,
+        tokensDb: String(process.env.TOKENS_DB || env.MONGO_DB),
+      };
+    }
+  }
+
   const accessToken =
+    sealedToken ||
     doc.access_token ||
     doc.accessToken ||
     doc.token ||
@@ -81,4 +104,13 @@ async function readLatestTokenDoc() {
   return { doc, accessToken: String(accessToken) };
 }
 
-module.exports = { readLatestTokenDoc };
+// TOKENS_COLLECTION is shared with the external token generator: only the
+// session documents this engine wrote (kite/kiteLogin.js) are sealed/rotated.
+registerSealedFields({
+  label: "kite_tokens",
+  collection: () => getTokensDb().collection(env.TOKENS_COLLECTION),
+  filter: { type: "kite_session" },
+  fields: SESSION_SECRET_FIELDS.map((f) => ({ sealed: `${f}_enc`, plain: f })),
+});
+
+module.exports = { readLatestTokenDoc, getTokensDb, SESSION_SECRET_FIELDS };
@@ -20,6 +20,7 @@ const { computeStructureLevels } = require("./structureLevels");
 const { applyLiquidityBuffer } = require("./liquidityBuffer");
 const { computeVolScaler, applyScalerToRThreshold } = require("./volScaler");
 const { computeStopAnchor } = require("./stopAnchors");
+const { regimeService } = require("../strategy/regimeService");
 
 const levelsCache = new Map();
 
@@ -292,9 +293,15 @@ function getStructureLevelsCached({ env, trade, now, candles, underlyingLtp, ses
   levelsCache.set(cacheKey, { ts: now, levels });
   return levels;
 }
+// Live regime from the regime service (underlying), else the entry-time tag.
 function detectRegimeTag(trade) {
+  const live = regimeService.current(
+    trade?.underlying_token ?? trade?.instrument_token,
+    trade?.intervalMin ?? trade?.signal?.intervalMin ?? 1,
+  );
   return String(
-    trade?.marketContextAtEntry?.regimeTag ||
+    live?.regime ||
+      trade?.marketContextAtEntry?.regimeTag ||
       trade?.planMeta?.style ||
       trade?.regimeMeta?.regime ||
       trade?.signal?.regime ||
@@ -887,7 +894,9 @@ function applyMinGreenExitRules({
         ? Number(env.TRAIL_ATR_K_TREND ?? 1.4)
         : regimeTag.includes("OPEN")
           ? Number(env.TRAIL_ATR_K_OPEN ?? 1.6)
-          : Number(env.TRAIL_ATR_K_RANGE ?? 1.0);
+          : regimeTag.includes("VOLATILE")
+            ? Number(env.TRAIL_ATR_K_VOLATILE ?? 1.8)
+            : Number(env.TRAIL_ATR_K_RANGE ?? 1.0);
     trailK = clamp(kByRegime, 0.8, 2.0);
     const shouldTightenTrail =
       Number.isFinite(peakRForRules) &&
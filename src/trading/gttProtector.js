@@ -0,0 +1,340 @@
+const { env } = require("../config");
+const { logger } = require("../logger");
+const { alert } = require("../alerts/alertService");
+const { reportFault } = require("../runtime/errorBus");
+const { STATUS } = require("./tradeStateMachine");
+const { roundToTick } = require("./priceUtils");
+const { updateTrade, getActiveTrades } = require("./tradeStore");
+
+/**
+ * Broker-side GTT protection.
+ *
+ * Stops and targets are otherwise enforced by resting DAY orders plus
+ * in-process watchdogs and virtual targets, none of which survive the process
+ * or, for carried NRML positions, the session. With GTT_PROTECTION_ENABLED
+ * each eligible position also gets a Kite GTT two-leg (OCO) trigger at its
+ * current SL and target (a single-leg stop when there is no target yet):
+ * - placed by reconcile once the trade is LIVE (and right after an EOD
+ *   MIS→NRML conversion), modified when dynamic exits move the SL/target;
+ * - deleted when the trade exits (OCO cleanup) or closes;
+ * - reconcile re-places triggers the broker no longer has active (deleted,
+ *   expired, rejected) and flags ones that fired.
+ *
+ * The triggers sit GTT_BACKSTOP_BPS beyond the engine's SL and target, so the
+ * resting orders fire first and the OCO cleanup deletes the GTT; it only acts
+ * when they are gone (process down, DAY orders lapsed after a carry). GTT legs
+ * are LIMIT orders: the target leg at its trigger, the SL leg
+ * GTT_SL_LIMIT_BUFFER_BPS beyond its trigger. State lives on the trade as
+ * `gtt: { id, status, type, triggerValues, qty, product, ... }`.
+ *
+ * TradeManager owns the instance; every broker failure is logged and kept on
+ * the trade, never thrown into the exit path.
+ */
+
+const PROTECTABLE = new Set([STATUS.SL_PLACED, STATUS.SL_OPEN, STATUS.SL_CONFIRMED, STATUS.LIVE]);
+const CARRY_PRODUCTS = new Set(["NRML", "CNC", "MTF"]);
+
+function n(v, d = null) {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+}
+
+function flag(v) {
+  return v === true || String(v).toLowerCase() === "true";
+}
+
+function sameLevels(a, b) {
+  return (
+    Array.isArray(a) &&
+    Array.isArray(b) &&
+    a.length === b.length &&
+    a.every((v, i) => Math.abs(n(v, 0) - n(b[i], 0)) < 1e-9)
+  );
+}
+
+/**
+ * Kite placeGTT params protecting `trade` at `ltp`, or { skip: reason }.
+ * For a long the lower trigger is the stop and the upper the target; a short is the mirror.
+ */
+function buildGttParams(trade, ltp, cfg = env) {
+  const side = String(trade?.side || "").toUpperCase();
+  const exitSide = side === "SELL" ? "BUY" : "SELL";
+  const qty = Math.abs(n(trade?.qty, 0));
+  const sl = n(trade?.stopLoss, 0);
+  const target = n(trade?.targetPrice, 0) || n(trade?.plannedTargetPrice, 0);
+  const tick = n(trade?.instrument?.tick_size, 0.05) || 0.05;
+  const product = String(trade?.product || cfg.DEFAULT_PRODUCT || "MIS").toUpperCase();
+  const px = n(ltp, 0);
+
+  if (!(qty > 0) || !(sl > 0)) return { skip: "NO_STOP" };
+  if (!(px > 0)) return { skip: "NO_LTP" };
+  // Kite rejects triggers already on the wrong side of the market; the process-side exits own that case.
+  if (side === "SELL" ? px >= sl : px <= sl) return { skip: "SL_BREACHED" };
+  const hasTarget = target > 0 && (side === "SELL" ? target < px : target > px);
+
+  // Triggers sit GTT_BACKSTOP_BPS beyond the engine's levels so its own SL/target orders act first.
+  const back = Math.max(0, n(cfg.GTT_BACKSTOP_BPS, 20)) / 10000;
+  const away = (px0, dir) => roundToTick(px0 * (1 + dir * back), tick, dir > 0 ? "up" : "down");
+  const slTrigger = away(sl, side === "SELL" ? 1 : -1);
+  const targetTrigger = hasTarget ? away(target, side === "SELL" ? -1 : 1) : null;
+
+  const buf = Math.max(0, n(cfg.GTT_SL_LIMIT_BUFFER_BPS, 50)) / 10000;
+  const slLimit =
+    exitSide === "SELL"
+      ? roundToTick(slTrigger * (1 - buf), tick, "down")
+      : roundToTick(slTrigger * (1 + buf), tick, "up");
+  const leg = (price) => ({ transaction_type: exitSide, quantity: qty, product, order_type: "LIMIT", price });
+
+  const base = {
+    exchange: trade.instrument?.exchange,
+    tradingsymbol: trade.instrument?.tradingsymbol,
+    last_price: px,
+  };
+  if (!hasTarget) {
+    return { ...base, trigger_type: "single", trigger_values: [slTrigger], orders: [leg(slLimit)] };
+  }
+  const slLeg = leg(slLimit);
+  const targetLeg = leg(targetTrigger);
+  return side === "SELL"
+    ? { ...base, trigger_type: "two-leg", trigger_values: [targetTrigger, slTrigger], orders: [targetLeg, slLeg] }
+    : { ...base, trigger_type: "two-leg", trigger_values: [slTrigger, targetTrigger], orders: [slLeg, targetLeg] };
+}
+
+class GttProtector {
+  /**
+   * @param {object} opts
+   * @param {import('./tradeManager').TradeManager} opts.tm
+   */
+  constructor({ tm, cfg = env }) {
+    this.tm = tm;
+    this.cfg = cfg;
+    this._inFlight = new Set();
+  }
+
+  enabled() {
+    const kite = this.tm.kite;
+    return (
+      flag(this.cfg.GTT_PROTECTION_ENABLED) &&
+      ["placeGTT", "modifyGTT", "deleteGTT"].every((m) => typeof kite?.[m] === "function")
+    );
+  }
+
+  eligible(trade) {
+    if (!trade?.tradeId || trade.structure || !PROTECTABLE.has(trade.status)) return false;
+    if (String(this.cfg.GTT_PROTECTION_SCOPE || "CARRY").toUpperCase() === "ALL") return true;
+    return CARRY_PRODUCTS.has(String(trade.product || "").toUpperCase());
+  }
+
+  /** Places or modifies the trade's GTT so it matches its current SL / target. */
+  async sync(trade, reason = "sync", { force = false } = {}) {
+    if (!this.enabled() || !this.eligible(trade)) return null;
+    const tradeId = trade.tradeId;
+    if (this._inFlight.has(tradeId)) return null;
+    this._inFlight.add(tradeId);
+    try {
+      const ltp = this.tm.lastPriceByToken.get(Number(trade.instrument_token));
+      const params = buildGttParams(trade, ltp, this.cfg);
+      const cur = trade.gtt || {};
+      // A fired trigger means the broker is already exiting; never arm a second one.
+      if (cur.status === "triggered") return null;
+      if (params.skip) {
+        if (cur.skipReason !== params.skip) {
+          await updateTrade(tradeId, { gtt: { ...cur, skipReason: params.skip, checkedAt: new Date() } });
+        }
+        return null;
+      }
+      const active = cur.id && cur.status === "active";
+      const unchanged =
+        active &&
+        cur.type === params.trigger_type &&
+        sameLevels(cur.triggerValues, params.trigger_values) &&
+        n(cur.qty) === params.orders[0].quantity &&
+        cur.product === params.orders[0].product;
+      if (unchanged && !force) return cur;
+
+      let id = cur.id;
+      let action = "placed";
+      if (active) {
+        try {
+          await this.tm.kite.modifyGTT(cur.id, params);
+          action = "modified";
+        } catch (e) {
+          // A trigger that fired or vanished since the last look is replaced, not retried.
+          logger.warn({ tradeId, gttId: cur.id, e: e?.message || String(e) }, "[gtt] modify failed; placing a new trigger");
+          try {
+            await this.tm.kite.deleteGTT(cur.id);
+          } catch {
+            // already gone
+          }
+          id = null;
+        }
+      }
+      if (action === "placed") {
+        const res = await this.tm.kite.placeGTT(params);
+        id = res?.trigger_id ?? res?.id ?? null;
+      }
+
+      const next = {
+        id,
+        status: "active",
+        type: params.trigger_type,
+        triggerValues: params.trigger_values,
+        legPrices: params.orders.map((o) => o.price),
+        qty: params.orders[0].quantity,
+        product: params.orders[0].product,
+        placedAt: action === "placed" ? new Date() : cur.placedAt || null,
+        syncedAt: new Date(),
+        reason,
+        error: null,
+        skipReason: null,
+      };
+      await updateTrade(tradeId, { gtt: next });
+      logger.info({ tradeId, gttId: id, action, reason, triggerValues: params.trigger_values }, `[gtt] trigger ${action}`);
+      return next;
+    } catch (e) {
+      logger.error({ tradeId, reason, e: e?.message || String(e) }, "[gtt] sync failed (process-side exits still active)");
+      try {
+        await updateTrade(tradeId, {
+          gtt: { ...(trade.gtt || {}), error: e?.message || String(e), errorAt: new Date() },
+        });
+      } catch (err) { reportFault({ code: "TRADING_GTT_CATCH", err, message: "[src/trading/gttProtector.js] caught and continued" }); }
+      return null;
+    } finally {
+      this._inFlight.delete(tradeId);
+    }
+  }
+
+  /**
+   * Deletes the trade's GTT once the engine has exited. If the trigger already
+   * fired alongside the engine's own exit, its LIMIT order is cancelled so it
+   * cannot open a reverse position.
+   */
+  async cancel(trade, reason = "closed") {
+    const cur = trade?.gtt;
+    if (!cur?.id || !["active", "triggered"].includes(cur.status)) return false;
+    const tradeId = trade.tradeId;
+    let patch = { ...cur, cancelReason: reason };
+    if (cur.status === "active") {
+      try {
+        await this.tm.kite.deleteGTT(cur.id);
+        patch = { ...patch, status: "deleted", cancelledAt: new Date() };
+        logger.info({ tradeId, gttId: cur.id, reason }, "[gtt] trigger deleted");
+      } catch (e) {
+        patch = { ...patch, error: e?.message || String(e), errorAt: new Date() };
+        logger.warn({ tradeId, gttId: cur.id, reason, e: e?.message || String(e) }, "[gtt] delete failed");
+      }
+    }
+    if (patch.status !== "deleted") {
+      const stray = await this._cancelTriggeredOrders(cur.id, tradeId);
+      if (stray) patch = { ...patch, status: stray.status, strayOrderIds: stray.orderIds };
+    }
+    try {
+      await updateTrade(tradeId, { gtt: patch });
+    } catch (err) { reportFault({ code: "TRADING_GTT_CATCH", err, message: "[src/trading/gttProtector.js] caught and continued" }); }
+    return patch.status === "deleted";
+  }
+
+  async _cancelTriggeredOrders(gttId, tradeId) {
+    let remote = null;
+    try {
+      remote = (await this.tm.kite.getGTTs()).find((g) => String(g.id) === String(gttId)) || null;
+    } catch (e) {
+      logger.warn({ tradeId, gttId, e: e?.message || String(e) }, "[gtt] getGTTs failed while cleaning up");
+      return null;
+    }
+    if (!remote) return null;
+    const orderIds = (remote.orders || []).map((o) => o?.result?.order_result?.order_id).filter(Boolean).map(String);
+    if (String(remote.status) !== "triggered") return { status: String(remote.status), orderIds };
+    const variety = String(env.DEFAULT_ORDER_VARIETY || "regular");
+    for (const oid of orderIds) {
+      try {
+        this.tm.expectedCancelOrderIds?.add(oid);
+        await this.tm._safeCancelOrder(variety, oid, { purpose: "GTT_STRAY_CANCEL", tradeId });
+      } catch {
+        // filled or already cancelled; position-first reconcile owns any leftover quantity
+      }
+    }
+    logger.error({ tradeId, gttId, orderIds }, "[gtt] trigger fired alongside the engine exit; cancelled its order");
+    return { status: "triggered", orderIds };
+  }
+
+  /**
+   * Compares active trades with the broker's GTT book: places missing triggers,
+   * re-places ones no longer active, re-syncs drifted levels and flags fired ones.
+   */
+  async reconcile(trades = null) {
+    if (!this.enabled() || typeof this.tm.kite.getGTTs !== "function") return;
+    const actives = (trades || (await getActiveTrades())).filter((t) => this.eligible(t));
+    if (!actives.length) return;
+
+    let book;
+    try {
+      book = await this.tm.kite.getGTTs();
+    } catch (e) {
+      logger.warn({ e: e?.message || String(e) }, "[gtt] getGTTs failed; skipping GTT reconcile");
+      return;
+    }
+    const byId = new Map((book || []).map((g) => [String(g.id), g]));
+
+    for (const trade of actives) {
+      const cur = trade.gtt || {};
+      const remote = cur.id ? byId.get(String(cur.id)) : null;
+      const remoteStatus = String(remote?.status || (cur.id ? "missing" : "")).toLowerCase();
+
+      if (remoteStatus === "triggered") {
+        if (cur.status !== "triggered") {
+          try {
+            await updateTrade(trade.tradeId, { gtt: { ...cur, status: "triggered", triggeredAt: new Date() } });
+          } catch (err) { reportFault({ code: "TRADING_GTT_ASYNC", err, message: "[src/trading/gttProtector.js] async task failed" }); }
+          logger.error(
+            { tradeId: trade.tradeId, gttId: cur.id, orders: remote.orders },
+            "[gtt] trigger fired at the broker; position-first reconcile takes the exit from here",
+          );
+          alert("warn", "🛡️ GTT protection fired", { tradeId: trade.tradeId, gttId: cur.id }).catch((err) =>
+            reportFault({ code: "TRADING_GTT_ASYNC", err, message: "[src/trading/gttProtector.js] async task failed" }),
+          );
+        }
+        continue;
+      }
+
+      if (cur.id && remoteStatus !== "active") {
+        logger.warn({ tradeId: trade.tradeId, gttId: cur.id, remoteStatus }, "[gtt] trigger not active at broker; re-placing");
+        await this.sync({ ...trade, gtt: { ...cur, status: remoteStatus } }, "reconcile_replace");
+        continue;
+      }
+      if (remote && !sameLevels(remote.condition?.trigger_values, cur.triggerValues)) {
+        await this.sync(trade, "reconcile_drift", { force: true });
+        continue;
+      }
+      await this.sync(trade, "reconcile");
+    }
+  }
+
+  /** Protection summary for a tracked trade: broker-side (GTT), process-side (watchdogs), both or none. */
+  describe(trade) {
+    const gtt = trade?.gtt || null;
+    const brokerSide = Boolean(gtt?.id && gtt.status === "active");
+    // Watchdogs and virtual targets run for every trade this process tracks with a stop.
+    const processSide = this.tm.activeTrades.has(String(trade?.tradeId)) && n(trade?.stopLoss, 0) > 0;
+    return {
+      tradeId: trade?.tradeId || null,
+      tradingsymbol: trade?.instrument?.tradingsymbol || null,
+      product: trade?.product || null,
+      status: trade?.status || null,
+      protection: brokerSide && processSide ? "both" : brokerSide ? "broker" : processSide ? "process" : "none",
+      brokerSide,
+      processSide,
+      gttId: gtt?.id ?? null,
+      gttStatus: gtt?.status ?? null,
+      gttTriggerValues: gtt?.triggerValues ?? null,
+      gttSkipReason: gtt?.skipReason ?? null,
+      gttError: gtt?.error ?? null,
+      slOrderId: trade?.slOrderId || null,
+      stopLoss: n(trade?.stopLoss),
+      targetPrice: n(trade?.targetPrice) || n(trade?.plannedTargetPrice),
+      targetVirtual: Boolean(trade?.targetVirtual),
+    };
+  }
+}
+
+module.exports = { GttProtector, buildGttParams };
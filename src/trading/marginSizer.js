@@ -71,43 +71,53 @@ function capQtyByConfig({ qty, entryPriceGuess }) {
   return Math.max(0, out);
 }
 
-async function calcMarginsForOrder({ kite, params, qty, entryPriceGuess }) {
+function buildMarginRequest(params, q, entryPriceGuess) {
+  const order_type = params.order_type || params.orderType || "MARKET";
+
+  // Zerodha expects 0 for unused price/trigger_price on MARKET orders,
+  // but supplying a reasonable price helps make the calculation realistic.
+  const pxGuess = num(entryPriceGuess);
+  const price =
+    order_type === "MARKET"
+      ? Number.isFinite(pxGuess) && pxGuess > 0
+        ? pxGuess
+        : 0
+      : pickNum(params.price, params.price !== 0 ? params.price : 0, 0);
+
+  const trigger_price = pickNum(
+    params.trigger_price,
+    params.triggerPrice,
+    params.trigger,
+    0
+  );
+
+  return {
+    exchange: params.exchange,
+    tradingsymbol: params.tradingsymbol,
+    transaction_type: params.transaction_type,
+    quantity: q,
+    product: params.product || env.DEFAULT_PRODUCT || "MIS",
+    order_type,
+    price,
+    trigger_price,
+    variety: params.variety || env.DEFAULT_ORDER_VARIETY || "regular",
+  };
+}
+
+/**
+ * Margin for a single order, or for a multi-leg `basket`
+ * ([{ params, qty, entryPriceGuess }]) placed together.
+ */
+async function calcMarginsForOrder({ kite, params, qty, entryPriceGuess, basket }) {
+  if (Array.isArray(basket)) return calcBasketMargins({ kite, basket });
+
   const q = Math.max(0, Math.floor(qty || 0));
   if (!q) return { required: 0, total: 0, chargesTotal: 0, raw: null };
 
   // If the client supports the order margins endpoint, use it.
   if (kite && typeof kite.orderMargins === "function") {
     try {
-      const order_type = params.order_type || params.orderType || "MARKET";
-
-      // Zerodha expects 0 for unused price/trigger_price on MARKET orders,
-      // but supplying a reasonable price helps make the calculation realistic.
-      const pxGuess = num(entryPriceGuess);
-      const price =
-        order_type === "MARKET"
-          ? Number.isFinite(pxGuess) && pxGuess > 0
-            ? pxGuess
-            : 0
-          : pickNum(params.price, params.price !== 0 ? params.price : 0, 0);
-
-      const trigger_price = pickNum(
-        params.trigger_price,
-        params.triggerPrice,
-        params.trigger,
-        0
-      );
-
-      const req = {
-        exchange: params.exchange,
-        tradingsymbol: params.tradingsymbol,
-        transaction_type: params.transaction_type,
-        quantity: q,
-        product: params.product || env.DEFAULT_PRODUCT || "MIS",
-        order_type,
-        price,
-        trigger_price,
-        variety: params.variety || env.DEFAULT_ORDER_VARIETY || "regular",
-      };
+      const req = buildMarginRequest(params, q, entryPriceGuess);
 
       const resp = await kite.orderMargins([req]);
       const row = Array.isArray(resp)
@@ -172,6 +182,64 @@ async function calcMarginsForOrder({ kite, params, qty, entryPriceGuess }) {
   return { required: total, total, chargesTotal: 0, raw: null };
 }
 
+// Basket margins net hedged legs (a covered short needs far less than a naked
+// one). Without the basket endpoint, fall back to summing the legs.
+async function calcBasketMargins({ kite, basket }) {
+  const legs = basket.filter((l) => Math.floor(Number(l?.qty) || 0) > 0);
+  if (!legs.length) return { required: 0, total: 0, chargesTotal: 0, raw: null };
+
+  if (kite && typeof kite.orderBasketMargins === "function") {
+    try {
+      const reqs = legs.map((l) =>
+        buildMarginRequest(l.params, Math.floor(Number(l.qty)), l.entryPriceGuess)
+      );
+      const resp = await kite.orderBasketMargins(reqs, true, "compact");
+      const data = resp?.data || resp;
+      const total = pickNum(data?.final?.total, data?.initial?.total);
+      if (Number.isFinite(total)) {
+        const chargesTotal = (data?.orders || []).reduce((acc, o) => {
+          const c = num(o?.charges?.total);
+          return acc + (Number.isFinite(c) ? c : 0);
+        }, 0);
+        return {
+          required: total + chargesTotal,
+          total,
+          chargesTotal,
+          raw: data,
+          basket: true,
+        };
+      }
+    } catch (e) {
+      logger.warn(
+        { e: e?.message || e },
+        "[margin] orderBasketMargins failed; summing legs"
+      );
+    }
+  }
+
+  let total = 0;
+  let chargesTotal = 0;
+  const perLeg = [];
+  for (const l of legs) {
+    const m = await calcMarginsForOrder({
+      kite,
+      params: l.params,
+      qty: l.qty,
+      entryPriceGuess: l.entryPriceGuess,
+    });
+    perLeg.push(m);
+    total += num(m.total);
+    chargesTotal += Number.isFinite(num(m.chargesTotal)) ? num(m.chargesTotal) : 0;
+  }
+  return {
+    required: total + chargesTotal,
+    total,
+    chargesTotal,
+    raw: perLeg,
+    basket: false,
+  };
+}
+
 async function findMaxQtyUnderMargin({
   kite,
   entryParams,
@@ -0,0 +1,602 @@
+const crypto = require("crypto");
+const { DateTime } = require("luxon");
+const { env } = require("../config");
+const { logger } = require("../logger");
+const { alert } = require("../alerts/alertService");
+const { reportFault } = require("../runtime/errorBus");
+const { STATUS } = require("./tradeStateMachine");
+const { calcMarginsForOrder, getAvailableEquityMargin } = require("./marginSizer");
+const {
+  insertTrade,
+  updateTrade,
+  getTrade,
+  linkOrder,
+  getDailyRisk,
+  upsertDailyRisk,
+} = require("./tradeStore");
+
+/**
+ * Multi-leg option structures (see fno/structurePlanner.js).
+ *
+ * A structure is one trade record whose `legs[]` move as a unit:
+ * - entry goes leg by leg, long legs (the hedges) before short legs, each
+ *   confirmed filled before the next is sent. If a leg fails, the legs already
+ *   filled are unwound in reverse order and the trade ends ENTRY_FAILED
+ *   (a rollback that cannot finish stays ENTRY_PLACED for reconcile to retry);
+ * - margin is checked on the whole basket before the first leg;
+ * - PnL is marked from every leg's LTP; the stop and target are shares of the
+ *   structure's max loss / max profit;
+ * - exits buy back short legs before selling long legs;
+ * - reconcile compares every leg with the broker's net position.
+ *
+ * TradeManager owns the instance and delegates to it for trades with `legs`.
+ */
+
+const LIVE_STATUSES = new Set([STATUS.LIVE]);
+
+function n(v, d = null) {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+}
+
+function sign(side) {
+  return String(side || "").toUpperCase() === "SELL" ? -1 : 1;
+}
+
+function opposite(side) {
+  return String(side || "").toUpperCase() === "SELL" ? "BUY" : "SELL";
+}
+
+// Same day key as TradeManager, so structure PnL lands in the daily-risk doc it reads.
+function todayKey() {
+  return DateTime.now()
+    .setZone(env.CANDLE_TZ || "Asia/Kolkata")
+    .toFormat("yyyy-LL-dd");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** Hedge-first entry order: long legs, then short legs (stable within each group). */
+function orderLegsForEntry(legs) {
+  return [...(legs || [])].sort((a, b) => sign(b.side) - sign(a.side));
+}
+
+/** Exit order: buy back short legs before selling the long legs that cover them. */
+function orderLegsForExit(legs) {
+  return [...(legs || [])].sort((a, b) => sign(a.side) - sign(b.side));
+}
+
+/**
+ * Open PnL (₹) of filled legs at `ltpByToken`; null while any leg has no price.
+ */
+function structureMarkToMarket(legs, ltpByToken) {
+  let pnl = 0;
+  for (const leg of legs || []) {
+    const qty = n(leg.filledQty, 0) - n(leg.exitedQty, 0);
+    if (qty <= 0) continue;
+    const entry = n(leg.entryPrice);
+    const ltp = n(ltpByToken.get(Number(leg.instrument_token)));
+    if (entry === null || ltp === null) return null;
+    pnl += sign(leg.side) * (ltp - entry) * qty;
+  }
+  return pnl;
+}
+
+/** Signed net premium per unit of the legs at their fill prices (debit > 0). */
+function netPerUnit(legs, key) {
+  return (legs || []).reduce((a, l) => a + sign(l.side) * n(l[key], 0), 0);
+}
+
+/**
+ * Stop / target in ₹ for `qty` units of a planned structure.
+ * Unbounded structures (long straddle/strangle) target OPT_STRUCTURE_TARGET_R × stop.
+ */
+function structureExitLevels(plan, qty, cfg = env) {
+  const slPct = Math.max(1, Math.min(100, n(cfg.OPT_STRUCTURE_SL_PCT, 50)));
+  const targetPct = Math.max(1, Math.min(100, n(cfg.OPT_STRUCTURE_TARGET_PCT, 60)));
+  const stopLossInr = (n(plan.maxLoss, 0) * qty * slPct) / 100;
+  const targetInr =
+    plan.maxProfit === null || plan.maxProfit === undefined
+      ? stopLossInr * Math.max(0.1, n(cfg.OPT_STRUCTURE_TARGET_R, 1.5))
+      : (n(plan.maxProfit, 0) * qty * targetPct) / 100;
+  return { stopLossInr, targetInr };
+}
+
+class StructureTrader {
+  /**
+   * @param {object} opts
+   * @param {import('./tradeManager').TradeManager} opts.tm
+   * @param {(tradeId: string, role: string) => string} opts.makeTag
+   */
+  constructor({ tm, makeTag }) {
+    this.tm = tm;
+    this.makeTag = makeTag;
+    this.live = new Map(); // tradeId -> trade (LIVE structures marked on ticks)
+    this._entering = new Set();
+    this._exitInFlight = new Set();
+  }
+
+  track(trade) {
+    if (!trade?.tradeId || !Array.isArray(trade.legs)) return;
+    if (LIVE_STATUSES.has(trade.status)) this.live.set(trade.tradeId, trade);
+    else this.live.delete(trade.tradeId);
+  }
+
+  untrack(tradeId) {
+    this.live.delete(String(tradeId || ""));
+  }
+
+  openPnl(trade) {
+    if (!LIVE_STATUSES.has(trade?.status)) return null;
+    return structureMarkToMarket(trade.legs, this.tm.lastPriceByToken);
+  }
+
+  onTick(token) {
+    if (!this.live.size) return;
+    const tok = Number(token);
+    for (const trade of this.live.values()) {
+      if (!trade.legs.some((l) => Number(l.instrument_token) === tok)) continue;
+      if (this._exitInFlight.has(trade.tradeId)) continue;
+      const pnl = this.openPnl(trade);
+      if (pnl === null) continue;
+      const { stopLossInr, targetInr } = trade.structure || {};
+      let reason = null;
+      if (n(stopLossInr, 0) > 0 && pnl <= -stopLossInr) reason = "STRUCTURE_SL";
+      else if (n(targetInr, 0) > 0 && pnl >= targetInr) reason = "STRUCTURE_TARGET";
+      if (!reason) continue;
+      logger.info({ tradeId: trade.tradeId, pnl, stopLossInr, targetInr, reason }, "[structure] exit level hit");
+      this.exit(trade, reason).catch((err) =>
+        reportFault({ code: "STRUCTURE_EXIT_FAILED", err, message: "[structure] exit failed" }),
+      );
+    }
+  }
+
+  async _basketMargin(legs, qty) {
+    const product = String(env.DEFAULT_PRODUCT || "MIS").toUpperCase();
+    const margin = await calcMarginsForOrder({
+      kite: this.tm.kite,
+      basket: orderLegsForEntry(legs).map((l) => ({
+        params: {
+          exchange: l.exchange,
+          tradingsymbol: l.tradingsymbol,
+          transaction_type: l.side,
+          product,
+          order_type: "MARKET",
+        },
+        qty,
+        entryPriceGuess: l.ltp,
+      })),
+    });
+    let available = null;
+    try {
+      available = n(getAvailableEquityMargin(await this.tm.kite.getMargins()));
+    } catch (e) {
+      logger.warn({ e: e?.message || String(e) }, "[structure] getMargins failed");
+    }
+    return { required: n(margin?.required), available, basket: !!margin?.basket };
+  }
+
+  /**
+   * Size, margin-check and enter a planned structure.
+   * Returns a block reason string (like _handleSignal) or undefined.
+   */
+  async enter({ signal, plan, riskKey, riskTradeInr }) {
+    const tm = this.tm;
+    const lotSize = Math.max(1, n(plan.lot_size, 1));
+    const perLot = structureExitLevels(plan, lotSize).stopLossInr;
+    const maxLots = Math.max(1, Math.floor(n(env.OPT_STRUCTURE_MAX_LOTS, 1)));
+    const lots = perLot > 0 ? Math.min(maxLots, Math.floor(n(riskTradeInr, 0) / perLot)) : 0;
+    if (lots < 1) {
+      logger.info(
+        { kind: plan.kind, riskTradeInr, stopLossInrPerLot: perLot },
+        "[structure] blocked (one lot exceeds the risk budget)",
+      );
+      return "structure_risk_exceeds_budget";
+    }
+    const qty = lots * lotSize;
+
+    const margin = await this._basketMargin(plan.legs, qty);
+    if (
+      margin.required === null ||
+      (margin.available !== null && margin.required > margin.available)
+    ) {
+      logger.warn({ kind: plan.kind, qty, ...margin }, "[structure] blocked (basket margin)");
+      return "structure_insufficient_margin";
+    }
+
+    const tradeId = crypto.randomUUID();
+    const { stopLossInr, targetInr } = structureExitLevels(plan, qty);
+    const anchor = plan.anchor;
+    const trade = {
+      tradeId,
+      instrument_token: Number(anchor.instrument_token),
+      instrument: {
+        instrument_token: Number(anchor.instrument_token),
+        exchange: anchor.exchange,
+        tradingsymbol: anchor.tradingsymbol,
+        name: plan.underlying,
+        tick_size: anchor.tick_size,
+        lot_size: lotSize,
+        instrument_type: anchor.optType,
+      },
+      strategyId: signal.strategyId,
+      riskKey,
+      side: "BUY",
+      qty,
+      candle: signal.candle || null,
+      underlying_token: signal.underlying_token || null,
+      underlying_side: signal.underlying_side || null,
+      underlying_symbol: plan.underlying,
+      option_meta: anchor,
+      structure: {
+        kind: plan.kind,
+        expiry: plan.expiry,
+        lots,
+        plannedNetPremium: plan.netPremium,
+        maxLoss: plan.maxLoss,
+        maxProfit: plan.maxProfit,
+        maxLossInr: n(plan.maxLoss, 0) * qty,
+        stopLossInr,
+        targetInr,
+        margin,
+      },
+      legs: plan.legs.map((l, i) => ({
+        ...l,
+        legIndex: i,
+        qty,
+        status: "PENDING",
+        entryOrderId: null,
+        entryPrice: null,
+        filledQty: 0,
+        exitOrderId: null,
+        exitPrice: null,
+        exitedQty: 0,
+      })),
+      initialRiskInr: stopLossInr,
+      riskInr: stopLossInr,
+      riskBudgetInr: riskTradeInr,
+      status: STATUS.ENTRY_PLACED,
+      entryPrice: null,
+      exitPrice: null,
+      closeReason: null,
+      product: String(env.DEFAULT_PRODUCT || "MIS").toUpperCase(),
+      decisionAt: new Date(),
+    };
+    await insertTrade(trade);
+    // Claim the slot before the first order so no other signal races the legs.
+    tm._syncActiveTradeState(trade);
+    this._entering.add(tradeId);
+    try {
+      const filled = [];
+      for (const leg of orderLegsForEntry(trade.legs)) {
+        const res = await this._fillLeg(trade, leg, leg.side, leg.qty, "ENTRY");
+        if (res.filledQty > 0) {
+          Object.assign(leg, { entryOrderId: res.orderId, entryPrice: res.avgPrice, filledQty: res.filledQty });
+          filled.push(leg);
+        }
+        await updateTrade(tradeId, { legs: trade.legs });
+        if (res.ok) {
+          leg.status = "OPEN";
+          continue;
+        }
+        leg.status = "FAILED";
+        return await this._rollbackEntry(trade, filled, leg, res);
+      }
+    } finally {
+      this._entering.delete(tradeId);
+    }
+
+    const entryNet = netPerUnit(trade.legs, "entryPrice");
+    const entryFilledAt = new Date();
+    await updateTrade(tradeId, {
+      legs: trade.legs,
+      status: STATUS.ENTRY_FILLED,
+      entryPrice: entryNet,
+      entryFilledAt,
+    }, { cause: "structure_entry" });
+    await updateTrade(tradeId, { status: STATUS.LIVE }, { cause: "structure_entry" });
+    Object.assign(trade, { status: STATUS.LIVE, entryPrice: entryNet, entryFilledAt });
+    this.track(trade);
+
+    await tm.portfolioGovernor.registerTradeOpen({ tradeId, riskInr: stopLossInr });
+    tm.risk.markTradeOpened(riskKey, {
+      tradeId,
+      side: "BUY",
+      qty,
+      underlying: tm._underlyingKeyForTrade(trade) || null,
+    });
+    logger.info(
+      { tradeId, kind: plan.kind, lots, entryNet, stopLossInr, targetInr },
+      "[structure] entry filled",
+    );
+    alert("info", "🟢 Structure entered", {
+      tradeId,
+      kind: plan.kind,
+      legs: trade.legs.map((l) => `${l.side} ${l.tradingsymbol} @${l.entryPrice}`),
+      qty,
+      stopLossInr,
+      targetInr,
+    }).catch((err) => reportFault({ code: "ALERT_SEND_FAILED", err, message: "[alert] failed to dispatch notification" }));
+    return undefined;
+  }
+
+  async _rollbackEntry(trade, filled, failedLeg, res) {
+    const tm = this.tm;
+    logger.error(
+      {
+        tradeId: trade.tradeId,
+        leg: failedLeg.tradingsymbol,
+        status: res.status,
+        message: res.message,
+        unwind: filled.map((l) => l.tradingsymbol),
+      },
+      "[structure] leg failed; unwinding filled legs",
+    );
+    tm.risk.markFailure?.("ENTRY_PLACE_FAILED");
+
+    const reason = `STRUCTURE_LEG_FAILED | ${failedLeg.tradingsymbol} | ${res.message || res.status || "unknown"}`;
+    const stuck = await this._closeLegs(trade, filled.reverse(), "ROLLBACK");
+    if (stuck.length) {
+      // Stays ENTRY_PLACED (active): reconcile keeps retrying the leftover legs.
+      await updateTrade(trade.tradeId, {
+        legs: trade.legs,
+        closeReason: reason,
+        rollbackIncomplete: stuck.map((l) => l.tradingsymbol),
+      });
+      await tm.setKillSwitch(true, "STRUCTURE_ROLLBACK_FAILED");
+      alert("error", "❌ Structure rollback incomplete (kill switch on)", {
+        tradeId: trade.tradeId,
+        legs: stuck.map((l) => l.tradingsymbol),
+      }).catch((err) => reportFault({ code: "ALERT_SEND_FAILED", err, message: "[alert] failed to dispatch notification" }));
+      return "structure_rollback_failed";
+    }
+    await this._bookClose(trade, reason);
+    return "structure_leg_failed";
+  }
+
+  /**
+   * Place one MARKET order for a leg and wait for its outcome.
+   * Unfilled remainders are cancelled after OPT_STRUCTURE_LEG_FILL_TIMEOUT_MS.
+   */
+  async _fillLeg(trade, leg, side, qty, purpose) {
+    const tm = this.tm;
+    const params = {
+      exchange: leg.exchange,
+      tradingsymbol: leg.tradingsymbol,
+      transaction_type: side,
+      quantity: qty,
+      product: trade.product || env.DEFAULT_PRODUCT,
+      order_type: "MARKET",
+      validity: "DAY",
+      tag: this.makeTag(trade.tradeId, purpose === "ENTRY" ? "LEG" : "X"),
+    };
+    let orderId;
+    try {
+      orderId = (await tm._safePlaceOrder(env.DEFAULT_ORDER_VARIETY, params, {
+        purpose: `STRUCTURE_${purpose}`,
+        tradeId: trade.tradeId,
+      })).orderId;
+    } catch (e) {
+      return { ok: false, status: "PLACE_FAILED", message: e?.message || String(e), filledQty: 0 };
+    }
+    await linkOrder({
+      order_id: String(orderId),
+      tradeId: trade.tradeId,
+      role: `LEG_${purpose}_${leg.legIndex}`,
+    });
+
+    const timeoutMs = Math.max(500, n(env.OPT_STRUCTURE_LEG_FILL_TIMEOUT_MS, 5000));
+    const pollMs = Math.max(50, n(env.OPT_STRUCTURE_LEG_POLL_MS, 250));
+    const deadline = Date.now() + timeoutMs;
+    let last = null;
+    for (;;) {
+      last = await tm._getOrderStatus(orderId);
+      const st = String(last?.status || "").toUpperCase();
+      if (st === "COMPLETE" || ["REJECTED", "CANCELLED", "CANCELED", "LAPSED"].includes(st)) break;
+      if (Date.now() >= deadline) {
+        await tm._safeCancelOrder(env.DEFAULT_ORDER_VARIETY, orderId, {
+          purpose: `STRUCTURE_${purpose}_TIMEOUT`,
+          tradeId: trade.tradeId,
+        }).catch((e) => logger.warn({ orderId, e: e?.message || String(e) }, "[structure] leg cancel failed"));
+        last = (await tm._getOrderStatus(orderId)) || last;
+        break;
+      }
+      await sleep(pollMs);
+    }
+
+    const o = last?.order || {};
+    const status = String(last?.status || "").toUpperCase();
+    const filledQty = n(o.filled_quantity, status === "COMPLETE" ? qty : 0);
+    return {
+      ok: status === "COMPLETE" && filledQty >= qty,
+      orderId: String(orderId),
+      status: status || "UNKNOWN",
+      message: o.status_message || null,
+      filledQty,
+      avgPrice: n(o.average_price),
+    };
+  }
+
+  // Close the open quantity of `legs` in the given order; returns the legs still open.
+  async _closeLegs(trade, legs, purpose) {
+    const stuck = [];
+    for (const leg of legs) {
+      const open = n(leg.filledQty, 0) - n(leg.exitedQty, 0);
+      if (open <= 0) continue;
+      const res = await this._fillLeg(trade, leg, opposite(leg.side), open, purpose);
+      if (res.filledQty > 0) {
+        const prevQty = n(leg.exitedQty, 0);
+        const prevPx = n(leg.exitPrice, 0);
+        leg.exitedQty = prevQty + res.filledQty;
+        leg.exitPrice = (prevPx * prevQty + n(res.avgPrice, 0) * res.filledQty) / leg.exitedQty;
+        leg.exitOrderId = res.orderId;
+        await updateTrade(trade.tradeId, { legs: trade.legs });
+      }
+      if (n(leg.filledQty, 0) - n(leg.exitedQty, 0) > 0) {
+        logger.error(
+          { tradeId: trade.tradeId, leg: leg.tradingsymbol, purpose, status: res.status, message: res.message },
+          "[structure] leg close failed",
+        );
+        stuck.push(leg);
+        // Never leave a short uncovered: stop before selling the long legs.
+        if (sign(leg.side) < 0) return stuck.concat(legs.slice(legs.indexOf(leg) + 1));
+        continue;
+      }
+      leg.status = "CLOSED";
+    }
+    return stuck;
+  }
+
+  /** Exit every leg (shorts first). Also the structure path of TradeManager._panicExit. */
+  async exit(trade, reason, opts = {}) {
+    const tradeId = trade?.tradeId;
+    if (!tradeId || this._exitInFlight.has(tradeId)) return;
+    this._exitInFlight.add(tradeId);
+    try {
+      const fresh = (await getTrade(tradeId)) || trade;
+      if (
+        [STATUS.EXITED_TARGET, STATUS.EXITED_SL, STATUS.ENTRY_FAILED, STATUS.CLOSED].includes(fresh.status) &&
+        !opts.force
+      ) {
+        return;
+      }
+      this.untrack(tradeId);
+      if (fresh.status === STATUS.LIVE) {
+        await updateTrade(tradeId, {
+          status: STATUS.EXIT_PLACED,
+          exitReason: reason,
+          exitPlacedAt: new Date(),
+        }, { cause: "structure_exit" });
+      }
+
+      const legs = trade.legs || fresh.legs || [];
+      const stuck = await this._closeLegs({ ...fresh, legs }, orderLegsForExit(legs), "EXIT");
+      if (stuck.length) {
+        await updateTrade(tradeId, { legs, structureExitStuck: stuck.map((l) => l.tradingsymbol) });
+        await this.tm.setKillSwitch(true, "STRUCTURE_EXIT_FAILED");
+        alert("error", "❌ Structure exit incomplete (kill switch on)", {
+          tradeId,
+          reason,
+          legs: stuck.map((l) => l.tradingsymbol),
+        }).catch((err) => reportFault({ code: "ALERT_SEND_FAILED", err, message: "[alert] failed to dispatch notification" }));
+        return;
+      }
+      await this._bookClose({ ...fresh, legs }, reason);
+    } finally {
+      this._exitInFlight.delete(tradeId);
+    }
+  }
+
+  async _bookClose(trade, reason) {
+    const legs = trade.legs || [];
+    // A leg whose fill price is unknown (adopted from the broker) books no PnL.
+    const pnl = legs.reduce((a, l) => {
+      const exit = n(l.exitPrice, 0);
+      return a + sign(l.side) * (exit - n(l.entryPrice, exit)) * n(l.exitedQty, 0);
+    }, 0);
+    const status =
+      trade.status === STATUS.ENTRY_PLACED
+        ? STATUS.ENTRY_FAILED
+        : reason === "STRUCTURE_TARGET"
+          ? STATUS.EXITED_TARGET
+          : reason === "STRUCTURE_SL"
+            ? STATUS.EXITED_SL
+            : STATUS.CLOSED;
+    await updateTrade(trade.tradeId, {
+      legs,
+      status,
+      closeReason: reason,
+      exitReason: reason,
+      exitPrice: netPerUnit(legs, "exitPrice"),
+      exitAt: new Date(),
+      "structure.pnlInr": pnl,
+    });
+
+    const key = todayKey();
+    const cur = await getDailyRisk(key);
+    await upsertDailyRisk(key, {
+      realizedPnl: n(cur?.realizedPnl, 0) + pnl,
+      lastTradeId: trade.tradeId,
+    });
+    logger.info({ tradeId: trade.tradeId, reason, pnl }, "[structure] closed");
+    await this.tm._finalizeClosed(trade.tradeId, trade.instrument_token);
+  }
+
+  /**
+   * Compare every leg with the broker's net position.
+   * - LIVE with all legs flat: closed outside the engine → record and release;
+   * - LIVE with some legs off: kill switch and exit what is left;
+   * - interrupted entry / exit (restart, stuck rollback): close what the broker still holds.
+   */
+  async reconcile(trade, posQtyByToken, source = "reconcile") {
+    if (!(posQtyByToken instanceof Map)) return;
+    if (this._entering.has(trade.tradeId) || this._exitInFlight.has(trade.tradeId)) return;
+    const legs = trade.legs || [];
+    const held = legs.map((l) => n(posQtyByToken.get(Number(l.instrument_token)), 0));
+    const expected = legs.map((l) => sign(l.side) * (n(l.filledQty, 0) - n(l.exitedQty, 0)));
+    const allFlat = held.every((q) => q === 0);
+    const matches = held.every((q, i) => q === expected[i]);
+
+    if (trade.status === STATUS.LIVE) {
+      this.track(trade);
+      if (matches) return;
+      // Broker positions can lag the last leg fill briefly.
+      const graceMs = Math.max(0, n(env.OPT_STRUCTURE_RECONCILE_GRACE_MS, 5000));
+      const filledAt = new Date(trade.entryFilledAt || 0).getTime();
+      if (Date.now() - filledAt < graceMs) return;
+
+      if (allFlat) {
+        logger.error({ tradeId: trade.tradeId, source }, "[structure] broker flat on every leg while LIVE");
+        this.untrack(trade.tradeId);
+        await updateTrade(trade.tradeId, {
+          status: STATUS.CLOSED,
+          closeReason: "STRUCTURE_BROKER_FLAT",
+          exitReason: "RECONCILE_EXIT",
+          exitAt: new Date(),
+        }, { cause: "structure_reconcile" });
+        await this.tm._finalizeClosed(trade.tradeId, trade.instrument_token);
+        return;
+      }
+      logger.error({ tradeId: trade.tradeId, held, expected, source }, "[structure] leg position mismatch");
+      await this.tm.setKillSwitch(true, "STRUCTURE_LEG_MISMATCH");
+      alignLegsWithBroker(legs, held);
+      await updateTrade(trade.tradeId, { legs, structureMismatchAt: new Date() });
+      await this.exit({ ...trade, legs }, "STRUCTURE_LEG_MISMATCH");
+      return;
+    }
+
+    if (![STATUS.ENTRY_PLACED, STATUS.ENTRY_FILLED, STATUS.EXIT_PLACED].includes(trade.status)) return;
+    const reason =
+      trade.status === STATUS.EXIT_PLACED
+        ? trade.exitReason || "STRUCTURE_EXIT_RESUMED"
+        : trade.closeReason || "STRUCTURE_ENTRY_INTERRUPTED";
+    logger.warn({ tradeId: trade.tradeId, status: trade.status, held, source }, "[structure] resuming interrupted structure");
+    alignLegsWithBroker(legs, held);
+    if (allFlat) {
+      await this._bookClose({ ...trade, legs }, reason);
+      return;
+    }
+    await this.exit({ ...trade, legs }, reason, { force: true });
+  }
+}
+
+// Re-derive open leg quantity from the broker; what is gone counts as exited.
+function alignLegsWithBroker(legs, held) {
+  legs.forEach((l, i) => {
+    const open = Math.sign(held[i]) === sign(l.side) ? Math.abs(held[i]) : 0;
+    const filled = Math.max(n(l.filledQty, 0), open + n(l.exitedQty, 0));
+    l.filledQty = filled;
+    l.exitedQty = filled - open;
+  });
+  return legs;
+}
+
+module.exports = {
+  StructureTrader,
+  orderLegsForEntry,
+  orderLegsForExit,
+  structureMarkToMarket,
+  structureExitLevels,
+};
@@ -0,0 +1,287 @@
+const crypto = require("crypto");
+const { env } = require("../config");
+const { getDb } = require("../db");
+const { getTrade } = require("./tradeStore");
+const { getCandlesSince } = require("../market/candleStore");
+const { renderCandleSnapshotSvg } = require("../reports/candleSnapshotSvg");
+
+/**
+ * Post-session trade journal: one document per trade in `trade_journal`.
+ *
+ *   {
+ *     tradeId,
+ *     tags: ["late entry", "news"],   // lower-case, de-duplicated
+ *     rating: 1..5 | null,
+ *     notes: [{ id, text, author, createdAt, updatedAt }],
+ *     snapshot: { svg, intervalMin, source, from, to, candles, createdAt },
+ *   }
+ *
+ * Kept apart from the trade document so review edits never race the engine's
+ * writes. Functions return null when the trade (or note) does not exist and
+ * throw on invalid input.
+ */
+
+const JOURNAL = "trade_journal";
+const MAX_TAGS = 20;
+const MAX_TAG_LEN = 40;
+const MAX_NOTES = 100;
+const MAX_NOTE_LEN = 4000;
+const SNAPSHOT_BEFORE_BARS = 30;
+const SNAPSHOT_AFTER_BARS = 10;
+
+async function ensureJournalIndexes() {
+  const col = getDb().collection(JOURNAL);
+  await col.createIndex({ tradeId: 1 }, { unique: true });
+  await col.createIndex({ tags: 1 });
+}
+
+function normalizeTag(raw) {
+  const tag = String(raw ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (!tag) throw new Error("empty tag");
+  if (tag.length > MAX_TAG_LEN) throw new Error(`tag longer than ${MAX_TAG_LEN} chars`);
+  return tag;
+}
+
+/** Accepts an array or a comma-separated string. */
+function normalizeTags(input) {
+  const list = Array.isArray(input) ? input : String(input ?? "").split(",");
+  const tags = Array.from(new Set(list.filter((t) => String(t ?? "").trim()).map(normalizeTag)));
+  if (tags.length > MAX_TAGS) throw new Error(`at most ${MAX_TAGS} tags`);
+  return tags;
+}
+
+function normalizeRating(v) {
+  if (v === null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1 || n > 5) throw new Error("rating must be an integer 1..5 or null");
+  return n;
+}
+
+function normalizeNoteText(text) {
+  const s = String(text ?? "").trim();
+  if (!s) throw new Error("empty note");
+  if (s.length > MAX_NOTE_LEN) throw new Error(`note longer than ${MAX_NOTE_LEN} chars`);
+  return s;
+}
+
+function emptyJournal(tradeId) {
+  return { tradeId, tags: [], rating: null, notes: [], snapshot: null, createdAt: null, updatedAt: null };
+}
+
+/** The journal without the stored SVG body (served separately). */
+function publicJournal(doc) {
+  if (!doc) return null;
+  const { _id, snapshot, ...rest } = doc;
+  const { svg, ...meta } = snapshot || {};
+  return { ...emptyJournal(doc.tradeId), ...rest, snapshot: snapshot ? { ...meta, hasSvg: !!svg } : null };
+}
+
+async function getJournal(tradeId) {
+  const id = String(tradeId || "");
+  const doc = await getDb().collection(JOURNAL).findOne({ tradeId: id });
+  if (doc) return publicJournal(doc);
+  return (await getTrade(id)) ? emptyJournal(id) : null;
+}
+
+async function _upsert(tradeId, update) {
+  const now = new Date();
+  const doc = await getDb()
+    .collection(JOURNAL)
+    .findOneAndUpdate(
+      { tradeId },
+      {
+        ...update,
+        $set: { ...(update.$set || {}), updatedAt: now },
+        $setOnInsert: { createdAt: now },
+      },
+      { upsert: true, returnDocument: "after" },
+    );
+  return publicJournal(doc);
+}
+
+/** Replaces tags and/or rating (fields left undefined are kept). */
+async function setJournal(tradeId, { tags, rating } = {}) {
+  const id = String(tradeId || "");
+  const $set = {};
+  if (tags !== undefined) $set.tags = normalizeTags(tags);
+  if (rating !== undefined) $set.rating = normalizeRating(rating);
+  if (!(await getTrade(id))) return null;
+  return _upsert(id, { $set });
+}
+
+async function addJournalNote(tradeId, { text, author = null } = {}) {
+  const id = String(tradeId || "");
+  const body = normalizeNoteText(text);
+  if (!(await getTrade(id))) return null;
+  const existing = await getDb().collection(JOURNAL).findOne({ tradeId: id });
+  if ((existing?.notes || []).length >= MAX_NOTES) throw new Error(`at most ${MAX_NOTES} notes per trade`);
+  const now = new Date();
+  const note = { id: crypto.randomUUID(), text: body, author: author || null, createdAt: now, updatedAt: now };
+  await _upsert(id, { $push: { notes: note } });
+  return note;
+}
+
+async function _editNotes(tradeId, noteId, edit) {
+  const id = String(tradeId || "");
+  const col = getDb().collection(JOURNAL);
+  const doc = await col.findOne({ tradeId: id });
+  const notes = doc?.notes || [];
+  const i = notes.findIndex((n) => n.id === String(noteId));
+  if (i < 0) return null;
+  const next = edit(notes.slice(), i);
+  await col.updateOne({ tradeId: id }, { $set: { notes: next, updatedAt: new Date() } });
+  return next;
+}
+
+async function updateJournalNote(tradeId, noteId, { text } = {}) {
+  const body = normalizeNoteText(text);
+  let updated = null;
+  const notes = await _editNotes(tradeId, noteId, (list, i) => {
+    updated = { ...list[i], text: body, updatedAt: new Date() };
+    list[i] = updated;
+    return list;
+  });
+  return notes ? updated : null;
+}
+
+async function deleteJournalNote(tradeId, noteId) {
+  const notes = await _editNotes(tradeId, noteId, (list, i) => {
+    list.splice(i, 1);
+    return list;
+  });
+  return notes !== null;
+}
+
+async function deleteJournal(tradeId) {
+  const res = await getDb().collection(JOURNAL).deleteOne({ tradeId: String(tradeId || "") });
+  return res.deletedCount > 0;
+}
+
+function snapshotLevels(t) {
+  const levels = [
+    { price: t.entryPrice, label: "ENTRY", color: "#1e88e5", dashed: false },
+    { price: t.stopLoss, label: "SL", color: "#e53935" },
+    { price: t.targetPrice, label: "TGT", color: "#43a047" },
+    { price: t.exitPrice, label: "EXIT", color: "#8e24aa", dashed: false },
+  ];
+  if (Number(t.initialStopLoss) > 0 && Number(t.initialStopLoss) !== Number(t.stopLoss)) {
+    levels.push({ price: t.initialStopLoss, label: "SL0", color: "#ff8a65" });
+  }
+  return levels;
+}
+
+/**
+ * Renders the candle context of a trade: `before` bars ahead of entry to
+ * `after` bars past exit (or now while open), with entry/SL/target/exit lines.
+ * Falls back to the underlying's candles (markers only, since the levels are
+ * option premiums) when the traded contract has none.
+ */
+async function renderTradeSnapshot(trade, { intervalMin, before, after } = {}) {
+  const interval = Number(intervalMin ?? trade.intervalMin ?? trade.candle?.interval_min ?? 1);
+  if (!Number.isFinite(interval) || interval <= 0) throw new Error("invalid intervalMin");
+  const barsBefore = Math.min(500, Math.max(0, Number(before ?? SNAPSHOT_BEFORE_BARS) || 0));
+  const barsAfter = Math.min(500, Math.max(0, Number(after ?? SNAPSHOT_AFTER_BARS) || 0));
+  const barMs = interval * 60_000;
+
+  const entryMs = new Date(trade.entryAt || trade.createdAt || Date.now()).getTime();
+  const exitMs = new Date(trade.exitAt || trade.closedAt || Date.now()).getTime();
+  const fromMs = entryMs - barsBefore * barMs;
+  const toMs = Math.max(exitMs, entryMs) + (barsAfter + 1) * barMs;
+  const limit = Math.ceil((toMs - fromMs) / barMs) + 1;
+
+  const load = async (token) =>
+    (await getCandlesSince(token, interval, fromMs, limit)).filter((c) => new Date(c.ts).getTime() < toMs);
+
+  let source = "instrument";
+  let candles = await load(trade.instrument_token);
+  if (!candles.length && Number(trade.underlying_token) > 0) {
+    source = "underlying";
+    candles = await load(trade.underlying_token);
+  }
+  if (!candles.length) return null;
+
+  const symbol = trade.instrument?.tradingsymbol || trade.instrument_token;
+  const svg = renderCandleSnapshotSvg({
+    candles,
+    levels: source === "instrument" ? snapshotLevels(trade) : [],
+    markers: [
+      { ts: trade.entryAt, label: "entry", color: "#1e88e5" },
+      { ts: trade.exitAt, label: "exit", color: "#8e24aa" },
+    ],
+    title: `${symbol} ${trade.side || ""} ${interval}m · ${trade.strategyId || ""} · ${trade.status || ""}${
+      source === "underlying" ? " (underlying)" : ""
+    }`,
+    intervalMin: interval,
+    tz: env.CANDLE_TZ || "Asia/Kolkata",
+  });
+  return {
+    svg,
+    intervalMin: interval,
+    source,
+    from: new Date(fromMs),
+    to: new Date(toMs),
+    candles: candles.length,
+  };
+}
+
+/** Renders and stores the snapshot; null when the trade or its candles are missing. */
+async function captureJournalSnapshot(tradeId, opts = {}) {
+  const id = String(tradeId || "");
+  const trade = await getTrade(id);
+  if (!trade) return null;
+  const snap = await renderTradeSnapshot(trade, opts);
+  if (!snap) throw new Error("no_candles");
+  const journal = await _upsert(id, { $set: { snapshot: { ...snap, createdAt: new Date() } } });
+  return journal.snapshot;
+}
+
+/** Stored SVG, else rendered on the fly; null when neither is possible. */
+async function getJournalSnapshotSvg(tradeId) {
+  const id = String(tradeId || "");
+  const doc = await getDb().collection(JOURNAL).findOne({ tradeId: id }, { projection: { snapshot: 1 } });
+  if (doc?.snapshot?.svg) return doc.snapshot.svg;
+  const trade = await getTrade(id);
+  if (!trade) return null;
+  return (await renderTradeSnapshot(trade))?.svg || null;
+}
+
+/** tradeId -> { tags, rating, notes } for the given trades. */
+async function getJournalsByTradeIds(tradeIds) {
+  const ids = Array.from(new Set((tradeIds || []).map(String).filter(Boolean)));
+  if (!ids.length) return new Map();
+  const rows = await getDb()
+    .collection(JOURNAL)
+    .find({ tradeId: { $in: ids } })
+    .project({ tradeId: 1, tags: 1, rating: 1, notes: 1 })
+    .toArray();
+  return new Map(rows.map((r) => [r.tradeId, r]));
+}
+
+/** Trade ids whose journal carries every one of `tags`. */
+async function findTradeIdsByTags(tags) {
+  const list = normalizeTags(tags);
+  if (!list.length) return null;
+  const rows = await getDb()
+    .collection(JOURNAL)
+    .find({ $and: list.map((tag) => ({ tags: tag })) })
+    .project({ tradeId: 1 })
+    .toArray();
+  return rows.map((r) => r.tradeId);
+}
+
+module.exports = {
+  JOURNAL,
+  ensureJournalIndexes,
+  normalizeTags,
+  getJournal,
+  setJournal,
+  addJournalNote,
+  updateJournalNote,
+  deleteJournalNote,
+  deleteJournal,
+  renderTradeSnapshot,
+  captureJournalSnapshot,
+  getJournalSnapshotSvg,
+  getJournalsByTradeIds,
+  findTradeIdsByTags,
+};
@@ -35,6 +35,7 @@ const {
   computeTargetFromRR,
 } = require("./optionSlFitter");
 const { getRecentCandles } = require("../market/candleStore");
+const { confirmMultiTf } = require("../strategy/multiTfStage");
 const { getEffectivePrice } = require("../market/effectivePrice");
 const {
   getQuoteGuarded,
@@ -46,6 +47,7 @@ const { computeDynamicExitPlan } = require("./dynamicExitManager");
 const { STATUS } = require("./tradeStateMachine");
 const { planRunnerTarget } = require("./targetPlanner");
 const { detectRegime } = require("../strategy/selector");
+const { regimeService } = require("../strategy/regimeService");
 const {
   costGate,
   estimateRoundTripCostInr,
@@ -83,10 +85,14 @@ const {
   ensurePortfolioGovernorIndexes,
 } = require("../risk/portfolioGovernor");
 const { evaluateReentryOverride } = require("./reentryPolicy");
+const { StructureTrader } = require("./structureTrader");
+const { GttProtector } = require("./gttProtector");
+const { resolveStructureKind, planOptionStructure } = require("../fno/structurePlanner");
 const {
   ensureTradeIndexes,
   insertTrade,
   updateTrade,
+  appendExitAdjustment,
   getTrade,
   getActiveTrades,
   linkOrder,
@@ -102,6 +108,8 @@ const {
   upsertRiskState,
   getRiskState,
 } = require("./tradeStore");
+const { ensureJournalIndexes } = require("./tradeJournal");
+const { ensureAnalyticsIndexes } = require("../reports/portfolioAnalytics");
 
 
 const LIVE_ELIGIBLE_ENTRY_STATUSES = new Set([
@@ -339,10 +347,14 @@ class TradeManager {
       },
     });
 
+    // Multi-leg option structures (trades carrying `legs`)
+    this.structures = new StructureTrader({ tm: this, makeTag });
+    this.gtt = new GttProtector({ tm: this });
+
     this.lastPriceByToken = new Map(); // token -> ltp
     this.lastQuoteByToken = new Map(); // token -> latest quote snapshot
     this.lastTickAtByToken = new Map(); // token -> ts
-    this.activeTradeId = null; // single-stock mode
+    this.activeTrades = new Map(); // tradeId -> { tradeId, token, side, underlying }
     this.recoveredPosition = null; // set when positions exist but trade state missing
     this._recentStopouts = new Map(); // riskKey -> { ts, attempts, side, tradeId }
 
@@ -351,6 +363,7 @@ class TradeManager {
     this.lastClosedTradeId = null;
     this.lastClosedToken = null;
     this.lastClosedAt = 0;
+    this._recentlyClosedAt = new Map(); // tradeId -> closedAt ms (same window, every concurrent trade)
 
     // Prevent overlapping OCO reconcile ticks
     this._ocoReconcileInFlight = false;
@@ -435,9 +448,6 @@ class TradeManager {
       lastReplayAt: null,
       lastDeadLetterAt: null,
     };
-    this._activeTradeToken = null;
-    this._activeTradeSide = null;
-
     this._opSerial = Promise.resolve();
     this._opQueueDepth = 0;
     this._opQueueMaxDepth = 0;
@@ -1008,6 +1018,8 @@ class TradeManager {
   async init() {
     if (this._initialized) return;
     await ensureTradeIndexes();
+    await ensureJournalIndexes();
+    await ensureAnalyticsIndexes();
     await ensureExecutionMetricsIndexes();
     await ensurePortfolioGovernorIndexes(getDb());
     // Patch-6: load persisted cost calibration multipliers (if enabled)
@@ -1244,26 +1256,29 @@ class TradeManager {
     if (this._exitLoopInFlight) return;
     this._exitLoopInFlight = true;
     try {
-      if (!this.activeTradeId) return;
-      const trade = await getTrade(this.activeTradeId);
-      if (!trade) return;
-      if (
-        ![
-          STATUS.ENTRY_FILLED,
-          STATUS.SL_PLACED,
-          STATUS.SL_OPEN,
-          STATUS.SL_CONFIRMED,
-          STATUS.RECOVERY_REHYDRATED,
-          STATUS.LIVE,
-        ].includes(trade.status)
-      )
-        return;
-      this._syncActiveTradeState(trade);
+      if (!this.activeTrades.size) return;
+      let gate = null;
+      for (const tradeId of this._activeTradeIds()) {
+        const trade = await getTrade(tradeId);
+        if (!trade || trade.structure) continue;
+        if (
+          ![
+            STATUS.ENTRY_FILLED,
+            STATUS.SL_PLACED,
+            STATUS.SL_OPEN,
+            STATUS.SL_CONFIRMED,
+            STATUS.RECOVERY_REHYDRATED,
+            STATUS.LIVE,
+          ].includes(trade.status)
+        )
+          continue;
+        this._syncActiveTradeState(trade);
 
-      const gate = await this._globalFactRecoveryGate(this._lastOrdersById);
-      if (!gate?.ok) return;
+        gate = gate || (await this._globalFactRecoveryGate(this._lastOrdersById));
+        if (!gate?.ok) return;
 
-      await this._maybeDynamicAdjustExits(trade, this._lastOrdersById);
+        await this._maybeDynamicAdjustExits(trade, this._lastOrdersById);
+      }
     } finally {
       this._exitLoopInFlight = false;
     }
@@ -1282,6 +1297,25 @@ class TradeManager {
     };
   }
 
+  // Keeps every SL/target move (lastEvent only holds the latest) for the trade detail view.
+  _recordExitAdjustment(tradeId, adj) {
+    Promise.resolve()
+      .then(() => appendExitAdjustment(tradeId, adj))
+      .catch((err) =>
+        reportFault({ code: "TRADING_TRADEMANAGER_ASYNC", err, message: "[src/trading/tradeManager.js] async task failed" }),
+      );
+  }
+
+  _dynExitAdjustReason(kind, plan) {
+    const m = plan?.meta || {};
+    if (kind === "TARGET") return `DYN_TARGET_${String(m.mode || m.model || "ADJUST").toUpperCase()}`;
+    if (m.beLockFiredThisTick) return "BE_LOCK";
+    if (m.profitLockArmed) return "PROFIT_LOCK";
+    if (m.trailArmed) return "TRAIL";
+    if (m.beArmed) return "BE_FLOOR";
+    return m.model ? `DYN_SL_${String(m.model).toUpperCase()}` : "DYN_SL";
+  }
+
   async _ensureDailyRisk() {
     const key = todayKey();
     const cur = await getDailyRisk(key);
@@ -1540,14 +1574,15 @@ class TradeManager {
   async _loadActiveTradeId() {
     const actives = await this._getActiveTradesForFactGate();
     await this._restoreDynamicExitState(actives);
-    if (actives.length) {
-      const latest = actives.sort(
-        (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0),
-      )[0];
-      this.activeTradeId = latest.tradeId;
-      this._syncActiveTradeState(latest);
+    // Oldest first so the legacy activeTradeId view is the latest trade.
+    const ordered = actives.sort(
+      (a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0),
+    );
+    for (const trade of ordered) {
+      this._syncActiveTradeState(trade);
+      this.structures.track(trade);
       logger.warn(
-        { tradeId: latest.tradeId, status: latest.status },
+        { tradeId: trade.tradeId, status: trade.status },
         "[reconcile] found active trade in DB",
       );
     }
@@ -1613,6 +1648,7 @@ class TradeManager {
         tradeId: t.tradeId,
         side: t.side,
         qty: Number(t.qty ?? 0),
+        underlying: this._underlyingKeyForTrade(t) || null,
       });
       if (t?.targetVirtual && !t?.targetOrderId) {
         this._registerVirtualTargetFromTrade(t);
@@ -1704,30 +1740,104 @@ class TradeManager {
     try {
       this._maybeTriggerTargetWatchFromTick(token, ltp, now);
     } catch (err) { reportFault({ code: "TRADING_TRADEMANAGER_CATCH", err, message: "[src/trading/tradeManager.js] caught and continued" }); }
+
+    // Structure stop/target on the combined leg PnL
+    try {
+      this.structures.onTick(token);
+    } catch (err) { reportFault({ code: "TRADING_TRADEMANAGER_CATCH", err, message: "[src/trading/tradeManager.js] caught and continued" }); }
   }
 
   _syncActiveTradeState(trade) {
-    if (!trade) return;
+    const tradeId = String(trade?.tradeId || "");
+    if (!tradeId) return;
+    const slot = this.activeTrades.get(tradeId) || { tradeId, token: null, side: null, underlying: null };
     const token = Number(trade.instrument_token);
     if (Number.isFinite(token) && token > 0) {
-      this._activeTradeToken = token;
+      slot.token = token;
     }
     const side = String(trade.side || "").toUpperCase();
     if (side) {
-      this._activeTradeSide = side;
+      slot.side = side;
     }
+    const underlying = this._underlyingKeyForTrade(trade);
+    if (underlying) {
+      slot.underlying = underlying;
+    }
+    if (Array.isArray(trade.legs)) {
+      slot.legTokens = trade.legs.map((l) => Number(l.instrument_token)).filter((t) => t > 0);
+    }
+    this.activeTrades.set(tradeId, slot);
+  }
+
+  _maxOpenTrades() {
+    const max = Number(
+      this.risk?.getLimits?.()?.maxOpenTrades ?? env.MAX_OPEN_POSITIONS ?? 1,
+    );
+    return Number.isFinite(max) && max > 0 ? max : 1;
+  }
+
+  // Portfolio slots full, or the instrument is already held by an active trade
+  // (reconcile, watchdogs and position checks are keyed by instrument token).
+  _activeTradeCapsFull(token) {
+    if (this.activeTrades.size >= this._maxOpenTrades()) return true;
+    return this._isTokenInActiveTrade(token);
+  }
+
+  _isTokenInActiveTrade(token) {
+    const tok = Number(token);
+    if (!Number.isFinite(tok)) return false;
+    for (const slot of this.activeTrades.values()) {
+      if (Number(slot.token) === tok) return true;
+      if (slot.legTokens?.includes(tok)) return true;
+    }
+    return false;
+  }
+
+  _underlyingKeyForTrade(trade) {
+    return this._normalizeUnderlyingName(
+      trade?.underlying_symbol ||
+        trade?.option_meta?.underlying ||
+        trade?.instrument?.name ||
+        trade?.instrument?.tradingsymbol,
+    );
+  }
+
+  _releaseActiveTrade(tradeId) {
+    this.activeTrades.delete(String(tradeId || ""));
+  }
+
+  _activeTradeIds() {
+    return Array.from(this.activeTrades.keys());
+  }
+
+  // Legacy single-trade view: the most recently opened active trade.
+  get activeTradeId() {
+    const ids = this._activeTradeIds();
+    return ids.length ? ids[ids.length - 1] : null;
+  }
+
+  // Registers a slot only. Slots are released per trade via _releaseActiveTrade(),
+  // never in bulk: clearing would hide open positions from watchdogs and caps.
+  set activeTradeId(tradeId) {
+    if (!tradeId) throw new Error("activeTradeId cannot be cleared; use _releaseActiveTrade(tradeId)");
+    this._syncActiveTradeState({ tradeId });
   }
 
   _maybeUpdatePeakFromTick(token, tick) {
-    if (!this.activeTradeId) return;
+    if (!this.activeTrades.size) return;
     const ltp = Number(tick?.last_price);
     if (!Number.isFinite(ltp) || ltp <= 0) return;
-    if (!Number.isFinite(this._activeTradeToken)) return;
-    if (Number(token) !== Number(this._activeTradeToken)) return;
-    const side = String(this._activeTradeSide || "").toUpperCase();
+    for (const [tradeId, slot] of this.activeTrades) {
+      if (!Number.isFinite(slot.token)) continue;
+      if (Number(token) !== Number(slot.token)) continue;
+      this._updatePeakForTrade(tradeId, slot.side, tick, ltp);
+    }
+  }
+
+  _updatePeakForTrade(tradeId, side, tick, ltp) {
+    side = String(side || "").toUpperCase();
     if (side !== "BUY" && side !== "SELL") return;
 
-    const tradeId = String(this.activeTradeId);
     const px = getEffectivePrice({
       ltp,
       bestBid: Number(tick?.depth?.buy?.[0]?.price),
@@ -1877,9 +1987,12 @@ class TradeManager {
 
   _maybeTriggerSlWatchFromTick(token, ltp, nowMs) {
     if (!this._isSlWatchdogEnabled()) return;
-    if (!this.activeTradeId) return;
+    for (const tradeId of this._activeTradeIds()) {
+      this._maybeTriggerSlWatchForTrade(tradeId, token, ltp, nowMs);
+    }
+  }
 
-    const tradeId = String(this.activeTradeId);
+  _maybeTriggerSlWatchForTrade(tradeId, token, ltp, nowMs) {
     const st = this._slWatch.get(tradeId);
     if (!st) return;
 
@@ -2019,9 +2132,12 @@ class TradeManager {
 
   _maybeTriggerTargetWatchFromTick(token, ltp, nowMs) {
     if (!this._isTargetWatchdogEnabled()) return;
-    if (!this.activeTradeId) return;
+    for (const tradeId of this._activeTradeIds()) {
+      this._maybeTriggerTargetWatchForTrade(tradeId, token, ltp, nowMs);
+    }
+  }
 
-    const tradeId = String(this.activeTradeId);
+  _maybeTriggerTargetWatchForTrade(tradeId, token, ltp, nowMs) {
     const st = this._targetWatch.get(tradeId);
     if (!st) return;
     if (Number(st.token) !== Number(token)) return;
@@ -2965,7 +3081,7 @@ class TradeManager {
         exitPlacedAt: new Date(),
         targetVirtualFiredAt: new Date(),
         status: STATUS.LIVE,
-      });
+      }, { cause: "virtual_target" });
       await linkOrder({
         order_id: String(targetOrderId),
         tradeId,
@@ -3327,7 +3443,7 @@ class TradeManager {
         panicExitOrderId: exitOrderId,
         panicExitPlacedAt: new Date(),
         closeReason: `TIME_STOP_EXIT_SMART_PLACED | ${reason}`,
-      });
+      }, { cause: "time_stop" });
       await linkOrder({
         order_id: exitOrderId,
         tradeId,
@@ -3494,7 +3610,7 @@ class TradeManager {
           panicExitOrderId: newOrderId,
           panicExitPlacedAt: new Date(),
           closeReason: `${fresh.closeReason || "PANIC_EXIT"} | REPLACED`,
-        });
+        }, { cause: "time_stop" });
         await linkOrder({
           order_id: newOrderId,
           tradeId: id,
@@ -3698,85 +3814,18 @@ class TradeManager {
   }
 
   async _checkDailyLoss() {
-    if (!this.activeTradeId) return;
+    if (!this.activeTrades.size) return;
     if (this.risk.getKillSwitch()) return;
 
-    const trade = await getTrade(this.activeTradeId);
-    if (!trade) return;
-    if (
-      ![STATUS.ENTRY_OPEN, STATUS.ENTRY_FILLED, STATUS.LIVE].includes(
-        trade.status,
-      )
-    )
-      return;
-
-    const pnlToken = Number(
-      trade?.option_meta?.instrument_token ?? trade.instrument_token,
-    );
-    if (!Number.isFinite(pnlToken) || pnlToken <= 0) return;
-
-    const needBrokerPosition = trade.status === STATUS.ENTRY_OPEN;
-    const filledStatuses = [STATUS.ENTRY_FILLED, STATUS.LIVE];
-    if (!filledStatuses.includes(trade.status) && !needBrokerPosition) return;
-
-    let ltp = this.lastPriceByToken.get(pnlToken);
-
-    // OPT mode can have sparse ticks right after entry; allow a throttled quote fetch
-    const allowFetch =
-      String(env.DAILY_LOSS_ALLOW_LTP_FETCH || "true") === "true";
-    if (!Number.isFinite(ltp) && allowFetch && Number.isFinite(pnlToken)) {
-      const now = Date.now();
-      const last = Number(this._lastLtpFetchAtByToken.get(pnlToken) ?? 0);
-      if (now - last >= 1500) {
-        this._lastLtpFetchAtByToken.set(pnlToken, now);
-        try {
-          const instrument = await ensureInstrument(this.kite, pnlToken);
-          ltp = await this._getLtp(pnlToken, instrument);
-        } catch (_) {
-          // ignore
-        }
-      }
-    }
-
-    if (!Number.isFinite(ltp)) return;
-
-    let effectiveQty = Number(trade.qty ?? 0);
-    let entryPrice = Number(
-      trade.entryPrice ??
-        trade.expectedEntryPrice ??
-        trade.quoteAtEntry?.ltp ??
-        trade.candle?.close ??
-        0,
-    );
-    let side = trade.side;
-    if (needBrokerPosition) {
-      if (!this.kite || typeof this.kite.getPositions !== "function") return;
-      let positions = null;
-      try {
-        positions = await this.kite.getPositions();
-      } catch {
-        positions = null;
-      }
-      const net = positions?.net || positions?.day || [];
-      const pos = (net || []).find(
-        (p) => Number(p?.instrument_token) === pnlToken,
-      );
-      const netQty = Number(pos?.quantity ?? pos?.net_quantity ?? 0);
-      if (!Number.isFinite(netQty) || netQty === 0) return;
-      effectiveQty = Math.abs(netQty);
-      side = netQty > 0 ? "BUY" : "SELL";
-      const avg = Number(
-        pos?.average_price ?? pos?.buy_price ?? pos?.sell_price ?? 0,
-      );
-      if (Number.isFinite(avg) && avg > 0) entryPrice = avg;
+    // Open PnL across every active trade; trades without a usable price are left out.
+    let openPnl = null;
+    for (const tradeId of this._activeTradeIds()) {
+      const trade = await getTrade(tradeId);
+      const pnl = trade ? await this._openPnlForDailyLoss(trade) : null;
+      if (Number.isFinite(pnl)) openPnl = (openPnl ?? 0) + pnl;
     }
+    if (openPnl === null) return;
 
-    if (!Number.isFinite(effectiveQty) || effectiveQty <= 0) return;
-
-    const openPnl = calcOpenPnl(
-      { ...trade, qty: effectiveQty, entryPrice, side },
-      ltp,
-    );
     const day = await getDailyRisk(todayKey());
     const realized = Number(day?.realizedPnl ?? 0);
     const total = realized + openPnl;
@@ -3848,6 +3897,85 @@ class TradeManager {
     }
   }
 
+  async _openPnlForDailyLoss(trade) {
+    if (trade.structure) return this.structures.openPnl(trade);
+    if (
+      ![STATUS.ENTRY_OPEN, STATUS.ENTRY_FILLED, STATUS.LIVE].includes(
+        trade.status,
+      )
+    )
+      return null;
+
+    const pnlToken = Number(
+      trade?.option_meta?.instrument_token ?? trade.instrument_token,
+    );
+    if (!Number.isFinite(pnlToken) || pnlToken <= 0) return null;
+
+    const needBrokerPosition = trade.status === STATUS.ENTRY_OPEN;
+    const filledStatuses = [STATUS.ENTRY_FILLED, STATUS.LIVE];
+    if (!filledStatuses.includes(trade.status) && !needBrokerPosition) return null;
+
+    let ltp = this.lastPriceByToken.get(pnlToken);
+
+    // OPT mode can have sparse ticks right after entry; allow a throttled quote fetch
+    const allowFetch =
+      String(env.DAILY_LOSS_ALLOW_LTP_FETCH || "true") === "true";
+    if (!Number.isFinite(ltp) && allowFetch && Number.isFinite(pnlToken)) {
+      const now = Date.now();
+      const last = Number(this._lastLtpFetchAtByToken.get(pnlToken) ?? 0);
+      if (now - last >= 1500) {
+        this._lastLtpFetchAtByToken.set(pnlToken, now);
+        try {
+          const instrument = await ensureInstrument(this.kite, pnlToken);
+          ltp = await this._getLtp(pnlToken, instrument);
+        } catch (_) {
+          // ignore
+        }
+      }
+    }
+
+    if (!Number.isFinite(ltp)) return null;
+
+    let effectiveQty = Number(trade.qty ?? 0);
+    let entryPrice = Number(
+      trade.entryPrice ??
+        trade.expectedEntryPrice ??
+        trade.quoteAtEntry?.ltp ??
+        trade.candle?.close ??
+        0,
+    );
+    let side = trade.side;
+    if (needBrokerPosition) {
+      if (!this.kite || typeof this.kite.getPositions !== "function") return null;
+      let positions = null;
+      try {
+        positions = await this.kite.getPositions();
+      } catch {
+        positions = null;
+      }
+      const net = positions?.net || positions?.day || [];
+      const pos = (net || []).find(
+        (p) => Number(p?.instrument_token) === pnlToken,
+      );
+      const netQty = Number(pos?.quantity ?? pos?.net_quantity ?? 0);
+      if (!Number.isFinite(netQty) || netQty === 0) return null;
+      effectiveQty = Math.abs(netQty);
+      side = netQty > 0 ? "BUY" : "SELL";
+      const avg = Number(
+        pos?.average_price ?? pos?.buy_price ?? pos?.sell_price ?? 0,
+      );
+      if (Number.isFinite(avg) && avg > 0) entryPrice = avg;
+    }
+
+    if (!Number.isFinite(effectiveQty) || effectiveQty <= 0) return null;
+
+    return calcOpenPnl(
+      { ...trade, qty: effectiveQty, entryPrice, side },
+      ltp,
+    );
+  }
+
+
   _activeTradeProduct(trade) {
     const product = String(
       trade?.product || env.DEFAULT_PRODUCT || "MIS",
@@ -3856,7 +3984,7 @@ class TradeManager {
   }
 
   async _maybeConvertMisToNrmlIfNeeded() {
-    if (!this.activeTradeId) return;
+    if (!this.activeTrades.size) return;
     if (!env.EOD_MIS_TO_NRML_ENABLED) return;
     if (!env.EOD_CARRY_ALLOWED) return;
     if (!this.kite || typeof this.kite.convertPosition !== "function") return;
@@ -3880,8 +4008,14 @@ class TradeManager {
     });
     if (now < convertToday) return;
 
-    const trade = await getTrade(this.activeTradeId);
-    if (!trade) return;
+    for (const id of this._activeTradeIds()) {
+      const trade = await getTrade(id);
+      // Structures are intraday only: converting legs one by one could split the hedge.
+      if (trade && !trade.structure) await this._convertTradeMisToNrml(trade);
+    }
+  }
+
+  async _convertTradeMisToNrml(trade) {
     const tradeId = String(trade.tradeId || "");
     if (!tradeId) return;
     if (this._eodConvertAttempted.has(tradeId)) return;
@@ -3925,6 +4059,8 @@ class TradeManager {
         product: "NRML",
         eodCarryConvertedAt: new Date(),
       });
+      // DAY SL/target orders lapse at close; the GTT carries the protection overnight.
+      await this.gtt.sync(await getTrade(tradeId), "eod_carry");
 
       logger.warn(
         { tradeId, qty, transactionType },
@@ -3964,7 +4100,7 @@ class TradeManager {
   }
 
   async _forceFlattenIfNeeded() {
-    if (!this.activeTradeId) return;
+    if (!this.activeTrades.size) return;
 
     await this._maybeConvertMisToNrmlIfNeeded();
 
@@ -3985,36 +4121,40 @@ class TradeManager {
     });
     if (now < flatToday) return;
 
-    const trade = await getTrade(this.activeTradeId);
-    if (!trade) return;
-    if (
-      ![
-        STATUS.ENTRY_OPEN,
-        STATUS.ENTRY_FILLED,
-        STATUS.SL_PLACED,
-        STATUS.SL_CONFIRMED,
-        STATUS.LIVE,
-      ].includes(trade.status)
-    )
-      return;
+    const trades = [];
+    for (const id of this._activeTradeIds()) {
+      const trade = await getTrade(id);
+      if (
+        trade &&
+        [
+          STATUS.ENTRY_OPEN,
+          STATUS.ENTRY_FILLED,
+          STATUS.SL_PLACED,
+          STATUS.SL_CONFIRMED,
+          STATUS.LIVE,
+        ].includes(trade.status)
+      )
+        trades.push(trade);
+    }
+    if (!trades.length) return;
 
-    logger.warn(
-      { tradeId: trade.tradeId },
-      "[time_guard] FORCE_FLATTEN triggered",
-    );
-    alert("warn", "⏰ FORCE_FLATTEN triggered (closing position)", {
-      tradeId: trade.tradeId,
+    const tradeIds = trades.map((t) => t.tradeId);
+    logger.warn({ tradeIds }, "[time_guard] FORCE_FLATTEN triggered");
+    alert("warn", "⏰ FORCE_FLATTEN triggered (closing positions)", {
+      tradeIds,
     }).catch((err) => { reportFault({ code: "TRADING_TRADEMANAGER_ASYNC", err, message: "[src/trading/tradeManager.js] async task failed" }); });
     this.risk.setKillSwitch(true);
     await upsertDailyRisk(todayKey(), {
       kill: true,
       reason: "FORCE_FLATTEN",
-      lastTradeId: trade.tradeId,
+      lastTradeId: tradeIds[tradeIds.length - 1],
     });
-    await this._panicExit(
-      { ...trade, product: this._activeTradeProduct(trade) },
-      "FORCE_FLATTEN",
-    );
+    for (const trade of trades) {
+      await this._panicExit(
+        { ...trade, product: this._activeTradeProduct(trade) },
+        "FORCE_FLATTEN",
+      );
+    }
   }
 
   _scheduleReconcile(reason = "order_update") {
@@ -4048,6 +4188,13 @@ class TradeManager {
     const activeByToken = new Map(
       (actives || []).map((t) => [Number(t.instrument_token), t]),
     );
+    // Structure legs other than the anchor belong to the anchor's risk slot.
+    const legTokens = new Set();
+    for (const t of actives || []) {
+      for (const l of t.legs || []) {
+        if (Number(l.instrument_token) !== Number(t.instrument_token)) legTokens.add(Number(l.instrument_token));
+      }
+    }
 
     const state = this.risk?.getState ? this.risk.getState() : null;
     const currentTokens = new Set(
@@ -4059,12 +4206,14 @@ class TradeManager {
     for (const [token, qtyRaw] of posQtyByToken.entries()) {
       const qty = Number(qtyRaw ?? 0);
       if (!Number.isFinite(qty) || qty === 0) continue;
+      if (legTokens.has(Number(token))) continue;
       const trade = activeByToken.get(Number(token));
       const riskKey = trade?.riskKey || this._riskKeyForTrade(trade) || String(token);
       this.risk.setOpenPosition(riskKey, {
         tradeId: trade?.tradeId || null,
         side: qty > 0 ? "BUY" : "SELL",
         qty: Math.abs(qty),
+        underlying: trade ? this._underlyingKeyForTrade(trade) || null : null,
       });
       currentTokens.delete(String(riskKey));
     }
@@ -5268,7 +5417,7 @@ class TradeManager {
       brokerSquareoffAt: new Date(),
       exitAt: new Date(),
       closedAt: new Date(),
-    });
+    }, { cause: "broker_squareoff" });
 
     logger.warn(
       {
@@ -5307,6 +5456,11 @@ class TradeManager {
         return;
       }
 
+      if (fresh?.structure) {
+        await this.structures.exit(fresh, reason, opts);
+        return;
+      }
+
       // Best-effort: cancel any working orders (ENTRY/SL/TARGET) so they don't fill after we start panic exit
       try {
         const variety = String(env.DEFAULT_ORDER_VARIETY || "regular");
@@ -5393,7 +5547,7 @@ class TradeManager {
           closeReason: `PANIC_EXIT_SKIPPED_NO_POSITION | ${reason}`,
           exitReason: "PANIC_EXIT",
           closedAt: new Date(),
-        });
+        }, { cause: "panic_exit" });
         await this._finalizeClosed(tradeId, Number(fresh.instrument_token));
         return;
       }
@@ -5504,7 +5658,7 @@ class TradeManager {
           panicExitPlacedAt: new Date(),
           exitPlacedAt: new Date(),
           closeReason: `PANIC_EXIT_PLACED | ${reason}`,
-        });
+        }, { cause: "panic_exit" });
         await linkOrder({
           order_id: exitOrderId,
           tradeId,
@@ -5718,7 +5872,7 @@ class TradeManager {
 
     this._pruneSignalDedupe();
 
-    if (this.activeTradeId || this._entryInFlight) {
+    if (this._entryInFlight || this._activeTradeCapsFull(token)) {
       this._opStats.dropped += 1;
       return { ok: false, reason: "busy" };
     }
@@ -5827,7 +5981,7 @@ class TradeManager {
 
     // 4) If broker shows open positions but we have no active trade in DB -> kill-switch (institutional safety)
     // This is more robust than scanning only the configured "tokens" list.
-    if (!this.activeTradeId && Array.isArray(net) && actives.length === 0) {
+    if (!this.activeTrades.size && Array.isArray(net) && actives.length === 0) {
       const open = (net || []).filter((p) => {
         const qty = Number(p?.quantity ?? p?.net_quantity ?? 0);
         if (!Number.isFinite(qty) || qty === 0) return false;
@@ -5882,12 +6036,12 @@ class TradeManager {
             this.recoveredPosition,
           ).catch((err) => { reportFault({ code: "TRADING_TRADEMANAGER_ASYNC", err, message: "[src/trading/tradeManager.js] async task failed" }); });
 
-          this.risk.setOpenPosition(trade.riskKey || String(token), {
+          this.risk.setOpenPosition(String(token), {
             tradeId,
             side,
             qty: Math.abs(qty),
           });
-          this.activeTradeId = tradeId;
+          this._syncActiveTradeState({ tradeId, instrument_token: token, side });
 
           const absQty = Math.abs(qty);
           const avgPrice = Number(avg ?? 0);
@@ -5953,8 +6107,15 @@ class TradeManager {
 
     // 5) Normal reconciliation for active trades from DB
     for (const t of actives) {
+      if (t.structure) {
+        await this.structures.reconcile(t, posQtyByToken, "reconcile");
+        continue;
+      }
       await this._reconcileTrade(t, byId, posQtyByToken);
     }
+
+    // 6) Broker-side GTT protection for whatever is still live.
+    await this.gtt.reconcile();
   }
 
   async _cancelRemainingExitsOnce(trade, reason) {
@@ -5989,6 +6150,7 @@ class TradeManager {
         // ignore
       }
     }
+    await this.gtt.cancel(trade, String(reason || "OCO_CLEANUP"));
   }
 
   async _handleOcoDoubleFill(trade, filledRole, order) {
@@ -6038,15 +6200,13 @@ class TradeManager {
       const winSec = Number(env.OCO_RECENT_CLOSED_WINDOW_SEC ?? 120);
       const now = Date.now();
 
-      const watchTradeIds = [];
-      if (this.activeTradeId) watchTradeIds.push(this.activeTradeId);
-      if (
-        this.lastClosedTradeId &&
-        this.lastClosedTradeId !== this.activeTradeId &&
-        winSec > 0 &&
-        now - Number(this.lastClosedAt ?? 0) <= winSec * 1000
-      ) {
-        watchTradeIds.push(this.lastClosedTradeId);
+      const watchTradeIds = this._activeTradeIds();
+      for (const [closedId, closedAt] of this._recentlyClosedAt) {
+        if (winSec > 0 && now - Number(closedAt ?? 0) <= winSec * 1000) {
+          if (!this.activeTrades.has(closedId)) watchTradeIds.push(closedId);
+        } else {
+          this._recentlyClosedAt.delete(closedId);
+        }
       }
       if (!watchTradeIds.length) return;
 
@@ -6075,6 +6235,10 @@ class TradeManager {
       for (const tradeId of watchTradeIds) {
         const trade = await getTrade(tradeId);
         if (!trade) continue;
+        if (trade.structure) {
+          await this.structures.reconcile(trade, posQtyByToken, source);
+          continue;
+        }
         const token = Number(trade.instrument_token);
         const netQty = Number(posQtyByToken.get(token) ?? 0);
         const expectedQty = Math.abs(Number(trade.qty ?? 0));
@@ -6150,7 +6314,7 @@ class TradeManager {
               exitReason: "RECONCILE_EXIT",
               exitAt: new Date(),
               closedAt: new Date(),
-            });
+            }, { cause: "position_reconcile" });
             await this._finalizeClosed(tradeId, token);
           }
           continue;
@@ -6320,7 +6484,7 @@ class TradeManager {
         exitReason: "RECONCILE_EXIT",
         exitAt: new Date(),
         closedAt: new Date(),
-      });
+      }, { cause: "reconcile" });
       await this._finalizeClosed(tradeId, token);
       return;
     }
@@ -6341,7 +6505,7 @@ class TradeManager {
             exitReason: "PANIC_EXIT",
             exitAt: new Date(),
             closedAt: new Date(),
-          });
+          }, { cause: "reconcile" });
           await this._bookRealizedPnl(tradeId);
           await this._finalizeClosed(tradeId, token);
           return;
@@ -6380,7 +6544,7 @@ class TradeManager {
         await updateTrade(tradeId, {
           status: STATUS.ENTRY_FAILED,
           closeReason: "ENTRY_ORDER_ID_MISSING_ON_RESTART",
-        });
+        }, { cause: "reconcile" });
         await this._finalizeClosed(tradeId, trade.instrument_token);
         return;
       }
@@ -6409,7 +6573,7 @@ class TradeManager {
           closeReason: `ENTRY_${entryStatusUpper}${
             entryMsg ? " | " + String(entryMsg) : ""
           }`,
-        });
+        }, { cause: "reconcile" });
         await this._finalizeClosed(tradeId, trade.instrument_token);
         return;
       }
@@ -6433,7 +6597,7 @@ class TradeManager {
             entryPrice:
               Number.isFinite(avgNow) && avgNow > 0 ? avgNow : trade.entryPrice,
             qty: filledNow,
-          });
+          }, { cause: "reconcile" });
 
           await this._placeExitsIfMissing({
             ...trade,
@@ -6463,7 +6627,7 @@ class TradeManager {
         status: STATUS.ENTRY_FILLED,
         entryPrice: avg,
         qty: filledQty,
-      });
+      }, { cause: "reconcile" });
       await this._placeExitsIfMissing({
         ...trade,
         entryPrice: avg,
@@ -7259,6 +7423,21 @@ class TradeManager {
                 beAppliedNow,
               }),
             });
+            this._recordExitAdjustment(tradeId, {
+              kind: "SL",
+              from: Number(trade.stopLoss ?? sl?.trigger_price ?? 0),
+              to: appliedTrigger,
+              reason: this._dynExitAdjustReason("SL", plan),
+              source: "dyn_exit",
+              orderId: trade.slOrderId,
+              meta: {
+                pnlR: plan?.meta?.pnlR ?? null,
+                peakPnlR: plan?.meta?.peakPnlR ?? null,
+                beFloor: Number.isFinite(beFloor) ? beFloor : null,
+                trailGap: plan?.meta?.trailGap ?? null,
+                activeLockFloorPrice: plan?.meta?.activeLockFloorPrice ?? null,
+              },
+            });
             try {
               this._updateSlWatchTrigger(tradeId, appliedTrigger);
             } catch (err) { reportFault({ code: "TRADING_TRADEMANAGER_CATCH", err, message: "[src/trading/tradeManager.js] caught and continued" }); }
@@ -7399,6 +7578,15 @@ class TradeManager {
                 targetPrice: plan.target.targetPrice,
               }),
             });
+            this._recordExitAdjustment(tradeId, {
+              kind: "TARGET",
+              from: Number(trade.targetPrice ?? tgt?.price ?? 0),
+              to: plan.target.targetPrice,
+              reason: this._dynExitAdjustReason("TARGET", plan),
+              source: "dyn_exit",
+              orderId: trade.targetOrderId,
+              meta: { ltp: plan?.meta?.ltp ?? null, profitR: plan?.meta?.profitR ?? null },
+            });
             try {
               this._refreshTargetWatchAfterAdjust(
                 { ...trade, targetPrice: plan.target.targetPrice },
@@ -7440,6 +7628,7 @@ class TradeManager {
         this._dynExitLastAt.set(tradeId, modifiedAt);
         this._dynExitCadenceStats.modifyRuns += 1;
         this._trackDynExitCadence("modify", modifiedAt);
+        await this.gtt.sync(await getTrade(tradeId), "dyn_exit");
       }
     } catch (e) {
       this._dynExitCadenceStats.errors += 1;
@@ -7521,7 +7710,7 @@ class TradeManager {
           status: STATUS.ENTRY_FILLED,
           entryPrice: avgPx,
           qty,
-        });
+        }, { cause: "entry_watch" });
 
         await this._placeExitsIfMissing({
           ...t,
@@ -7537,7 +7726,7 @@ class TradeManager {
         await updateTrade(tradeId, {
           status: isRejected ? STATUS.ENTRY_FAILED : STATUS.ENTRY_CANCELLED,
           closeReason: `ENTRY_${status}${msg ? " | " + msg : ""}`,
-        });
+        }, { cause: "entry_watch" });
         await this._finalizeClosed(tradeId, t.instrument_token);
         return;
       }
@@ -7640,7 +7829,7 @@ class TradeManager {
         entryPrice: avgPx,
 
         qty,
-      });
+      }, { cause: "entry_watch" });
 
       await this._placeExitsIfMissing({
         ...tFinal,
@@ -7659,7 +7848,7 @@ class TradeManager {
         status: isRejected ? STATUS.ENTRY_FAILED : STATUS.ENTRY_CANCELLED,
 
         closeReason: `ENTRY_${status}${msg ? " | " + String(msg) : ""}`,
-      });
+      }, { cause: "entry_watch" });
 
       await this._finalizeClosed(tradeId, tFinal.instrument_token);
 
@@ -7696,7 +7885,7 @@ class TradeManager {
             status: STATUS.ENTRY_FILLED,
             entryPrice: avgPx,
             qty,
-          });
+          }, { cause: "entry_watch" });
           await this._placeExitsIfMissing({
             ...tFinal,
             entryPrice: avgPx,
@@ -7714,12 +7903,12 @@ class TradeManager {
             closeReason: `ENTRY_${lateStatus}${
               msgLate ? " | " + String(msgLate) : ""
             }`,
-          });
+          }, { cause: "entry_watch" });
         } else {
           await updateTrade(tradeId, {
             status: STATUS.ENTRY_CANCELLED,
             closeReason: "ENTRY_TIMEOUT_CANCELLED",
-          });
+          }, { cause: "entry_watch" });
         }
 
         await this._finalizeClosed(tradeId, tFinal.instrument_token);
@@ -7840,7 +8029,7 @@ class TradeManager {
         entryPrice: avgNow > 0 ? avgNow : t.entryPrice,
         qty,
         entryFinalized: true,
-      });
+      }, { cause: "entry_fallback" });
       await this._placeExitsIfMissing({
         ...t,
         entryPrice: avgNow > 0 ? avgNow : t.entryPrice,
@@ -7856,7 +8045,7 @@ class TradeManager {
         await updateTrade(tradeId, {
           status: STATUS.ENTRY_FAILED,
           closeReason: `ENTRY_${status}`,
-        });
+        }, { cause: "entry_fallback" });
         await this._finalizeClosed(tradeId, t.instrument_token);
         this._clearEntryLimitFallbackTimer(tradeId);
         return;
@@ -7867,7 +8056,7 @@ class TradeManager {
           entryPrice: avgNow > 0 ? avgNow : t.entryPrice,
           qty: filledNow,
           entryFinalized: true,
-        });
+        }, { cause: "entry_fallback" });
         await this._placeExitsIfMissing({
           ...t,
           entryPrice: avgNow > 0 ? avgNow : t.entryPrice,
@@ -7889,7 +8078,7 @@ class TradeManager {
         entryPrice: avgNow > 0 ? avgNow : t.entryPrice,
         qty: filledNow,
         entryFinalized: true,
-      });
+      }, { cause: "entry_fallback" });
       await this._placeExitsIfMissing({
         ...t,
         entryPrice: avgNow > 0 ? avgNow : t.entryPrice,
@@ -7927,7 +8116,7 @@ class TradeManager {
           entryPrice: avgAgain > 0 ? avgAgain : t.entryPrice,
           qty,
           entryFinalized: true,
-        });
+        }, { cause: "entry_fallback" });
         await this._placeExitsIfMissing({
           ...t,
           entryPrice: avgAgain > 0 ? avgAgain : t.entryPrice,
@@ -7943,7 +8132,7 @@ class TradeManager {
           await updateTrade(tradeId, {
             status: STATUS.ENTRY_FAILED,
             closeReason: `ENTRY_${againStatus}`,
-          });
+          }, { cause: "entry_fallback" });
           await this._finalizeClosed(tradeId, t.instrument_token);
           this._clearEntryLimitFallbackTimer(tradeId);
           return;
@@ -7954,7 +8143,7 @@ class TradeManager {
             entryPrice: avgAgain > 0 ? avgAgain : t.entryPrice,
             qty: filledAgain,
             entryFinalized: true,
-          });
+          }, { cause: "entry_fallback" });
           await this._placeExitsIfMissing({
             ...t,
             entryPrice: avgAgain > 0 ? avgAgain : t.entryPrice,
@@ -7981,7 +8170,7 @@ class TradeManager {
           entryPrice: avgAgain > 0 ? avgAgain : t.entryPrice,
           qty: filledAgain,
           entryFinalized: true,
-        });
+        }, { cause: "entry_fallback" });
         await this._placeExitsIfMissing({
           ...t,
           entryPrice: avgAgain > 0 ? avgAgain : t.entryPrice,
@@ -8036,7 +8225,7 @@ class TradeManager {
         entryPrice: avgAfter > 0 ? avgAfter : t.entryPrice,
         qty,
         entryFinalized: true,
-      });
+      }, { cause: "entry_fallback" });
       await this._placeExitsIfMissing({
         ...t,
         entryPrice: avgAfter > 0 ? avgAfter : t.entryPrice,
@@ -8053,7 +8242,7 @@ class TradeManager {
         entryPrice: avgAfter > 0 ? avgAfter : t.entryPrice,
         qty: filledAfter,
         entryFinalized: true,
-      });
+      }, { cause: "entry_fallback" });
       await this._placeExitsIfMissing({
         ...t,
         entryPrice: avgAfter > 0 ? avgAfter : t.entryPrice,
@@ -8109,7 +8298,7 @@ class TradeManager {
         entryPrice: knownAvg > 0 ? knownAvg : t.entryPrice,
         qty,
         entryFinalized: true,
-      });
+      }, { cause: "entry_fallback" });
       await this._placeExitsIfMissing({
         ...t,
         entryPrice: knownAvg > 0 ? knownAvg : t.entryPrice,
@@ -8154,7 +8343,7 @@ class TradeManager {
       entryPlacedAt: tNow?.entryPlacedAt || new Date(),
       status: STATUS.ENTRY_REPLACED,
       entryFinalized: false,
-    });
+    }, { cause: "entry_fallback" });
     await linkOrder({
       order_id: String(fallbackOrderId),
       tradeId,
@@ -8265,7 +8454,7 @@ class TradeManager {
           await updateTrade(tradeId, {
             status: STATUS.SL_CONFIRMED,
             slConfirmedAt: new Date(),
-          });
+          }, { cause: "sl_sla" });
           return;
         }
 
@@ -8496,101 +8685,6 @@ class TradeManager {
     };
   }
 
-  async _multiTfTrend(token) {
-    if (String(env.MULTI_TF_ENABLED || "true") !== "true") {
-      return { ok: true, note: "multi_tf_disabled" };
-    }
-
-    const base = Number(env.MULTI_TF_INTERVAL_MIN ?? 5);
-    const candidates = [base, 3, 5, 15]
-      .map((n) => Number(n))
-      .filter((n) => Number.isFinite(n) && n > 0);
-
-    const limit = Math.max(80, Number(env.MTF_LOOKBACK_LIMIT ?? 200));
-    const fastLen = Number(env.MULTI_TF_EMA_FAST ?? 9);
-    const slowLen = Number(env.MULTI_TF_EMA_SLOW ?? 21);
-
-    let usedIntervalMin = null;
-    let candles = null;
-
-    for (const iv of candidates) {
-      try {
-        const cs = await getRecentCandles(token, iv, limit);
-        if (!cs || cs.length < Math.max(slowLen + 10, 40)) continue;
-        usedIntervalMin = iv;
-        candles = cs;
-        break;
-      } catch (err) { reportFault({ code: "TRADING_TRADEMANAGER_CATCH", err, message: "[src/trading/tradeManager.js] caught and continued" }); }
-    }
-
-    if (!candles) return { ok: true, note: "multi_tf_no_data" };
-
-    const closes = candles
-      .map((c) => Number(c.close))
-      .filter((x) => Number.isFinite(x));
-
-    if (closes.length < Math.max(slowLen + 5, 30)) {
-      return { ok: true, note: "multi_tf_insufficient_closes" };
-    }
-
-    const emaFast = emaLast(closes, fastLen);
-    const emaSlow = emaLast(closes, slowLen);
-    const lastClose = closes[closes.length - 1];
-
-    let trend = "FLAT";
-    if (Number.isFinite(emaFast) && Number.isFinite(emaSlow)) {
-      if (emaFast > emaSlow) trend = "UP";
-      else if (emaFast < emaSlow) trend = "DOWN";
-    }
-
-    const diff =
-      Number.isFinite(emaFast) && Number.isFinite(emaSlow)
-        ? Math.abs(emaFast - emaSlow)
-        : null;
-    const strengthBps =
-      Number.isFinite(diff) && Number.isFinite(lastClose) && lastClose > 0
-        ? (diff / lastClose) * 10000
-        : null;
-
-    return {
-      ok: true,
-      meta: {
-        usedIntervalMin,
-        emaFastLen: fastLen,
-        emaSlowLen: slowLen,
-        emaFast,
-        emaSlow,
-        lastClose,
-        trend,
-        strengthBps,
-      },
-    };
-  }
-
-  async _multiTfConfirm(token, side) {
-    const info = await this._multiTfTrend(token);
-    if (!info.ok) return info;
-
-    // If disabled/no data, pass through
-    const emaFast = info?.meta?.emaFast;
-    const emaSlow = info?.meta?.emaSlow;
-    if (!Number.isFinite(emaFast) || !Number.isFinite(emaSlow)) {
-      return { ok: true, meta: info?.meta || null };
-    }
-
-    const trendOk = side === "BUY" ? emaFast > emaSlow : emaFast < emaSlow;
-
-    if (!trendOk) {
-      return {
-        ok: false,
-        reason: "MULTI_TF_TREND_MISMATCH",
-        meta: info?.meta || null,
-      };
-    }
-
-    return { ok: true, meta: info?.meta || null };
-  }
-
   async _regimeFilters({
     token,
     side,
@@ -8601,6 +8695,7 @@ class TradeManager {
     policy,
     underlying,
     isTradeToken,
+    multiTf,
   }) {
     if (String(env.REGIME_FILTERS_ENABLED) !== "true") return { ok: true };
 
@@ -8619,7 +8714,9 @@ class TradeManager {
     const atrBase = atrLast(candles, atrPeriod);
     const atr = atrBase; // FIX: prevent "atr is not defined"
     const style = String(strategyStyle || "").toUpperCase() || "UNKNOWN";
-    const det = detectRegime({ candles, env, now: new Date() });
+    const det =
+      regimeService.current(token, intervalMin) ||
+      detectRegime({ candles, env, now: new Date() });
 
     const em = await this._expectedMoveModel({
       token,
@@ -8662,7 +8759,7 @@ class TradeManager {
               ? parseList(env.RANGE_ALLOWED_REGIMES || "RANGE,OPEN")
               : style === "OPEN"
                 ? parseList(env.OPEN_ALLOWED_REGIMES || "OPEN,TREND")
-                : parseList("TREND,RANGE,OPEN");
+                : parseList("TREND,RANGE,OPEN,VOLATILE");
 
         if (allowed.length && !allowed.includes(String(reg).toUpperCase())) {
           return {
@@ -8804,45 +8901,19 @@ class TradeManager {
       }
     }
 
-    // Multi-TF confirmation (strategy-aware)
-    const mtfEnabled = String(env.MULTI_TF_ENABLED || "true") === "true";
-    const mtfMode = String(env.MULTI_TF_MODE || "TREND_ONLY").toUpperCase();
-
-    const shouldConfirm =
-      mtfEnabled &&
-      mtfMode !== "OFF" &&
-      (mtfMode === "ALL" || (mtfMode === "TREND_ONLY" && style !== "RANGE"));
-
-    if (shouldConfirm) {
-      const tf = await this._multiTfConfirm(token, side);
-      if (!tf.ok) {
-        return { ...tf, meta: { ...baseMeta, ...(tf.meta || {}) } };
-      }
-      baseMeta.multiTf = tf.meta || null;
-    } else if (
-      style === "RANGE" &&
-      String(env.RANGE_AVOID_TREND || "false") === "true"
-    ) {
-      // Optional mean-reversion safety: avoid fading into strong higher-TF trend
-      const info = await this._multiTfTrend(token);
-      const strength = info?.meta?.strengthBps;
-      baseMeta.multiTf = info?.meta || null;
-
-      const maxBps = Number(env.RANGE_MAX_TREND_STRENGTH_BPS ?? 40);
-      if (
-        Number.isFinite(strength) &&
-        Number.isFinite(maxBps) &&
-        strength > maxBps
-      ) {
-        return {
-          ok: false,
-          reason: `RANGE_STRONG_TREND (${Math.round(
-            strength,
-          )}bps > ${Math.round(maxBps)}bps)`,
-          meta: { ...baseMeta },
-        };
-      }
+    // Multi-TF confirmation: normally decided by the strategy-engine stage and
+    // stamped on the signal; re-run here only for signals that bypassed it.
+    const tf = multiTf?.decision
+      ? { ok: true, meta: multiTf.meta || null }
+      : await confirmMultiTf({ token, intervalMin, side, style });
+    if (!tf.ok) {
+      return {
+        ok: false,
+        reason: tf.reason,
+        meta: { ...baseMeta, ...(tf.meta || {}), multiTfReasons: tf.reasons || [] },
+      };
     }
+    if (tf.meta) baseMeta.multiTf = tf.meta;
 
     return { ok: true, meta: { ...baseMeta } };
   }
@@ -8892,9 +8963,12 @@ class TradeManager {
   }
 
   async _handleSignal(signal) {
-    if (this.activeTradeId) {
+    if (this._activeTradeCapsFull(signal?.instrument_token)) {
       logger.info(
-        { activeTradeId: this.activeTradeId },
+        {
+          token: Number(signal?.instrument_token),
+          activeTradeIds: this._activeTradeIds(),
+        },
         "[signal] ignored (active trade exists)",
       );
       return;
@@ -9107,7 +9181,37 @@ class TradeManager {
           ? Math.max(0, Math.min(baseTradeRiskInr, remainingDailyLossInr))
           : Math.max(0, baseTradeRiskInr);
 
-      const picked = await pickOptionContractForSignal({
+      // Multi-leg structure (OPT_STRUCTURE): the planner picks every leg, the
+      // anchor (long leg) stands in for the single contract below.
+      let structurePlan = null;
+      const structureKind = resolveStructureKind({ side: underlyingSide, bias: s.bias });
+      if (structureKind) {
+        structurePlan = await planOptionStructure({
+          kite: this.kite,
+          universe: uni,
+          underlyingToken,
+          underlyingTradingsymbol: underInstr?.tradingsymbol,
+          kind: structureKind,
+          underlyingLtp: routeLtp,
+        });
+        if (!structurePlan?.ok) {
+          logger.warn(
+            {
+              underlyingToken,
+              underlyingSide,
+              kind: structureKind,
+              reason: structurePlan?.reason,
+              meta: structurePlan?.meta,
+            },
+            "[structure] no structure could be planned",
+          );
+          return;
+        }
+      }
+
+      const picked = structurePlan
+        ? structurePlan.anchor
+        : await pickOptionContractForSignal({
         kite: this.kite,
         universe: uni,
         underlyingToken,
@@ -9161,7 +9265,10 @@ class TradeManager {
         return;
       }
 
-      const liq = await this._preEntryOptionLiquidityCheck(picked);
+      // Structure legs already passed the planner's spread/depth gates.
+      const liq = structurePlan
+        ? { ok: true, meta: null }
+        : await this._preEntryOptionLiquidityCheck(picked);
       if (!liq.ok) {
         const alt = (picked?.meta?.topCandidates || []).find(
           (c) =>
@@ -9208,8 +9315,11 @@ class TradeManager {
       // Ensure we subscribe the chosen option contract (so downstream OMS/risk gets ticks)
       let rt = null;
       if (typeof this.runtimeAddTokens === "function") {
-        rt = await this.runtimeAddTokens([Number(picked.instrument_token)], {
-          reason: "OPT_SELECTED_CONTRACT",
+        const tokens = structurePlan
+          ? structurePlan.legs.map((l) => Number(l.instrument_token))
+          : [Number(picked.instrument_token)];
+        rt = await this.runtimeAddTokens(tokens, {
+          reason: structurePlan ? "OPT_STRUCTURE_LEGS" : "OPT_SELECTED_CONTRACT",
           // For options, candle history is important for exits; default: backfill enabled.
           backfill:
             String(env.OPT_RUNTIME_SUBSCRIBE_BACKFILL || "false") === "true",
@@ -9257,8 +9367,11 @@ class TradeManager {
         confidence: Number.isFinite(finalConfidence)
           ? finalConfidence
           : Number(s.confidence),
-        reason:
-          `${s.reason || ""} | OPT ${picked.optType} ${picked.strike} ${picked.expiry}`.trim(),
+        reason: structurePlan
+          ? `${s.reason || ""} | OPT ${structurePlan.kind} ${structurePlan.atm} ${structurePlan.expiry}`.trim()
+          : `${s.reason || ""} | OPT ${picked.optType} ${picked.strike} ${picked.expiry}`.trim(),
+        structure_plan: structurePlan,
+        structure_risk_inr: structurePlan ? effectiveTradeRiskInr : null,
       };
     }
 
@@ -9269,7 +9382,10 @@ class TradeManager {
       token,
     });
 
+    // Decisions for this signal are also kept on the trade it opens.
+    const decisionTrail = [];
     const trackDecision = (outcome, stage, reason, meta) => {
+      decisionTrail.push({ ts: new Date(), outcome, stage, reason: reason || null, meta: meta || null });
       telemetry.recordDecision({
         signal: s,
         token,
@@ -9325,7 +9441,9 @@ class TradeManager {
       return;
     }
 
-    const governorGate = await this.portfolioGovernor.canOpenNewTrade({});
+    const governorGate = await this.portfolioGovernor.canOpenNewTrade({
+      openTrades: this.activeTrades.size,
+    });
     if (!governorGate?.ok) {
       logger.warn(
         { token, reason: governorGate.reason, metrics: governorGate.metrics || null },
@@ -9345,7 +9463,15 @@ class TradeManager {
       }
     }
 
-    let check = this.risk.canTrade(riskKey);
+    const underlyingKey = this._underlyingKeyForTrade(s);
+    const canTrade = (ctx = {}) => {
+      const res = this.risk.canTrade(riskKey, { ...ctx, underlying: underlyingKey });
+      if (res.ok && this._isTokenInActiveTrade(token)) {
+        return { ok: false, reason: "already_in_position" };
+      }
+      return res;
+    };
+    let check = canTrade();
     if (noTradeWindowBlocked) {
       check = { ok: false, reason: "no_trade_window" };
     }
@@ -9390,7 +9516,7 @@ class TradeManager {
       });
 
       if (evalResult.allow) {
-        check = this.risk.canTrade(riskKey, evalResult.canTradeCtx || {});
+        check = canTrade(evalResult.canTradeCtx || {});
         if (check.ok) {
           reentry = {
             allowed: true,
@@ -9500,13 +9626,9 @@ class TradeManager {
     conf = Number(s.confidence);
     if (Number.isFinite(minConf) && minConf > 0 && Number.isFinite(conf)) {
       if (conf < minConf) {
-        telemetry.recordDecision({
-          signal: s,
-          token,
-          outcome: "IDEA_SIGNAL",
-          stage: s.option_meta ? "gate_post_route" : "gate",
-          reason: "LOW_CONFIDENCE",
-          meta: { conf, minConf },
+        trackDecision("IDEA_SIGNAL", s.option_meta ? "gate_post_route" : "gate", "LOW_CONFIDENCE", {
+          conf,
+          minConf,
         });
         logger.info(
           {
@@ -9522,13 +9644,15 @@ class TradeManager {
     }
 
     if (Boolean(env.EXECUTABLE_SIGNAL_GATE_ENABLED ?? true)) {
-      telemetry.recordDecision({
+      trackDecision("EXECUTABLE_SIGNAL", "gate", "PASS", { conf, minConf, regime: s.regime, side: s.side });
+    }
+
+    if (s.structure_plan) {
+      return this.structures.enter({
         signal: s,
-        token,
-        outcome: "EXECUTABLE_SIGNAL",
-        stage: "gate",
-        reason: "PASS",
-        meta: { conf, minConf, regime: s.regime, side: s.side },
+        plan: s.structure_plan,
+        riskKey,
+        riskTradeInr: Number(s.structure_risk_inr ?? 0) * Number(reentry.riskMult ?? 1),
       });
     }
     const tick = Number(instrument.tick_size ?? 0.05);
@@ -9664,6 +9788,7 @@ class TradeManager {
       policy,
       underlying: s?.option_meta?.underlying,
       isTradeToken: !!s.option_meta,
+      multiTf: s.multiTf,
     });
     if (!reg.ok) {
       logger.info(
@@ -10742,6 +10867,7 @@ class TradeManager {
       intervalMin,
       instrument,
       strategyId: s.strategyId,
+      paramProfile: s.paramProfile || null,
       riskKey,
       side: side,
       qty,
@@ -10819,6 +10945,19 @@ class TradeManager {
       targetReplaceCount: 0,
       product: String(env.DEFAULT_PRODUCT || "MIS").toUpperCase(),
       decisionAt: new Date(),
+      signalSnapshot: {
+        strategyId: s.strategyId || null,
+        strategyStyle: s.strategyStyle || null,
+        side: s.side || null,
+        confidence: Number.isFinite(Number(s.confidence)) ? Number(s.confidence) : null,
+        reason: s.reason || null,
+        regime: s.regime || null,
+        stage: s.stage || null,
+        intervalMin: intervalMin || null,
+        candleTs: s.candleTs ?? s.candle?.ts ?? null,
+        underlying: s.underlying_symbol || s.option_meta?.underlying || null,
+      },
+      decisionTrail,
     };
 
     await insertTrade(trade);
@@ -10849,7 +10988,7 @@ class TradeManager {
           await updateTrade(tradeId, {
             status: STATUS.ENTRY_CANCELLED,
             closeReason: `ENTRY_ABORTED | ${rejectReason}`,
-          });
+          }, { cause: "signal" });
           await this._finalizeClosed(tradeId, token);
           return;
         }
@@ -10906,7 +11045,7 @@ class TradeManager {
       await updateTrade(tradeId, {
         status: STATUS.ENTRY_FAILED,
         closeReason: "ENTRY_PLACE_FAILED | " + e.message,
-      });
+      }, { cause: "signal" });
       await this._finalizeClosed(tradeId, token);
       return;
     }
@@ -10981,7 +11120,7 @@ class TradeManager {
         qty: placedQty,
         side,
       }),
-    });
+    }, { cause: "signal" });
     await linkOrder({ order_id: String(entryOrderId), tradeId, role: "ENTRY" });
     await this._replayOrphanUpdates(entryOrderId);
     await this.portfolioGovernor.registerTradeOpen({
@@ -10989,10 +11128,13 @@ class TradeManager {
       riskInr: Number(trade.riskInr ?? 0),
     });
 
-    this.activeTradeId = tradeId;
-    this._activeTradeToken = token;
-    this._activeTradeSide = side;
-    this.risk.markTradeOpened(token, { tradeId, side: side, qty: placedQty });
+    this._syncActiveTradeState(trade);
+    this.risk.markTradeOpened(riskKey, {
+      tradeId,
+      side: side,
+      qty: placedQty,
+      underlying: this._underlyingKeyForTrade(trade) || null,
+    });
 
     // watchdog fallback (in case order_update is missing)
     this._watchEntryUntilDone(tradeId, String(entryOrderId)).catch((e) => {
@@ -11082,6 +11224,9 @@ class TradeManager {
 
     this._scheduleReconcile("order_update");
 
+    // Structure legs are confirmed by StructureTrader's own polling; reconcile covers the rest.
+    if (trade.structure) return;
+
     // Ignore expected OCO cancels
     if (
       (status === "CANCELLED" || status === "CANCELED") &&
@@ -11126,7 +11271,7 @@ class TradeManager {
           exitReason: "PANIC_EXIT",
           exitAt: new Date(),
           closedAt: new Date(),
-        });
+        }, { cause: "order_update", orderIds: [orderId] });
 
         alert("warn", "PANIC EXIT filled", {
           tradeId: trade.tradeId,
@@ -11202,7 +11347,7 @@ class TradeManager {
           closeReason: `PANIC_EXIT_${status}${msg ? " | " + msg : ""}`,
           panicExitLastStatus: status,
           panicExitLastUpdateAt: new Date(),
-        });
+        }, { cause: "order_update", orderIds: [orderId] });
         return;
       }
 
@@ -11366,7 +11511,7 @@ class TradeManager {
             filledQty,
             slipBps,
           }),
-        });
+        }, { cause: "order_update", orderIds: [orderId] });
 
         await recordEntryFill({
           dateKey: todayKey(),
@@ -11430,7 +11575,7 @@ class TradeManager {
             closeReason: `ENTRY_SLIPPAGE (${slipAbs.toFixed(
               1,
             )}bps > ${effMaxBps.toFixed(1)})`,
-          });
+          }, { cause: "order_update", orderIds: [orderId] });
 
           return;
         }
@@ -11574,7 +11719,7 @@ class TradeManager {
             avg: avgNow,
             filledQty: filledNow,
           }),
-        });
+        }, { cause: "order_update", orderIds: [orderId] });
         const minGreenEnabled =
           String(env.MIN_GREEN_ENABLED || "true") === "true";
         const minGreen = minGreenEnabled
@@ -11686,7 +11831,7 @@ class TradeManager {
               filledQty: deadFilledQty,
               source: "ioc_cancel_partial",
             }),
-          });
+          }, { cause: "order_update", orderIds: [orderId] });
           await this._placeExitsIfMissing({
             ...trade,
             qty: deadFilledQty,
@@ -11715,7 +11860,7 @@ class TradeManager {
             "ENTRY_" +
             status +
             (order.status_message_raw ? " | " + order.status_message_raw : ""),
-        });
+        }, { cause: "order_update", orderIds: [orderId] });
         alert(
           "error",
           isRejected ? "❌ ENTRY rejected" : "⚠️ ENTRY cancelled/lapsed",
@@ -11779,7 +11924,7 @@ class TradeManager {
         return;
       }
 
-      await updateTrade(trade.tradeId, { status: STATUS.ENTRY_OPEN });
+      await updateTrade(trade.tradeId, { status: STATUS.ENTRY_OPEN }, { cause: "order_update", orderIds: [orderId] });
       return;
     }
 
@@ -12386,7 +12531,7 @@ class TradeManager {
           await updateTrade(tradeId, {
             status: STATUS.GUARD_FAILED,
             closeReason: `POST_FILL_RISK_CAP (${trueRiskInr.toFixed(0)}>${capInr.toFixed(0)})`,
-          });
+          }, { cause: "post_fill_risk" });
           return {
             ok: false,
             exited: true,
@@ -12519,7 +12664,7 @@ class TradeManager {
         await updateTrade(tradeId, {
           status: STATUS.GUARD_FAILED,
           closeReason: `POST_FILL_RISK_CAP (${trueRiskInr.toFixed(0)}>${capInr.toFixed(0)})`,
-        });
+        }, { cause: "post_fill_risk" });
         return { ok: false, exited: true, reason: fit.reason || "CANNOT_FIT" };
       }
 
@@ -12611,8 +12756,11 @@ class TradeManager {
   }
 
   _computeTargetPrice(trade) {
-    if (Number.isFinite(Number(trade?.plannedTargetPrice))) {
-      return Number(trade.plannedTargetPrice);
+    // plannedTargetPrice is stored as null when planning fell back; Number(null) is 0,
+    // which would place the target as an immediate MARKET exit.
+    const planned = Number(trade?.plannedTargetPrice);
+    if (Number.isFinite(planned) && planned > 0) {
+      return planned;
     }
 
     const rr = Number(trade.rr ?? 1.0);
@@ -12691,7 +12839,7 @@ class TradeManager {
     if (!shouldMarkLive) {
       delete patch.status;
     }
-    await updateTrade(tradeId, patch);
+    await updateTrade(tradeId, patch, { cause: "target_placed" });
     this._clearVirtualTarget(tradeId);
     this._registerTargetWatchFromTrade({
       ...trade,
@@ -12923,7 +13071,7 @@ class TradeManager {
     if (!shouldMarkLive) {
       delete patch.status;
     }
-    await updateTrade(tradeId, patch);
+    await updateTrade(tradeId, patch, { cause: "runner_target" });
     this._clearVirtualTarget(tradeId);
     this._registerTargetWatchFromTrade({
       ...trade,
@@ -13103,7 +13251,7 @@ class TradeManager {
         exitSlippageBpsWorse: tp1SlippageBpsWorse,
         exitSlippageInrWorse: tp1SlippageInrWorse,
         closeReason: "TP1_FULL_EXIT",
-      });
+      }, { cause: "runner_target" });
       await this._bookRealizedPnl(tradeId);
       await this._finalizeClosed(tradeId, fresh.instrument_token);
       return;
@@ -13195,6 +13343,15 @@ class TradeManager {
             remaining,
           }),
         });
+        this._recordExitAdjustment(tradeId, {
+          kind: "SL",
+          from: curSL,
+          to: newSL,
+          reason: "TP1_BE",
+          source: "tp1",
+          orderId: fresh.slOrderId,
+          meta: { remaining },
+        });
         try {
           this._updateSlWatchTrigger(tradeId, newSL);
         } catch (err) { reportFault({ code: "TRADING_TRADEMANAGER_CATCH", err, message: "[src/trading/tradeManager.js] caught and continued" }); }
@@ -13428,7 +13585,7 @@ class TradeManager {
             stopLoss: liveStopLoss,
             slOrderType: slOrderTypeUsed,
           }),
-        });
+        }, { cause: "exits_placed" });
 
         // Register SL watchdog state (for SL-L)
         try {
@@ -13481,7 +13638,7 @@ class TradeManager {
         if (!shouldMarkLive) {
           delete patch.status;
         }
-        await updateTrade(tradeId, patch);
+        await updateTrade(tradeId, patch, { cause: "exits_placed" });
         return;
       }
 
@@ -13516,7 +13673,7 @@ class TradeManager {
         }),
       );
         if (shouldMarkLive) {
-          await updateTrade(tradeId, { status: STATUS.LIVE });
+          await updateTrade(tradeId, { status: STATUS.LIVE }, { cause: "exits_placed" });
         }
         return;
       }
@@ -13560,7 +13717,7 @@ class TradeManager {
                     { reason: msg, source: "tp1_fallback_target" },
                   );
                   if (shouldMarkLive) {
-                    await updateTrade(tradeId, { status: STATUS.LIVE });
+                    await updateTrade(tradeId, { status: STATUS.LIVE }, { cause: "exits_placed" });
                   }
                   return;
                 }
@@ -13587,7 +13744,7 @@ class TradeManager {
                 if (!shouldMarkLive) {
                   delete patch.status;
                 }
-                await updateTrade(tradeId, patch);
+                await updateTrade(tradeId, patch, { cause: "exits_placed" });
                 return;
               }
             }
@@ -13609,7 +13766,7 @@ class TradeManager {
                   { reason: msg, source: "runner_target" },
                 );
                 if (shouldMarkLive) {
-                  await updateTrade(tradeId, { status: STATUS.LIVE });
+                  await updateTrade(tradeId, { status: STATUS.LIVE }, { cause: "exits_placed" });
                 }
                 return;
               }
@@ -13636,7 +13793,7 @@ class TradeManager {
               if (!shouldMarkLive) {
                 delete patch.status;
               }
-              await updateTrade(tradeId, patch);
+              await updateTrade(tradeId, patch, { cause: "exits_placed" });
               return;
             }
           }
@@ -13658,7 +13815,7 @@ class TradeManager {
                 { reason: msg, source: "target" },
               );
               if (shouldMarkLive) {
-                await updateTrade(tradeId, { status: STATUS.LIVE });
+                await updateTrade(tradeId, { status: STATUS.LIVE }, { cause: "exits_placed" });
               }
               return;
             }
@@ -13686,13 +13843,13 @@ class TradeManager {
             if (!shouldMarkLive) {
               delete patch.status;
             }
-            await updateTrade(tradeId, patch);
+            await updateTrade(tradeId, patch, { cause: "exits_placed" });
             return;
           }
         }
       }
       if (shouldMarkLive) {
-        await updateTrade(tradeId, { status: STATUS.LIVE });
+        await updateTrade(tradeId, { status: STATUS.LIVE }, { cause: "exits_placed" });
       }
     } finally {
       this.exitPlacementLocks.delete(tradeId);
@@ -13789,7 +13946,7 @@ class TradeManager {
           "",
       ),
       exitOrderRole: "TARGET",
-    });
+    }, { cause: "target_filled" });
     await recordExitFill({
       dateKey: todayKey(),
       symbol: this._executionMetricSymbol(trade),
@@ -13887,7 +14044,7 @@ class TradeManager {
         slOrder?.order_id || slOrder?.orderId || trade?.slOrderId || "",
       ),
       exitOrderRole: "SL",
-    });
+    }, { cause: "sl_filled" });
     await recordExitFill({
       dateKey: todayKey(),
       symbol: this._executionMetricSymbol(trade),
@@ -13949,7 +14106,7 @@ class TradeManager {
     await updateTrade(trade.tradeId, {
       status: STATUS.GUARD_FAILED,
       closeReason: reason,
-    });
+    }, { cause: "guard_fail" });
     await upsertDailyRisk(todayKey(), {
       kill: true,
       reason,
@@ -14206,7 +14363,7 @@ class TradeManager {
     ];
 
     // Fee-multiple scoring (grossPnL / estimated costs) — helps tune to beat charges.
-    if (t && [STATUS.EXITED_TARGET, STATUS.EXITED_SL].includes(t.status)) {
+    if (t && !t.structure && [STATUS.EXITED_TARGET, STATUS.EXITED_SL].includes(t.status)) {
       try {
         await this._computeAndPersistFeeMultiple(tradeId);
       } catch (err) { reportFault({ code: "TRADING_TRADEMANAGER_CATCH", err, message: "[src/trading/tradeManager.js] caught and continued" }); }
@@ -14220,21 +14377,21 @@ class TradeManager {
       await updateTrade(tradeId, {
         status: STATUS.CLOSED,
         closedAt: new Date(),
-      });
+      }, { cause: "finalized" });
     }
+    if (t) await this.gtt.cancel(t, "trade_closed");
 
     // Track last closed trade briefly (helps detect OCO races that flip positions after close)
     try {
       this.lastClosedTradeId = tradeId;
       this.lastClosedToken = Number(instrument_token);
       this.lastClosedAt = Date.now();
+      this._recentlyClosedAt.set(String(tradeId), this.lastClosedAt);
     } catch (err) { reportFault({ code: "TRADING_TRADEMANAGER_CATCH", err, message: "[src/trading/tradeManager.js] caught and continued" }); }
 
-    this.activeTradeId = null;
-    this._entryInFlight = false;
-    this.recoveredPosition = null;
-    this._activeTradeToken = null;
-    this._activeTradeSide = null;
+    this._releaseActiveTrade(tradeId);
+    this.structures.untrack(tradeId);
+    if (!this.activeTrades.size) this.recoveredPosition = null;
     this._dynExitLastAt.delete(tradeId);
     this._dynExitLastEvalAt.delete(tradeId);
     this._dynExitFailCount.delete(tradeId);
@@ -14246,8 +14403,11 @@ class TradeManager {
     const qty = Number(tradeWithPnl?.qty ?? t?.qty ?? 0);
     const entry = Number(tradeWithPnl?.entryPrice ?? t?.entryPrice ?? 0);
     const exit = Number(tradeWithPnl?.exitPrice ?? t?.exitPrice ?? 0);
-    const pnl =
-      qty > 0 && entry > 0 && exit > 0
+    // Structures book their own PnL: net leg prices can be a credit (< 0).
+    const structurePnl = Number(tradeWithPnl?.structure?.pnlInr ?? NaN);
+    const pnl = Number.isFinite(structurePnl)
+      ? structurePnl
+      : qty > 0 && entry > 0 && exit > 0
         ? String(tradeWithPnl?.side || t?.side || "BUY").toUpperCase() === "BUY"
           ? (exit - entry) * qty
           : (entry - exit) * qty
@@ -14351,9 +14511,12 @@ class TradeManager {
   }
 
   async status() {
-    const active = this.activeTradeId
-      ? await getTrade(this.activeTradeId)
-      : null;
+    const activeTrades = [];
+    for (const tradeId of this._activeTradeIds()) {
+      const trade = await getTrade(tradeId);
+      if (trade) activeTrades.push(trade);
+    }
+    const active = activeTrades.length ? activeTrades[activeTrades.length - 1] : null;
     const risk = await getDailyRisk(todayKey());
     return {
       instanceId: this.instanceId,
@@ -14365,6 +14528,14 @@ class TradeManager {
       tradesToday: this.risk.tradesToday,
       activeTradeId: this.activeTradeId,
       activeTrade: active,
+      activeTradeIds: this._activeTradeIds(),
+      activeTrades,
+      protection: activeTrades.map((t) => this.gtt.describe(t)),
+      gttProtection: {
+        enabled: this.gtt.enabled(),
+        scope: String(env.GTT_PROTECTION_SCOPE || "CARRY").toUpperCase(),
+      },
+      maxOpenTrades: this._maxOpenTrades(),
       recoveredPosition: this.recoveredPosition,
       dailyRisk: risk,
       dailyRiskState: risk?.state || "RUNNING",
@@ -14607,18 +14778,6 @@ function avgNum(arr) {
   return xs.reduce((a, b) => a + b, 0) / xs.length;
 }
 
-function emaLast(values, period) {
-  const p = Math.max(1, Number(period ?? 1));
-  const xs = values.map((n) => Number(n)).filter((n) => Number.isFinite(n));
-  if (xs.length < p) return NaN;
-  const k = 2 / (p + 1);
-  let ema = avgNum(xs.slice(0, p));
-  for (let i = p; i < xs.length; i++) {
-    ema = xs[i] * k + ema * (1 - k);
-  }
-  return ema;
-}
-
 function atrLast(candles, period = 14) {
   const p = Math.max(1, Number(period ?? 14));
   if (!Array.isArray(candles) || candles.length < p + 2) return NaN;
@@ -0,0 +1,262 @@
+const { DateTime } = require("luxon");
+const { env } = require("../config");
+const { getDb } = require("../db");
+const { normalizeTradeRow } = require("./tradeNormalization");
+const { STATUS, TERMINAL } = require("./tradeStateMachine");
+const {
+  TRADES,
+  getTrade,
+  getOrderLinksByTradeId,
+  getOrderLogs,
+  getLiveOrderSnapshotsByTradeIds,
+} = require("./tradeStore");
+const { getOrderHistory } = require("./orderService");
+const { pnlForTrade } = require("../reports/eodReport");
+const { normalizeTags, getJournal, getJournalsByTradeIds, findTradeIdsByTags } = require("./tradeJournal");
+
+/**
+ * Read side of the trades collection for the admin API:
+ * - getTradeDetail(): one trade with its orders, order logs, live snapshots,
+ *   fills, SL/target adjustments, costs vs. contract note, originating signal
+ *   and status journal;
+ * - searchTrades(): paginated trade list filtered by day range, strategy,
+ *   underlying, outcome, exit reason, config version and journal tags.
+ *
+ * Outcome follows the EOD report: WIN / LOSS / FLAT on gross PnL (pnlForTrade,
+ * which reads structure.pnlInr for multi-leg trades), OPEN while the trade is
+ * not in a terminal status.
+ */
+
+const OUTCOMES = new Set(["WIN", "LOSS", "FLAT", "OPEN"]);
+const OPEN_STATUSES = Object.values(STATUS).filter((s) => !TERMINAL.has(s));
+// Heavy per-trade arrays only the detail view returns.
+const LIST_PROJECTION = { statusJournal: 0, decisionTrail: 0, exitAdjustments: 0, regimeMeta: 0 };
+
+function n(v) {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : null;
+}
+
+function tradeOutcome(t) {
+  if (!TERMINAL.has(String(t?.status || ""))) return "OPEN";
+  const pnl = pnlForTrade(t);
+  if (pnl === null) return "FLAT";
+  return pnl > 0 ? "WIN" : pnl < 0 ? "LOSS" : "FLAT";
+}
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function dayStart(day, label) {
+  const tz = env.CANDLE_TZ || "Asia/Kolkata";
+  const dt = /^\d{4}-\d{2}-\d{2}$/.test(String(day)) ? DateTime.fromISO(String(day), { zone: tz }) : null;
+  if (!dt?.isValid) throw new Error(`invalid ${label} (expected YYYY-MM-DD)`);
+  return dt.startOf("day");
+}
+
+/**
+ * Builds the Mongo filter for a trade search. Throws on malformed input.
+ * `from` / `to` are inclusive trading days (CANDLE_TZ) on createdAt. Journal
+ * tags live in another collection, so `tag` is only validated here and
+ * resolved to trade ids by searchTrades().
+ */
+function buildTradeSearchFilter({ from, to, strategyId, underlying, outcome, exitReason, status, tag, configVersion } = {}) {
+  if (tag) normalizeTags(tag);
+  const and = [];
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = dayStart(from, "from").toJSDate();
+    if (to) range.$lt = dayStart(to, "to").plus({ days: 1 }).toJSDate();
+    and.push({ createdAt: range });
+  }
+  if (strategyId) and.push({ strategyId: String(strategyId) });
+  if (underlying) {
+    const u = String(underlying).toUpperCase();
+    and.push({
+      $or: [
+        { "signalSnapshot.underlying": u },
+        { "option_meta.underlying": u },
+        { "instrument.name": u },
+        { "instrument.tradingsymbol": u },
+      ],
+    });
+  }
+  if (outcome) {
+    const o = String(outcome).toUpperCase();
+    if (!OUTCOMES.has(o)) throw new Error(`invalid outcome (expected ${Array.from(OUTCOMES).join("|")})`);
+    if (o === "OPEN") and.push({ status: { $in: OPEN_STATUSES } });
+    else {
+      and.push({ status: { $in: Array.from(TERMINAL) } });
+      // Structures keep their PnL in structure.pnlInr (see pnlForTrade).
+      const pnlIs = (cond) => ({ $or: [{ pnlGrossInr: cond }, { pnlGrossInr: null, "structure.pnlInr": cond }] });
+      if (o === "WIN") and.push(pnlIs({ $gt: 0 }));
+      else if (o === "LOSS") and.push(pnlIs({ $lt: 0 }));
+      else {
+        and.push({
+          $or: [
+            { pnlGrossInr: 0 },
+            { pnlGrossInr: null, "structure.pnlInr": 0 },
+            { pnlGrossInr: null, "structure.pnlInr": null },
+          ],
+        });
+      }
+    }
+  }
+  if (exitReason) {
+    const r = String(exitReason).toUpperCase();
+    // closeReason carries detail after the code ("TARGET_HIT | ...").
+    and.push({ $or: [{ exitReason: r }, { closeReason: { $regex: `^${escapeRegex(r)}` } }] });
+  }
+  if (status) and.push({ status: String(status).toUpperCase() });
+  if (configVersion !== undefined && configVersion !== null && configVersion !== "") {
+    const v = Number(configVersion);
+    if (!Number.isInteger(v) || v < 1) throw new Error("invalid configVersion (expected a version number)");
+    and.push({ configVersion: v });
+  }
+  return and.length ? { $and: and } : {};
+}
+
+async function searchTrades(query = {}) {
+  let filter = buildTradeSearchFilter(query);
+  if (query.tag) {
+    const ids = await findTradeIdsByTags(query.tag);
+    filter = { $and: [filter, { tradeId: { $in: ids } }] };
+  }
+  const limitRaw = Number(query.limit ?? 25);
+  const limit = Number.isFinite(limitRaw) ? Math.min(100, Math.max(1, Math.floor(limitRaw))) : 25;
+  const pageRaw = Number(query.page ?? 1);
+  const page = Number.isFinite(pageRaw) ? Math.max(1, Math.floor(pageRaw)) : 1;
+
+  const col = getDb().collection(TRADES);
+  const [total, rows] = await Promise.all([
+    col.countDocuments(filter),
+    col
+      .find(filter)
+      .project(LIST_PROJECTION)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+  ]);
+  const journals = await getJournalsByTradeIds(rows.map((r) => r.tradeId));
+  return {
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+    rows: rows.map((row) => ({
+      ...normalizeTradeRow(row),
+      outcome: tradeOutcome(row),
+      journalTags: journals.get(row.tradeId)?.tags || [],
+    })),
+  };
+}
+
+function fillsFromLogs(logs, roleByOrder) {
+  const fills = [];
+  const lastFilled = new Map();
+  // Logs are oldest-first here; each increase in filled quantity is a fill.
+  for (const l of logs) {
+    const p = l.payload || {};
+    const oid = String(l.order_id || "");
+    const filled = n(p.filled_quantity) ?? 0;
+    const prev = lastFilled.get(oid) ?? 0;
+    if (filled > prev) {
+      fills.push({
+        order_id: oid,
+        role: roleByOrder.get(oid) || null,
+        transaction_type: p.transaction_type || null,
+        qty: filled - prev,
+        filledQty: filled,
+        averagePrice: n(p.average_price),
+        status: l.status || p.status || null,
+        ts: p.exchange_timestamp || l.createdAt || null,
+      });
+      lastFilled.set(oid, filled);
+    }
+  }
+  return fills;
+}
+
+function costView(t) {
+  const estimated = n(t.estCostsInr);
+  const actual = n(t.contractNote?.actualChargesInr);
+  return {
+    estimatedAtEntryInr: n(t.estChargesInr),
+    estimatedInr: estimated,
+    breakdown: t.costPayload || null,
+    contractNote: t.contractNote || null,
+    actualInr: actual,
+    diffInr: actual !== null && estimated !== null ? actual - estimated : null,
+    pnlGrossInr: n(t.pnlGrossInr),
+    pnlNetAfterEstCostsInr: n(t.pnlNetAfterEstCostsInr),
+    pnlNetAfterActualCostsInr: actual !== null && n(t.pnlGrossInr) !== null ? n(t.pnlGrossInr) - actual : null,
+  };
+}
+
+/**
+ * Everything known about one trade, or null. With `kite`, each linked order's
+ * broker history is fetched too (one call per order).
+ */
+async function getTradeDetail({ tradeId, kite = null } = {}) {
+  const trade = await getTrade(String(tradeId || ""));
+  if (!trade) return null;
+
+  const [links, logsNewestFirst, snapshots, journal] = await Promise.all([
+    getOrderLinksByTradeId(trade.tradeId),
+    getOrderLogs({ tradeId: trade.tradeId, limit: 500 }),
+    getLiveOrderSnapshotsByTradeIds([trade.tradeId]),
+    getJournal(trade.tradeId),
+  ]);
+  const logs = logsNewestFirst.slice().reverse();
+  const live = snapshots[0]?.byOrderId || {};
+  const roleByOrder = new Map(links.map((l) => [String(l.order_id), l.role || null]));
+
+  const orders = [];
+  for (const l of links) {
+    const oid = String(l.order_id);
+    const row = {
+      order_id: oid,
+      role: l.role || null,
+      linkedAt: l.createdAt || null,
+      live: live[oid] || null,
+      logs: logs.filter((x) => String(x.order_id) === oid).length,
+      history: null,
+    };
+    if (kite) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        row.history = await getOrderHistory({ kite, orderId: oid });
+      } catch (e) {
+        row.historyError = e?.message || String(e);
+      }
+    }
+    orders.push(row);
+  }
+
+  return {
+    trade: { ...normalizeTradeRow(trade), outcome: tradeOutcome(trade) },
+    orders,
+    orderLogs: logs.map((l) => ({
+      order_id: l.order_id,
+      role: roleByOrder.get(String(l.order_id)) || null,
+      status: l.status || null,
+      payload: l.payload || null,
+      createdAt: l.createdAt || null,
+    })),
+    fills: fillsFromLogs(logs, roleByOrder),
+    exitAdjustments: trade.exitAdjustments || [],
+    costs: costView(trade),
+    signal: {
+      ...(trade.signalSnapshot || { strategyId: trade.strategyId || null, side: trade.side || null }),
+      decisionAt: trade.decisionAt || null,
+      candle: trade.candle || null,
+      decisionTrail: trade.decisionTrail || [],
+    },
+    timeline: trade.statusJournal || [],
+    journal,
+  };
+}
+
+module.exports = { getTradeDetail, searchTrades, buildTradeSearchFilter, tradeOutcome };
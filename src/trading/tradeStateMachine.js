@@ -114,6 +114,8 @@ function canTransition(fromStatus, toStatus) {
 
 module.exports = {
   STATUS,
+  ALLOWED_TRANSITIONS,
+  TERMINAL,
   normalizeTradeStatus,
   canTransition,
 };
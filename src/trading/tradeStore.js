@@ -1,7 +1,11 @@
+const { EventEmitter } = require("events");
 const { getDb } = require("../db");
 const { stripCreatedAt } = require("../utils/stripCreatedAt");
 const { logger } = require("../logger");
+const { alert } = require("../alerts/alertService");
 const { canTransition, normalizeTradeStatus } = require("./tradeStateMachine");
+const { getActiveConfigVersion } = require("../runtime/configVersions");
+const { getActiveConfigPreset } = require("../runtime/configPresets");
 
 const TRADES = "trades";
 const ORDER_LINKS = "order_links";
@@ -20,6 +24,7 @@ async function ensureTradeIndexes() {
   await db.collection(TRADES).createIndex({ tradeId: 1 }, { unique: true });
   await db.collection(TRADES).createIndex({ status: 1, updatedAt: -1 });
   await db.collection(TRADES).createIndex({ createdAt: -1, strategyId: 1 });
+  await db.collection(TRADES).createIndex({ configVersion: 1, createdAt: -1 });
   await db
     .collection(ORDER_LINKS)
     .createIndex({ order_id: 1 }, { unique: true });
@@ -58,84 +63,209 @@ async function ensureTradeIndexes() {
     .createIndex({ deadLetteredAt: 1 });
 }
 
+// Per-trade status journal (oldest entries dropped past this).
+const STATUS_JOURNAL_MAX = 200;
+
+/**
+ * Emits "transition" with `{ tradeId, from, to, cause, orderIds, ts, outcome, reason }`
+ * after each journaled status change (outcome "applied", "rejected" or "ignored").
+ */
+const tradeTransitions = new EventEmitter();
+
+// One alert per trade and illegal from->to pair; repeats are only journaled.
+// Bounded (oldest pair evicted first): late postbacks keep hitting closed trades.
+const ALERTED_ILLEGAL_MAX = 1000;
+const alertedIllegal = new Set();
+
+/** True the first time `key` is seen (within the last `max` keys). */
+function markIllegalAlerted(key, max = ALERTED_ILLEGAL_MAX) {
+  if (alertedIllegal.has(key)) return false;
+  alertedIllegal.add(key);
+  while (alertedIllegal.size > max) alertedIllegal.delete(alertedIllegal.values().next().value);
+  return true;
+}
+
+function orderIdsFromPatch(patch) {
+  return Object.entries(patch || {})
+    .filter(([k, v]) => /OrderId$/.test(k) && v !== null && v !== undefined && v !== "")
+    .map(([, v]) => String(v));
+}
+
+function journalEntry({ from, to, cause, orderIds, outcome, reason = null }) {
+  return {
+    from: from || null,
+    to,
+    cause: cause ? String(cause) : null,
+    orderIds: Array.from(new Set((orderIds || []).filter(Boolean).map(String))),
+    ts: new Date(),
+    outcome,
+    reason,
+  };
+}
+
 async function insertTrade(trade) {
   const db = getDb();
-  await db
-    .collection(TRADES)
-    .insertOne({ ...trade, createdAt: new Date(), updatedAt: new Date() });
+  const entry = trade?.status
+    ? journalEntry({
+        to: normalizeTradeStatus(trade.status),
+        cause: "created",
+        orderIds: orderIdsFromPatch(trade),
+        outcome: "applied",
+      })
+    : null;
+  await db.collection(TRADES).insertOne({
+    // Runtime knob snapshot (config_versions) and preset overlay the trade was taken under.
+    configVersion: getActiveConfigVersion(),
+    configPreset: getActiveConfigPreset()?.name ?? null,
+    ...trade,
+    ...(entry ? { statusJournal: [entry] } : {}),
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  });
+  if (entry) tradeTransitions.emit("transition", { tradeId: trade.tradeId, ...entry });
+}
+
+/**
+ * Patches a trade. A patch carrying `status` is a state change and goes
+ * through transitionTrade(); `meta` ({ cause, orderIds }) is journaled with it.
+ */
+async function updateTrade(tradeId, patch, meta = {}) {
+  if (Object.prototype.hasOwnProperty.call(patch || {}, "status")) {
+    const { status, ...rest } = patch;
+    return transitionTrade(tradeId, status, { ...meta, patch: rest });
+  }
+  return writeTrade(tradeId, { ...(patch || {}) });
 }
 
-async function updateTrade(tradeId, patch) {
+/**
+ * The single place a trade's status changes.
+ *
+ * The move is validated against ALLOWED_TRANSITIONS and journaled on the
+ * trade (`statusJournal`) with its cause and the order ids involved; `patch`
+ * is written either way. An illegal move keeps the current status, is
+ * recorded as `statusTransitionError` and alerts. Late ENTRY_FILLED postbacks
+ * on a trade that has moved on only merge their facts.
+ *
+ * `cause` defaults to the patch's closeReason / exitReason; order ids are
+ * collected from `*OrderId` patch fields as well.
+ */
+async function transitionTrade(tradeId, toStatus, { cause, orderIds, patch } = {}) {
   const db = getDb();
   const update = { ...(patch || {}) };
+  const to = normalizeTradeStatus(toStatus);
+  const ids = [...(orderIds || []), ...orderIdsFromPatch(update)];
+  const why = cause ?? update.closeReason ?? update.exitReason ?? null;
+  let entry = null;
 
-  if (Object.prototype.hasOwnProperty.call(update, "status")) {
-    try {
-      const current = await db.collection(TRADES).findOne({ tradeId });
-      const fromStatus = current?.status || null;
-      const toStatus = normalizeTradeStatus(update.status);
-
-      // Broker order postbacks can arrive out of order.
-      // Ignore late ENTRY_FILLED updates once a trade already has SL/LIVE state.
-      const staleEntryFill =
-        toStatus === "ENTRY_FILLED" &&
-        [
-          "SL_PLACED",
-          "SL_OPEN",
-          "SL_CONFIRMED",
-          "LIVE",
-          "EXIT_PLACED",
-          "EXIT_OPEN",
-          "EXIT_PARTIAL",
-          "EXIT_FILLED",
-          "PANIC_EXIT_PLACED",
-          "PANIC_EXIT_CONFIRMED",
-          "RECOVERY_REHYDRATED",
-          "EXITED_TARGET",
-          "EXITED_SL",
-          "GUARD_FAILED",
-          "CLOSED",
-        ].includes(normalizeTradeStatus(fromStatus));
-      if (staleEntryFill) {
-        const mergedFactKeys = ["entryPrice", "qty", "entryFilledAt", "entry"].filter(
-          (k) => Object.prototype.hasOwnProperty.call(update, k),
-        );
-        logger.info(
-          { tradeId, fromStatus, toStatus, mergedFactKeys },
-          "[trade] stale ENTRY_FILLED status ignored, facts merged",
-        );
-        delete update.status;
+  try {
+    const current = await db.collection(TRADES).findOne({ tradeId });
+    const fromStatus = current?.status || null;
+
+    // Broker order postbacks can arrive out of order.
+    // Ignore late ENTRY_FILLED updates once a trade already has SL/LIVE state.
+    const staleEntryFill =
+      to === "ENTRY_FILLED" &&
+      [
+        "SL_PLACED",
+        "SL_OPEN",
+        "SL_CONFIRMED",
+        "LIVE",
+        "EXIT_PLACED",
+        "EXIT_OPEN",
+        "EXIT_PARTIAL",
+        "EXIT_FILLED",
+        "PANIC_EXIT_PLACED",
+        "PANIC_EXIT_CONFIRMED",
+        "RECOVERY_REHYDRATED",
+        "EXITED_TARGET",
+        "EXITED_SL",
+        "GUARD_FAILED",
+        "CLOSED",
+      ].includes(normalizeTradeStatus(fromStatus));
+    const validation = canTransition(fromStatus, to);
+
+    if (staleEntryFill) {
+      const mergedFactKeys = ["entryPrice", "qty", "entryFilledAt", "entry"].filter(
+        (k) => Object.prototype.hasOwnProperty.call(update, k),
+      );
+      logger.info(
+        { tradeId, fromStatus, toStatus: to, mergedFactKeys },
+        "[trade] stale ENTRY_FILLED status ignored, facts merged",
+      );
+      entry = journalEntry({ from: fromStatus, to, cause: why, orderIds: ids, outcome: "ignored", reason: "STALE_ENTRY_FILL" });
+    } else if (!validation.ok) {
+      logger.error(
+        { tradeId, fromStatus, toStatus: to, reason: validation.reason, cause: why },
+        "[trade] invalid status transition blocked",
+      );
+      update.statusTransitionError = {
+        from: fromStatus,
+        to,
+        reason: validation.reason,
+        ts: new Date(),
+      };
+      entry = journalEntry({ from: fromStatus, to, cause: why, orderIds: ids, outcome: "rejected", reason: validation.reason });
+    } else {
+      update.status = to;
+      if (validation.reason !== "NOOP") {
+        entry = journalEntry({ from: fromStatus, to, cause: why, orderIds: ids, outcome: "applied" });
       }
+    }
+  } catch (e) {
+    update.status = to;
+    logger.warn(
+      { tradeId, e: e?.message || String(e) },
+      "[trade] status transition validation skipped",
+    );
+  }
 
-      const validation = canTransition(fromStatus, toStatus);
-
-      if (!staleEntryFill && !validation.ok) {
-        logger.error(
-          { tradeId, fromStatus, toStatus, reason: validation.reason },
-          "[trade] invalid status transition blocked",
-        );
-        delete update.status;
-        update.statusTransitionError = {
-          from: fromStatus,
-          to: toStatus,
-          reason: validation.reason,
-          ts: new Date(),
-        };
-      } else if (!staleEntryFill) {
-        update.status = toStatus;
-      }
-    } catch (e) {
-      logger.warn(
-        { tradeId, e: e?.message || String(e) },
-        "[trade] status transition validation skipped",
-      );
+  const result = await writeTrade(tradeId, update, entry);
+  if (entry) {
+    tradeTransitions.emit("transition", { tradeId, ...entry });
+    const key = `${tradeId}|${entry.from}|${entry.to}`;
+    if (entry.outcome === "rejected" && markIllegalAlerted(key)) {
+      alert("error", "⛔ Illegal trade transition blocked", {
+        tradeId,
+        from: entry.from,
+        to: entry.to,
+        reason: entry.reason,
+        cause: entry.cause,
+      }).catch((err) => logger.warn({ tradeId, e: err?.message || String(err) }, "[trade] transition alert failed"));
     }
   }
+  return result;
+}
+
+// Per-trade stop/target modification history (oldest entries dropped past this).
+const EXIT_ADJUSTMENTS_MAX = 200;
+
+/**
+ * Records one stop/target modification on the trade's `exitAdjustments`:
+ * `{ kind: "SL"|"TARGET", from, to, reason, source, orderId, meta }`.
+ */
+async function appendExitAdjustment(tradeId, { kind, from, to, reason, source, orderId, meta } = {}) {
+  const db = getDb();
+  const entry = {
+    kind: String(kind || "SL").toUpperCase(),
+    from: Number.isFinite(Number(from)) && Number(from) > 0 ? Number(from) : null,
+    to: Number(to),
+    reason: reason ? String(reason) : null,
+    source: source ? String(source) : null,
+    orderId: orderId ? String(orderId) : null,
+    meta: meta || null,
+    ts: new Date(),
+  };
+  await db
+    .collection(TRADES)
+    .updateOne({ tradeId }, { $push: { exitAdjustments: { $each: [entry], $slice: -EXIT_ADJUSTMENTS_MAX } } });
+  return entry;
+}
 
-  const runUpdate = () =>
-    db
-      .collection(TRADES)
-      .updateOne({ tradeId }, { $set: { ...update, updatedAt: new Date() } });
+async function writeTrade(tradeId, update, entry = null) {
+  const db = getDb();
+  const ops = { $set: { ...update, updatedAt: new Date() } };
+  if (entry) ops.$push = { statusJournal: { $each: [entry], $slice: -STATUS_JOURNAL_MAX } };
+  const runUpdate = () => db.collection(TRADES).updateOne({ tradeId }, ops);
 
   let result;
   try {
@@ -178,6 +308,24 @@ async function getTrade(tradeId) {
   return db.collection(TRADES).findOne({ tradeId });
 }
 
+/** Status journal of one trade, oldest first, or null if there is no such trade. */
+async function getTradeTimeline(tradeId) {
+  const db = getDb();
+  const trade = await db.collection(TRADES).findOne(
+    { tradeId },
+    { projection: { tradeId: 1, status: 1, statusJournal: 1, statusTransitionError: 1, createdAt: 1, updatedAt: 1 } },
+  );
+  if (!trade) return null;
+  return {
+    tradeId: trade.tradeId,
+    status: trade.status || null,
+    createdAt: trade.createdAt || null,
+    updatedAt: trade.updatedAt || null,
+    lastTransitionError: trade.statusTransitionError || null,
+    rows: Array.isArray(trade.statusJournal) ? trade.statusJournal : [],
+  };
+}
+
 async function getActiveTrades() {
   const db = getDb();
   return db
@@ -216,6 +364,11 @@ async function linkOrder({ order_id, tradeId, role }) {
   );
 }
 
+async function getOrderLinksByTradeId(tradeId) {
+  const db = getDb();
+  return db.collection(ORDER_LINKS).find({ tradeId: String(tradeId) }).sort({ createdAt: 1 }).toArray();
+}
+
 async function findTradeByOrder(order_id) {
   const db = getDb();
   const link = await db.collection(ORDER_LINKS).findOne({ order_id });
@@ -399,11 +552,17 @@ module.exports = {
   COST_CALIBRATION,
   COST_RECONCILIATIONS,
   ensureTradeIndexes,
+  STATUS_JOURNAL_MAX,
+  tradeTransitions,
   insertTrade,
   updateTrade,
+  transitionTrade,
   getTrade,
+  getTradeTimeline,
   getActiveTrades,
+  appendExitAdjustment,
   linkOrder,
+  getOrderLinksByTradeId,
   findTradeByOrder,
   saveOrphanOrderUpdate,
   popOrphanOrderUpdates,
@@ -416,4 +575,6 @@ module.exports = {
   getDailyRisk,
   upsertRiskState,
   getRiskState,
+  __markIllegalAlertedForTests: markIllegalAlerted,
+  __alertedIllegalSizeForTests: () => alertedIllegal.size,
 };
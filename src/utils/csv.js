@@ -99,7 +99,25 @@ function parseCsvToObjects(text) {
   return out;
 }
 
+function escapeCsvField(v) {
+  if (v === null || v === undefined) return "";
+  const s = v instanceof Date ? v.toISOString() : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Objects -> CSV text. Columns default to the keys of the first row.
+function toCsv(rows, columns = null) {
+  const list = Array.isArray(rows) ? rows : [];
+  const cols = columns || (list.length ? Object.keys(list[0]) : []);
+  const lines = [cols.map(escapeCsvField).join(",")];
+  for (const r of list) {
+    lines.push(cols.map((c) => escapeCsvField(r?.[c])).join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
 module.exports = {
   parseCsvRows,
   parseCsvToObjects,
+  toCsv,
 };
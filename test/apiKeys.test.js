@@ -0,0 +1,149 @@
+jest.mock("../src/db", () => require("./helpers/memoryDbMock"));
+jest.mock("../src/alerts/alertService", () => ({ alert: jest.fn().mockResolvedValue(undefined) }));
+
+const { env } = require("../src/config");
+const {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey,
+} = require("../src/security/apiKeys");
+const { normalizePermissions, hasPermission, effectivePermissions } = require("../src/security/permissions");
+const { buildRbac } = require("../src/security/rbac");
+const { buildApp } = require("../src/app");
+const { listAuditLogs } = require("../src/audit/auditLog");
+
+const SHARED = "shared-admin-key-123";
+
+describe("api keys and rbac", () => {
+  const { mockDb } = require("../src/db");
+  const savedConfig = { ...env };
+
+  beforeEach(() => {
+    mockDb.reset();
+    Object.assign(env, { ADMIN_API_KEY: SHARED, NODE_ENV: "test", RBAC_ENABLED: "false" });
+  });
+
+  afterAll(() => {
+    Object.assign(env, savedConfig);
+  });
+
+  test("permission grants: wildcards, legacy names and unknown permissions", () => {
+    expect(normalizePermissions(["admin", "trade", "db:purge", "db:purge"])).toEqual(["*", "trade:*", "db:purge"]);
+    expect(() => normalizePermissions(["db:drop"])).toThrow(/unknown permission db:drop/);
+    expect(hasPermission(["trade:*"], "trade:kill")).toBe(true);
+    expect(hasPermission(["trade:*"], "config:write")).toBe(false);
+    expect(hasPermission(["*"], "keys:manage")).toBe(true);
+    expect(effectivePermissions("viewer", ["trade:kill"])).toEqual(["read", "trade:kill"]);
+  });
+
+  test("keys are hashed at rest, scoped, and stop working when expired or revoked", async () => {
+    const { key, apiKey } = await createApiKey({ user: "alice", role: "trader", permissions: ["risk:write"], ttlDays: 7 });
+    expect(key).toMatch(/^ksk_[0-9a-f]{12}_/);
+    const stored = await mockDb.collection("api_keys").findOne({ keyId: apiKey.keyId });
+    expect(stored.hash).toHaveLength(64);
+    expect(JSON.stringify(stored)).not.toContain(key.split("_")[2]);
+    expect(apiKey.hash).toBeUndefined();
+    expect(new Date(apiKey.expiresAt).getTime()).toBeGreaterThan(Date.now() + 6 * 86400000);
+
+    const ok = await authenticateApiKey(key);
+    expect(ok.principal).toMatchObject({ actor: "alice", role: "trader", via: "api_key" });
+    expect(ok.principal.permissions).toEqual(["read", "trade:*", "risk:write"]);
+    expect(await authenticateApiKey(`${key.slice(0, -1)}x`)).toEqual({ reason: "unknown_key" });
+    expect(await authenticateApiKey("nope")).toEqual({ reason: "malformed" });
+
+    await mockDb.collection("api_keys").updateOne({ keyId: apiKey.keyId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    expect(await authenticateApiKey(key)).toMatchObject({ reason: "expired" });
+
+    const other = await createApiKey({ user: "bob", role: "viewer", ttlDays: 0 });
+    expect(other.apiKey.expiresAt).toBeNull();
+    expect(await revokeApiKey(other.apiKey.keyId, { actor: "lead", reason: "left team" })).toMatchObject({
+      status: "revoked",
+      revokedBy: "lead",
+    });
+    expect(await authenticateApiKey(other.key)).toMatchObject({ reason: "revoked" });
+    expect(await revokeApiKey("000000000000")).toBeNull();
+
+    expect((await listApiKeys()).map((k) => k.user)).toEqual(["alice"]);
+    const all = await listApiKeys({ includeRevoked: true });
+    expect(all.map((k) => [k.user, k.status]).sort()).toEqual([
+      ["alice", "expired"],
+      ["bob", "revoked"],
+    ]);
+
+    await expect(createApiKey({ user: "carol", role: "root" })).rejects.toMatchObject({ code: "API_KEY_INVALID" });
+    const trader = (await authenticateApiKey((await createApiKey({ user: "t", role: "trader" })).key)).principal;
+    await expect(createApiKey({ user: "eve", role: "admin", grantor: trader })).rejects.toMatchObject({
+      code: "API_KEY_FORBIDDEN",
+    });
+  });
+
+  test("principal resolution: shared key, user key, missing key and open dev mode", async () => {
+    const rbac = buildRbac();
+    const { key } = await createApiKey({ user: "alice", role: "viewer" });
+
+    expect((await rbac.resolvePrincipal({ "x-api-key": SHARED })).principal).toMatchObject({
+      actor: "admin-key",
+      permissions: ["*"],
+    });
+    expect((await rbac.resolvePrincipal({ authorization: `Bearer ${key}` })).principal.actor).toBe("alice");
+    expect(await rbac.resolvePrincipal({ "x-role": "admin" })).toMatchObject({ status: 401, reason: "missing_key" });
+
+    delete env.ADMIN_API_KEY;
+    expect((await rbac.resolvePrincipal({ "x-user": "dev" })).principal).toMatchObject({ actor: "dev", via: "open" });
+    expect(await rbac.resolvePrincipal({ "x-api-key": "bad" })).toMatchObject({ status: 401 });
+    env.NODE_ENV = "production";
+    expect(await rbac.resolvePrincipal({})).toMatchObject({ status: 401 });
+    env.NODE_ENV = "test";
+    env.RBAC_ENABLED = "true";
+    expect((await buildRbac().resolvePrincipal({})).principal.permissions).toEqual(["read"]);
+  });
+
+  test("admin routes enforce scopes and audit the caller as actor", async () => {
+    const server = buildApp().listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const call = (path, key, { method = "GET", body } = {}) =>
+      fetch(`${base}${path}`, {
+        method,
+        headers: { "x-api-key": key, "content-type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+      }).then(async (r) => ({ status: r.status, body: await r.json() }));
+
+    try {
+      const created = await call("/admin/auth/keys", SHARED, {
+        method: "POST",
+        body: { user: "ops", role: "viewer", permissions: ["keys:manage"] },
+      });
+      expect(created.status).toBe(200);
+      const opsKey = created.body.key;
+
+      const who = await call("/admin/auth/whoami", opsKey);
+      expect(who.body.principal).toMatchObject({ actor: "ops", role: "viewer" });
+
+      const kill = await call("/admin/kill", opsKey, { method: "POST", body: { enabled: true } });
+      expect(kill).toMatchObject({ status: 403, body: { error: "forbidden", permission: "trade:kill" } });
+      const purge = await call("/admin/db/purge", opsKey, { method: "POST", body: {} });
+      expect(purge.body.permission).toBe("db:purge");
+
+      const escalate = await call("/admin/auth/keys", opsKey, { method: "POST", body: { user: "x", role: "admin" } });
+      expect(escalate.status).toBe(403);
+
+      const keyId = created.body.apiKey.keyId;
+      expect((await call(`/admin/auth/keys/${keyId}/revoke`, opsKey, { method: "POST", body: { reason: "done" } })).status).toBe(200);
+      expect((await call("/admin/auth/whoami", opsKey)).status).toBe(401);
+      expect((await call("/admin/status", "wrong")).status).toBe(401);
+
+      const audit = await listAuditLogs({ limit: 20 });
+      expect(audit.map((a) => [a.action, a.actor, a.status])).toEqual(
+        expect.arrayContaining([
+          ["api_key_create", "admin-key", "ok"],
+          ["api_key_create", "ops", "error"],
+          ["api_key_revoke", "ops", "ok"],
+        ]),
+      );
+      expect(JSON.stringify(audit)).not.toContain(opsKey);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
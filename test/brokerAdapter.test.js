@@ -0,0 +1,136 @@
+jest.mock("kiteconnect", () => {
+  const { EventEmitter } = require("events");
+  class KiteConnect {
+    constructor(opts) {
+      this.opts = opts;
+    }
+    setAccessToken(t) {
+      this.accessToken = t;
+    }
+    async getPositions() {
+      return { net: [{ instrument_token: 1, quantity: 0 }] };
+    }
+    async placeOrder() {
+      return { order_id: "1" };
+    }
+    async modifyOrder() {}
+    async cancelOrder() {}
+    async getOrders() {
+      return [];
+    }
+    async getOrderHistory() {
+      return [];
+    }
+    async getMargins() {
+      return {};
+    }
+    async orderMargins() {
+      return [];
+    }
+    async orderBasketMargins() {
+      return {};
+    }
+    async getQuote() {
+      return {};
+    }
+    async getLTP() {
+      return {};
+    }
+    async getInstruments() {
+      return [];
+    }
+    async getHistoricalData() {
+      return [];
+    }
+  }
+  class KiteTicker extends EventEmitter {
+    constructor(opts) {
+      super();
+      this.opts = opts;
+      this.modeFull = "full";
+      this.modeQuote = "quote";
+      this.modeLTP = "ltp";
+      this.setMode = jest.fn();
+    }
+    autoReconnect() {}
+  }
+  return { KiteConnect, KiteTicker };
+});
+
+describe("broker adapters", () => {
+  const wait = (ms = 5) => new Promise((r) => setTimeout(r, ms));
+  const waitFor = async (cond, timeoutMs = 1000) => {
+    const until = Date.now() + timeoutMs;
+    while (!cond() && Date.now() < until) await wait();
+  };
+
+  test("the kite adapter delegates REST calls and maps stream modes", async () => {
+    const { createBrokerAdapter } = require("../src/broker");
+    const adapter = createBrokerAdapter({ name: "kite", apiKey: "k", accessToken: "t" });
+    expect(adapter.name).toBe("kite");
+    expect(adapter.capabilities).toMatchObject({ orders: true, basketMargins: true, streaming: true });
+    expect(adapter.client.accessToken).toBe("t");
+    await expect(adapter.getPositions()).resolves.toEqual({ net: [{ instrument_token: 1, quantity: 0 }] });
+
+    const stream = adapter.createStream();
+    stream.setMode("quote", [1, 2]);
+    expect(stream.ticker.setMode).toHaveBeenCalledWith("quote", [1, 2]);
+    expect(() => stream.setMode("depth", [1])).toThrow(/unknown stream mode/);
+
+    const seen = [];
+    stream.on("ticks", (t) => seen.push(t));
+    stream.off("ticks");
+    stream.ticker.emit("ticks", [{ instrument_token: 1 }]);
+    expect(seen).toEqual([]);
+  });
+
+  test("the sim adapter matches orders on pushed ticks and streams order updates", async () => {
+    const { createBrokerAdapter } = require("../src/broker");
+    const adapter = createBrokerAdapter({
+      name: "sim",
+      instruments: [{ instrument_token: 101, exchange: "NSE", tradingsymbol: "ABC", tick_size: 0.05 }],
+      marketData: {},
+      cfg: { PAPER_LATENCY_MS: 0, PAPER_SLIPPAGE_BPS: 0, PAPER_SPREAD_BPS: 0, PAPER_STARTING_CASH: 100000 },
+    });
+    expect(adapter.capabilities).toMatchObject({ orders: true, positions: true, quotes: true, basketMargins: false, gtt: true });
+
+    const stream = adapter.createStream();
+    const ticks = [];
+    const updates = [];
+    stream.on("ticks", (t) => ticks.push(...t));
+    stream.on("order_update", (o) => updates.push(o.status));
+    await stream.connect();
+    stream.subscribe([101]);
+    stream.setMode("ltp", [101]);
+
+    expect(adapter.pushTicks([{ instrument_token: 101, last_price: 100 }, { instrument_token: 202, last_price: 5 }])).toBe(1);
+    expect(ticks).toEqual([{ instrument_token: 101, last_price: 100, mode: "ltp", tradable: undefined }]);
+
+    const { order_id: id } = await adapter.placeOrder("regular", {
+      exchange: "NSE",
+      tradingsymbol: "ABC",
+      transaction_type: "BUY",
+      quantity: 10,
+      order_type: "MARKET",
+      product: "MIS",
+    });
+    await waitFor(() => updates.length >= 2);
+    expect(updates).toEqual(["OPEN", "COMPLETE"]);
+    expect((await adapter.getOrderHistory(id)).at(-1)).toMatchObject({ status: "COMPLETE", filled_quantity: 10 });
+    expect((await adapter.getPositions()).net[0]).toMatchObject({ instrument_token: 101, quantity: 10 });
+    expect(await adapter.getLTP(["NSE:ABC"])).toEqual({ "NSE:ABC": { instrument_token: 101, last_price: 100 } });
+  });
+
+  test("the registry rejects unknown names and adapters missing required methods", () => {
+    const { createBrokerAdapter, registerBrokerAdapter, listBrokerAdapters } = require("../src/broker");
+    const { BrokerAdapter } = require("../src/broker/brokerAdapter");
+    expect(() => createBrokerAdapter({ name: "nope" })).toThrow(/unknown BROKER_ADAPTER "nope" \(known: kite, sim\)/);
+
+    registerBrokerAdapter("halfbroker", () => new BrokerAdapter({ name: "halfbroker", client: { getPositions() {} } }));
+    expect(listBrokerAdapters()).toContain("halfbroker");
+    expect(() => registerBrokerAdapter("halfbroker", () => null)).toThrow(/already registered/);
+    expect(() => createBrokerAdapter({ name: "halfbroker" })).toThrow(
+      /"halfbroker" is missing: placeOrder, modifyOrder, cancelOrder, getOrders, getOrderHistory, getQuote, getLTP, getInstruments, getMargins/,
+    );
+  });
+});
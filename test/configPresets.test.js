@@ -0,0 +1,147 @@
+jest.mock("../src/db", () => require("./helpers/memoryDbMock"));
+jest.mock("../src/alerts/alertService", () => ({ alert: jest.fn().mockResolvedValue(undefined) }));
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DateTime } = require("luxon");
+const { env } = require("../src/config");
+const {
+  loadConfigPresets,
+  selectConfigPreset,
+  getNextPresetBoundary,
+  applyScheduledConfigPreset,
+  revertConfigPreset,
+  getActiveConfigPreset,
+  describeConfigPresets,
+} = require("../src/runtime/configPresets");
+const { reloadMarketCalendar } = require("../src/market/marketCalendar");
+const { insertTrade, getTrade } = require("../src/trading/tradeStore");
+const { listAuditLogs } = require("../src/audit/auditLog");
+const { alert } = require("../src/alerts/alertService");
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), "presets-"));
+const FILE = path.join(DIR, "config_presets.json");
+const ist = (iso) => DateTime.fromISO(iso, { zone: "Asia/Kolkata" });
+
+const PRESETS = [
+  {
+    name: "opening",
+    priority: 5,
+    knobs: { MIN_SIGNAL_CONFIDENCE: 80 },
+    when: { weekdays: ["MON", "TUE", "WED", "THU", "FRI"], from: "09:15", to: "09:45" },
+  },
+  { name: "expiry_pm", priority: 10, knobs: { MAX_TRADES_PER_DAY: 3 }, when: { expiryDay: true, from: "13:00" } },
+  { name: "special", priority: 20, knobs: { MAX_TRADES_PER_DAY: 2 }, when: { specialSession: true } },
+  { name: "bad_time", knobs: { MAX_TRADES_PER_DAY: 1 }, when: { from: "9am" } },
+  { name: "bad_knob", knobs: { STOP_NEW_ENTRIES_AFTER: "15:45" } },
+  { name: "unknown_knob", knobs: { NOT_A_KNOB: 1 } },
+];
+
+describe("config presets", () => {
+  const { mockDb } = require("../src/db");
+  const savedEnv = { ...process.env };
+  const savedConfig = { ...env };
+
+  beforeAll(() => {
+    fs.writeFileSync(FILE, JSON.stringify({ presets: PRESETS }));
+    Object.assign(env, {
+      CONFIG_PRESETS_FILE: FILE,
+      HOLIDAY_CALENDAR_ENABLED: "true",
+      HOLIDAY_CALENDAR_LOG: "false",
+      HOLIDAY_CALENDAR_FILE: "config/market_calendar.json",
+      SPECIAL_SESSIONS_ENABLED: "true",
+    });
+    reloadMarketCalendar();
+    loadConfigPresets({ force: true });
+  });
+
+  beforeEach(async () => {
+    mockDb.reset();
+    await revertConfigPreset("test_reset");
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = savedEnv;
+    Object.assign(env, savedConfig);
+    reloadMarketCalendar();
+    fs.rmSync(DIR, { recursive: true, force: true });
+  });
+
+  test("loads valid presets and reports broken ones", () => {
+    const { presets, errors } = loadConfigPresets();
+    expect(presets.map((p) => p.name)).toEqual(["opening", "expiry_pm", "special"]);
+    expect(errors.map((e) => e.preset)).toEqual(["bad_time", "bad_knob", "unknown_knob"]);
+    expect(errors[1].message).toMatch(/FORCE_FLATTEN_AT/);
+  });
+
+  test("matches weekday, window, expiry day and special sessions by priority", () => {
+    const expiries = ["2026-01-27", "2026-02-03"];
+    expect(selectConfigPreset(ist("2026-01-26T09:20:00"))?.name).toBe("opening"); // Monday
+    expect(selectConfigPreset(ist("2026-01-26T09:45:00"))).toBeNull(); // window end is exclusive
+    expect(selectConfigPreset(ist("2026-01-24T09:20:00"))).toBeNull(); // Saturday
+    expect(selectConfigPreset(ist("2026-01-27T13:30:00"), { expiries })?.name).toBe("expiry_pm");
+    expect(selectConfigPreset(ist("2026-01-28T13:30:00"), { expiries })).toBeNull();
+    expect(selectConfigPreset(ist("2026-02-01T09:20:00"))?.name).toBe("special"); // Budget Sunday
+
+    expect(getNextPresetBoundary(ist("2026-01-26T09:20:00")).toISO()).toMatch(/^2026-01-26T09:45/);
+    expect(getNextPresetBoundary(ist("2026-01-26T14:00:00")).toISO()).toMatch(/^2026-01-27T00:00/);
+  });
+
+  test("applies an overlay, switches, and reverts what it changed", async () => {
+    const baseConf = env.MIN_SIGNAL_CONFIDENCE;
+    const baseTrades = env.MAX_TRADES_PER_DAY;
+
+    expect(await applyScheduledConfigPreset(ist("2026-01-27T09:20:00"))).toEqual({ changed: true, active: "opening" });
+    expect(env.MIN_SIGNAL_CONFIDENCE).toBe(80);
+    expect(process.env.MIN_SIGNAL_CONFIDENCE).toBe("80");
+    expect(getActiveConfigPreset()).toMatchObject({ name: "opening", knobs: { MIN_SIGNAL_CONFIDENCE: 80 } });
+    expect(await applyScheduledConfigPreset(ist("2026-01-27T09:30:00"))).toEqual({ changed: false, active: "opening" });
+
+    await insertTrade({ tradeId: "p1", status: "ENTRY_OPEN" });
+    expect((await getTrade("p1")).configPreset).toBe("opening");
+
+    await applyScheduledConfigPreset(ist("2026-01-27T13:05:00"), { expiries: ["2026-01-27"] });
+    expect(getActiveConfigPreset().name).toBe("expiry_pm");
+    expect(env.MIN_SIGNAL_CONFIDENCE).toBe(baseConf);
+    expect(env.MAX_TRADES_PER_DAY).toBe(3);
+
+    env.MAX_TRADES_PER_DAY = 1; // changed by hand while the overlay is live
+    await applyScheduledConfigPreset(ist("2026-01-28T13:05:00"), { expiries: ["2026-01-27"] });
+    expect(getActiveConfigPreset()).toBeNull();
+    expect(env.MAX_TRADES_PER_DAY).toBe(1);
+    env.MAX_TRADES_PER_DAY = baseTrades;
+
+    const events = describeConfigPresets().history.map((h) => [h.event, h.preset]);
+    expect(events).toEqual([
+      ["CONFIG_PRESET_REVERTED", "expiry_pm"],
+      ["CONFIG_PRESET_APPLIED", "expiry_pm"],
+      ["CONFIG_PRESET_REVERTED", "opening"],
+      ["CONFIG_PRESET_APPLIED", "opening"],
+    ]);
+    expect(describeConfigPresets().history[0]).toMatchObject({ kept: ["MAX_TRADES_PER_DAY"] });
+    expect(alert).toHaveBeenCalledWith("info", "[lifecycle] CONFIG_PRESET_APPLIED", expect.objectContaining({ preset: "opening" }));
+    const audit = await listAuditLogs({ limit: 10 });
+    expect(audit.filter((a) => a.action === "config_preset_apply")).toHaveLength(2);
+  });
+
+  test("engine lifecycle applies the preset at start and exposes it in status", async () => {
+    const { createEngineLifecycle } = require("../src/runtime/engineLifecycle");
+    Object.assign(env, { CONFIG_PRESETS_ENABLED: "true", ENGINE_TEST_NOW_ISO: "2026-01-27T13:10:00" });
+    const lifecycle = createEngineLifecycle({ getExpiries: () => ["2026-01-27"] });
+    try {
+      await lifecycle.start();
+      expect(lifecycle.status().configPreset).toMatchObject({
+        enabled: true,
+        active: { name: "expiry_pm", reason: "startup" },
+        nextCheckAt: expect.stringMatching(/^2026-01-28T00:00/),
+      });
+      expect(env.MAX_TRADES_PER_DAY).toBe(3);
+    } finally {
+      lifecycle.stop();
+      delete env.CONFIG_PRESETS_ENABLED;
+      delete env.ENGINE_TEST_NOW_ISO;
+    }
+  });
+});
@@ -0,0 +1,116 @@
+jest.mock("../src/db", () => require("./helpers/memoryDbMock"));
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const KNOBS_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "knobs-")), "runtime_knobs.json");
+process.env.RUNTIME_KNOBS_FILE = KNOBS_FILE;
+
+const { env, validateRuntimeKnobs, getRuntimeKnobsSnapshot } = require("../src/config");
+const {
+  initConfigVersions,
+  getActiveConfigVersion,
+  applyKnobChange,
+  listConfigVersions,
+  getConfigVersion,
+  diffConfigVersions,
+  rollbackConfig,
+} = require("../src/runtime/configVersions");
+const { insertTrade, getTrade } = require("../src/trading/tradeStore");
+const { buildTradeSearchFilter } = require("../src/trading/tradeService");
+
+describe("config versions", () => {
+  const { mockDb } = require("../src/db");
+  const savedEnv = { ...process.env };
+  const savedConfig = { ...env };
+
+  beforeEach(() => {
+    mockDb.reset();
+    fs.writeFileSync(KNOBS_FILE, JSON.stringify({ MAX_TRADES_PER_DAY: 10, STOP_NEW_ENTRIES_AFTER: "15:00" }));
+  });
+
+  afterAll(() => {
+    process.env = savedEnv;
+    Object.assign(env, savedConfig);
+    fs.rmSync(path.dirname(KNOBS_FILE), { recursive: true, force: true });
+  });
+
+  test("validates patches against the schema and cross-field rules", () => {
+    expect(validateRuntimeKnobs({ MAX_TRADES_PER_DAY: 12 })).toEqual({ ok: true, errors: [], ignored: [] });
+    expect(validateRuntimeKnobs({ NOT_A_KNOB: 1 })).toMatchObject({ ok: true, ignored: ["NOT_A_KNOB"] });
+
+    const bad = validateRuntimeKnobs({ MAX_TRADES_PER_DAY: "lots" });
+    expect(bad.ok).toBe(false);
+    expect(bad.errors[0].key).toBe("MAX_TRADES_PER_DAY");
+
+    const late = validateRuntimeKnobs({ STOP_NEW_ENTRIES_AFTER: "15:25", FORCE_FLATTEN_AT: "15:20" });
+    expect(late.errors).toEqual([expect.objectContaining({ key: "STOP_NEW_ENTRIES_AFTER" })]);
+    expect(validateRuntimeKnobs({ STOP_NEW_ENTRIES_AFTER: "3pm" }).errors[0].message).toMatch(/HH:mm/);
+    expect(validateRuntimeKnobs({ OPT_DELTA_BAND_MIN: 0.7, OPT_DELTA_BAND_MAX: 0.6 }).errors).toEqual([
+      expect.objectContaining({ key: "OPT_DELTA_BAND_MIN" }),
+    ]);
+  });
+
+  test("records a version per change and rejects invalid sets untouched", async () => {
+    const base = await initConfigVersions();
+    expect(base).toMatchObject({ version: 1, source: "file", actor: "system" });
+    expect(await initConfigVersions()).toMatchObject({ version: 1 }); // unchanged file: no new version
+
+    const out = await applyKnobChange({ patch: { MAX_TRADES_PER_DAY: 6 }, actor: "ops", reason: "choppy day" });
+    expect(out).toMatchObject({
+      version: 2,
+      applied: ["MAX_TRADES_PER_DAY"],
+      diff: [{ key: "MAX_TRADES_PER_DAY", from: 10, to: 6 }],
+    });
+    expect(env.MAX_TRADES_PER_DAY).toBe(6);
+    expect(getActiveConfigVersion()).toBe(2);
+
+    await expect(
+      applyKnobChange({ patch: { STOP_NEW_ENTRIES_AFTER: "15:30" }, actor: "ops" }),
+    ).rejects.toMatchObject({ code: "CONFIG_INVALID", errors: [expect.objectContaining({ key: "STOP_NEW_ENTRIES_AFTER" })] });
+    expect(getRuntimeKnobsSnapshot().STOP_NEW_ENTRIES_AFTER).toBe("15:00");
+    expect(env.STOP_NEW_ENTRIES_AFTER).not.toBe("15:30");
+
+    // No-op patch: nothing to version.
+    expect(await applyKnobChange({ patch: { MAX_TRADES_PER_DAY: 6 } })).toMatchObject({ version: 2, diff: [] });
+
+    const rows = await listConfigVersions();
+    expect(rows.map((r) => [r.version, r.actor, r.reason])).toEqual([
+      [2, "ops", "choppy day"],
+      [1, "system", "initial snapshot"],
+    ]);
+    expect(rows[0].knobs).toBeUndefined();
+    expect((await getConfigVersion(2)).knobs).toMatchObject({ MAX_TRADES_PER_DAY: 6 });
+  });
+
+  test("diff, rollback and the version stamped on trades", async () => {
+    await initConfigVersions();
+    await applyKnobChange({ patch: { MAX_TRADES_PER_DAY: 4, OPT_DELTA_BAND_MIN: 0.45 }, actor: "ops" });
+    await insertTrade({ tradeId: "t-v2", status: "ENTRY_OPEN" });
+
+    expect(await diffConfigVersions({ from: 1, to: 2 })).toMatchObject({
+      from: 1,
+      to: 2,
+      diff: [
+        { key: "MAX_TRADES_PER_DAY", from: 10, to: 4 },
+        { key: "OPT_DELTA_BAND_MIN", from: null, to: 0.45 },
+      ],
+    });
+    expect(await diffConfigVersions()).toMatchObject({ from: 2, to: "current", diff: [] });
+    await expect(diffConfigVersions({ from: 9 })).rejects.toMatchObject({ code: "CONFIG_VERSION_NOT_FOUND" });
+
+    const rb = await rollbackConfig(1, { actor: "lead" });
+    expect(rb).toMatchObject({ version: 3 });
+    expect(getRuntimeKnobsSnapshot()).toEqual({ MAX_TRADES_PER_DAY: 10, STOP_NEW_ENTRIES_AFTER: "15:00" });
+    expect(env.MAX_TRADES_PER_DAY).toBe(10);
+    expect(await getConfigVersion(3)).toMatchObject({ source: "rollback", rollbackOf: 1, reason: "rollback to v1", actor: "lead" });
+    await expect(rollbackConfig(42)).rejects.toMatchObject({ code: "CONFIG_VERSION_NOT_FOUND" });
+
+    await insertTrade({ tradeId: "t-v3", status: "ENTRY_OPEN" });
+    expect((await getTrade("t-v2")).configVersion).toBe(2);
+    expect((await getTrade("t-v3")).configVersion).toBe(3);
+    expect(buildTradeSearchFilter({ configVersion: "3" })).toEqual({ $and: [{ configVersion: 3 }] });
+    expect(() => buildTradeSearchFilter({ configVersion: "v3" })).toThrow(/configVersion/);
+  });
+});
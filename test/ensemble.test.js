@@ -0,0 +1,135 @@
+describe("strategy signal ensemble", () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    process.env.MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/test";
+    process.env.MONGO_DB = process.env.MONGO_DB || "test";
+    process.env.KITE_API_KEY = process.env.KITE_API_KEY || "test_key";
+    process.env.ENSEMBLE_WEIGHT_SOURCE = "NONE";
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const sig = (strategyId, strategyFamily, side, confidence) => ({
+    strategyId,
+    strategyFamily,
+    side,
+    confidence,
+    reason: strategyId,
+  });
+
+  const candidates = () => [
+    sig("ema_cross", "TREND", "BUY", 70),
+    sig("breakout", "BREAKOUT", "BUY", 70),
+    sig("rsi_fade", "MEAN_REVERSION", "SELL", 65),
+  ];
+
+  test("MAX_CONFIDENCE keeps the legacy pick (tie -> earlier strategy)", () => {
+    const { combineSignals } = require("../src/strategy/ensemble");
+    const out = combineSignals(candidates(), { mode: "MAX_CONFIDENCE" });
+    expect(out.outcome).toBe("SELECTED");
+    expect(out.signal).toMatchObject({ strategyId: "ema_cross", confidence: 70 });
+    expect(out.signal.ensemble).toMatchObject({
+      mode: "MAX_CONFIDENCE",
+      contributors: ["ema_cross", "breakout"],
+      opposing: ["rsi_fade"],
+      votes: { BUY: 140, SELL: 65 },
+    });
+    expect(out.conflictScore).toBeCloseTo((2 * 65) / 205, 4);
+    expect(out.suppressed.map((s) => s.strategyId)).toEqual(["rsi_fade"]);
+  });
+
+  test("WEIGHTED_VOTE requires a margin and honours weights", () => {
+    process.env.ENSEMBLE_MIN_MARGIN = "0.2";
+    const { combineSignals } = require("../src/strategy/ensemble");
+
+    const buy = combineSignals(candidates(), { mode: "WEIGHTED_VOTE", weightFor: () => 1 });
+    expect(buy.signal).toMatchObject({ side: "BUY", confidence: 70 });
+
+    const weights = { ema_cross: 0.5, breakout: 0.5, rsi_fade: 2 };
+    const sell = combineSignals(candidates(), {
+      mode: "WEIGHTED_VOTE",
+      weightFor: (id) => weights[id],
+    });
+    expect(sell.signal).toMatchObject({ strategyId: "rsi_fade", side: "SELL" });
+    expect(sell.signal.ensemble.weightSource).toBe("CUSTOM");
+
+    const tied = combineSignals(
+      [sig("a", "X", "BUY", 60), sig("b", "Y", "SELL", 55)],
+      { mode: "WEIGHTED_VOTE", weightFor: () => 1 },
+    );
+    expect(tied.signal).toBeNull();
+    expect(tied.outcome).toBe("NO_CONSENSUS");
+  });
+
+  test("UNANIMOUS_FAMILY drops families that disagree internally", () => {
+    const { combineSignals } = require("../src/strategy/ensemble");
+    const out = combineSignals(
+      [
+        sig("ema_cross", "TREND", "BUY", 80),
+        sig("ema_pullback", "TREND", "SELL", 60),
+        sig("rsi_fade", "MEAN_REVERSION", "SELL", 55),
+      ],
+      { mode: "UNANIMOUS_FAMILY" },
+    );
+    expect(out.signal).toMatchObject({ strategyId: "rsi_fade", side: "SELL" });
+
+    const split = combineSignals(
+      [sig("ema_cross", "TREND", "BUY", 80), sig("ema_pullback", "TREND", "SELL", 60)],
+      { mode: "UNANIMOUS_FAMILY" },
+    );
+    expect(split.outcome).toBe("NO_CONSENSUS");
+  });
+
+  test("VETO_OPPOSING blocks when another family opposes strongly", () => {
+    process.env.ENSEMBLE_VETO_MIN_CONF = "60";
+    const { combineSignals } = require("../src/strategy/ensemble");
+    const vetoed = combineSignals(candidates(), { mode: "VETO_OPPOSING" });
+    expect(vetoed.signal).toBeNull();
+    expect(vetoed.outcome).toBe("VETOED");
+    expect(vetoed.reason).toMatch(/rsi_fade SELL/);
+
+    process.env.ENSEMBLE_VETO_MIN_CONF = "66";
+    jest.resetModules();
+    const again = require("../src/strategy/ensemble");
+    expect(again.combineSignals(candidates(), { mode: "VETO_OPPOSING" }).signal).toMatchObject({
+      strategyId: "ema_cross",
+    });
+  });
+
+  test("KPI weights are clamped and need enough samples", () => {
+    process.env.ENSEMBLE_WEIGHT_SOURCE = "KPI";
+    process.env.ENSEMBLE_WEIGHT_MIN_SAMPLES = "20";
+    const { ensembleWeights } = require("../src/strategy/ensemble");
+    ensembleWeights.setKpi([
+      { strategyId: "good", sharpe: 3, trades: 50 },
+      { strategyId: "bad", sharpe: -2, trades: 50 },
+      { strategyId: "new", sharpe: 5, trades: 3 },
+    ]);
+    expect(ensembleWeights.weightFor("good")).toBe(2);
+    expect(ensembleWeights.weightFor("bad")).toBe(0.25);
+    expect(ensembleWeights.weightFor("new")).toBe(1);
+    expect(ensembleWeights.weightFor("missing")).toBe(1);
+  });
+
+  test("telemetry counts ensemble outcomes and suppressed signals", () => {
+    const { combineSignals } = require("../src/strategy/ensemble");
+    const { telemetry } = require("../src/telemetry/signalTelemetry");
+    telemetry.recordEnsemble(combineSignals(candidates(), { mode: "MAX_CONFIDENCE" }));
+    telemetry.recordEnsemble(combineSignals(candidates(), { mode: "VETO_OPPOSING" }));
+
+    const snap = telemetry.snapshot().ensemble;
+    expect(snap.total).toBe(2);
+    expect(snap.byOutcome).toMatchObject({
+      "MAX_CONFIDENCE|SELECTED": 1,
+      "VETO_OPPOSING|VETOED": 1,
+    });
+    expect(snap.conflicted).toBe(2);
+    expect(snap.opposingSuppressed).toBe(1);
+    expect(snap.suppressedByStrategy).toMatchObject({ rsi_fade: 1 });
+  });
+});
@@ -0,0 +1,228 @@
+jest.mock("../src/db", () => require("./helpers/memoryDbMock"));
+
+const { buildGttParams, GttProtector } = require("../src/trading/gttProtector");
+const { createSimKite } = require("../src/backtest/simKite");
+const { createBacktestClock } = require("../src/backtest/clock");
+const { runScenario } = require("../src/backtest/lifecycleScenario");
+
+const INSTRUMENT = { instrument_token: 101, exchange: "NSE", tradingsymbol: "ABC", tick_size: 0.05, lot_size: 1 };
+const CFG = { GTT_BACKSTOP_BPS: 20, GTT_SL_LIMIT_BUFFER_BPS: 50 };
+
+function trade(over = {}) {
+  return {
+    tradeId: "t1",
+    side: "BUY",
+    qty: 10,
+    product: "NRML",
+    status: "LIVE",
+    stopLoss: 99.5,
+    targetPrice: 101,
+    instrument: INSTRUMENT,
+    instrument_token: 101,
+    ...over,
+  };
+}
+
+function sim() {
+  const { kite } = createSimKite({
+    clock: createBacktestClock(Date.parse("2025-01-06T10:00:00+05:30")),
+    latencyMs: 0,
+    model: { spreadBps: 0, slippageBps: 0 },
+  });
+  kite.registerInstruments([INSTRUMENT]);
+  kite.onMarketTicks([{ instrument_token: 101, last_price: 100 }]);
+  return kite;
+}
+
+describe("buildGttParams", () => {
+  test("long: two-leg OCO with both triggers pushed beyond the engine's levels", () => {
+    const p = buildGttParams(trade(), 100, CFG);
+    expect(p).toMatchObject({ trigger_type: "two-leg", exchange: "NSE", tradingsymbol: "ABC", last_price: 100 });
+    expect(p.trigger_values).toEqual([99.3, 101.25]);
+    expect(p.orders.map((o) => [o.transaction_type, o.price])).toEqual([
+      ["SELL", 98.8],
+      ["SELL", 101.25],
+    ]);
+    expect(p.orders.every((o) => o.order_type === "LIMIT" && o.quantity === 10 && o.product === "NRML")).toBe(true);
+  });
+
+  test("short is mirrored: target is the lower trigger", () => {
+    const p = buildGttParams(trade({ side: "SELL", stopLoss: 100.5, targetPrice: 99 }), 100, CFG);
+    expect(p.trigger_values).toEqual([98.8, 100.75]);
+    expect(p.orders.map((o) => [o.transaction_type, o.price])).toEqual([
+      ["BUY", 98.8],
+      ["BUY", 101.3],
+    ]);
+  });
+
+  test("no usable target falls back to a single-leg stop; bad inputs are skipped", () => {
+    const p = buildGttParams(trade({ targetPrice: null, plannedTargetPrice: 99 }), 100, CFG);
+    expect(p).toMatchObject({ trigger_type: "single", trigger_values: [99.3] });
+    expect(buildGttParams(trade({ stopLoss: 0 }), 100, CFG)).toEqual({ skip: "NO_STOP" });
+    expect(buildGttParams(trade(), undefined, CFG)).toEqual({ skip: "NO_LTP" });
+    expect(buildGttParams(trade(), 99.4, CFG)).toEqual({ skip: "SL_BREACHED" });
+  });
+});
+
+describe("simulated GTT book", () => {
+  test("validates like Kite and fires the crossed leg once", async () => {
+    const kite = sim();
+    const params = buildGttParams(trade(), 100, CFG);
+    await expect(kite.placeGTT({ ...params, trigger_values: [100.5, 101.25] })).rejects.toThrow(/either side/);
+    await expect(
+      kite.placeGTT({ ...params, orders: params.orders.map((o) => ({ ...o, price: 98.83 })) }),
+    ).rejects.toThrow(/tick size/);
+
+    const { trigger_id: id } = await kite.placeGTT(params);
+    expect((await kite.getGTT(id)).status).toBe("active");
+    kite.onMarketTicks([{ instrument_token: 101, last_price: 99.2 }]);
+    const fired = await kite.getGTT(id);
+    expect(fired.status).toBe("triggered");
+    expect(fired.orders[0].result.triggered_at).toBe(99.2);
+    expect(fired.orders[1].result).toBeNull();
+    const spawned = Array.from(kite.orders.values()).filter((o) => o.tag === `gtt${id}`);
+    expect(spawned).toHaveLength(1);
+    expect(spawned[0]).toMatchObject({ transaction_type: "SELL", order_type: "LIMIT", price: 98.8 });
+    await expect(kite.deleteGTT(id)).rejects.toThrow(/triggered/);
+  });
+
+  test("modify and delete an active trigger", async () => {
+    const kite = sim();
+    const { trigger_id: id } = await kite.placeGTT(buildGttParams(trade(), 100, CFG));
+    await kite.modifyGTT(id, buildGttParams(trade({ stopLoss: 99.8 }), 100, CFG));
+    expect((await kite.getGTT(id)).condition.trigger_values).toEqual([99.6, 101.25]);
+    await kite.deleteGTT(id);
+    expect((await kite.getGTT(id)).status).toBe("deleted");
+    expect((await kite.getGTTs()).map((g) => g.id)).toEqual([id]);
+  });
+});
+
+describe("GttProtector", () => {
+  const { mockDb } = require("../src/db");
+  beforeEach(() => mockDb.reset());
+
+  function protector(kite, cfg = {}) {
+    const tm = { kite, lastPriceByToken: new Map([[101, 100]]), activeTrades: new Map() };
+    return { tm, gtt: new GttProtector({ tm, cfg: { GTT_PROTECTION_ENABLED: true, ...CFG, ...cfg } }) };
+  }
+
+  test("scope, sync, describe and cancel", async () => {
+    const kite = sim();
+    const { tm, gtt } = protector(kite);
+    await mockDb.collection("trades").insertOne(trade());
+
+    expect(gtt.eligible(trade({ product: "MIS" }))).toBe(false);
+    expect(gtt.eligible(trade({ status: "ENTRY_OPEN" }))).toBe(false);
+    const all = new GttProtector({ tm, cfg: { GTT_PROTECTION_ENABLED: true, GTT_PROTECTION_SCOPE: "ALL" } });
+    expect(all.eligible(trade({ product: "MIS" }))).toBe(true);
+
+    const placed = await gtt.sync(trade(), "test");
+    expect(placed).toMatchObject({ status: "active", type: "two-leg", triggerValues: [99.3, 101.25] });
+    tm.activeTrades.set("t1", { tradeId: "t1" });
+    const saved = await mockDb.collection("trades").findOne({ tradeId: "t1" });
+    expect(gtt.describe(saved)).toMatchObject({ protection: "both", brokerSide: true, processSide: true, gttId: placed.id });
+
+    // Unchanged levels are a no-op; a moved stop modifies the same trigger.
+    expect(await gtt.sync(saved, "again")).toEqual(saved.gtt);
+    const moved = await gtt.sync({ ...saved, stopLoss: 99.8 }, "dyn_exit");
+    expect(moved.id).toBe(placed.id);
+    expect((await kite.getGTT(placed.id)).condition.trigger_values).toEqual([99.6, 101.25]);
+
+    expect(await gtt.cancel(await mockDb.collection("trades").findOne({ tradeId: "t1" }), "trade_closed")).toBe(true);
+    const closed = await mockDb.collection("trades").findOne({ tradeId: "t1" });
+    expect(closed.gtt.status).toBe("deleted");
+    tm.activeTrades.clear();
+    expect(gtt.describe(closed).protection).toBe("none");
+  });
+
+  test("reconcile re-places a missing trigger and cancel clears the order of a fired one", async () => {
+    const kite = sim();
+    const { tm, gtt } = protector(kite);
+    tm.expectedCancelOrderIds = new Set();
+    tm._safeCancelOrder = (variety, id) => kite.cancelOrder(variety, id);
+    await mockDb.collection("trades").insertOne(trade());
+
+    await gtt.reconcile();
+    let t = await mockDb.collection("trades").findOne({ tradeId: "t1" });
+    const first = t.gtt.id;
+    await kite.deleteGTT(first);
+    await gtt.reconcile();
+    t = await mockDb.collection("trades").findOne({ tradeId: "t1" });
+    expect(t.gtt).toMatchObject({ status: "active", reason: "reconcile_replace" });
+    expect(t.gtt.id).not.toBe(first);
+
+    // Price gaps through the GTT stop but not its LIMIT: the spawned order rests.
+    kite.onMarketTicks([{ instrument_token: 101, last_price: 99.25 }]);
+    await new Promise((r) => setImmediate(r));
+    await gtt.cancel(t, "OCO_CLEANUP");
+    t = await mockDb.collection("trades").findOne({ tradeId: "t1" });
+    expect(t.gtt.status).toBe("triggered");
+    expect(t.gtt.strayOrderIds).toHaveLength(1);
+    expect(kite.orders.get(String(t.gtt.strayOrderIds[0])).status).toBe("CANCELLED");
+  });
+
+  test("a failed write for a fired trigger does not stop reconcile of the other trades", async () => {
+    const { snapshotFaults } = require("../src/runtime/errorBus");
+    const kite = {
+      placeGTT: jest.fn(),
+      modifyGTT: jest.fn(),
+      deleteGTT: jest.fn(),
+      getGTTs: async () => [
+        { id: 1, status: "triggered", orders: [] },
+        { id: 2, status: "triggered", orders: [] },
+      ],
+    };
+    const { gtt } = protector(kite);
+    const trades = [
+      trade({ tradeId: "t1", gtt: { id: 1, status: "active" } }),
+      trade({ tradeId: "t2", gtt: { id: 2, status: "active" } }),
+    ];
+    await mockDb.collection("trades").insertMany(trades);
+    const faultsBefore = snapshotFaults().byCode.TRADING_GTT_ASYNC?.count || 0;
+    jest.spyOn(mockDb.collection("trades"), "updateOne").mockRejectedValueOnce(new Error("write failed"));
+
+    await expect(gtt.reconcile(trades)).resolves.toBeUndefined();
+    expect((await mockDb.collection("trades").findOne({ tradeId: "t2" })).gtt.status).toBe("triggered");
+    expect(snapshotFaults().byCode.TRADING_GTT_ASYNC.count).toBe(faultsBefore + 1);
+  });
+});
+
+describe("GTT protection in a trade lifecycle", () => {
+  const { mockDb } = require("../src/db");
+  beforeEach(() => mockDb.reset());
+
+  test("placed once LIVE and deleted when the target exit completes", async () => {
+    const result = await runScenario(
+      {
+        name: "gtt",
+        start: "2025-01-06T10:00:00+05:30",
+        env: { FNO_ENABLED: "false", GTT_PROTECTION_ENABLED: "true", GTT_PROTECTION_SCOPE: "ALL" },
+        instruments: [INSTRUMENT],
+        timeline: [
+          { at: "0s", ticks: [{ instrument_token: 101, last_price: 100 }] },
+          {
+            at: "1s",
+            signal: {
+              instrument_token: 101,
+              side: "BUY",
+              strategyId: "breakout",
+              confidence: 90,
+              reason: "scenario",
+              candle: { open: 99.7, high: 100.2, low: 99.6, close: 100, interval_min: 1 },
+              intervalMin: 1,
+            },
+          },
+          { at: "20s", ticks: [{ instrument_token: 101, last_price: 100.6 }], reconcile: true },
+          { at: "40s", ticks: [{ instrument_token: 101, last_price: 101.2 }] },
+          { at: "2m" },
+        ],
+      },
+      { db: mockDb },
+    );
+    const [t] = result.trades;
+    expect(t.status).toBe("EXITED_TARGET");
+    expect(t.gtt).toMatchObject({ status: "deleted", type: "two-leg", qty: t.qty, product: "MIS" });
+    expect(t.gtt.triggerValues[0]).toBeLessThan(t.stopLoss);
+    expect(result.orders.some((o) => String(o.tag || "").startsWith("gtt"))).toBe(false);
+  }, 60000);
+});
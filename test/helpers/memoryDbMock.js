@@ -0,0 +1,15 @@
+// In-memory stand-in for src/db in jest:
+//   jest.mock("../src/db", () => require("./helpers/memoryDbMock"));
+// Each test file gets its own instance (jest module registry); tests reach it
+// through `require("../src/db").mockDb`.
+const { MemoryDb } = require("../../src/backtest/memoryDb");
+
+const mockDb = new MemoryDb();
+
+module.exports = {
+  getDb: () => mockDb,
+  connectMongo: async () => mockDb,
+  closeMongo: async () => {},
+  getClient: () => null,
+  mockDb,
+};
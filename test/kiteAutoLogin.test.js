@@ -0,0 +1,136 @@
+jest.mock("../src/db", () => require("./helpers/memoryDbMock"));
+jest.mock("../src/kite/tickerManager", () => ({ setSession: jest.fn().mockResolvedValue(undefined) }));
+jest.mock("../src/alerts/alertService", () => ({ alert: jest.fn().mockResolvedValue(undefined) }));
+
+const crypto = require("crypto");
+const { env } = require("../src/config");
+const { KiteMockServer } = require("../src/kite/mock/kiteMockServer");
+const { totp } = require("../src/security/totp");
+const { putSecret, getSecret, openSecret } = require("../src/security/secrets");
+const { runKiteAutoLogin, getKiteAutoLoginStatus } = require("../src/kite/kiteAutoLogin");
+const { setSession } = require("../src/kite/tickerManager");
+const { readLatestTokenDoc } = require("../src/tokenStore");
+const { alert } = require("../src/alerts/alertService");
+
+const TOTP_SEED = "JBSWY3DPEHPK3PXP";
+const MASTER_KEY = crypto.randomBytes(32).toString("hex");
+
+describe("kite auto-login", () => {
+  const { mockDb } = require("../src/db");
+  let server;
+
+  async function storeCredentials({ password = "hunter2" } = {}) {
+    await putSecret("kite.user_id", "MK0001");
+    await putSecret("kite.password", password);
+    await putSecret("kite.totp_secret", TOTP_SEED);
+  }
+
+  beforeAll(async () => {
+    env.SECRETS_MASTER_KEY = MASTER_KEY;
+    server = new KiteMockServer({
+      apiKey: env.KITE_API_KEY,
+      apiSecret: "s3cret",
+      userId: "MK0001",
+      redirectUrl: "http://127.0.0.1:4001/kite-redirect",
+      login: { password: "hunter2", totpSecret: TOTP_SEED },
+      latencyMs: 5,
+    });
+    const { url } = await server.start();
+    env.KITE_API_ROOT = url;
+    env.KITE_LOGIN_ROOT = url;
+    env.KITE_API_SECRET = "s3cret";
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    mockDb.reset();
+    server.expireSession();
+    server.loadScenario({});
+    jest.clearAllMocks();
+  });
+
+  test("TOTP matches the RFC 6238 SHA-1 vectors", () => {
+    const seed = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ"; // base32("12345678901234567890")
+    expect(totp(seed, { timeMs: 59_000, digits: 8 })).toBe("94287082");
+    expect(totp(seed, { timeMs: 1_111_111_109_000, digits: 8 })).toBe("07081804");
+    expect(totp(seed, { timeMs: 59_000 })).toBe("287082");
+  });
+
+  test("secrets are envelope-encrypted at rest", async () => {
+    const meta = await putSecret("kite.password", "hunter2");
+    expect(meta).toMatchObject({ name: "kite.password", version: 1 });
+    const doc = await mockDb.collection("secrets").findOne({ name: "kite.password" });
+    expect(JSON.stringify(doc)).not.toContain("hunter2");
+    expect(await getSecret("kite.password")).toBe("hunter2");
+    expect(await getSecret("kite.nope")).toBeNull();
+    expect(() => openSecret(doc, crypto.randomBytes(32))).toThrow(/another master key/);
+  });
+
+  test("logs in through password + TOTP and stores the session", async () => {
+    await storeCredentials();
+    const res = await runKiteAutoLogin({ source: "test", retryDelayMs: 0 });
+    expect(res).toMatchObject({ ok: true, attempts: 1, user_id: "MK0001" });
+
+    const { accessToken } = await readLatestTokenDoc(); // sealed at rest: the master key is set
+    expect(server.accessTokens.has(accessToken)).toBe(true);
+    expect(setSession).toHaveBeenCalledWith(accessToken);
+    expect(server.calls).toMatchObject({ "web.login": expect.any(Number), "web.twofa": expect.any(Number) });
+    expect(getKiteAutoLoginStatus().last).toMatchObject({ ok: true, source: "test" });
+  });
+
+  test("retries a failed attempt", async () => {
+    await storeCredentials();
+    server.loadScenario({ rules: [{ route: "web.twofa", times: 1, http: { status: 503 } }] });
+    const res = await runKiteAutoLogin({ retryDelayMs: 0 });
+    expect(res).toMatchObject({ ok: true, attempts: 2 });
+  });
+
+  test("gives up with a manual-login alert", async () => {
+    await storeCredentials({ password: "wrong" });
+    const res = await runKiteAutoLogin({ attempts: 2, retryDelayMs: 0 });
+    expect(res).toMatchObject({ ok: false, attempts: 2, error: expect.stringMatching(/password/) });
+    expect(res.loginUrl).toBe(`${env.KITE_LOGIN_ROOT}/connect/login?api_key=${env.KITE_API_KEY}&v=3`);
+    expect(alert).toHaveBeenCalledWith("error", expect.stringMatching(/auto-login failed/), expect.objectContaining({ loginUrl: res.loginUrl }));
+    expect(await mockDb.collection(env.TOKENS_COLLECTION).findOne({ type: "kite_session" })).toBeNull();
+
+    mockDb.reset();
+    const missing = await runKiteAutoLogin({ retryDelayMs: 0 });
+    expect(missing).toMatchObject({ ok: false, attempts: 0, error: expect.stringMatching(/kite.password/) });
+  });
+
+  test("engine lifecycle schedules the login ahead of warmup", async () => {
+    const { createEngineLifecycle } = require("../src/runtime/engineLifecycle");
+    const { DateTime } = require("luxon");
+    Object.assign(env, {
+      KITE_AUTOLOGIN_ENABLED: "true",
+      KITE_AUTOLOGIN_LEAD_MIN: 20,
+      ENGINE_WARMUP_HHMM: "09:10",
+      MARKET_HOLIDAYS: "2025-01-13",
+      ENGINE_TEST_NOW_ISO: "2025-01-10T10:00:00", // Friday, after the slot
+    });
+    const autoLogin = jest.fn().mockResolvedValue({ ok: false, attempts: 3, error: "boom" });
+    const lifecycle = createEngineLifecycle({ autoLogin });
+    try {
+      const at = (iso) => lifecycle.getNextAutoLoginAt(DateTime.fromISO(iso, { zone: "Asia/Kolkata" })).toISO();
+      expect(at("2025-01-10T08:00:00")).toMatch(/^2025-01-10T08:50:00/);
+      expect(at("2025-01-10T10:00:00")).toMatch(/^2025-01-14T08:50:00/); // weekend + holiday skipped
+
+      await lifecycle.start();
+      expect(lifecycle.status().autoLogin).toMatchObject({ enabled: true, nextAt: expect.stringMatching(/^2025-01-14T08:50/) });
+
+      expect(await lifecycle.requestAutoLogin("token_missing")).toMatchObject({ ok: false, error: "boom" });
+      expect(autoLogin).toHaveBeenCalledWith("token_missing");
+      expect(lifecycle.status().autoLogin.last).toMatchObject({ day: "2025-01-10", ok: false });
+      // A failed run already alerted with the manual fallback; don't hammer the login.
+      expect(await lifecycle.requestAutoLogin("token_missing")).toEqual({ ok: false, skipped: "failed_today" });
+      expect(autoLogin).toHaveBeenCalledTimes(1);
+      expect(alert).toHaveBeenCalledWith("warn", "[lifecycle] AUTO_LOGIN_FAILED", expect.objectContaining({ error: "boom" }));
+    } finally {
+      lifecycle.stop();
+      for (const k of ["KITE_AUTOLOGIN_ENABLED", "MARKET_HOLIDAYS", "ENGINE_TEST_NOW_ISO"]) delete env[k];
+    }
+  });
+});
@@ -0,0 +1,202 @@
+const { KiteConnect } = require("kiteconnect");
+const { env } = require("../src/config");
+const { KiteMockServer } = require("../src/kite/mock/kiteMockServer");
+const { encodeTicks } = require("../src/kite/mock/tickCodec");
+
+const SBIN = 779521;
+const NIFTY = 256265; // segment 9 (indices)
+
+function waitFor(pred, { timeoutMs = 4000, stepMs = 10 } = {}) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = async () => {
+      const v = await pred();
+      if (v) return resolve(v);
+      if (Date.now() - started > timeoutMs) return reject(new Error("waitFor timed out"));
+      setTimeout(check, stepMs);
+    };
+    check();
+  });
+}
+
+describe("kite mock server", () => {
+  let server;
+  let adapter;
+  let stream;
+  const ticks = [];
+  const updates = [];
+  let connects = 0;
+
+  beforeAll(async () => {
+    server = new KiteMockServer({
+      apiKey: env.KITE_API_KEY,
+      apiSecret: "s3cret",
+      latencyMs: 5,
+      heartbeatMs: 200,
+      scenario: {
+        name: "e2e",
+        instruments: [
+          { instrument_token: SBIN, exchange: "NSE", tradingsymbol: "SBIN", name: "STATE BANK", tick_size: 0.05, lot_size: 1 },
+          { instrument_token: NIFTY, exchange: "NSE", tradingsymbol: "NIFTY 50", instrument_type: "EQ", segment: "INDICES" },
+        ],
+        candles: {
+          [SBIN]: [
+            { ts: "2025-01-06T03:45:00Z", open: 790, high: 795, low: 789, close: 794, volume: 1200 },
+            { ts: "2025-01-06T03:46:00Z", open: 794, high: 796, low: 793, close: 795.5, volume: 900 },
+          ],
+        },
+      },
+    });
+    const { url, wsUrl } = await server.start();
+    env.KITE_API_ROOT = url;
+    env.KITE_TICKER_ROOT = wsUrl;
+    env.KITE_RETRY_BASE_DELAY_MS = 1;
+
+    const { createBrokerAdapter } = require("../src/broker");
+    adapter = createBrokerAdapter({ name: "kite", apiKey: env.KITE_API_KEY, accessToken: server.accessToken });
+    stream = adapter.createStream();
+    stream.on("connect", () => {
+      connects += 1;
+      stream.subscribe([SBIN, NIFTY]);
+      stream.setMode("full", [SBIN]);
+    });
+    stream.on("ticks", (t) => ticks.push(...t));
+    stream.on("order_update", (o) => updates.push(o));
+    stream.connect();
+    await waitFor(() => server.clients.size === 1 && [...server.clients][0].modes.get(SBIN) === "full");
+  });
+
+  afterAll(async () => {
+    // The SDK exits the process when a disconnect finds auto-reconnect enabled.
+    stream.ticker.autoReconnect(false);
+    stream.disconnect();
+    await server.stop();
+  });
+
+  test("binary frames decode through the SDK parser in every mode", async () => {
+    server.pushTicks([
+      {
+        instrument_token: SBIN,
+        last_price: 800.05,
+        last_traded_quantity: 3,
+        volume_traded: 12000,
+        ohlc: { open: 790, high: 801, low: 789, close: 792 },
+        exchange_timestamp: new Date("2025-01-06T04:00:00Z"),
+        depth: {
+          buy: [{ price: 800, quantity: 150, orders: 3 }],
+          sell: [{ price: 800.1, quantity: 90, orders: 2 }],
+        },
+      },
+      { instrument_token: NIFTY, last_price: 23650.35, ohlc: { open: 23600, high: 23700, low: 23590, close: 23610 } },
+    ]);
+    await waitFor(() => ticks.length >= 2);
+    const sbin = ticks.find((t) => t.instrument_token === SBIN);
+    const nifty = ticks.find((t) => t.instrument_token === NIFTY);
+    expect(sbin).toMatchObject({ mode: "full", tradable: true, last_price: 800.05, volume_traded: 12000 });
+    expect(sbin.exchange_timestamp.toISOString()).toBe("2025-01-06T04:00:00.000Z");
+    expect(sbin.depth.buy[0]).toEqual({ price: 800, quantity: 150, orders: 3 });
+    expect(sbin.depth.sell[0]).toEqual({ price: 800.1, quantity: 90, orders: 2 });
+    expect(nifty).toMatchObject({ mode: "quote", tradable: false, last_price: 23650.35 });
+    expect(nifty.ohlc).toEqual({ open: 23600, high: 23700, low: 23590, close: 23610 });
+    expect(encodeTicks([{ tick: { instrument_token: SBIN, last_price: 1 }, mode: "ltp" }])).toHaveLength(12);
+  });
+
+  test("REST calls go through the real SDK and fill against pushed ticks", async () => {
+    const instruments = await adapter.getInstruments("NSE");
+    expect(instruments.find((r) => r.tradingsymbol === "SBIN")).toMatchObject({
+      instrument_token: String(SBIN),
+      tick_size: 0.05,
+      lot_size: 1,
+    });
+    const candles = await adapter.getHistoricalData(SBIN, "minute", "2025-01-06 09:00:00", "2025-01-06 10:00:00");
+    expect(candles.map((c) => c.close)).toEqual([794, 795.5]);
+    expect(candles[0].date.toISOString()).toBe("2025-01-06T03:45:00.000Z");
+
+    const quote = await adapter.getQuote(["NSE:SBIN"]);
+    expect(quote["NSE:SBIN"]).toMatchObject({ instrument_token: SBIN, last_price: 800.05 });
+    expect(quote["NSE:SBIN"].timestamp).toBeInstanceOf(Date);
+
+    const { order_id: id } = await adapter.placeOrder("regular", {
+      exchange: "NSE",
+      tradingsymbol: "SBIN",
+      transaction_type: "BUY",
+      quantity: 10,
+      order_type: "MARKET",
+      product: "MIS",
+    });
+    await waitFor(() => updates.some((o) => o.order_id === id && o.status === "COMPLETE"));
+    expect((await adapter.getOrderHistory(id)).at(-1)).toMatchObject({ status: "COMPLETE", filled_quantity: 10 });
+    expect((await adapter.getPositions()).net.find((p) => p.tradingsymbol === "SBIN").quantity).toBe(10);
+    expect((await adapter.getMargins()).equity.enabled).toBe(true);
+  });
+
+  test("scenario rules inject 429s, rejections and partial fills", async () => {
+    server.scenario.addRule({ route: "orders", times: 1, http: { status: 429 } });
+    const before = server.calls.orders || 0;
+    await expect(adapter.getOrders()).resolves.toEqual(expect.any(Array));
+    expect(server.calls.orders - before).toBe(2);
+
+    server.scenario.addRule({
+      route: "order.place",
+      match: { transaction_type: "SELL" },
+      times: 1,
+      order: { reject: "Insufficient funds" },
+    });
+    server.scenario.addRule({ route: "order.place", times: 1, order: { partialQty: 4 } });
+
+    const sell = await adapter.placeOrder("regular", {
+      exchange: "NSE",
+      tradingsymbol: "SBIN",
+      transaction_type: "SELL",
+      quantity: 5,
+      order_type: "MARKET",
+      product: "MIS",
+    });
+    await waitFor(() => updates.find((o) => o.order_id === sell.order_id && o.status === "REJECTED"));
+    expect(updates.find((o) => o.order_id === sell.order_id && o.status === "REJECTED").status_message).toBe(
+      "Insufficient funds",
+    );
+
+    const buy = await adapter.placeOrder("regular", {
+      exchange: "NSE",
+      tradingsymbol: "SBIN",
+      transaction_type: "BUY",
+      quantity: 10,
+      order_type: "LIMIT",
+      price: 799,
+      product: "MIS",
+    });
+    await waitFor(() => updates.some((o) => o.order_id === buy.order_id && o.status === "OPEN"));
+    server.pushTicks([{ instrument_token: SBIN, last_price: 799 }]);
+    await waitFor(() => updates.some((o) => o.order_id === buy.order_id && o.status === "UPDATE"));
+    expect((await adapter.getOrderHistory(buy.order_id)).at(-1)).toMatchObject({ status: "OPEN", filled_quantity: 4 });
+    server.pushTicks([{ instrument_token: SBIN, last_price: 798.5 }]);
+    await waitFor(() => updates.some((o) => o.order_id === buy.order_id && o.status === "COMPLETE"));
+  });
+
+  test("login exchanges a request token and bad tokens get TokenException", async () => {
+    const res = await fetch(`${server.url}/connect/login?api_key=${env.KITE_API_KEY}&v=3`);
+    const { data } = await res.json();
+    const kc = new KiteConnect({ api_key: env.KITE_API_KEY, root: server.url });
+    await expect(kc.generateSession(data.request_token, "wrong")).rejects.toMatchObject({ error_type: "TokenException" });
+
+    const again = await (await fetch(`${server.url}/connect/login?api_key=${env.KITE_API_KEY}`)).json();
+    const session = await kc.generateSession(again.data.request_token, "s3cret");
+    expect(session.access_token).toEqual(expect.any(String));
+    await expect(kc.getProfile()).resolves.toMatchObject({ user_id: "MK0001" });
+
+    const stale = new KiteConnect({ api_key: env.KITE_API_KEY, root: server.url });
+    stale.setAccessToken("nope");
+    await expect(stale.getPositions()).rejects.toMatchObject({ error_type: "TokenException" });
+  });
+
+  test("a dropped socket reconnects and resubscribes", async () => {
+    const seen = connects;
+    expect(server.dropSockets()).toBe(1);
+    await waitFor(() => connects > seen && [...server.clients][0]?.modes.get(SBIN) === "full", { timeoutMs: 5000 });
+    const n0 = ticks.length;
+    server.pushTicks([{ instrument_token: SBIN, last_price: 801 }]);
+    await waitFor(() => ticks.length > n0);
+    expect(ticks.at(-1)).toMatchObject({ instrument_token: SBIN, last_price: 801, mode: "full" });
+  }, 10000);
+});
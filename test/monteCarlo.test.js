@@ -0,0 +1,101 @@
+describe("Monte Carlo robustness report", () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    process.env.MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/test";
+    process.env.MONGO_DB = process.env.MONGO_DB || "test";
+    process.env.KITE_API_KEY = process.env.KITE_API_KEY || "test_key";
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  // Two sessions; risk per trade = 2 pts × 5 qty = 10 INR.
+  function trades() {
+    const pnls = [[30, -10, -10], [-10, -10, -10, 25]];
+    const out = [];
+    pnls.forEach((day, d) => {
+      day.forEach((netPnl, i) => {
+        out.push({
+          entryPrice: 100,
+          exitPrice: 100 + netPnl / 5,
+          initialStopLoss: 98,
+          qty: 5,
+          netPnl,
+          exitTs: new Date(Date.UTC(2025, 0, 6 + d, 4, i)),
+        });
+      });
+    });
+    return out;
+  }
+
+  test("path stats track drawdown, losing streaks and daily rails", () => {
+    const { pathStats } = require("../src/backtest/monteCarlo");
+    const rows = [
+      { day: "a", pnl: 30 },
+      { day: "a", pnl: -10 },
+      { day: "a", pnl: -10 },
+      { day: "b", pnl: -10 },
+      { day: "b", pnl: -10 },
+      { day: "b", pnl: -10 },
+      { day: "b", pnl: 25 },
+    ];
+    expect(pathStats(rows, { dailyLossCapInr: 25, pauseRInr: 20 })).toEqual({
+      finalPnl: 5,
+      maxDrawdownInr: 50,
+      longestLosingStreak: 5,
+      lossCapDays: 1,
+      pauseDays: 1,
+    });
+  });
+
+  test("same seed reproduces the report; reshuffle keeps the final PnL", () => {
+    const { runMonteCarlo } = require("../src/backtest/monteCarlo");
+    const opts = { trials: 200, seed: 11, dailyLossCapInr: 25, dailyDrawdownPauseR: 2 };
+    const a = runMonteCarlo(trades(), opts);
+    const b = runMonteCarlo(trades(), opts);
+    expect(a.results).toEqual(b.results);
+    expect(a).toMatchObject({ trades: 7, days: 2, rails: { rInr: 10, pauseRInr: 20 } });
+    expect(a.baseline).toMatchObject({ finalPnl: 5, lossCapDays: 1, pauseDays: 1 });
+
+    expect(a.results.reshuffle.finalPnl).toMatchObject({ min: 5, max: 5 });
+    expect(a.results.reshuffle.maxDrawdownInr.max).toBeLessThanOrEqual(50);
+    expect(a.results.bootstrap.finalPnl.max).toBeGreaterThan(a.results.bootstrap.finalPnl.min);
+    // Slippage is adverse only.
+    expect(a.results.slippage.finalPnl.max).toBeLessThanOrEqual(5);
+    expect(a.results.slippage.probDailyPauseR).toBe(1);
+    expect(a.trialRows).toHaveLength(800);
+
+    const c = runMonteCarlo(trades(), { ...opts, seed: 12 });
+    expect(c.results.bootstrap).not.toEqual(a.results.bootstrap);
+  });
+
+  test("rails are reported as null when not configured and modes are validated", () => {
+    const { runMonteCarlo } = require("../src/backtest/monteCarlo");
+    const r = runMonteCarlo(trades(), { trials: 10, modes: ["skip"], skipProb: 0.5 });
+    expect(Object.keys(r.results)).toEqual(["skip"]);
+    expect(r.results.skip.probDailyLossCap).toBeNull();
+    expect(r.results.skip.probDailyPauseR).toBeNull();
+    expect(() => runMonteCarlo(trades(), { modes: ["nope"] })).toThrow(/unknown mode/);
+    expect(runMonteCarlo([], {})).toMatchObject({ trades: 0, baseline: null });
+  });
+
+  test("summary rows render to CSV with quoting", () => {
+    const { runMonteCarlo, summaryRows } = require("../src/backtest/monteCarlo");
+    const { toCsv, parseCsvToObjects } = require("../src/utils/csv");
+    const report = runMonteCarlo(trades(), { trials: 20, modes: ["bootstrap"] });
+    const csv = toCsv(summaryRows(report));
+    const rows = parseCsvToObjects(csv);
+    expect(rows.map((r) => r.metric)).toEqual([
+      "finalPnl",
+      "maxDrawdownInr",
+      "longestLosingStreak",
+    ]);
+    expect(rows[0]).toMatchObject({ mode: "bootstrap", baseline: "5" });
+
+    expect(toCsv([{ a: 'x,"y"', b: null }])).toBe('a,b\n"x,""y""",\n');
+  });
+});
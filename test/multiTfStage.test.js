@@ -0,0 +1,146 @@
+function trendCandles(n, { intervalMin = 1, step = 0.5, token = 111 } = {}) {
+  const out = [];
+  const t0 = Date.parse("2025-01-15T03:45:00Z");
+  for (let i = 0; i < n; i += 1) {
+    const close = 1000 + i * step;
+    out.push({
+      instrument_token: token,
+      interval_min: intervalMin,
+      ts: new Date(t0 + i * intervalMin * 60_000),
+      open: close - step / 2,
+      high: close + 1,
+      low: close - 1,
+      close,
+      volume: 100,
+    });
+  }
+  return out;
+}
+
+describe("multi-timeframe confirmation stage", () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    process.env.MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/test";
+    process.env.MONGO_DB = process.env.MONGO_DB || "test";
+    process.env.KITE_API_KEY = process.env.KITE_API_KEY || "test_key";
+    process.env.REGIME_FILTERS_ENABLED = "true";
+    process.env.MULTI_TF_ENABLED = "true";
+    process.env.MULTI_TF_MODE = "TREND_ONLY";
+    process.env.MULTI_TF_INTERVAL_MIN = "5";
+    process.env.MULTI_TF_INTERVALS = "";
+    process.env.CANDLE_INTERVALS = "1,3,15";
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test("confirmation intervals come from MULTI_TF_INTERVAL_MIN + higher CANDLE_INTERVALS", () => {
+    const { confirmationIntervals } = require("../src/strategy/multiTfStage");
+    expect(confirmationIntervals(1)).toEqual([5, 3, 15]);
+    expect(confirmationIntervals(3)).toEqual([5, 15]);
+
+    process.env.MULTI_TF_INTERVALS = "15,5";
+    jest.resetModules();
+    const again = require("../src/strategy/multiTfStage");
+    expect(again.confirmationIntervals(1)).toEqual([15, 5]);
+  });
+
+  test("resampleCandles aggregates OHLCV and drops the incomplete bucket", () => {
+    const { resampleCandles } = require("../src/strategy/multiTfStage");
+    const src = trendCandles(12);
+    const out = resampleCandles(src, 1, 5);
+    expect(out).toHaveLength(2);
+    expect(out[0]).toMatchObject({
+      interval_min: 5,
+      open: src[0].open,
+      close: src[4].close,
+      high: src[4].high,
+      low: src[0].low,
+      volume: 500,
+    });
+    expect(out[0].ts.toISOString()).toBe("2025-01-15T03:45:00.000Z");
+    expect(resampleCandles(src, 2, 5)).toEqual([]);
+  });
+
+  test("vetoes counter-trend TREND signals and confirms aligned ones", () => {
+    const { decideMultiTf } = require("../src/strategy/multiTfStage");
+    const frames = [{ intervalMin: 5, candles: trendCandles(60, { intervalMin: 5 }) }];
+
+    const buy = decideMultiTf({ side: "BUY", style: "TREND", frames });
+    expect(buy).toMatchObject({ ok: true, decision: "CONFIRM" });
+    expect(buy.meta).toMatchObject({ usedIntervalMin: 5, trend: "UP" });
+
+    const sell = decideMultiTf({ side: "SELL", style: "TREND", frames });
+    expect(sell).toMatchObject({ ok: false, decision: "VETO", reason: "MULTI_TF_TREND_MISMATCH" });
+    expect(sell.reasons).toEqual(["5m trend UP vs SELL"]);
+
+    expect(decideMultiTf({ side: "SELL", style: "RANGE", frames })).toMatchObject({
+      ok: true,
+      decision: "SKIP",
+    });
+    expect(decideMultiTf({ side: "SELL", style: "TREND", frames: [] })).toMatchObject({
+      ok: true,
+      reason: "multi_tf_no_data",
+    });
+  });
+
+  test("MULTI_TF_REQUIRE=ALL needs every interval to agree", () => {
+    process.env.MULTI_TF_REQUIRE = "ALL";
+    const { decideMultiTf } = require("../src/strategy/multiTfStage");
+    const frames = [
+      { intervalMin: 5, candles: trendCandles(60, { intervalMin: 5 }) },
+      { intervalMin: 15, candles: trendCandles(60, { intervalMin: 15, step: -0.5 }) },
+    ];
+    const out = decideMultiTf({ side: "BUY", style: "TREND", frames });
+    expect(out.decision).toBe("VETO");
+    expect(out.reasons).toEqual(["15m trend DOWN vs BUY"]);
+    expect(out.meta.frames.map((f) => f.trend)).toEqual(["UP", "DOWN"]);
+  });
+
+  test("live stage reads the candle cache and stamps the signal", async () => {
+    const { CandleCache } = require("../src/market/candleCache");
+    const { applyMultiTfStage } = require("../src/strategy/strategyEngine");
+    const cache = new CandleCache();
+    cache.addCandles(trendCandles(60, { intervalMin: 5 }));
+
+    const base = {
+      instrument_token: 111,
+      intervalMin: 1,
+      strategyId: "ema_cross",
+      strategyStyle: "TREND",
+    };
+    const ok = await applyMultiTfStage({ ...base, side: "BUY" }, { candleCache: cache });
+    expect(ok.multiTf).toMatchObject({ decision: "CONFIRM", meta: { usedIntervalMin: 5 } });
+    await expect(
+      applyMultiTfStage({ ...base, side: "SELL" }, { candleCache: cache }),
+    ).resolves.toBeNull();
+  });
+
+  test("replay applies the same stage on resampled candles", () => {
+    process.env.STRATEGIES = "ema_cross";
+    process.env.SIGNAL_INTERVALS = "1";
+    process.env.ALLOW_SYNTHETIC_SIGNALS = "true";
+    const { registerStrategy } = require("../src/strategy/registry");
+    const { evaluateOnCandles } = require("../src/strategy/replayEngine");
+    let side = "SELL";
+    registerStrategy(
+      {
+        id: "ema_cross",
+        style: "TREND",
+        family: "TREND",
+        evaluate: () => ({ side, confidence: 70, reason: "stub" }),
+      },
+      { replace: true },
+    );
+
+    const candles = trendCandles(300);
+    expect(evaluateOnCandles({ candles, intervalMin: 1 })).toBeNull();
+    side = "BUY";
+    const sig = evaluateOnCandles({ candles, intervalMin: 1 });
+    expect(sig.multiTf).toMatchObject({ decision: "CONFIRM", meta: { usedIntervalMin: 5 } });
+  });
+});
@@ -0,0 +1,327 @@
+const mockTrades = new Map();
+
+jest.mock('../src/trading/tradeStore', () => ({
+  insertTrade: jest.fn(async (t) => {
+    mockTrades.set(t.tradeId, JSON.parse(JSON.stringify(t)));
+  }),
+  updateTrade: jest.fn(async (tradeId, patch) => {
+    const t = mockTrades.get(tradeId);
+    if (!t) return;
+    for (const [k, v] of Object.entries(patch)) {
+      const path = k.split('.');
+      const last = path.pop();
+      const obj = path.reduce((o, p) => (o[p] = o[p] || {}), t);
+      obj[last] = JSON.parse(JSON.stringify(v ?? null));
+    }
+  }),
+  getTrade: jest.fn(async (tradeId) => mockTrades.get(tradeId) || null),
+  linkOrder: jest.fn(async () => {}),
+  getDailyRisk: jest.fn(async () => ({ realizedPnl: 0 })),
+  upsertDailyRisk: jest.fn(async () => {}),
+}));
+jest.mock('../src/alerts/alertService', () => ({ alert: jest.fn().mockResolvedValue(undefined) }));
+
+const { env } = require('../src/config');
+const {
+  STRUCTURE_KINDS,
+  resolveStructureKind,
+  structureEconomics,
+  buildStructureLegs,
+} = require('../src/fno/structurePlanner');
+const {
+  StructureTrader,
+  orderLegsForEntry,
+  orderLegsForExit,
+  structureExitLevels,
+} = require('../src/trading/structureTrader');
+const { calcMarginsForOrder } = require('../src/trading/marginSizer');
+const { upsertDailyRisk } = require('../src/trading/tradeStore');
+
+const leg = (optType, strike, side, ltp, extra = {}) => ({
+  optType,
+  strike,
+  side,
+  ltp,
+  instrument_token: Number(`${strike}${optType === 'CE' ? 1 : 2}`),
+  tradingsymbol: `NIFTY${strike}${optType}`,
+  exchange: 'NFO',
+  ...extra,
+});
+
+function chainRows(optType, overrides = {}) {
+  const rows = [];
+  for (let strike = 22200; strike <= 22800; strike += 100) {
+    const moneyness = (optType === 'CE' ? strike - 22500 : 22500 - strike) / 100;
+    rows.push({
+      instrument_type: optType,
+      exchange: 'NFO',
+      tradingsymbol: `NIFTY${strike}${optType}`,
+      instrument_token: Number(`${strike}${optType === 'CE' ? 1 : 2}`),
+      strike,
+      lot_size: 75,
+      tick_size: 0.05,
+      ltp: Math.max(10, 150 - moneyness * 45),
+      spread_bps: 10,
+      depth_qty_top: 500,
+      volume: 5000,
+      oi: 20000,
+      delta: (optType === 'CE' ? 1 : -1) * Math.min(0.95, Math.max(0.05, 0.5 - moneyness * 0.15)),
+      ...(overrides[strike] || {}),
+    });
+  }
+  return rows;
+}
+
+describe('option structure planner', () => {
+  test('OPT_STRUCTURE routes signals to structure kinds', () => {
+    const cfg = (mode, neutral) => ({ OPT_STRUCTURE: mode, OPT_STRUCTURE_NEUTRAL: neutral });
+    expect(resolveStructureKind({ side: 'BUY', cfg: cfg('SINGLE') })).toBeNull();
+    expect(resolveStructureKind({ side: 'BUY', cfg: cfg('SPREAD') })).toBe(STRUCTURE_KINDS.BULL_CALL_SPREAD);
+    expect(resolveStructureKind({ side: 'SELL', cfg: cfg('SPREAD') })).toBe(STRUCTURE_KINDS.BEAR_PUT_SPREAD);
+    expect(resolveStructureKind({ side: 'BUY', cfg: cfg('AUTO') })).toBe(STRUCTURE_KINDS.BULL_CALL_SPREAD);
+    expect(resolveStructureKind({ side: 'BUY', bias: 'NEUTRAL', cfg: cfg('AUTO', 'STRADDLE') })).toBe(
+      STRUCTURE_KINDS.LONG_STRADDLE,
+    );
+    expect(resolveStructureKind({ side: 'SELL', cfg: cfg('IRON_FLY') })).toBe(STRUCTURE_KINDS.IRON_FLY);
+  });
+
+  test('payoff maths for debit spreads, iron flies and straddles', () => {
+    const spread = structureEconomics([leg('CE', 22500, 'BUY', 150), leg('CE', 22600, 'SELL', 100)]);
+    expect(spread).toEqual({ netPremium: 50, maxLoss: 50, maxProfit: 50 });
+
+    const fly = structureEconomics([
+      leg('CE', 22700, 'BUY', 60),
+      leg('PE', 22300, 'BUY', 55),
+      leg('CE', 22500, 'SELL', 150),
+      leg('PE', 22500, 'SELL', 140),
+    ]);
+    expect(fly).toEqual({ netPremium: -175, maxLoss: 25, maxProfit: 175 });
+
+    const straddle = structureEconomics([leg('CE', 22500, 'BUY', 150), leg('PE', 22500, 'BUY', 140)]);
+    expect(straddle).toEqual({ netPremium: 290, maxLoss: 290, maxProfit: null });
+
+    // A naked short call has no defined risk.
+    expect(structureEconomics([leg('CE', 22500, 'SELL', 150)]).maxLoss).toBeNull();
+  });
+
+  test('legs are picked from liquid chain rows around ATM', () => {
+    const cfg = { ...env, OPT_ATM_SCAN_STEPS: 0, OPT_SPREAD_WIDTH_STEPS: 2, OPT_IRON_FLY_WING_STEPS: 2 };
+    const base = { atm: 22500, step: 100, underlying: 'NIFTY', expiry: '2026-01-08', cfg };
+
+    const bull = buildStructureLegs({ ...base, kind: STRUCTURE_KINDS.BULL_CALL_SPREAD, ceRows: chainRows('CE'), peRows: [] });
+    expect(bull.ok).toBe(true);
+    expect(bull.legs.map((l) => [l.role, l.side, l.optType, l.strike])).toEqual([
+      ['LONG', 'BUY', 'CE', 22500],
+      ['SHORT', 'SELL', 'CE', 22700],
+    ]);
+
+    // An illiquid short strike moves to a neighbouring one, still beyond the long leg.
+    const wide = buildStructureLegs({
+      ...base,
+      kind: STRUCTURE_KINDS.BULL_CALL_SPREAD,
+      ceRows: chainRows('CE', { 22700: { spread_bps: 120 } }),
+      peRows: [],
+    });
+    expect(wide.ok).toBe(true);
+    expect([22600, 22800]).toContain(wide.legs[1].strike);
+
+    const fly = buildStructureLegs({ ...base, kind: STRUCTURE_KINDS.IRON_FLY, ceRows: chainRows('CE'), peRows: chainRows('PE') });
+    expect(fly.ok).toBe(true);
+    expect(fly.legs.map((l) => [l.role, l.side, l.optType, l.strike])).toEqual([
+      ['WING', 'BUY', 'CE', 22700],
+      ['WING', 'BUY', 'PE', 22300],
+      ['SHORT', 'SELL', 'CE', 22500],
+      ['SHORT', 'SELL', 'PE', 22500],
+    ]);
+
+    const none = buildStructureLegs({ ...base, kind: STRUCTURE_KINDS.LONG_STRADDLE, ceRows: chainRows('CE'), peRows: [] });
+    expect(none).toMatchObject({ ok: false, reason: 'NO_STRADDLE_PAIR' });
+  });
+});
+
+describe('structure execution', () => {
+  const envKeys = ['OPT_STRUCTURE_MAX_LOTS', 'OPT_STRUCTURE_RECONCILE_GRACE_MS'];
+  const originalEnv = {};
+
+  beforeAll(() => {
+    for (const key of envKeys) originalEnv[key] = env[key];
+  });
+
+  afterEach(() => {
+    for (const key of envKeys) env[key] = originalEnv[key];
+    mockTrades.clear();
+    jest.clearAllMocks();
+  });
+
+  const plan = {
+    kind: STRUCTURE_KINDS.BULL_CALL_SPREAD,
+    underlying: 'NIFTY',
+    expiry: '2026-01-08',
+    lot_size: 75,
+    // Short leg listed first: entry must still send the long leg first.
+    legs: [
+      leg('CE', 22600, 'SELL', 100, { role: 'SHORT', lot_size: 75 }),
+      leg('CE', 22500, 'BUY', 150, { role: 'LONG', lot_size: 75 }),
+    ],
+    netPremium: 50,
+    maxLoss: 50,
+    maxProfit: 50,
+  };
+  plan.anchor = { ...plan.legs[1], lot_size: 75, structure: plan.kind };
+
+  // fills: tradingsymbol:side -> { status, price } (default COMPLETE at the leg's ltp)
+  function buildTm(fills = {}) {
+    const placed = [];
+    const orders = new Map();
+    let seq = 0;
+    const tm = {
+      kite: {
+        orderBasketMargins: jest.fn(async () => ({ initial: { total: 30000 }, final: { total: 21000 }, orders: [] })),
+        getMargins: jest.fn(async () => ({ equity: { available: { live_balance: 100000 } } })),
+      },
+      lastPriceByToken: new Map(),
+      risk: { markFailure: jest.fn(), markTradeOpened: jest.fn() },
+      portfolioGovernor: { registerTradeOpen: jest.fn(async () => {}) },
+      _syncActiveTradeState: jest.fn(),
+      _underlyingKeyForTrade: () => 'NIFTY',
+      _finalizeClosed: jest.fn(async () => {}),
+      setKillSwitch: jest.fn(async () => {}),
+      _safeCancelOrder: jest.fn(async () => {}),
+      _safePlaceOrder: jest.fn(async (variety, params) => {
+        const orderId = `O${++seq}`;
+        const key = `${params.tradingsymbol}:${params.transaction_type}`;
+        const nth = placed.filter((p) => p === key).length;
+        placed.push(key);
+        const f = [].concat(fills[key] || [])[nth] || {};
+        const ltp = plan.legs.find((l) => l.tradingsymbol === params.tradingsymbol).ltp;
+        const status = f.status || 'COMPLETE';
+        orders.set(orderId, {
+          status,
+          order: {
+            filled_quantity: status === 'COMPLETE' ? params.quantity : 0,
+            average_price: f.price ?? ltp,
+            status_message: f.message || null,
+          },
+        });
+        return { orderId };
+      }),
+      _getOrderStatus: jest.fn(async (orderId) => orders.get(orderId)),
+    };
+    tm.structures = new StructureTrader({ tm, makeTag: (id, role) => `${role}-${id.slice(0, 6)}` });
+    return { tm, placed };
+  }
+
+  test('exit levels scale with max loss / max profit', () => {
+    expect(structureExitLevels(plan, 75, { OPT_STRUCTURE_SL_PCT: 50, OPT_STRUCTURE_TARGET_PCT: 60 })).toEqual({
+      stopLossInr: 1875,
+      targetInr: 2250,
+    });
+    const straddle = { maxLoss: 290, maxProfit: null };
+    expect(structureExitLevels(straddle, 75, { OPT_STRUCTURE_SL_PCT: 20, OPT_STRUCTURE_TARGET_R: 2 })).toEqual({
+      stopLossInr: 4350,
+      targetInr: 8700,
+    });
+    expect(orderLegsForEntry(plan.legs).map((l) => l.side)).toEqual(['BUY', 'SELL']);
+    expect(orderLegsForExit(plan.legs.slice().reverse()).map((l) => l.side)).toEqual(['SELL', 'BUY']);
+  });
+
+  test('enters hedge first, marks combined PnL and exits shorts first', async () => {
+    env.OPT_STRUCTURE_MAX_LOTS = 2;
+    const { tm, placed } = buildTm({ 'NIFTY22500CE:SELL': { price: 120 }, 'NIFTY22600CE:BUY': { price: 85 } });
+    const res = await tm.structures.enter({ signal: { strategyId: 'orb' }, plan, riskKey: 'NIFTY:orb', riskTradeInr: 4000 });
+    expect(res).toBeUndefined();
+    expect(placed).toEqual(['NIFTY22500CE:BUY', 'NIFTY22600CE:SELL']);
+    expect(tm.kite.orderBasketMargins).toHaveBeenCalledTimes(1);
+
+    const [trade] = mockTrades.values();
+    // 4000 budget / 1875 per lot -> 2 lots
+    expect(trade).toMatchObject({ status: 'LIVE', qty: 150, entryPrice: 50 });
+    expect(trade.structure).toMatchObject({ kind: 'BULL_CALL_SPREAD', lots: 2, stopLossInr: 3750, targetInr: 4500 });
+    expect(tm.risk.markTradeOpened).toHaveBeenCalledWith('NIFTY:orb', expect.objectContaining({ qty: 150 }));
+
+    const live = tm.structures.live.get(trade.tradeId);
+    tm.lastPriceByToken.set(225001, 160).set(226001, 95);
+    expect(tm.structures.openPnl(live)).toBe((10 + 5) * 150);
+
+    const exit = jest.spyOn(tm.structures, 'exit').mockResolvedValue();
+    tm.lastPriceByToken.set(225001, 110).set(226001, 85);
+    tm.structures.onTick(225001);
+    expect(exit).toHaveBeenCalledWith(live, 'STRUCTURE_SL');
+    exit.mockRestore();
+
+    // 01:00 IST on Jan 7 is still Jan 6 in UTC; the PnL must land on the IST day.
+    const { Settings } = require('luxon');
+    const realNow = Settings.now;
+    Settings.now = () => Date.parse('2025-01-06T19:30:00Z');
+    try {
+      await tm.structures.exit(live, 'STRUCTURE_SL');
+    } finally {
+      Settings.now = realNow;
+    }
+    expect(placed.slice(2)).toEqual(['NIFTY22600CE:BUY', 'NIFTY22500CE:SELL']);
+    const closed = mockTrades.get(trade.tradeId);
+    expect(closed.status).toBe('EXITED_SL');
+    expect(closed.structure.pnlInr).toBe((120 - 150) * 150 + (100 - 85) * 150);
+    expect(upsertDailyRisk).toHaveBeenCalledWith('2025-01-07', expect.objectContaining({ realizedPnl: -2250 }));
+    expect(tm._finalizeClosed).toHaveBeenCalledWith(trade.tradeId, 225001);
+  });
+
+  test('a rejected leg unwinds the filled hedge and fails the entry', async () => {
+    const { tm, placed } = buildTm({
+      'NIFTY22600CE:SELL': { status: 'REJECTED', message: 'Insufficient funds' },
+      'NIFTY22500CE:SELL': { price: 148 },
+    });
+    const res = await tm.structures.enter({ signal: {}, plan, riskKey: 'k', riskTradeInr: 5000 });
+    expect(res).toBe('structure_leg_failed');
+    expect(placed).toEqual(['NIFTY22500CE:BUY', 'NIFTY22600CE:SELL', 'NIFTY22500CE:SELL']);
+
+    const [trade] = mockTrades.values();
+    expect(trade.status).toBe('ENTRY_FAILED');
+    expect(trade.closeReason).toMatch(/STRUCTURE_LEG_FAILED \| NIFTY22600CE \| Insufficient funds/);
+    expect(trade.structure.pnlInr).toBe(-2 * 75);
+    expect(tm.risk.markTradeOpened).not.toHaveBeenCalled();
+    expect(tm._finalizeClosed).toHaveBeenCalledTimes(1);
+  });
+
+  test('blocks when one lot exceeds the risk budget or the basket margin', async () => {
+    const { tm, placed } = buildTm();
+    await expect(tm.structures.enter({ signal: {}, plan, riskKey: 'k', riskTradeInr: 1000 })).resolves.toBe(
+      'structure_risk_exceeds_budget',
+    );
+    tm.kite.getMargins.mockResolvedValue({ equity: { available: { live_balance: 15000 } } });
+    await expect(tm.structures.enter({ signal: {}, plan, riskKey: 'k', riskTradeInr: 5000 })).resolves.toBe(
+      'structure_insufficient_margin',
+    );
+    expect(placed).toEqual([]);
+    expect(mockTrades.size).toBe(0);
+  });
+
+  test('reconcile exits what is left when a leg disappears at the broker', async () => {
+    env.OPT_STRUCTURE_RECONCILE_GRACE_MS = 0;
+    const { tm, placed } = buildTm();
+    await tm.structures.enter({ signal: {}, plan, riskKey: 'k', riskTradeInr: 5000 });
+    const [trade] = mockTrades.values();
+
+    // Both legs held as expected: nothing to do.
+    await tm.structures.reconcile(trade, new Map([[225001, 75], [226001, -75]]));
+    expect(tm.setKillSwitch).not.toHaveBeenCalled();
+
+    // Short leg bought back outside the engine: the long leg is closed too.
+    await tm.structures.reconcile(mockTrades.get(trade.tradeId), new Map([[225001, 75]]));
+    expect(tm.setKillSwitch).toHaveBeenCalledWith(true, 'STRUCTURE_LEG_MISMATCH');
+    expect(placed.slice(2)).toEqual(['NIFTY22500CE:SELL']);
+    expect(mockTrades.get(trade.tradeId).status).toBe('CLOSED');
+  });
+
+  test('basket margin falls back to summing legs without the basket endpoint', async () => {
+    const kite = { orderMargins: jest.fn(async ([req]) => [{ total: req.transaction_type === 'SELL' ? 90000 : 11000 }]) };
+    const basket = plan.legs.map((l) => ({
+      params: { exchange: 'NFO', tradingsymbol: l.tradingsymbol, transaction_type: l.side, product: 'MIS' },
+      qty: 75,
+      entryPriceGuess: l.ltp,
+    }));
+    const res = await calcMarginsForOrder({ kite, basket });
+    expect(res).toMatchObject({ required: 101000, basket: false });
+    expect(kite.orderMargins).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,169 @@
+describe("paper broker", () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    process.env.MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/test";
+    process.env.MONGO_DB = process.env.MONGO_DB || "test";
+    process.env.KITE_API_KEY = process.env.KITE_API_KEY || "test_key";
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const eq = { instrument_token: 101, exchange: "NSE", tradingsymbol: "ABC", tick_size: 0.1, lot_size: 1 };
+  const opt = {
+    instrument_token: 202,
+    exchange: "NFO",
+    tradingsymbol: "NIFTY25JAN23500CE",
+    instrument_type: "CE",
+    tick_size: 0.05,
+    lot_size: 75,
+    freeze_qty: 1800,
+  };
+  const wait = () => jest.advanceTimersByTimeAsync(10);
+  const depth = (bids, asks) => ({
+    buy: bids.map(([price, quantity]) => ({ price, quantity, orders: 1 })),
+    sell: asks.map(([price, quantity]) => ({ price, quantity, orders: 1 })),
+  });
+
+  function setup(opts = {}) {
+    const { PaperBroker } = require("../src/strategy/paperBroker");
+    const updates = [];
+    const live = {
+      getQuote: jest.fn(async (keys) => ({
+        [keys[0]]: { last_price: 120, depth: depth([[119.95, 300]], [[120.05, 300]]) },
+      })),
+    };
+    const broker = new PaperBroker({
+      live,
+      latencyMs: 0,
+      slippageBps: 0,
+      onOrderUpdate: (o) => updates.push([o.order_id, o.status, o.filled_quantity]),
+      ...opts,
+    });
+    broker.registerInstruments([eq, opt]);
+    return { broker, updates, live };
+  }
+
+  const place = (broker, p) =>
+    broker.placeOrder("regular", { exchange: "NSE", tradingsymbol: "ABC", product: "MIS", ...p });
+
+  test("market orders walk the streamed book and report through order updates", async () => {
+    const { broker, updates } = setup();
+    broker.onMarketTicks([{ instrument_token: 101, last_price: 100, depth: depth([[99.9, 50]], [[100, 10], [100.5, 20]]) }]);
+    const { order_id: id } = await place(broker, { transaction_type: "BUY", quantity: 25, order_type: "MARKET" });
+    expect(id).toMatch(/^\d{16}$/);
+    await wait();
+
+    const [o] = await broker.getOrders();
+    expect(o).toMatchObject({ status: "COMPLETE", filled_quantity: 25, placed_by: "PAPER" });
+    expect(o.average_price).toBeCloseTo((10 * 100 + 15 * 100.5) / 25, 6);
+    expect(updates.map((u) => u[1])).toEqual(["OPEN", "UPDATE", "COMPLETE"]);
+
+    // A market order larger than the visible book keeps filling on later ticks.
+    // Liquidity taken on a tick stays taken until the next one.
+    const { order_id: bigId } = await place(broker, { transaction_type: "BUY", quantity: 30, order_type: "MARKET" });
+    await wait();
+    const big = async () => (await broker.getOrderHistory(bigId)).at(-1);
+    expect(await big()).toMatchObject({ status: "OPEN", filled_quantity: 5 });
+    broker.onMarketTicks([{ instrument_token: 101, last_price: 100.6, depth: depth([[100.5, 5]], [[100.6, 18]]) }]);
+    expect(await big()).toMatchObject({ status: "OPEN", filled_quantity: 23 });
+    broker.onMarketTicks([{ instrument_token: 101, last_price: 100.7, depth: depth([[100.6, 5]], [[100.7, 40]]) }]);
+    expect(await big()).toMatchObject({ status: "COMPLETE", filled_quantity: 30 });
+
+    const { net } = await broker.getPositions();
+    expect(net[0]).toMatchObject({ quantity: 55, product: "MIS" });
+  });
+
+  test("stops wait for their trigger and limits fill on touch or trade-through", async () => {
+    const { broker, updates } = setup();
+    broker.onMarketTicks([{ instrument_token: 101, last_price: 100, depth: depth([[99.9, 100]], [[100, 100]]) }]);
+    await place(broker, { transaction_type: "BUY", quantity: 20, order_type: "MARKET" });
+    await wait();
+
+    const { order_id: sl } = await place(broker, {
+      transaction_type: "SELL", quantity: 20, order_type: "SL-M", trigger_price: 99,
+    });
+    const { order_id: tgt } = await place(broker, {
+      transaction_type: "SELL", quantity: 20, order_type: "LIMIT", price: 101.5,
+    });
+    await wait();
+    const byId = async (id) => (await broker.getOrders()).find((o) => o.order_id === id);
+    expect(await byId(sl)).toMatchObject({ status: "TRIGGER PENDING" });
+
+    // Trailing the stop, then cancelling the target.
+    await broker.modifyOrder("regular", sl, { trigger_price: 99.5 });
+    await expect(broker.modifyOrder("regular", sl, { trigger_price: 99.55 })).rejects.toThrow(/tick size/);
+    broker.onMarketTicks([{ instrument_token: 101, last_price: 99.6, depth: depth([[99.5, 100]], [[99.6, 100]]) }]);
+    expect(await byId(sl)).toMatchObject({ status: "TRIGGER PENDING" });
+    broker.onMarketTicks([{ instrument_token: 101, last_price: 99.4, depth: depth([[99.3, 8], [99.2, 50]], [[99.4, 100]]) }]);
+    const stop = await byId(sl);
+    expect(stop).toMatchObject({ status: "COMPLETE", filled_quantity: 20 });
+    expect(stop.average_price).toBeCloseTo((8 * 99.3 + 12 * 99.2) / 20, 6);
+
+    await broker.cancelOrder("regular", tgt);
+    await expect(broker.cancelOrder("regular", sl)).rejects.toThrow(/cannot be cancelled/);
+    await wait();
+    expect(updates.filter((u) => u[0] === tgt).map((u) => u[1])).toEqual(["OPEN", "CANCELLED"]);
+
+    // Resting buy limit below the book: untouched by the bid side, filled on a trade-through.
+    const { order_id: lim } = await place(broker, { transaction_type: "BUY", quantity: 5, order_type: "LIMIT", price: 98 });
+    await wait();
+    broker.onMarketTicks([{ instrument_token: 101, last_price: 98.5, depth: depth([[98, 100]], [[98.5, 100]]) }]);
+    expect(await byId(lim)).toMatchObject({ status: "OPEN", filled_quantity: 0 });
+    broker.onMarketTicks([{ instrument_token: 101, last_price: 97.9, depth: depth([[97.8, 100]], [[97.9, 100]]) }]);
+    expect(await byId(lim)).toMatchObject({ status: "COMPLETE", average_price: 98 });
+  });
+
+  test("entry checks mirror Kite: product, lot size, freeze qty and margin", async () => {
+    const { broker, updates, live } = setup({ startingCash: 50_000 });
+    const fo = (p) =>
+      broker.placeOrder("regular", { exchange: "NFO", tradingsymbol: opt.tradingsymbol, product: "NRML", ...p });
+
+    await expect(place(broker, { transaction_type: "BUY", quantity: 1, product: "NRML" })).rejects.toThrow(/NRML/);
+    await expect(fo({ transaction_type: "BUY", quantity: 75, product: "CNC" })).rejects.toThrow(/CNC/);
+    await expect(fo({ transaction_type: "BUY", quantity: 80 })).rejects.toThrow(/lot size 75/);
+    await expect(fo({ transaction_type: "BUY", quantity: 1875 })).rejects.toThrow(/freeze limit of 1800/);
+
+    // No tick yet: the live quote seeds the book. 450 × 120 exceeds the cash (option buys need full premium).
+    const { order_id: tooBig } = await fo({ transaction_type: "BUY", quantity: 450, order_type: "MARKET" });
+    await wait();
+    expect(live.getQuote).toHaveBeenCalledWith([`NFO:${opt.tradingsymbol}`]);
+    expect((await broker.getOrderHistory(tooBig)).at(-1)).toMatchObject({ status: "REJECTED" });
+    expect(updates.find((u) => u[0] === tooBig)[1]).toBe("REJECTED");
+    expect((await broker.getOrderHistory(tooBig)).at(-1).status_message).toMatch(/Insufficient funds/);
+
+    const { order_id: ok } = await fo({ transaction_type: "BUY", quantity: 300, order_type: "MARKET" });
+    await wait();
+    expect((await broker.getOrderHistory(ok)).at(-1)).toMatchObject({ status: "COMPLETE", average_price: 120.05 });
+    // Closing the position needs no margin.
+    const { order_id: exit } = await fo({ transaction_type: "SELL", quantity: 300, order_type: "MARKET" });
+    await wait();
+    expect((await broker.getOrderHistory(exit)).at(-1)).toMatchObject({ status: "COMPLETE", average_price: 119.95 });
+    expect(broker.snapshot().margins.realised).toBeCloseTo(-30, 6);
+  });
+
+  test("a held MIS option buy keeps its full premium utilised", async () => {
+    const { broker } = setup({ startingCash: 50_000 });
+    const fo = (p) =>
+      broker.placeOrder("regular", { exchange: "NFO", tradingsymbol: opt.tradingsymbol, product: "MIS", ...p });
+
+    const { order_id: first } = await fo({ transaction_type: "BUY", quantity: 300, order_type: "MARKET" });
+    await wait();
+    expect((await broker.getOrderHistory(first)).at(-1)).toMatchObject({ status: "COMPLETE" });
+    // 300 × 120 LTP, not divided by the MIS leverage of 5.
+    expect(broker.snapshot().margins.utilised).toBeCloseTo(36_000, 6);
+
+    const { order_id: second } = await fo({ transaction_type: "BUY", quantity: 150, order_type: "MARKET" });
+    await wait();
+    expect((await broker.getOrderHistory(second)).at(-1).status_message).toMatch(/Insufficient funds/);
+  });
+});
@@ -0,0 +1,153 @@
+describe("strategy parameter profiles", () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    process.env.MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/test";
+    process.env.MONGO_DB = process.env.MONGO_DB || "test";
+    process.env.KITE_API_KEY = process.env.KITE_API_KEY || "test_key";
+    process.env.STRATEGY_PROFILES_ENABLED = "true";
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  function seed(paramProfiles) {
+    paramProfiles._setActive([
+      {
+        strategyId: "breakout",
+        name: "default",
+        version: 2,
+        match: {},
+        inherits: null,
+        params: { volMult: 1.5 },
+        active: true,
+      },
+      {
+        strategyId: "breakout",
+        name: "nifty_1m",
+        version: 4,
+        match: { underlying: "nifty", intervalMin: 1 },
+        inherits: "default",
+        params: { lookback: 12 },
+        active: true,
+      },
+      {
+        strategyId: "breakout",
+        name: "nifty_1m_trend",
+        version: 1,
+        match: { underlying: "NIFTY", intervalMin: 1, regime: "TREND" },
+        inherits: "nifty_1m",
+        params: { lookback: 30 },
+        active: true,
+      },
+      {
+        strategyId: "breakout",
+        name: "token_256265",
+        version: 7,
+        match: { token: 256265 },
+        inherits: "default",
+        params: { lookback: 40 },
+        active: true,
+      },
+    ]);
+  }
+
+  test("picks the most specific matching profile and inherits parent params", () => {
+    const { paramProfiles } = require("../src/strategy/paramProfiles");
+    seed(paramProfiles);
+
+    const p1 = paramProfiles.resolve({
+      strategyId: "breakout",
+      underlying: "NIFTY",
+      intervalMin: 1,
+      regime: "RANGE",
+    });
+    expect(p1).toMatchObject({ id: "nifty_1m", version: 4 });
+    expect(p1.params).toEqual({ volMult: 1.5, lookback: 12 });
+    expect(p1.chain).toEqual(["default@2", "nifty_1m@4"]);
+
+    const p2 = paramProfiles.resolve({
+      strategyId: "breakout",
+      underlying: "NIFTY",
+      intervalMin: 1,
+      regime: "trend",
+    });
+    expect(p2).toMatchObject({ id: "nifty_1m_trend", version: 1 });
+    expect(p2.params).toEqual({ volMult: 1.5, lookback: 30 });
+
+    const p3 = paramProfiles.resolve({
+      strategyId: "breakout",
+      instrument_token: 256265,
+      underlying: "NIFTY",
+      intervalMin: 1,
+    });
+    expect(p3).toMatchObject({ id: "token_256265", version: 7 });
+
+    const p4 = paramProfiles.resolve({
+      strategyId: "breakout",
+      underlying: "BANKNIFTY",
+      intervalMin: 3,
+    });
+    expect(p4).toMatchObject({ id: "default", version: 2 });
+
+    expect(paramProfiles.resolve({ strategyId: "orb", intervalMin: 1 })).toBeNull();
+  });
+
+  test("returns null when profiles are disabled", () => {
+    process.env.STRATEGY_PROFILES_ENABLED = "false";
+    const { paramProfiles } = require("../src/strategy/paramProfiles");
+    seed(paramProfiles);
+    expect(
+      paramProfiles.resolve({ strategyId: "breakout", underlying: "NIFTY", intervalMin: 1 }),
+    ).toBeNull();
+  });
+
+  test("runStrategy applies the profile and stamps it onto the signal", () => {
+    const { paramProfiles } = require("../src/strategy/paramProfiles");
+    const { registerStrategy, runStrategy } = require("../src/strategy/registry");
+    const { z } = require("zod");
+    registerStrategy({
+      id: "echo",
+      style: "TREND",
+      family: "TEST",
+      params: z.object({ conf: z.coerce.number() }),
+      defaults: () => ({ conf: 50 }),
+      evaluate: (candles, params) => ({ side: "BUY", confidence: params.conf, reason: "echo" }),
+    });
+    paramProfiles._setActive([
+      {
+        strategyId: "echo",
+        name: "m3",
+        version: 5,
+        match: { intervalMin: 3 },
+        inherits: null,
+        params: { conf: 77 },
+        active: true,
+      },
+    ]);
+
+    const candles = [{ ts: new Date(), open: 1, high: 1, low: 1, close: 1, volume: 1 }];
+    expect(runStrategy("echo", candles, { intervalMin: 3 })).toMatchObject({
+      confidence: 77,
+      paramProfile: { id: "m3", version: 5 },
+    });
+    expect(runStrategy("echo", candles, { intervalMin: 1 })).toMatchObject({
+      confidence: 50,
+      paramProfile: null,
+    });
+    expect(
+      runStrategy("echo", candles, { intervalMin: 3, useProfiles: false }).confidence,
+    ).toBe(50);
+  });
+
+  test("diffObjects reports changed keys only", () => {
+    const { diffObjects } = require("../src/strategy/paramProfiles");
+    expect(diffObjects({ a: 1, b: 2 }, { a: 1, b: 3, c: 4 })).toEqual({
+      b: { from: 2, to: 3 },
+      c: { from: null, to: 4 },
+    });
+  });
+});
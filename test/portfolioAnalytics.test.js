@@ -0,0 +1,145 @@
+jest.mock("../src/db", () => require("./helpers/memoryDbMock"));
+
+const {
+  validateAnalyticsQuery,
+  getAnalyticsSummary,
+  getEquityCurve,
+  getBreakdown,
+  getPeriodStats,
+  getAnalyticsTrades,
+} = require("../src/reports/portfolioAnalytics");
+const { toCsv } = require("../src/utils/csv");
+
+const RANGE = { from: "2025-01-06", to: "2025-01-12" }; // Mon..Sun
+
+function trade(id, day, { gross, est, actual, risk, strategyId = "breakout", underlying = "NIFTY", hour = "10:00" }) {
+  const closedAt = new Date(`${day}T${hour}:00+05:30`);
+  return {
+    tradeId: id,
+    status: gross >= 0 ? "EXITED_TARGET" : "EXITED_SL",
+    strategyId,
+    side: "BUY",
+    qty: 10,
+    pnlGrossInr: gross,
+    estCostsInr: est,
+    ...(actual !== undefined ? { contractNote: { actualChargesInr: actual, reconciledAt: closedAt } } : {}),
+    initialRiskInr: risk,
+    signalSnapshot: { underlying, regime: "trend" },
+    entryAt: new Date(closedAt.getTime() - 20 * 60_000),
+    createdAt: new Date(closedAt.getTime() - 21 * 60_000),
+    closedAt,
+    updatedAt: closedAt,
+  };
+}
+
+describe("portfolio analytics", () => {
+  const { mockDb } = require("../src/db");
+
+  beforeEach(async () => {
+    mockDb.reset();
+    await mockDb.collection("trades").insertMany([
+      trade("A", "2025-01-06", { gross: 300, est: 20, actual: 25, risk: 250 }),
+      trade("B", "2025-01-06", { gross: -200, est: 20, risk: 200, strategyId: "vwap", underlying: "RELIANCE", hour: "11:00" }),
+      trade("C", "2025-01-07", { gross: -100, est: 10, risk: 100 }),
+      trade("D", "2025-01-09", { gross: -50, est: 10, risk: 120, underlying: "BANKNIFTY", hour: "15:25" }),
+      trade("E", "2025-01-10", { gross: 500, est: 20, risk: 240, strategyId: "vwap" }),
+      // Never filled: no PnL, left out of every metric.
+      { tradeId: "F", status: "ENTRY_FAILED", closedAt: new Date("2025-01-08T05:00:00Z"), updatedAt: new Date("2025-01-08T05:00:00Z") },
+    ]);
+  });
+
+  test("portfolio metrics are net of actual charges over trading days", async () => {
+    const { metrics: m } = await getAnalyticsSummary(RANGE);
+    expect(m).toMatchObject({
+      trades: 5,
+      wins: 2,
+      losses: 3,
+      winRate: 0.4,
+      pnlGrossInr: 450,
+      chargesInr: 85,
+      pnlNetInr: 365,
+      profitFactor: 1.936,
+      expectancyInr: 73,
+      expectancyR: 0.08,
+      maxWinStreak: 1,
+      maxLossStreak: 3,
+      currentStreakType: "WIN",
+      currentStreakLength: 1,
+      days: 5, // weekend excluded
+      activeDays: 4,
+      maxDrawdownInr: 170,
+      maxDrawdownDay: "2025-01-09",
+      currentDrawdownInr: 0,
+      longestUnderwaterDays: 3,
+      currentUnderwaterDays: 0,
+      underwaterDaysPct: 60,
+      chargesFromContractNotes: 1,
+    });
+    expect(m.sharpe).toBeCloseTo(4.914, 3);
+    expect(m.sortino).toBeCloseTo(20.68, 2);
+    expect(m.calmar).toBeCloseTo(108.212, 3);
+  });
+
+  test("equity curve and starting equity percentages", async () => {
+    const { rows } = await getEquityCurve({ ...RANGE, startingEquityInr: 1000 });
+    expect(rows.map((r) => [r.day, r.pnlNetInr, r.equityInr, r.drawdownInr])).toEqual([
+      ["2025-01-06", 55, 1055, 0],
+      ["2025-01-07", -110, 945, 110],
+      ["2025-01-08", 0, 945, 110],
+      ["2025-01-09", -60, 885, 170],
+      ["2025-01-10", 480, 1365, 0],
+    ]);
+    expect(rows[3].drawdownPct).toBeCloseTo(16.114, 3);
+  });
+
+  test("breakdowns by strategy, underlying, time bucket and weekday", async () => {
+    const byStrategy = await getBreakdown({ ...RANGE, by: "strategy" });
+    expect(byStrategy.rows.map((r) => [r.strategy, r.trades, r.pnlNetInr])).toEqual([
+      ["vwap", 2, 260],
+      ["breakout", 3, 105],
+    ]);
+    const summary = await getAnalyticsSummary(RANGE);
+    expect(summary.breakdowns.underlying.map((r) => r.underlying).sort()).toEqual(["BANKNIFTY", "NIFTY", "RELIANCE"]);
+    expect(summary.breakdowns.regime).toEqual([expect.objectContaining({ regime: "TREND", trades: 5 })]);
+    expect(summary.breakdowns.timeBucket.map((r) => r.timeBucket).sort()).toEqual(["CLOSE", "MID", "OPEN"]);
+    expect(summary.breakdowns.weekday.map((r) => r.weekday).sort()).toEqual(["Fri", "Mon", "Thu", "Tue"]);
+
+    const csv = toCsv(byStrategy.rows).split("\n");
+    expect(csv[0].split(",").slice(0, 3)).toEqual(["strategy", "trades", "wins"]);
+    expect(csv).toHaveLength(4);
+  });
+
+  test("period rollups by day, week and month", async () => {
+    expect((await getPeriodStats({ ...RANGE, period: "day" })).rows).toHaveLength(5);
+    const week = await getPeriodStats({ from: "2025-01-06", to: "2025-01-19", period: "week" });
+    expect(week.rows.map((r) => [r.period, r.trades, r.pnlNetInr])).toEqual([
+      ["2025-W02", 5, 365],
+      ["2025-W03", 0, 0],
+    ]);
+    const month = await getPeriodStats({ ...RANGE, period: "month" });
+    expect(month.rows).toEqual([expect.objectContaining({ period: "2025-01", trades: 5 })]);
+  });
+
+  test("daily rollups are cached and recomputed when trades change", async () => {
+    expect((await getAnalyticsTrades(RANGE)).cache).toEqual({ days: 7, recomputed: 7 });
+    expect((await getAnalyticsTrades(RANGE)).cache).toEqual({ days: 7, recomputed: 0 });
+
+    await mockDb.collection("trades").updateOne(
+      { tradeId: "C" },
+      { $set: { contractNote: { actualChargesInr: 30, reconciledAt: new Date() } } },
+    );
+    const after = await getAnalyticsTrades(RANGE);
+    expect(after.cache.recomputed).toBe(1);
+    expect(after.rows.find((r) => r.tradeId === "C")).toMatchObject({ chargesInr: 30, chargesSource: "contract_note", pnlNetInr: -130, r: -1.3 });
+
+    expect((await getAnalyticsTrades({ ...RANGE, refresh: "1" })).cache.recomputed).toBe(7);
+  });
+
+  test("invalid queries are rejected before any work", () => {
+    expect(() => validateAnalyticsQuery({ from: "2025-13-01" })).toThrow(/invalid from/);
+    expect(() => validateAnalyticsQuery({ from: "2025-01-10", to: "2025-01-01" })).toThrow(/after/);
+    expect(() => validateAnalyticsQuery({ from: "2020-01-01", to: "2025-01-01" })).toThrow(/range longer/);
+    expect(() => validateAnalyticsQuery({ by: "colour" })).toThrow(/invalid by/);
+    expect(() => validateAnalyticsQuery({ period: "year" })).toThrow(/invalid period/);
+  });
+});
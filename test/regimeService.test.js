@@ -0,0 +1,193 @@
+describe("regime service", () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    process.env.MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/test";
+    process.env.MONGO_DB = process.env.MONGO_DB || "test";
+    process.env.KITE_API_KEY = process.env.KITE_API_KEY || "test_key";
+    process.env.REGIME_SERVICE_ENABLED = "true";
+    process.env.REGIME_VIX_TOKEN = "0";
+    process.env.REGIME_USE_OPTION_IV = "false";
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  // 11:30 IST onwards, well outside the open window.
+  const START = Date.parse("2025-01-15T06:00:00Z");
+
+  function makeCandles(n, { startMs = START, drift = 0.4, wiggle = 3 } = {}) {
+    const out = [];
+    let prev = 20000;
+    for (let i = 0; i < n; i++) {
+      const close = 20000 + i * drift + Math.sin(i / 2) * wiggle;
+      out.push({
+        ts: new Date(startMs + i * 60_000),
+        open: prev,
+        high: Math.max(prev, close) + 2,
+        low: Math.min(prev, close) - 2,
+        close,
+        volume: 1000,
+      });
+      prev = close;
+    }
+    return out;
+  }
+
+  const nowOf = (candles) => new Date(candles[candles.length - 1].ts);
+
+  test("hysteresis holds TREND/RANGE between the entry and exit bands", () => {
+    const { regimeFeatures, classifyRegime } = require("../src/strategy/regimeService");
+    const { env } = require("../src/config");
+    const candles = makeCandles(90);
+    const now = nowOf(candles);
+    const f = regimeFeatures({ candles, env, now });
+    expect(f.ok).toBe(true);
+
+    const e = {
+      ...env,
+      REGIME_VOLATILE_ENABLED: "false",
+      SELECTOR_TREND_DIFF_ATR: f.diffInAtr + 0.1,
+      REGIME_TREND_EXIT_DIFF_ATR: Math.max(0, f.diffInAtr - 0.1),
+      SELECTOR_RANGE_PCT_MAX: 0,
+    };
+    expect(classifyRegime({ candles, env: e, now, prev: "TREND" })).toMatchObject({
+      regime: "TREND",
+      reason: "EMA_DIFF_ATR",
+    });
+    expect(classifyRegime({ candles, env: e, now, prev: "RANGE" })).toMatchObject({
+      regime: "RANGE",
+      reason: "HYSTERESIS_HOLD",
+    });
+    expect(classifyRegime({ candles, env: e, now }).reason).toBe("FALLBACK");
+  });
+
+  test("VIX enters VOLATILE above the high band and leaves only below the exit band", () => {
+    const { classifyRegime } = require("../src/strategy/regimeService");
+    const { env } = require("../src/config");
+    const candles = makeCandles(90);
+    const now = nowOf(candles);
+    const e = { ...env, REGIME_VIX_HIGH: 22, REGIME_VIX_EXIT: 20 };
+
+    expect(classifyRegime({ candles, env: e, now, vix: 25 })).toMatchObject({
+      regime: "VOLATILE",
+      reason: "HIGH_VIX",
+    });
+    expect(classifyRegime({ candles, env: e, now, vix: 21, prev: "VOLATILE" }).regime).toBe(
+      "VOLATILE",
+    );
+    expect(classifyRegime({ candles, env: e, now, vix: 21 }).regime).not.toBe("VOLATILE");
+    expect(
+      classifyRegime({ candles, env: e, now, vix: 19, prev: "VOLATILE" }).regime,
+    ).not.toBe("VOLATILE");
+  });
+
+  test("VOLATILE is never classified while the service is off", () => {
+    const { classifyRegime } = require("../src/strategy/regimeService");
+    const { env } = require("../src/config");
+    const candles = makeCandles(90);
+    const now = nowOf(candles);
+    const e = { ...env, REGIME_VIX_HIGH: 22, REGIME_SERVICE_ENABLED: "false" };
+
+    expect(classifyRegime({ candles, env: e, now, vix: 25 }).regime).not.toBe("VOLATILE");
+    expect(classifyRegime({ candles, env: e, now, vix: 25, prev: "VOLATILE" }).regime).not.toBe(
+      "VOLATILE",
+    );
+  });
+
+  test("a flat ATR is not read as volatility expansion", () => {
+    const { regimeFeatures } = require("../src/strategy/regimeService");
+    const { env } = require("../src/config");
+    const candles = makeCandles(150, { drift: 0, wiggle: 0 });
+    const f = regimeFeatures({ candles, env, now: nowOf(candles) });
+    expect(f.atrPctl).toBeCloseTo(50, 0);
+  });
+
+  test("tracker switches only after confirm bars on distinct candles and the dwell time", () => {
+    const { createRegimeTracker } = require("../src/strategy/regimeService");
+    const { env } = require("../src/config");
+    const e = { ...env, REGIME_CONFIRM_BARS: 2, REGIME_MIN_DWELL_MIN: 5, REGIME_VIX_HIGH: 22 };
+    const tracker = createRegimeTracker({ env: e });
+    const candles = makeCandles(90);
+    const now = nowOf(candles);
+
+    const first = tracker.update("NIFTY:1", { candles, now });
+    expect(first.changed).toBe(true);
+    const base = first.state.regime;
+    expect(base).not.toBe("VOLATILE");
+
+    // Same candle twice with high VIX: still one pending bar.
+    const t1 = new Date(now.getTime() + 10 * 60_000);
+    const c1 = makeCandles(90, { startMs: START + 10 * 60_000 });
+    expect(tracker.update("NIFTY:1", { candles: c1, now: t1, vix: 30 }).changed).toBe(false);
+    expect(tracker.update("NIFTY:1", { candles: c1, now: t1, vix: 30 }).changed).toBe(false);
+    expect(tracker.get("NIFTY:1").pending).toEqual({ regime: "VOLATILE", count: 1 });
+
+    const t2 = new Date(t1.getTime() + 60_000);
+    const c2 = makeCandles(90, { startMs: START + 11 * 60_000 });
+    const res = tracker.update("NIFTY:1", { candles: c2, now: t2, vix: 30 });
+    expect(res).toMatchObject({ changed: true, from: base });
+    expect(res.state.regime).toBe("VOLATILE");
+
+    // Dwell not yet met: two confirming bars are not enough to leave.
+    const c3 = makeCandles(90, { startMs: START + 12 * 60_000 });
+    const c4 = makeCandles(90, { startMs: START + 13 * 60_000 });
+    tracker.update("NIFTY:1", { candles: c3, now: new Date(t2.getTime() + 60_000), vix: 10 });
+    const held = tracker.update("NIFTY:1", {
+      candles: c4,
+      now: new Date(t2.getTime() + 2 * 60_000),
+      vix: 10,
+    });
+    expect(held.changed).toBe(false);
+    expect(held.state.regime).toBe("VOLATILE");
+  });
+
+  test("OPEN switches immediately and a new session resets the state", () => {
+    const { createRegimeTracker } = require("../src/strategy/regimeService");
+    const { env } = require("../src/config");
+    const tracker = createRegimeTracker({ env: { ...env, REGIME_CONFIRM_BARS: 3 } });
+    const candles = makeCandles(90);
+    tracker.update("NIFTY:1", { candles, now: nowOf(candles) });
+
+    // 09:20 IST next day
+    const nextOpen = new Date("2025-01-16T03:50:00Z");
+    const res = tracker.update("NIFTY:1", { candles, now: nextOpen });
+    expect(res).toMatchObject({ changed: true, from: null });
+    expect(res.state.regime).toBe("OPEN");
+  });
+
+  test("service records transitions in the day timeline and emits change", async () => {
+    const { regimeService } = require("../src/strategy/regimeService");
+    const { dayKey } = require("../src/telemetry/signalTelemetry");
+    const candles = makeCandles(90);
+    const now = nowOf(candles);
+    const events = [];
+    regimeService.on("change", (row) => events.push(row));
+
+    const out = regimeService.update({ instrument_token: 999001, intervalMin: 1, candles, now });
+    expect(["TREND", "RANGE"]).toContain(out.regime);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ key: "999001:1", from: null, to: out.regime });
+
+    const rows = await regimeService.timeline({ day: dayKey(now) });
+    expect(rows.map((r) => r.key)).toEqual(["999001:1"]);
+  });
+
+  test("selector uses the VOLATILE bucket for a VOLATILE regime", () => {
+    process.env.STRATEGIES_ALWAYS = "ema_cross";
+    process.env.STRATEGIES_TREND = "breakout";
+    process.env.STRATEGIES_VOLATILE = "bb_squeeze";
+    const { env } = require("../src/config");
+    const { pickStrategies } = require("../src/strategy/selector");
+    const out = pickStrategies({
+      candles: [],
+      env,
+      regime: { regime: "VOLATILE", reason: "HIGH_VIX", meta: {} },
+    });
+    expect(out.regime).toBe("VOLATILE");
+    expect(out.strategyIds).toEqual(["ema_cross", "bb_squeeze"]);
+  });
+});
@@ -0,0 +1,140 @@
+jest.mock("../src/db", () => require("./helpers/memoryDbMock"));
+jest.mock("../src/kite/tickerManager", () => ({ setSession: jest.fn().mockResolvedValue(undefined) }));
+jest.mock("../src/alerts/alertService", () => ({ alert: jest.fn().mockResolvedValue(undefined) }));
+
+const crypto = require("crypto");
+const { env } = require("../src/config");
+const {
+  putSecret,
+  getSecret,
+  resolveSecret,
+  listSecrets,
+  rotateSecrets,
+  describeSecretsStore,
+} = require("../src/security/secrets");
+const { redactSecrets, registerSecretValue, CENSOR } = require("../src/security/redact");
+const { persistKiteSession } = require("../src/kite/kiteLogin");
+const { readLatestTokenDoc } = require("../src/tokenStore");
+const { addChannel, listChannels, emitNotification } = require("../src/alerts/notificationCenter");
+const { recordAudit, listAuditLogs } = require("../src/audit/auditLog");
+
+const KEY_A = crypto.randomBytes(32).toString("hex");
+const KEY_B = crypto.randomBytes(32).toString("base64");
+const HOOK = "https://hooks.example.com/services/T000/B000/abcdefSECRET";
+
+describe("secrets store", () => {
+  const { mockDb } = require("../src/db");
+
+  beforeEach(() => {
+    mockDb.reset();
+    env.SECRETS_MASTER_KEY = KEY_A;
+    delete env.SECRETS_PREVIOUS_MASTER_KEYS;
+  });
+
+  afterAll(() => {
+    delete env.SECRETS_MASTER_KEY;
+  });
+
+  test("put/get/list keep values encrypted and versioned", async () => {
+    await putSecret("telegram.bot_token", "123456:AAbot");
+    const meta = await putSecret("telegram.bot_token", "123456:BBbot", { actor: "ops" });
+    expect(meta).toMatchObject({ name: "telegram.bot_token", version: 2, updatedBy: "ops" });
+    expect(await getSecret("telegram.bot_token")).toBe("123456:BBbot");
+    expect(await listSecrets()).toEqual([expect.not.objectContaining({ data: expect.anything() })]);
+    await expect(putSecret("bad name!", "x")).rejects.toThrow(/invalid secret name/);
+
+    // Env value is the fallback when the store has nothing.
+    expect(await resolveSecret("kite.api_secret", "from-env")).toBe("from-env");
+  });
+
+  test("kite session tokens are sealed at rest and opened by tokenStore", async () => {
+    await persistKiteSession({
+      session: { user_id: "AB1234", access_token: "acc-token-123", refresh_token: "", public_token: "pub" },
+      requestToken: "rt",
+    });
+    const raw = await mockDb.collection(env.TOKENS_COLLECTION).findOne({ type: "kite_session" });
+    expect(raw.access_token).toBeUndefined();
+    expect(raw.access_token_enc).toMatchObject({ keyId: expect.any(String), dek: expect.any(Object) });
+    expect(raw.public_token).toBe("pub");
+    expect(JSON.stringify(raw)).not.toContain("acc-token-123");
+
+    const res = await readLatestTokenDoc();
+    expect(res.accessToken).toBe("acc-token-123");
+
+    env.SECRETS_MASTER_KEY = KEY_B; // old key gone: token unreadable, engine keeps polling
+    expect(await readLatestTokenDoc()).toMatchObject({ accessToken: null, reason: "TOKEN_DECRYPT_FAILED" });
+  });
+
+  test("webhook URLs are sealed and masked in listings", async () => {
+    const ch = await addChannel({ name: "ops", type: "webhook", target: HOOK });
+    expect(ch).toMatchObject({ target: "https://hooks.example.com/…", sealed: true });
+    expect(ch.targetEnc).toBeUndefined();
+    const stored = await mockDb.collection("notification_channels").findOne({ name: "ops" });
+    expect(JSON.stringify(stored)).not.toContain("abcdefSECRET");
+    expect((await listChannels())[0].target).toBe("https://hooks.example.com/…");
+
+    const fetchSpy = jest.spyOn(global, "fetch").mockResolvedValue({ ok: true, status: 200 });
+    try {
+      const res = await emitNotification({ type: "test", message: "hi", severity: "info" });
+      expect(res.delivered).toEqual([expect.objectContaining({ ok: true })]);
+      expect(fetchSpy).toHaveBeenCalledWith(HOOK, expect.any(Object));
+    } finally {
+      fetchSpy.mockRestore();
+    }
+  });
+
+  test("master key rotation re-seals the store, tokens and legacy plaintext", async () => {
+    await putSecret("kite.password", "hunter2");
+    await persistKiteSession({ session: { user_id: "AB1234", access_token: "acc-token-123" }, requestToken: "rt" });
+    // Written by the external token generator: must stay readable as-is.
+    await mockDb.collection(env.TOKENS_COLLECTION).insertOne({ user_id: "AB1234", access_token: "external-token" });
+    // Written before the store existed: plaintext webhook.
+    await mockDb.collection("notification_channels").insertOne({ name: "legacy", type: "webhook", target: HOOK, enabled: true });
+    const oldKeyId = describeSecretsStore().keyId;
+
+    env.SECRETS_MASTER_KEY = KEY_B;
+    env.SECRETS_PREVIOUS_MASTER_KEYS = KEY_A;
+    expect(await getSecret("kite.password")).toBe("hunter2"); // readable through the keyring
+
+    const res = await rotateSecrets({ actor: "ops" });
+    expect(res).toMatchObject({ ok: true, store: { rotated: 1 } });
+    expect(res.keyId).not.toBe(oldKeyId);
+    const byLabel = Object.fromEntries(res.embedded.map((e) => [e.label, e]));
+    expect(byLabel.kite_tokens).toMatchObject({ rotated: 1, sealed: 0 });
+    expect(byLabel.notification_channels).toMatchObject({ rotated: 0, sealed: 1 });
+
+    delete env.SECRETS_PREVIOUS_MASTER_KEYS;
+    expect(await getSecret("kite.password")).toBe("hunter2");
+    expect((await readLatestTokenDoc()).accessToken).toBe("acc-token-123");
+    const external = await mockDb.collection(env.TOKENS_COLLECTION).findOne({ access_token: "external-token" });
+    expect(external.access_token_enc).toBeUndefined();
+    const legacy = await mockDb.collection("notification_channels").findOne({ name: "legacy" });
+    expect(legacy).toMatchObject({ target: "https://hooks.example.com/…", targetEnc: { keyId: res.keyId } });
+  });
+
+  test("redaction by key name and by known value, applied to audit logs", async () => {
+    registerSecretValue("sk-live-abcdef");
+    const input = {
+      user: "ops",
+      password: "pw",
+      nested: { access_token: "tok", instrument_token: 256265, apiSecret: "s" },
+      msg: "call failed for https://x/bot?key=sk-live-abcdef",
+      err: new Error("token sk-live-abcdef rejected"),
+    };
+    const out = redactSecrets(input);
+    expect(out).toMatchObject({
+      user: "ops",
+      password: CENSOR,
+      nested: { access_token: CENSOR, instrument_token: 256265, apiSecret: CENSOR },
+      msg: `call failed for https://x/bot?key=${CENSOR}`,
+    });
+    expect(out.err.message).toBe(`token ${CENSOR} rejected`);
+    expect(input.password).toBe("pw"); // not mutated
+
+    // Values read from the store are registered automatically.
+    await putSecret("telegram.bot_token", "999999:XYZsecret");
+    await recordAudit({ actor: "ops", action: "x", meta: { note: "using 999999:XYZsecret", password: "pw" } });
+    const [row] = await listAuditLogs({ limit: 1 });
+    expect(row.meta).toEqual({ note: `using ${CENSOR}`, password: CENSOR });
+  });
+});
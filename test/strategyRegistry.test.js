@@ -0,0 +1,151 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+function makeCandles(n, { base = 100, step = 0.1, volume = 1000 } = {}) {
+  const out = [];
+  const t0 = Date.parse("2025-01-15T04:00:00Z");
+  for (let i = 0; i < n; i += 1) {
+    const close = base + i * step;
+    out.push({
+      ts: new Date(t0 + i * 60_000),
+      open: close - step / 2,
+      high: close + 0.2,
+      low: close - 0.2,
+      close,
+      volume,
+    });
+  }
+  return out;
+}
+
+describe("strategy plugin registry", () => {
+  const originalEnv = { ...process.env };
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    process.env.MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/test";
+    process.env.MONGO_DB = process.env.MONGO_DB || "test";
+    process.env.KITE_API_KEY = process.env.KITE_API_KEY || "test_key";
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "strategy-plugins-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test("registers all built-in strategies with their metadata", () => {
+    const { listStrategies, getStrategyMeta } = require("../src/strategy/registry");
+    const ids = listStrategies().map((s) => s.id).sort();
+    expect(ids).toEqual(
+      [
+        "bb_squeeze",
+        "breakout",
+        "ema_cross",
+        "ema_pullback",
+        "fakeout",
+        "orb",
+        "rsi_fade",
+        "volume_spike",
+        "vwap_reclaim",
+        "wick_reversal",
+      ].sort(),
+    );
+    expect(getStrategyMeta("orb")).toEqual({ style: "OPEN", family: "OPEN" });
+    expect(getStrategyMeta("nope")).toEqual({ style: "UNKNOWN", family: "UNKNOWN" });
+  });
+
+  test("discovers external plugins from STRATEGY_PLUGIN_DIRS", () => {
+    fs.writeFileSync(
+      path.join(tmpDir, "alwaysBuy.js"),
+      `const { z } = require(${JSON.stringify(require.resolve("zod"))});
+module.exports = {
+  id: "always_buy",
+  style: "TREND",
+  family: "TEST",
+  params: z.object({ conf: z.coerce.number().min(0).max(100) }),
+  defaults: () => ({ conf: 61 }),
+  minCandles: 5,
+  evaluate: (candles, params, ctx) => ({
+    side: "BUY",
+    confidence: params.conf,
+    reason: "interval " + ctx.intervalMin,
+  }),
+};`,
+    );
+    process.env.STRATEGY_PLUGIN_DIRS = tmpDir;
+    process.env.STRATEGIES = "always_buy,not_registered";
+
+    const { enabledStrategyIds, runStrategy } = require("../src/strategy/registry");
+    expect(enabledStrategyIds()).toEqual(["always_buy"]);
+
+    expect(runStrategy("always_buy", makeCandles(4))).toBeNull();
+
+    const res = runStrategy("always_buy", makeCandles(10), { intervalMin: 3 });
+    expect(res).toMatchObject({
+      side: "BUY",
+      confidence: 61,
+      reason: "interval 3",
+      strategyId: "always_buy",
+      strategyStyle: "TREND",
+      strategyFamily: "TEST",
+    });
+
+    const tuned = runStrategy("always_buy", makeCandles(10), { params: { conf: "75" } });
+    expect(tuned.confidence).toBe(75);
+
+    expect(runStrategy("always_buy", makeCandles(10), { params: { conf: 500 } })).toBeNull();
+  });
+
+  test("skips broken external plugins but keeps built-ins", () => {
+    fs.writeFileSync(path.join(tmpDir, "broken.js"), "module.exports = { id: 'Bad Id' };");
+    process.env.STRATEGY_PLUGIN_DIRS = tmpDir;
+
+    const { hasStrategy } = require("../src/strategy/registry");
+    expect(hasStrategy("ema_cross")).toBe(true);
+    expect(hasStrategy("Bad Id")).toBe(false);
+  });
+
+  test("rejects duplicate ids and honours requiresVolume", () => {
+    const { registerStrategy, runStrategy } = require("../src/strategy/registry");
+    expect(() =>
+      registerStrategy({ id: "ema_cross", style: "TREND", family: "X", evaluate: () => null }),
+    ).toThrow(/duplicate/);
+
+    registerStrategy({
+      id: "needs_vol",
+      style: "RANGE",
+      family: "X",
+      requiresVolume: true,
+      evaluate: () => ({ side: "SELL", confidence: 50, reason: "x" }),
+    });
+    expect(runStrategy("needs_vol", makeCandles(3))).toMatchObject({ side: "SELL" });
+    expect(runStrategy("needs_vol", makeCandles(3), { disableVolumeStrategies: true })).toBeNull();
+  });
+
+  test("replay engine evaluates through the registry", () => {
+    process.env.STRATEGIES = "ema_cross";
+    process.env.SIGNAL_INTERVALS = "1";
+    process.env.ALLOW_SYNTHETIC_SIGNALS = "true";
+    const { registerStrategy } = require("../src/strategy/registry");
+    const { evaluateOnCandles } = require("../src/strategy/replayEngine");
+    registerStrategy(
+      {
+        id: "ema_cross",
+        style: "TREND",
+        family: "TREND",
+        evaluate: () => ({ side: "BUY", confidence: 70, reason: "stub" }),
+      },
+      { replace: true },
+    );
+
+    const sig = evaluateOnCandles({ candles: makeCandles(60), intervalMin: 1 });
+    expect(sig).toMatchObject({ strategyId: "ema_cross", side: "BUY", reason: "stub" });
+  });
+});
@@ -0,0 +1,262 @@
+describe("tick-level backtester", () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    process.env.MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/test";
+    process.env.MONGO_DB = process.env.MONGO_DB || "test";
+    process.env.KITE_API_KEY = process.env.KITE_API_KEY || "test_key";
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const T0 = Date.parse("2025-01-06T03:50:00Z"); // 09:20 IST
+  const inst = { instrument_token: 101, exchange: "NSE", tradingsymbol: "ABC", tick_size: 0.05 };
+
+  test("virtual time drives Date and engine timers only when advanced", async () => {
+    const { installVirtualTime } = require("../src/backtest/virtualTime");
+    const { createBacktestClock } = require("../src/backtest/clock");
+    const RealDate = Date;
+    const before = new Date();
+    const clock = createBacktestClock(T0);
+    const vt = installVirtualTime({ clock, isVirtualCaller: (f) => f.endsWith("tickBacktest.test.js") });
+    try {
+      expect(Date.now()).toBe(T0);
+      expect(new Date().getTime()).toBe(T0);
+      expect(before instanceof Date).toBe(true);
+      expect(new Date("2025-01-01T00:00:00Z").getTime()).toBe(Date.parse("2025-01-01T00:00:00Z"));
+
+      const seen = [];
+      setTimeout(() => seen.push(["b", Date.now() - T0]), 2000);
+      setTimeout(() => seen.push(["a", Date.now() - T0]), 1000);
+      const every = setInterval(() => seen.push(["i", Date.now() - T0]), 1500);
+      const dropped = setTimeout(() => seen.push(["x"]), 500);
+      clearTimeout(dropped);
+      expect(typeof every.unref().hasRef).toBe("function");
+
+      expect(await vt.advanceTo(T0 + 3000)).toBe(4);
+      expect(seen).toEqual([["a", 1000], ["i", 1500], ["b", 2000], ["i", 3000]]);
+      expect(Date.now()).toBe(T0 + 3000);
+      clearInterval(every);
+      expect(vt.pending()).toBe(0);
+    } finally {
+      vt.uninstall();
+    }
+    expect(Date).toBe(RealDate);
+    expect(Math.abs(Date.now() - RealDate.now())).toBeLessThan(5);
+  });
+
+  test("shared interval and retry helpers land on virtual time under the default caller rule", async () => {
+    const { installVirtualTime, realYield } = require("../src/backtest/virtualTime");
+    const { createBacktestClock } = require("../src/backtest/clock");
+    const intervals = require("../src/utils/intervalRegistry");
+    const { getQuoteGuarded, getQuoteGuardStats } = require("../src/kite/quoteGuard");
+    const random = jest.spyOn(Math, "random").mockReturnValue(0.5); // zero jitter
+    const vt = installVirtualTime({ clock: createBacktestClock(T0) });
+    try {
+      const runs = [];
+      intervals.start("vt-probe", () => runs.push(Date.now() - T0), 1000);
+      expect(vt.pending()).toBe(1);
+
+      // 429 twice, then a quote: retries back off 250ms then 500ms.
+      const calls = [];
+      const kite = {
+        getQuote: async (keys) => {
+          calls.push(Date.now() - T0);
+          if (calls.length < 3) throw Object.assign(new Error("Too many requests"), { status: 429 });
+          return { [keys[0]]: { last_price: 10 } };
+        },
+      };
+      let quotes = null;
+      getQuoteGuarded(kite, ["NSE:ABC"], { label: "vt" }).then((q) => (quotes = q));
+      for (let i = 0; i < 5; i++) await realYield();
+      expect(calls).toEqual([0]);
+      expect(runs).toEqual([]);
+
+      await vt.advanceTo(T0 + 2000);
+      expect(calls).toEqual([0, 250, 750]);
+      expect(quotes).toEqual({ "NSE:ABC": { last_price: 10 } });
+      expect(getQuoteGuardStats().stats.retries).toBe(2);
+      expect(runs).toEqual([1000, 2000]);
+      expect(intervals.get("vt-probe")).toMatchObject({ runCount: 2, lastRunTs: T0 + 2000 });
+    } finally {
+      intervals.stopAll();
+      vt.uninstall();
+      random.mockRestore();
+    }
+  });
+
+  test("synthesized paths visit the adverse extreme first and batch per frame", () => {
+    const { candlePath, candleTickBatches } = require("../src/backtest/tickPaths");
+    const bull = candlePath({ ts: new Date(T0), open: 100, high: 103, low: 99, close: 102 }, { ticksPerLeg: 1 });
+    expect(bull.map((p) => p.price)).toEqual([100, 99, 103, 102]);
+    expect(bull[0].ts).toBe(T0);
+    expect(bull.at(-1).ts).toBe(T0 + 59_000);
+    const bear = candlePath({ ts: new Date(T0), open: 100, high: 101, low: 97, close: 98 }, { ticksPerLeg: 1 });
+    expect(bear.map((p) => p.price)).toEqual([100, 101, 97, 98]);
+
+    const candles = [
+      { instrument_token: 2, ts: new Date(T0), open: 50, high: 51, low: 49, close: 50.5, volume: 40 },
+      { instrument_token: 1, ts: new Date(T0), open: 100, high: 103, low: 99, close: 102, volume: 10 },
+      { instrument_token: 1, ts: new Date(T0 + 60_000), open: 102, high: 102, low: 101, close: 101, volume: 10 },
+    ];
+    const batches = Array.from(candleTickBatches(candles, { ticksPerLeg: 1 }));
+    expect(batches).toHaveLength(8);
+    expect(batches[0].ticks.map((t) => t.instrument_token)).toEqual([1, 2]);
+    const lastTok1 = batches.at(-1).ticks[0];
+    expect(lastTok1).toMatchObject({ instrument_token: 1, last_price: 101, volume_traded: 20 });
+    expect(lastTok1.ohlc).toMatchObject({ open: 100, high: 103, low: 99 });
+    expect(lastTok1.depth.sell[0].price).toBeGreaterThan(lastTok1.depth.buy[0].price);
+  });
+
+  function simSetup(opts = {}) {
+    const { installVirtualTime } = require("../src/backtest/virtualTime");
+    const { createBacktestClock } = require("../src/backtest/clock");
+    const { createSimKite } = require("../src/backtest/simKite");
+    const clock = createBacktestClock(T0);
+    const vt = installVirtualTime({ clock });
+    const { kite, ticker } = createSimKite({
+      clock,
+      latencyMs: 100,
+      model: { spreadBps: 0, slippageBps: 0 },
+      marketData: {
+        historical: async (token, iMin, from, to) =>
+          [0, 1, 2, 3].map((k) => ({ ts: new Date(T0 - (4 - k) * 60_000), open: 1, high: 1, low: 1, close: 1 }))
+            .filter((c) => c.ts <= to),
+      },
+      ...opts,
+    });
+    kite.registerInstruments([inst]);
+    ticker.connected = true;
+    const updates = [];
+    ticker.on("order_update", (o) => updates.push({ at: Date.now() - T0, status: o.status, filled: o.filled_quantity }));
+    const tick = (px) => kite.onMarketTicks([{ instrument_token: 101, last_price: px }]);
+    return { vt, kite, ticker, clock, updates, tick };
+  }
+
+  test("sim broker fills market, SL-M and limit orders and emits updates after latency", async () => {
+    const { vt, kite, updates, tick } = simSetup();
+    try {
+      tick(100);
+      const { order_id: entry } = await kite.placeOrder("regular", {
+        exchange: "NSE", tradingsymbol: "ABC", transaction_type: "BUY", quantity: 10, order_type: "MARKET", product: "MIS",
+      });
+      expect(updates).toEqual([]);
+      await vt.advanceTo(T0 + 250);
+      expect(updates).toEqual([
+        { at: 100, status: "OPEN", filled: 0 },
+        { at: 200, status: "COMPLETE", filled: 10 },
+      ]);
+      expect((await kite.getOrderHistory(entry)).at(-1)).toMatchObject({ status: "COMPLETE", average_price: 100 });
+
+      const { order_id: sl } = await kite.placeOrder("regular", {
+        exchange: "NSE", tradingsymbol: "ABC", transaction_type: "SELL", quantity: 10, order_type: "SL-M", trigger_price: 99, product: "MIS",
+      });
+      await kite.placeOrder("regular", {
+        exchange: "NSE", tradingsymbol: "ABC", transaction_type: "SELL", quantity: 10, order_type: "LIMIT", price: 105, product: "MIS",
+      });
+      await vt.advanceTo(T0 + 1000);
+      tick(98.5);
+      await vt.advanceTo(T0 + 1200);
+      expect((await kite.getOrders()).find((o) => o.order_id === sl)).toMatchObject({ status: "COMPLETE", average_price: 98.5 });
+      await expect(kite.cancelOrder("regular", sl)).rejects.toThrow(/cannot be cancelled/);
+      await expect(
+        kite.placeOrder("regular", {
+          exchange: "NSE", tradingsymbol: "ABC", transaction_type: "SELL", quantity: 1, order_type: "LIMIT", price: 100.03,
+        }),
+      ).rejects.toThrow(/tick size/);
+
+      const { net } = await kite.getPositions();
+      expect(net[0]).toMatchObject({ quantity: 0, realised: -15, buy_quantity: 10, sell_quantity: 10 });
+      expect((await kite.getMargins()).equity.available.cash).toBe(1_000_000 - 15);
+
+      // Bars that have not closed by the virtual now are never served.
+      const hist = await kite.getHistoricalData(101, "minute", new Date(T0 - 3_600_000), new Date(T0 + 3_600_000));
+      expect(hist.map((c) => c.date.getTime())).toEqual([T0 - 240_000, T0 - 180_000, T0 - 120_000, T0 - 60_000]);
+    } finally {
+      vt.uninstall();
+    }
+  });
+
+  test("driver replays batches on virtual time through the ticker manager", async () => {
+    const { runTickBacktest } = require("../src/backtest/tickBacktest");
+    const { candleTickBatches } = require("../src/backtest/tickPaths");
+
+    // Minimal stand-in for tickerManager: subscribe on connect, buy once on the
+    // first tick above 101, sell on a virtual 90s time stop.
+    function fakeTickerManager() {
+      let factories = null;
+      let kite = null;
+      let ticker = null;
+      const trader = { _opQueueDepth: 0, _opStats: { started: 0, finished: 0 }, log: [] };
+      let bought = false;
+      return {
+        trader,
+        setClientFactories: (f) => (factories = f),
+        isTickDrainIdle: () => true,
+        getPipeline: () => ({ trader }),
+        async setSession() {
+          kite = factories.createKiteConnect({});
+          ticker = factories.createTicker({});
+          ticker.on("connect", async () => ticker.subscribe([101]));
+          ticker.on("ticks", (ticks) => {
+            const t = ticks[0];
+            if (bought || t.last_price <= 101) return;
+            bought = true;
+            trader.log.push(["signal", Date.now(), t.exchange_timestamp.getTime()]);
+            kite.placeOrder("regular", { exchange: "NSE", tradingsymbol: "ABC", transaction_type: "BUY", quantity: 5, order_type: "MARKET" });
+            setTimeout(() => {
+              trader.log.push(["time_stop", Date.now()]);
+              kite.placeOrder("regular", { exchange: "NSE", tradingsymbol: "ABC", transaction_type: "SELL", quantity: 5, order_type: "MARKET" });
+            }, 90_000);
+          });
+          ticker.on("order_update", (o) => trader.log.push([o.status, Date.now()]));
+          ticker.connect();
+        },
+        async shutdownAll() {
+          ticker.disconnect();
+        },
+      };
+    }
+
+    const candles = [0, 1, 2, 3].map((k) => ({
+      instrument_token: 101,
+      ts: new Date(T0 + k * 60_000),
+      open: 100 + k,
+      high: 102 + k,
+      low: 99.5 + k,
+      close: 101 + k,
+      volume: 100,
+    }));
+    const run = async () => {
+      const tm = fakeTickerManager();
+      const res = await runTickBacktest({
+        batches: candleTickBatches(candles, { ticksPerLeg: 2 }),
+        instruments: [inst],
+        broker: { latencyMs: 100, seed: 9, model: { spreadBps: 4, slippageBps: 2 } },
+        tailMs: 120_000,
+        settleQuietMs: 2,
+        tickerManager: tm,
+        isVirtualCaller: (f) => f.includes("/src/") || f.endsWith("tickBacktest.test.js"),
+      });
+      return { res, log: tm.trader.log };
+    };
+
+    const a = await run();
+    expect(a.res.stats).toMatchObject({ batches: 28, ticks: 28, deliveredTicks: 28 });
+    const [signal] = a.log;
+    expect(signal[1]).toBe(signal[2]);
+    const stop = a.log.find((x) => x[0] === "time_stop");
+    expect(stop[1] - signal[1]).toBe(90_000);
+    expect(a.res.fills.map((f) => f.transaction_type)).toEqual(["BUY", "SELL"]);
+    expect(a.res.broker.positions[0].quantity).toBe(0);
+
+    const b = await run();
+    expect(b.res.fills).toEqual(a.res.fills);
+    expect(b.log).toEqual(a.log);
+    expect(Date.now()).toBeGreaterThan(Date.parse("2026-01-01"));
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("tick recorder and replay store", () => {
+  const originalEnv = { ...process.env };
+  let dir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ticks-"));
+    process.env = { ...originalEnv };
+    process.env.MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/test";
+    process.env.MONGO_DB = process.env.MONGO_DB || "test";
+    process.env.KITE_API_KEY = process.env.KITE_API_KEY || "test_key";
+    process.env.TICK_RECORDER_SINK = "file";
+    process.env.TICK_RECORDER_DIR = dir;
+    process.env.CANDLE_TZ = "Asia/Kolkata";
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const T0 = Date.parse("2025-01-06T03:50:00Z"); // 09:20 IST
+  const tick = (token, ms, px, extra = {}) => ({
+    instrument_token: token,
+    last_price: px,
+    exchange_timestamp: new Date(ms),
+    depth: { buy: [{ price: px - 0.05, quantity: 10, orders: 1 }], sell: [{ price: px + 0.05, quantity: 8, orders: 1 }] },
+    oi: 1200,
+    ...extra,
+  });
+
+  test("file sink round-trips compressed day chunks and prunes old days", async () => {
+    const store = require("../src/market/tickStore");
+    expect(store.collectionForDay("2025-01-06")).toBe("ticks_20250106");
+    expect(store.dayFromCollection("ticks_20250106")).toBe("2025-01-06");
+    expect(store.dayFromCollection("candles_1m")).toBeNull();
+    // 23:50 IST on the 5th still belongs to the 5th.
+    expect(store.dayKeyFor(Date.parse("2025-01-05T18:20:00Z"))).toBe("2025-01-05");
+
+    await store.writeChunk({ day: "2025-01-06", token: 101, ticks: [tick(101, T0, 100)] });
+    await store.writeChunk({ day: "2025-01-06", token: 101, ticks: [tick(101, T0 + 1000, 100.5)] });
+    await store.writeChunk({ day: "2025-01-06", token: 202, ticks: [tick(202, T0, 50)] });
+    await store.writeChunk({ day: "2024-12-20", token: 101, ticks: [tick(101, T0 - 17 * 86_400_000, 90)] });
+
+    const byToken = await store.readDay("2025-01-06", { tokens: [101] });
+    expect(Array.from(byToken.keys())).toEqual([101]);
+    const ticks = byToken.get(101);
+    expect(ticks.map((t) => t.last_price)).toEqual([100, 100.5]);
+    expect(ticks[1].exchange_timestamp).toBeInstanceOf(Date);
+    expect(ticks[1].exchange_timestamp.getTime()).toBe(T0 + 1000);
+    expect(ticks[0].depth.sell[0]).toEqual({ price: 100.05, quantity: 8, orders: 1 });
+
+    expect(await store.listDays()).toEqual(["2024-12-20", "2025-01-06"]);
+    const { pruneTickCaptures } = require("../src/market/retention");
+    const res = await pruneTickCaptures({ retentionDays: 7, nowMs: T0 });
+    expect(res.dropped).toEqual(["2024-12-20"]);
+    expect(await store.listDays()).toEqual(["2025-01-06"]);
+  });
+
+  test("recorder buffers off the tick path, filters tokens and caps the buffer", async () => {
+    process.env.TICK_RECORDER_ENABLED = "true";
+    process.env.TICK_RECORDER_TOKENS = "101,202";
+    process.env.TICK_RECORDER_MAX_BUFFER = "3";
+    process.env.TICK_RECORDER_RETENTION_DAYS = "0";
+    const { TickRecorder } = require("../src/market/tickRecorder");
+    const { readDay } = require("../src/market/tickStore");
+
+    const rec = new TickRecorder();
+    expect(rec.wantsFullMode(101)).toBe(true);
+    expect(rec.wantsFullMode(303)).toBe(false);
+    rec.start();
+    try {
+      rec.onTicks([tick(101, T0, 100), tick(303, T0, 1), tick(202, T0, 50)]);
+      rec.onTicks([tick(101, T0 + 500, 100.1), tick(101, T0 + 900, 100.2)]);
+      expect(rec.snapshot()).toMatchObject({ buffered: 3, dropped: 1, recorded: 0 });
+      await rec.flush();
+      expect(rec.snapshot()).toMatchObject({ buffered: 0, recorded: 3 });
+
+      const day = await readDay("2025-01-06");
+      expect(Array.from(day.keys()).sort()).toEqual([101, 202]);
+      expect(day.get(101).map((t) => t.last_price)).toEqual([100, 100.1]);
+      expect(typeof day.get(101)[0].recv_ts).toBe("number");
+    } finally {
+      await rec.stop();
+    }
+  });
+
+  test("replay merges tokens into time-ordered batches and paces by speed", async () => {
+    const { mergeTickBatches, readTickBatches, replayTicks } = require("../src/market/tickReplay");
+    const byToken = new Map([
+      [202, [tick(202, T0, 50), tick(202, T0 + 2000, 51)]],
+      [101, [tick(101, T0, 100), tick(101, T0 + 1000, 101), tick(101, T0 + 2000, 102)]],
+    ]);
+    const batches = Array.from(mergeTickBatches(byToken));
+    expect(batches.map((b) => [b.ts - T0, b.ticks.map((t) => t.instrument_token)])).toEqual([
+      [0, [101, 202]],
+      [1000, [101]],
+      [2000, [101, 202]],
+    ]);
+
+    const { writeChunk } = require("../src/market/tickStore");
+    await writeChunk({ day: "2025-01-06", token: 101, ticks: byToken.get(101) });
+    await writeChunk({ day: "2025-01-06", token: 202, ticks: byToken.get(202) });
+
+    const sleeps = [];
+    const seen = [];
+    const stats = await replayTicks({
+      batches: readTickBatches({ days: ["2025-01-06"], fromMs: T0 + 500 }),
+      speed: 10,
+      sleep: async (ms) => sleeps.push(ms),
+      onBatch: (ticks, b) => seen.push([b.ts - T0, ticks.length]),
+    });
+    expect(seen).toEqual([[1000, 1], [2000, 2]]);
+    expect(stats).toMatchObject({ batches: 2, ticks: 3, firstTs: T0 + 1000, lastTs: T0 + 2000 });
+    expect(sleeps).toHaveLength(1);
+    expect(sleeps[0]).toBeGreaterThan(90);
+    expect(sleeps[0]).toBeLessThanOrEqual(100);
+  });
+});
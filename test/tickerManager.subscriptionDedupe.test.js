@@ -14,3 +14,31 @@ describe('tickerManager subscription dedupe', () => {
     expect(second).toEqual([103]);
   });
 });
+
+describe('tickerManager modes with the tick recorder', () => {
+  const { env } = require('../src/config');
+  const saved = { ...env };
+
+  afterEach(() => {
+    Object.assign(env, saved);
+    tickerManager.__setTickerForTests(null);
+  });
+
+  test('only recorded tokens are lifted to full mode', () => {
+    Object.assign(env, {
+      TICK_RECORDER_ENABLED: 'true',
+      TICK_RECORDER_FULL_MODE: 'true',
+      TICK_RECORDER_TOKENS: '101',
+    });
+    const setMode = jest.fn();
+    tickerManager.__setTickerForTests({ setMode });
+
+    tickerManager.__applyModeForTests([101, 102, 103], 'quote');
+    expect(setMode.mock.calls).toEqual([['quote', [102, 103]], ['full', [101]]]);
+
+    setMode.mockClear();
+    env.TICK_RECORDER_FULL_MODE = 'false';
+    tickerManager.__applyModeForTests([101, 102], 'ltp');
+    expect(setMode.mock.calls).toEqual([['ltp', [101, 102]]]);
+  });
+});
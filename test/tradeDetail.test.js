@@ -0,0 +1,120 @@
+jest.mock("../src/db", () => require("./helpers/memoryDbMock"));
+
+const path = require("path");
+const { insertTrade, appendExitAdjustment, getTrade } = require("../src/trading/tradeStore");
+const { getTradeDetail, searchTrades, buildTradeSearchFilter } = require("../src/trading/tradeService");
+const { loadScenarioFile, runScenario } = require("../src/backtest/lifecycleScenario");
+
+describe("trade detail", () => {
+  const { mockDb } = require("../src/db");
+  beforeEach(() => mockDb.reset());
+
+  test("assembles orders, fills, signal and costs for a completed lifecycle", async () => {
+    const scenario = loadScenarioFile(path.join(__dirname, "scenarios", "eq_long_target.json"));
+    const result = await runScenario(scenario, { db: mockDb });
+    const [t] = result.trades;
+    await mockDb
+      .collection("trades")
+      .updateOne({ tradeId: t.tradeId }, { $set: { estCostsInr: 40, contractNote: { actualChargesInr: 43.5 } } });
+
+    const d = await getTradeDetail({ tradeId: t.tradeId });
+    expect(d.trade).toMatchObject({ tradeId: t.tradeId, status: "EXITED_TARGET" });
+    expect(d.orders.map((o) => o.role)).toEqual(expect.arrayContaining(["ENTRY", "TARGET"]));
+    expect(d.orders.find((o) => o.role === "ENTRY").order_id).toBe(String(t.entryOrderId));
+    expect(d.fills.find((f) => f.role === "ENTRY")).toMatchObject({ qty: t.qty, transaction_type: "BUY" });
+    expect(d.orderLogs.length).toBeGreaterThan(0);
+    expect(d.signal).toMatchObject({ strategyId: t.strategyId, side: "BUY" });
+    expect(d.signal.decisionTrail.at(-1)).toMatchObject({ outcome: "EXECUTABLE_SIGNAL" });
+    expect(d.costs).toMatchObject({ estimatedInr: 40, actualInr: 43.5, diffInr: 3.5 });
+    expect(d.timeline.at(-1)).toMatchObject({ to: "EXITED_TARGET" });
+    expect(await getTradeDetail({ tradeId: "nope" })).toBeNull();
+  }, 60000);
+
+  test("exit adjustments are appended in order with a timestamp", async () => {
+    await insertTrade({ tradeId: "a1", status: "LIVE", stopLoss: 99 });
+    await appendExitAdjustment("a1", { kind: "SL", from: 99, to: 99.5, reason: "TRAIL", source: "dyn_exit" });
+    await appendExitAdjustment("a1", { kind: "TARGET", from: 102, to: 101.5, reason: "DYN_TARGET_ATR" });
+    const t = await getTrade("a1");
+    expect(t.exitAdjustments.map((a) => [a.kind, a.from, a.to, a.reason])).toEqual([
+      ["SL", 99, 99.5, "TRAIL"],
+      ["TARGET", 102, 101.5, "DYN_TARGET_ATR"],
+    ]);
+    expect(t.exitAdjustments[0].ts).toBeInstanceOf(Date);
+    expect((await getTradeDetail({ tradeId: "a1" })).exitAdjustments).toHaveLength(2);
+  });
+});
+
+describe("trade search", () => {
+  const { mockDb } = require("../src/db");
+
+  beforeEach(async () => {
+    mockDb.reset();
+    const col = mockDb.collection("trades");
+    await col.insertMany([
+      {
+        tradeId: "s1",
+        status: "EXITED_TARGET",
+        strategyId: "breakout",
+        pnlGrossInr: 120,
+        exitReason: "TARGET_HIT",
+        instrument: { tradingsymbol: "NIFTY25JAN24000CE", name: "NIFTY" },
+        createdAt: new Date("2025-01-06T04:00:00Z"),
+      },
+      {
+        tradeId: "s2",
+        status: "EXITED_SL",
+        strategyId: "breakout",
+        pnlGrossInr: -80,
+        closeReason: "SL_HIT | trail",
+        instrument: { tradingsymbol: "RELIANCE", name: "RELIANCE" },
+        createdAt: new Date("2025-01-06T05:00:00Z"),
+      },
+      {
+        tradeId: "s3",
+        status: "LIVE",
+        strategyId: "vwap_reclaim",
+        option_meta: { underlying: "NIFTY" },
+        createdAt: new Date("2025-01-07T05:00:00Z"),
+      },
+      {
+        tradeId: "s4",
+        status: "CLOSED",
+        strategyId: "vwap_reclaim",
+        pnlGrossInr: 0,
+        createdAt: new Date("2025-01-05T19:00:00Z"), // 2025-01-06 00:30 IST
+      },
+      {
+        tradeId: "s5",
+        status: "EXITED_SL",
+        strategyId: "orb",
+        legs: [{ side: "BUY" }, { side: "SELL" }],
+        structure: { kind: "BULL_CALL_SPREAD", pnlInr: -2250 },
+        createdAt: new Date("2025-01-04T05:00:00Z"),
+      },
+    ]);
+  });
+
+  const ids = (r) => r.rows.map((x) => x.tradeId);
+
+  test("filters by day, strategy, underlying, outcome and exit reason", async () => {
+    expect(ids(await searchTrades({ from: "2025-01-06", to: "2025-01-06" }))).toEqual(["s2", "s1", "s4"]);
+    expect(ids(await searchTrades({ strategyId: "vwap_reclaim" }))).toEqual(["s3", "s4"]);
+    expect(ids(await searchTrades({ underlying: "nifty" }))).toEqual(["s3", "s1"]);
+    expect(ids(await searchTrades({ outcome: "win" }))).toEqual(["s1"]);
+    expect(ids(await searchTrades({ outcome: "LOSS" }))).toEqual(["s2", "s5"]);
+    expect(ids(await searchTrades({ outcome: "FLAT" }))).toEqual(["s4"]);
+    expect(ids(await searchTrades({ outcome: "OPEN" }))).toEqual(["s3"]);
+    expect(ids(await searchTrades({ exitReason: "SL_HIT" }))).toEqual(["s2"]);
+    expect(ids(await searchTrades({ exitReason: "TARGET_HIT" }))).toEqual(["s1"]);
+    expect((await searchTrades({ outcome: "LOSS" })).rows.map((r) => r.outcome)).toEqual(["LOSS", "LOSS"]);
+  });
+
+  test("paginates newest first and rejects bad input", async () => {
+    const p1 = await searchTrades({ limit: 3 });
+    expect(p1).toMatchObject({ page: 1, limit: 3, total: 5, pages: 2 });
+    expect(ids(p1)).toEqual(["s3", "s2", "s1"]);
+    expect(ids(await searchTrades({ limit: 3, page: 2 }))).toEqual(["s4", "s5"]);
+    expect(() => buildTradeSearchFilter({ from: "06-01-2025" })).toThrow(/invalid from/);
+    expect(() => buildTradeSearchFilter({ outcome: "MAYBE" })).toThrow(/invalid outcome/);
+  });
+});
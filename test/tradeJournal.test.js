@@ -0,0 +1,150 @@
+jest.mock("../src/db", () => require("./helpers/memoryDbMock"));
+
+const {
+  normalizeTags,
+  getJournal,
+  setJournal,
+  addJournalNote,
+  updateJournalNote,
+  deleteJournalNote,
+  deleteJournal,
+  captureJournalSnapshot,
+  getJournalSnapshotSvg,
+} = require("../src/trading/tradeJournal");
+const { renderCandleSnapshotSvg } = require("../src/reports/candleSnapshotSvg");
+const { searchTrades, getTradeDetail } = require("../src/trading/tradeService");
+const { buildEodReport } = require("../src/reports/eodReport");
+
+const T0 = Date.parse("2025-01-06T04:00:00Z"); // 09:30 IST
+
+function candle(i, open, close) {
+  return {
+    instrument_token: 101,
+    interval_min: 1,
+    ts: new Date(T0 + i * 60_000),
+    open,
+    high: Math.max(open, close) + 0.2,
+    low: Math.min(open, close) - 0.2,
+    close,
+  };
+}
+
+describe("trade journal", () => {
+  const { mockDb } = require("../src/db");
+
+  beforeEach(async () => {
+    mockDb.reset();
+    await mockDb.collection("trades").insertMany([
+      {
+        tradeId: "t1",
+        status: "EXITED_SL",
+        strategyId: "breakout",
+        side: "BUY",
+        instrument_token: 101,
+        instrument: { tradingsymbol: "ABC" },
+        entryPrice: 100,
+        stopLoss: 99,
+        initialStopLoss: 98.5,
+        targetPrice: 102,
+        exitPrice: 99,
+        pnlGrossInr: -50,
+        entryAt: new Date(T0 + 5 * 60_000 + 10_000),
+        exitAt: new Date(T0 + 8 * 60_000 + 5_000),
+        createdAt: new Date(T0 + 5 * 60_000),
+        updatedAt: new Date(T0 + 8 * 60_000),
+        closedAt: new Date(T0 + 8 * 60_000),
+      },
+      {
+        tradeId: "t2",
+        status: "EXITED_TARGET",
+        strategyId: "breakout",
+        pnlGrossInr: 80,
+        createdAt: new Date(T0 + 60 * 60_000),
+        updatedAt: new Date(T0 + 70 * 60_000),
+        closedAt: new Date(T0 + 70 * 60_000),
+      },
+    ]);
+  });
+
+  test("tags are normalized and validated", () => {
+    expect(normalizeTags(" Late  Entry, news,late entry")).toEqual(["late entry", "news"]);
+    expect(normalizeTags(["FOMO"])).toEqual(["fomo"]);
+    expect(() => normalizeTags(["x".repeat(41)])).toThrow(/longer than/);
+  });
+
+  test("tags, rating and notes CRUD", async () => {
+    expect(await getJournal("t1")).toMatchObject({ tradeId: "t1", tags: [], rating: null, notes: [] });
+    expect(await getJournal("nope")).toBeNull();
+    expect(await setJournal("nope", { tags: ["news"] })).toBeNull();
+    await expect(setJournal("t1", { rating: 6 })).rejects.toThrow(/rating/);
+
+    const j = await setJournal("t1", { tags: "late entry,News", rating: 2 });
+    expect(j).toMatchObject({ tags: ["late entry", "news"], rating: 2 });
+    expect((await setJournal("t1", { rating: 3 })).tags).toEqual(["late entry", "news"]);
+
+    const note = await addJournalNote("t1", { text: " chased the breakout ", author: "ops" });
+    expect(note).toMatchObject({ text: "chased the breakout", author: "ops" });
+    await addJournalNote("t1", { text: "SL was inside the noise" });
+    await expect(addJournalNote("t1", { text: "  " })).rejects.toThrow(/empty note/);
+
+    const edited = await updateJournalNote("t1", note.id, { text: "chased the breakout candle" });
+    expect(edited.text).toBe("chased the breakout candle");
+    expect(await updateJournalNote("t1", "missing", { text: "x" })).toBeNull();
+    expect(await deleteJournalNote("t1", note.id)).toBe(true);
+    expect(await deleteJournalNote("t1", note.id)).toBe(false);
+
+    const after = await getJournal("t1");
+    expect(after).toMatchObject({ rating: 3, tags: ["late entry", "news"] });
+    expect(after.notes.map((n) => n.text)).toEqual(["SL was inside the noise"]);
+    expect((await getTradeDetail({ tradeId: "t1" })).journal.notes).toHaveLength(1);
+
+    expect(await deleteJournal("t1")).toBe(true);
+    expect((await getJournal("t1")).tags).toEqual([]);
+  });
+
+  test("trade search filters by journal tag (all given tags must match)", async () => {
+    await setJournal("t1", { tags: ["late entry", "news"] });
+    await setJournal("t2", { tags: ["news"] });
+    expect((await searchTrades({ tag: "news" })).rows.map((r) => r.tradeId)).toEqual(["t2", "t1"]);
+    const both = await searchTrades({ tag: "News,late entry" });
+    expect(both.rows.map((r) => [r.tradeId, r.journalTags])).toEqual([["t1", ["late entry", "news"]]]);
+    expect((await searchTrades({ tag: "fomo" })).total).toBe(0);
+  });
+
+  test("EOD report aggregates journal tags by outcome", async () => {
+    await setJournal("t1", { tags: ["late entry", "news"] });
+    await setJournal("t2", { tags: ["news"] });
+    const report = await buildEodReport({ day: "2025-01-06" });
+    expect(report.journal.journaledTrades).toBe(2);
+    expect(report.journal.tags).toEqual([
+      { tag: "news", count: 2, wins: 1, losses: 1, totalPnlInr: 30, tradeIds: ["t1", "t2"] },
+      { tag: "late entry", count: 1, wins: 0, losses: 1, totalPnlInr: -50, tradeIds: ["t1"] },
+    ]);
+  });
+
+  test("candle snapshot is rendered around entry/exit, stored and served", async () => {
+    const rows = [];
+    for (let i = 0; i < 40; i += 1) rows.push(candle(i, 100 + Math.sin(i) * 0.5, 100 + Math.cos(i) * 0.5));
+    await mockDb.collection("candles_1m").insertMany(rows);
+
+    const snap = await captureJournalSnapshot("t1", { before: 3, after: 2 });
+    // Bars 2..10: three before the entry bar through two after the exit bar.
+    expect(snap).toMatchObject({ intervalMin: 1, source: "instrument", candles: 9, hasSvg: true });
+    const svg = await getJournalSnapshotSvg("t1");
+    expect(svg.startsWith("<svg")).toBe(true);
+    expect(svg.match(/<rect x=/g)).toHaveLength(9);
+    for (const label of ["ENTRY 100.00", "SL 99.00", "SL0 98.50", "TGT 102.00", "EXIT 99.00", ">entry<", ">exit<"]) {
+      expect(svg).toContain(label);
+    }
+    expect((await getJournal("t1")).snapshot.svg).toBeUndefined();
+
+    await expect(captureJournalSnapshot("t2")).rejects.toThrow(/no_candles/);
+    expect(await getJournalSnapshotSvg("t2")).toBeNull();
+  });
+
+  test("svg renderer escapes text and survives an empty series", () => {
+    const svg = renderCandleSnapshotSvg({ candles: [], title: "<A&B>" });
+    expect(svg).toContain("&lt;A&amp;B&gt;");
+    expect(svg.endsWith("</svg>")).toBe(true);
+  });
+});
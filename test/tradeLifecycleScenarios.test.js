@@ -0,0 +1,47 @@
+jest.mock("../src/db", () => require("./helpers/memoryDbMock"));
+
+const path = require("path");
+const {
+  loadScenarioDir,
+  runScenario,
+  checkScenario,
+  validateScenario,
+} = require("../src/backtest/lifecycleScenario");
+
+const SCENARIO_DIR = path.join(__dirname, "scenarios");
+
+describe("trade lifecycle scenarios", () => {
+  const { mockDb } = require("../src/db");
+
+  beforeEach(() => mockDb.reset());
+
+  test.each(loadScenarioDir(SCENARIO_DIR).map(({ file, scenario }) => [file, scenario]))(
+    "%s",
+    async (_file, scenario) => {
+      const result = await runScenario(scenario, { db: mockDb });
+      expect(checkScenario(scenario, result)).toEqual([]);
+    },
+    60000,
+  );
+
+  test("expected transitions must be a walk through ALLOWED_TRANSITIONS", () => {
+    const base = {
+      name: "bad",
+      start: "2025-01-06T10:00:00+05:30",
+      instruments: [{ instrument_token: 1, exchange: "NSE", tradingsymbol: "X" }],
+      timeline: [{ at: "0s" }],
+    };
+    expect(() =>
+      validateScenario({ ...base, expect: { transitions: ["ENTRY_PLACED", "LIVE", "CLOSED"] } }),
+    ).toThrow(/ENTRY_PLACED -> LIVE is not in ALLOWED_TRANSITIONS/);
+    expect(() => validateScenario({ ...base, expect: { transitions: ["LIVE_ISH"] } })).toThrow(
+      /expect\.transitions/,
+    );
+    expect(() => validateScenario({ ...base, timeline: [{ at: "5s" }, { at: "1s" }], expect: {} })).toThrow(
+      /goes back in time/,
+    );
+    expect(validateScenario({ ...base, expect: { transitions: ["ENTRY_PLACED", "ENTRY_FILLED", "LIVE"] } }).name).toBe(
+      "bad",
+    );
+  });
+});
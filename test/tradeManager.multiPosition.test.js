@@ -0,0 +1,147 @@
+const mockTrades = new Map();
+
+jest.mock('../src/trading/tradeStore', () => ({
+  ...jest.requireActual('../src/trading/tradeStore'),
+  getTrade: jest.fn(async (tradeId) => mockTrades.get(tradeId) || null),
+  getDailyRisk: jest.fn(async () => ({ realizedPnl: 0, state: 'RUNNING' })),
+  upsertDailyRisk: jest.fn(async () => {}),
+}));
+
+const { DateTime } = require('luxon');
+const { TradeManager } = require('../src/trading/tradeManager');
+const { RiskEngine } = require('../src/risk/riskEngine');
+const { PortfolioGovernor } = require('../src/risk/portfolioGovernor');
+const { env } = require('../src/config');
+
+describe('TradeManager concurrent trades', () => {
+  const envKeys = ['MAX_OPEN_POSITIONS', 'FORCE_FLATTEN_AT', 'EOD_MIS_TO_NRML_ENABLED'];
+  const originalEnv = {};
+
+  beforeAll(() => {
+    for (const key of envKeys) originalEnv[key] = env[key];
+  });
+
+  afterEach(() => {
+    for (const key of envKeys) env[key] = originalEnv[key];
+    mockTrades.clear();
+  });
+
+  function buildTm() {
+    let kill = false;
+    return new TradeManager({
+      kite: {},
+      riskEngine: {
+        setStateChangeHandler: jest.fn(),
+        tradesToday: 0,
+        getLimits: () => ({ maxOpenTrades: 2 }),
+        getKillSwitch: () => kill,
+        setKillSwitch: jest.fn((v) => {
+          kill = !!v;
+        }),
+      },
+    });
+  }
+
+  const trade = (tradeId, token, extra = {}) => {
+    const t = {
+      tradeId,
+      instrument_token: token,
+      side: 'BUY',
+      qty: 75,
+      status: 'LIVE',
+      option_meta: { underlying: extra.underlying || 'NIFTY' },
+      createdAt: new Date(),
+      ...extra,
+    };
+    mockTrades.set(tradeId, t);
+    return t;
+  };
+
+  test('tracks every active trade and enforces the slot and instrument caps', async () => {
+    const tm = buildTm();
+    tm._syncActiveTradeState(trade('A', 101));
+    expect(tm._activeTradeCapsFull(202)).toBe(false);
+    expect(tm._activeTradeCapsFull(101)).toBe(true);
+
+    tm._syncActiveTradeState(trade('B', 202, { underlying: 'BANKNIFTY' }));
+    expect(tm._activeTradeIds()).toEqual(['A', 'B']);
+    expect(tm.activeTradeId).toBe('B');
+    expect(tm.activeTrades.get('B')).toMatchObject({ token: 202, side: 'BUY', underlying: 'BANKNIFTY' });
+    expect(tm._activeTradeCapsFull(303)).toBe(true);
+    await expect(
+      tm.queueSignal({ instrument_token: 303, side: 'BUY', strategyId: 'x', signalTs: Date.now() }),
+    ).resolves.toEqual({ ok: false, reason: 'busy' });
+
+    // The legacy setter never drops concurrent slots in bulk.
+    expect(() => {
+      tm.activeTradeId = null;
+    }).toThrow(/_releaseActiveTrade/);
+    expect(tm._activeTradeIds()).toEqual(['A', 'B']);
+
+    tm._releaseActiveTrade('B');
+    expect(tm.activeTradeId).toBe('A');
+    expect(tm._activeTradeCapsFull(303)).toBe(false);
+  });
+
+  test('tick watchdogs and peak tracking run per trade on its own instrument', () => {
+    const tm = buildTm();
+    tm._syncActiveTradeState(trade('A', 101));
+    tm._syncActiveTradeState(trade('B', 202, { side: 'SELL' }));
+    tm._slWatch.set('A', { token: 101, triggerPrice: 90, exitSide: 'SELL', triggeredAtMs: 0 });
+    tm._slWatch.set('B', { token: 202, triggerPrice: 110, exitSide: 'BUY', triggeredAtMs: 0 });
+    tm._armSlWatchTriggered = jest.fn();
+
+    tm._maybeTriggerSlWatchFromTick(202, 111, Date.now());
+    expect(tm._armSlWatchTriggered).toHaveBeenCalledTimes(1);
+    expect(tm._armSlWatchTriggered.mock.calls[0][0]).toBe('B');
+    expect(tm._slWatch.get('A').lastLtp).toBeUndefined();
+
+    tm._maybeUpdatePeakFromTick(101, { last_price: 105 });
+    tm._maybeUpdatePeakFromTick(202, { last_price: 95 });
+    tm._maybeUpdatePeakFromTick(202, { last_price: 97 });
+    expect(tm._dynPeakLtpByTrade.get('A')).toBe(105);
+    expect(tm._dynPeakLtpByTrade.get('B')).toBe(95);
+  });
+
+  test('force flatten trips the kill switch once and exits every trade', async () => {
+    env.FORCE_FLATTEN_AT = '00:00';
+    env.EOD_MIS_TO_NRML_ENABLED = false;
+    const tm = buildTm();
+    tm._syncActiveTradeState(trade('A', 101));
+    tm._syncActiveTradeState(trade('B', 202));
+    tm._panicExit = jest.fn(async () => {});
+
+    await tm._forceFlattenIfNeeded();
+    expect(tm.risk.setKillSwitch).toHaveBeenCalledTimes(1);
+    expect(tm._panicExit.mock.calls.map(([t, reason]) => [t.tradeId, reason])).toEqual([
+      ['A', 'FORCE_FLATTEN'],
+      ['B', 'FORCE_FLATTEN'],
+    ]);
+  });
+
+  test('risk engine and governor cap positions per underlying and portfolio', async () => {
+    const nowMs = DateTime.fromISO('2025-01-15T11:00:00', { zone: 'Asia/Kolkata' }).toMillis();
+    const risk = new RiskEngine({
+      clock: { nowMs: () => nowMs },
+      limits: { maxOpenTrades: 3, maxOpenTradesPerUnderlying: 1, maxTradesPerDay: 10 },
+    });
+    risk.markTradeOpened('NIFTY:orb', { tradeId: 'A', side: 'BUY', qty: 75, underlying: 'NIFTY' });
+    expect(risk.canTrade('NIFTY:ema', { underlying: 'NIFTY' })).toEqual({
+      ok: false,
+      reason: 'max_positions_underlying',
+    });
+    expect(risk.canTrade('BANKNIFTY:ema', { underlying: 'BANKNIFTY' })).toEqual({ ok: true });
+
+    const gov = new PortfolioGovernor({
+      envCfg: { PORTFOLIO_GOVERNOR_ENABLED: 'true', MAX_OPEN_POSITIONS: 2, CANDLE_TZ: 'Asia/Kolkata' },
+      logger: { info() {}, warn() {}, debug() {} },
+      nowMs: () => nowMs,
+      sessionResolver: () => ({ dayKey: '2025-01-15' }),
+    });
+    await expect(gov.canOpenNewTrade({ openTrades: 1 })).resolves.toEqual({ ok: true });
+    await gov.registerTradeOpen({ tradeId: 'A', riskInr: 500 });
+    await gov.registerTradeOpen({ tradeId: 'B', riskInr: 500 });
+    const gate = await gov.canOpenNewTrade();
+    expect(gate).toMatchObject({ ok: false, reason: 'max_open_positions' });
+  });
+});
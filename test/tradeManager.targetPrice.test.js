@@ -0,0 +1,28 @@
+const { TradeManager } = require('../src/trading/tradeManager');
+
+describe('TradeManager target price', () => {
+  const tm = new TradeManager({
+    kite: {},
+    riskEngine: { setStateChangeHandler: jest.fn(), getLimits: () => ({}) },
+  });
+
+  const trade = (extra = {}) => ({
+    side: 'BUY',
+    entryPrice: 100,
+    initialStopLoss: 99,
+    rr: 1.5,
+    instrument: { tick_size: 0.05 },
+    ...extra,
+  });
+
+  test('uses a positive planned target as-is', () => {
+    expect(tm._computeTargetPrice(trade({ plannedTargetPrice: 103.4 }))).toBe(103.4);
+  });
+
+  test.each([null, 0, undefined, 'n/a'])('falls back to entry + rr x risk when the planned target is %p', (planned) => {
+    expect(tm._computeTargetPrice(trade({ plannedTargetPrice: planned }))).toBeCloseTo(101.5, 5);
+    expect(
+      tm._computeTargetPrice(trade({ side: 'SELL', initialStopLoss: 101, plannedTargetPrice: planned })),
+    ).toBeCloseTo(98.5, 5);
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock("../src/db", () => require("./helpers/memoryDbMock"));
+
+jest.mock("../src/alerts/alertService", () => ({ alert: jest.fn(async () => {}) }));
+
+const path = require("path");
+const { alert } = require("../src/alerts/alertService");
+const {
+  insertTrade,
+  updateTrade,
+  transitionTrade,
+  getTrade,
+  getTradeTimeline,
+  tradeTransitions,
+} = require("../src/trading/tradeStore");
+const { loadScenarioFile, runScenario } = require("../src/backtest/lifecycleScenario");
+
+describe("trade status journal", () => {
+  const { mockDb } = require("../src/db");
+  const seen = [];
+  const onTransition = (row) => seen.push(row);
+
+  beforeEach(() => {
+    mockDb.reset();
+    seen.length = 0;
+    alert.mockClear();
+    tradeTransitions.on("transition", onTransition);
+  });
+  afterEach(() => tradeTransitions.off("transition", onTransition));
+
+  test("applied moves are journaled with cause and order ids and emitted", async () => {
+    await insertTrade({ tradeId: "j1", status: "ENTRY_PLACED", entryOrderId: "E1" });
+    await updateTrade("j1", { status: "ENTRY_OPEN" }, { cause: "order_update", orderIds: ["E1"] });
+    await updateTrade("j1", { status: "ENTRY_OPEN", note: "same status" });
+    await transitionTrade("j1", "entry_filled", { cause: "entry_watch", patch: { entryPrice: 100 } });
+    await updateTrade("j1", { status: "SL_PLACED", slOrderId: "S1" });
+    await updateTrade("j1", { stopLoss: 99 });
+
+    const t = await getTrade("j1");
+    expect(t).toMatchObject({ status: "SL_PLACED", entryPrice: 100, note: "same status", stopLoss: 99 });
+    expect(t.statusJournal.map((e) => [e.from, e.to, e.cause, e.orderIds, e.outcome])).toEqual([
+      [null, "ENTRY_PLACED", "created", ["E1"], "applied"],
+      ["ENTRY_PLACED", "ENTRY_OPEN", "order_update", ["E1"], "applied"],
+      ["ENTRY_OPEN", "ENTRY_FILLED", "entry_watch", [], "applied"],
+      ["ENTRY_FILLED", "SL_PLACED", null, ["S1"], "applied"],
+    ]);
+    expect(t.statusJournal.every((e) => e.ts instanceof Date)).toBe(true);
+    expect(seen.map((e) => `${e.tradeId}:${e.to}`)).toEqual([
+      "j1:ENTRY_PLACED",
+      "j1:ENTRY_OPEN",
+      "j1:ENTRY_FILLED",
+      "j1:SL_PLACED",
+    ]);
+  });
+
+  test("illegal moves keep the status, are journaled as rejected and alert once", async () => {
+    await insertTrade({ tradeId: "j2", status: "EXITED_SL" });
+    await updateTrade("j2", { status: "LIVE", stopLoss: 98 }, { cause: "reconcile" });
+    await updateTrade("j2", { status: "LIVE" }, { cause: "reconcile" });
+
+    const t = await getTrade("j2");
+    expect(t.status).toBe("EXITED_SL");
+    expect(t.stopLoss).toBe(98);
+    expect(t.statusTransitionError).toMatchObject({ from: "EXITED_SL", to: "LIVE", reason: "FROM_TERMINAL" });
+    expect(t.statusJournal.slice(1).map((e) => [e.outcome, e.reason])).toEqual([
+      ["rejected", "FROM_TERMINAL"],
+      ["rejected", "FROM_TERMINAL"],
+    ]);
+    expect(alert).toHaveBeenCalledTimes(1);
+    expect(alert.mock.calls[0][2]).toMatchObject({ tradeId: "j2", from: "EXITED_SL", to: "LIVE", cause: "reconcile" });
+  });
+
+  test("the once-per-pair alert memory is bounded", () => {
+    const { __markIllegalAlertedForTests: mark, __alertedIllegalSizeForTests: size } = require("../src/trading/tradeStore");
+    for (let i = 0; i < 10; i += 1) expect(mark(`b${i}|LIVE|ENTRY_OPEN`, 5)).toBe(true);
+    expect(size()).toBe(5);
+    expect(mark("b9|LIVE|ENTRY_OPEN", 5)).toBe(false); // recent: still suppressed
+    expect(mark("b0|LIVE|ENTRY_OPEN", 5)).toBe(true); // evicted: alerts again
+  });
+
+  test("a late ENTRY_FILLED merges facts and is journaled as ignored", async () => {
+    await insertTrade({ tradeId: "j3", status: "LIVE" });
+    await updateTrade("j3", { status: "ENTRY_FILLED", entryPrice: 101.5 }, { cause: "order_update" });
+
+    const t = await getTrade("j3");
+    expect(t).toMatchObject({ status: "LIVE", entryPrice: 101.5 });
+    expect(t.statusJournal.at(-1)).toMatchObject({ to: "ENTRY_FILLED", outcome: "ignored", reason: "STALE_ENTRY_FILL" });
+    expect(alert).not.toHaveBeenCalled();
+  });
+
+  test("timeline returns the journal or null", async () => {
+    await insertTrade({ tradeId: "j4", status: "ENTRY_PLACED" });
+    await updateTrade("j4", { status: "ENTRY_FAILED", closeReason: "REJECTED" });
+    const tl = await getTradeTimeline("j4");
+    expect(tl).toMatchObject({ tradeId: "j4", status: "ENTRY_FAILED", lastTransitionError: null });
+    expect(tl.rows.map((e) => [e.to, e.cause])).toEqual([
+      ["ENTRY_PLACED", "created"],
+      ["ENTRY_FAILED", "REJECTED"],
+    ]);
+    expect(await getTradeTimeline("nope")).toBeNull();
+  });
+
+  test("the journal of a full lifecycle matches the recorded status writes", async () => {
+    const scenario = loadScenarioFile(path.join(__dirname, "scenarios", "eq_long_target.json"));
+    const result = await runScenario(scenario, { db: mockDb });
+    const [t] = result.trades;
+    const applied = t.statusJournal.filter((e) => e.outcome === "applied");
+    expect(applied.map((e) => e.to)).toEqual(result.transitions[0]);
+    expect(applied.every((e) => e.cause)).toBe(true);
+    expect(applied.find((e) => e.to === "EXITED_TARGET")).toMatchObject({ cause: "target_filled" });
+  }, 60000);
+});
@@ -0,0 +1,179 @@
+describe("walk-forward optimizer", () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    process.env.MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/test";
+    process.env.MONGO_DB = process.env.MONGO_DB || "test";
+    process.env.KITE_API_KEY = process.env.KITE_API_KEY || "test_key";
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  // `days` sessions of `perDay` 1m candles from 09:15 IST.
+  function sessionCandles(days, perDay = 10) {
+    const out = [];
+    for (let d = 0; d < days; d++) {
+      const open = Date.parse("2025-01-06T03:45:00Z") + d * 86_400_000;
+      for (let i = 0; i < perDay; i++) {
+        out.push({ ts: new Date(open + i * 60_000), open: 100, high: 101, low: 99, close: 100 });
+      }
+    }
+    return out;
+  }
+
+  test("expands grids (ranges need a step) and samples random spaces deterministically", () => {
+    const { expandGrid, sampleRandom, candidateKey } = require("../src/backtest/walkForward");
+    const { seeded } = require("../src/backtest/executionRealism");
+    const space = {
+      breakout: { lookback: [10, 20], volMult: { min: 1, max: 1.5, step: 0.25 } },
+      env: { RR_TARGET: [1.2] },
+    };
+
+    const grid = expandGrid(space);
+    expect(grid).toHaveLength(6);
+    expect(grid[0]).toEqual({
+      strategyParams: { breakout: { lookback: 10, volMult: 1 } },
+      envOverrides: { RR_TARGET: 1.2 },
+    });
+    expect(new Set(grid.map(candidateKey)).size).toBe(6);
+    expect(() => expandGrid(space, { maxCandidates: 5 })).toThrow(/6 combinations/);
+    expect(() => expandGrid({ breakout: { volMult: { min: 1, max: 2 } } })).toThrow(/needs a step/);
+
+    const a = sampleRandom({ breakout: { volMult: { min: 1, max: 2 } } }, 4, seeded(7));
+    const b = sampleRandom({ breakout: { volMult: { min: 1, max: 2 } } }, 4, seeded(7));
+    expect(a).toEqual(b);
+    expect(a).toHaveLength(4);
+    // Only two distinct candidates exist; sampling stops instead of looping.
+    expect(sampleRandom({ breakout: { lookback: [1, 2] } }, 10, seeded(1))).toHaveLength(2);
+  });
+
+  test("builds rolling and anchored folds on session days", () => {
+    const { buildFolds } = require("../src/backtest/walkForward");
+    const candles = sessionCandles(6);
+
+    const rolling = buildFolds({ candles, isDays: 3, oosDays: 1 });
+    expect(rolling).toHaveLength(3);
+    expect(rolling[0].is).toMatchObject({ fromIdx: 0, toIdx: 29, days: 3 });
+    expect(rolling[0].oos).toMatchObject({ fromIdx: 30, toIdx: 39, days: 1 });
+    expect(rolling[2].is.fromDay).toBe("2025-01-08");
+    expect(rolling[2].oos.toDay).toBe("2025-01-11");
+
+    const anchored = buildFolds({ candles, isDays: 3, oosDays: 1, anchored: true });
+    expect(anchored.map((f) => f.is.days)).toEqual([3, 4, 5]);
+    expect(anchored[2].is.fromIdx).toBe(0);
+  });
+
+  test("tradeMetrics reports net PnL, expectancy in R and closed-trade drawdown", () => {
+    const { tradeMetrics } = require("../src/backtest/walkForward");
+    const t = (netPnl, min) => ({
+      entryPrice: 100,
+      initialStopLoss: 98,
+      qty: 5,
+      netPnl,
+      estCostInr: 1,
+      exitTs: new Date(Date.UTC(2025, 0, 6, 4, min)),
+    });
+    const m = tradeMetrics([t(20, 1), t(-10, 2), t(-5, 3), t(15, 4)]);
+    expect(m).toMatchObject({
+      trades: 4,
+      wins: 2,
+      netPnl: 20,
+      costInr: 4,
+      maxDrawdownInr: 15,
+      expectancyR: 0.5,
+      profitFactor: 2.3333,
+    });
+  });
+
+  test("runs IS selection then OOS evaluation per fold and aggregates", () => {
+    const { runWalkForward, compareRuns } = require("../src/backtest/walkForward");
+    const candles = sessionCandles(5);
+    const { buildFolds } = require("../src/backtest/walkForward");
+    const folds = buildFolds({ candles, isDays: 2, oosDays: 1 });
+    const candidates = [
+      { strategyParams: { breakout: { lookback: 10 } }, envOverrides: {} },
+      { strategyParams: { breakout: { lookback: 20 } }, envOverrides: {} },
+    ];
+
+    const calls = [];
+    const simulate = ({ candles: slice, warmup, candidate, phase }) => {
+      calls.push({ phase, len: slice.length, warmup });
+      const lb = candidate.strategyParams.breakout.lookback;
+      // lookback 20 wins in-sample; OOS is flat-positive for both.
+      const pnl = phase === "IS" ? (lb === 20 ? 30 : 10) : 6;
+      return {
+        trades: [
+          { entryPrice: 100, initialStopLoss: 99, qty: 2, netPnl: pnl, exitTs: slice.at(-1).ts },
+        ],
+      };
+    };
+
+    const res = runWalkForward({ candles, folds, candidates, simulate, warmup: 5, minTrades: 1 });
+    expect(res.folds).toHaveLength(3);
+    expect(res.folds.every((f) => f.selected.strategyParams.breakout.lookback === 20)).toBe(true);
+    // IS slice = 5 warmup candles before the window (none for fold 0) + 20 candles.
+    expect(calls[0]).toEqual({ phase: "IS", len: 20, warmup: 5 });
+    expect(calls.find((c) => c.phase === "OOS")).toEqual({ phase: "OOS", len: 15, warmup: 5 });
+
+    expect(res.aggregate).toMatchObject({
+      folds: 3,
+      evaluatedFolds: 3,
+      profitableOosFolds: 3,
+      paramStability: 1,
+      walkForwardEfficiency: 0.4,
+    });
+    expect(res.aggregate.oos).toMatchObject({ trades: 3, netPnl: 18, expectancyR: 3 });
+
+    const cmp = compareRuns(
+      { runAt: "x", gitHash: "a", configSnapshot: { RR_TARGET: "1.4" }, aggregate: { oos: { netPnl: 10 } } },
+      { gitHash: "b", configSnapshot: { RR_TARGET: "1.6" }, aggregate: res.aggregate },
+    );
+    expect(cmp).toMatchObject({ gitChanged: true, changedEnv: ["RR_TARGET"] });
+    expect(cmp.oosDelta.netPnl).toBe(8);
+  });
+
+  test("candidates below minTrades are never selected", () => {
+    const { runWalkForward, buildFolds } = require("../src/backtest/walkForward");
+    const candles = sessionCandles(3);
+    const folds = buildFolds({ candles, isDays: 2, oosDays: 1 });
+    const res = runWalkForward({
+      candles,
+      folds,
+      candidates: [{ strategyParams: {}, envOverrides: {} }],
+      simulate: () => ({ trades: [] }),
+      minTrades: 1,
+    });
+    expect(res.folds[0]).toMatchObject({ selected: null, oos: { skipped: true } });
+    expect(res.aggregate.evaluatedFolds).toBe(0);
+  });
+
+  test("evaluateOnCandles honours strategyIds and per-strategy params", () => {
+    process.env.SIGNAL_INTERVALS = "1";
+    process.env.STRATEGIES = "ema_cross";
+    process.env.ALLOW_SYNTHETIC_SIGNALS = "true";
+    const { registerStrategy } = require("../src/strategy/registry");
+    const { z } = require("zod");
+    registerStrategy({
+      id: "wf_echo",
+      style: "TREND",
+      family: "TEST",
+      params: z.object({ conf: z.coerce.number() }),
+      defaults: () => ({ conf: 50 }),
+      evaluate: (candles, params) => ({ side: "BUY", confidence: params.conf, reason: "echo" }),
+    });
+    const { evaluateOnCandles } = require("../src/strategy/replayEngine");
+    const candles = sessionCandles(1, 60);
+    const sig = evaluateOnCandles({
+      candles,
+      intervalMin: 1,
+      now: candles.at(-1).ts,
+      strategyIds: ["wf_echo"],
+      strategyParams: { wf_echo: { conf: 81 } },
+    });
+    expect(sig).toMatchObject({ strategyId: "wf_echo", confidence: 81 });
+  });
+});